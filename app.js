@@ -11,6 +11,10 @@ const paymentsRoutes = require('./routes/payments');
 const instructorAvailabilityRoutes = require('./routes/instructorAvailability');
 const subscriptionsRoutes = require('./routes/subscriptions');
 const recurringBookingsRoutes = require('./routes/recurringBookings');
+const waitlistRoutes = require('./routes/waitlist');
+const groupSessionsRoutes = require('./routes/groupSessions');
+const giftVouchersRoutes = require('./routes/giftVouchers');
+const dependentsRoutes = require('./routes/dependents');
 const assetsRoutes = require('./routes/assets');
 const helpRoutes = require('./routes/help');
 const { authMiddleware, adminMiddleware, instructorMiddleware } = require('./middleware/auth');
@@ -29,6 +33,15 @@ if (!isDev) {
     app.use(maintenanceMiddleware);
 }
 
+// Stripe webhooks are signed over the raw body and carry no auth token, so they
+// are handled before JSON parsing and outside the protected /api/payments and
+// /api/subscriptions routes
+app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), paymentsRoutes.handleWebhook);
+app.post('/api/subscriptions/webhook', express.raw({ type: 'application/json' }), subscriptionsRoutes.handleWebhook);
+
+// Google Calendar change notifications carry no auth token either
+app.post('/api/calendar/google-notifications', calendarRoutes.handleGoogleNotification);
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -57,6 +70,10 @@ app.use('/api/payments', authMiddleware, paymentsRoutes);
 app.use('/api/availability', authMiddleware, instructorAvailabilityRoutes);
 app.use('/api/subscriptions', authMiddleware, subscriptionsRoutes);
 app.use('/api/recurring-bookings', authMiddleware, recurringBookingsRoutes);
+app.use('/api/waitlist', authMiddleware, waitlistRoutes);
+app.use('/api/group-sessions', authMiddleware, groupSessionsRoutes);
+app.use('/api/gift-vouchers', authMiddleware, giftVouchersRoutes);
+app.use('/api/dependents', authMiddleware, dependentsRoutes);
 app.use('/api/help', authMiddleware, adminMiddleware, helpRoutes);
 
 // Catch-all: production serves the Vue SPA with theme injection; vite-express handles dev
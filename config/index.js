@@ -48,6 +48,7 @@ const googleOAuth = {
     redirectUri: process.env.GOOGLE_REDIRECT_URI,
     scopes: process.env.GOOGLE_OAUTH_SCOPES?.split(' ') || [
         'https://www.googleapis.com/auth/calendar.readonly',
+        'https://www.googleapis.com/auth/calendar.events',
         'https://www.googleapis.com/auth/gmail.send'
     ]
 };
@@ -59,11 +60,21 @@ const googleServiceAccount = {
     keyFile: process.env.GOOGLE_SERVICE_ACCOUNT_KEY_FILE
 };
 
+// Google Calendar API Configuration
+const googleCalendar = {
+    // Optional API root override, e.g. a local fake Google server for testing
+    apiUrl: process.env.GOOGLE_CALENDAR_API_URL
+};
+
 // Stripe Configuration
 const stripe = {
     secretKey: process.env.STRIPE_SECRET_KEY,
     publishableKey: process.env.STRIPE_PUBLISHABLE_KEY,
-    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+    // Optional API host override, e.g. a local stripe-mock server for testing
+    apiHost: process.env.STRIPE_API_HOST,
+    apiPort: process.env.STRIPE_API_PORT,
+    apiProtocol: process.env.STRIPE_API_PROTOCOL
 };
 
 // Storage Configuration
@@ -114,6 +125,7 @@ module.exports = {
     email,
     googleOAuth,
     googleServiceAccount,
+    googleCalendar,
     stripe,
     storage,
     server,
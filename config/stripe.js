@@ -1,6 +1,11 @@
 const config = require('./index');
 
-const stripe = require('stripe')(config.stripe.secretKey);
+// Requests go to api.stripe.com unless a host is configured (stripe-mock in testing)
+const stripe = require('stripe')(config.stripe.secretKey, config.stripe.apiHost ? {
+    host: config.stripe.apiHost,
+    port: config.stripe.apiPort,
+    protocol: config.stripe.apiProtocol || 'https'
+} : undefined);
 
 try {
     // Validate Stripe configuration
@@ -20,7 +25,8 @@ try {
 }
 
 // Helper function to create a payment intent
-async function createPaymentIntent(amount, currency = 'usd', metadata = {}) {
+// options are passed through to Stripe (e.g. customer and setup_future_usage to save the card)
+async function createPaymentIntent(amount, currency = 'usd', metadata = {}, options = {}) {
     try {
         const paymentIntent = await stripe.paymentIntents.create({
             amount: Math.round(amount * 100), // Convert to cents
@@ -29,6 +35,7 @@ async function createPaymentIntent(amount, currency = 'usd', metadata = {}) {
             automatic_payment_methods: {
                 enabled: true,
             },
+            ...options
         });
         return paymentIntent;
     } catch (error) {
@@ -38,14 +45,16 @@ async function createPaymentIntent(amount, currency = 'usd', metadata = {}) {
 }
 
 // Helper function to create a subscription
-async function createSubscription(customerId, priceId, metadata = {}) {
+// options are passed through to Stripe (e.g. discounts for a promo code coupon)
+async function createSubscription(customerId, priceId, metadata = {}, options = {}) {
     try {
         const subscription = await stripe.subscriptions.create({
             customer: customerId,
             items: [{ price: priceId }],
             metadata,
             payment_settings: { save_default_payment_method: 'on_subscription' },
-            collection_method: 'charge_automatically'
+            collection_method: 'charge_automatically',
+            ...options
         });
 
         return subscription;
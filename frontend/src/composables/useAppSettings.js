@@ -28,6 +28,12 @@ import { useQuery } from '@tanstack/vue-query'
 import { useUserStore } from '../stores/userStore'
 import { computed } from 'vue'
 
+// Lesson types offered when the server doesn't list any
+const DEFAULT_LESSON_TYPES = [
+  { duration_minutes: 30, price_multiplier: 1 },
+  { duration_minutes: 60, price_multiplier: 2 }
+]
+
 /**
  * Fetch public config (no auth required)
  * Returns UI configuration including business hours
@@ -134,7 +140,8 @@ export function useAppSettings() {
       lessons: {
         defaultDuration: publicConfig.value.default_duration_minutes,
         inPersonPaymentEnabled: publicConfig.value.in_person_payment_enabled,
-        cardPaymentOnBehalfEnabled: publicConfig.value.card_payment_on_behalf_enabled
+        cardPaymentOnBehalfEnabled: publicConfig.value.card_payment_on_behalf_enabled,
+        lessonTypes: publicConfig.value.lesson_types
       },
       theme: publicConfig.value.theme
     }
@@ -159,6 +166,7 @@ export function useAppSettings() {
   const defaultLessonDuration = computed(() => lessons.value?.defaultDuration || 30)
   const inPersonPaymentEnabled = computed(() => lessons.value?.inPersonPaymentEnabled === true)
   const cardPaymentOnBehalfEnabled = computed(() => lessons.value?.cardPaymentOnBehalfEnabled === true)
+  const lessonTypes = computed(() => lessons.value?.lessonTypes?.length ? lessons.value.lessonTypes : DEFAULT_LESSON_TYPES)
   
   // Business hours computed helpers
   const earliestOpenTime = computed(() => {
@@ -216,6 +224,7 @@ export function useAppSettings() {
     defaultLessonDuration,
     inPersonPaymentEnabled,
     cardPaymentOnBehalfEnabled,
+    lessonTypes,
     
     // Business hours helpers
     earliestOpenTime,
@@ -0,0 +1,76 @@
+import { computed } from 'vue'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/vue-query'
+import { useUserStore } from '@/stores/userStore'
+import axios from 'axios'
+
+/**
+ * Fetch whether the current user has a calendar feed
+ * @returns {Promise<Object>} { enabled, createdAt, lastAccessedAt }
+ */
+async function fetchCalendarFeed() {
+    const response = await axios.get('/api/users/me/calendar-feed')
+    return response.data
+}
+
+/**
+ * Create the feed link, or replace it with a new one
+ * @returns {Promise<Object>} Feed status with the link, which is only shown this once
+ */
+async function createCalendarFeedApi() {
+    const response = await axios.post('/api/users/me/calendar-feed')
+    return response.data
+}
+
+/**
+ * Turn off the feed
+ */
+async function revokeCalendarFeedApi() {
+    const response = await axios.delete('/api/users/me/calendar-feed')
+    return response.data
+}
+
+/**
+ * Composable for the current user's iCal subscription feed using Vue Query
+ * @returns {Object} Feed state and methods
+ */
+export function useCalendarFeed() {
+    const userStore = useUserStore()
+    const queryClient = useQueryClient()
+
+    const {
+        data: calendarFeed,
+        isLoading: isLoadingCalendarFeed,
+        error: calendarFeedError,
+        refetch: refetchCalendarFeed
+    } = useQuery({
+        queryKey: ['calendarFeed'],
+        queryFn: fetchCalendarFeed,
+        enabled: computed(() => !!userStore.token),
+        staleTime: 5 * 60 * 1000
+    })
+
+    const invalidateCalendarFeed = () => {
+        queryClient.invalidateQueries({ queryKey: ['calendarFeed'] })
+    }
+
+    const createMutation = useMutation({
+        mutationFn: createCalendarFeedApi,
+        onSuccess: invalidateCalendarFeed
+    })
+
+    const revokeMutation = useMutation({
+        mutationFn: revokeCalendarFeedApi,
+        onSuccess: invalidateCalendarFeed
+    })
+
+    return {
+        calendarFeed: computed(() => calendarFeed.value || { enabled: false }),
+        isLoadingCalendarFeed,
+        calendarFeedError,
+        refetchCalendarFeed,
+        createCalendarFeed: createMutation.mutateAsync,
+        isCreatingCalendarFeed: createMutation.isPending,
+        revokeCalendarFeed: revokeMutation.mutateAsync,
+        isRevokingCalendarFeed: revokeMutation.isPending
+    }
+}
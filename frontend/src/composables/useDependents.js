@@ -0,0 +1,136 @@
+/**
+ * useDependents
+ *
+ * Student profiles a guardian manages from their own account. Dependents have no
+ * login; the guardian books their lessons, pays, and receives their emails. A
+ * dependent either books from the guardian's credits or from a balance the
+ * guardian splits off for them with transferCredits.
+ *
+ * @example FamilyMembers.vue
+ *   const { dependents, addDependent, transferCredits } = useDependents()
+ */
+
+import { computed } from 'vue'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/vue-query'
+import { useUserStore } from '@/stores/userStore'
+
+async function request(url, token, options = {}, fallbackError = 'Request failed') {
+    const res = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+            ...options.headers
+        }
+    })
+    if (!res.ok) {
+        const body = await res.json().catch(() => ({}))
+        throw new Error(body.error || fallbackError)
+    }
+    return res.json()
+}
+
+/**
+ * @returns {Object} The current user's dependents and actions for managing them
+ */
+export function useDependents() {
+    const userStore = useUserStore()
+    const queryClient = useQueryClient()
+    const token = computed(() => userStore.token)
+    const userId = computed(() => userStore.user?.id)
+
+    // Query: Dependents on the account, with credits for those on their own balance
+    const {
+        data: dependentData,
+        isLoading: isLoadingDependents,
+        error: dependentsError,
+        refetch: refetchDependents
+    } = useQuery({
+        queryKey: ['dependents', userId],
+        queryFn: () => request('/api/dependents', token.value, {}, 'Failed to fetch dependents'),
+        enabled: computed(() => !!token.value && userStore.user?.role === 'student'),
+        staleTime: 5 * 60 * 1000
+    })
+
+    const invalidateDependents = () => {
+        queryClient.invalidateQueries({ queryKey: ['dependents', userId.value] })
+    }
+
+    const invalidateCredits = () => {
+        queryClient.invalidateQueries({ queryKey: ['credits', userId.value] })
+    }
+
+    // The signed-in user carries dependent_ids for the CASL rules, so reload it
+    // whenever a dependent is added or removed
+    const refreshAccount = async () => {
+        invalidateDependents()
+        await userStore.fetchUser()
+    }
+
+    const addMutation = useMutation({
+        mutationFn: (dependent) => request(
+            '/api/dependents',
+            token.value,
+            { method: 'POST', body: JSON.stringify(dependent) },
+            'Failed to add dependent'
+        ),
+        onSuccess: refreshAccount
+    })
+
+    const updateMutation = useMutation({
+        mutationFn: ({ id, ...updates }) => request(
+            `/api/dependents/${id}`,
+            token.value,
+            { method: 'PATCH', body: JSON.stringify(updates) },
+            'Failed to update dependent'
+        ),
+        onSuccess: invalidateDependents
+    })
+
+    const removeMutation = useMutation({
+        mutationFn: (id) => request(
+            `/api/dependents/${id}`,
+            token.value,
+            { method: 'DELETE' },
+            'Failed to remove dependent'
+        ),
+        onSuccess: async () => {
+            invalidateCredits()
+            await refreshAccount()
+        }
+    })
+
+    /**
+     * Move credits between the guardian and a dependent
+     * @param {Object} transfer - { id, credits, durationMinutes, direction: 'give' | 'return' }
+     */
+    const transferMutation = useMutation({
+        mutationFn: ({ id, ...transfer }) => request(
+            `/api/dependents/${id}/credits`,
+            token.value,
+            { method: 'POST', body: JSON.stringify(transfer) },
+            'Failed to transfer credits'
+        ),
+        onSuccess: () => {
+            invalidateDependents()
+            invalidateCredits()
+        }
+    })
+
+    return {
+        dependents: computed(() => dependentData.value?.dependents || []),
+        isLoadingDependents,
+        dependentsError,
+        refetchDependents,
+        addDependent: addMutation.mutateAsync,
+        updateDependent: updateMutation.mutateAsync,
+        removeDependent: removeMutation.mutateAsync,
+        transferCredits: transferMutation.mutateAsync,
+        isUpdatingDependents: computed(() =>
+            addMutation.isPending.value ||
+            updateMutation.isPending.value ||
+            removeMutation.isPending.value ||
+            transferMutation.isPending.value
+        )
+    }
+}
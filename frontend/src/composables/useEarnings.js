@@ -0,0 +1,203 @@
+/**
+ * useEarnings
+ *
+ * The instructor earnings ledger. Every lesson a student attends is earned at the
+ * instructor's rate less the studio's commission. Instructors read their own
+ * statement for a period; admins read any instructor's, pay earnings out with
+ * useAdminPayouts and set each instructor's commission and Stripe account.
+ *
+ * @example EarningsStatement.vue
+ *   const period = ref(monthPeriod('2026-09'))
+ *   const { statement, isLoadingStatement } = useEarningsStatement(period)
+ */
+
+import { computed, unref } from 'vue'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/vue-query'
+import { useUserStore } from '@/stores/userStore'
+
+async function request(url, token, options = {}, fallbackError = 'Request failed') {
+    const res = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+            ...options.headers
+        }
+    })
+    if (!res.ok) {
+        const body = await res.json().catch(() => ({}))
+        throw new Error(body.error || fallbackError)
+    }
+    return res.json()
+}
+
+/**
+ * First and last day of a calendar month
+ * @param {string} month - 'YYYY-MM'
+ * @returns {Object} { from, to } as 'YYYY-MM-DD'
+ */
+export function monthPeriod(month) {
+    const [year, monthNumber] = month.split('-').map(Number)
+    const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate()
+    return {
+        from: `${month}-01`,
+        to: `${month}-${String(lastDay).padStart(2, '0')}`
+    }
+}
+
+/**
+ * An earnings statement for a period
+ * @param {Ref<Object>|Object} period - { from, to } as 'YYYY-MM-DD'
+ * @param {Ref<number>|number} [instructorId] - Admins only: whose statement; the current instructor's if empty
+ * @returns {Object} Statement with entries, totals and payouts
+ */
+export function useEarningsStatement(period, instructorId = null) {
+    const userStore = useUserStore()
+    const token = computed(() => userStore.token)
+
+    const {
+        data: statement,
+        isLoading: isLoadingStatement,
+        error: statementError,
+        refetch: refetchStatement
+    } = useQuery({
+        queryKey: ['earnings', instructorId, period],
+        queryFn: () => {
+            const { from, to } = unref(period)
+            const id = unref(instructorId)
+            const base = id ? `/api/admin/instructors/${id}/earnings` : '/api/instructors/me/earnings'
+            const query = `?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`
+            return request(`${base}${query}`, token.value, {}, 'Failed to fetch earnings')
+        },
+        enabled: computed(() => !!token.value && !!unref(period)?.from && !!unref(period)?.to),
+        staleTime: 60 * 1000
+    })
+
+    return {
+        statement: computed(() => statement.value || null),
+        entries: computed(() => statement.value?.entries || []),
+        totals: computed(() => statement.value?.totals || null),
+        isLoadingStatement,
+        statementError,
+        refetchStatement
+    }
+}
+
+/**
+ * Admin view of instructor payouts
+ * @param {Ref<string>|string} [status] - 'pending' or 'paid'; empty for all
+ * @returns {Object} Payouts, each instructor's unpaid balance and payout actions
+ */
+export function useAdminPayouts(status = '') {
+    const userStore = useUserStore()
+    const queryClient = useQueryClient()
+    const token = computed(() => userStore.token)
+    const isAdmin = computed(() => !!token.value && userStore.user?.role === 'admin')
+
+    const {
+        data: payouts,
+        isLoading: isLoadingPayouts,
+        error: payoutsError,
+        refetch: refetchPayouts
+    } = useQuery({
+        queryKey: ['adminPayouts', status],
+        queryFn: () => {
+            const filter = unref(status)
+            const query = filter ? `?status=${encodeURIComponent(filter)}` : ''
+            return request(`/api/admin/payouts${query}`, token.value, {}, 'Failed to fetch payouts')
+        },
+        enabled: isAdmin,
+        staleTime: 60 * 1000
+    })
+
+    const {
+        data: balances,
+        isLoading: isLoadingBalances,
+        refetch: refetchBalances
+    } = useQuery({
+        queryKey: ['adminPayoutBalances'],
+        queryFn: () => request('/api/admin/payouts/instructors', token.value, {}, 'Failed to fetch instructor balances'),
+        enabled: isAdmin,
+        staleTime: 60 * 1000
+    })
+
+    const invalidatePayouts = () => {
+        queryClient.invalidateQueries({ queryKey: ['adminPayouts'] })
+        queryClient.invalidateQueries({ queryKey: ['adminPayoutBalances'] })
+        queryClient.invalidateQueries({ queryKey: ['earnings'] })
+    }
+
+    const createMutation = useMutation({
+        mutationFn: ({ instructorId, periodStart, periodEnd }) => request(
+            '/api/admin/payouts',
+            token.value,
+            { method: 'POST', body: JSON.stringify({ instructorId, periodStart, periodEnd }) },
+            'Failed to create payout'
+        ),
+        onSuccess: invalidatePayouts
+    })
+
+    const markPaidMutation = useMutation({
+        mutationFn: ({ id, reference }) => request(
+            `/api/admin/payouts/${id}/mark-paid`,
+            token.value,
+            { method: 'POST', body: JSON.stringify({ reference }) },
+            'Failed to mark payout paid'
+        ),
+        onSuccess: invalidatePayouts
+    })
+
+    const transferMutation = useMutation({
+        mutationFn: (id) => request(
+            `/api/admin/payouts/${id}/transfer`,
+            token.value,
+            { method: 'POST' },
+            'Failed to transfer payout'
+        ),
+        onSuccess: invalidatePayouts
+    })
+
+    const cancelMutation = useMutation({
+        mutationFn: (id) => request(
+            `/api/admin/payouts/${id}`,
+            token.value,
+            { method: 'DELETE' },
+            'Failed to cancel payout'
+        ),
+        onSuccess: invalidatePayouts
+    })
+
+    const settingsMutation = useMutation({
+        mutationFn: ({ instructorId, ...settings }) => request(
+            `/api/admin/instructors/${instructorId}/payout-settings`,
+            token.value,
+            { method: 'PUT', body: JSON.stringify(settings) },
+            'Failed to update payout settings'
+        ),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['adminPayoutBalances'] })
+        }
+    })
+
+    return {
+        payouts: computed(() => payouts.value || []),
+        isLoadingPayouts,
+        payoutsError,
+        refetchPayouts,
+        balances: computed(() => balances.value || []),
+        isLoadingBalances,
+        refetchBalances,
+        createPayout: createMutation.mutateAsync,
+        markPayoutPaid: markPaidMutation.mutateAsync,
+        transferPayout: transferMutation.mutateAsync,
+        cancelPayout: cancelMutation.mutateAsync,
+        updatePayoutSettings: settingsMutation.mutateAsync,
+        isUpdatingPayouts: computed(() =>
+            createMutation.isPending.value ||
+            markPaidMutation.isPending.value ||
+            transferMutation.isPending.value ||
+            cancelMutation.isPending.value ||
+            settingsMutation.isPending.value
+        )
+    }
+}
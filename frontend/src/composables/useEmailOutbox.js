@@ -0,0 +1,111 @@
+import { computed } from 'vue'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/vue-query'
+import { useUserStore } from '@/stores/userStore'
+
+/**
+ * Call an admin email endpoint and unwrap the JSON body
+ * @param {string} url - Endpoint URL
+ * @param {string} token - Auth token
+ * @param {Object} [options] - Extra fetch options
+ * @returns {Promise<Object>} Response body
+ */
+async function requestJson(url, token, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        }
+    })
+
+    const data = await response.json()
+
+    if (!response.ok) {
+        throw new Error(data.error || 'Email queue request failed')
+    }
+
+    return data
+}
+
+/**
+ * Email outbox composable
+ * Admin-only view of the persisted email queue and its dead letters
+ * @returns {Object} Outbox state and methods
+ */
+export function useEmailOutbox() {
+    const userStore = useUserStore()
+    const queryClient = useQueryClient()
+    const token = computed(() => userStore.token)
+    const isAdmin = computed(() => !!token.value && userStore.user?.role === 'admin')
+
+    // Query: Queue counts by status
+    const {
+        data: outboxStatus,
+        isLoading: isLoadingStatus,
+        refetch: refetchStatus
+    } = useQuery({
+        queryKey: ['emailOutboxStatus'],
+        queryFn: () => requestJson('/api/admin/email/status', token.value),
+        enabled: isAdmin,
+        staleTime: 30 * 1000,
+    })
+
+    // Query: Emails that failed every retry
+    const {
+        data: failedData,
+        isLoading: isLoadingFailed,
+        refetch: refetchFailed
+    } = useQuery({
+        queryKey: ['emailOutboxFailed'],
+        queryFn: () => requestJson('/api/admin/email/failed', token.value),
+        enabled: isAdmin,
+        staleTime: 30 * 1000,
+    })
+
+    const invalidateOutbox = () => {
+        queryClient.invalidateQueries({ queryKey: ['emailOutboxStatus'] })
+        queryClient.invalidateQueries({ queryKey: ['emailOutboxFailed'] })
+    }
+
+    // Mutation: Requeue a failed email
+    const resendMutation = useMutation({
+        mutationFn: (jobId) => requestJson(`/api/admin/email/failed/${jobId}/resend`, token.value, { method: 'POST' }),
+        onSuccess: invalidateOutbox
+    })
+
+    // Mutation: Discard a failed email
+    const discardMutation = useMutation({
+        mutationFn: (jobId) => requestJson(`/api/admin/email/failed/${jobId}`, token.value, { method: 'DELETE' }),
+        onSuccess: invalidateOutbox
+    })
+
+    // Mutation: Cancel every unsent email
+    const clearQueueMutation = useMutation({
+        mutationFn: () => requestJson('/api/admin/email/clear-queue', token.value, { method: 'POST' }),
+        onSuccess: invalidateOutbox
+    })
+
+    const counts = computed(() => outboxStatus.value?.email_queue?.counts || null)
+    const failedJobs = computed(() => failedData.value?.jobs || [])
+
+    return {
+        // State
+        outboxStatus,
+        counts,
+        failedJobs,
+        isLoadingStatus,
+        isLoadingFailed,
+
+        // Mutations
+        resendFailedEmail: resendMutation.mutateAsync,
+        discardFailedEmail: discardMutation.mutateAsync,
+        clearQueue: clearQueueMutation.mutateAsync,
+        isResending: resendMutation.isPending,
+        isDiscarding: discardMutation.isPending,
+        isClearingQueue: clearQueueMutation.isPending,
+
+        // Methods
+        refetchStatus,
+        refetchFailed
+    }
+}
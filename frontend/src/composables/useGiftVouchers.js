@@ -0,0 +1,163 @@
+/**
+ * useGiftVouchers
+ *
+ * Lesson packages bought as gifts. Buying one starts a card payment for the
+ * package; once the browser confirms it, completeGiftPayment records it and the
+ * recipient is emailed a code. Any account can redeem a code into its credits.
+ * Admins list, void and resend vouchers with useAdminGiftVouchers.
+ *
+ * @example GiftVouchers.vue
+ *   const { sentVouchers, purchaseGiftVoucher, completeGiftPayment, redeemGiftVoucher } = useGiftVouchers()
+ */
+
+import { computed, unref } from 'vue'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/vue-query'
+import { useUserStore } from '@/stores/userStore'
+
+async function request(url, token, options = {}, fallbackError = 'Request failed') {
+    const res = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+            ...options.headers
+        }
+    })
+    if (!res.ok) {
+        const body = await res.json().catch(() => ({}))
+        throw new Error(body.error || fallbackError)
+    }
+    return res.json()
+}
+
+/**
+ * @returns {Object} Gifts the user has sent, gift purchases and redeeming codes
+ */
+export function useGiftVouchers() {
+    const userStore = useUserStore()
+    const queryClient = useQueryClient()
+    const token = computed(() => userStore.token)
+    const userId = computed(() => userStore.user?.id)
+
+    // Query: Gifts the student has paid for
+    const {
+        data: sentVoucherData,
+        isLoading: isLoadingSentVouchers,
+        error: sentVouchersError,
+        refetch: refetchSentVouchers
+    } = useQuery({
+        queryKey: ['giftVouchers', userId],
+        queryFn: () => request('/api/gift-vouchers', token.value, {}, 'Failed to fetch gift vouchers'),
+        enabled: computed(() => !!token.value && userStore.user?.role === 'student'),
+        staleTime: 5 * 60 * 1000
+    })
+
+    const invalidateSentVouchers = () => {
+        queryClient.invalidateQueries({ queryKey: ['giftVouchers', userId.value] })
+    }
+
+    /**
+     * Start buying a package as a gift
+     * @param {Object} giftData - { planId, recipientName, recipientEmail, message }
+     * @returns {Promise<Object>} { clientSecret, voucherId } for stripe.confirmCardPayment
+     */
+    const purchaseGiftVoucher = (giftData) => request(
+        '/api/gift-vouchers/purchase',
+        token.value,
+        { method: 'POST', body: JSON.stringify(giftData) },
+        'Failed to start gift purchase'
+    )
+
+    const completeMutation = useMutation({
+        mutationFn: (paymentIntentId) => request(
+            '/api/payments/complete-payment',
+            token.value,
+            { method: 'POST', body: JSON.stringify({ paymentIntentId }) },
+            'Failed to complete payment'
+        ),
+        onSuccess: invalidateSentVouchers
+    })
+
+    const redeemMutation = useMutation({
+        mutationFn: (code) => request(
+            '/api/gift-vouchers/redeem',
+            token.value,
+            { method: 'POST', body: JSON.stringify({ code }) },
+            'Failed to redeem gift voucher'
+        ),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['credits', userId.value] })
+        }
+    })
+
+    return {
+        sentVouchers: computed(() => sentVoucherData.value?.vouchers || []),
+        isLoadingSentVouchers,
+        sentVouchersError,
+        refetchSentVouchers,
+        purchaseGiftVoucher,
+        completeGiftPayment: completeMutation.mutateAsync,
+        redeemGiftVoucher: redeemMutation.mutateAsync,
+        isRedeeming: computed(() => redeemMutation.isPending.value)
+    }
+}
+
+/**
+ * Admin view of all gift vouchers
+ * @param {Ref<string>|string} [status] - 'issued', 'redeemed', 'expired', 'pending' or 'void'; empty for all
+ * @returns {Object} Vouchers and admin actions
+ */
+export function useAdminGiftVouchers(status = '') {
+    const userStore = useUserStore()
+    const queryClient = useQueryClient()
+    const token = computed(() => userStore.token)
+
+    const {
+        data: vouchers,
+        isLoading: isLoadingVouchers,
+        error: vouchersError,
+        refetch: refetchVouchers
+    } = useQuery({
+        queryKey: ['adminGiftVouchers', status],
+        queryFn: () => {
+            const filter = unref(status)
+            const query = filter ? `?status=${encodeURIComponent(filter)}` : ''
+            return request(`/api/admin/gift-vouchers${query}`, token.value, {}, 'Failed to fetch gift vouchers')
+        },
+        enabled: computed(() => !!token.value && userStore.user?.role === 'admin'),
+        staleTime: 60 * 1000
+    })
+
+    const invalidateVouchers = () => {
+        queryClient.invalidateQueries({ queryKey: ['adminGiftVouchers'] })
+    }
+
+    const voidMutation = useMutation({
+        mutationFn: (voucherId) => request(
+            `/api/admin/gift-vouchers/${voucherId}/void`,
+            token.value,
+            { method: 'POST' },
+            'Failed to void gift voucher'
+        ),
+        onSuccess: invalidateVouchers
+    })
+
+    const resendMutation = useMutation({
+        mutationFn: (voucherId) => request(
+            `/api/admin/gift-vouchers/${voucherId}/resend`,
+            token.value,
+            { method: 'POST' },
+            'Failed to resend gift voucher'
+        )
+    })
+
+    return {
+        vouchers: computed(() => vouchers.value || []),
+        isLoadingVouchers,
+        vouchersError,
+        refetchVouchers,
+        voidGiftVoucher: voidMutation.mutateAsync,
+        resendGiftVoucher: resendMutation.mutateAsync,
+        isUpdatingVoucher: computed(() => voidMutation.isPending.value || resendMutation.isPending.value)
+    }
+}
@@ -71,14 +71,42 @@ async function saveCalendarConfigApi(instructorId, configData, token) {
     return data
 }
 
+/**
+ * Update one connected calendar's settings
+ * @param {number} instructorId - Instructor ID
+ * @param {Object} settings - { id, include_in_busy_time?, all_day_event_handling? }
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} Update result
+ */
+async function updateCalendarApi(instructorId, { id, ...settings }, token) {
+    const response = await fetch(`/api/auth/calendar/config/${instructorId}/${id}`, {
+        method: 'PATCH',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(settings)
+    })
+
+    const data = await response.json()
+
+    if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to update calendar')
+    }
+
+    return data
+}
+
 /**
  * Test calendar connection
  * @param {number} instructorId - Instructor ID
+ * @param {number|null} configId - Calendar to test; the first connected one if null
  * @param {string} token - Auth token
  * @returns {Promise<Object>} Test result
  */
-async function testCalendarConnectionApi(instructorId, token) {
-    const response = await fetch(`/api/auth/calendar/test/${instructorId}`, {
+async function testCalendarConnectionApi(instructorId, configId, token) {
+    const path = configId ? `${instructorId}/${configId}` : instructorId
+    const response = await fetch(`/api/auth/calendar/test/${path}`, {
         headers: {
             'Authorization': `Bearer ${token}`
         }
@@ -88,7 +116,80 @@ async function testCalendarConnectionApi(instructorId, token) {
 }
 
 /**
- * Composable for managing Google Calendar integration using Vue Query
+ * Find the calendars in a CalDAV account
+ * @param {number} instructorId - Instructor ID
+ * @param {Object} account - { url, username, password }
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} { calendars: [{ url, name }] }
+ */
+async function discoverCalDavCalendarsApi(instructorId, account, token) {
+    const response = await fetch(`/api/auth/calendar/caldav/discover/${instructorId}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(account)
+    })
+
+    const data = await response.json()
+
+    if (!response.ok) {
+        throw new Error(data.message || data.error || 'Failed to find calendars')
+    }
+
+    return data
+}
+
+/**
+ * Remove one connected calendar
+ * @param {number} instructorId - Instructor ID
+ * @param {number} configId - Calendar to remove
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} Disconnect result
+ */
+async function removeCalendarApi(instructorId, configId, token) {
+    const response = await fetch(`/api/auth/calendar/config/${instructorId}/${configId}`, {
+        method: 'DELETE',
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    })
+
+    const data = await response.json()
+
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to disconnect calendar')
+    }
+
+    return data
+}
+
+/**
+ * Remove all of the instructor's calendars
+ * @param {number} instructorId - Instructor ID
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} Disconnect result
+ */
+async function disconnectCalendarApi(instructorId, token) {
+    const response = await fetch(`/api/auth/calendar/config/${instructorId}`, {
+        method: 'DELETE',
+        headers: {
+            'Authorization': `Bearer ${token}`
+        }
+    })
+
+    const data = await response.json()
+
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to disconnect calendar')
+    }
+
+    return data
+}
+
+/**
+ * Composable for managing calendar integration (Google, CalDAV or an ICS feed) using Vue Query
  * @param {Ref<number>|number} instructorId - Instructor ID (reactive or raw)
  * @returns {Object} Google Calendar state and methods
  */
@@ -146,13 +247,51 @@ export function useGoogleCalendar(instructorId) {
         }
     })
     
+    // Mutation: Update one calendar's settings
+    const updateCalendarMutation = useMutation({
+        mutationFn: (settings) => updateCalendarApi(normalizedInstructorId.value, settings, token.value),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ 
+                queryKey: ['googleCalendar', normalizedInstructorId.value] 
+            })
+        }
+    })
+
     // Mutation: Test calendar connection (no cache invalidation)
     const testConnectionMutation = useMutation({
-        mutationFn: () => testCalendarConnectionApi(normalizedInstructorId.value, token.value)
+        mutationFn: (configId = null) => testCalendarConnectionApi(normalizedInstructorId.value, configId, token.value)
+    })
+    
+    // Mutation: Find CalDAV calendars (no cache invalidation)
+    const discoverCalDavCalendarsMutation = useMutation({
+        mutationFn: (account) => discoverCalDavCalendarsApi(normalizedInstructorId.value, account, token.value)
+    })
+
+    // Mutation: Remove one calendar
+    const removeCalendarMutation = useMutation({
+        mutationFn: (configId) => removeCalendarApi(normalizedInstructorId.value, configId, token.value),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ 
+                queryKey: ['googleCalendar', normalizedInstructorId.value] 
+            })
+        }
+    })
+
+    // Mutation: Disconnect all calendars
+    const disconnectCalendarMutation = useMutation({
+        mutationFn: () => disconnectCalendarApi(normalizedInstructorId.value, token.value),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ 
+                queryKey: ['googleCalendar', normalizedInstructorId.value] 
+            })
+        }
     })
     
     // Derived state from setupInfo
     const calendarMethod = computed(() => setupInfo.value?.method || null)
+
+    // Every connected calendar
+    const calendars = computed(() => calendarConfig.value?.calendars || [])
     
     // Loading and error states
     const loading = computed(() => 
@@ -176,6 +315,7 @@ export function useGoogleCalendar(instructorId) {
     return {
         // State
         calendarConfig,
+        calendars,
         setupInfo,
         calendarMethod,
         loading,
@@ -187,9 +327,17 @@ export function useGoogleCalendar(instructorId) {
         
         // Mutations
         saveCalendarConfig: saveCalendarConfigMutation.mutateAsync,
+        updateCalendar: updateCalendarMutation.mutateAsync,
         testConnection: testConnectionMutation.mutateAsync,
+        discoverCalDavCalendars: discoverCalDavCalendarsMutation.mutateAsync,
+        removeCalendar: removeCalendarMutation.mutateAsync,
+        disconnectCalendar: disconnectCalendarMutation.mutateAsync,
         isSavingConfig: saveCalendarConfigMutation.isPending,
+        isUpdatingCalendar: updateCalendarMutation.isPending,
         isTestingConnection: testConnectionMutation.isPending,
+        isDiscoveringCalendars: discoverCalDavCalendarsMutation.isPending,
+        isRemovingCalendar: removeCalendarMutation.isPending,
+        isDisconnectingCalendar: disconnectCalendarMutation.isPending,
         
         // Methods
         refetchConfig,
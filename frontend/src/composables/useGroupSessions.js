@@ -0,0 +1,147 @@
+import { computed, unref } from 'vue'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/vue-query'
+import { useUserStore } from '@/stores/userStore'
+import axios from 'axios'
+
+/**
+ * Fetch a class with its enrolled students
+ * @param {number} sessionId - Group class ID
+ * @returns {Promise<Object>} { session, roster }
+ */
+async function fetchRoster(sessionId) {
+    const response = await axios.get(`/api/group-sessions/${sessionId}/roster`)
+    return response.data
+}
+
+/**
+ * Schedule a group class
+ * @param {Object} params - { instructorId, title, date, startSlot, duration, capacity }
+ */
+async function createSessionApi(params) {
+    const response = await axios.post('/api/group-sessions', params)
+    return response.data
+}
+
+/**
+ * Rename a class or change its capacity
+ * @param {Object} params - { sessionId, title, capacity }
+ */
+async function updateSessionApi({ sessionId, title, capacity }) {
+    const response = await axios.put(`/api/group-sessions/${sessionId}`, { title, capacity })
+    return response.data
+}
+
+/**
+ * Cancel a class and every seat in it
+ * @param {number} sessionId - Group class ID
+ */
+async function cancelSessionApi(sessionId) {
+    const response = await axios.delete(`/api/group-sessions/${sessionId}`)
+    return response.data
+}
+
+/**
+ * Take a seat in a class
+ * @param {Object} params - { sessionId, paymentMethod, studentId } (studentId when enrolling on behalf)
+ */
+async function enrollApi({ sessionId, paymentMethod, studentId }) {
+    const response = await axios.post(`/api/group-sessions/${sessionId}/enroll`, { paymentMethod, studentId })
+    return response.data
+}
+
+/**
+ * Give up a seat in a class
+ * @param {Object} params - { sessionId, eventId }
+ */
+async function leaveApi({ sessionId, eventId }) {
+    const response = await axios.delete(`/api/group-sessions/${sessionId}/enrollments/${eventId}`)
+    return response.data
+}
+
+/**
+ * Record a student's attendance for their seat in a class
+ * @param {Object} params - { eventId, status }
+ */
+async function markAttendanceApi({ eventId, status }) {
+    const response = await axios.post('/api/calendar/attendance', { eventId, status })
+    return response.data
+}
+
+/**
+ * Composable for group classes using Vue Query
+ * @param {Ref<number>|number} [sessionId] - Class whose roster to load (instructors and admins)
+ * @returns {Object} Roster state and class actions
+ */
+export function useGroupSessions(sessionId = null) {
+    const userStore = useUserStore()
+    const queryClient = useQueryClient()
+
+    const {
+        data: rosterData,
+        isLoading: isLoadingRoster,
+        error: rosterError
+    } = useQuery({
+        queryKey: computed(() => ['group-sessions', unref(sessionId), 'roster']),
+        queryFn: () => fetchRoster(unref(sessionId)),
+        enabled: computed(() => !!userStore.token && !!unref(sessionId)),
+        staleTime: 30 * 1000
+    })
+
+    // Seats change the calendar and, when paid with credits, the student's balance
+    const invalidateAfterChange = () => {
+        queryClient.invalidateQueries({ queryKey: ['group-sessions'] })
+        queryClient.invalidateQueries({ queryKey: ['calendar'] })
+        queryClient.invalidateQueries({ queryKey: ['credits'] })
+        queryClient.invalidateQueries({ queryKey: ['users'] })
+    }
+
+    const createSessionMutation = useMutation({
+        mutationFn: createSessionApi,
+        onSuccess: invalidateAfterChange
+    })
+
+    const updateSessionMutation = useMutation({
+        mutationFn: updateSessionApi,
+        onSuccess: invalidateAfterChange
+    })
+
+    const cancelSessionMutation = useMutation({
+        mutationFn: cancelSessionApi,
+        onSuccess: invalidateAfterChange
+    })
+
+    const enrollMutation = useMutation({
+        mutationFn: enrollApi,
+        onSuccess: invalidateAfterChange
+    })
+
+    const leaveMutation = useMutation({
+        mutationFn: leaveApi,
+        onSuccess: invalidateAfterChange
+    })
+
+    const markAttendanceMutation = useMutation({
+        mutationFn: markAttendanceApi,
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['group-sessions'] })
+        }
+    })
+
+    return {
+        session: computed(() => rosterData.value?.session || null),
+        roster: computed(() => rosterData.value?.roster || []),
+        isLoadingRoster,
+        rosterError,
+        createSession: createSessionMutation.mutateAsync,
+        isCreatingSession: createSessionMutation.isPending,
+        updateSession: updateSessionMutation.mutateAsync,
+        isUpdatingSession: updateSessionMutation.isPending,
+        cancelSession: cancelSessionMutation.mutateAsync,
+        isCancellingSession: cancelSessionMutation.isPending,
+        enroll: enrollMutation.mutateAsync,
+        isEnrolling: enrollMutation.isPending,
+        leave: leaveMutation.mutateAsync,
+        isLeaving: leaveMutation.isPending,
+        markAttendance: markAttendanceMutation.mutateAsync
+    }
+}
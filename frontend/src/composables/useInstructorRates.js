@@ -0,0 +1,102 @@
+/**
+ * useInstructorRates
+ *
+ * An instructor's rate card: the price of each lesson type, paid online by card
+ * or in person. Entries the instructor hasn't priced follow their base rate
+ * (hourly_rate, the price of a 30-minute lesson) times the lesson type's
+ * price multiplier.
+ *
+ * @example Booking.vue
+ *   const { getLessonPrice } = useInstructorRates(computed(() => slot.instructorId))
+ *   getLessonPrice(60, 'in-person')
+ */
+
+import { computed, unref } from 'vue'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/vue-query'
+import { useUserStore } from '@/stores/userStore'
+
+// Base rate the server uses for instructors who haven't set one
+const DEFAULT_BASE_RATE = 50
+
+async function fetchRates(instructorId, token) {
+    const res = await fetch(`/api/instructors/${instructorId}/rates`, {
+        headers: { Authorization: `Bearer ${token}` }
+    })
+    if (!res.ok) throw new Error('Failed to fetch lesson prices')
+    return res.json()
+}
+
+async function updateRatesApi(instructorId, rates, token) {
+    const res = await fetch(`/api/instructors/${instructorId}/rates`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ rates })
+    })
+    if (!res.ok) {
+        const body = await res.json()
+        throw new Error(body.error || 'Failed to update lesson prices')
+    }
+    return res.json()
+}
+
+/**
+ * @param {number|Ref<number>} instructorId - Instructor whose prices to load
+ * @returns {Object} Rate card state, a price lookup and the update mutation
+ */
+export function useInstructorRates(instructorId) {
+    const userStore = useUserStore()
+    const queryClient = useQueryClient()
+    const token = computed(() => userStore.token)
+    const id = computed(() => unref(instructorId) ?? null)
+
+    const {
+        data: rateCard,
+        isLoading: isLoadingRates,
+        error: ratesError,
+        refetch: refetchRates
+    } = useQuery({
+        queryKey: computed(() => ['instructors', id.value, 'rates']),
+        queryFn: () => fetchRates(id.value, token.value),
+        enabled: computed(() => !!token.value && !!id.value),
+        staleTime: 5 * 60 * 1000
+    })
+
+    const rates = computed(() => rateCard.value?.rates || [])
+    const baseRate = computed(() => rateCard.value?.base_rate || DEFAULT_BASE_RATE)
+
+    /**
+     * Price of a lesson, matching what the server charges
+     * @param {number|string} durationMinutes - Lesson length in minutes
+     * @param {string} [paymentMethod] - 'in-person' for the in-person price, otherwise the online price
+     * @returns {number} Price, rounded to cents
+     */
+    const getLessonPrice = (durationMinutes, paymentMethod = 'direct') => {
+        const minutes = parseInt(durationMinutes)
+        const rate = rates.value.find(entry => entry.duration_minutes === minutes)
+        if (rate) {
+            return paymentMethod === 'in-person' ? rate.in_person_price : rate.online_price
+        }
+        // Lengths that aren't lesson types (group classes) cost the base rate per 30 minutes
+        return Math.round(baseRate.value * (minutes / 30) * 100) / 100
+    }
+
+    const updateRatesMutation = useMutation({
+        mutationFn: (newRates) => updateRatesApi(id.value, newRates, token.value),
+        onSuccess: (data) => {
+            queryClient.setQueryData(['instructors', id.value, 'rates'], data)
+            queryClient.invalidateQueries({ queryKey: ['users', 'me', 'paymentOptions'] })
+        }
+    })
+
+    return {
+        rateCard,
+        rates,
+        baseRate,
+        isLoadingRates,
+        ratesError,
+        refetchRates,
+        getLessonPrice,
+        updateRates: updateRatesMutation.mutateAsync,
+        isUpdatingRates: updateRatesMutation.isPending
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * useOutstandingPayments
+ *
+ * Lessons booked to pay in person that haven't been paid in full yet. Instructors
+ * see their own lessons and admins everyone's, with what each student owes.
+ * Payments can be recorded in parts against a booking, or several lessons
+ * marked paid at once.
+ *
+ * @example OutstandingPayments.vue
+ *   const { payments, students, markPaid } = useOutstandingPayments()
+ *   await markPaid([12, 15])
+ */
+
+import { computed, unref } from 'vue'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/vue-query'
+import { useUserStore } from '@/stores/userStore'
+
+async function request(url, token, options = {}, fallbackError = 'Request failed') {
+    const res = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+            ...options.headers
+        }
+    })
+    if (!res.ok) {
+        const body = await res.json().catch(() => ({}))
+        throw new Error(body.error || fallbackError)
+    }
+    return res.json()
+}
+
+/**
+ * Outstanding in-person payments
+ * @param {Ref<number>|number} [studentId] - Only this student's lessons
+ * @returns {Object} Payments, balances by student and payment actions
+ */
+export function useOutstandingPayments(studentId = null) {
+    const userStore = useUserStore()
+    const queryClient = useQueryClient()
+    const token = computed(() => userStore.token)
+
+    const {
+        data,
+        isLoading: isLoadingPayments,
+        error: paymentsError,
+        refetch: refetchPayments
+    } = useQuery({
+        queryKey: ['outstandingPayments', studentId],
+        queryFn: () => {
+            const id = unref(studentId)
+            const query = id ? `?studentId=${encodeURIComponent(id)}` : ''
+            return request(`/api/calendar/outstanding-payments${query}`, token.value, {}, 'Failed to fetch outstanding payments')
+        },
+        enabled: computed(() => !!token.value && userStore.canCollectPayments),
+        staleTime: 60 * 1000
+    })
+
+    // Bookings show their payment status too
+    const invalidatePayments = () => {
+        queryClient.invalidateQueries({ queryKey: ['outstandingPayments'] })
+        queryClient.invalidateQueries({ queryKey: ['calendar'] })
+        queryClient.invalidateQueries({ queryKey: ['users'] })
+    }
+
+    const markPaidMutation = useMutation({
+        mutationFn: (transactionIds) => request(
+            '/api/calendar/outstanding-payments/mark-paid',
+            token.value,
+            { method: 'POST', body: JSON.stringify({ transactionIds }) },
+            'Failed to mark payments paid'
+        ),
+        onSuccess: invalidatePayments
+    })
+
+    const recordMutation = useMutation({
+        mutationFn: ({ bookingId, amount, notes }) => request(
+            `/api/calendar/bookings/${bookingId}/payments`,
+            token.value,
+            { method: 'POST', body: JSON.stringify({ amount, notes }) },
+            'Failed to record payment'
+        ),
+        onSuccess: invalidatePayments
+    })
+
+    return {
+        payments: computed(() => data.value?.payments || []),
+        students: computed(() => data.value?.students || []),
+        totals: computed(() => data.value?.totals || { lessons: 0, balance: 0 }),
+        isLoadingPayments,
+        paymentsError,
+        refetchPayments,
+        markPaid: markPaidMutation.mutateAsync,
+        recordPayment: recordMutation.mutateAsync,
+        isUpdatingPayments: computed(() => markPaidMutation.isPending.value || recordMutation.isPending.value)
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * usePaymentMethods
+ *
+ * The student's saved cards, and one-click purchases of lesson packages with
+ * them. A purchase that needs 3D Secure comes back with status 'requires_action'
+ * and a client secret; after the student authenticates (stripe.handleNextAction),
+ * completePayment records the outcome.
+ *
+ * @example PaymentPlans.vue
+ *   const { defaultPaymentMethod, purchaseWithSavedCard, completePayment } = usePaymentMethods()
+ */
+
+import { computed } from 'vue'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/vue-query'
+import { useUserStore } from '@/stores/userStore'
+
+async function request(url, token, options = {}, fallbackError = 'Request failed') {
+    const res = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+            ...options.headers
+        }
+    })
+    if (!res.ok) {
+        const body = await res.json().catch(() => ({}))
+        throw new Error(body.error || fallbackError)
+    }
+    return res.json()
+}
+
+/**
+ * @returns {Object} Saved cards, card management mutations and saved-card purchases
+ */
+export function usePaymentMethods() {
+    const userStore = useUserStore()
+    const queryClient = useQueryClient()
+    const token = computed(() => userStore.token)
+    const userId = computed(() => userStore.user?.id)
+
+    const {
+        data: paymentMethods,
+        isLoading: isLoadingPaymentMethods,
+        error: paymentMethodsError,
+        refetch: refetchPaymentMethods
+    } = useQuery({
+        queryKey: ['paymentMethods', userId],
+        queryFn: () => request('/api/payments/payment-methods', token.value, {}, 'Failed to fetch saved cards'),
+        enabled: computed(() => !!token.value && !!userId.value),
+        staleTime: 5 * 60 * 1000
+    })
+
+    const savedCards = computed(() => paymentMethods.value || [])
+    const defaultPaymentMethod = computed(() => {
+        return savedCards.value.find(card => card.is_default) || savedCards.value[0] || null
+    })
+
+    const invalidatePaymentMethods = () => {
+        queryClient.invalidateQueries({ queryKey: ['paymentMethods', userId.value] })
+    }
+
+    // Credits and transaction history change once a purchase completes
+    const invalidateCredits = () => {
+        queryClient.invalidateQueries({ queryKey: ['credits', userId.value] })
+    }
+
+    /**
+     * Start saving a new card
+     * @returns {Promise<Object>} { clientSecret } for stripe.confirmCardSetup
+     */
+    const createSetupIntent = () => request(
+        '/api/payments/payment-methods/setup-intent',
+        token.value,
+        { method: 'POST' },
+        'Failed to start saving card'
+    )
+
+    const setDefaultMutation = useMutation({
+        mutationFn: (paymentMethodId) => request(
+            `/api/payments/payment-methods/${paymentMethodId}/default`,
+            token.value,
+            { method: 'PUT' },
+            'Failed to update default card'
+        ),
+        onSuccess: (data) => {
+            queryClient.setQueryData(['paymentMethods', userId.value], data)
+        }
+    })
+
+    const removeMutation = useMutation({
+        mutationFn: (paymentMethodId) => request(
+            `/api/payments/payment-methods/${paymentMethodId}`,
+            token.value,
+            { method: 'DELETE' },
+            'Failed to remove card'
+        ),
+        onSuccess: invalidatePaymentMethods
+    })
+
+    const purchaseMutation = useMutation({
+        mutationFn: ({ planId, paymentMethodId, promoCode }) => request(
+            '/api/payments/purchase-with-saved-card',
+            token.value,
+            { method: 'POST', body: JSON.stringify({ planId, paymentMethodId, promoCode }) },
+            'Payment failed'
+        ),
+        onSuccess: (data) => {
+            if (data.status === 'succeeded') {
+                invalidateCredits()
+            }
+        }
+    })
+
+    const completeMutation = useMutation({
+        mutationFn: (paymentIntentId) => request(
+            '/api/payments/complete-payment',
+            token.value,
+            { method: 'POST', body: JSON.stringify({ paymentIntentId }) },
+            'Failed to complete payment'
+        ),
+        onSuccess: invalidateCredits
+    })
+
+    return {
+        paymentMethods,
+        savedCards,
+        defaultPaymentMethod,
+        isLoadingPaymentMethods,
+        paymentMethodsError,
+        refetchPaymentMethods,
+        invalidatePaymentMethods,
+        createSetupIntent,
+        setDefaultPaymentMethod: setDefaultMutation.mutateAsync,
+        removePaymentMethod: removeMutation.mutateAsync,
+        purchaseWithSavedCard: purchaseMutation.mutateAsync,
+        completePayment: completeMutation.mutateAsync,
+        isUpdatingPaymentMethods: computed(() => setDefaultMutation.isPending.value || removeMutation.isPending.value),
+        isPurchasing: computed(() => purchaseMutation.isPending.value || completeMutation.isPending.value)
+    }
+}
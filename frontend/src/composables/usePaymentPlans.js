@@ -245,10 +245,10 @@ export function usePaymentPlans(userId = null) {
         paymentPlans.value?.filter(plan => plan.type === 'membership') || []
     )
     
-    // Computed: Filter active subscriptions
+    // Computed: Filter active subscriptions, including ones with an overdue payment
     const activeSubscriptions = computed(() => 
         subscriptions.value?.filter(sub => 
-            sub.status === 'active' && 
+            ['active', 'past_due'].includes(sub.status) && 
             sub.PaymentPlan?.type === 'membership'
         ) || []
     )
@@ -287,6 +287,12 @@ export function usePaymentPlans(userId = null) {
         queryClient.invalidateQueries({ queryKey: ['recurringBookings', normalizedUserId.value] })
     }
     
+    // Recurring bookings book (and cancel) real lessons paid with credits
+    const invalidateRecurringLessons = () => {
+        queryClient.invalidateQueries({ queryKey: ['calendar'] })
+        queryClient.invalidateQueries({ queryKey: ['credits', normalizedUserId.value] })
+    }
+    
     const invalidateAll = () => {
         queryClient.invalidateQueries({ queryKey: ['paymentPlans'] })
         invalidateSubscriptions()
@@ -299,6 +305,7 @@ export function usePaymentPlans(userId = null) {
         onSuccess: () => {
             // Invalidate recurring bookings to refetch the list
             invalidateRecurringBookings()
+            invalidateRecurringLessons()
         }
     })
     
@@ -309,8 +316,8 @@ export function usePaymentPlans(userId = null) {
             // Invalidate subscriptions and recurring bookings
             invalidateSubscriptions()
             invalidateRecurringBookings()
-            // Also invalidate credits as cancellation may award credits
-            queryClient.invalidateQueries({ queryKey: ['credits', normalizedUserId.value] })
+            // Also invalidate credits and lessons as cancellation may award credits and cancel lessons
+            invalidateRecurringLessons()
         }
     })
     
@@ -320,6 +327,7 @@ export function usePaymentPlans(userId = null) {
         onSuccess: () => {
             // Invalidate recurring bookings to refetch the list
             invalidateRecurringBookings()
+            invalidateRecurringLessons()
         }
     })
     
@@ -330,6 +338,7 @@ export function usePaymentPlans(userId = null) {
         onSuccess: () => {
             // Invalidate recurring bookings to refetch the list
             invalidateRecurringBookings()
+            invalidateRecurringLessons()
         }
     })
     
@@ -0,0 +1,121 @@
+import { computed } from 'vue'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/vue-query'
+import { useUserStore } from '@/stores/userStore'
+
+/**
+ * Send a promo code request and return the JSON body
+ * @param {string} url - API URL
+ * @param {string} token - Auth token
+ * @param {Object} options - fetch options
+ * @param {string} fallbackError - Error message when the API gives none
+ * @returns {Promise<Object>} Response body
+ */
+async function request(url, token, options = {}, fallbackError = 'Request failed') {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        }
+    })
+
+    const data = await response.json().catch(() => ({}))
+
+    if (!response.ok) {
+        throw new Error(data.error || fallbackError)
+    }
+
+    return data
+}
+
+/**
+ * Composable for promo codes using Vue Query.
+ * Admins manage the codes; students check a code against a plan before paying.
+ * @returns {Object} Promo codes state and methods
+ */
+export function usePromoCodes() {
+    const userStore = useUserStore()
+    const queryClient = useQueryClient()
+    const token = computed(() => userStore.token)
+
+    // Query: Fetch all promo codes with their usage (admin only)
+    const {
+        data: promoCodes,
+        isLoading: isLoadingPromoCodes,
+        error: promoCodesError,
+        refetch: refetchPromoCodes
+    } = useQuery({
+        queryKey: ['promoCodes'],
+        queryFn: () => request('/api/admin/promo-codes', token.value, {}, 'Failed to load promo codes'),
+        enabled: computed(() => !!token.value && userStore.user?.role === 'admin'),
+        staleTime: 5 * 60 * 1000 // 5 minutes
+    })
+
+    const invalidatePromoCodes = () => {
+        queryClient.invalidateQueries({ queryKey: ['promoCodes'] })
+    }
+
+    // Mutation: Create promo code
+    const createPromoCodeMutation = useMutation({
+        mutationFn: (promoCodeData) => request(
+            '/api/admin/promo-codes',
+            token.value,
+            { method: 'POST', body: JSON.stringify(promoCodeData) },
+            'Failed to create promo code'
+        ),
+        onSuccess: invalidatePromoCodes
+    })
+
+    // Mutation: Update promo code (also used to deactivate it)
+    const updatePromoCodeMutation = useMutation({
+        mutationFn: ({ promoCodeId, promoCodeData }) => request(
+            `/api/admin/promo-codes/${promoCodeId}`,
+            token.value,
+            { method: 'PUT', body: JSON.stringify(promoCodeData) },
+            'Failed to update promo code'
+        ),
+        onSuccess: invalidatePromoCodes
+    })
+
+    // Mutation: Delete promo code
+    const deletePromoCodeMutation = useMutation({
+        mutationFn: (promoCodeId) => request(
+            `/api/admin/promo-codes/${promoCodeId}`,
+            token.value,
+            { method: 'DELETE' },
+            'Failed to delete promo code'
+        ),
+        onSuccess: invalidatePromoCodes
+    })
+
+    /**
+     * Price a plan with a promo code
+     * @param {string} code - Promo code as entered
+     * @param {number} planId - Payment plan ID
+     * @returns {Promise<Object>} { code, description, discount_amount, final_price }
+     */
+    const checkPromoCode = (code, planId) => request(
+        '/api/payments/promo-codes/check',
+        token.value,
+        { method: 'POST', body: JSON.stringify({ code, planId }) },
+        'Promo code could not be applied'
+    )
+
+    return {
+        // State
+        promoCodes: computed(() => promoCodes.value || []),
+        isLoadingPromoCodes,
+        promoCodesError,
+
+        // Mutations
+        createPromoCode: createPromoCodeMutation.mutateAsync,
+        updatePromoCode: updatePromoCodeMutation.mutateAsync,
+        deletePromoCode: deletePromoCodeMutation.mutateAsync,
+        isSavingPromoCode: computed(() => createPromoCodeMutation.isPending.value || updatePromoCodeMutation.isPending.value),
+
+        // Methods
+        checkPromoCode,
+        refetchPromoCodes,
+        invalidatePromoCodes
+    }
+}
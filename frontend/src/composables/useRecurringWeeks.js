@@ -0,0 +1,85 @@
+import { computed, unref } from 'vue'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/vue-query'
+import { useUserStore } from '@/stores/userStore'
+import axios from 'axios'
+
+/**
+ * Fetch the coming weeks of a recurring booking
+ * @param {number} recurringBookingId - Recurring booking ID
+ * @returns {Promise<Array>} Weeks with their date, time and status (scheduled, moved, skipped or cancelled)
+ */
+async function fetchRecurringWeeks(recurringBookingId) {
+    const response = await axios.get(`/api/recurring-bookings/${recurringBookingId}/occurrences`)
+    return response.data.weeks
+}
+
+/**
+ * Skip one week, or move it to another date and time
+ * @param {Object} params - { recurringBookingId, date, type, newDate, newStartSlot }
+ */
+async function changeWeekApi({ recurringBookingId, date, type, newDate, newStartSlot }) {
+    const response = await axios.put(
+        `/api/recurring-bookings/${recurringBookingId}/occurrences/${date}`,
+        { type, newDate, newStartSlot }
+    )
+    return response.data
+}
+
+/**
+ * Put a skipped or moved week back at the regular time
+ * @param {Object} params - { recurringBookingId, date }
+ */
+async function restoreWeekApi({ recurringBookingId, date }) {
+    const response = await axios.delete(`/api/recurring-bookings/${recurringBookingId}/occurrences/${date}`)
+    return response.data
+}
+
+/**
+ * Composable for skipping and moving single weeks of a recurring booking using Vue Query
+ * @param {Ref<number>|number} recurringBookingId - Recurring booking ID
+ * @returns {Object} Weeks state and methods
+ */
+export function useRecurringWeeks(recurringBookingId) {
+    const userStore = useUserStore()
+    const queryClient = useQueryClient()
+
+    const queryKey = computed(() => ['recurringWeeks', unref(recurringBookingId)])
+
+    const {
+        data: weeks,
+        isLoading: isLoadingWeeks,
+        error: weeksError
+    } = useQuery({
+        queryKey,
+        queryFn: () => fetchRecurringWeeks(unref(recurringBookingId)),
+        enabled: computed(() => !!userStore.token && !!unref(recurringBookingId))
+    })
+
+    // Skipping or moving a week cancels, moves or books a lesson (and its credit)
+    const handleWeekChanged = (data) => {
+        queryClient.setQueryData(queryKey.value, data.weeks)
+        queryClient.invalidateQueries({ queryKey: ['calendar'] })
+        queryClient.invalidateQueries({ queryKey: ['credits'] })
+    }
+
+    const changeWeekMutation = useMutation({
+        mutationFn: (params) => changeWeekApi({ recurringBookingId: unref(recurringBookingId), ...params }),
+        onSuccess: handleWeekChanged
+    })
+
+    const restoreWeekMutation = useMutation({
+        mutationFn: (date) => restoreWeekApi({ recurringBookingId: unref(recurringBookingId), date }),
+        onSuccess: handleWeekChanged
+    })
+
+    return {
+        weeks: computed(() => weeks.value || []),
+        isLoadingWeeks,
+        weeksError,
+        skipWeek: (date) => changeWeekMutation.mutateAsync({ date, type: 'skip' }),
+        moveWeek: (date, newDate, newStartSlot) => changeWeekMutation.mutateAsync({ date, type: 'move', newDate, newStartSlot }),
+        isChangingWeek: changeWeekMutation.isPending,
+        restoreWeek: restoreWeekMutation.mutateAsync,
+        isRestoringWeek: restoreWeekMutation.isPending
+    }
+}
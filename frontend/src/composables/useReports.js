@@ -0,0 +1,102 @@
+/**
+ * useReports
+ *
+ * Admin reports: revenue, instructor utilization, attendance, credit liability
+ * and subscription churn. Each report is loaded for a date range and grouping
+ * shared by the dashboard's filters; credit liability is always as of today.
+ *
+ * @example ReportsDashboard.vue
+ *   const filters = ref({ ...recentMonthsRange(6), groupBy: 'month' })
+ *   const { report: revenue, isLoadingReport } = useReport('revenue', filters)
+ */
+
+import { computed, unref } from 'vue'
+import { useQuery } from '@tanstack/vue-query'
+import { useUserStore } from '@/stores/userStore'
+
+async function request(url, token, options = {}, fallbackError = 'Request failed') {
+    const res = await fetch(url, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+            ...options.headers
+        }
+    })
+    if (!res.ok) {
+        const body = await res.json().catch(() => ({}))
+        throw new Error(body.error || fallbackError)
+    }
+    return res.json()
+}
+
+// Reports that take a date range, and whether they're broken down into periods
+const REPORTS = {
+    revenue: { ranged: true, grouped: true },
+    utilization: { ranged: true, grouped: false },
+    attendance: { ranged: true, grouped: true },
+    'credit-liability': { ranged: false, grouped: false },
+    subscriptions: { ranged: true, grouped: true }
+}
+
+const toDateString = (date) => date.toISOString().slice(0, 10)
+
+/**
+ * The last few whole months up to today
+ * @param {number} months - How many months, counting the current one
+ * @returns {Object} { from, to } as 'YYYY-MM-DD'
+ */
+export function recentMonthsRange(months) {
+    const today = new Date()
+    const from = new Date(Date.UTC(today.getFullYear(), today.getMonth() - (months - 1), 1))
+    const to = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()))
+    return { from: toDateString(from), to: toDateString(to) }
+}
+
+/**
+ * Load one report
+ * @param {string} report - 'revenue', 'utilization', 'attendance', 'credit-liability' or 'subscriptions'
+ * @param {Ref<Object>|Object} filters - { from, to, groupBy }, with dates as 'YYYY-MM-DD'
+ * @returns {Object} The report and its loading state
+ */
+export function useReport(report, filters = {}) {
+    const userStore = useUserStore()
+    const token = computed(() => userStore.token)
+    const { ranged, grouped } = REPORTS[report]
+
+    // Only the filters this report uses, so changing grouping doesn't reload the others
+    const params = computed(() => {
+        const { from, to, groupBy } = unref(filters) || {}
+        if (!ranged) return {}
+        return grouped ? { from, to, groupBy } : { from, to }
+    })
+
+    const {
+        data,
+        isLoading: isLoadingReport,
+        error: reportError,
+        refetch: refetchReport
+    } = useQuery({
+        queryKey: ['reports', report, params],
+        queryFn: () => {
+            const query = new URLSearchParams(
+                Object.entries(params.value).filter(([, value]) => value)
+            ).toString()
+            return request(
+                `/api/admin/reports/${report}${query ? `?${query}` : ''}`,
+                token.value,
+                {},
+                'Failed to load report'
+            )
+        },
+        enabled: computed(() => !!token.value && (!ranged || (!!params.value.from && !!params.value.to))),
+        staleTime: 5 * 60 * 1000
+    })
+
+    return {
+        report: computed(() => data.value || null),
+        isLoadingReport,
+        reportError,
+        refetchReport
+    }
+}
@@ -0,0 +1,74 @@
+import { computed } from 'vue'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/vue-query'
+import { useUserStore } from '@/stores/userStore'
+import axios from 'axios'
+
+/**
+ * Fetch the current user's active login sessions
+ * @returns {Promise<Array>} Sessions, with `current` set on the one making the request
+ */
+async function fetchSessions() {
+    const response = await axios.get('/api/auth/sessions')
+    return response.data.sessions
+}
+
+/**
+ * Sign out a single device
+ * @param {number} sessionId - Session ID
+ */
+async function revokeSessionApi(sessionId) {
+    const response = await axios.delete(`/api/auth/sessions/${sessionId}`)
+    return response.data
+}
+
+/**
+ * Sign out every device except this one
+ */
+async function revokeOtherSessionsApi() {
+    const response = await axios.delete('/api/auth/sessions')
+    return response.data
+}
+
+/**
+ * Composable for listing and revoking login sessions using Vue Query
+ * @returns {Object} Sessions state and methods
+ */
+export function useSessions() {
+    const userStore = useUserStore()
+    const queryClient = useQueryClient()
+
+    const {
+        data: sessions,
+        isLoading: isLoadingSessions,
+        error: sessionsError
+    } = useQuery({
+        queryKey: ['sessions'],
+        queryFn: fetchSessions,
+        enabled: computed(() => !!userStore.token),
+        staleTime: 30 * 1000
+    })
+
+    const invalidateSessions = () => {
+        queryClient.invalidateQueries({ queryKey: ['sessions'] })
+    }
+
+    const revokeSessionMutation = useMutation({
+        mutationFn: revokeSessionApi,
+        onSuccess: invalidateSessions
+    })
+
+    const revokeOtherSessionsMutation = useMutation({
+        mutationFn: revokeOtherSessionsApi,
+        onSuccess: invalidateSessions
+    })
+
+    return {
+        sessions: computed(() => sessions.value || []),
+        isLoadingSessions,
+        sessionsError,
+        revokeSession: revokeSessionMutation.mutateAsync,
+        isRevokingSession: revokeSessionMutation.isPending,
+        revokeOtherSessions: revokeOtherSessionsMutation.mutateAsync,
+        isRevokingOtherSessions: revokeOtherSessionsMutation.isPending
+    }
+}
@@ -57,7 +57,9 @@ export function useStripe() {
         }
     }
 
-    const mountPaymentElement = async (element, amount, mode = 'payment') => {
+    // mode is 'payment', 'subscription' or 'setup' (saving a card without paying);
+    // extraOptions are merged into the Elements options, e.g. { paymentMethodTypes: ['card'] }
+    const mountPaymentElement = async (element, amount, mode = 'payment', extraOptions = {}) => {
         try {
             if (!stripe.value) {
                 await initializeStripe()
@@ -87,7 +89,8 @@ export function useStripe() {
                             borderColor: '#4F46E5'
                         }
                     }
-                }
+                },
+                ...extraOptions
             }
 
             // Add amount for both payment and subscription modes
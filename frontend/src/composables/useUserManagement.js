@@ -224,6 +224,27 @@ async function updateUserApprovalApi(userId, isApproved, token) {
   return response.json()
 }
 
+/**
+ * Override user email verification status
+ */
+async function updateUserEmailVerificationApi(userId, isVerified, token) {
+  const response = await fetch(`/api/users/${userId}/email-verification`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({ isVerified })
+  })
+  
+  if (!response.ok) {
+    const data = await response.json()
+    throw new Error(data.error || 'Failed to update email verification')
+  }
+  
+  return response.json()
+}
+
 /**
  * Update user profile data (phone, address, minor status)
  */
@@ -360,6 +381,15 @@ export function useUserManagement() {
     },
   })
   
+  // Mutation: Override user email verification status
+  const updateUserEmailVerificationMutation = useMutation({
+    mutationFn: ({ userId, isVerified }) => updateUserEmailVerificationApi(userId, isVerified, token.value),
+    onSuccess: () => {
+      // Invalidate and refetch users list
+      queryClient.invalidateQueries({ queryKey: ['users'] })
+    },
+  })
+  
   // Mutation: Update user profile data
   const updateUserProfileMutation = useMutation({
     mutationFn: ({ userId, profileData }) => updateUserProfileApi(userId, profileData, token.value),
@@ -402,6 +432,10 @@ export function useUserManagement() {
     updateUserApproval: updateUserApprovalMutation.mutateAsync,
     isUpdatingUserApproval: updateUserApprovalMutation.isPending,
     
+    // User Email Verification
+    updateUserEmailVerification: updateUserEmailVerificationMutation.mutateAsync,
+    isUpdatingUserEmailVerification: updateUserEmailVerificationMutation.isPending,
+    
     // User Profile
     updateUserProfile: updateUserProfileMutation.mutateAsync,
     isUpdatingUserProfile: updateUserProfileMutation.isPending,
@@ -0,0 +1,79 @@
+import { computed } from 'vue'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/vue-query'
+import { useUserStore } from '@/stores/userStore'
+import axios from 'axios'
+
+/**
+ * Fetch the current student's waitlist entries
+ * @returns {Promise<Array>} Entries that are waiting or holding a time
+ */
+async function fetchWaitlist() {
+    const response = await axios.get('/api/waitlist')
+    return response.data.entries
+}
+
+/**
+ * Join the waitlist for a taken time
+ * @param {Object} params - { instructorId, startTime, endTime } with ISO date strings
+ */
+async function joinWaitlistApi({ instructorId, startTime, endTime }) {
+    const response = await axios.post('/api/waitlist', { instructorId, startTime, endTime })
+    return response.data
+}
+
+/**
+ * Leave the waitlist (gives up a hold if one was offered)
+ * @param {number} entryId - Waitlist entry ID
+ */
+async function leaveWaitlistApi(entryId) {
+    const response = await axios.delete(`/api/waitlist/${entryId}`)
+    return response.data
+}
+
+/**
+ * Composable for a student's lesson waitlist using Vue Query
+ * @returns {Object} Waitlist state and methods
+ */
+export function useWaitlist() {
+    const userStore = useUserStore()
+    const queryClient = useQueryClient()
+
+    const {
+        data: entries,
+        isLoading: isLoadingWaitlist,
+        error: waitlistError
+    } = useQuery({
+        queryKey: ['waitlist'],
+        queryFn: fetchWaitlist,
+        enabled: computed(() => !!userStore.token && userStore.isStudent),
+        staleTime: 30 * 1000
+    })
+
+    const invalidateWaitlist = () => {
+        queryClient.invalidateQueries({ queryKey: ['waitlist'] })
+    }
+
+    const joinWaitlistMutation = useMutation({
+        mutationFn: joinWaitlistApi,
+        onSuccess: invalidateWaitlist
+    })
+
+    const leaveWaitlistMutation = useMutation({
+        mutationFn: leaveWaitlistApi,
+        onSuccess: () => {
+            invalidateWaitlist()
+            // A given-up hold frees the time on the calendar
+            queryClient.invalidateQueries({ queryKey: ['calendar'] })
+        }
+    })
+
+    return {
+        entries: computed(() => entries.value || []),
+        isLoadingWaitlist,
+        waitlistError,
+        joinWaitlist: joinWaitlistMutation.mutateAsync,
+        isJoiningWaitlist: joinWaitlistMutation.isPending,
+        leaveWaitlist: leaveWaitlistMutation.mutateAsync,
+        isLeavingWaitlist: leaveWaitlistMutation.isPending
+    }
+}
@@ -14,6 +14,7 @@ import './styles/form-utilities.css'
 import App from './App.vue'
 import router from './router'
 import { useSettingsStore } from './stores/settingsStore'
+import { useUserStore } from './stores/userStore'
 import { toastOptions } from './config/toast'
 import { vueQueryConfig } from './config/vueQuery'
 
@@ -45,4 +46,7 @@ app.use(VueQueryPlugin, vueQueryConfig)
 const settingsStore = useSettingsStore()
 settingsStore.initialize()
 
+// Renew expired access tokens transparently before the first navigation
+useUserStore().installRefreshInterceptor()
+
 app.mount('#app')
@@ -8,6 +8,18 @@ const routes = [
         name: 'home',
         component: () => import('../views/HomePage.vue')
     },
+    {
+        path: '/reset-password',
+        name: 'reset-password',
+        component: () => import('../views/ResetPasswordPage.vue'),
+        meta: { public: true }
+    },
+    {
+        path: '/verify-email',
+        name: 'verify-email',
+        component: () => import('../views/VerifyEmailPage.vue'),
+        meta: { public: true }
+    },
     {
         path: '/account',
         component: () => import('../views/AccountPage.vue'),
@@ -49,6 +61,42 @@ const routes = [
             permission: { action: 'manage', subject: 'Package' }
         }
     },
+    {
+        path: '/admin/payouts',
+        name: 'manage-payouts',
+        component: () => import('../views/ManagePayoutsPage.vue'),
+        meta: { 
+            requiresAuth: true,
+            permission: { action: 'manage', subject: 'User' }
+        }
+    },
+    {
+        path: '/admin/reports',
+        name: 'reports',
+        component: () => import('../views/ReportsPage.vue'),
+        meta: {
+            requiresAuth: true,
+            permission: { action: 'manage', subject: 'User' }
+        }
+    },
+    {
+        path: '/outstanding-payments',
+        name: 'outstanding-payments',
+        component: () => import('../views/OutstandingPaymentsPage.vue'),
+        meta: {
+            requiresAuth: true,
+            permission: { action: 'collect', subject: 'InPersonPayment' }
+        }
+    },
+    {
+        path: '/earnings',
+        name: 'earnings',
+        component: () => import('../views/EarningsPage.vue'),
+        meta: {
+            requiresAuth: true,
+            permission: { action: 'read', subject: 'OwnEarnings' }
+        }
+    },
     {
         path: '/admin/settings',
         name: 'admin-settings',
@@ -3,10 +3,27 @@ import axios from 'axios';
 import { subject } from '@casl/ability';
 import { defineAbilitiesFor } from '@/utils/abilities';
 
+// Renew the access token this long before it expires
+const REFRESH_LEEWAY_MS = 60 * 1000;
+
+let refreshTimer = null;
+let refreshPromise = null;
+
+// Read the expiry (ms since epoch) from a JWT without verifying it
+const getTokenExpiry = (token) => {
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return payload.exp ? payload.exp * 1000 : null;
+    } catch {
+        return null;
+    }
+};
+
 export const useUserStore = defineStore('user', {
     state: () => ({
         user: null,
         token: localStorage.getItem('token') || null,
+        refreshToken: localStorage.getItem('refreshToken') || null,
         isAuthenticated: !!localStorage.getItem('token')
     }),
 
@@ -37,6 +54,8 @@ export const useUserStore = defineStore('user', {
         // Role-specific permissions (exclude admins)
         canCreateStudentBooking: (state) => state.user ? defineAbilitiesFor(state.user).can('create', 'StudentBooking') : false,
         canManageOwnInstructorCalendar: (state) => state.user ? defineAbilitiesFor(state.user).can('manage', 'OwnInstructorCalendar') : false,
+        canViewOwnEarnings: (state) => state.user ? defineAbilitiesFor(state.user).can('read', 'OwnEarnings') : false,
+        canCollectPayments: (state) => state.user ? defineAbilitiesFor(state.user).can('collect', 'InPersonPayment') : false,
         
         // User role editing permissions
         canEditUserRole: (state) => state.user ? defineAbilitiesFor(state.user).can('edit', 'UserRole') : false,
@@ -60,46 +79,181 @@ export const useUserStore = defineStore('user', {
         clearUser() {
             this.user = null;
             this.token = null;
+            this.refreshToken = null;
             this.isAuthenticated = false;
             localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
             delete axios.defaults.headers.common['Authorization'];
+            clearTimeout(refreshTimer);
+        },
+
+        // Store a new access/refresh token pair and schedule the next renewal
+        setSession({ token, refreshToken }) {
+            this.token = token;
+            this.refreshToken = refreshToken;
+            this.isAuthenticated = true;
+
+            localStorage.setItem('token', token);
+            localStorage.setItem('refreshToken', refreshToken);
+            axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+
+            this.scheduleRefresh();
+        },
+
+        scheduleRefresh() {
+            clearTimeout(refreshTimer);
+            const expiresAt = getTokenExpiry(this.token);
+            if (!expiresAt || !this.refreshToken) return;
+
+            const delay = Math.max(expiresAt - Date.now() - REFRESH_LEEWAY_MS, 0);
+            refreshTimer = setTimeout(() => this.refreshSession(), delay);
+        },
+
+        // Exchange the refresh token for a new pair; concurrent callers share one request
+        async refreshSession() {
+            if (!this.refreshToken) return false;
+
+            if (!refreshPromise) {
+                refreshPromise = axios.post('/api/auth/refresh', { refreshToken: this.refreshToken })
+                    .then((response) => {
+                        this.setSession(response.data);
+                        return true;
+                    })
+                    .catch((error) => {
+                        console.error('Session refresh failed:', error);
+                        // Keep the session through network errors; only a rejected token ends it
+                        if (error.response) {
+                            this.clearUser();
+                        }
+                        return false;
+                    })
+                    .finally(() => {
+                        refreshPromise = null;
+                    });
+            }
+
+            return refreshPromise;
+        },
+
+        // Retry requests once after renewing an access token that expired mid-flight, e.g.
+        // when the scheduled refresh was held up by a sleeping device. Called once at startup.
+        installRefreshInterceptor() {
+            axios.interceptors.response.use(null, async (error) => {
+                const request = error.config;
+                if (
+                    error.response?.status === 401 &&
+                    request && !request._retried &&
+                    request.url !== '/api/auth/refresh' &&
+                    await this.refreshSession()
+                ) {
+                    request._retried = true;
+                    request.headers['Authorization'] = `Bearer ${this.token}`;
+                    return axios(request);
+                }
+                return Promise.reject(error);
+            });
+
+            // fetch callers set the Authorization header themselves, so only those requests are retried
+            const originalFetch = window.fetch.bind(window);
+            window.fetch = async (input, init = {}) => {
+                const response = await originalFetch(input, init);
+                const headers = new Headers(init.headers);
+                if (
+                    response.status === 401 &&
+                    headers.has('Authorization') &&
+                    await this.refreshSession()
+                ) {
+                    headers.set('Authorization', `Bearer ${this.token}`);
+                    return originalFetch(input, { ...init, headers });
+                }
+                return response;
+            };
+        },
+
+        async logout() {
+            const refreshToken = this.refreshToken;
+            this.clearUser();
+
+            if (refreshToken) {
+                try {
+                    await axios.post('/api/auth/logout', { refreshToken });
+                } catch (error) {
+                    console.error('Logout failed:', error);
+                }
+            }
         },
 
         async login(email, password) {
             try {
                 const response = await axios.post('/api/auth/login', { email, password });
-                const { token, user } = response.data;
+                const { user } = response.data;
                 
-                this.token = token;
                 this.user = user;
-                this.isAuthenticated = true;
-                
-                localStorage.setItem('token', token);
-                axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+                this.setSession(response.data);
                 
                 return true;
             } catch (error) {
+                // Unverified accounts get a distinct error so the form can offer a new link
+                if (error.response?.data?.code === 'EMAIL_NOT_VERIFIED') {
+                    const verificationError = new Error(error.response.data.error);
+                    verificationError.code = 'EMAIL_NOT_VERIFIED';
+                    throw verificationError;
+                }
                 console.error('Login failed:', error);
                 return false;
             }
         },
 
+        // Signup doesn't start a session; the user logs in after verifying their email
         async register(userData) {
             try {
                 const response = await axios.post('/api/auth/signup', userData);
-                const { token, user } = response.data;
-                
-                this.token = token;
-                this.user = user;
-                this.isAuthenticated = true;
-                
-                localStorage.setItem('token', token);
-                axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-                
-                return true;
+                return { success: true, message: response.data.message };
             } catch (error) {
                 console.error('Registration failed:', error);
-                return false;
+                return { success: false, error: error.response?.data?.error };
+            }
+        },
+
+        async verifyEmail(verificationToken) {
+            try {
+                const response = await axios.post('/api/auth/verify-email', { token: verificationToken });
+
+                this.user = response.data.user;
+                this.setSession(response.data);
+
+                return response.data.message;
+            } catch (error) {
+                throw new Error(error.response?.data?.error || 'Failed to verify email address');
+            }
+        },
+
+        async resendVerification(email) {
+            try {
+                const response = await axios.post('/api/auth/resend-verification', { email });
+                return response.data.message;
+            } catch (error) {
+                throw new Error(error.response?.data?.error || 'Failed to send verification email');
+            }
+        },
+
+        async requestPasswordReset(email) {
+            try {
+                const response = await axios.post('/api/auth/forgot-password', { email });
+                return response.data.message;
+            } catch (error) {
+                throw new Error(error.response?.data?.error || 'Failed to request password reset');
+            }
+        },
+
+        async resetPassword(token, password) {
+            try {
+                const response = await axios.post('/api/auth/reset-password', { token, password });
+                // Any stored token was revoked by the reset
+                this.clearUser();
+                return response.data.message;
+            } catch (error) {
+                throw new Error(error.response?.data?.error || 'Failed to reset password');
             }
         },
 
@@ -115,11 +269,20 @@ export const useUserStore = defineStore('user', {
             }
         },
 
-        initialize() {
-            if (this.token) {
-                axios.defaults.headers.common['Authorization'] = `Bearer ${this.token}`;
-                this.fetchUser();
+        async initialize() {
+            if (!this.token) return;
+
+            axios.defaults.headers.common['Authorization'] = `Bearer ${this.token}`;
+
+            // The stored access token may have expired while the app was closed
+            const expiresAt = getTokenExpiry(this.token);
+            if (expiresAt && expiresAt - Date.now() < REFRESH_LEEWAY_MS) {
+                if (!(await this.refreshSession())) return;
+            } else {
+                this.scheduleRefresh();
             }
+
+            await this.fetchUser();
         }
     }
 }); 
\ No newline at end of file
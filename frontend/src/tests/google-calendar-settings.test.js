@@ -1,20 +1,26 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
 import { createPinia, setActivePinia } from 'pinia'
-import { mount } from '@vue/test-utils'
+import { mount, flushPromises } from '@vue/test-utils'
 import { ref, computed } from 'vue'
 import { useUserStore } from '../stores/userStore'
 import GoogleCalendarSettings from '../components/GoogleCalendarSettings.vue'
 
 const mockSaveCalendarConfig = vi.fn()
 const mockTestConnection = vi.fn()
+const mockDiscoverCalDavCalendars = vi.fn()
+const mockDisconnectCalendar = vi.fn()
+const mockUpdateCalendar = vi.fn()
+const mockRemoveCalendar = vi.fn()
 
 let mockSetupInfo = ref(null)
 let mockCalendarConfig = ref(null)
 let mockCalendarMethod = computed(() => mockSetupInfo.value?.method || null)
+let mockCalendars = computed(() => mockCalendarConfig.value?.calendars || [])
 
 vi.mock('../composables/useGoogleCalendar', () => ({
     useGoogleCalendar: () => ({
         calendarConfig: mockCalendarConfig,
+        calendars: mockCalendars,
         setupInfo: mockSetupInfo,
         calendarMethod: mockCalendarMethod,
         isLoadingConfig: ref(false),
@@ -25,8 +31,16 @@ vi.mock('../composables/useGoogleCalendar', () => ({
         setupError: ref(null),
         saveCalendarConfig: mockSaveCalendarConfig,
         testConnection: mockTestConnection,
+        discoverCalDavCalendars: mockDiscoverCalDavCalendars,
+        disconnectCalendar: mockDisconnectCalendar,
+        updateCalendar: mockUpdateCalendar,
+        removeCalendar: mockRemoveCalendar,
         isSavingConfig: ref(false),
+        isUpdatingCalendar: ref(false),
         isTestingConnection: ref(false),
+        isDiscoveringCalendars: ref(false),
+        isRemovingCalendar: ref(false),
+        isDisconnectingCalendar: ref(false),
         refetchConfig: vi.fn(),
         refetchSetup: vi.fn(),
         invalidateCalendar: vi.fn()
@@ -131,6 +145,23 @@ describe('GoogleCalendarSettings', () => {
             expect(wrapper.text()).toContain('Test Connection')
         })
 
+        it('should ask read-only connections to reconnect so lessons can be added', () => {
+            mockSetupInfo.value = {
+                method: 'oauth',
+                connection: { available: true, connected: true, connectedAt: '2026-01-15T10:00:00Z', message: 'Connected.' },
+                scopes: 'https://www.googleapis.com/auth/calendar.readonly'
+            }
+            const wrapper = mountComponent()
+
+            expect(wrapper.text()).toContain('Disconnect and connect again to add lessons to your calendar')
+
+            mockSetupInfo.value = {
+                ...mockSetupInfo.value,
+                scopes: 'https://www.googleapis.com/auth/calendar.readonly https://www.googleapis.com/auth/calendar.events'
+            }
+            expect(mountComponent().text()).toContain('lessons added to your calendar')
+        })
+
         it('should show all-day event handling when connected', () => {
             mockSetupInfo.value = {
                 method: 'oauth',
@@ -245,4 +276,204 @@ describe('GoogleCalendarSettings', () => {
             expect(wrapper.text()).not.toContain('Connect with Google')
         })
     })
+
+    describe('CalDAV and ICS feeds', () => {
+        const findButton = (wrapper, label) => wrapper.findAll('button').find(b => b.text().includes(label))
+
+        it('should offer other calendar sources when Google is disabled', async () => {
+            mockSetupInfo.value = { method: 'disabled', connection: { available: false, connected: false } }
+            const wrapper = mountComponent()
+
+            await wrapper.find('#calendar-provider').setValue('ics')
+
+            expect(wrapper.text()).toContain('Calendar Feed')
+            expect(wrapper.text()).not.toContain('not currently enabled')
+            expect(wrapper.find('#ics-url').exists()).toBe(true)
+        })
+
+        it('should show the saved CalDAV calendar', () => {
+            mockCalendarConfig.value = {
+                connected: true,
+                config: {
+                    provider: 'caldav',
+                    source_url: 'https://caldav.example.com/calendars/ana/work/',
+                    calendar_name: 'Work',
+                    username: 'ana@example.com',
+                    has_password: true,
+                    all_day_event_handling: 'block'
+                },
+                connectedAt: '2026-03-02T09:00:00Z'
+            }
+            const wrapper = mountComponent()
+
+            expect(wrapper.text()).toContain('CalDAV Calendar')
+            expect(wrapper.text()).toContain('Connected')
+            expect(wrapper.find('#caldav-username').element.value).toBe('ana@example.com')
+            expect(wrapper.find('#caldav-password').attributes('placeholder')).toContain('Saved')
+            expect(wrapper.find('#caldav-calendar').text()).toContain('Work')
+            expect(wrapper.text()).toContain('Test Connection')
+            expect(wrapper.text()).toContain('Disconnect')
+        })
+
+        it('should find CalDAV calendars and save the one picked', async () => {
+            mockDiscoverCalDavCalendars.mockResolvedValue({
+                calendars: [
+                    { url: 'https://caldav.example.com/calendars/ana/home/', name: 'Home' },
+                    { url: 'https://caldav.example.com/calendars/ana/work/', name: 'Work' }
+                ]
+            })
+            mockSaveCalendarConfig.mockResolvedValue({})
+            const wrapper = mountComponent()
+
+            await wrapper.find('#calendar-provider').setValue('caldav')
+            expect(findButton(wrapper, 'Save').attributes('disabled')).toBeDefined()
+
+            await wrapper.find('#caldav-server').setValue('https://caldav.example.com')
+            await wrapper.find('#caldav-username').setValue('ana@example.com')
+            await wrapper.find('#caldav-password').setValue('app-password')
+            await findButton(wrapper, 'Find Calendars').trigger('click')
+            await flushPromises()
+
+            expect(mockDiscoverCalDavCalendars).toHaveBeenCalledWith({
+                url: 'https://caldav.example.com',
+                username: 'ana@example.com',
+                password: 'app-password'
+            })
+
+            await wrapper.find('#caldav-calendar').setValue('https://caldav.example.com/calendars/ana/work/')
+            await findButton(wrapper, 'Save').trigger('click')
+            await flushPromises()
+
+            expect(mockSaveCalendarConfig).toHaveBeenCalledWith({
+                provider: 'caldav',
+                source_url: 'https://caldav.example.com/calendars/ana/work/',
+                calendar_name: 'Work',
+                username: 'ana@example.com',
+                password: 'app-password',
+                all_day_event_handling: 'ignore'
+            })
+        })
+
+        it('should save an ICS feed', async () => {
+            mockSaveCalendarConfig.mockResolvedValue({})
+            const wrapper = mountComponent()
+
+            await wrapper.find('#calendar-provider').setValue('ics')
+            await wrapper.find('#ics-url').setValue('webcal://example.com/calendar.ics')
+            await findButton(wrapper, 'Save').trigger('click')
+            await flushPromises()
+
+            expect(mockSaveCalendarConfig).toHaveBeenCalledWith({
+                provider: 'ics',
+                source_url: 'webcal://example.com/calendar.ics',
+                all_day_event_handling: 'ignore'
+            })
+        })
+
+        it('should say that saving another source adds a calendar', async () => {
+            const feed = { id: 7, provider: 'ics', source_url: 'https://example.com/calendar.ics', all_day_event_handling: 'ignore' }
+            mockCalendarConfig.value = { connected: true, config: feed, calendars: [feed] }
+            const wrapper = mountComponent()
+            expect(wrapper.text()).not.toContain('Saving adds another calendar')
+
+            await wrapper.find('#calendar-provider').setValue('caldav')
+            expect(wrapper.text()).toContain('Saving adds another calendar')
+        })
+    })
+
+    describe('Several calendars', () => {
+        const findButton = (wrapper, label) => wrapper.findAll('button').find(b => b.text() === label)
+
+        const work = {
+            id: 3,
+            provider: 'caldav',
+            source_url: 'https://caldav.example.com/calendars/ana/work/',
+            calendar_name: 'Work',
+            username: 'ana@example.com',
+            has_password: true,
+            all_day_event_handling: 'block',
+            include_in_busy_time: true
+        }
+        const holidays = {
+            id: 4,
+            provider: 'ics',
+            source_url: 'https://example.com/holidays.ics',
+            all_day_event_handling: 'ignore',
+            include_in_busy_time: false
+        }
+
+        beforeEach(() => {
+            mockCalendarConfig.value = { connected: true, config: work, calendars: [work, holidays] }
+        })
+
+        it('should list every connected calendar', () => {
+            const wrapper = mountComponent()
+
+            expect(wrapper.text()).toContain('Connected Calendars')
+            expect(wrapper.text()).toContain('Work')
+            expect(wrapper.text()).toContain('https://example.com/holidays.ics')
+            expect(wrapper.find('#include-calendar-3').attributes('data-state')).toBe('checked')
+            expect(wrapper.find('#include-calendar-4').attributes('data-state')).toBe('unchecked')
+        })
+
+        it('should include or ignore a calendar', async () => {
+            mockUpdateCalendar.mockResolvedValue({})
+            const wrapper = mountComponent()
+
+            await wrapper.find('#include-calendar-4').trigger('click')
+            await flushPromises()
+
+            expect(mockUpdateCalendar).toHaveBeenCalledWith({ id: 4, include_in_busy_time: true })
+        })
+
+        it('should save changes to the calendar being edited', async () => {
+            mockSaveCalendarConfig.mockResolvedValue({})
+            const wrapper = mountComponent()
+
+            await wrapper.findAll('button').filter(b => b.text() === 'Edit')[1].trigger('click')
+            expect(wrapper.find('#ics-url').element.value).toBe('https://example.com/holidays.ics')
+
+            await wrapper.find('#all-day-handling-ics').setValue('block')
+            await findButton(wrapper, 'Save Settings').trigger('click')
+            await flushPromises()
+
+            expect(mockSaveCalendarConfig).toHaveBeenCalledWith({
+                id: 4,
+                provider: 'ics',
+                source_url: 'https://example.com/holidays.ics',
+                all_day_event_handling: 'block'
+            })
+        })
+
+        it('should add another calendar from an empty form', async () => {
+            mockSaveCalendarConfig.mockResolvedValue({})
+            const wrapper = mountComponent()
+
+            await findButton(wrapper, 'Add Another Calendar').trigger('click')
+            expect(wrapper.find('#caldav-username').element.value).toBe('')
+
+            await wrapper.find('#calendar-provider').setValue('ics')
+            await wrapper.find('#ics-url').setValue('https://example.com/team.ics')
+            await findButton(wrapper, 'Save Settings').trigger('click')
+            await flushPromises()
+
+            expect(mockSaveCalendarConfig).toHaveBeenCalledWith({
+                provider: 'ics',
+                source_url: 'https://example.com/team.ics',
+                all_day_event_handling: 'ignore'
+            })
+        })
+
+        it('should remove one calendar', async () => {
+            vi.spyOn(window, 'confirm').mockReturnValue(true)
+            mockRemoveCalendar.mockResolvedValue({})
+            const wrapper = mountComponent()
+
+            await wrapper.findAll('button').filter(b => b.text() === 'Remove')[1].trigger('click')
+            await flushPromises()
+
+            expect(mockRemoveCalendar).toHaveBeenCalledWith(4)
+            expect(mockDisconnectCalendar).not.toHaveBeenCalled()
+        })
+    })
 })
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { useUserStore } from '../stores/userStore'
+import axios from 'axios'
+
+// Mock axios, keeping the pieces the store touches
+vi.mock('axios', () => ({
+    default: {
+        post: vi.fn(),
+        defaults: { headers: { common: {} } },
+        interceptors: { response: { use: vi.fn() } }
+    }
+}))
+
+// test-setup mocks the store; these tests need the real one
+vi.unmock('@/stores/userStore')
+
+const respond = (status) => ({ ok: status < 400, status, json: async () => ({}) })
+
+describe('Session refresh for fetch requests', () => {
+    let userStore
+    let fetchMock
+
+    beforeEach(() => {
+        vi.clearAllMocks()
+        localStorage.clear()
+
+        setActivePinia(createPinia())
+        userStore = useUserStore()
+        userStore.token = 'old-token'
+        userStore.refreshToken = 'refresh-token'
+        userStore.isAuthenticated = true
+
+        // installRefreshInterceptor wraps whatever fetch is installed
+        fetchMock = vi.fn()
+        window.fetch = fetchMock
+        userStore.installRefreshInterceptor()
+    })
+
+    it('should refresh the session and retry a request rejected with 401', async () => {
+        axios.post.mockResolvedValueOnce({ data: { token: 'new-token', refreshToken: 'new-refresh-token' } })
+        fetchMock.mockResolvedValueOnce(respond(401)).mockResolvedValueOnce(respond(200))
+
+        const response = await window.fetch('/api/calendar/events', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: 'Bearer old-token' },
+            body: '{}'
+        })
+
+        expect(response.status).toBe(200)
+        expect(axios.post).toHaveBeenCalledWith('/api/auth/refresh', { refreshToken: 'refresh-token' })
+        expect(fetchMock).toHaveBeenCalledTimes(2)
+
+        const [url, retry] = fetchMock.mock.calls[1]
+        expect(url).toBe('/api/calendar/events')
+        expect(retry.method).toBe('POST')
+        expect(retry.body).toBe('{}')
+        expect(retry.headers.get('Authorization')).toBe('Bearer new-token')
+        expect(retry.headers.get('Content-Type')).toBe('application/json')
+    })
+
+    it('should leave requests without a token alone', async () => {
+        fetchMock.mockResolvedValueOnce(respond(401))
+
+        const response = await window.fetch('/api/public/config')
+
+        expect(response.status).toBe(401)
+        expect(axios.post).not.toHaveBeenCalled()
+        expect(fetchMock).toHaveBeenCalledTimes(1)
+    })
+
+    it('should return the 401 and end the session when the refresh token is rejected', async () => {
+        axios.post.mockRejectedValueOnce({ response: { status: 401 } })
+        fetchMock.mockResolvedValueOnce(respond(401))
+
+        const response = await window.fetch('/api/credits', {
+            headers: { Authorization: 'Bearer old-token' }
+        })
+
+        expect(response.status).toBe(401)
+        expect(fetchMock).toHaveBeenCalledTimes(1)
+        expect(userStore.isAuthenticated).toBe(false)
+    })
+})
@@ -115,6 +115,34 @@ describe('useAppSettings Composable', () => {
     })
   })
 
+  describe('Lesson Types', () => {
+    it('should default to 30- and 60-minute lessons before config loads', () => {
+      wrapper = createWrapper()
+      const { lessonTypes } = wrapper.vm.appSettings
+
+      expect(lessonTypes.value.map(type => type.duration_minutes)).toEqual([30, 60])
+    })
+
+    it('should use the lesson types from the public config', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          default_duration_minutes: 45,
+          lesson_types: [
+            { duration_minutes: 45, price_multiplier: 1.5 },
+            { duration_minutes: 90, price_multiplier: 3 }
+          ]
+        })
+      })
+
+      wrapper = createWrapper()
+      await vi.waitFor(() => {
+        expect(wrapper.vm.appSettings.lessonTypes.value.map(type => type.duration_minutes)).toEqual([45, 90])
+      })
+      expect(wrapper.vm.appSettings.defaultLessonDuration.value).toBe(45)
+    })
+  })
+
   describe('Error Handling', () => {
     it('should provide fallback defaults', () => {
       wrapper = createWrapper()
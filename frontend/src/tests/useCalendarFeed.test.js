@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { VueQueryPlugin, QueryClient } from '@tanstack/vue-query'
+import { mount } from '@vue/test-utils'
+import { defineComponent, h } from 'vue'
+import { useCalendarFeed } from '../composables/useCalendarFeed'
+import { useUserStore } from '../stores/userStore'
+import axios from 'axios'
+
+// Mock axios
+vi.mock('axios')
+
+describe('useCalendarFeed Composable', () => {
+    let wrapper
+    let queryClient
+    let pinia
+
+    const mountComposable = () => {
+        const Comp = defineComponent({
+            setup() {
+                return { result: useCalendarFeed() }
+            },
+            render() { return h('div') }
+        })
+
+        return mount(Comp, {
+            global: { plugins: [pinia, [VueQueryPlugin, { queryClient }]] }
+        })
+    }
+
+    beforeEach(() => {
+        pinia = createPinia()
+        setActivePinia(pinia)
+
+        const userStore = useUserStore()
+        userStore.user = { id: 1, name: 'Student', role: 'student' }
+        userStore.token = 'test-token'
+        userStore.isAuthenticated = true
+
+        queryClient = new QueryClient({
+            defaultOptions: { queries: { retry: false } }
+        })
+
+        vi.clearAllMocks()
+    })
+
+    afterEach(() => {
+        wrapper?.unmount()
+        queryClient.clear()
+    })
+
+    it('loads whether the user has a feed', async () => {
+        axios.get.mockResolvedValue({
+            data: { enabled: true, createdAt: '2030-01-01T00:00:00Z', lastAccessedAt: null }
+        })
+
+        wrapper = mountComposable()
+
+        await wrapper.vm.result.refetchCalendarFeed()
+
+        expect(axios.get).toHaveBeenCalledWith('/api/users/me/calendar-feed')
+        expect(wrapper.vm.result.calendarFeed.value.enabled).toBe(true)
+    })
+
+    it('reports no feed until it has loaded', () => {
+        axios.get.mockReturnValueOnce(new Promise(() => {}))
+
+        wrapper = mountComposable()
+
+        expect(wrapper.vm.result.calendarFeed.value).toEqual({ enabled: false })
+    })
+
+    it('creates a feed link and refreshes the status', async () => {
+        axios.get.mockResolvedValue({ data: { enabled: false } })
+        axios.post.mockResolvedValueOnce({
+            data: { enabled: true, url: 'https://lessons.example.com/api/public/calendar-feed/abc.ics' }
+        })
+        wrapper = mountComposable()
+        const invalidate = vi.spyOn(queryClient, 'invalidateQueries')
+
+        const result = await wrapper.vm.result.createCalendarFeed()
+
+        expect(axios.post).toHaveBeenCalledWith('/api/users/me/calendar-feed')
+        expect(result.url).toBe('https://lessons.example.com/api/public/calendar-feed/abc.ics')
+        expect(invalidate).toHaveBeenCalledWith({ queryKey: ['calendarFeed'] })
+    })
+
+    it('turns off the feed', async () => {
+        axios.get.mockResolvedValue({ data: { enabled: true } })
+        axios.delete.mockResolvedValueOnce({ data: { message: 'Calendar feed turned off' } })
+        wrapper = mountComposable()
+
+        await wrapper.vm.result.revokeCalendarFeed()
+
+        expect(axios.delete).toHaveBeenCalledWith('/api/users/me/calendar-feed')
+    })
+})
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { VueQueryPlugin, QueryClient } from '@tanstack/vue-query'
+import { mount } from '@vue/test-utils'
+import { defineComponent, h } from 'vue'
+import { useDependents } from '../composables/useDependents'
+import { subject } from '@casl/ability'
+import { defineAbilitiesFor } from '../utils/abilities'
+
+// Mock fetch globally
+global.fetch = vi.fn()
+
+function mockOk(body) {
+    return { ok: true, json: async () => body }
+}
+
+describe('useDependents Composable', () => {
+    let wrapper
+    let queryClient
+    let pinia
+
+    const mountComposable = () => {
+        const Comp = defineComponent({
+            setup() {
+                return { result: useDependents() }
+            },
+            render() { return h('div') }
+        })
+
+        return mount(Comp, {
+            global: { plugins: [pinia, [VueQueryPlugin, { queryClient }]] }
+        })
+    }
+
+    beforeEach(() => {
+        pinia = createPinia()
+        setActivePinia(pinia)
+
+        queryClient = new QueryClient({
+            defaultOptions: { queries: { retry: false } }
+        })
+
+        vi.clearAllMocks()
+    })
+
+    afterEach(() => {
+        wrapper?.unmount()
+        queryClient.clear()
+    })
+
+    it('loads the dependents on the account', async () => {
+        wrapper = mountComposable()
+        global.fetch.mockResolvedValueOnce(mockOk({
+            dependents: [{ id: 8, name: 'Sam', shares_guardian_credits: true, credits: null }]
+        }))
+
+        await wrapper.vm.result.refetchDependents()
+
+        expect(global.fetch).toHaveBeenCalledWith('/api/dependents', expect.any(Object))
+        expect(wrapper.vm.result.dependents.value[0].name).toBe('Sam')
+    })
+
+    it('adds a dependent', async () => {
+        wrapper = mountComposable()
+        global.fetch.mockResolvedValueOnce(mockOk({ id: 8, name: 'Sam' }))
+
+        const dependent = await wrapper.vm.result.addDependent({ name: 'Sam', is_student_minor: true })
+
+        expect(dependent.id).toBe(8)
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/api/dependents')
+        expect(options.method).toBe('POST')
+        expect(JSON.parse(options.body)).toEqual({ name: 'Sam', is_student_minor: true })
+    })
+
+    it('transfers credits and refreshes balances', async () => {
+        wrapper = mountComposable()
+        const invalidate = vi.spyOn(queryClient, 'invalidateQueries')
+        global.fetch.mockResolvedValueOnce(mockOk({ credits: { 60: { credits: 2 } } }))
+
+        await wrapper.vm.result.transferCredits({ id: 8, credits: 2, durationMinutes: 60, direction: 'give' })
+
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/api/dependents/8/credits')
+        expect(JSON.parse(options.body)).toEqual({ credits: 2, durationMinutes: 60, direction: 'give' })
+        const keys = invalidate.mock.calls.map(([filters]) => filters.queryKey[0])
+        expect(keys).toContain('dependents')
+        expect(keys).toContain('credits')
+    })
+
+    it('surfaces errors', async () => {
+        wrapper = mountComposable()
+        global.fetch.mockResolvedValueOnce({ ok: false, json: async () => ({ error: 'Dependent has upcoming lessons' }) })
+
+        await expect(wrapper.vm.result.removeDependent(8)).rejects.toThrow('Dependent has upcoming lessons')
+    })
+})
+
+describe('Guardian abilities', () => {
+    const guardian = { id: 5, role: 'student', dependent_ids: [8] }
+
+    it('lets guardians cancel their dependents\' bookings', () => {
+        const ability = defineAbilitiesFor(guardian)
+
+        expect(ability.can('cancel', subject('Booking', { student_id: 8 }))).toBe(true)
+        expect(ability.can('cancel', subject('Booking', { student_id: 9 }))).toBe(false)
+    })
+
+    it('gives students without dependents no access to other students', () => {
+        const ability = defineAbilitiesFor({ id: 6, role: 'student' })
+
+        expect(ability.can('read', subject('User', { id: 8 }))).toBe(false)
+        expect(ability.can('create', 'Dependent')).toBe(true)
+    })
+})
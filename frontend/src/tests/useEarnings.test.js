@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { VueQueryPlugin, QueryClient } from '@tanstack/vue-query'
+import { mount, flushPromises } from '@vue/test-utils'
+import { defineComponent, h, ref } from 'vue'
+import { useEarningsStatement, useAdminPayouts, monthPeriod } from '../composables/useEarnings'
+import { useUserStore } from '../stores/userStore'
+import { defineAbilitiesFor } from '../utils/abilities'
+
+// Mock fetch globally
+global.fetch = vi.fn()
+
+function mockOk(body) {
+    return { ok: true, json: async () => body }
+}
+
+describe('useEarnings Composables', () => {
+    let wrapper
+    let queryClient
+    let pinia
+
+    const mountComposable = (useComposable) => {
+        const Comp = defineComponent({
+            setup() {
+                return { result: useComposable() }
+            },
+            render() { return h('div') }
+        })
+
+        return mount(Comp, {
+            global: { plugins: [pinia, [VueQueryPlugin, { queryClient }]] }
+        })
+    }
+
+    const signIn = (user) => {
+        const userStore = useUserStore()
+        userStore.token = 'test-token'
+        userStore.user = user
+    }
+
+    beforeEach(() => {
+        pinia = createPinia()
+        setActivePinia(pinia)
+
+        queryClient = new QueryClient({
+            defaultOptions: { queries: { retry: false } }
+        })
+
+        vi.clearAllMocks()
+    })
+
+    afterEach(() => {
+        wrapper?.unmount()
+        queryClient.clear()
+    })
+
+    it('covers a whole calendar month', () => {
+        expect(monthPeriod('2026-02')).toEqual({ from: '2026-02-01', to: '2026-02-28' })
+        expect(monthPeriod('2028-02')).toEqual({ from: '2028-02-01', to: '2028-02-29' })
+        expect(monthPeriod('2026-12')).toEqual({ from: '2026-12-01', to: '2026-12-31' })
+    })
+
+    it('loads the instructor\'s own statement for a period', async () => {
+        signIn({ id: 3, role: 'instructor' })
+        global.fetch.mockResolvedValue(mockOk({
+            entries: [{ id: 1, amount: '64.00' }],
+            totals: { lessons: 1, earnings: 64 },
+            payouts: []
+        }))
+
+        wrapper = mountComposable(() => useEarningsStatement(ref(monthPeriod('2026-09'))))
+        await wrapper.vm.result.refetchStatement()
+
+        expect(global.fetch).toHaveBeenCalledWith(
+            '/api/instructors/me/earnings?from=2026-09-01&to=2026-09-30',
+            expect.any(Object)
+        )
+        expect(wrapper.vm.result.totals.value.earnings).toBe(64)
+        expect(wrapper.vm.result.entries.value).toHaveLength(1)
+    })
+
+    it('loads another instructor\'s statement for admins', async () => {
+        signIn({ id: 1, role: 'admin' })
+        global.fetch.mockResolvedValue(mockOk({ entries: [], totals: { lessons: 0 }, payouts: [] }))
+
+        wrapper = mountComposable(() => useEarningsStatement(monthPeriod('2026-09'), 7))
+        await wrapper.vm.result.refetchStatement()
+
+        expect(global.fetch.mock.calls[0][0]).toBe('/api/admin/instructors/7/earnings?from=2026-09-01&to=2026-09-30')
+    })
+
+    it('creates a payout and refreshes balances', async () => {
+        signIn({ id: 1, role: 'admin' })
+        global.fetch.mockResolvedValue(mockOk([]))
+        wrapper = mountComposable(() => useAdminPayouts())
+        await flushPromises()
+        global.fetch.mockClear()
+
+        const invalidate = vi.spyOn(queryClient, 'invalidateQueries')
+        global.fetch.mockResolvedValueOnce(mockOk({ id: 4, amount: '136.00', status: 'pending' }))
+
+        const payout = await wrapper.vm.result.createPayout({ instructorId: 7, periodStart: '2026-09-01', periodEnd: '2026-09-30' })
+
+        expect(payout.id).toBe(4)
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/api/admin/payouts')
+        expect(options.method).toBe('POST')
+        expect(JSON.parse(options.body)).toEqual({ instructorId: 7, periodStart: '2026-09-01', periodEnd: '2026-09-30' })
+        const keys = invalidate.mock.calls.map(([filters]) => filters.queryKey[0])
+        expect(keys).toContain('adminPayouts')
+        expect(keys).toContain('adminPayoutBalances')
+    })
+
+    it('surfaces errors', async () => {
+        signIn({ id: 1, role: 'admin' })
+        global.fetch.mockResolvedValue(mockOk([]))
+        wrapper = mountComposable(() => useAdminPayouts())
+        await flushPromises()
+
+        global.fetch.mockResolvedValueOnce({ ok: false, json: async () => ({ error: 'Instructor has no connected Stripe account' }) })
+
+        await expect(wrapper.vm.result.transferPayout(4)).rejects.toThrow('Instructor has no connected Stripe account')
+    })
+})
+
+describe('Earnings abilities', () => {
+    it('gives instructors their own statement but not admins or students', () => {
+        expect(defineAbilitiesFor({ id: 3, role: 'instructor', instructor_id: 7 }).can('read', 'OwnEarnings')).toBe(true)
+        expect(defineAbilitiesFor({ id: 1, role: 'admin' }).can('read', 'OwnEarnings')).toBe(false)
+        expect(defineAbilitiesFor({ id: 5, role: 'student' }).can('read', 'OwnEarnings')).toBe(false)
+    })
+})
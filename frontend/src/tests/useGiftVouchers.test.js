@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { VueQueryPlugin, QueryClient } from '@tanstack/vue-query'
+import { mount } from '@vue/test-utils'
+import { defineComponent, h, ref } from 'vue'
+import { useGiftVouchers, useAdminGiftVouchers } from '../composables/useGiftVouchers'
+import { useUserStore } from '../stores/userStore'
+
+// Mock fetch globally
+global.fetch = vi.fn()
+
+function mockOk(body) {
+    return { ok: true, json: async () => body }
+}
+
+describe('useGiftVouchers Composable', () => {
+    let wrapper
+    let queryClient
+    let pinia
+
+    const mountWith = (user, setup) => {
+        const userStore = useUserStore()
+        userStore.user = user
+        userStore.token = 'test-token'
+        userStore.isAuthenticated = true
+
+        const Comp = defineComponent({
+            setup() {
+                return { result: setup() }
+            },
+            render() { return h('div') }
+        })
+
+        return mount(Comp, {
+            global: { plugins: [pinia, [VueQueryPlugin, { queryClient }]] }
+        })
+    }
+
+    beforeEach(() => {
+        pinia = createPinia()
+        setActivePinia(pinia)
+
+        queryClient = new QueryClient({
+            defaultOptions: { queries: { retry: false } }
+        })
+
+        vi.clearAllMocks()
+    })
+
+    afterEach(() => {
+        wrapper?.unmount()
+        queryClient.clear()
+    })
+
+    it('loads the gifts a student has sent', async () => {
+        wrapper = mountWith({ id: 5, role: 'student' }, useGiftVouchers)
+        global.fetch.mockResolvedValueOnce(mockOk({ vouchers: [{ id: 1, code: 'GIFT-AAAA-BBBB', display_status: 'issued' }] }))
+
+        await wrapper.vm.result.refetchSentVouchers()
+
+        expect(global.fetch).toHaveBeenCalledWith('/api/gift-vouchers', expect.any(Object))
+        expect(wrapper.vm.result.sentVouchers.value[0].code).toBe('GIFT-AAAA-BBBB')
+    })
+
+    it('starts a gift purchase with the recipient details', async () => {
+        wrapper = mountWith({ id: 5, role: 'student' }, useGiftVouchers)
+        global.fetch.mockResolvedValueOnce(mockOk({ clientSecret: 'secret', voucherId: 3 }))
+
+        const result = await wrapper.vm.result.purchaseGiftVoucher({
+            planId: 2,
+            recipientName: 'Alex',
+            recipientEmail: 'alex@example.com'
+        })
+
+        expect(result.clientSecret).toBe('secret')
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/api/gift-vouchers/purchase')
+        expect(JSON.parse(options.body)).toEqual({ planId: 2, recipientName: 'Alex', recipientEmail: 'alex@example.com' })
+    })
+
+    it('redeems a code and refreshes credits', async () => {
+        wrapper = mountWith({ id: 5, role: 'student' }, useGiftVouchers)
+        const invalidate = vi.spyOn(queryClient, 'invalidateQueries')
+        global.fetch.mockResolvedValueOnce(mockOk({ voucher: { credits: 4, lesson_duration_minutes: 60 } }))
+
+        const { voucher } = await wrapper.vm.result.redeemGiftVoucher('gift-aaaa-bbbb')
+
+        expect(voucher.credits).toBe(4)
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ code: 'gift-aaaa-bbbb' })
+        expect(invalidate.mock.calls[0][0].queryKey[0]).toBe('credits')
+    })
+
+    it('surfaces redeem errors', async () => {
+        wrapper = mountWith({ id: 5, role: 'student' }, useGiftVouchers)
+        global.fetch.mockResolvedValueOnce({ ok: false, json: async () => ({ error: 'Gift voucher has expired' }) })
+
+        await expect(wrapper.vm.result.redeemGiftVoucher('GIFT-AAAA-BBBB')).rejects.toThrow('Gift voucher has expired')
+    })
+
+    it('filters the admin list by status', async () => {
+        const status = ref('expired')
+        wrapper = mountWith({ id: 1, role: 'admin' }, () => useAdminGiftVouchers(status))
+        global.fetch.mockResolvedValueOnce(mockOk([{ id: 1, display_status: 'expired' }]))
+
+        await wrapper.vm.result.refetchVouchers()
+
+        expect(global.fetch).toHaveBeenCalledWith('/api/admin/gift-vouchers?status=expired', expect.any(Object))
+        expect(wrapper.vm.result.vouchers.value).toHaveLength(1)
+    })
+
+    it('voids vouchers as an admin', async () => {
+        wrapper = mountWith({ id: 1, role: 'admin' }, () => useAdminGiftVouchers())
+        global.fetch.mockResolvedValueOnce(mockOk({ id: 7, status: 'void' }))
+
+        await wrapper.vm.result.voidGiftVoucher(7)
+
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/api/admin/gift-vouchers/7/void')
+        expect(options.method).toBe('POST')
+    })
+})
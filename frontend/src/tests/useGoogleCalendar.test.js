@@ -207,6 +207,53 @@ describe('useGoogleCalendar Composable', () => {
             expect(fetchCall[0]).toBe('/api/auth/calendar/test/1')
         })
 
+        it('should test one calendar by id', async () => {
+            const { testConnection } = wrapper.vm.googleCalendar
+            
+            global.fetch.mockResolvedValueOnce({
+                ok: true,
+                json: async () => ({ success: true, eventsFound: 0 })
+            })
+            
+            await testConnection(4)
+            
+            expect(global.fetch.mock.calls[0][0]).toBe('/api/auth/calendar/test/1/4')
+        })
+
+        it('should update one calendar and invalidate cache', async () => {
+            const { updateCalendar } = wrapper.vm.googleCalendar
+            
+            global.fetch.mockResolvedValueOnce({
+                ok: true,
+                json: async () => ({ success: true, config: { id: 4, include_in_busy_time: false } })
+            })
+            
+            const invalidateSpy = vi.spyOn(queryClient, 'invalidateQueries')
+            
+            await updateCalendar({ id: 4, include_in_busy_time: false })
+            
+            const fetchCall = global.fetch.mock.calls[0]
+            expect(fetchCall[0]).toBe('/api/auth/calendar/config/1/4')
+            expect(fetchCall[1].method).toBe('PATCH')
+            expect(JSON.parse(fetchCall[1].body)).toEqual({ include_in_busy_time: false })
+            expect(invalidateSpy).toHaveBeenCalledWith({ queryKey: ['googleCalendar', 1] })
+        })
+
+        it('should remove one calendar', async () => {
+            const { removeCalendar } = wrapper.vm.googleCalendar
+            
+            global.fetch.mockResolvedValueOnce({
+                ok: true,
+                json: async () => ({ success: true })
+            })
+            
+            await removeCalendar(4)
+            
+            const fetchCall = global.fetch.mock.calls[0]
+            expect(fetchCall[0]).toBe('/api/auth/calendar/config/1/4')
+            expect(fetchCall[1].method).toBe('DELETE')
+        })
+
         it('should handle save errors', async () => {
             const { saveCalendarConfig } = wrapper.vm.googleCalendar
             
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { VueQueryPlugin, QueryClient } from '@tanstack/vue-query'
+import { mount } from '@vue/test-utils'
+import { defineComponent, h } from 'vue'
+import { useInstructorRates } from '../composables/useInstructorRates'
+import { useUserStore } from '../stores/userStore'
+
+// Mock fetch globally
+global.fetch = vi.fn()
+
+const mockRateCard = {
+    base_rate: 40,
+    rates: [
+        { duration_minutes: 30, default_price: 40, online_price: 45, in_person_price: 42.5, custom_online_price: 45, custom_in_person_price: 42.5 },
+        { duration_minutes: 60, default_price: 80, online_price: 80, in_person_price: 80, custom_online_price: null, custom_in_person_price: null }
+    ]
+}
+
+function mockOk(body) {
+    return { ok: true, json: async () => body }
+}
+
+describe('useInstructorRates Composable', () => {
+    let wrapper
+    let queryClient
+    let pinia
+
+    const Comp = defineComponent({
+        props: ['instructorId'],
+        setup(props) {
+            return { result: useInstructorRates(props.instructorId) }
+        },
+        render() { return h('div') }
+    })
+
+    beforeEach(() => {
+        pinia = createPinia()
+        setActivePinia(pinia)
+
+        const userStore = useUserStore()
+        userStore.user = { id: 100, name: 'Test User', role: 'student' }
+        userStore.token = 'test-token'
+        userStore.isAuthenticated = true
+
+        queryClient = new QueryClient({
+            defaultOptions: { queries: { retry: false } }
+        })
+
+        vi.clearAllMocks()
+    })
+
+    afterEach(() => {
+        wrapper?.unmount()
+        queryClient.clear()
+    })
+
+    const mountWith = (instructorId) => mount(Comp, {
+        props: { instructorId },
+        global: { plugins: [pinia, [VueQueryPlugin, { queryClient }]] }
+    })
+
+    it('uses query key ["instructors", id, "rates"]', () => {
+        wrapper = mountWith(7)
+
+        const query = queryClient.getQueryCache().getAll()
+            .find(q => q.queryKey[2] === 'rates')
+        expect(query?.queryKey).toEqual(['instructors', 7, 'rates'])
+    })
+
+    it('prices lessons from the rate card', async () => {
+        wrapper = mountWith(7)
+        global.fetch.mockResolvedValueOnce(mockOk(mockRateCard))
+        await wrapper.vm.result.refetchRates()
+
+        expect(global.fetch).toHaveBeenCalledWith('/api/instructors/7/rates', expect.any(Object))
+
+        const { getLessonPrice } = wrapper.vm.result
+        expect(getLessonPrice('30')).toBe(45)
+        expect(getLessonPrice(30, 'in-person')).toBe(42.5)
+        expect(getLessonPrice(60, 'in-person')).toBe(80)
+    })
+
+    it('prices other lengths at the base rate per 30 minutes', async () => {
+        wrapper = mountWith(7)
+        global.fetch.mockResolvedValueOnce(mockOk(mockRateCard))
+        await wrapper.vm.result.refetchRates()
+
+        expect(wrapper.vm.result.getLessonPrice(90)).toBe(120)
+    })
+
+    it('falls back to a $50 base rate before the rate card loads', () => {
+        wrapper = mountWith(null)
+
+        expect(global.fetch).not.toHaveBeenCalled()
+        expect(wrapper.vm.result.getLessonPrice(60)).toBe(100)
+    })
+})
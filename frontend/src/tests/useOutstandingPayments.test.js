@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { VueQueryPlugin, QueryClient } from '@tanstack/vue-query'
+import { mount, flushPromises } from '@vue/test-utils'
+import { defineComponent, h, ref } from 'vue'
+import { useOutstandingPayments } from '../composables/useOutstandingPayments'
+import { useUserStore } from '../stores/userStore'
+import { defineAbilitiesFor } from '../utils/abilities'
+
+// Mock fetch globally
+global.fetch = vi.fn()
+
+function mockOk(body) {
+    return { ok: true, json: async () => body }
+}
+
+const emptyList = { payments: [], students: [], totals: { lessons: 0, balance: 0 } }
+
+describe('useOutstandingPayments Composable', () => {
+    let wrapper
+    let queryClient
+    let pinia
+
+    const mountComposable = (useComposable) => {
+        const Comp = defineComponent({
+            setup() {
+                return { result: useComposable() }
+            },
+            render() { return h('div') }
+        })
+
+        return mount(Comp, {
+            global: { plugins: [pinia, [VueQueryPlugin, { queryClient }]] }
+        })
+    }
+
+    const signIn = (user) => {
+        const userStore = useUserStore()
+        userStore.token = 'test-token'
+        userStore.user = user
+    }
+
+    beforeEach(() => {
+        pinia = createPinia()
+        setActivePinia(pinia)
+
+        queryClient = new QueryClient({
+            defaultOptions: { queries: { retry: false } }
+        })
+
+        vi.clearAllMocks()
+    })
+
+    afterEach(() => {
+        wrapper?.unmount()
+        queryClient.clear()
+    })
+
+    it('loads outstanding payments and balances', async () => {
+        signIn({ id: 3, role: 'instructor', instructor_id: 7 })
+        global.fetch.mockResolvedValue(mockOk({
+            payments: [{ transaction_id: 11, amount: 45, amount_paid: 20, balance: 25 }],
+            students: [{ user_id: 5, name: 'Sam', balance: 25 }],
+            totals: { lessons: 1, balance: 25 }
+        }))
+
+        wrapper = mountComposable(() => useOutstandingPayments())
+        await wrapper.vm.result.refetchPayments()
+
+        expect(global.fetch.mock.calls[0][0]).toBe('/api/calendar/outstanding-payments')
+        expect(wrapper.vm.result.payments.value[0].balance).toBe(25)
+        expect(wrapper.vm.result.students.value[0].name).toBe('Sam')
+        expect(wrapper.vm.result.totals.value.balance).toBe(25)
+    })
+
+    it('filters by student', async () => {
+        signIn({ id: 1, role: 'admin' })
+        global.fetch.mockResolvedValue(mockOk(emptyList))
+
+        wrapper = mountComposable(() => useOutstandingPayments(ref(5)))
+        await wrapper.vm.result.refetchPayments()
+
+        expect(global.fetch.mock.calls[0][0]).toBe('/api/calendar/outstanding-payments?studentId=5')
+    })
+
+    it('does not load for students', async () => {
+        signIn({ id: 5, role: 'student' })
+
+        wrapper = mountComposable(() => useOutstandingPayments())
+        await flushPromises()
+
+        expect(global.fetch).not.toHaveBeenCalled()
+    })
+
+    it('marks several payments paid and refreshes bookings', async () => {
+        signIn({ id: 1, role: 'admin' })
+        global.fetch.mockResolvedValue(mockOk(emptyList))
+        wrapper = mountComposable(() => useOutstandingPayments())
+        await flushPromises()
+        global.fetch.mockClear()
+
+        const invalidate = vi.spyOn(queryClient, 'invalidateQueries')
+        global.fetch.mockResolvedValueOnce(mockOk({ message: '2 payments marked as paid' }))
+
+        const result = await wrapper.vm.result.markPaid([11, 12])
+
+        expect(result.message).toBe('2 payments marked as paid')
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/api/calendar/outstanding-payments/mark-paid')
+        expect(options.method).toBe('POST')
+        expect(JSON.parse(options.body)).toEqual({ transactionIds: [11, 12] })
+        const keys = invalidate.mock.calls.map(([filters]) => filters.queryKey[0])
+        expect(keys).toContain('outstandingPayments')
+        expect(keys).toContain('calendar')
+    })
+
+    it('records a partial payment against a booking', async () => {
+        signIn({ id: 3, role: 'instructor', instructor_id: 7 })
+        global.fetch.mockResolvedValue(mockOk(emptyList))
+        wrapper = mountComposable(() => useOutstandingPayments())
+        await flushPromises()
+        global.fetch.mockClear()
+
+        global.fetch.mockResolvedValueOnce(mockOk({ transaction: { amount_paid: 20, balance: 25 } }))
+
+        await wrapper.vm.result.recordPayment({ bookingId: 42, amount: '20', notes: 'Cash' })
+
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/api/calendar/bookings/42/payments')
+        expect(JSON.parse(options.body)).toEqual({ amount: '20', notes: 'Cash' })
+    })
+
+    it('surfaces errors', async () => {
+        signIn({ id: 1, role: 'admin' })
+        global.fetch.mockResolvedValue(mockOk(emptyList))
+        wrapper = mountComposable(() => useOutstandingPayments())
+        await flushPromises()
+
+        global.fetch.mockResolvedValueOnce({ ok: false, json: async () => ({ error: 'Payment is more than the balance of $25.00' }) })
+
+        await expect(wrapper.vm.result.recordPayment({ bookingId: 42, amount: 30 }))
+            .rejects.toThrow('Payment is more than the balance of $25.00')
+    })
+})
+
+describe('In-person payment abilities', () => {
+    it('lets instructors and admins collect payments but not students', () => {
+        expect(defineAbilitiesFor({ id: 3, role: 'instructor', instructor_id: 7 }).can('collect', 'InPersonPayment')).toBe(true)
+        expect(defineAbilitiesFor({ id: 1, role: 'admin' }).can('collect', 'InPersonPayment')).toBe(true)
+        expect(defineAbilitiesFor({ id: 5, role: 'student' }).can('collect', 'InPersonPayment')).toBe(false)
+    })
+})
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { VueQueryPlugin, QueryClient } from '@tanstack/vue-query'
+import { mount } from '@vue/test-utils'
+import { defineComponent, h } from 'vue'
+import { usePaymentMethods } from '../composables/usePaymentMethods'
+import { useUserStore } from '../stores/userStore'
+
+// Mock fetch globally
+global.fetch = vi.fn()
+
+const mockCards = [
+    { id: 'pm_second', brand: 'visa', last4: '0005', exp_month: 1, exp_year: 2031, is_default: false },
+    { id: 'pm_first', brand: 'visa', last4: '4242', exp_month: 12, exp_year: 2030, is_default: true }
+]
+
+function mockOk(body) {
+    return { ok: true, json: async () => body }
+}
+
+describe('usePaymentMethods Composable', () => {
+    let wrapper
+    let queryClient
+    let pinia
+
+    const Comp = defineComponent({
+        setup() {
+            return { result: usePaymentMethods() }
+        },
+        render() { return h('div') }
+    })
+
+    beforeEach(() => {
+        pinia = createPinia()
+        setActivePinia(pinia)
+
+        const userStore = useUserStore()
+        userStore.user = { id: 100, name: 'Test User', role: 'student' }
+        userStore.token = 'test-token'
+        userStore.isAuthenticated = true
+
+        queryClient = new QueryClient({
+            defaultOptions: { queries: { retry: false } }
+        })
+
+        vi.clearAllMocks()
+
+        wrapper = mount(Comp, {
+            global: { plugins: [pinia, [VueQueryPlugin, { queryClient }]] }
+        })
+    })
+
+    afterEach(() => {
+        wrapper?.unmount()
+        queryClient.clear()
+    })
+
+    it('picks the default card for one-click purchases', async () => {
+        global.fetch.mockResolvedValueOnce(mockOk(mockCards))
+        await wrapper.vm.result.refetchPaymentMethods()
+
+        expect(global.fetch).toHaveBeenCalledWith('/api/payments/payment-methods', expect.any(Object))
+        expect(wrapper.vm.result.defaultPaymentMethod.value.id).toBe('pm_first')
+    })
+
+    it('has no default card before any are saved', () => {
+        expect(wrapper.vm.result.savedCards.value).toEqual([])
+        expect(wrapper.vm.result.defaultPaymentMethod.value).toBeNull()
+    })
+
+    it('buys a plan with a saved card', async () => {
+        global.fetch.mockResolvedValueOnce(mockOk({ status: 'requires_action', clientSecret: 'pi_1_secret', transactionId: 3 }))
+
+        const result = await wrapper.vm.result.purchaseWithSavedCard({ planId: 2, paymentMethodId: 'pm_first' })
+
+        expect(result.clientSecret).toBe('pi_1_secret')
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/api/payments/purchase-with-saved-card')
+        expect(JSON.parse(options.body)).toEqual({ planId: 2, paymentMethodId: 'pm_first' })
+    })
+
+    it('surfaces declined cards', async () => {
+        global.fetch.mockResolvedValueOnce({ ok: false, json: async () => ({ error: 'Your card was declined.' }) })
+
+        await expect(
+            wrapper.vm.result.purchaseWithSavedCard({ planId: 2, paymentMethodId: 'pm_first' })
+        ).rejects.toThrow('Your card was declined.')
+    })
+
+    it('replaces the cached cards after changing the default', async () => {
+        const updated = mockCards.map(card => ({ ...card, is_default: card.id === 'pm_second' }))
+        global.fetch.mockResolvedValueOnce(mockOk(updated))
+
+        await wrapper.vm.result.setDefaultPaymentMethod('pm_second')
+
+        expect(global.fetch).toHaveBeenCalledWith(
+            '/api/payments/payment-methods/pm_second/default',
+            expect.objectContaining({ method: 'PUT' })
+        )
+        expect(wrapper.vm.result.defaultPaymentMethod.value.id).toBe('pm_second')
+    })
+})
@@ -375,9 +375,10 @@ describe('usePaymentPlans Composable', () => {
             
             expect(result.credits.awarded).toBe(2)
             
-            // Should invalidate subscriptions, recurring bookings, and credits
+            // Should invalidate subscriptions, recurring bookings, credits, and the calendar
+            // (the subscription's upcoming lessons are cancelled)
             // Note: In test environment, userId may be undefined
-            expect(invalidateSpy).toHaveBeenCalledTimes(3)
+            expect(invalidateSpy).toHaveBeenCalledTimes(4)
             const invalidateCalls = invalidateSpy.mock.calls
             
             const subscriptionsCall = invalidateCalls.find(call => 
@@ -389,10 +390,14 @@ describe('usePaymentPlans Composable', () => {
             const creditsCall = invalidateCalls.find(call => 
                 call[0].queryKey[0] === 'credits'
             )
+            const calendarCall = invalidateCalls.find(call => 
+                call[0].queryKey[0] === 'calendar'
+            )
             
             expect(subscriptionsCall).toBeDefined()
             expect(recurringBookingsCall).toBeDefined()
             expect(creditsCall).toBeDefined()
+            expect(calendarCall).toBeDefined()
         })
 
         it('should handle deletion errors gracefully', async () => {
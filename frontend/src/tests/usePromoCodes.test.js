@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { VueQueryPlugin, QueryClient } from '@tanstack/vue-query'
+import { mount } from '@vue/test-utils'
+import { defineComponent, h } from 'vue'
+import { usePromoCodes } from '../composables/usePromoCodes'
+import { useUserStore } from '../stores/userStore'
+
+// Mock fetch globally
+global.fetch = vi.fn()
+
+const mockPromoCodes = [
+    { id: 1, code: 'SPRING20', discount_type: 'percent', discount_value: '20.00', is_active: true, redemption_count: 3 }
+]
+
+function mockOk(body) {
+    return { ok: true, json: async () => body }
+}
+
+describe('usePromoCodes Composable', () => {
+    let wrapper
+    let queryClient
+    let pinia
+
+    const Comp = defineComponent({
+        setup() {
+            return { result: usePromoCodes() }
+        },
+        render() { return h('div') }
+    })
+
+    beforeEach(() => {
+        pinia = createPinia()
+        setActivePinia(pinia)
+
+        const userStore = useUserStore()
+        userStore.user = { id: 1, name: 'Admin', role: 'admin' }
+        userStore.token = 'test-token'
+        userStore.isAuthenticated = true
+
+        queryClient = new QueryClient({
+            defaultOptions: { queries: { retry: false } }
+        })
+
+        vi.clearAllMocks()
+
+        wrapper = mount(Comp, {
+            global: { plugins: [pinia, [VueQueryPlugin, { queryClient }]] }
+        })
+    })
+
+    afterEach(() => {
+        wrapper?.unmount()
+        queryClient.clear()
+    })
+
+    it('loads promo codes with their usage', async () => {
+        global.fetch.mockResolvedValueOnce(mockOk(mockPromoCodes))
+        await wrapper.vm.result.refetchPromoCodes()
+
+        expect(global.fetch).toHaveBeenCalledWith('/api/admin/promo-codes', expect.any(Object))
+        expect(wrapper.vm.result.promoCodes.value[0].redemption_count).toBe(3)
+    })
+
+    it('creates promo codes', async () => {
+        global.fetch.mockResolvedValueOnce(mockOk({ id: 2, code: 'WELCOME' }))
+
+        await wrapper.vm.result.createPromoCode({ code: 'welcome', discount_type: 'fixed', discount_value: 10 })
+
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/api/admin/promo-codes')
+        expect(options.method).toBe('POST')
+        expect(JSON.parse(options.body).code).toBe('welcome')
+    })
+
+    it('surfaces validation errors', async () => {
+        global.fetch.mockResolvedValueOnce({ ok: false, json: async () => ({ error: 'Promo code already exists' }) })
+
+        await expect(
+            wrapper.vm.result.createPromoCode({ code: 'SPRING20', discount_type: 'percent', discount_value: 10 })
+        ).rejects.toThrow('Promo code already exists')
+    })
+
+    it('checks a code against a plan', async () => {
+        global.fetch.mockResolvedValueOnce(mockOk({ code: 'SPRING20', discount_amount: 36, final_price: 144 }))
+
+        const quote = await wrapper.vm.result.checkPromoCode('spring20', 2)
+
+        expect(quote.final_price).toBe(144)
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/api/payments/promo-codes/check')
+        expect(JSON.parse(options.body)).toEqual({ code: 'spring20', planId: 2 })
+    })
+})
@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { createPinia, setActivePinia } from 'pinia'
+import { VueQueryPlugin, QueryClient } from '@tanstack/vue-query'
+import { mount } from '@vue/test-utils'
+import { defineComponent, h, ref } from 'vue'
+import { useReport, recentMonthsRange } from '../composables/useReports'
+import { toCsv } from '../utils/csvExport'
+import { useUserStore } from '../stores/userStore'
+
+// Mock fetch globally
+global.fetch = vi.fn()
+
+function mockOk(body) {
+    return { ok: true, json: async () => body }
+}
+
+describe('useReports Composables', () => {
+    let wrapper
+    let queryClient
+    let pinia
+
+    const mountComposable = (useComposable) => {
+        const Comp = defineComponent({
+            setup() {
+                return { result: useComposable() }
+            },
+            render() { return h('div') }
+        })
+
+        return mount(Comp, {
+            global: { plugins: [pinia, [VueQueryPlugin, { queryClient }]] }
+        })
+    }
+
+    beforeEach(() => {
+        pinia = createPinia()
+        setActivePinia(pinia)
+
+        queryClient = new QueryClient({
+            defaultOptions: { queries: { retry: false } }
+        })
+
+        const userStore = useUserStore()
+        userStore.token = 'test-token'
+        userStore.user = { id: 1, role: 'admin' }
+
+        vi.clearAllMocks()
+    })
+
+    afterEach(() => {
+        wrapper?.unmount()
+        queryClient.clear()
+        vi.useRealTimers()
+    })
+
+    it('starts recent ranges at the beginning of a month', () => {
+        vi.useFakeTimers()
+        vi.setSystemTime(new Date(2026, 9, 19, 12))
+
+        expect(recentMonthsRange(6)).toEqual({ from: '2026-05-01', to: '2026-10-19' })
+        expect(recentMonthsRange(12)).toEqual({ from: '2025-11-01', to: '2026-10-19' })
+    })
+
+    it('loads a report for the date range and grouping', async () => {
+        global.fetch.mockResolvedValue(mockOk({ periods: [], totals: { net: 815 } }))
+
+        const filters = ref({ from: '2026-08-01', to: '2026-09-30', groupBy: 'month' })
+        wrapper = mountComposable(() => useReport('revenue', filters))
+        await wrapper.vm.result.refetchReport()
+
+        expect(global.fetch).toHaveBeenCalledWith(
+            '/api/admin/reports/revenue?from=2026-08-01&to=2026-09-30&groupBy=month',
+            expect.any(Object)
+        )
+        expect(wrapper.vm.result.report.value.totals.net).toBe(815)
+    })
+
+    it('leaves out filters a report does not use', async () => {
+        global.fetch.mockResolvedValue(mockOk({ instructors: [], totals: {} }))
+
+        const filters = ref({ from: '2026-08-01', to: '2026-09-30', groupBy: 'week' })
+        wrapper = mountComposable(() => useReport('utilization', filters))
+        await wrapper.vm.result.refetchReport()
+
+        expect(global.fetch.mock.calls[0][0]).toBe('/api/admin/reports/utilization?from=2026-08-01&to=2026-09-30')
+    })
+
+    it('loads credit liability without a date range', async () => {
+        global.fetch.mockResolvedValue(mockOk({ byDuration: [], totals: { credits: 0 } }))
+
+        wrapper = mountComposable(() => useReport('credit-liability'))
+        await wrapper.vm.result.refetchReport()
+
+        expect(global.fetch.mock.calls[0][0]).toBe('/api/admin/reports/credit-liability')
+    })
+
+    it('surfaces errors', async () => {
+        global.fetch.mockResolvedValue({ ok: false, json: async () => ({ error: 'Invalid date range' }) })
+
+        wrapper = mountComposable(() => useReport('revenue', { from: '2026-09-30', to: '2026-09-01', groupBy: 'month' }))
+        await wrapper.vm.result.refetchReport()
+
+        expect(wrapper.vm.result.reportError.value.message).toBe('Invalid date range')
+    })
+})
+
+describe('toCsv', () => {
+    const columns = [
+        { key: 'plan', label: 'Plan' },
+        { key: 'amount', label: 'Amount' }
+    ]
+
+    it('writes a header row and one line per row', () => {
+        expect(toCsv([{ plan: 'Monthly', amount: 200 }, { plan: 'Drop-in', amount: 45.5 }], columns))
+            .toBe('Plan,Amount\r\nMonthly,200\r\nDrop-in,45.5')
+    })
+
+    it('quotes cells with commas, quotes or line breaks and leaves empty values blank', () => {
+        expect(toCsv([{ plan: 'Lessons, 4 "hour"', amount: null }], columns))
+            .toBe('Plan,Amount\r\n"Lessons, 4 ""hour""",')
+    })
+})
@@ -0,0 +1,46 @@
+/**
+ * CSV export for tables of report data
+ */
+
+/**
+ * Quote a value for a CSV cell when it needs it
+ * @param {*} value - Cell value; empty for null or undefined
+ * @returns {string} Cell text
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from rows of data
+ * @param {Array<Object>} rows - Data rows
+ * @param {Array<Object>} columns - { key, label } for each column, in order
+ * @returns {string} CSV with a header row
+ */
+export function toCsv(rows, columns) {
+    const lines = [
+        columns.map(column => csvCell(column.label)).join(','),
+        ...rows.map(row => columns.map(column => csvCell(row[column.key])).join(','))
+    ];
+    return lines.join('\r\n');
+}
+
+/**
+ * Save rows of data as a CSV file
+ * @param {string} filename - File name, e.g. 'revenue-2026-09-01-to-2026-09-30.csv'
+ * @param {Array<Object>} rows - Data rows
+ * @param {Array<Object>} columns - { key, label } for each column, in order
+ */
+export function downloadCsv(filename, rows, columns) {
+    const blob = new Blob([toCsv(rows, columns)], { type: 'text/csv;charset=utf-8' });
+    const objectUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(objectUrl);
+}
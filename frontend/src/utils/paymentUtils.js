@@ -54,7 +54,8 @@ export function getPaymentStatusMessage(transaction, attendance = null) {
         const statusMessages = {
             'completed': 'Payment completed',
             'pending': 'Payment pending',
-            'failed': 'Payment failed'
+            'failed': 'Payment failed',
+            'requires_action': 'Card authentication required'
         };
         return statusMessages[transaction.status] || 'Unknown status';
     }
@@ -109,7 +110,49 @@ export function formatPaymentStatus(status) {
         'completed': 'Paid',
         'outstanding': 'Outstanding',
         'pending': 'Pending',
-        'failed': 'Failed'
+        'failed': 'Failed',
+        'requires_action': 'Action required'
     };
     return statuses[status] || status;
 }
+
+/**
+ * Whether a transaction has a PDF invoice: completed payments get a receipt and
+ * in-person lessons still to be paid get an invoice. Mirrors Invoice.isInvoiceable.
+ * @param {Object} transaction - Transaction object with status and payment_method
+ * @returns {boolean}
+ */
+export function hasInvoice(transaction) {
+    if (!transaction) return false;
+    return transaction.status === 'completed' ||
+        (transaction.payment_method === 'in-person' && transaction.status === 'outstanding');
+}
+
+/**
+ * Download an invoice PDF and save it with the name the server gives it
+ * @param {string} url - Invoice endpoint
+ * @param {string} token - Auth token
+ * @returns {Promise<void>}
+ */
+export async function downloadInvoice(url, token) {
+    const response = await fetch(url, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || 'Failed to download invoice');
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'invoice.pdf';
+
+    const objectUrl = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(objectUrl);
+}
@@ -1,8 +1,6 @@
-const jwt = require('jsonwebtoken');
 const { User } = require('../models/User');
-const config = require('../config');
-
-const JWT_SECRET = config.auth.jwtSecret;
+const { UserSession } = require('../models/UserSession');
+const { verifyAuthToken, isTokenCurrent } = require('../utils/authTokens');
 
 const authMiddleware = async (req, res, next) => {
     try {
@@ -19,7 +17,7 @@ const authMiddleware = async (req, res, next) => {
         }
 
         // Verify token
-        const decoded = jwt.verify(token, JWT_SECRET);
+        const decoded = verifyAuthToken(token);
         
         // Get user from database
         const user = await User.findByPk(decoded.id);
@@ -27,8 +25,27 @@ const authMiddleware = async (req, res, next) => {
             return res.status(401).json({ error: 'User not found' });
         }
 
+        // Reject tokens issued before the user was signed out everywhere
+        if (!isTokenCurrent(decoded, user)) {
+            return res.status(401).json({ error: 'Token revoked' });
+        }
+
+        // Reject tokens whose device session has been revoked or has expired
+        if (decoded.sid) {
+            const session = await UserSession.findActive(decoded.sid);
+            if (!session || session.user_id !== user.id) {
+                return res.status(401).json({ error: 'Session revoked' });
+            }
+        }
+
         // Attach user to request object
         req.user = user.get ? user.get({ plain: true }) : user;
+        req.sessionId = decoded.sid || null;
+
+        // Guardians can act for the dependents on their account (see utils/abilities.js)
+        if (req.user.role === 'student') {
+            req.user.dependent_ids = await User.getDependentIds(user.id);
+        }
         next();
     } catch (error) {
         if (error.name === 'JsonWebTokenError') {
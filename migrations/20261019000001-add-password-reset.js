@@ -0,0 +1,55 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        // Bumped whenever credentials change so previously issued JWTs stop validating
+        await queryInterface.addColumn('users', 'token_version', {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        });
+
+        await queryInterface.createTable('password_reset_tokens', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            token_hash: {
+                type: Sequelize.STRING(64),
+                allowNull: false,
+                unique: true
+            },
+            expires_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            used_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('password_reset_tokens', ['user_id']);
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('password_reset_tokens');
+        await queryInterface.removeColumn('users', 'token_version');
+    }
+};
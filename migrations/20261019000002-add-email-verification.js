@@ -0,0 +1,59 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('users', 'email_verified_at', {
+            type: Sequelize.DATE,
+            allowNull: true,
+            defaultValue: null
+        });
+
+        // Accounts that existed before verification was introduced are trusted as-is
+        await queryInterface.sequelize.query(
+            'UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL'
+        );
+
+        await queryInterface.createTable('email_verification_tokens', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            token_hash: {
+                type: Sequelize.STRING(64),
+                allowNull: false,
+                unique: true
+            },
+            expires_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            used_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('email_verification_tokens', ['user_id']);
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('email_verification_tokens');
+        await queryInterface.removeColumn('users', 'email_verified_at');
+    }
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('user_sessions', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            refresh_token_hash: {
+                type: Sequelize.STRING(64),
+                allowNull: false,
+                unique: true
+            },
+            previous_token_hash: {
+                type: Sequelize.STRING(64),
+                allowNull: true
+            },
+            user_agent: {
+                type: Sequelize.STRING(512),
+                allowNull: true
+            },
+            ip_address: {
+                type: Sequelize.STRING(64),
+                allowNull: true
+            },
+            last_used_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            expires_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            revoked_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('user_sessions', ['user_id']);
+        await queryInterface.addIndex('user_sessions', ['previous_token_hash']);
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('user_sessions');
+    }
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('lesson_reminders', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            calendar_event_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'calendar_events',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            hours_before: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            sent_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        // One reminder per lesson per window, even across restarts or overlapping runs
+        await queryInterface.addIndex('lesson_reminders', ['calendar_event_id', 'hours_before'], {
+            unique: true,
+            name: 'lesson_reminders_event_window_unique'
+        });
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('lesson_reminders');
+    }
+};
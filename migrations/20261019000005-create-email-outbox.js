@@ -0,0 +1,80 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('email_outbox', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            type: {
+                type: Sequelize.STRING(50),
+                allowNull: false
+            },
+            payload: {
+                type: Sequelize.JSON,
+                allowNull: false
+            },
+            priority: {
+                type: Sequelize.ENUM('high', 'normal'),
+                allowNull: false,
+                defaultValue: 'normal'
+            },
+            status: {
+                type: Sequelize.ENUM('pending', 'processing', 'sent', 'failed', 'cancelled'),
+                allowNull: false,
+                defaultValue: 'pending'
+            },
+            attempts: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            next_attempt_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            last_error: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            locked_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            sent_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        // The worker polls for due pending jobs on every tick
+        await queryInterface.addIndex('email_outbox', ['status', 'next_attempt_at'], {
+            name: 'email_outbox_status_next_attempt'
+        });
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('email_outbox');
+
+        // Clean up the ENUM types (PostgreSQL specific)
+        try {
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_email_outbox_priority";');
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_email_outbox_status";');
+        } catch (error) {
+            // Ignore errors for non-PostgreSQL databases
+        }
+    }
+};
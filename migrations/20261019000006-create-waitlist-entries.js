@@ -0,0 +1,95 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('waitlist_entries', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            student_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            instructor_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'instructors',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            date: {
+                type: Sequelize.DATEONLY,
+                allowNull: false
+            },
+            start_slot: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            duration: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            status: {
+                type: Sequelize.ENUM('waiting', 'offered', 'booked', 'expired', 'cancelled'),
+                allowNull: false,
+                defaultValue: 'waiting'
+            },
+            offered_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            hold_expires_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            calendar_event_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'calendar_events',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        // Cancellations look up the queue for one instructor and day
+        await queryInterface.addIndex('waitlist_entries', ['instructor_id', 'date', 'status'], {
+            name: 'waitlist_entries_instructor_date_status'
+        });
+        await queryInterface.addIndex('waitlist_entries', ['student_id']);
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('waitlist_entries');
+
+        // Clean up the ENUM type (PostgreSQL specific)
+        try {
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_waitlist_entries_status";');
+        } catch (error) {
+            // Ignore errors for non-PostgreSQL databases
+        }
+    }
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.addColumn('calendar_events', 'recurring_booking_id', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'recurring_bookings',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL'
+        });
+
+        // The weekly date a lesson was generated for; stays put when the lesson is moved
+        await queryInterface.addColumn('calendar_events', 'recurring_date', {
+            type: Sequelize.DATEONLY,
+            allowNull: true
+        });
+
+        // One lesson per recurring booking per week, whatever its status, so a
+        // cancelled or moved lesson is never generated again
+        await queryInterface.addIndex('calendar_events', ['recurring_booking_id', 'recurring_date'], {
+            name: 'calendar_events_recurring_booking_recurring_date',
+            unique: true
+        });
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.removeIndex('calendar_events', 'calendar_events_recurring_booking_recurring_date');
+        await queryInterface.removeColumn('calendar_events', 'recurring_date');
+        await queryInterface.removeColumn('calendar_events', 'recurring_booking_id');
+    }
+};
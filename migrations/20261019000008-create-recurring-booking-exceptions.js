@@ -0,0 +1,78 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('recurring_booking_exceptions', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            recurring_booking_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'recurring_bookings',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            occurrence_date: {
+                type: Sequelize.DATEONLY,
+                allowNull: false
+            },
+            type: {
+                type: Sequelize.ENUM('skip', 'move'),
+                allowNull: false
+            },
+            new_date: {
+                type: Sequelize.DATEONLY,
+                allowNull: true
+            },
+            new_start_slot: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            created_by: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        // One exception per weekly occurrence
+        await queryInterface.addIndex('recurring_booking_exceptions', ['recurring_booking_id', 'occurrence_date'], {
+            name: 'recurring_booking_exceptions_booking_occurrence',
+            unique: true
+        });
+        // Calendar views look up lessons moved onto the dates they show
+        await queryInterface.addIndex('recurring_booking_exceptions', ['new_date']);
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('recurring_booking_exceptions');
+
+        // Clean up the ENUM type (PostgreSQL specific)
+        try {
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_recurring_booking_exceptions_type";');
+        } catch (error) {
+            // Ignore errors for non-PostgreSQL databases
+        }
+    }
+};
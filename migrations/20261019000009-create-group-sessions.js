@@ -0,0 +1,87 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('group_sessions', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            instructor_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'instructors',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            title: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            date: {
+                type: Sequelize.DATEONLY,
+                allowNull: false
+            },
+            start_slot: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            duration: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            capacity: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            status: {
+                type: Sequelize.ENUM('scheduled', 'cancelled'),
+                allowNull: false,
+                defaultValue: 'scheduled'
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('group_sessions', ['instructor_id', 'date']);
+
+        // Each enrolled student has their own lesson in the class's time, paid and
+        // marked for attendance like any other booking
+        await queryInterface.addColumn('calendar_events', 'group_session_id', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'group_sessions',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL'
+        });
+        await queryInterface.addIndex('calendar_events', ['group_session_id']);
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.removeIndex('calendar_events', ['group_session_id']);
+        await queryInterface.removeColumn('calendar_events', 'group_session_id');
+        await queryInterface.dropTable('group_sessions');
+
+        // Clean up the ENUM type (PostgreSQL specific)
+        try {
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_group_sessions_status";');
+        } catch (error) {
+            // Ignore errors for non-PostgreSQL databases
+        }
+    }
+};
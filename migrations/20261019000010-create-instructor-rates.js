@@ -0,0 +1,55 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('instructor_rates', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            instructor_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'instructors',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            duration_minutes: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            // Price of a lesson paid online by card; null uses the instructor's base rate
+            online_price: {
+                type: Sequelize.DECIMAL(10, 2),
+                allowNull: true
+            },
+            // Price of a lesson paid in person; null charges the online price
+            in_person_price: {
+                type: Sequelize.DECIMAL(10, 2),
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('instructor_rates', ['instructor_id', 'duration_minutes'], {
+            unique: true
+        });
+    },
+
+    down: async (queryInterface) => {
+        await queryInterface.dropTable('instructor_rates');
+    }
+};
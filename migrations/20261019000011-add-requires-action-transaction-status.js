@@ -0,0 +1,33 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        // Card payments waiting on the customer for 3D Secure authentication
+        if (queryInterface.sequelize.getDialect() === 'postgres') {
+            await queryInterface.sequelize.query(`
+                ALTER TYPE "enum_transactions_status" ADD VALUE IF NOT EXISTS 'requires_action';
+            `);
+        } else {
+            await queryInterface.changeColumn('transactions', 'status', {
+                type: Sequelize.ENUM('pending', 'completed', 'failed', 'outstanding', 'requires_action'),
+                allowNull: false,
+                defaultValue: 'completed'
+            });
+        }
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.sequelize.query(
+            `UPDATE transactions SET status = 'pending' WHERE status = 'requires_action'`
+        );
+
+        // PostgreSQL can't drop a value from an enum; the unused value is left in place
+        if (queryInterface.sequelize.getDialect() !== 'postgres') {
+            await queryInterface.changeColumn('transactions', 'status', {
+                type: Sequelize.ENUM('pending', 'completed', 'failed', 'outstanding'),
+                allowNull: false,
+                defaultValue: 'completed'
+            });
+        }
+    }
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('promo_codes', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            code: {
+                type: Sequelize.STRING(40),
+                allowNull: false,
+                unique: true
+            },
+            description: {
+                type: Sequelize.STRING,
+                allowNull: true
+            },
+            discount_type: {
+                type: Sequelize.ENUM('percent', 'fixed'),
+                allowNull: false
+            },
+            discount_value: {
+                type: Sequelize.DECIMAL(10, 2),
+                allowNull: false
+            },
+            expires_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            // Null means no limit
+            max_redemptions: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            per_user_limit: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            // Payment plan IDs the code can be used for; null means every plan
+            plan_ids: {
+                type: Sequelize.JSON,
+                allowNull: true
+            },
+            is_active: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: true
+            },
+            // Mirror of the code in Stripe, applied to membership subscriptions
+            stripe_coupon_id: {
+                type: Sequelize.STRING,
+                allowNull: true
+            },
+            created_by: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.createTable('promo_code_redemptions', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            promo_code_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'promo_codes',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            payment_plan_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'payment_plans',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            transaction_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'transactions',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            subscription_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'subscriptions',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            discount_amount: {
+                type: Sequelize.DECIMAL(10, 2),
+                allowNull: false
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('promo_code_redemptions', ['promo_code_id', 'user_id']);
+
+        // The discount applied to a purchase; amount is what was charged after it
+        await queryInterface.addColumn('transactions', 'promo_code_id', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'promo_codes',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL'
+        });
+        await queryInterface.addColumn('transactions', 'discount_amount', {
+            type: Sequelize.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0
+        });
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.removeColumn('transactions', 'discount_amount');
+        await queryInterface.removeColumn('transactions', 'promo_code_id');
+        await queryInterface.dropTable('promo_code_redemptions');
+        await queryInterface.dropTable('promo_codes');
+
+        // Clean up the ENUM type (PostgreSQL specific)
+        try {
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_promo_codes_discount_type";');
+        } catch (error) {
+            // Ignore errors for non-PostgreSQL databases
+        }
+    }
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('gift_vouchers', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            code: {
+                type: Sequelize.STRING(20),
+                allowNull: false,
+                unique: true
+            },
+            payment_plan_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'payment_plans',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            // Copied from the plan when bought, so later plan changes don't alter the gift
+            plan_name: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            credits: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            lesson_duration_minutes: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 30
+            },
+            purchaser_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            transaction_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'transactions',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            recipient_name: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            recipient_email: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            message: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            // pending until paid, then issued until redeemed; void when payment fails or an admin cancels it
+            status: {
+                type: Sequelize.ENUM('pending', 'issued', 'redeemed', 'void'),
+                allowNull: false,
+                defaultValue: 'pending'
+            },
+            issued_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            expires_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            redeemed_by: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            redeemed_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('gift_vouchers', ['purchaser_id']);
+        await queryInterface.addIndex('gift_vouchers', ['transaction_id']);
+        await queryInterface.addIndex('gift_vouchers', ['status', 'expires_at']);
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('gift_vouchers');
+
+        // Clean up the ENUM type (PostgreSQL specific)
+        try {
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_gift_vouchers_status";');
+        } catch (error) {
+            // Ignore errors for non-PostgreSQL databases
+        }
+    }
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        // A guardian's account owns the student profiles of their dependents
+        await queryInterface.addColumn('users', 'guardian_id', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL'
+        });
+
+        // Book from the guardian's credits rather than the dependent's own balance
+        await queryInterface.addColumn('users', 'shares_guardian_credits', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        });
+
+        await queryInterface.addIndex('users', ['guardian_id']);
+
+        // Dependents don't log in, so they don't need an email address
+        if (queryInterface.sequelize.getDialect() === 'postgres') {
+            await queryInterface.sequelize.query(
+                'ALTER TABLE users ALTER COLUMN email DROP NOT NULL'
+            );
+        } else {
+            await queryInterface.changeColumn('users', 'email', {
+                type: Sequelize.STRING,
+                allowNull: true,
+                unique: true
+            });
+        }
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        // Dependent profiles have lessons and credits attached, so they must be removed by hand first
+        const [rows] = await queryInterface.sequelize.query(
+            'SELECT COUNT(*) AS count FROM users WHERE email IS NULL'
+        );
+        if (parseInt(rows[0].count, 10) > 0) {
+            throw new Error('Remove dependent profiles without an email address before rolling back');
+        }
+
+        if (queryInterface.sequelize.getDialect() === 'postgres') {
+            await queryInterface.sequelize.query(
+                'ALTER TABLE users ALTER COLUMN email SET NOT NULL'
+            );
+        } else {
+            await queryInterface.changeColumn('users', 'email', {
+                type: Sequelize.STRING,
+                allowNull: false,
+                unique: true
+            });
+        }
+
+        await queryInterface.removeIndex('users', ['guardian_id']);
+        await queryInterface.removeColumn('users', 'shares_guardian_credits');
+        await queryInterface.removeColumn('users', 'guardian_id');
+    }
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        await queryInterface.createTable('invoices', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            // Sequential with no gaps, assigned when the invoice is first issued
+            invoice_number: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                unique: true
+            },
+            transaction_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                unique: true,
+                references: {
+                    model: 'transactions',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            issued_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('invoices');
+    }
+};
@@ -0,0 +1,210 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        // Share of each lesson the studio keeps, as a percentage
+        await queryInterface.addColumn('instructors', 'commission_percent', {
+            type: Sequelize.DECIMAL(5, 2),
+            allowNull: false,
+            defaultValue: 0
+        });
+
+        // Stripe Connect account payouts can be transferred to
+        await queryInterface.addColumn('instructors', 'stripe_account_id', {
+            type: Sequelize.STRING,
+            allowNull: true
+        });
+
+        await queryInterface.createTable('instructor_payouts', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            instructor_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'instructors',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            period_start: {
+                type: Sequelize.DATEONLY,
+                allowNull: false
+            },
+            period_end: {
+                type: Sequelize.DATEONLY,
+                allowNull: false
+            },
+            lesson_count: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            gross_amount: {
+                type: Sequelize.DECIMAL(10, 2),
+                allowNull: false
+            },
+            commission_amount: {
+                type: Sequelize.DECIMAL(10, 2),
+                allowNull: false
+            },
+            // What the instructor is paid: gross less commission
+            amount: {
+                type: Sequelize.DECIMAL(10, 2),
+                allowNull: false
+            },
+            status: {
+                type: Sequelize.ENUM('pending', 'paid'),
+                allowNull: false,
+                defaultValue: 'pending'
+            },
+            method: {
+                type: Sequelize.ENUM('manual', 'stripe'),
+                allowNull: true
+            },
+            // Bank reference or Stripe transfer ID
+            reference: {
+                type: Sequelize.STRING,
+                allowNull: true
+            },
+            paid_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            paid_by: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('instructor_payouts', ['instructor_id', 'status']);
+
+        await queryInterface.createTable('instructor_earnings', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            instructor_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'instructors',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            // Kept after the lesson is deleted so paid history stays intact
+            calendar_event_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                unique: true,
+                references: {
+                    model: 'calendar_events',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            student_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            lesson_date: {
+                type: Sequelize.DATEONLY,
+                allowNull: false
+            },
+            duration_minutes: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            payment_method: {
+                type: Sequelize.STRING(20),
+                allowNull: false
+            },
+            gross_amount: {
+                type: Sequelize.DECIMAL(10, 2),
+                allowNull: false
+            },
+            // The instructor's split when the lesson was earned
+            commission_percent: {
+                type: Sequelize.DECIMAL(5, 2),
+                allowNull: false
+            },
+            commission_amount: {
+                type: Sequelize.DECIMAL(10, 2),
+                allowNull: false
+            },
+            amount: {
+                type: Sequelize.DECIMAL(10, 2),
+                allowNull: false
+            },
+            payout_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'instructor_payouts',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('instructor_earnings', ['instructor_id', 'lesson_date']);
+        await queryInterface.addIndex('instructor_earnings', ['payout_id']);
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('instructor_earnings');
+        await queryInterface.dropTable('instructor_payouts');
+
+        // Clean up the ENUM types (PostgreSQL specific)
+        try {
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_instructor_payouts_status";');
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_instructor_payouts_method";');
+        } catch (error) {
+            // Ignore errors for non-PostgreSQL databases
+        }
+
+        await queryInterface.removeColumn('instructors', 'stripe_account_id');
+        await queryInterface.removeColumn('instructors', 'commission_percent');
+    }
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        // The lesson an in-person payment is for
+        await queryInterface.addColumn('transactions', 'calendar_event_id', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'calendar_events',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'SET NULL'
+        });
+
+        // Link existing in-person payments to their lessons the way they used to be found:
+        // the student's latest one created within a day of the lesson date
+        const [bookings] = await queryInterface.sequelize.query(
+            'SELECT id, student_id, date FROM calendar_events WHERE student_id IS NOT NULL ORDER BY date ASC, id ASC'
+        );
+        const [transactions] = await queryInterface.sequelize.query(
+            "SELECT id, user_id, created_at FROM transactions WHERE payment_method = 'in-person' ORDER BY created_at DESC, id DESC"
+        );
+        const unlinked = transactions.map(transaction => ({
+            id: transaction.id,
+            userId: transaction.user_id,
+            createdAt: new Date(transaction.created_at).getTime()
+        }));
+        const DAY_MS = 24 * 60 * 60 * 1000;
+
+        for (const booking of bookings) {
+            const lessonDate = new Date(booking.date).getTime();
+            const index = unlinked.findIndex(transaction =>
+                transaction.userId === booking.student_id &&
+                Math.abs(transaction.createdAt - lessonDate) <= DAY_MS
+            );
+            if (index === -1) {
+                continue;
+            }
+
+            const [transaction] = unlinked.splice(index, 1);
+            await queryInterface.sequelize.query(
+                'UPDATE transactions SET calendar_event_id = :bookingId WHERE id = :transactionId',
+                { replacements: { bookingId: booking.id, transactionId: transaction.id } }
+            );
+        }
+
+        // How much of an in-person payment has been collected so far
+        await queryInterface.addColumn('transactions', 'amount_paid', {
+            type: Sequelize.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0
+        });
+
+        // In-person payments already marked paid were paid in full
+        await queryInterface.sequelize.query(
+            "UPDATE transactions SET amount_paid = amount WHERE payment_method = 'in-person' AND status = 'completed'"
+        );
+
+        // Each amount collected towards an in-person payment
+        await queryInterface.createTable('in_person_payments', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            transaction_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'transactions',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            amount: {
+                type: Sequelize.DECIMAL(10, 2),
+                allowNull: false
+            },
+            recorded_by: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            notes: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('transactions', ['calendar_event_id']);
+        await queryInterface.addIndex('in_person_payments', ['transaction_id']);
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('in_person_payments');
+        await queryInterface.removeIndex('transactions', ['calendar_event_id']);
+        await queryInterface.removeColumn('transactions', 'amount_paid');
+        await queryInterface.removeColumn('transactions', 'calendar_event_id');
+    }
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        // When the first of the current run of failed renewal payments happened
+        await queryInterface.addColumn('subscriptions', 'payment_failed_at', {
+            type: Sequelize.DATE,
+            allowNull: true
+        });
+
+        // How far the payment reminders have got: 1 failure notice, 2 reminder, 3 lessons paused
+        await queryInterface.addColumn('subscriptions', 'dunning_stage', {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        });
+
+        // Paused recurring bookings hold no time and book no lessons until the subscription is paid
+        await queryInterface.addColumn('recurring_bookings', 'paused_at', {
+            type: Sequelize.DATE,
+            allowNull: true
+        });
+
+        await queryInterface.addIndex('subscriptions', ['payment_failed_at']);
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.removeIndex('subscriptions', ['payment_failed_at']);
+        await queryInterface.removeColumn('recurring_bookings', 'paused_at');
+        await queryInterface.removeColumn('subscriptions', 'dunning_stage');
+        await queryInterface.removeColumn('subscriptions', 'payment_failed_at');
+    }
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        // The event a lesson was pushed to on the instructor's Google Calendar
+        await queryInterface.addColumn('calendar_events', 'google_event_id', {
+            type: Sequelize.STRING,
+            allowNull: true
+        });
+
+        // The calendar it was pushed to, so it can still be removed after the instructor changes calendars
+        await queryInterface.addColumn('calendar_events', 'google_calendar_id', {
+            type: Sequelize.STRING,
+            allowNull: true
+        });
+
+        await queryInterface.addColumn('calendar_events', 'google_synced_at', {
+            type: Sequelize.DATE,
+            allowNull: true
+        });
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.removeColumn('calendar_events', 'google_synced_at');
+        await queryInterface.removeColumn('calendar_events', 'google_calendar_id');
+        await queryInterface.removeColumn('calendar_events', 'google_event_id');
+    }
+};
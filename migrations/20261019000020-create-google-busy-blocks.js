@@ -0,0 +1,109 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        // Local copy of the events on instructors' Google Calendars, kept current by
+        // incremental sync so viewing the booking calendar doesn't call Google
+        await queryInterface.createTable('google_busy_blocks', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            instructor_calendar_config_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'instructor_calendar_configs',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            google_event_id: {
+                type: Sequelize.STRING,
+                allowNull: false
+            },
+            summary: {
+                type: Sequelize.STRING,
+                allowNull: true
+            },
+            // Timed events
+            start_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            end_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            // All-day events (end_date is exclusive, as in Google)
+            start_date: {
+                type: Sequelize.DATEONLY,
+                allowNull: true
+            },
+            end_date: {
+                type: Sequelize.DATEONLY,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('google_busy_blocks', ['instructor_calendar_config_id', 'google_event_id'], {
+            unique: true,
+            name: 'google_busy_blocks_config_event_unique'
+        });
+
+        // Incremental sync state: the token for the next events.list call
+        await queryInterface.addColumn('instructor_calendar_configs', 'sync_token', {
+            type: Sequelize.TEXT,
+            allowNull: true
+        });
+        await queryInterface.addColumn('instructor_calendar_configs', 'last_synced_at', {
+            type: Sequelize.DATE,
+            allowNull: true
+        });
+
+        // The Google watch channel that notifies us of changes to the calendar
+        await queryInterface.addColumn('instructor_calendar_configs', 'watch_channel_id', {
+            type: Sequelize.STRING,
+            allowNull: true
+        });
+        await queryInterface.addColumn('instructor_calendar_configs', 'watch_resource_id', {
+            type: Sequelize.STRING,
+            allowNull: true
+        });
+        await queryInterface.addColumn('instructor_calendar_configs', 'watch_token', {
+            type: Sequelize.STRING,
+            allowNull: true
+        });
+        await queryInterface.addColumn('instructor_calendar_configs', 'watch_expires_at', {
+            type: Sequelize.DATE,
+            allowNull: true
+        });
+
+        await queryInterface.addIndex('instructor_calendar_configs', ['watch_channel_id'], {
+            name: 'instructor_calendar_configs_watch_channel_id'
+        });
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.removeIndex('instructor_calendar_configs', 'instructor_calendar_configs_watch_channel_id');
+        await queryInterface.removeColumn('instructor_calendar_configs', 'watch_expires_at');
+        await queryInterface.removeColumn('instructor_calendar_configs', 'watch_token');
+        await queryInterface.removeColumn('instructor_calendar_configs', 'watch_resource_id');
+        await queryInterface.removeColumn('instructor_calendar_configs', 'watch_channel_id');
+        await queryInterface.removeColumn('instructor_calendar_configs', 'last_synced_at');
+        await queryInterface.removeColumn('instructor_calendar_configs', 'sync_token');
+        await queryInterface.dropTable('google_busy_blocks');
+    }
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        // Busy time can now come from CalDAV servers and ICS feeds as well as Google,
+        // so the local copy of calendar events loses its Google-specific names
+        await queryInterface.removeIndex('google_busy_blocks', 'google_busy_blocks_config_event_unique');
+        await queryInterface.renameTable('google_busy_blocks', 'busy_blocks');
+        await queryInterface.renameColumn('busy_blocks', 'google_event_id', 'external_event_id');
+        await queryInterface.addIndex('busy_blocks', ['instructor_calendar_config_id', 'external_event_id'], {
+            unique: true,
+            name: 'busy_blocks_config_event_unique'
+        });
+
+        await queryInterface.addColumn('instructor_calendar_configs', 'provider', {
+            type: Sequelize.ENUM('google', 'caldav', 'ics'),
+            allowNull: false,
+            defaultValue: 'google'
+        });
+        // CalDAV calendar collection URL or ICS feed URL
+        await queryInterface.addColumn('instructor_calendar_configs', 'source_url', {
+            type: Sequelize.TEXT,
+            allowNull: true
+        });
+        // CalDAV credentials; the password is encrypted with utils/encryption
+        await queryInterface.addColumn('instructor_calendar_configs', 'username', {
+            type: Sequelize.STRING,
+            allowNull: true
+        });
+        await queryInterface.addColumn('instructor_calendar_configs', 'password', {
+            type: Sequelize.TEXT,
+            allowNull: true
+        });
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        // Calendars from other providers can't be represented once the columns are gone
+        await queryInterface.sequelize.query(
+            "DELETE FROM busy_blocks WHERE instructor_calendar_config_id IN (SELECT id FROM instructor_calendar_configs WHERE provider <> 'google')"
+        );
+        await queryInterface.bulkDelete('instructor_calendar_configs', { provider: ['caldav', 'ics'] });
+
+        await queryInterface.removeColumn('instructor_calendar_configs', 'password');
+        await queryInterface.removeColumn('instructor_calendar_configs', 'username');
+        await queryInterface.removeColumn('instructor_calendar_configs', 'source_url');
+        await queryInterface.removeColumn('instructor_calendar_configs', 'provider');
+
+        // Clean up the ENUM type (PostgreSQL specific)
+        try {
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_instructor_calendar_configs_provider";');
+        } catch (error) {
+            // Ignore errors for non-PostgreSQL databases
+        }
+
+        await queryInterface.removeIndex('busy_blocks', 'busy_blocks_config_event_unique');
+        await queryInterface.renameColumn('busy_blocks', 'external_event_id', 'google_event_id');
+        await queryInterface.renameTable('busy_blocks', 'google_busy_blocks');
+        await queryInterface.addIndex('google_busy_blocks', ['instructor_calendar_config_id', 'google_event_id'], {
+            unique: true,
+            name: 'google_busy_blocks_config_event_unique'
+        });
+    }
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        // One secret iCal subscription link per user; only the token's digest is stored
+        await queryInterface.createTable('calendar_feed_tokens', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                unique: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            token_hash: {
+                type: Sequelize.STRING(64),
+                allowNull: false,
+                unique: true
+            },
+            last_accessed_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        await queryInterface.dropTable('calendar_feed_tokens');
+    }
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+module.exports = {
+    up: async (queryInterface, Sequelize) => {
+        // Instructors can connect several calendars, e.g. a personal and a work one
+        await queryInterface.removeIndex('instructor_calendar_configs', ['instructor_id']);
+
+        if (queryInterface.sequelize.getDialect() === 'postgres') {
+            await queryInterface.sequelize.query(
+                'ALTER TABLE instructor_calendar_configs DROP CONSTRAINT IF EXISTS instructor_calendar_configs_instructor_id_key'
+            );
+        } else {
+            await queryInterface.changeColumn('instructor_calendar_configs', 'instructor_id', {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                unique: false,
+                references: {
+                    model: 'instructors',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            });
+        }
+
+        await queryInterface.addIndex('instructor_calendar_configs', ['instructor_id']);
+
+        // Whether the calendar's events block time on the booking calendar; ignored
+        // calendars stay connected and keep syncing
+        await queryInterface.addColumn('instructor_calendar_configs', 'include_in_busy_time', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        });
+    },
+
+    down: async (queryInterface, Sequelize) => {
+        // Which of an instructor's calendars to keep is their call, so they must be removed by hand first
+        const [rows] = await queryInterface.sequelize.query(
+            'SELECT COUNT(*) AS count FROM (SELECT instructor_id FROM instructor_calendar_configs GROUP BY instructor_id HAVING COUNT(*) > 1) AS shared'
+        );
+        if (parseInt(rows[0].count, 10) > 0) {
+            throw new Error('Remove extra calendars so each instructor has at most one before rolling back');
+        }
+
+        await queryInterface.removeColumn('instructor_calendar_configs', 'include_in_busy_time');
+        await queryInterface.removeIndex('instructor_calendar_configs', ['instructor_id']);
+        await queryInterface.addIndex('instructor_calendar_configs', ['instructor_id'], { unique: true });
+    }
+};
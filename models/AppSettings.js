@@ -340,6 +340,150 @@ AppSettings.getCardPaymentOnBehalfEnabled = async function() {
     }
 };
 
+// Hours before a lesson at which reminder emails go out, when not configured
+const DEFAULT_REMINDER_HOURS = [24, 2];
+const MAX_REMINDER_HOURS = 168; // One week
+const MAX_REMINDER_COUNT = 3;
+
+/**
+ * Parse a comma-separated list of reminder hours (e.g. "24, 2")
+ * @returns {number[]} Unique whole hours, largest first
+ * @throws {Error} If any entry is not a whole number between 1 and 168
+ */
+const parseReminderHours = (value) => {
+    const entries = String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+    const hours = entries.map(entry => {
+        const parsed = Number(entry);
+        if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_REMINDER_HOURS) {
+            throw new Error(`Reminder times must be whole hours between 1 and ${MAX_REMINDER_HOURS}`);
+        }
+        return parsed;
+    });
+    const unique = [...new Set(hours)].sort((a, b) => b - a);
+    if (unique.length > MAX_REMINDER_COUNT) {
+        throw new Error(`At most ${MAX_REMINDER_COUNT} reminder times can be configured`);
+    }
+    return unique;
+};
+
+// Static method to get lesson reminder windows (empty array = reminders disabled)
+AppSettings.getLessonReminderHours = async function() {
+    try {
+        const setting = await this.findOne({
+            where: {
+                category: 'lessons',
+                key: 'reminder_hours'
+            }
+        });
+        
+        if (!setting) {
+            return DEFAULT_REMINDER_HOURS;
+        }
+        
+        return parseReminderHours(setting.value || '');
+    } catch (error) {
+        console.error('Error getting lesson reminder hours:', error);
+        return DEFAULT_REMINDER_HOURS;
+    }
+};
+
+// Lesson types offered when none are configured: the original 30-minute lesson
+// at the instructor's rate and a 60-minute lesson at twice that
+const DEFAULT_LESSON_TYPES = [
+    { duration_minutes: 30, price_multiplier: 1 },
+    { duration_minutes: 60, price_multiplier: 2 }
+];
+const MAX_LESSON_TYPES = 8;
+const MAX_PRICE_MULTIPLIER = 10;
+
+/**
+ * Parse and validate a list of lesson types
+ * @param {string|Array} value - JSON string or array of { duration_minutes, price_multiplier }
+ * @returns {Array} Lesson types ordered by duration
+ * @throws {Error} If the list is empty, has duplicate durations, or any entry is invalid
+ */
+const parseLessonTypes = (value) => {
+    let types = value;
+    if (typeof value === 'string') {
+        try {
+            types = JSON.parse(value);
+        } catch (error) {
+            throw new Error('Lesson types must be valid JSON');
+        }
+    }
+
+    if (!Array.isArray(types) || types.length === 0) {
+        throw new Error('At least one lesson type is required');
+    }
+    if (types.length > MAX_LESSON_TYPES) {
+        throw new Error(`At most ${MAX_LESSON_TYPES} lesson types can be configured`);
+    }
+
+    const parsed = types.map(type => {
+        const duration = Number(type?.duration_minutes);
+        const multiplier = Number(type?.price_multiplier);
+        if (!Number.isInteger(duration) || duration < 15 || duration > 180 || duration % 15 !== 0) {
+            throw new Error('Lesson durations must be multiples of 15 minutes between 15 and 180');
+        }
+        if (!Number.isFinite(multiplier) || multiplier <= 0 || multiplier > MAX_PRICE_MULTIPLIER) {
+            throw new Error(`Price multipliers must be greater than 0 and at most ${MAX_PRICE_MULTIPLIER}`);
+        }
+        return { duration_minutes: duration, price_multiplier: Math.round(multiplier * 100) / 100 };
+    });
+
+    const durations = parsed.map(type => type.duration_minutes);
+    if (new Set(durations).size !== durations.length) {
+        throw new Error('Each lesson duration can only be listed once');
+    }
+
+    return parsed.sort((a, b) => a.duration_minutes - b.duration_minutes);
+};
+
+// Static method to get the lesson types students can book and buy credits for
+AppSettings.getLessonTypes = async function() {
+    try {
+        const setting = await this.findOne({
+            where: {
+                category: 'lessons',
+                key: 'lesson_types'
+            }
+        });
+        
+        if (!setting || !setting.value) {
+            return DEFAULT_LESSON_TYPES;
+        }
+        
+        return parseLessonTypes(setting.value);
+    } catch (error) {
+        console.error('Error getting lesson types:', error);
+        return DEFAULT_LESSON_TYPES;
+    }
+};
+
+/**
+ * The configured lesson type for a lesson length
+ * @param {number} durationMinutes - Lesson length in minutes
+ * @returns {Promise<Object|null>} { duration_minutes, price_multiplier }, or null if not offered
+ */
+AppSettings.getLessonType = async function(durationMinutes) {
+    const types = await this.getLessonTypes();
+    return types.find(type => type.duration_minutes === Number(durationMinutes)) || null;
+};
+
+/**
+ * Price of a lesson from the instructor's rate (the cost of a 30-minute lesson).
+ * Lengths that aren't a configured lesson type, such as a group class, are priced
+ * in proportion to their length.
+ * @param {number} rate - Instructor's rate
+ * @param {number} durationMinutes - Lesson length in minutes
+ * @returns {Promise<number>} Price, rounded to cents
+ */
+AppSettings.getLessonPrice = async function(rate, durationMinutes) {
+    const type = await this.getLessonType(durationMinutes);
+    const multiplier = type ? type.price_multiplier : durationMinutes / 30;
+    return Math.round(rate * multiplier * 100) / 100;
+};
+
 // Static method to get business hours with defaults
 AppSettings.getBusinessHours = async function() {
     try {
@@ -379,6 +523,9 @@ AppSettings.validateLessonSetting = function(key, value) {
             }
             return duration.toString();
             
+        case 'lesson_types':
+            return JSON.stringify(parseLessonTypes(value));
+            
         case 'in_person_payment_enabled':
         case 'card_payment_on_behalf_enabled':
             if (typeof value === 'boolean') {
@@ -392,6 +539,10 @@ AppSettings.validateLessonSetting = function(key, value) {
             }
             throw new Error('Payment setting must be true or false');
             
+        case 'reminder_hours':
+            // Stored as a normalized list; an empty value turns reminders off
+            return parseReminderHours(value ?? '').join(',');
+            
         default:
             throw new Error(`Unknown lesson setting: ${key}`);
     }
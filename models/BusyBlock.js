@@ -0,0 +1,149 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../db/index');
+const { formatDateUTC } = require('../utils/timeUtils');
+
+// Local copy of an event on an instructor's external calendar (Google, CalDAV or an
+// ICS feed), kept current by BusyTimeService. Timed events use start_at/end_at;
+// all-day events use start_date/end_date, with end_date exclusive as in iCalendar.
+const BusyBlock = sequelize.define('BusyBlock', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    instructor_calendar_config_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'instructor_calendar_configs',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    // The provider's id for the event (one per occurrence of a recurring event)
+    external_event_id: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    summary: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    start_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    end_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    start_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    end_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    }
+}, {
+    tableName: 'busy_blocks',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['instructor_calendar_config_id', 'external_event_id']
+        }
+    ]
+});
+
+// Static methods
+
+/**
+ * Store or update an event. Providers hand events over in the shape the Google
+ * Calendar API returns them, which is also what convertToSlots reads.
+ * @param {number} configId - InstructorCalendarConfig ID
+ * @param {Object} event - Event with id, summary, start and end
+ * @param {Object} [transaction] - Sequelize transaction
+ */
+BusyBlock.saveEvent = async function(configId, event, transaction = null) {
+    const values = {
+        summary: event.summary ? event.summary.slice(0, 255) : null,
+        start_at: event.start?.dateTime ? new Date(event.start.dateTime) : null,
+        end_at: event.end?.dateTime ? new Date(event.end.dateTime) : null,
+        start_date: event.start?.date || null,
+        end_date: event.end?.date || null
+    };
+
+    const existing = await this.findOne({
+        where: { instructor_calendar_config_id: configId, external_event_id: event.id },
+        transaction
+    });
+    if (existing) {
+        return existing.update(values, { transaction });
+    }
+
+    return this.create({
+        instructor_calendar_config_id: configId,
+        external_event_id: event.id,
+        ...values
+    }, { transaction });
+};
+
+/**
+ * Forget an event that was deleted from the calendar
+ */
+BusyBlock.removeEvent = async function(configId, externalEventId, transaction = null) {
+    return this.destroy({
+        where: { instructor_calendar_config_id: configId, external_event_id: externalEventId },
+        transaction
+    });
+};
+
+/**
+ * Events overlapping a time range
+ * @param {number} configId - InstructorCalendarConfig ID
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end (exclusive)
+ */
+BusyBlock.findInRange = async function(configId, startDate, endDate) {
+    return this.findAll({
+        where: {
+            instructor_calendar_config_id: configId,
+            [Op.or]: [
+                {
+                    start_at: { [Op.lt]: endDate },
+                    end_at: { [Op.gt]: startDate }
+                },
+                {
+                    start_date: { [Op.lt]: formatDateUTC(endDate) },
+                    end_date: { [Op.gt]: formatDateUTC(startDate) }
+                }
+            ]
+        },
+        order: [['start_at', 'ASC'], ['start_date', 'ASC']]
+    });
+};
+
+// Instance methods
+
+/**
+ * The stored event in the shape the Google Calendar API returns it
+ */
+BusyBlock.prototype.toEvent = function() {
+    const isAllDay = !this.start_at;
+    return {
+        id: this.external_event_id,
+        summary: this.summary,
+        start: isAllDay ? { date: this.start_date } : { dateTime: new Date(this.start_at).toISOString() },
+        end: isAllDay ? { date: this.end_date } : { dateTime: new Date(this.end_at).toISOString() }
+    };
+};
+
+const setupAssociations = (models) => {
+    BusyBlock.belongsTo(models.InstructorCalendarConfig, { foreignKey: 'instructor_calendar_config_id' });
+    models.InstructorCalendarConfig.hasMany(BusyBlock, { foreignKey: 'instructor_calendar_config_id' });
+};
+
+module.exports = { BusyBlock, setupAssociations };
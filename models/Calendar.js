@@ -12,6 +12,7 @@ const {
 // Time slot constants
 const MAX_SLOT_INDEX = 95; // 0-95 slots per day (24 hours * 4 slots per hour - 1)
 const emailQueueService = require('../services/EmailQueueService');
+const { LessonReminder } = require('./LessonReminder');
 
 const Calendar = sequelize.define('Calendar', {
     id: {
@@ -58,10 +59,54 @@ const Calendar = sequelize.define('Calendar', {
         type: DataTypes.ENUM('booked', 'blocked', 'cancelled'),
         allowNull: false,
         defaultValue: 'booked'
+    },
+    // Set on lessons generated from a subscription's recurring booking
+    recurring_booking_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'recurring_bookings',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    // The weekly date a generated lesson belongs to, kept if the lesson is moved
+    recurring_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    // Set on a student's seat in a group class
+    group_session_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'group_sessions',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    // Where the lesson was pushed on the instructor's Google Calendar (see GoogleCalendarSyncService)
+    google_event_id: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    google_calendar_id: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    google_synced_at: {
+        type: DataTypes.DATE,
+        allowNull: true
     }
 }, {
     tableName: 'calendar_events',
-    timestamps: false
+    timestamps: false,
+    indexes: [
+        {
+            unique: true,
+            fields: ['recurring_booking_id', 'recurring_date']
+        }
+    ]
 });
 
 // Associations
@@ -69,7 +114,7 @@ Calendar.belongsTo(Instructor, { foreignKey: 'instructor_id' });
 Calendar.belongsTo(User, { foreignKey: 'student_id', as: 'student' });
 
 // Static methods
-Calendar.addEvent = async function(instructorId, studentId, date, startSlot, duration, status = 'booked', paymentMethod = 'credits') {
+Calendar.addEvent = async function(instructorId, studentId, date, startSlot, duration, status = 'booked', paymentMethod = 'credits', groupSessionId = null) {
     try {
         // Validate inputs using UTC utilities
         if (!isValidDateString(date)) {
@@ -91,10 +136,13 @@ Calendar.addEvent = async function(instructorId, studentId, date, startSlot, dur
         // Date is already in UTC format (YYYY-MM-DD string)
         const utcDate = date;
 
+        // Dependents' lessons are paid from their guardian's credits unless they have their own
+        const creditOwnerId = paymentMethod === 'credits' ? await User.getCreditOwnerId(studentId) : studentId;
+
         // Check if user has sufficient credits if using credits (outside transaction for early validation)
         if (paymentMethod === 'credits') {
             const durationMinutes = duration * 15; // Convert slots to minutes (each slot = 15 minutes)
-            const hasCredits = await UserCredits.hasSufficientCredits(studentId, durationMinutes);
+            const hasCredits = await UserCredits.hasSufficientCredits(creditOwnerId, durationMinutes);
             if (!hasCredits) {
                 throw new Error('INSUFFICIENT_CREDITS');
             }
@@ -103,21 +151,38 @@ Calendar.addEvent = async function(instructorId, studentId, date, startSlot, dur
         // For in-person payments, we need to calculate the amount and create a transaction record
         let transactionAmount = null;
         if (paymentMethod === 'in-person') {
-            // Get instructor's rate to calculate the amount
-            const { Instructor } = require('./Instructor');
-            const instructor = await Instructor.findOne({ where: { user_id: instructorId } });
-            const rate = instructor?.hourly_rate || 50; // Fallback to $50 if no rate set
-            
-            // Rate represents 30-minute lesson cost, so 60-minute lessons cost double
-            const durationMinutes = duration * 15;
-            transactionAmount = durationMinutes === 30 ? rate : rate * 2;
+            // Charge the in-person price from the instructor's rate card
+            const { InstructorRate } = require('./InstructorRate');
+            transactionAmount = await InstructorRate.getLessonPrice(instructorId, duration * 15, 'in-person');
         }
 
+        // Guardians pay for their dependents' lessons
+        const payer = paymentMethod === 'in-person'
+            ? await User.getAccountHolder(await User.findByPk(studentId))
+            : null;
+
         // Use transaction to ensure atomicity of event creation and credit deduction
         const transaction = await sequelize.transaction();
         let event; // Declare event outside transaction scope
         
         try {
+            // Count a class's seats with the class locked, so students enrolling at the
+            // same time can't both take the last one
+            if (groupSessionId) {
+                const { GroupSession } = sequelize.models;
+                const session = await GroupSession.findByPk(groupSessionId, { transaction, lock: transaction.LOCK.UPDATE });
+                if (!session) {
+                    throw new Error('Group class not found');
+                }
+                if (session.status === 'cancelled') {
+                    throw new Error('This class has been cancelled');
+                }
+                const enrolled = await GroupSession.countEnrolled(groupSessionId, transaction);
+                if (enrolled >= session.capacity) {
+                    throw new Error('This class is full');
+                }
+            }
+
             // Create the event
             event = await this.create({
                 instructor_id: instructorId,
@@ -125,27 +190,28 @@ Calendar.addEvent = async function(instructorId, studentId, date, startSlot, dur
                 date: utcDate,
                 start_slot: startSlot,
                 duration,
-                status
+                status,
+                group_session_id: groupSessionId
             }, { transaction });
 
             // If using credits, deduct them within the same transaction
             if (paymentMethod === 'credits') {
                 const durationMinutes = duration * 15; // Convert slots to minutes (each slot = 15 minutes)
-                await UserCredits.useCredit(studentId, event.id, durationMinutes, transaction);
+                await UserCredits.useCredit(creditOwnerId, event.id, durationMinutes, transaction);
             }
 
             // If using in-person payment, create a transaction record with outstanding status
             if (paymentMethod === 'in-person') {
                 const { Transactions } = require('./Transactions');
                 await Transactions.recordTransaction(
-                    studentId,
+                    payer?.id || studentId,
                     transactionAmount,
                     'in-person',
-                    'outstanding', // Status is outstanding until payment is collected
-                    null, // No payment intent ID for in-person
-                    null, // No Stripe customer ID for in-person
-                    null, // No plan ID for single lessons
-                    transaction // Pass the transaction to ensure atomicity
+                    {
+                        status: 'outstanding', // Status is outstanding until payment is collected
+                        transaction, // Pass the transaction to ensure atomicity
+                        calendarEventId: event.id
+                    }
                 );
             }
 
@@ -403,6 +469,22 @@ Calendar.getAllStudentEvents = async function(studentId) {
     });
 };
 
+/**
+ * Lessons generated from recurring bookings for the weeks in a date range, in any status
+ */
+Calendar.findRecurringOccurrences = async function(recurringBookingIds, startDate, endDate) {
+    if (recurringBookingIds.length === 0) {
+        return [];
+    }
+
+    return this.findAll({
+        where: {
+            recurring_booking_id: { [sequelize.Op.in]: recurringBookingIds },
+            recurring_date: { [sequelize.Op.between]: [startDate, endDate] }
+        }
+    });
+};
+
 Calendar.getEventById = async function(eventId) {
     // Import Attendance model here to avoid circular dependency
     const { Attendance } = require('./Attendance');
@@ -430,4 +512,43 @@ Calendar.getEventById = async function(eventId) {
     });
 };
 
+// Push booking changes to the instructor's Google Calendar once they are committed. The
+// sync service is required lazily because it depends on this model.
+const GOOGLE_SYNCED_FIELDS = ['student_id', 'date', 'start_slot', 'duration', 'status'];
+
+const afterCommit = (options, callback) => {
+    if (options.transaction) {
+        options.transaction.afterCommit(callback);
+    } else {
+        callback();
+    }
+};
+
+Calendar.afterCreate((event, options) => {
+    afterCommit(options, () => require('../services/GoogleCalendarSyncService').queueSync(event.id));
+});
+
+Calendar.afterUpdate((event, options) => {
+    if (GOOGLE_SYNCED_FIELDS.some(field => event.changed(field))) {
+        afterCommit(options, () => require('../services/GoogleCalendarSyncService').queueSync(event.id));
+    }
+});
+
+// Reminders sent for a lesson's old time don't count for its new one
+Calendar.afterUpdate(async (event, options) => {
+    if (event.changed('date') || event.changed('start_slot')) {
+        await LessonReminder.destroy({
+            where: { calendar_event_id: event.id },
+            transaction: options.transaction
+        });
+    }
+});
+
+Calendar.afterDestroy((event, options) => {
+    if (event.google_event_id) {
+        const pushed = event.get({ plain: true });
+        afterCommit(options, () => require('../services/GoogleCalendarSyncService').queueRemoval(pushed));
+    }
+});
+
 module.exports = { Calendar }; 
\ No newline at end of file
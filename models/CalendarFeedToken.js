@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/index');
+const { generateSecureToken, hashSecureToken } = require('../utils/secureTokens');
+
+// Calendar apps poll the feed every few minutes; record visits at most this often
+const ACCESS_RECORD_INTERVAL_MS = 60 * 60 * 1000;
+
+// A user's secret iCal subscription link. The raw token is only shown when the link is
+// created; resetting the link replaces the token, so old subscriptions stop working.
+const CalendarFeedToken = sequelize.define('CalendarFeedToken', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    last_accessed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'calendar_feed_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+});
+
+// Static methods
+
+/**
+ * Issue a feed token for a user, replacing the one they had
+ * @returns {Promise<{ token: string, createdAt: Date }>} Raw token to embed in the feed URL
+ */
+CalendarFeedToken.createForUser = async function(userId) {
+    const token = generateSecureToken();
+
+    const record = await sequelize.transaction(async (transaction) => {
+        await this.destroy({ where: { user_id: userId }, transaction });
+        return this.create({
+            user_id: userId,
+            token_hash: hashSecureToken(token)
+        }, { transaction });
+    });
+
+    return { token, createdAt: record.created_at };
+};
+
+/**
+ * Find the token record matching a raw token
+ */
+CalendarFeedToken.findByToken = async function(token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    return this.findOne({ where: { token_hash: hashSecureToken(token) } });
+};
+
+/**
+ * Turn off a user's feed
+ * @returns {Promise<boolean>} False if the user had no feed
+ */
+CalendarFeedToken.revokeForUser = async function(userId) {
+    const deleted = await this.destroy({ where: { user_id: userId } });
+    return deleted > 0;
+};
+
+// Instance methods
+
+/**
+ * Note that the feed was read, without a write on every poll
+ */
+CalendarFeedToken.prototype.recordAccess = async function(now = new Date()) {
+    const last = this.last_accessed_at ? new Date(this.last_accessed_at).getTime() : 0;
+    if (now.getTime() - last >= ACCESS_RECORD_INTERVAL_MS) {
+        await this.update({ last_accessed_at: now });
+    }
+};
+
+module.exports = { CalendarFeedToken };
@@ -120,18 +120,20 @@ UserCredits.getUserCreditsBreakdown = async function(userId) {
         raw: true
     });
 
-    // Convert to a more usable format
-    const breakdown = {
-        30: { credits: 0, next_expiry: null },
-        60: { credits: 0, next_expiry: null }
-    };
+    // One entry per configured lesson type, plus any lengths the user still holds
+    // credits for after their lesson type was removed
+    const { AppSettings } = require('./AppSettings');
+    const lessonTypes = await AppSettings.getLessonTypes();
+    const breakdown = {};
+    lessonTypes.forEach(type => {
+        breakdown[type.duration_minutes] = { credits: 0, next_expiry: null };
+    });
 
     results.forEach(result => {
-        const duration = result.duration_minutes;
-        if (breakdown[duration]) {
-            breakdown[duration].credits = result.total_credits || 0;
-            breakdown[duration].next_expiry = result.next_expiry;
-        }
+        breakdown[result.duration_minutes] = {
+            credits: parseInt(result.total_credits, 10) || 0,
+            next_expiry: result.next_expiry
+        };
     });
 
     return breakdown;
@@ -297,4 +299,86 @@ UserCredits.hasSufficientCredits = async function(userId, durationMinutes = null
     return (result?.total_credits || 0) > 0;
 };
 
+/**
+ * Move credits of one lesson length between accounts, such as a guardian giving
+ * a dependent a balance of their own. Soonest-expiring credits move first and
+ * keep their expiry date.
+ * @throws {Error} 'INSUFFICIENT_CREDITS' when the sender doesn't have enough
+ */
+UserCredits.transferCredits = async function(fromUserId, toUserId, credits, durationMinutes, externalTransaction = null) {
+    const validFromUserId = validateUserId(fromUserId);
+    const validToUserId = validateUserId(toUserId);
+    const validCredits = validateCredits(credits);
+    const validDuration = validateDuration(durationMinutes);
+
+    const transaction = externalTransaction || await sequelize.transaction();
+    const shouldCommit = !externalTransaction;
+
+    try {
+        const records = await this.findAll({
+            where: {
+                user_id: validFromUserId,
+                duration_minutes: validDuration,
+                credits_remaining: { [sequelize.Op.gt]: 0 },
+                [sequelize.Op.or]: [
+                    { expiry_date: null },
+                    { expiry_date: { [sequelize.Op.gte]: new Date() } }
+                ]
+            },
+            order: [[sequelize.literal('expiry_date IS NULL'), 'ASC'], ['expiry_date', 'ASC']],
+            transaction
+        });
+
+        const available = records.reduce((sum, record) => sum + record.credits_remaining, 0);
+        if (available < validCredits) {
+            throw new Error('INSUFFICIENT_CREDITS');
+        }
+
+        let remaining = validCredits;
+        for (const record of records) {
+            if (remaining === 0) break;
+            const moved = Math.min(remaining, record.credits_remaining);
+            await record.update({ credits_remaining: record.credits_remaining - moved }, { transaction });
+            await this.addCredits(validToUserId, moved, record.expiry_date, validDuration, transaction);
+            remaining -= moved;
+        }
+
+        if (shouldCommit) {
+            await transaction.commit();
+        }
+    } catch (error) {
+        if (shouldCommit) {
+            await transaction.rollback();
+        }
+        throw error;
+    }
+};
+
+/**
+ * Move every unexpired credit a user holds to another account
+ */
+UserCredits.transferAllCredits = async function(fromUserId, toUserId, transaction) {
+    const breakdown = await this.findAll({
+        where: {
+            user_id: validateUserId(fromUserId),
+            credits_remaining: { [sequelize.Op.gt]: 0 },
+            [sequelize.Op.or]: [
+                { expiry_date: null },
+                { expiry_date: { [sequelize.Op.gte]: new Date() } }
+            ]
+        },
+        attributes: [
+            'duration_minutes',
+            [sequelize.fn('SUM', sequelize.col('credits_remaining')), 'total_credits']
+        ],
+        group: ['duration_minutes'],
+        raw: true,
+        transaction
+    });
+
+    for (const row of breakdown) {
+        await this.transferCredits(fromUserId, toUserId, parseInt(row.total_credits, 10), row.duration_minutes, transaction);
+    }
+};
+
 module.exports = { UserCredits, CreditUsage };
@@ -0,0 +1,326 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../db/index');
+
+// Attempts before a job is moved to the dead letter ('failed') state
+const MAX_ATTEMPTS = 6;
+// Retry delay doubles per attempt: 1, 2, 4, 8, 16 minutes, capped at an hour
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// A job left 'processing' this long belongs to a worker that died mid-send
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// Payload fields holding a one-time link or redeemable code, per email type.
+// They are removed once a job won't be sent again (sent, dead-lettered, cancelled),
+// so the rows kept for monitoring and cleanup hold nothing usable.
+// Any new email type that carries a secret must be listed here.
+const SECRET_FIELDS = {
+    password_reset: ['resetToken'],
+    email_verification: ['verificationToken'],
+    gift_voucher: ['voucherData.code']
+};
+
+// Durable queue of outgoing emails, drained by EmailQueueService
+const EmailOutbox = sequelize.define('EmailOutbox', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    type: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    payload: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    priority: {
+        type: DataTypes.ENUM('high', 'normal'),
+        allowNull: false,
+        defaultValue: 'normal'
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'processing', 'sent', 'failed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    next_attempt_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    last_error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    locked_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    sent_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'email_outbox',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            fields: ['status', 'next_attempt_at']
+        }
+    ]
+});
+
+/**
+ * Delay before the next attempt, given how many attempts have been made
+ */
+const getRetryDelay = (attempts) => {
+    return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_DELAY_MS);
+};
+
+/**
+ * Copy of a payload with the type's secret fields removed. The copy is flagged
+ * so the job can't be resent with the secret missing.
+ */
+const withoutSecrets = (type, payload) => {
+    const scrubbed = JSON.parse(JSON.stringify(payload ?? {}));
+    SECRET_FIELDS[type].forEach(path => {
+        const keys = path.split('.');
+        const field = keys.pop();
+        const parent = keys.reduce((value, key) => value?.[key], scrubbed);
+        if (parent) {
+            delete parent[field];
+        }
+    });
+    scrubbed.secretsRemoved = true;
+    return scrubbed;
+};
+
+/**
+ * Remove secrets from the matching jobs that still hold them
+ */
+const removeSecrets = async (where) => {
+    const jobs = await EmailOutbox.findAll({
+        where: { ...where, type: { [Op.in]: Object.keys(SECRET_FIELDS) } }
+    });
+
+    for (const job of jobs) {
+        if (!job.payload?.secretsRemoved) {
+            await job.update({ payload: withoutSecrets(job.type, job.payload) });
+        }
+    }
+};
+
+// Static methods
+
+/**
+ * Persist an email job. The payload is stored as plain JSON, so model
+ * instances are serialized the same way they would be in an API response.
+ * @param {string} type - Email type handled by EmailQueueService
+ * @param {Object} payload - Arguments for the email function
+ * @param {string} [priority] - 'high' jobs are sent before 'normal' ones
+ */
+EmailOutbox.enqueue = async function(type, payload, priority = 'normal') {
+    return await this.create({
+        type,
+        payload: JSON.parse(JSON.stringify(payload ?? {})),
+        priority: priority === 'high' ? 'high' : 'normal',
+        next_attempt_at: new Date()
+    });
+};
+
+/**
+ * Lock the next due job for sending. The conditional update means two
+ * workers racing for the same row can't both claim it.
+ * @returns {Promise<Object|null>} The claimed job, or null when nothing is due
+ */
+EmailOutbox.claimNext = async function(now = new Date()) {
+    const candidate = await this.findOne({
+        where: {
+            status: 'pending',
+            next_attempt_at: { [Op.lte]: now }
+        },
+        order: [['priority', 'ASC'], ['next_attempt_at', 'ASC'], ['id', 'ASC']]
+    });
+
+    if (!candidate) {
+        return null;
+    }
+
+    const [updated] = await this.update({
+        status: 'processing',
+        locked_at: now,
+        attempts: candidate.attempts + 1
+    }, {
+        where: { id: candidate.id, status: 'pending' }
+    });
+
+    if (updated !== 1) {
+        // Another worker got there first; try the next one
+        return this.claimNext(now);
+    }
+
+    return await this.findByPk(candidate.id);
+};
+
+/**
+ * Mark a claimed job as delivered
+ */
+EmailOutbox.markSent = async function(id) {
+    await this.update({
+        status: 'sent',
+        sent_at: new Date(),
+        locked_at: null,
+        last_error: null
+    }, {
+        where: { id }
+    });
+    await removeSecrets({ id });
+};
+
+/**
+ * Record a failed attempt and schedule the retry, or dead-letter the job
+ * once MAX_ATTEMPTS is reached
+ * @returns {Promise<Object|null>} The updated job
+ */
+EmailOutbox.markFailed = async function(id, errorMessage, now = new Date()) {
+    const job = await this.findByPk(id);
+    if (!job) {
+        return null;
+    }
+
+    const exhausted = job.attempts >= MAX_ATTEMPTS;
+
+    await job.update({
+        status: exhausted ? 'failed' : 'pending',
+        last_error: errorMessage ? String(errorMessage).slice(0, 2000) : 'Unknown error',
+        locked_at: null,
+        next_attempt_at: exhausted ? job.next_attempt_at : new Date(now.getTime() + getRetryDelay(job.attempts))
+    });
+    if (exhausted) {
+        await removeSecrets({ id });
+        await job.reload();
+    }
+
+    return job;
+};
+
+/**
+ * Put a dead-lettered job back in the queue with a fresh set of attempts
+ * @returns {Promise<Object|null>} The requeued job, or null if it isn't in the failed state
+ * @throws {Error} If the job's link or code was removed when it was dead-lettered
+ */
+EmailOutbox.resend = async function(id) {
+    const job = await this.findByPk(id);
+    if (job?.payload?.secretsRemoved) {
+        throw new Error('This email carried a one-time link or code and can\'t be resent');
+    }
+
+    const [updated] = await this.update({
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date(),
+        locked_at: null
+    }, {
+        where: { id, status: 'failed' }
+    });
+
+    return updated === 1 ? await this.findByPk(id) : null;
+};
+
+/**
+ * Drop a dead-lettered job without sending it
+ * @returns {Promise<boolean>} False if the job isn't in the failed state
+ */
+EmailOutbox.discard = async function(id) {
+    const [updated] = await this.update(
+        { status: 'cancelled' },
+        { where: { id, status: 'failed' } }
+    );
+    await removeSecrets({ id, status: 'cancelled' });
+    return updated === 1;
+};
+
+/**
+ * Cancel every job that hasn't been sent yet
+ * @returns {Promise<number>} Number of jobs cancelled
+ */
+EmailOutbox.cancelPending = async function() {
+    const [cancelled] = await this.update(
+        { status: 'cancelled', locked_at: null },
+        { where: { status: 'pending' } }
+    );
+    await removeSecrets({ status: 'cancelled' });
+    return cancelled;
+};
+
+/**
+ * Return jobs stuck in 'processing' (worker crashed or restarted mid-send)
+ * to the queue. The attempt they were on still counts.
+ * @returns {Promise<number>} Number of jobs released
+ */
+EmailOutbox.releaseStale = async function(now = new Date()) {
+    const [released] = await this.update({
+        status: 'pending',
+        locked_at: null,
+        next_attempt_at: now
+    }, {
+        where: {
+            status: 'processing',
+            locked_at: { [Op.lt]: new Date(now.getTime() - STALE_LOCK_MS) }
+        }
+    });
+    return released;
+};
+
+/**
+ * Count jobs per status
+ * @returns {Promise<Object>} e.g. { pending: 2, processing: 0, sent: 40, failed: 1, cancelled: 0 }
+ */
+EmailOutbox.getStatusCounts = async function() {
+    const rows = await this.findAll({
+        attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        group: ['status'],
+        raw: true
+    });
+
+    const counts = { pending: 0, processing: 0, sent: 0, failed: 0, cancelled: 0 };
+    rows.forEach(row => {
+        counts[row.status] = parseInt(row.count, 10);
+    });
+    return counts;
+};
+
+/**
+ * List dead-lettered jobs, most recent first
+ */
+EmailOutbox.listFailed = async function(limit = 100) {
+    return await this.findAll({
+        where: { status: 'failed' },
+        attributes: ['id', 'type', 'priority', 'attempts', 'last_error', 'created_at', 'updated_at'],
+        order: [['updated_at', 'DESC']],
+        limit
+    });
+};
+
+/**
+ * Delete sent and cancelled jobs older than the given date
+ * @returns {Promise<number>} Number of rows deleted
+ */
+EmailOutbox.purgeCompleted = async function(olderThan) {
+    return await this.destroy({
+        where: {
+            status: { [Op.in]: ['sent', 'cancelled'] },
+            updated_at: { [Op.lt]: olderThan }
+        }
+    });
+};
+
+module.exports = { EmailOutbox, MAX_ATTEMPTS, getRetryDelay };
@@ -0,0 +1,94 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../db/index');
+const { generateSecureToken, hashSecureToken } = require('../utils/secureTokens');
+
+// Verification links are valid for 24 hours
+const TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+const EmailVerificationToken = sequelize.define('EmailVerificationToken', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    used_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'email_verification_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+});
+
+// Static methods
+
+/**
+ * Issue a new verification token for a user, superseding any unused ones
+ * @returns {Promise<{ token: string, expiresAt: Date }>} Raw token to embed in the verification link
+ */
+EmailVerificationToken.createForUser = async function(userId) {
+    await this.update(
+        { used_at: new Date() },
+        { where: { user_id: userId, used_at: null } }
+    );
+
+    const token = generateSecureToken();
+    const expiresAt = new Date(Date.now() + TOKEN_TTL_MS);
+
+    await this.create({
+        user_id: userId,
+        token_hash: hashSecureToken(token),
+        expires_at: expiresAt
+    });
+
+    return { token, expiresAt };
+};
+
+/**
+ * Find an unused, unexpired token record matching the raw token
+ */
+EmailVerificationToken.findValid = async function(token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    return this.findOne({
+        where: {
+            token_hash: hashSecureToken(token),
+            used_at: null,
+            expires_at: { [Op.gt]: new Date() }
+        }
+    });
+};
+
+/**
+ * Mark a token as used. Returns false if it was consumed concurrently.
+ */
+EmailVerificationToken.consume = async function(record) {
+    const [updated] = await this.update(
+        { used_at: new Date() },
+        { where: { id: record.id, used_at: null } }
+    );
+    return updated === 1;
+};
+
+module.exports = { EmailVerificationToken, TOKEN_TTL_MS };
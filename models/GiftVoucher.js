@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../db/index');
+const { UserCredits } = require('./Credits');
+
+// How long a gift can be redeemed after it is paid for
+const VOUCHER_VALID_DAYS = 365;
+
+// Code characters, leaving out ones that are easy to misread (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// Prepaid lesson packages bought for someone else. The recipient is emailed a
+// code that any account can redeem for the package's credits.
+const GiftVoucher = sequelize.define('GiftVoucher', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    code: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true
+    },
+    payment_plan_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'payment_plans',
+            key: 'id'
+        }
+    },
+    plan_name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    credits: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    lesson_duration_minutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 30
+    },
+    purchaser_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    transaction_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'transactions',
+            key: 'id'
+        }
+    },
+    recipient_name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    recipient_email: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+            isEmail: true
+        }
+    },
+    message: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'issued', 'redeemed', 'void'),
+        allowNull: false,
+        defaultValue: 'pending',
+        validate: {
+            isIn: [['pending', 'issued', 'redeemed', 'void']]
+        }
+    },
+    issued_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    redeemed_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    redeemed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'gift_vouchers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+});
+
+const MAX_MESSAGE_LENGTH = 500;
+
+// Static methods
+
+/**
+ * Generate a voucher code like GIFT-7KQ2-MX9P
+ * @returns {string}
+ */
+GiftVoucher.generateCode = function() {
+    const bytes = crypto.randomBytes(8);
+    const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return `GIFT-${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+/**
+ * Normalize a code as typed by the recipient
+ * @param {string} code - Voucher code
+ * @returns {string} Trimmed, upper-case code
+ */
+GiftVoucher.normalizeCode = function(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+};
+
+/**
+ * Whether an issued voucher is past its expiry date
+ * @param {Object} voucher - GiftVoucher record
+ * @returns {boolean}
+ */
+GiftVoucher.isExpired = function(voucher) {
+    return voucher.status === 'issued' && !!voucher.expires_at && new Date(voucher.expires_at) <= new Date();
+};
+
+/**
+ * Status shown to admins and purchasers: issued vouchers past their expiry are 'expired'
+ * @param {Object} voucher - GiftVoucher record
+ * @returns {string} 'pending', 'issued', 'redeemed', 'expired' or 'void'
+ */
+GiftVoucher.displayStatus = function(voucher) {
+    return this.isExpired(voucher) ? 'expired' : voucher.status;
+};
+
+/**
+ * Validate the recipient details from the purchase form
+ * @param {Object} data - { recipientName, recipientEmail, message }
+ * @returns {Object} { recipient_name, recipient_email, message }
+ * @throws {Error} Messages starting with 'Gift voucher' for invalid input
+ */
+GiftVoucher.validateRecipient = function(data) {
+    const name = typeof data.recipientName === 'string' ? data.recipientName.trim() : '';
+    const email = typeof data.recipientEmail === 'string' ? data.recipientEmail.trim().toLowerCase() : '';
+    const message = typeof data.message === 'string' ? data.message.trim() : '';
+
+    if (!name) {
+        throw new Error('Gift voucher recipient name is required');
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw new Error('Gift voucher recipient email is invalid');
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+        throw new Error(`Gift voucher message must be ${MAX_MESSAGE_LENGTH} characters or fewer`);
+    }
+
+    return {
+        recipient_name: name,
+        recipient_email: email,
+        message: message || null
+    };
+};
+
+/**
+ * Create an unpaid voucher for a lesson package
+ * @param {number} purchaserId - Buyer
+ * @param {Object} plan - One-time PaymentPlan record
+ * @param {Object} recipient - Validated recipient (see validateRecipient)
+ * @param {number} transactionId - Pending transaction paying for it
+ * @returns {Promise<Object>} The voucher
+ */
+GiftVoucher.createPending = async function(purchaserId, plan, recipient, transactionId) {
+    return this.create({
+        code: this.generateCode(),
+        payment_plan_id: plan.id,
+        plan_name: plan.name,
+        credits: plan.credits,
+        lesson_duration_minutes: plan.lesson_duration_minutes || 30,
+        purchaser_id: purchaserId,
+        transaction_id: transactionId,
+        ...recipient,
+        status: 'pending'
+    });
+};
+
+/**
+ * Issue a paid voucher, starting its validity period
+ * @param {Object} voucher - Pending GiftVoucher record
+ * @returns {Promise<boolean>} false if it was not pending (already issued or void)
+ */
+GiftVoucher.issue = async function(voucher) {
+    const issuedAt = new Date();
+    const [issued] = await this.update({
+        status: 'issued',
+        issued_at: issuedAt,
+        expires_at: new Date(issuedAt.getTime() + VOUCHER_VALID_DAYS * 24 * 60 * 60 * 1000)
+    }, {
+        where: { id: voucher.id, status: 'pending' }
+    });
+    return issued > 0;
+};
+
+/**
+ * Redeem a voucher code into the user's credits
+ * @param {string} code - Voucher code as entered
+ * @param {number} userId - Account redeeming it
+ * @returns {Promise<Object>} The redeemed voucher
+ * @throws {Error} Messages starting with 'Gift voucher' when the code can't be redeemed
+ */
+GiftVoucher.redeem = async function(code, userId) {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const voucher = await this.findOne({
+            where: { code: this.normalizeCode(code) },
+            transaction
+        });
+
+        if (!voucher || voucher.status === 'pending' || voucher.status === 'void') {
+            throw new Error('Gift voucher not found');
+        }
+        if (voucher.status === 'redeemed') {
+            throw new Error('Gift voucher has already been redeemed');
+        }
+        if (this.isExpired(voucher)) {
+            throw new Error('Gift voucher has expired');
+        }
+
+        // Claim the voucher so it can only be redeemed once
+        const [claimed] = await this.update({
+            status: 'redeemed',
+            redeemed_by: userId,
+            redeemed_at: new Date()
+        }, {
+            where: { id: voucher.id, status: 'issued' },
+            transaction
+        });
+        if (claimed === 0) {
+            throw new Error('Gift voucher has already been redeemed');
+        }
+
+        // Credits are added as if the recipient had bought the package
+        await UserCredits.addCredits(userId, voucher.credits, null, voucher.lesson_duration_minutes, transaction);
+
+        await transaction.commit();
+        return voucher.reload();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+};
+
+/**
+ * Vouchers for the admin screen, newest first
+ * @param {string} [status] - 'pending', 'issued', 'redeemed', 'expired' or 'void'
+ * @returns {Promise<Array>} Vouchers with display_status, purchaser and redeemer
+ */
+GiftVoucher.getAllForAdmin = async function(status = null) {
+    const now = new Date();
+    const where = {};
+
+    if (status === 'expired') {
+        where.status = 'issued';
+        where.expires_at = { [Op.lte]: now };
+    } else if (status === 'issued') {
+        where.status = 'issued';
+        where.expires_at = { [Op.gt]: now };
+    } else if (status) {
+        where.status = status;
+    }
+
+    const vouchers = await this.findAll({
+        where,
+        include: [
+            { model: sequelize.models.User, as: 'purchaser', attributes: ['id', 'name', 'email'] },
+            { model: sequelize.models.User, as: 'redeemer', attributes: ['id', 'name', 'email'] }
+        ],
+        order: [['created_at', 'DESC'], ['id', 'DESC']]
+    });
+
+    return vouchers.map(voucher => ({
+        ...voucher.toJSON(),
+        display_status: this.displayStatus(voucher)
+    }));
+};
+
+/**
+ * Paid vouchers a user has bought, newest first
+ * @param {number} purchaserId - Buyer
+ * @returns {Promise<Array>} Vouchers with display_status
+ */
+GiftVoucher.listForPurchaser = async function(purchaserId) {
+    const vouchers = await this.findAll({
+        where: { purchaser_id: purchaserId, status: { [Op.in]: ['issued', 'redeemed'] } },
+        order: [['created_at', 'DESC'], ['id', 'DESC']]
+    });
+
+    return vouchers.map(voucher => ({
+        ...voucher.toJSON(),
+        display_status: this.displayStatus(voucher)
+    }));
+};
+
+const setupAssociations = (models) => {
+    GiftVoucher.belongsTo(models.User, { foreignKey: 'purchaser_id', as: 'purchaser' });
+    GiftVoucher.belongsTo(models.User, { foreignKey: 'redeemed_by', as: 'redeemer' });
+    GiftVoucher.belongsTo(models.PaymentPlan, { foreignKey: 'payment_plan_id' });
+    GiftVoucher.belongsTo(models.Transactions, { foreignKey: 'transaction_id' });
+};
+
+module.exports = { GiftVoucher, VOUCHER_VALID_DAYS, setupAssociations };
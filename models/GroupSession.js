@@ -0,0 +1,157 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../db/index');
+
+// A group class: one instructor time shared by up to `capacity` students. Each
+// enrolled student has their own calendar event (group_session_id) that carries
+// their payment and attendance.
+const GroupSession = sequelize.define('GroupSession', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    instructor_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'instructors',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    title: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+            notEmpty: true,
+            len: [1, 100]
+        }
+    },
+    date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    start_slot: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+            min: 0,
+            max: 95
+        }
+    },
+    duration: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+            min: 1
+        }
+    },
+    capacity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+            min: 2
+        }
+    },
+    status: {
+        type: DataTypes.ENUM('scheduled', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'scheduled'
+    }
+}, {
+    tableName: 'group_sessions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            fields: ['instructor_id', 'date']
+        }
+    ]
+});
+
+// Enrolled students' seats, with who they are
+const enrollmentInclude = () => ({
+    model: sequelize.models.Calendar,
+    as: 'enrollments',
+    required: false,
+    where: { status: 'booked' },
+    include: [{
+        model: sequelize.models.User,
+        as: 'student',
+        attributes: ['id', 'name', 'email']
+    }]
+});
+
+// Static methods
+
+/**
+ * Scheduled classes of an instructor that overlap a time range
+ * @param {number} [excludeId] - A class to leave out (the one being checked)
+ * @returns {Promise<Array>} Overlapping classes
+ */
+GroupSession.findOverlapping = async function(instructorId, date, startSlot, duration, excludeId = null) {
+    const sessions = await this.findAll({
+        where: {
+            instructor_id: instructorId,
+            date,
+            status: 'scheduled',
+            ...(excludeId && { id: { [Op.ne]: excludeId } })
+        }
+    });
+
+    return sessions.filter(session =>
+        startSlot < session.start_slot + session.duration &&
+        startSlot + duration > session.start_slot
+    );
+};
+
+/**
+ * Scheduled classes of an instructor in a date range, with their enrolled students
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Classes ordered by date and time
+ */
+GroupSession.findInRange = async function(instructorId, startDate, endDate) {
+    return this.findAll({
+        where: {
+            instructor_id: instructorId,
+            date: { [Op.between]: [startDate, endDate] },
+            status: 'scheduled'
+        },
+        include: [enrollmentInclude()],
+        order: [['date', 'ASC'], ['start_slot', 'ASC']]
+    });
+};
+
+/**
+ * A class with its enrolled students
+ * @returns {Promise<Object|null>}
+ */
+GroupSession.findWithEnrollments = async function(sessionId) {
+    return this.findByPk(sessionId, {
+        include: [enrollmentInclude()]
+    });
+};
+
+/**
+ * Number of students holding a seat in a class
+ * @returns {Promise<number>}
+ */
+GroupSession.countEnrolled = async function(sessionId, transaction = null) {
+    return sequelize.models.Calendar.count({
+        where: { group_session_id: sessionId, status: 'booked' },
+        transaction
+    });
+};
+
+// Function to set up associations
+const setupAssociations = (models) => {
+    GroupSession.belongsTo(models.Instructor, { foreignKey: 'instructor_id' });
+    models.Instructor.hasMany(GroupSession, { foreignKey: 'instructor_id' });
+
+    GroupSession.hasMany(models.Calendar, { foreignKey: 'group_session_id', as: 'enrollments' });
+    models.Calendar.belongsTo(GroupSession, { foreignKey: 'group_session_id' });
+};
+
+module.exports = { GroupSession, setupAssociations };
@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/index');
+
+// An amount collected towards an in-person lesson payment. A lesson can be paid
+// in several parts; the transaction's amount_paid is the sum of its payments.
+const InPersonPayment = sequelize.define('InPersonPayment', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    transaction_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'transactions',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+            min: 0.01
+        }
+    },
+    recorded_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'in_person_payments',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+});
+
+const setupAssociations = (models) => {
+    InPersonPayment.belongsTo(models.Transactions, { foreignKey: 'transaction_id' });
+    models.Transactions.hasMany(InPersonPayment, { foreignKey: 'transaction_id' });
+    InPersonPayment.belongsTo(models.User, { foreignKey: 'recorded_by', as: 'recordedBy' });
+
+    // The lesson an in-person payment is for
+    models.Transactions.belongsTo(models.Calendar, { foreignKey: 'calendar_event_id', as: 'booking' });
+    models.Calendar.hasOne(models.Transactions, { foreignKey: 'calendar_event_id', as: 'inPersonTransaction' });
+};
+
+module.exports = { InPersonPayment, setupAssociations };
@@ -32,12 +32,30 @@ const Instructor = sequelize.define('Instructor', {
     is_active: {
         type: DataTypes.BOOLEAN,
         defaultValue: true
+    },
+    // Share of each lesson the studio keeps, as a percentage (see InstructorEarning)
+    commission_percent: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+            min: 0,
+            max: 100
+        }
+    },
+    // Stripe Connect account for payout transfers
+    stripe_account_id: {
+        type: DataTypes.STRING,
+        allowNull: true
     }
 }, {
     tableName: 'instructors',
     timestamps: false
 });
 
+// Payout settings are only changed by admins (see PUT /api/admin/instructors/:id/payout-settings)
+const PAYOUT_SETTINGS = ['commission_percent', 'stripe_account_id'];
+
 // Hooks to manage user role
 Instructor.afterCreate(async (instructor) => {
     await User.updateUserRole(instructor.user_id, 'instructor');
@@ -105,6 +123,7 @@ Instructor.getAll = async function() {
 Instructor.getAllActive = async function() {
     return this.findAll({
         where: { is_active: true },
+        attributes: { exclude: PAYOUT_SETTINGS },
         include: [{
             model: User,
             attributes: ['name', 'email']
@@ -125,4 +144,4 @@ Instructor.findByUserId = async function(userId) {
     return instructor;
 };
 
-module.exports = { Instructor }; 
\ No newline at end of file
+module.exports = { Instructor, PAYOUT_SETTINGS }; 
\ No newline at end of file
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../db/index');
+const { encrypt, decrypt } = require('../utils/encryption');
 
 const InstructorCalendarConfig = sequelize.define('InstructorCalendarConfig', {
     id: {
@@ -13,8 +14,13 @@ const InstructorCalendarConfig = sequelize.define('InstructorCalendarConfig', {
         references: {
             model: 'instructors',
             key: 'id'
-        },
-        unique: true // One calendar config per instructor
+        }
+    },
+    provider: {
+        type: DataTypes.ENUM('google', 'caldav', 'ics'),
+        allowNull: false,
+        defaultValue: 'google',
+        comment: 'Where busy time comes from: Google Calendar, a CalDAV server or an ICS feed'
     },
     calendar_id: {
         type: DataTypes.STRING,
@@ -36,6 +42,12 @@ const InstructorCalendarConfig = sequelize.define('InstructorCalendarConfig', {
         defaultValue: true,
         comment: 'Whether this calendar integration is active'
     },
+    include_in_busy_time: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Whether the calendar\'s events block time on the booking calendar'
+    },
     last_tested_at: {
         type: DataTypes.DATE,
         allowNull: true,
@@ -46,10 +58,52 @@ const InstructorCalendarConfig = sequelize.define('InstructorCalendarConfig', {
         defaultValue: 'never_tested',
         comment: 'Status of the last connection test'
     },
+    source_url: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'CalDAV calendar collection URL or ICS feed URL'
+    },
+    username: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'CalDAV username'
+    },
+    password: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'CalDAV password (encrypted)'
+    },
     all_day_event_handling: {
         type: DataTypes.ENUM('ignore', 'block'),
         defaultValue: 'ignore',
         comment: 'How to handle all-day events: ignore them or block the entire day'
+    },
+    // Sync state for the busy time copied into busy_blocks (see BusyTimeService); only
+    // Google hands out sync tokens
+    sync_token: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    last_synced_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // The Google watch channel that notifies us when the calendar changes
+    watch_channel_id: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    watch_resource_id: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    watch_token: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    watch_expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true
     }
 }, {
     tableName: 'instructor_calendar_configs',
@@ -58,36 +112,82 @@ const InstructorCalendarConfig = sequelize.define('InstructorCalendarConfig', {
     updatedAt: 'updated_at',
     indexes: [
         {
-            unique: true,
             fields: ['instructor_id']
         },
         {
             fields: ['calendar_id']
+        },
+        {
+            fields: ['watch_channel_id']
         }
     ]
 });
 
-// Static methods for managing calendar configurations
+// Static methods for managing calendar configurations. An instructor can connect several
+// calendars, e.g. a personal and a work one; each has its own config.
 InstructorCalendarConfig.createOrUpdate = async function(instructorId, configData) {
-    // First try to find existing config (including inactive ones)
+    const provider = configData.provider || 'google';
+
+    // Update the calendar being edited (configData.id, which must belong to the
+    // instructor), or the same calendar if it's already connected, including inactive
+    // ones. Anything else is another calendar.
     let config = await this.findOne({
-        where: { instructor_id: instructorId }
+        where: configData.id
+            ? { id: configData.id, instructor_id: instructorId }
+            : {
+                instructor_id: instructorId,
+                provider,
+                ...(provider === 'google'
+                    ? { calendar_id: configData.calendar_id || null }
+                    : { source_url: configData.source_url || null })
+            }
     });
     
     const configValues = {
+        provider,
         calendar_id: configData.calendar_id,
         calendar_name: configData.calendar_name || null,
         calendar_type: configData.calendar_type || 'personal',
+        source_url: configData.source_url || null,
+        username: configData.username || null,
         is_active: configData.is_active !== undefined ? configData.is_active : true
     };
 
+    // Keep the saved password when the instructor doesn't enter it again
+    if (configData.password) {
+        configValues.password = encrypt(configData.password);
+    } else if (configValues.provider !== 'caldav') {
+        configValues.password = null;
+    }
+
     if (configData.all_day_event_handling) {
         configValues.all_day_event_handling = configData.all_day_event_handling;
     }
+
+    if (configData.include_in_busy_time !== undefined) {
+        configValues.include_in_busy_time = configData.include_in_busy_time;
+    }
     
     let created = false;
     
     if (config) {
+        // A different calendar starts over with a full sync, and the old one's busy time
+        // goes. Its old watch channel is forgotten; notifications from it are ignored
+        // until it expires.
+        const changedCalendar = ['provider', 'calendar_id', 'source_url']
+            .some(field => (config[field] || null) !== (configValues[field] || null));
+        if (changedCalendar) {
+            await sequelize.models.BusyBlock.destroy({ where: { instructor_calendar_config_id: config.id } });
+            Object.assign(configValues, {
+                sync_token: null,
+                last_synced_at: null,
+                watch_channel_id: null,
+                watch_resource_id: null,
+                watch_token: null,
+                watch_expires_at: null
+            });
+        }
+
         // Update existing config
         await config.update(configValues);
     } else {
@@ -102,12 +202,24 @@ InstructorCalendarConfig.createOrUpdate = async function(instructorId, configDat
     return { config, created };
 };
 
+// The instructor's first connected calendar
 InstructorCalendarConfig.findByInstructorId = async function(instructorId) {
     return this.findOne({
         where: { 
             instructor_id: instructorId,
             is_active: true 
-        }
+        },
+        order: [['id', 'ASC']]
+    });
+};
+
+InstructorCalendarConfig.findAllByInstructorId = async function(instructorId) {
+    return this.findAll({
+        where: {
+            instructor_id: instructorId,
+            is_active: true
+        },
+        order: [['id', 'ASC']]
     });
 };
 
@@ -128,6 +240,10 @@ InstructorCalendarConfig.findActiveConfigs = async function() {
 };
 
 // Instance methods
+InstructorCalendarConfig.prototype.getPassword = function() {
+    return this.password ? decrypt(this.password) : null;
+};
+
 InstructorCalendarConfig.prototype.updateTestStatus = async function(status, error = null) {
     await this.update({
         last_tested_at: new Date(),
@@ -0,0 +1,265 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../db/index');
+
+// Attendance that means the lesson was taught
+const EARNED_ATTENDANCE = ['present', 'tardy'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// The earnings ledger: one entry per lesson an instructor taught, priced from
+// their rate card and split by their commission when the lesson is earned.
+// Entries are tied to a payout once the instructor is paid for them.
+const InstructorEarning = sequelize.define('InstructorEarning', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    instructor_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'instructors',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    calendar_event_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        unique: true,
+        references: {
+            model: 'calendar_events',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    student_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    lesson_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    duration_minutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    payment_method: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        validate: {
+            isIn: [['credits', 'in-person']]
+        }
+    },
+    gross_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    commission_percent: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false
+    },
+    commission_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    payout_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'instructor_payouts',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: 'instructor_earnings',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+});
+
+// Static methods
+
+/**
+ * Split a lesson's price between the studio and the instructor
+ * @param {number|string} grossAmount - Lesson price
+ * @param {number|string} commissionPercent - Studio's share, 0-100
+ * @returns {Object} { gross_amount, commission_amount, amount }
+ */
+InstructorEarning.splitAmount = function(grossAmount, commissionPercent) {
+    const gross = roundCurrency(parseFloat(grossAmount) || 0);
+    const commission = roundCurrency(gross * (parseFloat(commissionPercent) || 0) / 100);
+
+    return {
+        gross_amount: gross,
+        commission_amount: commission,
+        amount: roundCurrency(gross - commission)
+    };
+};
+
+/**
+ * Bring a lesson's ledger entry in line with the lesson. A booked lesson the
+ * student attended and that hasn't been refunded is earned once, at the price
+ * and commission of the day; otherwise any unpaid entry is removed. Entries
+ * already paid out are never changed.
+ * @param {number} eventId - Calendar event ID
+ * @returns {Promise<Object|null>} The entry, or null if the lesson isn't earned
+ */
+InstructorEarning.recordForEvent = async function(eventId) {
+    // Lazy requires to avoid circular dependencies
+    const { Calendar } = require('./Calendar');
+    const { Attendance } = require('./Attendance');
+    const { Refund } = require('./Refund');
+    const { CreditUsage } = require('./Credits');
+    const { Instructor } = require('./Instructor');
+    const { InstructorRate } = require('./InstructorRate');
+
+    const [event, attendance, existing] = await Promise.all([
+        Calendar.findByPk(eventId),
+        Attendance.findOne({ where: { calendar_event_id: eventId } }),
+        this.findOne({ where: { calendar_event_id: eventId } })
+    ]);
+
+    if (existing?.payout_id) {
+        return existing;
+    }
+
+    const earned = !!event &&
+        event.status === 'booked' &&
+        EARNED_ATTENDANCE.includes(attendance?.status) &&
+        !(await Refund.hasRefund(eventId));
+
+    if (!earned) {
+        if (existing) {
+            await existing.destroy();
+        }
+        return null;
+    }
+
+    if (existing) {
+        return existing;
+    }
+
+    const durationMinutes = event.duration * 15; // Convert slots to minutes (each slot = 15 minutes)
+    const paidWithCredits = await CreditUsage.count({ where: { calendar_event_id: eventId } }) > 0;
+    const [instructor, price] = await Promise.all([
+        Instructor.findByPk(event.instructor_id),
+        InstructorRate.getLessonPrice(event.instructor_id, durationMinutes, paidWithCredits ? 'direct' : 'in-person')
+    ]);
+
+    try {
+        return await this.create({
+            instructor_id: event.instructor_id,
+            calendar_event_id: event.id,
+            student_id: event.student_id,
+            lesson_date: event.date,
+            duration_minutes: durationMinutes,
+            payment_method: paidWithCredits ? 'credits' : 'in-person',
+            commission_percent: instructor.commission_percent,
+            ...this.splitAmount(price, instructor.commission_percent)
+        });
+    } catch (error) {
+        // Recorded by a concurrent request
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return this.findOne({ where: { calendar_event_id: eventId } });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Re-check an instructor's lessons in a date range, so refunds and
+ * cancellations made after attendance was taken are reflected in the ledger
+ * @param {number} instructorId - Instructor ID
+ * @param {string} from - First lesson date (YYYY-MM-DD)
+ * @param {string} to - Last lesson date (YYYY-MM-DD)
+ * @returns {Promise<void>}
+ */
+InstructorEarning.syncInstructor = async function(instructorId, from, to) {
+    const { Calendar } = require('./Calendar');
+    const { Attendance } = require('./Attendance');
+
+    const dateRange = { [Op.between]: [from, to] };
+
+    // Unpaid entries whose lesson was deleted
+    await this.destroy({
+        where: {
+            instructor_id: instructorId,
+            lesson_date: dateRange,
+            payout_id: null,
+            calendar_event_id: null
+        }
+    });
+
+    const [attended, entries] = await Promise.all([
+        Calendar.findAll({
+            where: { instructor_id: instructorId, date: dateRange },
+            include: [{ model: Attendance, required: true, attributes: [] }],
+            attributes: ['id']
+        }),
+        this.findAll({
+            where: {
+                instructor_id: instructorId,
+                lesson_date: dateRange,
+                payout_id: null,
+                calendar_event_id: { [Op.ne]: null }
+            },
+            attributes: ['calendar_event_id']
+        })
+    ]);
+
+    const eventIds = new Set([
+        ...attended.map(event => event.id),
+        ...entries.map(entry => entry.calendar_event_id)
+    ]);
+
+    for (const eventId of eventIds) {
+        await this.recordForEvent(eventId);
+    }
+};
+
+/**
+ * An instructor's ledger entries for lessons in a date range
+ * @param {number} instructorId - Instructor ID
+ * @param {string} from - First lesson date (YYYY-MM-DD)
+ * @param {string} to - Last lesson date (YYYY-MM-DD)
+ * @param {Object} [options] - { unpaidOnly }
+ * @returns {Promise<Array>} Entries, oldest lesson first
+ */
+InstructorEarning.getEntries = async function(instructorId, from, to, { unpaidOnly = false } = {}) {
+    const where = {
+        instructor_id: instructorId,
+        lesson_date: { [Op.between]: [from, to] }
+    };
+    if (unpaidOnly) {
+        where.payout_id = null;
+    }
+
+    return this.findAll({
+        where,
+        include: [{ model: sequelize.models.User, as: 'student', attributes: ['id', 'name'] }],
+        order: [['lesson_date', 'ASC'], ['id', 'ASC']]
+    });
+};
+
+const setupAssociations = (models) => {
+    InstructorEarning.belongsTo(models.Instructor, { foreignKey: 'instructor_id' });
+    InstructorEarning.belongsTo(models.User, { foreignKey: 'student_id', as: 'student' });
+    InstructorEarning.belongsTo(models.Calendar, { foreignKey: 'calendar_event_id' });
+    InstructorEarning.belongsTo(models.InstructorPayout, { foreignKey: 'payout_id' });
+    models.InstructorPayout.hasMany(InstructorEarning, { foreignKey: 'payout_id' });
+};
+
+module.exports = { InstructorEarning, EARNED_ATTENDANCE, setupAssociations };
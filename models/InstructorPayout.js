@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/index');
+
+// A payment to an instructor covering their unpaid earnings for a period.
+// Amounts are fixed when the payout is created from the earnings ledger (see
+// PayoutService); admins then mark it paid or transfer it through Stripe Connect.
+const InstructorPayout = sequelize.define('InstructorPayout', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    instructor_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'instructors',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    period_start: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    period_end: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    lesson_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    gross_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    commission_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'paid'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    method: {
+        type: DataTypes.ENUM('manual', 'stripe'),
+        allowNull: true
+    },
+    reference: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    paid_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    paid_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    }
+}, {
+    tableName: 'instructor_payouts',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+});
+
+const setupAssociations = (models) => {
+    InstructorPayout.belongsTo(models.Instructor, { foreignKey: 'instructor_id' });
+    models.Instructor.hasMany(InstructorPayout, { foreignKey: 'instructor_id' });
+    InstructorPayout.belongsTo(models.User, { foreignKey: 'paid_by', as: 'paidBy' });
+};
+
+module.exports = { InstructorPayout, setupAssociations };
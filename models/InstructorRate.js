@@ -0,0 +1,177 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/index');
+const { Instructor } = require('./Instructor');
+const { AppSettings } = require('./AppSettings');
+
+// Base rate (the price of a 30-minute lesson) for instructors who haven't set one
+const DEFAULT_BASE_RATE = 50;
+const MAX_PRICE = 10000;
+
+// An instructor's own price for one lesson length. Lengths without a row, and
+// blank prices, fall back to the instructor's base rate times the lesson type's
+// price multiplier.
+const InstructorRate = sequelize.define('InstructorRate', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    instructor_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'instructors',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    duration_minutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    online_price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+    },
+    in_person_price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+    }
+}, {
+    tableName: 'instructor_rates',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['instructor_id', 'duration_minutes']
+        }
+    ]
+});
+
+const toPrice = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const parsePrice = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const price = Number(value);
+    if (!Number.isFinite(price) || price < 0 || price > MAX_PRICE) {
+        throw new Error(`Prices must be between 0 and ${MAX_PRICE}`);
+    }
+    return Math.round(price * 100) / 100;
+};
+
+const getBaseRate = (instructor) => {
+    return parseFloat(instructor?.hourly_rate) || DEFAULT_BASE_RATE;
+};
+
+// Online and in-person prices of one lesson length, with the rate card entry if there is one
+const priceLesson = async (baseRate, durationMinutes, rate) => {
+    const defaultPrice = await AppSettings.getLessonPrice(baseRate, durationMinutes);
+    const onlinePrice = toPrice(rate?.online_price) ?? defaultPrice;
+
+    return {
+        duration_minutes: durationMinutes,
+        default_price: defaultPrice,
+        online_price: onlinePrice,
+        in_person_price: toPrice(rate?.in_person_price) ?? onlinePrice,
+        custom_online_price: toPrice(rate?.online_price),
+        custom_in_person_price: toPrice(rate?.in_person_price)
+    };
+};
+
+// Static methods
+
+/**
+ * An instructor's prices for every lesson type
+ * @param {number} instructorId - Instructor ID
+ * @returns {Promise<Object>} { base_rate, rates: [{ duration_minutes, default_price, online_price,
+ *   in_person_price, custom_online_price, custom_in_person_price }] }
+ */
+InstructorRate.getRateCard = async function(instructorId) {
+    const instructor = await Instructor.findByPk(instructorId);
+    if (!instructor) {
+        throw new Error('Instructor not found');
+    }
+
+    const baseRate = getBaseRate(instructor);
+    const [lessonTypes, rates] = await Promise.all([
+        AppSettings.getLessonTypes(),
+        this.findAll({ where: { instructor_id: instructorId } })
+    ]);
+
+    return {
+        base_rate: baseRate,
+        rates: await Promise.all(lessonTypes.map(type => priceLesson(
+            baseRate,
+            type.duration_minutes,
+            rates.find(rate => rate.duration_minutes === type.duration_minutes)
+        )))
+    };
+};
+
+/**
+ * Price of a lesson with an instructor
+ * @param {number} instructorId - Instructor ID
+ * @param {number} durationMinutes - Lesson length in minutes
+ * @param {string} [paymentMethod] - 'in-person' for the in-person price, otherwise the online price
+ * @returns {Promise<number>} Price, rounded to cents
+ */
+InstructorRate.getLessonPrice = async function(instructorId, durationMinutes, paymentMethod = 'direct') {
+    const [instructor, rate] = await Promise.all([
+        Instructor.findByPk(instructorId),
+        this.findOne({ where: { instructor_id: instructorId, duration_minutes: durationMinutes } })
+    ]);
+
+    const prices = await priceLesson(getBaseRate(instructor), durationMinutes, rate);
+    return paymentMethod === 'in-person' ? prices.in_person_price : prices.online_price;
+};
+
+/**
+ * Replace an instructor's rate card. Entries with neither price are removed.
+ * @param {number} instructorId - Instructor ID
+ * @param {Array} rates - [{ duration_minutes, online_price, in_person_price }]
+ * @returns {Promise<Object>} The updated rate card
+ */
+InstructorRate.setRateCard = async function(instructorId, rates) {
+    if (!Array.isArray(rates)) {
+        throw new Error('Rates must be a list');
+    }
+
+    const durations = (await AppSettings.getLessonTypes()).map(type => type.duration_minutes);
+    const entries = rates.map(rate => {
+        const durationMinutes = Number(rate?.duration_minutes);
+        if (!durations.includes(durationMinutes)) {
+            throw new Error('Rates can only be set for lesson types');
+        }
+        return {
+            instructor_id: instructorId,
+            duration_minutes: durationMinutes,
+            online_price: parsePrice(rate.online_price),
+            in_person_price: parsePrice(rate.in_person_price)
+        };
+    });
+
+    if (new Set(entries.map(entry => entry.duration_minutes)).size !== entries.length) {
+        throw new Error('Each lesson length can only be listed once');
+    }
+
+    await sequelize.transaction(async (transaction) => {
+        await this.destroy({ where: { instructor_id: instructorId }, transaction });
+        await this.bulkCreate(
+            entries.filter(entry => entry.online_price !== null || entry.in_person_price !== null),
+            { transaction }
+        );
+    });
+
+    return this.getRateCard(instructorId);
+};
+
+const setupAssociations = (models) => {
+    InstructorRate.belongsTo(models.Instructor, { foreignKey: 'instructor_id' });
+    models.Instructor.hasMany(InstructorRate, { foreignKey: 'instructor_id' });
+};
+
+module.exports = { InstructorRate, setupAssociations };
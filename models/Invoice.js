@@ -0,0 +1,121 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/index');
+
+const INVOICE_NUMBER_PREFIX = 'INV-';
+
+// How many times to retry when another request takes the same number
+const MAX_NUMBERING_ATTEMPTS = 3;
+
+// Numbered invoices for transactions. The PDF is rendered from the transaction
+// each time it is downloaded (see InvoiceService); this table only fixes the
+// number and the date it was first issued.
+const Invoice = sequelize.define('Invoice', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    invoice_number: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true
+    },
+    transaction_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+            model: 'transactions',
+            key: 'id'
+        }
+    },
+    issued_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'invoices',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+});
+
+// Static methods
+
+/**
+ * Invoice number as printed, e.g. INV-000042
+ * @param {number} invoiceNumber - Sequential number
+ * @returns {string}
+ */
+Invoice.formatNumber = function(invoiceNumber) {
+    return `${INVOICE_NUMBER_PREFIX}${String(invoiceNumber).padStart(6, '0')}`;
+};
+
+/**
+ * Whether a transaction gets an invoice: completed payments (a receipt) and
+ * in-person lessons still to be paid (an invoice for the amount due)
+ * @param {Object} transactionRecord - Transactions record
+ * @returns {boolean}
+ */
+Invoice.isInvoiceable = function(transactionRecord) {
+    if (!transactionRecord) return false;
+    return transactionRecord.status === 'completed' ||
+        (transactionRecord.payment_method === 'in-person' && transactionRecord.status === 'outstanding');
+};
+
+/**
+ * Get the invoice for a transaction, numbering a new one the first time
+ * @param {Object} transactionRecord - Transactions record
+ * @returns {Promise<Object>} The invoice
+ * @throws {Error} 'Invoice not available for this transaction' for pending or failed payments
+ */
+Invoice.issueForTransaction = async function(transactionRecord) {
+    const existing = await this.findOne({ where: { transaction_id: transactionRecord.id } });
+    if (existing) {
+        return existing;
+    }
+
+    if (!this.isInvoiceable(transactionRecord)) {
+        throw new Error('Invoice not available for this transaction');
+    }
+
+    for (let attempt = 1; attempt <= MAX_NUMBERING_ATTEMPTS; attempt++) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const lastNumber = await this.max('invoice_number', { transaction });
+            const invoice = await this.create({
+                invoice_number: (lastNumber || 0) + 1,
+                transaction_id: transactionRecord.id,
+                issued_at: new Date()
+            }, { transaction });
+
+            await transaction.commit();
+            return invoice;
+        } catch (error) {
+            await transaction.rollback();
+
+            if (error.name !== 'SequelizeUniqueConstraintError') {
+                throw error;
+            }
+
+            // Either this transaction was invoiced meanwhile, or the number was
+            // taken by another invoice and the next attempt picks a new one
+            const issued = await this.findOne({ where: { transaction_id: transactionRecord.id } });
+            if (issued) {
+                return issued;
+            }
+            if (attempt === MAX_NUMBERING_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+};
+
+const setupAssociations = (models) => {
+    Invoice.belongsTo(models.Transactions, { foreignKey: 'transaction_id' });
+    models.Transactions.hasOne(Invoice, { foreignKey: 'transaction_id' });
+};
+
+module.exports = { Invoice, setupAssociations };
@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../db/index');
+
+// Record of reminder emails already sent, keyed by lesson and reminder window
+const LessonReminder = sequelize.define('LessonReminder', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    calendar_event_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'calendar_events',
+            key: 'id'
+        }
+    },
+    hours_before: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    sent_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'lesson_reminders',
+    timestamps: false,
+    indexes: [
+        {
+            unique: true,
+            fields: ['calendar_event_id', 'hours_before']
+        }
+    ]
+});
+
+// Static methods
+
+/**
+ * Record that a reminder is being sent. The unique index makes this the
+ * deduplication point: only the first caller for an event/window gets true.
+ * @returns {Promise<boolean>} False if this reminder was already recorded
+ */
+LessonReminder.claim = async function(calendarEventId, hoursBefore) {
+    try {
+        await this.create({
+            calendar_event_id: calendarEventId,
+            hours_before: hoursBefore
+        });
+        return true;
+    } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return false;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Release a claim so the reminder can be retried on the next run
+ */
+LessonReminder.release = async function(calendarEventId, hoursBefore) {
+    await this.destroy({
+        where: {
+            calendar_event_id: calendarEventId,
+            hours_before: hoursBefore
+        }
+    });
+};
+
+module.exports = { LessonReminder };
@@ -1,7 +1,8 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const { sequelize } = require('../db/index');
 const { UserCredits } = require('./Credits');
 const { Transactions } = require('./Transactions');
+const { PromoCode } = require('./PromoCode');
 const emailQueueService = require('../services/EmailQueueService');
 
 const PaymentPlan = sequelize.define('PaymentPlan', {
@@ -56,12 +57,26 @@ PaymentPlan.getById = async function(id) {
     return this.findByPk(id);
 };
 
-PaymentPlan.purchase = async function(userId, planId, paymentMethod, paymentIntentId = null) {
+/**
+ * Complete a purchase of a plan, adding the credits of lesson packages
+ * @param {number} userId - Buyer
+ * @param {number} planId - Payment plan ID
+ * @param {string} paymentMethod - Payment method
+ * @param {string} [paymentIntentId] - Stripe payment intent ID
+ * @param {Object} [options]
+ * @param {string} [options.promoCode] - Promo code to discount the price with
+ * @param {number} [options.transactionId] - Pending transaction to complete instead of recording
+ *   a new one (card payments, priced when the payment intent was created)
+ * @returns {Promise<Object>} { success, transactionId }
+ * @throws {Error} 'Transaction is not open' if options.transactionId isn't the buyer's open
+ *   transaction for this plan, e.g. when the payment was already completed
+ */
+PaymentPlan.purchase = async function(userId, planId, paymentMethod, paymentIntentId = null, options = {}) {
     const transaction = await sequelize.transaction();
 
     try {
         // Get the plan
-        const plan = await this.findByPk(planId);
+        const plan = await this.findByPk(planId, { transaction });
         if (!plan) {
             throw new Error('Plan not found');
         }
@@ -71,20 +86,60 @@ PaymentPlan.purchase = async function(userId, planId, paymentMethod, paymentInte
             ? new Date(Date.now() + plan.duration_days * 24 * 60 * 60 * 1000)
             : null;
 
-        // Record the transaction
-        const transactionRecord = await Transactions.recordTransaction(
-            userId, 
-            plan.price, 
-            paymentMethod, 
-            'completed', 
-            paymentIntentId, 
-            null, 
-            planId
-        );
+        let transactionRecord;
+        if (options.transactionId) {
+            // Completing claims the transaction, so a replayed or someone else's completion adds nothing
+            const [claimed] = await Transactions.update({ status: 'completed' }, {
+                where: {
+                    id: options.transactionId,
+                    user_id: userId,
+                    payment_plan_id: planId,
+                    status: { [Op.in]: ['pending', 'requires_action'] }
+                },
+                transaction
+            });
+            if (claimed === 0) {
+                throw new Error('Transaction is not open');
+            }
+            transactionRecord = await Transactions.findByPk(options.transactionId, { transaction });
+        } else {
+            const quote = options.promoCode
+                ? await PromoCode.quote(options.promoCode, userId, plan, transaction)
+                : null;
+
+            // Record the transaction
+            transactionRecord = await Transactions.recordTransaction(
+                userId, 
+                quote ? quote.finalPrice : plan.price, 
+                paymentMethod, 
+                {
+                    paymentIntentId,
+                    planId,
+                    transaction,
+                    discount: quote && { promoCodeId: quote.promoCode.id, amount: quote.discountAmount }
+                }
+            );
+        }
+
+        if (transactionRecord.promo_code_id) {
+            const redemption = {
+                promo_code_id: transactionRecord.promo_code_id,
+                user_id: userId,
+                payment_plan_id: plan.id,
+                transaction_id: transactionRecord.id,
+                discount_amount: transactionRecord.discount_amount
+            };
+            // A card payment has already been charged the discounted price
+            if (options.transactionId) {
+                await PromoCode.recordPaidRedemption(redemption, transaction);
+            } else {
+                await PromoCode.recordRedemption(redemption, transaction);
+            }
+        }
 
         // Only add credits for one-time plans (lesson packages), not memberships
         if (plan.type === 'one-time') {
-            await UserCredits.addCredits(userId, plan.credits, expiryDate, plan.lesson_duration_minutes);
+            await UserCredits.addCredits(userId, plan.credits, expiryDate, plan.lesson_duration_minutes, transaction);
         }
 
         await transaction.commit();
@@ -101,7 +156,8 @@ PaymentPlan.purchase = async function(userId, planId, paymentMethod, paymentInte
                     type: plan.type
                 },
                 {
-                    amount: plan.price,
+                    id: transactionRecord.id,
+                    amount: transactionRecord.amount,
                     payment_method: paymentMethod,
                     payment_intent_id: paymentIntentId
                 }
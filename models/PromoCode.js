@@ -0,0 +1,382 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../db/index');
+
+const MAX_CODE_LENGTH = 40;
+
+// Admin-managed discount codes for payment plans. Each use is recorded as a
+// redemption, which is what the overall and per-student limits count.
+const PromoCode = sequelize.define('PromoCode', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    code: {
+        type: DataTypes.STRING(MAX_CODE_LENGTH),
+        allowNull: false,
+        unique: true
+    },
+    description: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    discount_type: {
+        type: DataTypes.ENUM('percent', 'fixed'),
+        allowNull: false,
+        validate: {
+            isIn: [['percent', 'fixed']]
+        }
+    },
+    discount_value: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    max_redemptions: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    per_user_limit: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    plan_ids: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    stripe_coupon_id: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    tableName: 'promo_codes',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+});
+
+const PromoCodeRedemption = sequelize.define('PromoCodeRedemption', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    promo_code_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'promo_codes',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    payment_plan_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'payment_plans',
+            key: 'id'
+        }
+    },
+    transaction_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'transactions',
+            key: 'id'
+        }
+    },
+    subscription_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'subscriptions',
+            key: 'id'
+        }
+    },
+    discount_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    }
+}, {
+    tableName: 'promo_code_redemptions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+});
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Set as the code of errors for a promo code a student can't use, which routes return as 400s
+const PROMO_CODE_UNUSABLE = 'PROMO_CODE_UNUSABLE';
+
+const unusable = (message) => Object.assign(new Error(message), { code: PROMO_CODE_UNUSABLE });
+
+const parseLimit = (value, label) => {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error(`Promo code ${label} must be a whole number of at least 1`);
+    }
+    return limit;
+};
+
+/**
+ * Check a student can use a code again under its overall and per-student limits
+ * @throws {Error} PROMO_CODE_UNUSABLE when either limit has been reached
+ */
+const checkLimits = async (promoCode, userId, transaction) => {
+    if (promoCode.max_redemptions !== null) {
+        const used = await PromoCodeRedemption.count({ where: { promo_code_id: promoCode.id }, transaction });
+        if (used >= promoCode.max_redemptions) {
+            throw unusable('Promo code has been fully redeemed');
+        }
+    }
+
+    if (promoCode.per_user_limit !== null) {
+        const usedByStudent = await PromoCodeRedemption.count({
+            where: { promo_code_id: promoCode.id, user_id: userId },
+            transaction
+        });
+        if (usedByStudent >= promoCode.per_user_limit) {
+            throw unusable('Promo code has already been used on your account');
+        }
+    }
+};
+
+// Static methods
+
+/**
+ * Error for a promo code a student can't use
+ * @param {string} message - Shown to the student
+ * @returns {Error} Error with code PROMO_CODE_UNUSABLE
+ */
+PromoCode.unusableError = unusable;
+
+/**
+ * Normalize a code as typed by a student or admin
+ * @param {string} code - Promo code
+ * @returns {string} Trimmed, upper-case code
+ */
+PromoCode.normalizeCode = function(code) {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+};
+
+/**
+ * Validate promo code fields from the admin form
+ * @param {Object} data - { code, description, discount_type, discount_value, expires_at,
+ *   max_redemptions, per_user_limit, plan_ids, is_active }
+ * @returns {Object} Attributes ready to save
+ * @throws {Error} Messages starting with 'Promo code' for invalid input
+ */
+PromoCode.validateData = function(data) {
+    const code = this.normalizeCode(data.code);
+    if (!/^[A-Z0-9_-]+$/.test(code) || code.length > MAX_CODE_LENGTH) {
+        throw new Error(`Promo codes must be 1-${MAX_CODE_LENGTH} letters, numbers, dashes or underscores`);
+    }
+
+    if (!['percent', 'fixed'].includes(data.discount_type)) {
+        throw new Error('Promo code discount type must be percent or fixed');
+    }
+
+    const value = Number(data.discount_value);
+    if (!Number.isFinite(value) || value <= 0 || (data.discount_type === 'percent' && value > 100)) {
+        throw new Error(data.discount_type === 'percent'
+            ? 'Promo code percent discounts must be between 0 and 100'
+            : 'Promo code fixed discounts must be more than 0');
+    }
+
+    let expiresAt = null;
+    if (data.expires_at) {
+        expiresAt = new Date(data.expires_at);
+        if (isNaN(expiresAt.getTime())) {
+            throw new Error('Promo code expiry must be a valid date');
+        }
+    }
+
+    let planIds = null;
+    if (Array.isArray(data.plan_ids) && data.plan_ids.length > 0) {
+        planIds = [...new Set(data.plan_ids.map(Number))];
+        if (planIds.some(id => !Number.isInteger(id) || id < 1)) {
+            throw new Error('Promo code plans must be payment plan IDs');
+        }
+    }
+
+    return {
+        code,
+        description: data.description ? String(data.description).trim() : null,
+        discount_type: data.discount_type,
+        discount_value: roundCents(value),
+        expires_at: expiresAt,
+        max_redemptions: parseLimit(data.max_redemptions, 'redemption limit'),
+        per_user_limit: parseLimit(data.per_user_limit, 'per-student limit'),
+        plan_ids: planIds,
+        is_active: data.is_active === undefined ? true : Boolean(data.is_active)
+    };
+};
+
+/**
+ * Discount a promo code gives on a price
+ * @param {Object} promoCode - PromoCode record
+ * @param {number|string} price - Full price
+ * @returns {number} Discount, never more than the price
+ */
+PromoCode.calculateDiscount = function(promoCode, price) {
+    const fullPrice = parseFloat(price);
+    const value = parseFloat(promoCode.discount_value);
+    const discount = promoCode.discount_type === 'percent'
+        ? fullPrice * value / 100
+        : value;
+    return roundCents(Math.min(discount, fullPrice));
+};
+
+/**
+ * Check a code can be used by a student for a plan, and price the plan with it
+ * @param {string} code - Promo code as entered
+ * @param {number} userId - Student using the code
+ * @param {Object} plan - PaymentPlan record
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} { promoCode, discountAmount, finalPrice }
+ * @throws {Error} PROMO_CODE_UNUSABLE when the code can't be used
+ */
+PromoCode.quote = async function(code, userId, plan, transaction = null) {
+    const promoCode = await this.findOne({
+        where: { code: this.normalizeCode(code), is_active: true },
+        transaction
+    });
+    if (!promoCode) {
+        throw unusable('Promo code not found');
+    }
+
+    if (promoCode.expires_at && new Date(promoCode.expires_at) <= new Date()) {
+        throw unusable('Promo code has expired');
+    }
+
+    if (promoCode.plan_ids && !promoCode.plan_ids.map(Number).includes(Number(plan.id))) {
+        throw unusable('Promo code does not apply to this plan');
+    }
+
+    await checkLimits(promoCode, userId, transaction);
+
+    const discountAmount = this.calculateDiscount(promoCode, plan.price);
+    return {
+        promoCode,
+        discountAmount,
+        finalPrice: roundCents(parseFloat(plan.price) - discountAmount)
+    };
+};
+
+/**
+ * Record a use of a promo code. The limits are checked again with the code locked,
+ * since students quoted earlier can buy at the same time.
+ * @param {Object} data - { promo_code_id, user_id, payment_plan_id, transaction_id, subscription_id, discount_amount }
+ * @param {Object} [transaction] - Sequelize transaction; one is started if not given
+ * @returns {Promise<Object>} The redemption
+ * @throws {Error} PROMO_CODE_UNUSABLE when a limit has been reached
+ */
+PromoCode.recordRedemption = async function(data, transaction = null) {
+    if (!transaction) {
+        return sequelize.transaction(t => this.recordRedemption(data, t));
+    }
+
+    const promoCode = await this.findByPk(data.promo_code_id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!promoCode) {
+        throw unusable('Promo code not found');
+    }
+    await checkLimits(promoCode, data.user_id, transaction);
+
+    return PromoCodeRedemption.create(data, { transaction });
+};
+
+/**
+ * Record the use of a code for a card payment that has been charged. Its use was held
+ * when the payment started (see StripePaymentService), so the limits aren't checked
+ * again; the student paid the discounted price either way.
+ * @param {Object} data - { promo_code_id, user_id, payment_plan_id, transaction_id, discount_amount }
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} The redemption
+ */
+PromoCode.recordPaidRedemption = async function(data, transaction = null) {
+    const held = await PromoCodeRedemption.findOne({
+        where: { transaction_id: data.transaction_id },
+        transaction
+    });
+    return held || PromoCodeRedemption.create(data, { transaction });
+};
+
+/**
+ * Give back the use of a code held for a card payment that failed or was cancelled
+ * @param {number} transactionId - The payment's transaction
+ * @param {Object} [transaction] - Sequelize transaction
+ */
+PromoCode.releaseRedemption = async function(transactionId, transaction = null) {
+    await PromoCodeRedemption.destroy({ where: { transaction_id: transactionId }, transaction });
+};
+
+/**
+ * All promo codes with how often each has been used, newest first
+ * @returns {Promise<Array>} Promo codes with a redemption_count
+ */
+PromoCode.getAllWithUsage = async function() {
+    const [promoCodes, counts] = await Promise.all([
+        this.findAll({ order: [['created_at', 'DESC'], ['id', 'DESC']] }),
+        PromoCodeRedemption.findAll({
+            attributes: ['promo_code_id', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+            group: ['promo_code_id'],
+            raw: true
+        })
+    ]);
+
+    return promoCodes.map(promoCode => ({
+        ...promoCode.toJSON(),
+        redemption_count: Number(counts.find(row => row.promo_code_id === promoCode.id)?.count || 0)
+    }));
+};
+
+/**
+ * Whether any plan the code applies to is billed through a Stripe price (memberships)
+ * @param {Object} promoCode - PromoCode record
+ * @returns {Promise<boolean>}
+ */
+PromoCode.appliesToStripePrices = async function(promoCode) {
+    const where = { stripe_price_id: { [Op.ne]: null } };
+    if (promoCode.plan_ids) {
+        where.id = promoCode.plan_ids;
+    }
+    return (await sequelize.models.PaymentPlan.count({ where })) > 0;
+};
+
+const setupAssociations = (models) => {
+    PromoCode.hasMany(PromoCodeRedemption, { foreignKey: 'promo_code_id' });
+    PromoCodeRedemption.belongsTo(PromoCode, { foreignKey: 'promo_code_id' });
+    PromoCodeRedemption.belongsTo(models.User, { foreignKey: 'user_id' });
+    models.Transactions.belongsTo(PromoCode, { foreignKey: 'promo_code_id' });
+};
+
+module.exports = { PromoCode, PromoCodeRedemption, PROMO_CODE_UNUSABLE, setupAssociations };
@@ -10,6 +10,11 @@ const CACHE_KEYS = {
     recurringBookingsByInstructor: (instructorId) => `recurring_bookings:instructor:${instructorId}`
 };
 
+// Subscriptions whose recurring bookings hold their weekly time. A subscription with an
+// overdue payment keeps its time through the dunning grace period, after which the
+// recurring booking is paused.
+const RESERVING_STATUSES = ['active', 'past_due'];
+
 const RecurringBooking = sequelize.define('RecurringBooking', {
     id: {
         type: DataTypes.INTEGER,
@@ -54,6 +59,11 @@ const RecurringBooking = sequelize.define('RecurringBooking', {
         validate: {
             min: 1
         }
+    },
+    // Paused when the subscription's payment is overdue past the grace period
+    paused_at: {
+        type: DataTypes.DATE,
+        allowNull: true
     }
 }, {
     tableName: 'recurring_bookings',
@@ -90,9 +100,10 @@ const clearCache = async (recurringBookingId = null, subscriptionId = null, inst
 };
 
 // Static methods
-RecurringBooking.checkCalendarConflicts = async function(instructorId, dayOfWeek, startSlot, duration) {
+RecurringBooking.checkCalendarConflicts = async function(instructorId, dayOfWeek, startSlot, duration, excludeRecurringBookingId = null) {
     const { Calendar } = require('./Calendar');
     const { Op } = require('sequelize');
+    const { getCurrentDateUTC } = require('../utils/timeUtils');
     
     // Get database dialect-specific day of week extraction
     const dialect = sequelize.getDialect();
@@ -109,32 +120,50 @@ RecurringBooking.checkCalendarConflicts = async function(instructorId, dayOfWeek
         dayOfWeekExpression = `EXTRACT(DOW FROM date)`;
     }
     
-    const conflictingEvents = await Calendar.findAll({
-        where: {
-            instructor_id: instructorId,
-            // Check if any existing events on the same day of week conflict
-            [Op.and]: [
-                sequelize.literal(`${dayOfWeekExpression} = ${dayOfWeek}`),
+    // Only upcoming lessons matter; past and cancelled ones (including lessons generated
+    // from earlier recurring bookings) no longer hold the time
+    const upcomingFilter = {
+        date: { [Op.gte]: getCurrentDateUTC() },
+        status: { [Op.ne]: 'cancelled' }
+    };
+
+    // A recurring booking being moved doesn't conflict with its own lessons
+    if (excludeRecurringBookingId) {
+        upcomingFilter[Op.or] = [
+            { recurring_booking_id: null },
+            { recurring_booking_id: { [Op.ne]: excludeRecurringBookingId } }
+        ];
+    }
+
+    // Check if any existing events on the same day of week conflict
+    const sameWeeklyTime = [
+        sequelize.literal(`${dayOfWeekExpression} = ${dayOfWeek}`),
+        {
+            // Check for time slot overlap
+            [Op.or]: [
+                // Case 1: Existing event starts within our recurring slot
+                {
+                    start_slot: {
+                        [Op.gte]: startSlot,
+                        [Op.lt]: startSlot + duration
+                    }
+                },
+                // Case 2: Our recurring slot starts within existing event
                 {
-                    // Check for time slot overlap
-                    [Op.or]: [
-                        // Case 1: Existing event starts within our recurring slot
-                        {
-                            start_slot: {
-                                [Op.gte]: startSlot,
-                                [Op.lt]: startSlot + duration
-                            }
-                        },
-                        // Case 2: Our recurring slot starts within existing event
-                        {
-                            [Op.and]: [
-                                { start_slot: { [Op.lte]: startSlot } },
-                                sequelize.literal(`start_slot + duration > ${startSlot}`)
-                            ]
-                        }
+                    [Op.and]: [
+                        { start_slot: { [Op.lte]: startSlot } },
+                        sequelize.literal(`start_slot + duration > ${startSlot}`)
                     ]
                 }
             ]
+        }
+    ];
+
+    const events = await Calendar.findAll({
+        where: {
+            instructor_id: instructorId,
+            ...upcomingFilter,
+            [Op.and]: sameWeeklyTime
         },
         include: [{
             model: sequelize.models.User,
@@ -142,9 +171,24 @@ RecurringBooking.checkCalendarConflicts = async function(instructorId, dayOfWeek
             attributes: ['name', 'email']
         }]
     });
+
+    // Group classes hold their time whether or not anyone has enrolled yet
+    const { GroupSession } = require('./GroupSession');
+    const groupSessions = await GroupSession.findAll({
+        where: {
+            instructor_id: instructorId,
+            date: { [Op.gte]: getCurrentDateUTC() },
+            status: 'scheduled',
+            [Op.and]: sameWeeklyTime
+        }
+    });
+
+    const conflictingEvents = [...events, ...groupSessions];
     
     if (conflictingEvents.length > 0) {
-        const conflictDetails = conflictingEvents.map(event => {
+        // A class's enrolled students are listed once, with the class itself
+        const conflictTimes = conflictingEvents.filter(event => !event.group_session_id);
+        const conflictDetails = conflictTimes.map(event => {
             const hours24 = Math.floor(event.start_slot/4);
             const minutes = (event.start_slot%4)*15;
             const hours12 = hours24 % 12 || 12; // Convert to 12-hour format
@@ -196,12 +240,13 @@ RecurringBooking.findByInstructorAndDay = async function(instructorId, dayOfWeek
     return this.findAll({
         where: {
             instructor_id: instructorId,
-            day_of_week: dayOfWeek
+            day_of_week: dayOfWeek,
+            paused_at: null
         },
         include: [
             {
                 model: sequelize.models.Subscription,
-                where: { status: 'active' },
+                where: { status: RESERVING_STATUSES },
                 include: [{ model: sequelize.models.User }]
             },
             {
@@ -212,6 +257,107 @@ RecurringBooking.findByInstructorAndDay = async function(instructorId, dayOfWeek
     });
 };
 
+/**
+ * The times an instructor's recurring bookings reserve over a date range, with
+ * skipped and moved weeks applied. A week that already has a generated lesson (booked,
+ * moved or cancelled) is covered by that lesson instead and left out.
+ * Paused bookings reserve nothing.
+ *
+ * Each reservation carries the booking's id, instructor_id, subscription_id and
+ * Subscription (with User), the date, start_slot and duration it takes up, and the
+ * occurrence_date of the regular week it belongs to.
+ * @param {number} instructorId - Instructor ID
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Reservations
+ */
+RecurringBooking.getReservations = async function(instructorId, startDate, endDate) {
+    const { Calendar } = require('./Calendar');
+    const { RecurringBookingException } = require('./RecurringBookingException');
+    const { formatDateUTC } = require('../utils/timeUtils');
+
+    const recurringBookings = await this.findAll({
+        where: { instructor_id: instructorId, paused_at: null },
+        include: [
+            {
+                model: sequelize.models.Subscription,
+                where: { status: RESERVING_STATUSES },
+                include: [{ model: sequelize.models.User }]
+            }
+        ]
+    });
+    if (recurringBookings.length === 0) {
+        return [];
+    }
+
+    const ids = recurringBookings.map(rb => rb.id);
+    const exceptions = await RecurringBookingException.findInRange(ids, startDate, endDate);
+    const changedWeeks = new Set(exceptions.map(exception => `${exception.recurring_booking_id}_${exception.occurrence_date}`));
+
+    const toReservation = (rb, occurrenceDate, date, startSlot) => ({
+        id: rb.id,
+        instructor_id: rb.instructor_id,
+        subscription_id: rb.subscription_id,
+        Subscription: rb.Subscription,
+        date,
+        start_slot: startSlot,
+        duration: rb.duration,
+        occurrence_date: occurrenceDate,
+        moved: date !== occurrenceDate || startSlot !== rb.start_slot
+    });
+
+    const reservations = [];
+    for (let day = new Date(`${startDate}T00:00:00.000Z`); formatDateUTC(day) <= endDate; day.setUTCDate(day.getUTCDate() + 1)) {
+        const date = formatDateUTC(day);
+        for (const rb of recurringBookings) {
+            if (rb.day_of_week === day.getUTCDay() && !changedWeeks.has(`${rb.id}_${date}`)) {
+                reservations.push(toReservation(rb, date, date, rb.start_slot));
+            }
+        }
+    }
+
+    // Lessons moved onto a date in the range, possibly from a week outside it
+    for (const exception of exceptions) {
+        if (exception.type === 'move' && exception.new_date >= startDate && exception.new_date <= endDate) {
+            const rb = recurringBookings.find(booking => booking.id === exception.recurring_booking_id);
+            reservations.push(toReservation(rb, exception.occurrence_date, exception.new_date, exception.new_start_slot));
+        }
+    }
+
+    if (reservations.length === 0) {
+        return reservations;
+    }
+
+    const occurrenceDates = reservations.map(reservation => reservation.occurrence_date).sort();
+    const occurrences = await Calendar.findRecurringOccurrences(ids, occurrenceDates[0], occurrenceDates[occurrenceDates.length - 1]);
+    const materialized = new Set(occurrences.map(event => `${event.recurring_booking_id}_${event.recurring_date}`));
+
+    return reservations.filter(reservation => !materialized.has(`${reservation.id}_${reservation.occurrence_date}`));
+};
+
+/**
+ * Recurring reservations on a single date (see getReservations)
+ */
+RecurringBooking.findByInstructorAndDate = async function(instructorId, date) {
+    return this.getReservations(instructorId, date, date);
+};
+
+/**
+ * Check that a time range falls inside one of the instructor's weekly availability blocks
+ */
+RecurringBooking.isWithinAvailability = async function(instructorId, dayOfWeek, startSlot, duration) {
+    const { getWeeklyAvailability } = require('./InstructorAvailability');
+    const availability = await getWeeklyAvailability(instructorId);
+
+    return availability.some(slot => {
+        if (slot.day_of_week !== dayOfWeek) return false;
+        const slotEnd = slot.start_slot + slot.duration;
+        return startSlot >= slot.start_slot && 
+               startSlot < slotEnd && 
+               (startSlot + duration) <= slotEnd;
+    });
+};
+
 RecurringBooking.createForSubscription = async function(subscriptionId, bookingData) {
     // Check if subscription is eligible for recurring bookings
     const { Subscription } = require('./Subscription');
@@ -227,16 +373,12 @@ RecurringBooking.createForSubscription = async function(subscriptionId, bookingD
     }
     
     // Validate instructor availability
-    const { getWeeklyAvailability } = require('./InstructorAvailability');
-    const availability = await getWeeklyAvailability(bookingData.instructor_id);
-    
-    const isTimeAvailable = availability.some(slot => {
-        if (slot.day_of_week !== bookingData.day_of_week) return false;
-        const slotEnd = slot.start_slot + slot.duration;
-        return bookingData.start_slot >= slot.start_slot && 
-               bookingData.start_slot < slotEnd && 
-               (bookingData.start_slot + bookingData.duration) <= slotEnd;
-    });
+    const isTimeAvailable = await this.isWithinAvailability(
+        bookingData.instructor_id,
+        bookingData.day_of_week,
+        bookingData.start_slot,
+        bookingData.duration
+    );
     
     if (!isTimeAvailable) {
         throw new Error('Selected time is outside instructor availability');
@@ -272,22 +414,16 @@ RecurringBooking.updateRecurringBooking = async function(id, updates) {
     
     // If updating time/day, validate instructor availability
     if (updates.day_of_week !== undefined || updates.start_slot !== undefined || updates.duration !== undefined) {
-        const { getWeeklyAvailability } = require('./InstructorAvailability');
-        const availability = await getWeeklyAvailability(
-            updates.instructor_id || recurringBooking.instructor_id
-        );
-        
         const dayOfWeek = updates.day_of_week !== undefined ? updates.day_of_week : recurringBooking.day_of_week;
         const startSlot = updates.start_slot !== undefined ? updates.start_slot : recurringBooking.start_slot;
         const duration = updates.duration !== undefined ? updates.duration : recurringBooking.duration;
         
-        const isTimeAvailable = availability.some(slot => {
-            if (slot.day_of_week !== dayOfWeek) return false;
-            const slotEnd = slot.start_slot + slot.duration;
-            return startSlot >= slot.start_slot && 
-                   startSlot < slotEnd && 
-                   (startSlot + duration) <= slotEnd;
-        });
+        const isTimeAvailable = await this.isWithinAvailability(
+            updates.instructor_id || recurringBooking.instructor_id,
+            dayOfWeek,
+            startSlot,
+            duration
+        );
         
         if (!isTimeAvailable) {
             throw new Error('Selected time is outside instructor availability');
@@ -298,7 +434,8 @@ RecurringBooking.updateRecurringBooking = async function(id, updates) {
             updates.instructor_id || recurringBooking.instructor_id,
             dayOfWeek,
             startSlot,
-            duration
+            duration,
+            recurringBooking.id
         );
     }
     
@@ -324,6 +461,14 @@ const setupAssociations = (models) => {
     // Set up reverse associations
     models.Subscription.hasOne(RecurringBooking, { foreignKey: 'subscription_id' });
     models.Instructor.hasMany(RecurringBooking, { foreignKey: 'instructor_id' });
+
+    // Generated lessons
+    RecurringBooking.hasMany(models.Calendar, { foreignKey: 'recurring_booking_id' });
+    models.Calendar.belongsTo(RecurringBooking, { foreignKey: 'recurring_booking_id' });
+
+    // Skipped and moved weeks
+    RecurringBooking.hasMany(models.RecurringBookingException, { foreignKey: 'recurring_booking_id', onDelete: 'CASCADE' });
+    models.RecurringBookingException.belongsTo(RecurringBooking, { foreignKey: 'recurring_booking_id' });
 };
 
 // Hooks
@@ -0,0 +1,104 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../db/index');
+
+// A change to one week of a recurring booking: the lesson is skipped, or moved to
+// another date and/or time. occurrence_date is the regular weekly date it replaces.
+const RecurringBookingException = sequelize.define('RecurringBookingException', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    recurring_booking_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'recurring_bookings',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    occurrence_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    type: {
+        type: DataTypes.ENUM('skip', 'move'),
+        allowNull: false
+    },
+    new_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    new_start_slot: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+            min: 0,
+            max: 95
+        }
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    tableName: 'recurring_booking_exceptions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['recurring_booking_id', 'occurrence_date']
+        },
+        {
+            fields: ['new_date']
+        }
+    ]
+});
+
+// Static methods
+
+/**
+ * Exceptions that affect a date range: weeks in the range that were skipped or moved
+ * away, and lessons moved into the range from other weeks
+ * @param {Array<number>} recurringBookingIds - RecurringBooking IDs
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Matching exceptions
+ */
+RecurringBookingException.findInRange = async function(recurringBookingIds, startDate, endDate) {
+    if (recurringBookingIds.length === 0) {
+        return [];
+    }
+
+    return this.findAll({
+        where: {
+            recurring_booking_id: { [Op.in]: recurringBookingIds },
+            [Op.or]: [
+                { occurrence_date: { [Op.between]: [startDate, endDate] } },
+                { new_date: { [Op.between]: [startDate, endDate] } }
+            ]
+        }
+    });
+};
+
+/**
+ * A recurring booking's exception for one weekly occurrence
+ * @returns {Promise<Object|null>}
+ */
+RecurringBookingException.findForOccurrence = async function(recurringBookingId, occurrenceDate) {
+    return this.findOne({
+        where: {
+            recurring_booking_id: recurringBookingId,
+            occurrence_date: occurrenceDate
+        }
+    });
+};
+
+module.exports = { RecurringBookingException };
@@ -43,6 +43,16 @@ const Subscription = sequelize.define('Subscription', {
     cancel_at_period_end: {
         type: DataTypes.BOOLEAN,
         defaultValue: false
+    },
+    // Set while renewal payments are failing (see DunningService)
+    payment_failed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    dunning_stage: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
     }
 }, {
     tableName: 'subscriptions',
@@ -36,11 +36,11 @@ const Transactions = sequelize.define('Transactions', {
         }
     },
     status: {
-        type: DataTypes.ENUM('pending', 'completed', 'failed', 'outstanding'),
+        type: DataTypes.ENUM('pending', 'completed', 'failed', 'outstanding', 'requires_action'),
         allowNull: false,
         defaultValue: 'completed',
         validate: {
-            isIn: [['pending', 'completed', 'failed', 'outstanding']]
+            isIn: [['pending', 'completed', 'failed', 'outstanding', 'requires_action']]
         }
     },
     payment_intent_id: {
@@ -50,6 +50,36 @@ const Transactions = sequelize.define('Transactions', {
     stripe_customer_id: {
         type: DataTypes.STRING,
         allowNull: true
+    },
+    promo_code_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'promo_codes',
+            key: 'id'
+        }
+    },
+    // Promo code discount; amount is what was charged after it
+    discount_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    // The lesson an in-person payment is for
+    calendar_event_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'calendar_events',
+            key: 'id'
+        },
+        onDelete: 'SET NULL'
+    },
+    // Collected so far towards an in-person payment; it's completed once this reaches amount
+    amount_paid: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
     }
 }, {
     tableName: 'transactions',
@@ -59,7 +89,31 @@ const Transactions = sequelize.define('Transactions', {
 });
 
 // Static methods
-Transactions.recordTransaction = async function(userId, amount, paymentMethod, status = 'completed', paymentIntentId = null, stripeCustomerId = null, planId = null, transaction = null) {
+
+/**
+ * Record a payment
+ * @param {number} userId - Paying user
+ * @param {number} amount - Amount charged
+ * @param {string} paymentMethod - 'stripe', 'credits' or 'in-person'
+ * @param {Object} [options]
+ * @param {string} [options.status] - Defaults to 'completed'
+ * @param {string} [options.paymentIntentId] - Stripe payment intent
+ * @param {string} [options.stripeCustomerId] - Stripe customer
+ * @param {number} [options.planId] - Payment plan bought
+ * @param {Object} [options.transaction] - Database transaction to create it in
+ * @param {Object} [options.discount] - Promo code discount ({ promoCodeId, amount }), if one was applied
+ * @param {number} [options.calendarEventId] - The lesson an in-person payment is for
+ * @returns {Promise<Object>} The transaction
+ */
+Transactions.recordTransaction = async function(userId, amount, paymentMethod, {
+    status = 'completed',
+    paymentIntentId = null,
+    stripeCustomerId = null,
+    planId = null,
+    transaction = null,
+    discount = null,
+    calendarEventId = null
+} = {}) {
     // Validate transaction data before creating
     const transactionData = validateTransactionData({
         user_id: userId,
@@ -75,7 +129,10 @@ Transactions.recordTransaction = async function(userId, amount, paymentMethod, s
         payment_method: transactionData.payment_method,
         status: transactionData.status,
         payment_intent_id: paymentIntentId,
-        stripe_customer_id: stripeCustomerId
+        stripe_customer_id: stripeCustomerId,
+        promo_code_id: discount?.promoCodeId ?? null,
+        discount_amount: discount?.amount ?? 0,
+        calendar_event_id: calendarEventId
     };
 
     // If a transaction is provided, use it for atomicity
@@ -92,9 +149,36 @@ Transactions.getTransactions = async function(userId) {
         include: [{
             model: sequelize.models.PaymentPlan,
             attributes: ['name']
+        }, {
+            model: sequelize.models.PromoCode,
+            attributes: ['code']
         }],
         order: [['created_at', 'DESC']]
     });
 };
 
+/**
+ * The in-person payment for a booking
+ * @param {Object} booking - Calendar event
+ * @returns {Promise<Object|null>}
+ */
+Transactions.findInPersonForBooking = async function(booking) {
+    return this.findOne({
+        where: {
+            calendar_event_id: booking.id,
+            payment_method: 'in-person'
+        }
+    });
+};
+
+/**
+ * What's still owed on an in-person payment
+ * @param {Object} transaction - Transactions instance
+ * @returns {number}
+ */
+Transactions.balanceOf = function(transaction) {
+    const balance = (parseFloat(transaction.amount) || 0) - (parseFloat(transaction.amount_paid) || 0);
+    return Math.max(Math.round(balance * 100) / 100, 0);
+};
+
 module.exports = { Transactions }; 
\ No newline at end of file
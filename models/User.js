@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../db/index');
 const cache = require('../db/cache');
@@ -17,9 +18,10 @@ const User = sequelize.define('User', {
         type: DataTypes.STRING,
         allowNull: false
     },
+    // Empty for dependents, who are reached through their guardian
     email: {
         type: DataTypes.STRING,
-        allowNull: false,
+        allowNull: true,
         unique: true,
         validate: {
             isEmail: true
@@ -78,6 +80,33 @@ const User = sequelize.define('User', {
         type: DataTypes.DATE,
         allowNull: true,
         defaultValue: null
+    },
+    email_verified_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null
+    },
+    token_version: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Incremented to invalidate all previously issued JWTs'
+    },
+    guardian_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: null,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        comment: 'Account that manages this student profile, books for it and pays'
+    },
+    shares_guardian_credits: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Dependents book from their guardian\'s credits unless given their own'
     }
 }, {
     tableName: 'users',
@@ -127,7 +156,11 @@ User.updateUser = async function(id, updates) {
     if (!user) {
         throw new Error('User not found');
     }
+    const roleChanged = updates.role !== undefined && updates.role !== user.role;
     await user.update(updates);
+    if (roleChanged) {
+        await this.revokeSessions(id);
+    }
     await clearCache(id);
     return user;
 };
@@ -146,7 +179,12 @@ User.updateUserRole = async function(userId, role) {
     if (!user) {
         throw new Error('User not found');
     }
+    const roleChanged = user.role !== role;
     await user.update({ role });
+    // Permissions are derived from the role, so existing sessions must log in again
+    if (roleChanged) {
+        await this.revokeSessions(userId);
+    }
     await clearCache(userId);
     return user;
 };
@@ -161,6 +199,241 @@ User.setApprovalStatus = async function(userId, isApproved) {
     return user;
 };
 
+// Mark the user's email address as verified (or clear it for an admin override)
+User.setEmailVerified = async function(userId, isVerified) {
+    const user = await this.findByPk(userId);
+    if (!user) {
+        throw new Error('User not found');
+    }
+    await user.update({ email_verified_at: isVerified ? (user.email_verified_at || new Date()) : null });
+    await clearCache(userId);
+    return user;
+};
+
+User.isEmailVerified = function(user) {
+    return !!user?.email_verified_at;
+};
+
+// Replace the password hash and sign the user out everywhere
+User.updatePassword = async function(userId, hashedPassword) {
+    const user = await this.findByPk(userId);
+    if (!user) {
+        throw new Error('User not found');
+    }
+    await user.update({ password: hashedPassword });
+    await this.revokeSessions(userId);
+    return user;
+};
+
+/**
+ * Log a user out of every device: revokes all refresh-token sessions and bumps
+ * token_version so access tokens already handed out stop working immediately.
+ */
+User.revokeSessions = async function(userId) {
+    const { UserSession } = require('./UserSession');
+    await UserSession.revokeAllForUser(userId);
+    await this.increment('token_version', { where: { id: userId } });
+    await clearCache(userId);
+};
+
+// Guardian accounts
+// A guardian is a student account that owns the profiles of their dependents.
+// Dependents have no email or usable password: the guardian books for them,
+// pays, and receives their emails.
+
+User.getDependents = async function(guardianId) {
+    return this.findAll({
+        where: { guardian_id: guardianId },
+        attributes: { exclude: ['password'] },
+        order: [['name', 'ASC']]
+    });
+};
+
+User.getDependentIds = async function(guardianId) {
+    const dependents = await this.findAll({
+        where: { guardian_id: guardianId },
+        attributes: ['id'],
+        raw: true
+    });
+    return dependents.map(dependent => dependent.id);
+};
+
+User.isGuardianOf = async function(guardianId, studentId) {
+    const count = await this.count({ where: { id: studentId, guardian_id: guardianId } });
+    return count > 0;
+};
+
+User.findDependent = async function(guardianId, dependentId) {
+    const dependent = await this.findOne({
+        where: { id: dependentId, guardian_id: guardianId },
+        attributes: { exclude: ['password'] }
+    });
+    if (!dependent) {
+        throw new Error('Dependent not found');
+    }
+    return dependent;
+};
+
+/**
+ * Add a student profile to a guardian's account
+ * @param {number} guardianId - Student account that will manage the profile
+ * @param {Object} data - { name, is_student_minor, shares_guardian_credits }
+ * @throws {Error} 'Only student accounts can add dependents' for instructors, admins and dependents themselves
+ */
+User.createDependent = async function(guardianId, data) {
+    const guardian = await this.findByPk(guardianId);
+    if (!guardian) {
+        throw new Error('User not found');
+    }
+    if (guardian.role !== 'student' || guardian.guardian_id) {
+        throw new Error('Only student accounts can add dependents');
+    }
+
+    const name = data.name?.trim();
+    if (!name) {
+        throw new Error('Dependent name is required');
+    }
+
+    const dependent = await this.create({
+        name,
+        email: null,
+        // Not a bcrypt hash, so no password ever matches it
+        password: `!${crypto.randomBytes(32).toString('hex')}`,
+        role: 'student',
+        is_approved: guardian.is_approved,
+        is_student_minor: data.is_student_minor ?? true,
+        shares_guardian_credits: data.shares_guardian_credits ?? true,
+        guardian_id: guardian.id
+    });
+
+    return this.findById(dependent.id);
+};
+
+User.updateDependent = async function(guardianId, dependentId, updates) {
+    const dependent = await this.findDependent(guardianId, dependentId);
+
+    const changes = {};
+    if (updates.name !== undefined) {
+        const name = String(updates.name).trim();
+        if (!name) {
+            throw new Error('Dependent name is required');
+        }
+        changes.name = name;
+    }
+    if (updates.is_student_minor !== undefined) {
+        changes.is_student_minor = !!updates.is_student_minor;
+    }
+    if (updates.shares_guardian_credits !== undefined) {
+        changes.shares_guardian_credits = !!updates.shares_guardian_credits;
+    }
+
+    await dependent.update(changes);
+    return dependent;
+};
+
+/**
+ * Remove a dependent's profile, returning any credits of their own to the guardian
+ * @throws {Error} 'Dependent has upcoming lessons' while lessons are still booked for them
+ */
+User.removeDependent = async function(guardianId, dependentId) {
+    const dependent = await this.findDependent(guardianId, dependentId);
+    const { Calendar } = require('./Calendar');
+    const { UserCredits } = require('./Credits');
+    const { getCurrentDateUTC } = require('../utils/timeUtils');
+
+    const upcoming = await Calendar.count({
+        where: {
+            student_id: dependent.id,
+            status: 'booked',
+            date: { [sequelize.Op.gte]: getCurrentDateUTC() }
+        }
+    });
+    if (upcoming > 0) {
+        throw new Error('Dependent has upcoming lessons');
+    }
+
+    await sequelize.transaction(async (transaction) => {
+        await UserCredits.transferAllCredits(dependent.id, guardianId, transaction);
+        await dependent.destroy({ transaction });
+    });
+    await clearCache(dependent.id);
+};
+
+/**
+ * Split credits between a guardian and a dependent. Giving a dependent credits
+ * switches them to booking from their own balance.
+ * @param {string} direction - 'give' (guardian to dependent) or 'return' (dependent to guardian)
+ * @throws {Error} 'INSUFFICIENT_CREDITS' when the sender doesn't hold enough of that lesson length
+ */
+User.transferDependentCredits = async function(guardianId, dependentId, credits, durationMinutes, direction = 'give') {
+    if (!['give', 'return'].includes(direction)) {
+        throw new Error('Direction must be give or return');
+    }
+    const dependent = await this.findDependent(guardianId, dependentId);
+    const { UserCredits } = require('./Credits');
+
+    await sequelize.transaction(async (transaction) => {
+        if (direction === 'give') {
+            await UserCredits.transferCredits(guardianId, dependent.id, credits, durationMinutes, transaction);
+            if (dependent.shares_guardian_credits) {
+                await dependent.update({ shares_guardian_credits: false }, { transaction });
+            }
+        } else {
+            await UserCredits.transferCredits(dependent.id, guardianId, credits, durationMinutes, transaction);
+        }
+    });
+
+    return dependent;
+};
+
+/**
+ * Whose balance a student's lessons are paid from: the guardian's for dependents
+ * sharing it, otherwise the student's own
+ */
+User.getCreditOwnerId = async function(studentId) {
+    const student = await this.findByPk(studentId, {
+        attributes: ['id', 'guardian_id', 'shares_guardian_credits']
+    });
+    if (student?.guardian_id && student.shares_guardian_credits) {
+        return student.guardian_id;
+    }
+    return parseInt(studentId, 10);
+};
+
+/**
+ * The account that acts for a student: the guardian for dependents, otherwise the student
+ */
+User.getAccountHolder = async function(student) {
+    if (student?.guardian_id) {
+        const guardian = await this.findById(student.guardian_id);
+        if (guardian) {
+            return guardian;
+        }
+    }
+    return student;
+};
+
+/**
+ * Addresses a student's emails go to: their own, plus their guardian's so a
+ * guardian hears about every child's lessons
+ * @returns {Promise<string|null>} Comma-separated addresses, or null if there are none
+ */
+User.getEmailRecipients = async function(studentId) {
+    const student = await this.findByPk(studentId, { attributes: ['id', 'email', 'guardian_id'] });
+    if (!student) {
+        return null;
+    }
+
+    const addresses = [student.email];
+    if (student.guardian_id) {
+        const guardian = await this.findByPk(student.guardian_id, { attributes: ['email'] });
+        addresses.push(guardian?.email);
+    }
+
+    const recipients = [...new Set(addresses.filter(Boolean))];
+    return recipients.length > 0 ? recipients.join(', ') : null;
+};
+
 // Verification helper wrappers - delegates to pure functions in utils/verificationHelpers.js
 // This keeps routes DRY by only requiring the User model import
 const verificationHelpers = require('../utils/verificationHelpers');
@@ -194,6 +467,16 @@ User.getPlainObject = function(user) {
     };
 };
 
+// Plain object for the signed-in user, with the dependents a guardian can act for
+// (the frontend's CASL rules need them)
+User.getSessionObject = async function(user) {
+    const plainUser = this.getPlainObject(user);
+    if (plainUser && plainUser.role === 'student') {
+        plainUser.dependent_ids = await this.getDependentIds(plainUser.id);
+    }
+    return plainUser;
+};
+
 // Add a method to update subscription periods
 User.updateSubscriptionPeriods = async function(userId) {
     try {
@@ -266,6 +549,8 @@ User.updateSubscriptionPeriods = async function(userId) {
 // Function to set up associations
 const setupAssociations = (models) => {
     User.hasMany(models.Subscription, { foreignKey: 'user_id' });
+    User.hasMany(User, { foreignKey: 'guardian_id', as: 'dependents' });
+    User.belongsTo(User, { foreignKey: 'guardian_id', as: 'guardian' });
 };
 
 // Hooks
@@ -282,14 +567,24 @@ User.beforeDestroy(async (user, options) => {
     const transaction = options.transaction;
     
     // Import models (done here to avoid circular dependencies)
-    const { Instructor, Subscription, Transactions, Calendar, Refund } = require('./index');
+    const { Instructor, Subscription, Transactions, Invoice, Calendar, Refund, PasswordResetToken, EmailVerificationToken, UserSession, WaitlistEntry, RecurringBookingException } = require('./index');
     const { UserCredits, CreditUsage } = require('./Credits');
     
     // Delete related records in order to respect foreign key constraints
     // Order matters: delete child records before parent records
     
-    // 1. Delete credit usage records (references user_credits)
-    await CreditUsage.destroy({ where: { user_id: user.id }, transaction });
+    // 1. Delete credit usage records (references user_credits), including the
+    // user's lessons paid from a guardian's credits
+    const bookings = await Calendar.findAll({ where: { student_id: user.id }, attributes: ['id'], transaction });
+    await CreditUsage.destroy({
+        where: {
+            [sequelize.Op.or]: [
+                { user_id: user.id },
+                { calendar_event_id: bookings.map(booking => booking.id) }
+            ]
+        },
+        transaction
+    });
     
     // 2. Delete user credits
     await UserCredits.destroy({ where: { user_id: user.id }, transaction });
@@ -300,7 +595,9 @@ User.beforeDestroy(async (user, options) => {
     // 4. Delete subscriptions (this will cascade to RecurringBookings via subscription_id)
     await Subscription.destroy({ where: { user_id: user.id }, transaction });
     
-    // 5. Delete transactions
+    // 5. Delete transactions and their invoices
+    const userTransactions = await Transactions.findAll({ where: { user_id: user.id }, attributes: ['id'], transaction });
+    await Invoice.destroy({ where: { transaction_id: userTransactions.map(record => record.id) }, transaction });
     await Transactions.destroy({ where: { user_id: user.id }, transaction });
     
     // 6. Delete bookings where user is the student
@@ -312,6 +609,33 @@ User.beforeDestroy(async (user, options) => {
         { refunded_by: null }, 
         { where: { refunded_by: user.id }, transaction, validate: false }
     );
+
+    // 8. Delete outstanding password reset and email verification tokens
+    await PasswordResetToken.destroy({ where: { user_id: user.id }, transaction });
+    await EmailVerificationToken.destroy({ where: { user_id: user.id }, transaction });
+
+    // 9. Delete login sessions so outstanding refresh tokens stop working
+    await UserSession.destroy({ where: { user_id: user.id }, transaction });
+
+    // 10. Delete waitlist entries (holds lapse with them)
+    await WaitlistEntry.destroy({ where: { student_id: user.id }, transaction });
+
+    // 11. Keep skipped/moved weeks the user set up for other students' recurring bookings
+    await RecurringBookingException.update(
+        { created_by: null },
+        { where: { created_by: user.id }, transaction }
+    );
+
+    // 12. Remove dependent profiles (they can't be reached without the guardian),
+    // keeping any that have their own email address as standalone accounts
+    const dependents = await User.findAll({ where: { guardian_id: user.id }, transaction });
+    for (const dependent of dependents) {
+        if (dependent.email) {
+            await dependent.update({ guardian_id: null, shares_guardian_credits: false }, { transaction });
+        } else {
+            await dependent.destroy({ transaction });
+        }
+    }
 });
 
 User.afterDestroy(async (user) => {
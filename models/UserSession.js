@@ -0,0 +1,194 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../db/index');
+const { generateSecureToken, hashSecureToken } = require('../utils/secureTokens');
+
+// A session stays alive as long as it is refreshed at least once every 30 days
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const UserSession = sequelize.define('UserSession', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    refresh_token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    previous_token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'Hash of the refresh token replaced by the last rotation, used to detect reuse'
+    },
+    user_agent: {
+        type: DataTypes.STRING(512),
+        allowNull: true
+    },
+    ip_address: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+    },
+    last_used_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'user_sessions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+});
+
+const activeWhere = () => ({
+    revoked_at: null,
+    expires_at: { [Op.gt]: new Date() }
+});
+
+// Static methods
+
+/**
+ * Start a new session (one per login/device)
+ * @param {number} userId - User ID
+ * @param {Object} [client] - { userAgent, ipAddress } of the device logging in
+ * @returns {Promise<{ session: Object, refreshToken: string }>} Raw refresh token for the client
+ */
+UserSession.createForUser = async function(userId, client = {}) {
+    const refreshToken = generateSecureToken();
+    const now = new Date();
+
+    const session = await this.create({
+        user_id: userId,
+        refresh_token_hash: hashSecureToken(refreshToken),
+        user_agent: client.userAgent ? String(client.userAgent).slice(0, 512) : null,
+        ip_address: client.ipAddress || null,
+        last_used_at: now,
+        expires_at: new Date(now.getTime() + SESSION_TTL_MS)
+    });
+
+    return { session, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one on the same session.
+ * Presenting a token that was already rotated out means it leaked, so the
+ * whole session is revoked.
+ * @returns {Promise<{ session: Object, refreshToken: string }|null>} Null if the token is not usable
+ */
+UserSession.rotate = async function(refreshToken) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return null;
+    }
+
+    const tokenHash = hashSecureToken(refreshToken);
+    const session = await this.findOne({
+        where: { refresh_token_hash: tokenHash, ...activeWhere() }
+    });
+
+    if (!session) {
+        await this.update(
+            { revoked_at: new Date() },
+            { where: { previous_token_hash: tokenHash, revoked_at: null } }
+        );
+        return null;
+    }
+
+    const nextToken = generateSecureToken();
+    const now = new Date();
+
+    // Conditional on the old hash so two concurrent refreshes can't both succeed
+    const [updated] = await this.update({
+        refresh_token_hash: hashSecureToken(nextToken),
+        previous_token_hash: tokenHash,
+        last_used_at: now,
+        expires_at: new Date(now.getTime() + SESSION_TTL_MS)
+    }, {
+        where: { id: session.id, refresh_token_hash: tokenHash, revoked_at: null }
+    });
+
+    if (updated !== 1) {
+        return null;
+    }
+
+    return { session: await this.findByPk(session.id), refreshToken: nextToken };
+};
+
+/**
+ * Find a session that has not been revoked or expired
+ */
+UserSession.findActive = async function(sessionId) {
+    if (!sessionId) {
+        return null;
+    }
+
+    return this.findOne({
+        where: { id: sessionId, ...activeWhere() }
+    });
+};
+
+UserSession.listActiveForUser = async function(userId) {
+    return this.findAll({
+        where: { user_id: userId, ...activeWhere() },
+        attributes: ['id', 'user_agent', 'ip_address', 'created_at', 'last_used_at', 'expires_at'],
+        order: [['last_used_at', 'DESC']]
+    });
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @returns {Promise<boolean>} False if no active session matched
+ */
+UserSession.revoke = async function(sessionId, userId) {
+    const [updated] = await this.update(
+        { revoked_at: new Date() },
+        { where: { id: sessionId, user_id: userId, revoked_at: null } }
+    );
+    return updated === 1;
+};
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ */
+UserSession.revokeByToken = async function(refreshToken) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return false;
+    }
+
+    const [updated] = await this.update(
+        { revoked_at: new Date() },
+        { where: { refresh_token_hash: hashSecureToken(refreshToken), revoked_at: null } }
+    );
+    return updated === 1;
+};
+
+/**
+ * Revoke every session for a user, optionally keeping the current one
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+UserSession.revokeAllForUser = async function(userId, { exceptSessionId = null } = {}) {
+    const where = { user_id: userId, revoked_at: null };
+    if (exceptSessionId) {
+        where.id = { [Op.ne]: exceptSessionId };
+    }
+
+    const [updated] = await this.update({ revoked_at: new Date() }, { where });
+    return updated;
+};
+
+module.exports = { UserSession, SESSION_TTL_MS };
@@ -0,0 +1,272 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../db/index');
+
+// Entries still in the queue: waiting for a slot, or holding one
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+// A student waiting for a taken instructor time range to free up
+const WaitlistEntry = sequelize.define('WaitlistEntry', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    student_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    instructor_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'instructors',
+            key: 'id'
+        }
+    },
+    date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    start_slot: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    duration: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('waiting', 'offered', 'booked', 'expired', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'waiting'
+    },
+    offered_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    hold_expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    calendar_event_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'calendar_events',
+            key: 'id'
+        }
+    }
+}, {
+    tableName: 'waitlist_entries',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            fields: ['instructor_id', 'date', 'status']
+        },
+        {
+            fields: ['student_id']
+        }
+    ]
+});
+
+// Entries whose slot range overlaps [startSlot, startSlot + duration)
+const overlapping = (startSlot, duration) => ({
+    start_slot: { [Op.lt]: startSlot + duration },
+    [Op.and]: sequelize.where(
+        sequelize.literal('start_slot + duration'),
+        Op.gt,
+        startSlot
+    )
+});
+
+// Static methods
+
+/**
+ * Add a student to the waitlist for a time range
+ * @throws {Error} ALREADY_WAITLISTED if the student is already queued for this exact range
+ */
+WaitlistEntry.join = async function(studentId, instructorId, date, startSlot, duration) {
+    const existing = await this.findOne({
+        where: {
+            student_id: studentId,
+            instructor_id: instructorId,
+            date,
+            start_slot: startSlot,
+            duration,
+            status: { [Op.in]: ACTIVE_STATUSES }
+        }
+    });
+
+    if (existing) {
+        throw new Error('ALREADY_WAITLISTED');
+    }
+
+    return await this.create({
+        student_id: studentId,
+        instructor_id: instructorId,
+        date,
+        start_slot: startSlot,
+        duration
+    });
+};
+
+/**
+ * Active entries for a student, soonest first
+ */
+WaitlistEntry.listForStudent = async function(studentId) {
+    return await this.findAll({
+        where: {
+            student_id: studentId,
+            status: { [Op.in]: ACTIVE_STATUSES }
+        },
+        include: [{
+            model: sequelize.models.Instructor,
+            attributes: ['id'],
+            include: [{ model: sequelize.models.User, attributes: ['id', 'name'] }]
+        }],
+        order: [['date', 'ASC'], ['start_slot', 'ASC']]
+    });
+};
+
+/**
+ * Take a student off the waitlist (also gives up a hold)
+ * @returns {Promise<Object|null>} The entry as it was before leaving, or null if not found
+ */
+WaitlistEntry.leave = async function(entryId, studentId) {
+    const entry = await this.findOne({
+        where: {
+            id: entryId,
+            student_id: studentId,
+            status: { [Op.in]: ACTIVE_STATUSES }
+        }
+    });
+
+    if (!entry) {
+        return null;
+    }
+
+    const previous = entry.toJSON();
+    await entry.update({ status: 'cancelled', hold_expires_at: null });
+    return previous;
+};
+
+/**
+ * Waiting entries for an instructor and day that overlap a time range, first come first served
+ */
+WaitlistEntry.findWaiting = async function(instructorId, date, startSlot, duration) {
+    return await this.findAll({
+        where: {
+            instructor_id: instructorId,
+            date,
+            status: 'waiting',
+            ...overlapping(startSlot, duration)
+        },
+        order: [['created_at', 'ASC'], ['id', 'ASC']]
+    });
+};
+
+/**
+ * Unexpired holds overlapping a time range
+ */
+WaitlistEntry.findActiveHolds = async function(instructorId, date, startSlot, duration, now = new Date()) {
+    return await this.findAll({
+        where: {
+            instructor_id: instructorId,
+            date,
+            status: 'offered',
+            hold_expires_at: { [Op.gt]: now },
+            ...overlapping(startSlot, duration)
+        }
+    });
+};
+
+/**
+ * Unexpired holds for an instructor across a date range (for calendar views)
+ */
+WaitlistEntry.findHoldsInRange = async function(instructorId, startDate, endDate, now = new Date()) {
+    return await this.findAll({
+        where: {
+            instructor_id: instructorId,
+            date: { [Op.between]: [startDate, endDate] },
+            status: 'offered',
+            hold_expires_at: { [Op.gt]: now }
+        }
+    });
+};
+
+/**
+ * Give a waiting entry a hold on its time range
+ */
+WaitlistEntry.prototype.offer = async function(holdExpiresAt, now = new Date()) {
+    return await this.update({
+        status: 'offered',
+        offered_at: now,
+        hold_expires_at: holdExpiresAt
+    });
+};
+
+/**
+ * Resolve a student's entries once they have booked an overlapping lesson
+ * @returns {Promise<number>} Number of entries marked booked
+ */
+WaitlistEntry.markBooked = async function(studentId, instructorId, date, startSlot, duration, calendarEventId, transaction = null) {
+    const [updated] = await this.update({
+        status: 'booked',
+        hold_expires_at: null,
+        calendar_event_id: calendarEventId
+    }, {
+        where: {
+            student_id: studentId,
+            instructor_id: instructorId,
+            date,
+            status: { [Op.in]: ACTIVE_STATUSES },
+            ...overlapping(startSlot, duration)
+        },
+        transaction
+    });
+    return updated;
+};
+
+/**
+ * Expire holds that ran out without a booking
+ * @returns {Promise<Array>} The expired entries, so their time can be offered on
+ */
+WaitlistEntry.expireHolds = async function(now = new Date()) {
+    const expired = await this.findAll({
+        where: {
+            status: 'offered',
+            hold_expires_at: { [Op.lte]: now }
+        }
+    });
+
+    for (const entry of expired) {
+        await entry.update({ status: 'expired' });
+    }
+
+    return expired;
+};
+
+/**
+ * Drop entries for times that have already passed
+ * @returns {Promise<number>} Number of entries expired
+ */
+WaitlistEntry.expirePast = async function(today) {
+    const [updated] = await this.update(
+        { status: 'expired', hold_expires_at: null },
+        {
+            where: {
+                date: { [Op.lt]: today },
+                status: { [Op.in]: ACTIVE_STATUSES }
+            }
+        }
+    );
+    return updated;
+};
+
+module.exports = { WaitlistEntry, ACTIVE_STATUSES };
@@ -13,6 +13,23 @@ const { Attendance } = require('./Attendance');
 const { Calendar } = require('./Calendar');
 const { Refund } = require('./Refund');
 const { EmailTemplate, setupAssociations: setupEmailTemplateAssociations } = require('./EmailTemplate');
+const { PasswordResetToken } = require('./PasswordResetToken');
+const { EmailVerificationToken } = require('./EmailVerificationToken');
+const { CalendarFeedToken } = require('./CalendarFeedToken');
+const { UserSession } = require('./UserSession');
+const { LessonReminder } = require('./LessonReminder');
+const { EmailOutbox } = require('./EmailOutbox');
+const { WaitlistEntry } = require('./WaitlistEntry');
+const { RecurringBookingException } = require('./RecurringBookingException');
+const { GroupSession, setupAssociations: setupGroupSessionAssociations } = require('./GroupSession');
+const { InstructorRate, setupAssociations: setupInstructorRateAssociations } = require('./InstructorRate');
+const { PromoCode, PromoCodeRedemption, setupAssociations: setupPromoCodeAssociations } = require('./PromoCode');
+const { GiftVoucher, setupAssociations: setupGiftVoucherAssociations } = require('./GiftVoucher');
+const { Invoice, setupAssociations: setupInvoiceAssociations } = require('./Invoice');
+const { InstructorPayout, setupAssociations: setupInstructorPayoutAssociations } = require('./InstructorPayout');
+const { InstructorEarning, setupAssociations: setupInstructorEarningAssociations } = require('./InstructorEarning');
+const { InPersonPayment, setupAssociations: setupInPersonPaymentAssociations } = require('./InPersonPayment');
+const { BusyBlock, setupAssociations: setupBusyBlockAssociations } = require('./BusyBlock');
 const runSeeds = require('../seeds');
 
 // Define associations
@@ -27,7 +44,7 @@ Instructor.hasOne(InstructorGoogleToken, { foreignKey: 'instructor_id' });
 InstructorGoogleToken.belongsTo(Instructor, { foreignKey: 'instructor_id' });
 
 // New calendar config associations
-Instructor.hasOne(InstructorCalendarConfig, { foreignKey: 'instructor_id' });
+Instructor.hasMany(InstructorCalendarConfig, { foreignKey: 'instructor_id' });
 InstructorCalendarConfig.belongsTo(Instructor, { foreignKey: 'instructor_id' });
 
 // Payment and transaction associations
@@ -41,6 +58,17 @@ Transactions.belongsTo(PaymentPlan, { foreignKey: 'payment_plan_id' });
 Calendar.hasOne(Attendance, { foreignKey: 'calendar_event_id' });
 Attendance.belongsTo(Calendar, { foreignKey: 'calendar_event_id' });
 
+// Lesson reminder associations
+Calendar.hasMany(LessonReminder, { foreignKey: 'calendar_event_id' });
+LessonReminder.belongsTo(Calendar, { foreignKey: 'calendar_event_id' });
+
+// Waitlist associations
+User.hasMany(WaitlistEntry, { foreignKey: 'student_id' });
+WaitlistEntry.belongsTo(User, { foreignKey: 'student_id', as: 'student' });
+Instructor.hasMany(WaitlistEntry, { foreignKey: 'instructor_id' });
+WaitlistEntry.belongsTo(Instructor, { foreignKey: 'instructor_id' });
+WaitlistEntry.belongsTo(Calendar, { foreignKey: 'calendar_event_id' });
+
 // Refund associations
 Calendar.hasMany(Refund, { foreignKey: 'booking_id' });
 Refund.belongsTo(Calendar, { foreignKey: 'booking_id', as: 'booking' });
@@ -49,6 +77,20 @@ Refund.belongsTo(User, { foreignKey: 'refunded_by', as: 'refundedBy' });
 Transactions.hasMany(Refund, { foreignKey: 'original_transaction_id' });
 Refund.belongsTo(Transactions, { foreignKey: 'original_transaction_id', as: 'originalTransaction' });
 
+// Password reset and email verification associations
+User.hasMany(PasswordResetToken, { foreignKey: 'user_id' });
+PasswordResetToken.belongsTo(User, { foreignKey: 'user_id' });
+User.hasMany(EmailVerificationToken, { foreignKey: 'user_id' });
+EmailVerificationToken.belongsTo(User, { foreignKey: 'user_id' });
+
+// iCal subscription feed associations
+User.hasOne(CalendarFeedToken, { foreignKey: 'user_id' });
+CalendarFeedToken.belongsTo(User, { foreignKey: 'user_id' });
+
+// Login session (refresh token) associations
+User.hasMany(UserSession, { foreignKey: 'user_id' });
+UserSession.belongsTo(User, { foreignKey: 'user_id' });
+
 // Set up model associations
 const models = {
     User,
@@ -64,13 +106,40 @@ const models = {
     Attendance,
     Calendar,
     Refund,
-    EmailTemplate
+    EmailTemplate,
+    PasswordResetToken,
+    EmailVerificationToken,
+    CalendarFeedToken,
+    UserSession,
+    LessonReminder,
+    EmailOutbox,
+    WaitlistEntry,
+    RecurringBookingException,
+    GroupSession,
+    InstructorRate,
+    PromoCode,
+    PromoCodeRedemption,
+    GiftVoucher,
+    Invoice,
+    InstructorPayout,
+    InstructorEarning,
+    InPersonPayment,
+    BusyBlock
 };
 
 setupUserAssociations(models);
 setupSubscriptionAssociations(models);
 setupRecurringBookingAssociations(models);
 setupEmailTemplateAssociations(models);
+setupGroupSessionAssociations(models);
+setupInstructorRateAssociations(models);
+setupPromoCodeAssociations(models);
+setupGiftVoucherAssociations(models);
+setupInvoiceAssociations(models);
+setupInstructorPayoutAssociations(models);
+setupInstructorEarningAssociations(models);
+setupInPersonPaymentAssociations(models);
+setupBusyBlockAssociations(models);
 
 // Initialize all models
 const initModels = async () => {
@@ -112,5 +181,23 @@ module.exports = {
     Attendance,
     Calendar,
     Refund,
-    EmailTemplate
+    EmailTemplate,
+    PasswordResetToken,
+    EmailVerificationToken,
+    CalendarFeedToken,
+    UserSession,
+    LessonReminder,
+    EmailOutbox,
+    WaitlistEntry,
+    RecurringBookingException,
+    GroupSession,
+    InstructorRate,
+    PromoCode,
+    PromoCodeRedemption,
+    GiftVoucher,
+    Invoice,
+    InstructorPayout,
+    InstructorEarning,
+    InPersonPayment,
+    BusyBlock
 };
\ No newline at end of file
@@ -8,11 +8,18 @@ const { PaymentPlan } = require('../models/PaymentPlan');
 const { Subscription } = require('../models/Subscription');
 const { AppSettings } = require('../models/AppSettings');
 const { Transactions } = require('../models/Transactions');
+const { PromoCode } = require('../models/PromoCode');
+const { GiftVoucher } = require('../models/GiftVoucher');
 const { authorize, authorizeUserAccess } = require('../middleware/permissions');
 const { logoUpload } = require('../middleware/uploadMiddleware');
 const { processLogoUpload, removeLogo } = require('../utils/logoOperations');
 const emailQueueService = require('../services/EmailQueueService');
 const cronJobService = require('../services/CronJobService');
+const promoCodeService = require('../services/PromoCodeService');
+const giftVoucherService = require('../services/GiftVoucherService');
+const payoutService = require('../services/PayoutService');
+const reportingService = require('../services/ReportingService');
+const inPersonPaymentService = require('../services/InPersonPaymentService');
 const { getThemeDefaults } = require('../utils/constants');
 const { createDateHelper } = require('../utils/dateHelpers');
 const RefundService = require('../services/RefundService');
@@ -131,7 +138,8 @@ router.post('/users', authorize('manage', 'all'), async (req, res) => {
             email,
             password: hashedPassword,
             role: role || 'student',
-            is_approved: true // New users created by admin are automatically approved
+            is_approved: true, // New users created by admin are automatically approved
+            email_verified_at: new Date() // Admin-entered addresses skip email verification
         });
 
         // Instructor users need a matching Instructor profile record so that
@@ -172,6 +180,10 @@ router.post('/packages', authorize('manage', 'all'), async (req, res) => {
             return res.status(400).json({ error: 'Duration days required for membership plans' });
         }
 
+        if (type === 'one-time' && lesson_duration_minutes && !(await AppSettings.getLessonType(lesson_duration_minutes))) {
+            return res.status(400).json({ error: 'Lesson duration must match one of the lesson types' });
+        }
+
         const plan = await PaymentPlan.create({
             name,
             price,
@@ -202,6 +214,10 @@ router.put('/packages/:id', authorize('manage', 'all'), async (req, res) => {
             return res.status(400).json({ error: 'Duration days required for membership plans' });
         }
 
+        if (type === 'one-time' && lesson_duration_minutes && !(await AppSettings.getLessonType(lesson_duration_minutes))) {
+            return res.status(400).json({ error: 'Lesson duration must match one of the lesson types' });
+        }
+
         const plan = await PaymentPlan.findByPk(planId);
         if (!plan) {
             return res.status(404).json({ error: 'Payment plan not found' });
@@ -241,6 +257,339 @@ router.delete('/packages/:id', authorize('manage', 'all'), async (req, res) => {
     }
 });
 
+// Get all promo codes with their usage
+router.get('/promo-codes', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const promoCodes = await PromoCode.getAllWithUsage();
+        res.json(promoCodes);
+    } catch (error) {
+        console.error('Error fetching promo codes:', error);
+        res.status(500).json({ error: 'Error fetching promo codes' });
+    }
+});
+
+// Create promo code
+router.post('/promo-codes', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const promoCode = await promoCodeService.createPromoCode(req.body, req.user.id);
+        res.status(201).json(promoCode);
+    } catch (error) {
+        if (error.message.startsWith('Promo code')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error creating promo code:', error);
+        res.status(500).json({ error: 'Error creating promo code' });
+    }
+});
+
+// Update promo code (including deactivating it)
+router.put('/promo-codes/:id', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const promoCodeId = parseInt(req.params.id, 10);
+        const promoCode = await promoCodeService.updatePromoCode(promoCodeId, req.body);
+        res.json(promoCode);
+    } catch (error) {
+        if (error.message === 'Promo code not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Promo code')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error updating promo code:', error);
+        res.status(500).json({ error: 'Error updating promo code' });
+    }
+});
+
+// Delete promo code
+router.delete('/promo-codes/:id', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const promoCodeId = parseInt(req.params.id, 10);
+        await promoCodeService.deletePromoCode(promoCodeId);
+        res.json({ message: 'Promo code deleted successfully' });
+    } catch (error) {
+        if (error.message === 'Promo code not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Promo code')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error deleting promo code:', error);
+        res.status(500).json({ error: 'Error deleting promo code' });
+    }
+});
+
+// Get gift vouchers, optionally filtered by status (pending, issued, redeemed, expired, void)
+router.get('/gift-vouchers', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        const validStatuses = ['pending', 'issued', 'redeemed', 'expired', 'void'];
+
+        if (status && !validStatuses.includes(status)) {
+            return res.status(400).json({ error: 'Invalid status' });
+        }
+
+        const vouchers = await GiftVoucher.getAllForAdmin(status || null);
+        res.json(vouchers);
+    } catch (error) {
+        console.error('Error fetching gift vouchers:', error);
+        res.status(500).json({ error: 'Error fetching gift vouchers' });
+    }
+});
+
+// Void an unredeemed gift voucher
+router.post('/gift-vouchers/:id/void', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const voucherId = parseInt(req.params.id, 10);
+        const voucher = await giftVoucherService.voidVoucher(voucherId);
+        res.json(voucher);
+    } catch (error) {
+        if (error.message === 'Gift voucher not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Gift voucher')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error voiding gift voucher:', error);
+        res.status(500).json({ error: 'Error voiding gift voucher' });
+    }
+});
+
+// Email a gift voucher's code to its recipient again
+router.post('/gift-vouchers/:id/resend', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const voucherId = parseInt(req.params.id, 10);
+        await giftVoucherService.resendVoucher(voucherId);
+        res.json({ message: 'Gift voucher email queued' });
+    } catch (error) {
+        if (error.message === 'Gift voucher not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Gift voucher')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error resending gift voucher:', error);
+        res.status(500).json({ error: 'Error resending gift voucher' });
+    }
+});
+
+// Get instructor payouts, optionally filtered by status (pending, paid) and instructor
+router.get('/payouts', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const { status, instructorId } = req.query;
+
+        if (status && !['pending', 'paid'].includes(status)) {
+            return res.status(400).json({ error: 'Invalid status' });
+        }
+
+        const payouts = await payoutService.listPayouts({
+            status: status || null,
+            instructorId: instructorId ? parseInt(instructorId, 10) : null
+        });
+        res.json(payouts);
+    } catch (error) {
+        console.error('Error fetching payouts:', error);
+        res.status(500).json({ error: 'Error fetching payouts' });
+    }
+});
+
+// Get every instructor's unpaid earnings and payout settings
+router.get('/payouts/instructors', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const balances = await payoutService.getInstructorBalances();
+        res.json(balances);
+    } catch (error) {
+        console.error('Error fetching instructor balances:', error);
+        res.status(500).json({ error: 'Error fetching instructor balances' });
+    }
+});
+
+// Create a payout for an instructor's unpaid earnings in a period
+router.post('/payouts', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const { instructorId, periodStart, periodEnd } = req.body;
+        const payout = await payoutService.createPayout(parseInt(instructorId, 10), periodStart, periodEnd);
+        res.status(201).json(payout);
+    } catch (error) {
+        if (error.message === 'Instructor not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message === 'Invalid period' ||
+            error.message.startsWith('No unpaid earnings') ||
+            error.message.startsWith('Earnings changed')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error creating payout:', error);
+        res.status(500).json({ error: 'Error creating payout' });
+    }
+});
+
+// Mark a payout as paid outside the app (bank transfer, cheque, cash)
+router.post('/payouts/:id/mark-paid', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const payoutId = parseInt(req.params.id, 10);
+        const payout = await payoutService.markPaid(payoutId, req.user.id, req.body?.reference);
+        res.json(payout);
+    } catch (error) {
+        if (error.message === 'Payout not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Payout')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error marking payout paid:', error);
+        res.status(500).json({ error: 'Error marking payout paid' });
+    }
+});
+
+// Pay a payout by Stripe Connect transfer to the instructor's account
+router.post('/payouts/:id/transfer', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const payoutId = parseInt(req.params.id, 10);
+        const payout = await payoutService.transferPayout(payoutId, req.user.id);
+        res.json(payout);
+    } catch (error) {
+        if (error.message === 'Payout not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Payout') ||
+            error.message.startsWith('Instructor has no') ||
+            error.message.startsWith('Stripe transfer failed')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error transferring payout:', error);
+        res.status(500).json({ error: 'Error transferring payout' });
+    }
+});
+
+// Cancel a pending payout, returning its earnings to unpaid
+router.delete('/payouts/:id', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const payoutId = parseInt(req.params.id, 10);
+        await payoutService.cancelPayout(payoutId);
+        res.json({ message: 'Payout cancelled' });
+    } catch (error) {
+        if (error.message === 'Payout not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Payout')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error cancelling payout:', error);
+        res.status(500).json({ error: 'Error cancelling payout' });
+    }
+});
+
+// Get an instructor's earnings statement for a period
+router.get('/instructors/:id/earnings', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const instructorId = parseInt(req.params.id, 10);
+        const statement = await payoutService.getStatement(instructorId, req.query.from, req.query.to);
+        res.json(statement);
+    } catch (error) {
+        if (error.message === 'Instructor not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message === 'Invalid period') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error fetching earnings statement:', error);
+        res.status(500).json({ error: 'Error fetching earnings statement' });
+    }
+});
+
+// Set an instructor's commission split and connected Stripe account
+router.put('/instructors/:id/payout-settings', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const instructorId = parseInt(req.params.id, 10);
+        const { commission_percent, stripe_account_id } = req.body;
+        const instructor = await payoutService.updatePayoutSettings(instructorId, { commission_percent, stripe_account_id });
+        res.json({
+            id: instructor.id,
+            commission_percent: parseFloat(instructor.commission_percent),
+            stripe_account_id: instructor.stripe_account_id
+        });
+    } catch (error) {
+        if (error.message === 'Instructor not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Commission') || error.message.startsWith('Stripe account')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error updating payout settings:', error);
+        res.status(500).json({ error: 'Error updating payout settings' });
+    }
+});
+
+// Reports for a date range (?from=&to=, as YYYY-MM-DD), broken down by ?groupBy=day|week|month
+const isReportRangeError = (error) =>
+    error.message.startsWith('Invalid') || error.message.startsWith('Date range');
+
+// Revenue by period, plan and payment method, less refunds
+router.get('/reports/revenue', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const { from, to, groupBy } = req.query;
+        res.json(await reportingService.getRevenueReport({ from, to, groupBy }));
+    } catch (error) {
+        if (isReportRangeError(error)) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error building revenue report:', error);
+        res.status(500).json({ error: 'Error building revenue report' });
+    }
+});
+
+// Booked vs. available hours per instructor
+router.get('/reports/utilization', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        res.json(await reportingService.getUtilizationReport({ from, to }));
+    } catch (error) {
+        if (isReportRangeError(error)) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error building utilization report:', error);
+        res.status(500).json({ error: 'Error building utilization report' });
+    }
+});
+
+// Attendance and no-show rates by period and instructor
+router.get('/reports/attendance', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const { from, to, groupBy } = req.query;
+        res.json(await reportingService.getAttendanceReport({ from, to, groupBy }));
+    } catch (error) {
+        if (isReportRangeError(error)) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error building attendance report:', error);
+        res.status(500).json({ error: 'Error building attendance report' });
+    }
+});
+
+// Unused lesson credits and what they're worth, as of today
+router.get('/reports/credit-liability', authorize('manage', 'all'), async (req, res) => {
+    try {
+        res.json(await reportingService.getCreditLiability());
+    } catch (error) {
+        console.error('Error building credit liability report:', error);
+        res.status(500).json({ error: 'Error building credit liability report' });
+    }
+});
+
+// New and cancelled subscriptions and churn rate by period
+router.get('/reports/subscriptions', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const { from, to, groupBy } = req.query;
+        res.json(await reportingService.getSubscriptionChurnReport({ from, to, groupBy }));
+    } catch (error) {
+        if (isReportRangeError(error)) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error building subscription report:', error);
+        res.status(500).json({ error: 'Error building subscription report' });
+    }
+});
+
 // Get user's subscription information for admin
 router.get('/users/:userId/subscription', authorize('manage', 'all'), async (req, res) => {
     try {
@@ -888,7 +1237,7 @@ router.get('/refunds/:bookingId/info', authorize('refund', 'Booking'), async (re
 // Get email queue status
 router.get('/email/status', authorize('manage', 'all'), async (req, res) => {
     try {
-        const queueStatus = emailQueueService.getStatus();
+        const queueStatus = await emailQueueService.getStatus();
         const cronStatus = cronJobService.getStatus();
         
         res.json({
@@ -905,9 +1254,9 @@ router.get('/email/status', authorize('manage', 'all'), async (req, res) => {
 // Clear email queue (emergency use)
 router.post('/email/clear-queue', authorize('manage', 'all'), async (req, res) => {
     try {
-        const clearedCount = emailQueueService.clearQueue();
+        const clearedCount = await emailQueueService.clearQueue();
         res.json({ 
-            message: `Cleared ${clearedCount} emails from queue`,
+            message: `Cancelled ${clearedCount} unsent emails`,
             clearedCount 
         });
     } catch (error) {
@@ -916,6 +1265,53 @@ router.post('/email/clear-queue', authorize('manage', 'all'), async (req, res) =
     }
 });
 
+// List emails that failed every retry (dead letter)
+router.get('/email/failed', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const jobs = await emailQueueService.getFailedJobs();
+        res.json({ jobs });
+    } catch (error) {
+        console.error('Error fetching failed emails:', error);
+        res.status(500).json({ error: 'Error fetching failed emails' });
+    }
+});
+
+// Requeue a failed email
+router.post('/email/failed/:id/resend', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const job = await emailQueueService.resendFailedJob(parseInt(req.params.id, 10));
+        if (!job) {
+            return res.status(404).json({ error: 'Failed email not found' });
+        }
+
+        res.json({
+            message: 'Email requeued',
+            job: { id: job.id, type: job.type, status: job.status }
+        });
+    } catch (error) {
+        if (error.message === 'This email carried a one-time link or code and can\'t be resent') {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error resending failed email:', error);
+        res.status(500).json({ error: 'Error resending failed email' });
+    }
+});
+
+// Discard a failed email without sending it
+router.delete('/email/failed/:id', authorize('manage', 'all'), async (req, res) => {
+    try {
+        const discarded = await emailQueueService.discardFailedJob(parseInt(req.params.id, 10));
+        if (!discarded) {
+            return res.status(404).json({ error: 'Failed email not found' });
+        }
+
+        res.json({ message: 'Email discarded' });
+    } catch (error) {
+        console.error('Error discarding failed email:', error);
+        res.status(500).json({ error: 'Error discarding failed email' });
+    }
+});
+
 // =============================================================================
 // EMAIL TEMPLATE MANAGEMENT ENDPOINTS - Admin interface for managing email templates
 // =============================================================================
@@ -1241,7 +1637,9 @@ router.get('/settings', authorize('manage', 'User'), async (req, res) => {
         const lessons = {
             default_duration_minutes: lessonSettings.default_duration_minutes || '30',
             in_person_payment_enabled: lessonSettings.in_person_payment_enabled === 'true',
-            card_payment_on_behalf_enabled: lessonSettings.card_payment_on_behalf_enabled === 'true'
+            card_payment_on_behalf_enabled: lessonSettings.card_payment_on_behalf_enabled === 'true',
+            reminder_hours: (await AppSettings.getLessonReminderHours()).join(', '),
+            lesson_types: await AppSettings.getLessonTypes()
         };
         
         const settings = {
@@ -1360,23 +1758,43 @@ router.put('/settings/:category', authorize('manage', 'User'), async (req, res)
             const lessonFields = {
                 default_duration_minutes: settingsData.default_duration_minutes,
                 in_person_payment_enabled: settingsData.in_person_payment_enabled,
-                card_payment_on_behalf_enabled: settingsData.card_payment_on_behalf_enabled
+                card_payment_on_behalf_enabled: settingsData.card_payment_on_behalf_enabled,
+                reminder_hours: settingsData.reminder_hours,
+                lesson_types: settingsData.lesson_types
             };
             
             // Validate lesson settings
             const validatedFields = {};
             const errors = {};
             
-            // Validate default duration
+            // Validate lesson types
+            let lessonTypes = await AppSettings.getLessonTypes();
+            if (lessonFields.lesson_types !== undefined) {
+                try {
+                    validatedFields.lesson_types = AppSettings.validateLessonSetting('lesson_types', lessonFields.lesson_types);
+                    lessonTypes = JSON.parse(validatedFields.lesson_types);
+                } catch (error) {
+                    errors.lesson_types = error.message;
+                }
+            }
+            const lessonDurations = lessonTypes.map(type => type.duration_minutes);
+            
+            // Validate default duration (must be one of the lesson types)
             if (lessonFields.default_duration_minutes !== undefined) {
                 const duration = parseInt(lessonFields.default_duration_minutes);
                 if (isNaN(duration) || duration < 15 || duration > 180) {
                     errors.default_duration_minutes = 'Duration must be between 15 and 180 minutes';
-                } else if (![15, 30, 45, 60, 90, 120].includes(duration)) {
-                    errors.default_duration_minutes = 'Invalid duration value';
+                } else if (!lessonDurations.includes(duration)) {
+                    errors.default_duration_minutes = 'Default duration must be one of the lesson types';
                 } else {
                     validatedFields.default_duration_minutes = duration.toString();
                 }
+            } else if (validatedFields.lesson_types) {
+                // Removing the default's lesson type needs a new default
+                const currentDefault = await AppSettings.getDefaultLessonDuration();
+                if (!lessonDurations.includes(currentDefault)) {
+                    errors.default_duration_minutes = 'Default duration must be one of the lesson types';
+                }
             }
             
             // Validate in-person payment enabled setting
@@ -1399,6 +1817,15 @@ router.put('/settings/:category', authorize('manage', 'User'), async (req, res)
                 }
             }
             
+            // Validate lesson reminder windows
+            if (lessonFields.reminder_hours !== undefined) {
+                try {
+                    validatedFields.reminder_hours = AppSettings.validateLessonSetting('reminder_hours', lessonFields.reminder_hours);
+                } catch (error) {
+                    errors.reminder_hours = error.message;
+                }
+            }
+            
             // If there are validation errors, return them
             if (Object.keys(errors).length > 0) {
                 return res.status(400).json({
@@ -1416,7 +1843,9 @@ router.put('/settings/:category', authorize('manage', 'User'), async (req, res)
                 data: {
                     default_duration_minutes: validatedFields.default_duration_minutes,
                     in_person_payment_enabled: validatedFields.in_person_payment_enabled === 'true',
-                    card_payment_on_behalf_enabled: validatedFields.card_payment_on_behalf_enabled === 'true'
+                    card_payment_on_behalf_enabled: validatedFields.card_payment_on_behalf_enabled === 'true',
+                    reminder_hours: validatedFields.reminder_hours,
+                    lesson_types: validatedFields.lesson_types ? JSON.parse(validatedFields.lesson_types) : undefined
                 }
             });
             
@@ -1637,20 +2066,23 @@ router.put('/transactions/:id/payment-status', authorize('manage', 'Transaction'
             return res.status(400).json({ error: 'Only in-person payment transactions can have their status updated' });
         }
 
-        // Update the transaction
-        await transaction.update({ 
-            status,
-            // Add notes to any existing notes field if it exists
-            ...(notes && { notes: notes })
-        });
+        // Completed collects the whole balance; outstanding undoes the payments recorded
+        let updated = transaction;
+        if (status === 'outstanding') {
+            updated = await inPersonPaymentService.markUnpaid(transaction.id);
+        } else if (transaction.status !== 'completed') {
+            updated = await inPersonPaymentService.recordPayment(transaction.id, { userId: req.user.id, notes });
+        }
 
         res.json({ 
             message: 'Payment status updated successfully',
             transaction: {
-                id: transaction.id,
-                status: transaction.status,
-                payment_method: transaction.payment_method,
-                amount: transaction.amount
+                id: updated.id,
+                status: updated.status,
+                payment_method: updated.payment_method,
+                amount: updated.amount,
+                amount_paid: updated.amount_paid,
+                balance: Transactions.balanceOf(updated)
             }
         });
     } catch (error) {
@@ -2579,7 +3011,8 @@ router.get('/settings/calendar/connected-instructors', authorize('manage', 'User
             const hasServiceAccount = !!calConfig.calendar_id;
             
             let connectionType = 'unknown';
-            if (hasOAuth) connectionType = 'oauth';
+            if (calConfig.provider !== 'google') connectionType = calConfig.provider;
+            else if (hasOAuth) connectionType = 'oauth';
             else if (hasServiceAccount) connectionType = 'service_account';
             
             return {
@@ -1,14 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { User } = require('../models/User');
+const { PasswordResetToken } = require('../models/PasswordResetToken');
+const { EmailVerificationToken } = require('../models/EmailVerificationToken');
+const { UserSession } = require('../models/UserSession');
 const GoogleCalendarService = require('../services/GoogleCalendarService');
+const emailQueueService = require('../services/EmailQueueService');
 const { authMiddleware } = require('../middleware/auth');
 const instructorAuth = require('../middleware/instructorAuth');
+const { signAuthToken } = require('../utils/authTokens');
 
-// Secret key for JWT - in production, this should be in environment variables
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const MIN_PASSWORD_LENGTH = 8;
+
+// Issue a fresh verification token and queue the email containing it
+const sendVerificationEmail = async (user) => {
+    const { token, expiresAt } = await EmailVerificationToken.createForUser(user.id);
+    await emailQueueService.queueEmailVerification(user.id, token, expiresAt);
+};
+
+// Open a device session and return the access/refresh token pair for it
+const startSession = async (user, req) => {
+    const { session, refreshToken } = await UserSession.createForUser(user.id, {
+        userAgent: req.headers?.['user-agent'],
+        ipAddress: req.ip
+    });
+    return { token: signAuthToken(user, session.id), refreshToken };
+};
 
 router.post('/signup', async (req, res) => {
     const { name, email, password } = req.body;
@@ -26,14 +44,12 @@ router.post('/signup', async (req, res) => {
             role: 'student'
         });
         
-        // Create token for new user
-        const token = jwt.sign({ id: user.id }, JWT_SECRET, { expiresIn: '24h' });
+        // No session until the address is confirmed via the emailed link
+        await sendVerificationEmail(user);
         
-        // Return user data and token (verification_status included in getPlainObject)
         res.json({
-            message: 'User created successfully',
-            token,
-            user: User.getPlainObject(user)
+            message: 'Account created. Check your email for a link to verify your address.',
+            requiresEmailVerification: true
         });
     } catch (error) {
         console.error('Signup error:', error);
@@ -69,14 +85,21 @@ router.post('/login', async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Create token
-        const token = jwt.sign({ id: user.id }, JWT_SECRET, { expiresIn: '24h' });
+        if (!User.isEmailVerified(user)) {
+            return res.status(403).json({
+                error: 'Please verify your email address before logging in',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        const { token, refreshToken } = await startSession(user, req);
         
         // Return user data (verification_status included in getPlainObject)
         res.json({
             message: 'Login successful',
             token,
-            user: User.getPlainObject(user)
+            refreshToken,
+            user: await User.getSessionObject(user)
         });
         
     } catch (error) {
@@ -86,30 +109,244 @@ router.post('/login', async (req, res) => {
 });
 
 // Route to get current user data
-router.get('/me', async (req, res) => {
+router.get('/me', authMiddleware, async (req, res) => {
     try {
-        const token = req.headers.authorization?.split(' ')[1];
-        if (!token) {
-            return res.status(401).json({ error: 'No token provided' });
+        const user = await User.findById(req.user.id);
+        res.json(await User.getSessionObject(user));
+    } catch (error) {
+        console.error('Error fetching user:', error);
+        res.status(500).json({ error: 'Error fetching user data' });
+    }
+});
+
+// =====================================================
+// EMAIL VERIFICATION ROUTES
+// =====================================================
+
+/**
+ * Confirm an email address using the token from the verification email
+ * Logs the user in on success since the link proves ownership of the address
+ */
+router.post('/verify-email', async (req, res) => {
+    const { token } = req.body;
+
+    if (!token) {
+        return res.status(400).json({ error: 'Token is required' });
+    }
+
+    try {
+        const verificationToken = await EmailVerificationToken.findValid(token);
+
+        if (!verificationToken || !(await EmailVerificationToken.consume(verificationToken))) {
+            return res.status(400).json({ error: 'Verification link is invalid or has expired' });
         }
 
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const user = await User.findById(decoded.id);
-        
+        const user = await User.setEmailVerified(verificationToken.user_id, true);
+        const { token: accessToken, refreshToken } = await startSession(user, req);
+
+        res.json({
+            message: 'Email address verified',
+            token: accessToken,
+            refreshToken,
+            user: await User.getSessionObject(await User.findById(user.id))
+        });
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({ error: 'Error verifying email address' });
+    }
+});
+
+/**
+ * Send a new verification link
+ * Responds identically for unknown or already-verified addresses
+ */
+router.post('/resend-verification', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (typeof email !== 'string' || !email.trim()) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const user = await User.findByEmail(email.trim());
+
+        if (user && !User.isEmailVerified(user)) {
+            await sendVerificationEmail(user);
+        }
+
+        res.json({ message: 'If that account still needs verification, a new link has been sent' });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Error sending verification email' });
+    }
+});
+
+// =====================================================
+// PASSWORD RESET ROUTES
+// =====================================================
+
+/**
+ * Request a password reset link
+ * Always responds with the same message so the endpoint can't be used to probe for accounts
+ */
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (typeof email !== 'string' || !email.trim()) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const user = await User.findByEmail(email.trim());
+
+        if (user) {
+            const { token, expiresAt } = await PasswordResetToken.createForUser(user.id);
+            await emailQueueService.queuePasswordReset(user.id, token, expiresAt);
+        }
+
+        res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Error requesting password reset' });
+    }
+});
+
+/**
+ * Set a new password using a reset token
+ * Consumes the token and revokes every JWT issued before the change
+ */
+router.post('/reset-password', async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    try {
+        const resetToken = await PasswordResetToken.findValid(token);
+
+        if (!resetToken || !(await PasswordResetToken.consume(resetToken))) {
+            return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        await User.updatePassword(resetToken.user_id, hashedPassword);
+
+        // Following the emailed link also proves the user owns the address
+        await User.setEmailVerified(resetToken.user_id, true);
+
+        res.json({ message: 'Password has been reset. Please log in with your new password.' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Error resetting password' });
+    }
+});
+
+// =====================================================
+// SESSION ROUTES
+// =====================================================
+
+/**
+ * Exchange a refresh token for a new access token
+ * The refresh token is rotated on every call; the old one stops working
+ */
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    try {
+        const rotated = await UserSession.rotate(refreshToken);
+        if (!rotated) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        const user = await User.findByPk(rotated.session.user_id);
         if (!user) {
+            await UserSession.revoke(rotated.session.id, rotated.session.user_id);
             return res.status(401).json({ error: 'User not found' });
         }
 
-        res.json(User.getPlainObject(user));
+        res.json({
+            token: signAuthToken(user, rotated.session.id),
+            refreshToken: rotated.refreshToken
+        });
     } catch (error) {
-        if (error.name === 'JsonWebTokenError') {
-            return res.status(401).json({ error: 'Invalid token' });
-        }
-        if (error.name === 'TokenExpiredError') {
-            return res.status(401).json({ error: 'Token expired' });
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Error refreshing session' });
+    }
+});
+
+/**
+ * End the session a refresh token belongs to
+ * Works without an access token so an expired client can still log out cleanly
+ */
+router.post('/logout', async (req, res) => {
+    try {
+        await UserSession.revokeByToken(req.body.refreshToken);
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Error logging out' });
+    }
+});
+
+/**
+ * List the current user's active sessions, flagging the one making the request
+ */
+router.get('/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await UserSession.listActiveForUser(req.user.id);
+
+        res.json({
+            sessions: sessions.map(session => ({
+                ...session.get({ plain: true }),
+                current: session.id === req.sessionId
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ error: 'Error fetching sessions' });
+    }
+});
+
+/**
+ * Sign out every other device, keeping the current session
+ */
+router.delete('/sessions', authMiddleware, async (req, res) => {
+    try {
+        const revokedCount = await UserSession.revokeAllForUser(req.user.id, {
+            exceptSessionId: req.sessionId
+        });
+
+        res.json({ message: 'Other sessions signed out', revokedCount });
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({ error: 'Error revoking sessions' });
+    }
+});
+
+/**
+ * Sign out a single device
+ */
+router.delete('/sessions/:sessionId', authMiddleware, async (req, res) => {
+    try {
+        const sessionId = parseInt(req.params.sessionId, 10);
+
+        if (!(await UserSession.revoke(sessionId, req.user.id))) {
+            return res.status(404).json({ error: 'Session not found' });
         }
-        console.error('Error fetching user:', error);
-        res.status(500).json({ error: 'Error fetching user data' });
+
+        res.json({ message: 'Session signed out' });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({ error: 'Error revoking session' });
     }
 });
 
@@ -119,35 +356,67 @@ router.get('/me', async (req, res) => {
 
 const { InstructorCalendarConfig } = require('../models/InstructorCalendarConfig');
 const { InstructorGoogleToken } = require('../models/InstructorGoogleToken');
+const busyTimeService = require('../services/BusyTimeService');
+const caldavProvider = require('../services/busyTime/caldavProvider');
+const { normalizeUrl } = require('../services/busyTime/request');
+
+// Stop Google's change notifications for calendars that are being disconnected; a failure
+// here only means notifications keep arriving (and are ignored) until the channel expires
+const stopCalendarWatch = async (configs) => {
+    for (const config of configs) {
+        await busyTimeService.stopWatch(config).catch(error => {
+            console.warn(`Failed to stop watching calendar ${config.id} for instructor ${config.instructor_id}:`, error.message);
+        });
+    }
+};
+
+// What the settings page shows for each connected calendar
+const toCalendarSettings = (config) => ({
+    id: config.id,
+    provider: config.provider,
+    calendar_id: config.calendar_id,
+    calendar_name: config.calendar_name,
+    calendar_type: config.calendar_type,
+    source_url: config.source_url,
+    username: config.username,
+    has_password: !!config.password,
+    all_day_event_handling: config.all_day_event_handling,
+    include_in_busy_time: config.include_in_busy_time,
+    is_active: config.is_active,
+    last_tested_at: config.last_tested_at,
+    last_test_status: config.last_test_status,
+    connectedAt: config.created_at
+});
+
+// One of the instructor's calendars, or their first one without a configId
+const findInstructorCalendar = (instructorId, configId) => (configId
+    ? InstructorCalendarConfig.findOne({ where: { id: configId, instructor_id: instructorId, is_active: true } })
+    : InstructorCalendarConfig.findByInstructorId(instructorId));
 
 /**
- * Get calendar configuration for instructor
+ * Get calendar configuration for instructor: every connected calendar, plus the first
+ * one as `config`
  * Protected route - requires valid JWT token and instructor permission
  */
 router.get('/calendar/config/:instructorId', authMiddleware, instructorAuth, async (req, res) => {
     try {
         const instructorId = parseInt(req.params.instructorId, 10);
         
-        const config = await InstructorCalendarConfig.findByInstructorId(instructorId);
+        const calendars = await InstructorCalendarConfig.findAllByInstructorId(instructorId);
+        const config = calendars[0];
         
         if (!config) {
             return res.json({ 
                 connected: false,
+                calendars: [],
                 message: 'No calendar configuration found'
             });
         }
         
         res.json({ 
             connected: true,
-            config: {
-                calendar_id: config.calendar_id,
-                calendar_name: config.calendar_name,
-                calendar_type: config.calendar_type,
-                all_day_event_handling: config.all_day_event_handling,
-                is_active: config.is_active,
-                last_tested_at: config.last_tested_at,
-                last_test_status: config.last_test_status
-            },
+            config: toCalendarSettings(config),
+            calendars: calendars.map(toCalendarSettings),
             connectedAt: config.created_at,
             lastUpdated: config.updated_at,
             message: 'Calendar configuration found'
@@ -163,13 +432,106 @@ router.get('/calendar/config/:instructorId', authMiddleware, instructorAuth, asy
 });
 
 /**
- * Set calendar configuration for instructor
+ * Connect a CalDAV calendar or ICS feed, or update one (or turn a calendar into one)
+ * @private
+ */
+const saveFeedConfig = async (req, res, instructorId, existing) => {
+    const { provider, calendar_name, username, password, all_day_event_handling, include_in_busy_time } = req.body;
+
+    const sourceUrl = normalizeUrl(req.body.source_url);
+    if (!sourceUrl) {
+        return res.status(400).json({
+            error: 'Invalid calendar URL',
+            message: provider === 'ics'
+                ? 'Please provide the calendar\'s iCal (.ics) link, starting with https:// or webcal://'
+                : 'Please provide the CalDAV calendar URL, starting with https://'
+        });
+    }
+
+    const updateData = {
+        id: existing?.id,
+        provider,
+        calendar_id: null,
+        calendar_name: calendar_name ? calendar_name.trim() : null,
+        source_url: sourceUrl
+    };
+
+    // Saving a calendar that's already connected updates it
+    const current = existing || await InstructorCalendarConfig.findOne({
+        where: { instructor_id: instructorId, provider, source_url: sourceUrl }
+    });
+
+    if (provider === 'caldav') {
+        // A saved password is kept when the instructor leaves the field empty
+        const hasSavedPassword = current?.provider === 'caldav' && !!current.password;
+        if (!username || (!password && !hasSavedPassword)) {
+            return res.status(400).json({
+                error: 'Credentials are required',
+                message: 'Please provide the username and password for your CalDAV account'
+            });
+        }
+        updateData.username = username.trim();
+        updateData.password = password || null;
+    }
+
+    if (all_day_event_handling && ['ignore', 'block'].includes(all_day_event_handling)) {
+        updateData.all_day_event_handling = all_day_event_handling;
+    }
+
+    if (typeof include_in_busy_time === 'boolean') {
+        updateData.include_in_busy_time = include_in_busy_time;
+    }
+
+    // A Google calendar turned into a feed no longer needs change notifications
+    if (current?.provider === 'google') {
+        await stopCalendarWatch([current]);
+    }
+    const { config, created } = await InstructorCalendarConfig.createOrUpdate(instructorId, updateData);
+
+    res.json({
+        success: true,
+        message: created ? 'Calendar connected successfully' : 'Calendar configuration updated',
+        config: {
+            id: config.id,
+            provider: config.provider,
+            calendar_name: config.calendar_name,
+            source_url: config.source_url,
+            username: config.username,
+            include_in_busy_time: config.include_in_busy_time,
+            is_active: config.is_active
+        },
+        instructorId,
+        connectedAt: config.created_at || config.updated_at
+    });
+};
+
+/**
+ * Connect another calendar for instructor, or update one: the calendar with `id`, or
+ * the same calendar if it's already connected
  * Protected route - requires valid JWT token and instructor permission
  */
 router.post('/calendar/config/:instructorId', authMiddleware, instructorAuth, async (req, res) => {
     try {
         const instructorId = parseInt(req.params.instructorId, 10);
-        const { calendar_id, calendar_name, calendar_type, all_day_event_handling } = req.body;
+        const { id, provider = 'google', calendar_id, calendar_name, calendar_type, all_day_event_handling, include_in_busy_time } = req.body;
+
+        const existing = id ? await findInstructorCalendar(instructorId, id) : null;
+        if (id && !existing) {
+            return res.status(404).json({
+                error: 'No calendar configuration found',
+                message: 'This calendar is not connected'
+            });
+        }
+
+        if (provider === 'caldav' || provider === 'ics') {
+            return await saveFeedConfig(req, res, instructorId, existing);
+        }
+        if (provider !== 'google') {
+            return res.status(400).json({
+                error: 'Invalid provider',
+                message: 'Provider must be "google", "caldav" or "ics"'
+            });
+        }
         
         if (!calendar_id) {
             return res.status(400).json({ 
@@ -189,6 +551,7 @@ router.post('/calendar/config/:instructorId', authMiddleware, instructorAuth, as
         }
 
         const updateData = {
+            id: existing?.id,
             calendar_id: calendar_id.trim(),
             calendar_name: calendar_name ? calendar_name.trim() : null,
             calendar_type: calendar_type || 'personal'
@@ -197,6 +560,10 @@ router.post('/calendar/config/:instructorId', authMiddleware, instructorAuth, as
         if (all_day_event_handling && ['ignore', 'block'].includes(all_day_event_handling)) {
             updateData.all_day_event_handling = all_day_event_handling;
         }
+
+        if (typeof include_in_busy_time === 'boolean') {
+            updateData.include_in_busy_time = include_in_busy_time;
+        }
         
         // Create or update the configuration
         const { config, created } = await InstructorCalendarConfig.createOrUpdate(instructorId, updateData);
@@ -205,9 +572,11 @@ router.post('/calendar/config/:instructorId', authMiddleware, instructorAuth, as
             success: true,
             message: created ? 'Calendar connected successfully' : 'Calendar configuration updated',
             config: {
+                id: config.id,
                 calendar_id: config.calendar_id,
                 calendar_name: config.calendar_name,
                 calendar_type: config.calendar_type,
+                include_in_busy_time: config.include_in_busy_time,
                 is_active: config.is_active
             },
             instructorId,
@@ -224,6 +593,51 @@ router.post('/calendar/config/:instructorId', authMiddleware, instructorAuth, as
     }
 });
 
+/**
+ * Find the calendars in a CalDAV account, so the instructor can pick one
+ * Protected route - requires valid JWT token and instructor permission
+ */
+router.post('/calendar/caldav/discover/:instructorId', authMiddleware, instructorAuth, async (req, res) => {
+    try {
+        const instructorId = parseInt(req.params.instructorId, 10);
+        const { username } = req.body;
+
+        const url = normalizeUrl(req.body.url);
+        if (!url || !username) {
+            return res.status(400).json({
+                error: 'Server URL and username are required',
+                message: 'Please provide your CalDAV server URL and username'
+            });
+        }
+
+        // Reuse the saved password when looking again with an account already connected
+        let password = req.body.password;
+        if (!password) {
+            const existing = await InstructorCalendarConfig.findOne({
+                where: { instructor_id: instructorId, provider: 'caldav', username: username.trim() }
+            });
+            password = existing?.getPassword() || password;
+        }
+
+        const calendars = await caldavProvider.discoverCalendars({ url, username: username.trim(), password });
+
+        res.json({ calendars });
+    } catch (error) {
+        if (error.code === 401 || error.code === 403) {
+            return res.status(400).json({
+                error: 'Authentication failed',
+                message: 'The calendar server rejected the username or password. iCloud and Fastmail need an app-specific password.'
+            });
+        }
+
+        console.error('Error discovering CalDAV calendars:', error.message);
+        res.status(400).json({
+            error: 'Could not read calendars',
+            message: error.code ? `The calendar server answered with status ${error.code}` : 'Could not reach the calendar server. Please check the URL.'
+        });
+    }
+});
+
 /**
  * Get setup information for calendar integration
  * Returns method-specific info based on admin-configured calendar method
@@ -266,8 +680,9 @@ router.get('/calendar/setup-info/:instructorId', authMiddleware, instructorAuth,
             const service = GoogleCalendarService();
             const serviceAccountEmail = await service.getServiceAccountEmail();
             const hasEmail = serviceAccountEmail && !serviceAccountEmail.includes('not configured');
-            const calendarConfig = await InstructorCalendarConfig.findByInstructorId(instructorId);
-            const isConnected = !!(calendarConfig && calendarConfig.calendar_id);
+            const calendars = await InstructorCalendarConfig.findAllByInstructorId(instructorId);
+            const calendarConfig = calendars.find(calendar => calendar.provider === 'google' && calendar.calendar_id);
+            const isConnected = !!calendarConfig;
 
             response.connection = {
                 available: hasEmail,
@@ -294,13 +709,14 @@ router.get('/calendar/setup-info/:instructorId', authMiddleware, instructorAuth,
 });
 
 /**
- * Disconnect calendar for instructor
+ * Disconnect all of the instructor's calendars
  * Protected route - requires valid JWT token and instructor permission
  */
 router.delete('/calendar/config/:instructorId', authMiddleware, instructorAuth, async (req, res) => {
     try {
         const instructorId = parseInt(req.params.instructorId, 10);
         
+        await stopCalendarWatch(await InstructorCalendarConfig.findAll({ where: { instructor_id: instructorId } }));
         const updatedCount = await InstructorCalendarConfig.removeByInstructorId(instructorId);
         
         if (updatedCount === 0) {
@@ -327,13 +743,51 @@ router.delete('/calendar/config/:instructorId', authMiddleware, instructorAuth,
 });
 
 /**
- * Update calendar configuration settings for instructor
+ * Disconnect one of the instructor's calendars
  * Protected route - requires valid JWT token and instructor permission
  */
-router.patch('/calendar/config/:instructorId', authMiddleware, instructorAuth, async (req, res) => {
+router.delete('/calendar/config/:instructorId/:configId', authMiddleware, instructorAuth, async (req, res) => {
     try {
         const instructorId = parseInt(req.params.instructorId, 10);
-        const { all_day_event_handling } = req.body;
+        const config = await InstructorCalendarConfig.findOne({
+            where: { id: parseInt(req.params.configId, 10), instructor_id: instructorId }
+        });
+
+        if (!config) {
+            return res.status(404).json({
+                error: 'No calendar configuration found',
+                message: 'This calendar is not connected'
+            });
+        }
+
+        await stopCalendarWatch([config]);
+        await config.destroy();
+
+        res.json({
+            success: true,
+            message: 'Calendar disconnected successfully',
+            instructorId,
+            disconnectedAt: new Date().toISOString()
+        });
+
+    } catch (error) {
+        console.error('Error disconnecting calendar:', error);
+        res.status(500).json({
+            error: 'Failed to disconnect calendar',
+            details: error.message
+        });
+    }
+});
+
+/**
+ * Update a calendar's settings: whether it blocks busy time and how its all-day events
+ * are handled. Without a configId this is the instructor's first calendar.
+ * @private
+ */
+const updateCalendarSettings = async (req, res) => {
+    try {
+        const instructorId = parseInt(req.params.instructorId, 10);
+        const { all_day_event_handling, include_in_busy_time } = req.body;
         
         // Validate all_day_event_handling value
         if (all_day_event_handling && !['ignore', 'block'].includes(all_day_event_handling)) {
@@ -342,9 +796,16 @@ router.patch('/calendar/config/:instructorId', authMiddleware, instructorAuth, a
                 message: 'Must be either "ignore" or "block"'
             });
         }
+
+        if (include_in_busy_time !== undefined && typeof include_in_busy_time !== 'boolean') {
+            return res.status(400).json({
+                error: 'Invalid include_in_busy_time value',
+                message: 'Must be true or false'
+            });
+        }
         
         // Find existing configuration
-        const config = await InstructorCalendarConfig.findByInstructorId(instructorId);
+        const config = await findInstructorCalendar(instructorId, parseInt(req.params.configId, 10) || null);
         
         if (!config) {
             return res.status(404).json({
@@ -358,6 +819,9 @@ router.patch('/calendar/config/:instructorId', authMiddleware, instructorAuth, a
         if (all_day_event_handling !== undefined) {
             updateData.all_day_event_handling = all_day_event_handling;
         }
+        if (include_in_busy_time !== undefined) {
+            updateData.include_in_busy_time = include_in_busy_time;
+        }
         
         await config.update(updateData);
         
@@ -370,6 +834,7 @@ router.patch('/calendar/config/:instructorId', authMiddleware, instructorAuth, a
                 calendar_name: config.calendar_name,
                 calendar_type: config.calendar_type,
                 all_day_event_handling: config.all_day_event_handling,
+                include_in_busy_time: config.include_in_busy_time,
                 last_test_status: config.last_test_status
             }
         });
@@ -381,14 +846,21 @@ router.patch('/calendar/config/:instructorId', authMiddleware, instructorAuth, a
             details: error.message
         });
     }
-});
+};
 
 /**
- * Test calendar connection for instructor
+ * Update calendar configuration settings for instructor
  * Protected route - requires valid JWT token and instructor permission
- * This endpoint helps verify that the connection works
  */
-router.get('/calendar/test/:instructorId', authMiddleware, instructorAuth, async (req, res) => {
+router.patch('/calendar/config/:instructorId', authMiddleware, instructorAuth, updateCalendarSettings);
+router.patch('/calendar/config/:instructorId/:configId', authMiddleware, instructorAuth, updateCalendarSettings);
+
+/**
+ * Test the connection to one of the instructor's calendars, or their first one without
+ * a configId
+ * @private
+ */
+const testCalendarConnection = async (req, res) => {
     try {
         const instructorId = parseInt(req.params.instructorId, 10);
         
@@ -406,7 +878,7 @@ router.get('/calendar/test/:instructorId', authMiddleware, instructorAuth, async
         }
         
         // Test the actual calendar access
-        const testResult = await service.testCalendarAccess(instructorId);
+        const testResult = await service.testCalendarAccess(instructorId, parseInt(req.params.configId, 10) || null);
         
         if (testResult.success) {
             res.json({
@@ -438,7 +910,15 @@ router.get('/calendar/test/:instructorId', authMiddleware, instructorAuth, async
             details: error.message
         });
     }
-});
+};
+
+/**
+ * Test calendar connection for instructor
+ * Protected route - requires valid JWT token and instructor permission
+ * This endpoint helps verify that the connection works
+ */
+router.get('/calendar/test/:instructorId', authMiddleware, instructorAuth, testCalendarConnection);
+router.get('/calendar/test/:instructorId/:configId', authMiddleware, instructorAuth, testCalendarConnection);
 
 // =====================================================
 // GOOGLE OAUTH ROUTES
@@ -539,7 +1019,8 @@ router.post('/google/callback', authMiddleware, instructorAuth, async (req, res)
         );
 
         // Also create/update InstructorCalendarConfig for OAuth users
-        // OAuth uses the user's primary calendar, so calendar_id is null
+        // OAuth uses the user's primary calendar, so calendar_id is null. Calendars the
+        // instructor already connected stay connected alongside it.
         await InstructorCalendarConfig.createOrUpdate(instructorId, {
             calendar_id: null,
             calendar_type: 'personal'
@@ -615,8 +1096,12 @@ router.delete('/google/disconnect/:instructorId', authMiddleware, instructorAuth
     try {
         const instructorId = parseInt(req.params.instructorId, 10);
     
+        // Before the tokens go: they're needed to stop the channels
+        await stopCalendarWatch(await InstructorCalendarConfig.findAll({
+            where: { instructor_id: instructorId, provider: 'google' }
+        }));
         await InstructorGoogleToken.removeByInstructorId(instructorId);
-        await InstructorCalendarConfig.removeByInstructorId(instructorId);
+        await InstructorCalendarConfig.destroy({ where: { instructor_id: instructorId, provider: 'google' } });
 
         res.json({
             success: true,
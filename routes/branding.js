@@ -43,7 +43,8 @@ router.get('/lesson-settings', async (req, res) => {
         
         const settings = {
             default_duration_minutes: parseInt(lessonSettings.default_duration_minutes) || 30,
-            card_payment_on_behalf_enabled: lessonSettings.card_payment_on_behalf_enabled === 'true'
+            card_payment_on_behalf_enabled: lessonSettings.card_payment_on_behalf_enabled === 'true',
+            lesson_types: await AppSettings.getLessonTypes()
         };
         
         res.json(settings);
@@ -2,12 +2,22 @@ const express = require('express');
 const router = express.Router();
 const { Calendar } = require('../models/Calendar');
 const { Attendance } = require('../models/Attendance');
+const { InstructorEarning } = require('../models/InstructorEarning');
 const { Transactions } = require('../models/Transactions');
 const InstructorAvailability = require('../models/InstructorAvailability');
 const GoogleCalendarService = require('../services/GoogleCalendarService');
 const { authorize, authorizeBooking, authorizeUserAccess } = require('../middleware/permissions');
+const { can } = require('../utils/abilities');
 const emailQueueService = require('../services/EmailQueueService');
 const emailService = require('../services/EmailService');
+const invoiceService = require('../services/InvoiceService');
+const inPersonPaymentService = require('../services/InPersonPaymentService');
+const waitlistService = require('../services/WaitlistService');
+const recurringBookingService = require('../services/RecurringBookingService');
+const groupSessionService = require('../services/GroupSessionService');
+const busyTimeService = require('../services/BusyTimeService');
+const { WaitlistEntry } = require('../models/WaitlistEntry');
+const { GroupSession } = require('../models/GroupSession');
 const { fromString, createDateHelper } = require('../utils/dateHelpers');
 const { 
     timeToSlotUTC,
@@ -19,9 +29,30 @@ const {
     localSlotToTime
 } = require('../utils/timeUtils');
 
-const { enrichEventsWithPaymentInfo, enrichEventWithPaymentInfo } = require('../utils/paymentEnrichment');
+const { enrichEventsWithPaymentInfo } = require('../utils/paymentEnrichment');
 
 const { Instructor } = require('../models/Instructor');
+const { User } = require('../models/User');
+const { AppSettings } = require('../models/AppSettings');
+
+// Waitlist holds are shown as taken time; the calendar treats the holder's own hold as bookable
+const toWaitlistHoldEvent = (hold) => ({
+    id: `waitlist_hold_${hold.id}`,
+    instructor_id: hold.instructor_id,
+    student_id: hold.student_id,
+    date: hold.date,
+    start_slot: hold.start_slot,
+    duration: hold.duration,
+    status: 'waitlist_hold',
+    hold_expires_at: hold.hold_expires_at,
+    waitlist_entry_id: hold.id
+});
+
+// Students see a group class's open seats; instructors and admins also see who's enrolled
+const sessionViewOptions = (user) => ({
+    userId: user?.id ?? null,
+    includeRoster: !!user && user.role !== 'student'
+});
 
 // Get bookings — accessible to all authenticated users, scoped by role:
 //   student   → always filtered to own student_id
@@ -121,7 +152,21 @@ router.patch('/:eventId', authorizeBooking('update', async (req) => {
     try {
         // CASL middleware already verified permissions
 
-        await Calendar.updateEvent(req.params.eventId, req.body);
+        const previous = (await Calendar.findByPk(req.params.eventId))?.toJSON();
+        const event = await Calendar.updateEvent(req.params.eventId, req.body);
+
+        // Cancelling or moving the event frees its old time for the waitlist (a group
+        // class keeps its time when one student's seat changes)
+        if (previous && previous.status !== 'cancelled' && !previous.group_session_id) {
+            const freed = event.status === 'cancelled' ||
+                event.date !== previous.date ||
+                event.start_slot !== previous.start_slot ||
+                event.duration < previous.duration;
+            if (freed) {
+                await waitlistService.notifyFreedSlot(previous);
+            }
+        }
+
         res.json({ message: 'Event updated successfully' });
     } catch (error) {
         console.error('Error updating calendar event:', error);
@@ -136,7 +181,13 @@ router.delete('/:eventId', authorizeBooking('cancel', async (req) => {
     try {
         // CASL middleware already verified permissions
 
+        const previous = (await Calendar.findByPk(req.params.eventId))?.toJSON();
         await Calendar.deleteEvent(req.params.eventId);
+
+        if (previous && previous.status !== 'cancelled' && !previous.group_session_id) {
+            await waitlistService.notifyFreedSlot(previous);
+        }
+
         res.json({ message: 'Event deleted successfully' });
     } catch (error) {
         console.error('Error deleting calendar event:', error);
@@ -184,12 +235,20 @@ router.post('/attendance', authorizeBooking('update', async (req) => {
         // Mark attendance using the model method
         const result = await Attendance.markAttendance(eventId, status, notes);
 
+        // Add the lesson to the instructor's earnings, or take it off if attendance was changed
+        try {
+            await InstructorEarning.recordForEvent(eventId);
+        } catch (earningsError) {
+            // Statements re-check lessons, so a failure here is caught up later
+            console.error('Failed to update instructor earnings:', earningsError);
+        }
+
         // Send absence notification email if student is marked absent
         if (status === 'absent') {
             try {
                 // Get full event details with student and instructor info for email
                 const fullEvent = await Calendar.getEventById(eventId);
-                if (fullEvent && fullEvent.student && fullEvent.student.email) {
+                if (fullEvent && fullEvent.student) {
                     await emailService.sendAbsenceNotification(fullEvent, notes || '');
                 }
             } catch (emailError) {
@@ -226,11 +285,17 @@ router.post('/addEvent', authorize('create', 'Booking'), async (req, res) => {
         const { instructorId, startTime, endTime, paymentMethod = 'credits', studentId: requestedStudentId } = req.body;
         
         // Determine the student ID
-        // If a studentId is provided and the requester can manage users/calendar, use that
+        // If a studentId is provided and the requester can manage users/calendar, use that.
+        // Guardians can book for their own dependents.
         // Otherwise, use the requester's ID (student booking for themselves)
         let studentId = req.user.id;
         if (requestedStudentId && (req.user.role === 'admin' || req.user.role === 'instructor')) {
             studentId = requestedStudentId;
+        } else if (requestedStudentId && parseInt(requestedStudentId, 10) !== req.user.id) {
+            if (!can(req.user, 'manage', 'Dependent', { id: parseInt(requestedStudentId, 10) })) {
+                return res.status(403).json({ error: 'You can only book lessons for yourself or your dependents' });
+            }
+            studentId = parseInt(requestedStudentId, 10);
         }
 
         // Validate required fields
@@ -238,6 +303,19 @@ router.post('/addEvent', authorize('create', 'Booking'), async (req, res) => {
             return res.status(400).json({ error: 'Missing required fields' });
         }
 
+        // Booking confirmations go to the student's email, so it must be verified first
+        // (a dependent's go to their guardian)
+        const student = await User.findById(studentId);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+        if (!User.isEmailVerified(await User.getAccountHolder(student))) {
+            return res.status(403).json({
+                error: 'The student\'s email address must be verified before booking',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
         // Validate and parse dates using UTC utilities
         const requestedDate = new Date(startTime);
         const endDate = new Date(endTime);
@@ -266,6 +344,14 @@ router.post('/addEvent', authorize('create', 'Booking'), async (req, res) => {
             return res.status(400).json({ error: 'Invalid time slot duration' });
         }
 
+        // Lessons come in the lengths an admin has set up as lesson types
+        if (!(await AppSettings.getLessonType(duration * 15))) {
+            const lessonTypes = await AppSettings.getLessonTypes();
+            return res.status(400).json({
+                error: `Lessons can be ${lessonTypes.map(type => type.duration_minutes).join(', ')} minutes long`
+            });
+        }
+
         // 2. Get availability and validate using timezone-aware checking
         const weeklyAvailability = await InstructorAvailability.getWeeklyAvailability(instructorId);
 
@@ -338,7 +424,7 @@ router.post('/addEvent', authorize('create', 'Booking'), async (req, res) => {
 
         // 4. Check for recurring booking conflicts
         const { RecurringBooking } = require('../models/RecurringBooking');
-        const recurringBookings = await RecurringBooking.findByInstructorAndDay(instructorId, dayOfWeek);
+        const recurringBookings = await RecurringBooking.findByInstructorAndDate(instructorId, formattedDate);
 
         // Check for recurring booking conflicts with detailed logging
         const conflictingRecurringBookings = recurringBookings.filter(recurringBooking => {
@@ -367,7 +453,19 @@ router.post('/addEvent', authorize('create', 'Booking'), async (req, res) => {
             }
         }
 
-        // 5. Create the booking with transaction safety
+        // 5. Check for a group class in this time (students enroll in the class instead)
+        const groupSessions = await GroupSession.findOverlapping(instructorId, formattedDate, startSlot, duration);
+        if (groupSessions.length > 0) {
+            return res.status(400).json({ error: 'Time slot already has a group class' });
+        }
+
+        // 6. Check for a waitlist hold on this time held for another student
+        const blockingHold = await waitlistService.findBlockingHold(instructorId, formattedDate, startSlot, duration, studentId);
+        if (blockingHold) {
+            return res.status(400).json({ error: 'Time slot is being held for a waitlisted student' });
+        }
+
+        // 7. Create the booking with transaction safety
         let event;
         try {
             event = await Calendar.addEvent(
@@ -397,6 +495,13 @@ router.post('/addEvent', authorize('create', 'Booking'), async (req, res) => {
             throw bookingError;
         }
 
+        // Booking the time resolves the student's own waitlist entry or hold for it
+        try {
+            await WaitlistEntry.markBooked(studentId, instructorId, formattedDate, startSlot, duration, event.id);
+        } catch (waitlistError) {
+            console.error('Error resolving waitlist entry after booking:', waitlistError);
+        }
+
         // Get the newly created booking data
         const newBooking = await Calendar.getEventById(event.id);
 
@@ -411,6 +516,12 @@ router.post('/addEvent', authorize('create', 'Booking'), async (req, res) => {
         if (error.message === 'INSUFFICIENT_CREDITS') {
             return res.status(400).json({ error: 'INSUFFICIENT_CREDITS' });
         }
+        if (error.message === 'Group class not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message === 'This class has been cancelled' || error.message === 'This class is full') {
+            return res.status(409).json({ error: error.message });
+        }
         res.status(500).json({ 
             error: 'Failed to book lesson',
             details: error.message 
@@ -423,52 +534,17 @@ router.get('/events/:instructorId/:startDate/:endDate', async (req, res) => {
     try {
         const { instructorId, startDate, endDate } = req.params
         
-        // Get regular one-time bookings bounded to the requested date range
-        const weekEvents = await Calendar.getInstructorEvents(instructorId, startDate, endDate)
+        // Get regular one-time bookings bounded to the requested date range, with each
+        // group class shown once instead of one event per enrolled student
+        const bookedEvents = await Calendar.getInstructorEvents(instructorId, startDate, endDate)
+        const groupSessions = await GroupSession.findInRange(instructorId, startDate, endDate)
+        const weekEvents = groupSessionService.mergeSessionEvents(bookedEvents, groupSessions, sessionViewOptions(req.user))
         
-        // Get recurring bookings and create virtual events for the date range
+        // Get the times recurring bookings reserve in the range, with skipped and moved
+        // weeks applied (weeks with a generated lesson are already in weekEvents)
         const { RecurringBooking } = require('../models/RecurringBooking');
-        const recurringBookings = await RecurringBooking.findAll({
-            where: { instructor_id: instructorId },
-            include: [
-                {
-                    model: require('../models/Subscription').Subscription,
-                    where: { status: 'active' },
-                    include: [{ model: require('../models/User').User }]
-                }
-            ]
-        });
-        
-        // Create virtual events for each day in the range where recurring bookings apply
-        const virtualEvents = [];
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        
-        for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-            const dayOfWeek = d.getUTCDay();
-            const dateString = d.toISOString().split('T')[0];
-            
-            recurringBookings.forEach(rb => {
-                if (rb.day_of_week === dayOfWeek) {
-                    virtualEvents.push({
-                        id: `recurring_${rb.id}_${dateString}`,
-                        instructor_id: rb.instructor_id,
-                        student_id: rb.Subscription.user_id,
-                        date: dateString,
-                        start_slot: rb.start_slot,
-                        duration: rb.duration,
-                        status: 'recurring_reserved',
-                        // Normalize student data to nested structure
-                        student: {
-                            id: rb.Subscription.user_id,
-                            name: rb.Subscription.User.name,
-                            email: rb.Subscription.User.email
-                        },
-                        recurring_booking_id: rb.id
-                    });
-                }
-            });
-        }
+        const reservations = await RecurringBooking.getReservations(instructorId, startDate, endDate);
+        const virtualEvents = recurringBookingService.toReservedEvents(reservations);
         
         // Get Google Calendar events with bulletproof error handling
         let googleEvents = [];
@@ -514,8 +590,11 @@ router.get('/events/:instructorId/:startDate/:endDate', async (req, res) => {
             googleEvents = [];
         }
         
+        const holds = await WaitlistEntry.findHoldsInRange(instructorId, startDate, endDate);
+        const holdEvents = holds.map(toWaitlistHoldEvent);
+        
         // Combine all events
-        const allEvents = [...weekEvents, ...virtualEvents, ...googleEvents];
+        const allEvents = [...weekEvents, ...virtualEvents, ...holdEvents, ...googleEvents];
         
         res.json(allEvents)
     } catch (error) {
@@ -531,31 +610,15 @@ router.get('/dailyEvents/:instructorId/:date', async (req, res) => {
     try {
         const { instructorId, date } = req.params
         
-        // Get regular one-time bookings bounded to the requested date
-        const dayEvents = await Calendar.getInstructorEvents(instructorId, date, date)
+        // Get regular one-time bookings bounded to the requested date, with group classes
+        const bookedEvents = await Calendar.getInstructorEvents(instructorId, date, date)
+        const groupSessions = await GroupSession.findInRange(instructorId, date, date)
+        const dayEvents = groupSessionService.mergeSessionEvents(bookedEvents, groupSessions, sessionViewOptions(req.user))
         
-        // Get recurring bookings for this day of week
+        // Get recurring bookings still reserving this day (days with a generated lesson are in dayEvents)
         const { RecurringBooking } = require('../models/RecurringBooking');
-        const dayOfWeek = new Date(date).getUTCDay();
-        const recurringBookings = await RecurringBooking.findByInstructorAndDay(instructorId, dayOfWeek);
-        
-        // Create virtual events for recurring bookings
-        const virtualEvents = recurringBookings.map(rb => ({
-            id: `recurring_${rb.id}_${date}`,
-            instructor_id: rb.instructor_id,
-            student_id: rb.Subscription.user_id,
-            date: date,
-            start_slot: rb.start_slot,
-            duration: rb.duration,
-            status: 'recurring_reserved',
-            // Normalize student data to nested structure
-            student: {
-                id: rb.Subscription.user_id,
-                name: rb.Subscription.User.name,
-                email: rb.Subscription.User.email
-            },
-            recurring_booking_id: rb.id
-        }));
+        const reservations = await RecurringBooking.findByInstructorAndDate(instructorId, date);
+        const virtualEvents = recurringBookingService.toReservedEvents(reservations);
         
         // Get Google Calendar events with bulletproof error handling
         let googleEvents = [];
@@ -602,8 +665,11 @@ router.get('/dailyEvents/:instructorId/:date', async (req, res) => {
             googleEvents = [];
         }
         
+        const holds = await WaitlistEntry.findHoldsInRange(instructorId, date, date);
+        const holdEvents = holds.map(toWaitlistHoldEvent);
+        
         // Combine all events
-        const allEvents = [...dayEvents, ...virtualEvents, ...googleEvents];
+        const allEvents = [...dayEvents, ...virtualEvents, ...holdEvents, ...googleEvents];
         
         res.json(allEvents)
     } catch (error) {
@@ -676,9 +742,7 @@ router.get('/student/:studentId', authorizeUserAccess(async (req) => parseInt(re
         }));
         
         // Enrich events with payment information
-        const eventsWithPaymentInfo = await Promise.all(eventsWithRefundStatus.map(async (eventData) => {
-            return enrichEventWithPaymentInfo(eventData, studentId);
-        }));
+        const eventsWithPaymentInfo = await enrichEventsWithPaymentInfo(eventsWithRefundStatus);
             
         res.json(eventsWithPaymentInfo);
     } catch (error) {
@@ -724,6 +788,11 @@ router.patch('/student/:bookingId', authorizeBooking('update', async (req) => {
             return res.status(404).json({ error: 'Booking not found' });
         }
         
+        // A seat in a group class is tied to the class's time
+        if (booking.group_session_id) {
+            return res.status(400).json({ error: 'Group class bookings cannot be rescheduled' });
+        }
+
         // Always preserve original duration during rescheduling
         const duration = booking.duration;
 
@@ -787,7 +856,7 @@ router.patch('/student/:bookingId', authorizeBooking('update', async (req) => {
 
         // Check for recurring booking conflicts
         const { RecurringBooking } = require('../models/RecurringBooking');
-        const recurringBookings = await RecurringBooking.findByInstructorAndDay(booking.instructor_id, dayOfWeek);
+        const recurringBookings = await RecurringBooking.findByInstructorAndDate(booking.instructor_id, formattedDate);
 
         const hasRecurringConflict = recurringBookings.some(recurringBooking => {
             const recurringStart = recurringBooking.start_slot;
@@ -811,6 +880,16 @@ router.patch('/student/:bookingId', authorizeBooking('update', async (req) => {
             }
         }
 
+        const groupSessions = await GroupSession.findOverlapping(booking.instructor_id, formattedDate, startSlot, duration);
+        if (groupSessions.length > 0) {
+            return res.status(400).json({ error: 'Time slot already has a group class' });
+        }
+
+        const blockingHold = await waitlistService.findBlockingHold(booking.instructor_id, formattedDate, startSlot, duration, booking.student_id);
+        if (blockingHold) {
+            return res.status(400).json({ error: 'Time slot is being held for a waitlisted student' });
+        }
+
         // Store old booking details for email notification
         const oldBookingDetails = {
             id: booking.id,
@@ -826,6 +905,9 @@ router.patch('/student/:bookingId', authorizeBooking('update', async (req) => {
             duration: duration
         });
 
+        // The old time is free now
+        await waitlistService.notifyFreedSlot({ ...oldBookingDetails, instructor_id: booking.instructor_id });
+
         // Send rescheduling confirmation emails to both student and instructor
         // We do this after the booking is successfully updated
         try {
@@ -901,7 +983,7 @@ router.delete('/student/:bookingId', authorizeBooking('cancel', async (req) => {
             if (!automaticRefund && creditUsage) {
                 const { UserCredits } = require('../models/Credits');
                 const durationMinutes = creditUsage.duration_minutes || 30; // Default to 30 if not set
-                await UserCredits.addCredits(studentId, 1, null, durationMinutes, transaction);
+                await UserCredits.addCredits(creditUsage.user_id, 1, null, durationMinutes, transaction);
                 // Keep the credit usage record for audit purposes, but mark the booking as cancelled
             }
 
@@ -909,6 +991,12 @@ router.delete('/student/:bookingId', authorizeBooking('cancel', async (req) => {
             await Calendar.updateEvent(bookingId, { status: 'cancelled' }, transaction);
             
             await transaction.commit();
+
+            // Offer the freed time to the first student waiting for it (leaving a
+            // group class frees a seat, not the instructor's time)
+            if (!booking.group_session_id) {
+                await waitlistService.notifyFreedSlot(booking);
+            }
             
             // Prepare response with refund information
             const response = {
@@ -967,46 +1055,103 @@ router.get('/recurring/:instructorId/:startDate/:endDate', async (req, res) => {
             ]
         });
         
-        // Create virtual events for each day in the range where recurring bookings apply
-        const virtualEvents = [];
-        const start = new Date(startDate);
-        const end = new Date(endDate);
-        
-        for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-            const dayOfWeek = d.getUTCDay();
-            const dateString = d.toISOString().split('T')[0];
-            
-            recurringBookings.forEach(rb => {
-                if (rb.day_of_week === dayOfWeek) {
-                    virtualEvents.push({
-                        id: `recurring_${rb.id}_${dateString}`,
-                        instructor_id: rb.instructor_id,
-                        student_id: rb.Subscription.user_id,
-                        date: dateString,
-                        start_slot: rb.start_slot,
-                        duration: rb.duration,
-                        status: 'recurring_reserved',
-                        // Normalize student data to nested structure
-                        student: {
-                            id: rb.Subscription.user_id,
-                            name: rb.Subscription.User.name,
-                            email: rb.Subscription.User.email
-                        },
-                        recurring_booking_id: rb.id,
-                        subscription_id: rb.subscription_id
-                    });
-                }
-            });
-        }
+        // Weeks still only reserved, with skipped and moved weeks applied
+        const reservations = await RecurringBooking.getReservations(instructorId, startDate, endDate);
+        const reservedEvents = recurringBookingService.toReservedEvents(reservations);
+
+        // Generated lessons taking place in the range are returned as they are, with
+        // their calendar event id and status
+        const { Op } = require('sequelize');
+        const occurrences = recurringBookings.length === 0 ? [] : await Calendar.findAll({
+            where: {
+                recurring_booking_id: { [Op.in]: recurringBookings.map(rb => rb.id) },
+                date: { [Op.between]: [startDate, endDate] }
+            }
+        });
+        const generatedEvents = occurrences.map(event => {
+            const rb = recurringBookings.find(booking => booking.id === event.recurring_booking_id);
+            return {
+                id: event.id,
+                instructor_id: event.instructor_id,
+                student_id: event.student_id,
+                date: event.date,
+                start_slot: event.start_slot,
+                duration: event.duration,
+                status: event.status,
+                student: {
+                    id: rb.Subscription.user_id,
+                    name: rb.Subscription.User.name,
+                    email: rb.Subscription.User.email
+                },
+                recurring_booking_id: rb.id,
+                subscription_id: rb.subscription_id,
+                occurrence_date: event.recurring_date,
+                moved: event.recurring_date !== null && (event.date !== event.recurring_date || event.start_slot !== rb.start_slot)
+            };
+        });
         
-        res.json(virtualEvents);
+        res.json([...generatedEvents, ...reservedEvents]);
     } catch (error) {
         console.error('Error fetching recurring bookings:', error);
         res.status(500).json({ error: 'Error fetching recurring bookings' });
     }
 });
 
-// Update payment status for booking - instructor can update their students' payments
+// Download the invoice for an in-person booking, to hand to the student
+router.get('/bookings/:id/invoice', authorizeBooking('update', async (req) => {
+    return await Calendar.getEventById(req.params.id);
+}), async (req, res) => {
+    try {
+        const transaction = await Transactions.findInPersonForBooking(req.booking);
+        if (!transaction) {
+            return res.status(404).json({ error: 'No in-person payment transaction found for this booking' });
+        }
+
+        const { filename, content, contentType } = await invoiceService.generateInvoicePdf(transaction.id);
+
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${filename}"`
+        });
+        res.send(content);
+    } catch (error) {
+        if (error.message === 'Invoice not available for this transaction') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error generating booking invoice:', error);
+        res.status(500).json({ error: 'Failed to generate invoice' });
+    }
+});
+
+// Payment errors the caller can fix, rather than server errors
+const isPaymentRequestError = (error) =>
+    error.message.startsWith('Payment') ||
+    error.message.startsWith('This lesson') ||
+    error.message.startsWith('Choose') ||
+    error.message.startsWith('Only in-person');
+
+const toPaymentSummary = (transaction) => ({
+    id: transaction.id,
+    status: transaction.status,
+    payment_method: transaction.payment_method,
+    amount: transaction.amount,
+    amount_paid: transaction.amount_paid,
+    balance: Transactions.balanceOf(transaction)
+});
+
+// Instructors collect payments for their own lessons; admins for any
+const getPaymentScope = async (user) => {
+    if (user.role === 'admin') return {};
+
+    const instructor = await Instructor.getInstructorByUserId(user.id);
+    if (!instructor) {
+        throw new Error('Instructor profile not found');
+    }
+    return { instructorId: instructor.id };
+};
+
+// Update payment status for booking - instructor can update their students' payments.
+// Marking it completed collects the whole balance; outstanding undoes the payments recorded.
 router.put('/bookings/:id/payment-status', authorizeBooking('update', async (req) => {
     return await Calendar.getEventById(req.params.id);
 }), async (req, res) => {
@@ -1026,25 +1171,18 @@ router.put('/bookings/:id/payment-status', authorizeBooking('update', async (req
             return res.status(404).json({ error: 'Booking not found' });
         }
 
-        // Find the associated in-person payment transaction
-        const transaction = await Transactions.findOne({
-            where: {
-                user_id: booking.student_id,
-                payment_method: 'in-person'
-            },
-            order: [['created_at', 'DESC']] // Get the most recent in-person transaction
-        });
+        // Find the booking's own in-person payment transaction
+        let transaction = await Transactions.findInPersonForBooking(booking);
 
         if (!transaction) {
             return res.status(404).json({ error: 'No in-person payment transaction found for this booking' });
         }
 
-        // Update the transaction
-        await transaction.update({ 
-            status,
-            // Add notes to any existing notes field if it exists
-            ...(notes && { notes: notes })
-        });
+        if (status === 'outstanding') {
+            transaction = await inPersonPaymentService.markUnpaid(transaction.id);
+        } else if (transaction.status !== 'completed') {
+            transaction = await inPersonPaymentService.recordPayment(transaction.id, { userId: req.user.id, notes });
+        }
 
         res.json({ 
             message: 'Payment status updated successfully',
@@ -1053,17 +1191,96 @@ router.put('/bookings/:id/payment-status', authorizeBooking('update', async (req
                 student_id: booking.student_id,
                 instructor_id: booking.instructor_id
             },
-            transaction: {
-                id: transaction.id,
-                status: transaction.status,
-                payment_method: transaction.payment_method,
-                amount: transaction.amount
-            }
+            transaction: toPaymentSummary(transaction)
         });
     } catch (error) {
+        if (isPaymentRequestError(error)) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Error updating payment status:', error);
         res.status(500).json({ error: 'Error updating payment status' });
     }
 });
 
-module.exports = router; 
\ No newline at end of file
+// Record part (or all) of a booking's in-person payment: { amount, notes }
+router.post('/bookings/:id/payments', authorizeBooking('update', async (req) => {
+    return await Calendar.getEventById(req.params.id);
+}), async (req, res) => {
+    try {
+        const booking = await Calendar.findByPk(req.params.id);
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+
+        const transaction = await Transactions.findInPersonForBooking(booking);
+        if (!transaction) {
+            return res.status(404).json({ error: 'No in-person payment transaction found for this booking' });
+        }
+
+        const { amount, notes } = req.body;
+        const updated = await inPersonPaymentService.recordPayment(transaction.id, { amount, userId: req.user.id, notes });
+        res.status(201).json({ transaction: toPaymentSummary(updated) });
+    } catch (error) {
+        if (isPaymentRequestError(error)) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error recording payment:', error);
+        res.status(500).json({ error: 'Error recording payment' });
+    }
+});
+
+// Unpaid in-person lessons and each student's balance, optionally for one student (?studentId=)
+router.get('/outstanding-payments', authorize('collect', 'InPersonPayment'), async (req, res) => {
+    try {
+        const scope = await getPaymentScope(req.user);
+        const studentId = req.query.studentId ? parseInt(req.query.studentId, 10) : null;
+        const outstanding = await inPersonPaymentService.getOutstanding({ ...scope, studentId });
+        res.json(outstanding);
+    } catch (error) {
+        if (error.message === 'Instructor profile not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error fetching outstanding payments:', error);
+        res.status(500).json({ error: 'Error fetching outstanding payments' });
+    }
+});
+
+// Mark several in-person lessons paid in full: { transactionIds }
+router.post('/outstanding-payments/mark-paid', authorize('collect', 'InPersonPayment'), async (req, res) => {
+    try {
+        const scope = await getPaymentScope(req.user);
+        const paid = await inPersonPaymentService.markPaid(req.body.transactionIds, req.user.id, scope);
+        res.json({
+            message: `${paid.length} ${paid.length === 1 ? 'payment' : 'payments'} marked as paid`,
+            transactions: paid.map(toPaymentSummary)
+        });
+    } catch (error) {
+        if (error.message === 'Instructor profile not found' || error.message === 'Payment not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (isPaymentRequestError(error)) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error marking payments paid:', error);
+        res.status(500).json({ error: 'Error marking payments paid' });
+    }
+});
+
+// Handle change notifications from Google Calendar watch channels. Mounted in app.js
+// outside the protected /api/calendar routes, since Google sends no token; the
+// channel's own token identifies the calendar instead.
+const handleGoogleNotification = async (req, res) => {
+    try {
+        const accepted = await busyTimeService.handleNotification(req.headers);
+        if (!accepted) {
+            return res.status(404).json({ error: 'Unknown channel' });
+        }
+        res.status(200).end();
+    } catch (error) {
+        console.error('Error handling Google Calendar notification:', error);
+        res.status(500).json({ error: 'Error handling notification' });
+    }
+};
+
+module.exports = router;
+module.exports.handleGoogleNotification = handleGoogleNotification;
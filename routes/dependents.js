@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { User } = require('../models/User');
+const { UserCredits } = require('../models/Credits');
+const { authorize } = require('../middleware/permissions');
+
+// Map model errors to responses shared by the routes below
+const handleDependentError = (res, error, fallback) => {
+    if (error.message === 'Dependent not found') {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'INSUFFICIENT_CREDITS') {
+        return res.status(400).json({ error: 'Not enough credits of that lesson length to transfer' });
+    }
+    if (/^(Dependent|Only student|Direction|Credits amount|Duration)/.test(error.message)) {
+        return res.status(400).json({ error: error.message });
+    }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({ error: fallback });
+};
+
+// Get the dependents on the current user's account, with the credits of any
+// who book from their own balance
+router.get('/', authorize('read', 'Dependent'), async (req, res) => {
+    try {
+        const dependents = await User.getDependents(req.user.id);
+
+        const withCredits = await Promise.all(dependents.map(async (dependent) => ({
+            ...dependent.get({ plain: true }),
+            credits: dependent.shares_guardian_credits
+                ? null
+                : await UserCredits.getUserCreditsBreakdown(dependent.id)
+        })));
+
+        res.json({ dependents: withCredits });
+    } catch (error) {
+        handleDependentError(res, error, 'Error fetching dependents');
+    }
+});
+
+// Add a dependent's student profile to the current user's account
+router.post('/', authorize('create', 'Dependent'), async (req, res) => {
+    try {
+        const { name, is_student_minor, shares_guardian_credits } = req.body;
+        const dependent = await User.createDependent(req.user.id, {
+            name,
+            is_student_minor,
+            shares_guardian_credits
+        });
+
+        res.status(201).json(dependent);
+    } catch (error) {
+        handleDependentError(res, error, 'Error adding dependent');
+    }
+});
+
+// Rename a dependent or change whose credits they book with
+router.patch('/:id', authorize('manage', 'Dependent'), async (req, res) => {
+    try {
+        const dependent = await User.updateDependent(req.user.id, parseInt(req.params.id, 10), req.body);
+        res.json(dependent);
+    } catch (error) {
+        handleDependentError(res, error, 'Error updating dependent');
+    }
+});
+
+// Remove a dependent; credits of their own go back to the guardian
+router.delete('/:id', authorize('manage', 'Dependent'), async (req, res) => {
+    try {
+        await User.removeDependent(req.user.id, parseInt(req.params.id, 10));
+        res.json({ message: 'Dependent removed' });
+    } catch (error) {
+        handleDependentError(res, error, 'Error removing dependent');
+    }
+});
+
+// Split credits: give a dependent some of the guardian's credits, or take them back
+router.post('/:id/credits', authorize('manage', 'Dependent'), async (req, res) => {
+    try {
+        const { credits, durationMinutes, direction = 'give' } = req.body;
+        const dependent = await User.transferDependentCredits(
+            req.user.id,
+            parseInt(req.params.id, 10),
+            credits,
+            durationMinutes,
+            direction
+        );
+
+        res.json({
+            message: 'Credits transferred',
+            dependent,
+            credits: await UserCredits.getUserCreditsBreakdown(dependent.id)
+        });
+    } catch (error) {
+        handleDependentError(res, error, 'Error transferring credits');
+    }
+});
+
+module.exports = router;
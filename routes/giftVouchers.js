@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const { GiftVoucher } = require('../models/GiftVoucher');
+const { authorize } = require('../middleware/permissions');
+const giftVoucherService = require('../services/GiftVoucherService');
+
+// Get the gifts the current user has bought
+router.get('/', authorize('read', 'GiftVoucher'), async (req, res) => {
+    try {
+        const vouchers = await GiftVoucher.listForPurchaser(req.user.id);
+        res.json({ vouchers });
+    } catch (error) {
+        console.error('Error fetching gift vouchers:', error);
+        res.status(500).json({ error: 'Error fetching gift vouchers' });
+    }
+});
+
+// Start buying a lesson package as a gift; the browser confirms the card payment
+router.post('/purchase', authorize('create', 'GiftVoucher'), async (req, res) => {
+    try {
+        const { planId, recipientName, recipientEmail, message } = req.body;
+
+        if (!planId) {
+            return res.status(400).json({ error: 'Plan ID is required' });
+        }
+
+        const { clientSecret, voucherId } = await giftVoucherService.purchaseGiftVoucher(req.user, planId, {
+            recipientName,
+            recipientEmail,
+            message
+        });
+
+        res.json({ clientSecret, voucherId });
+    } catch (error) {
+        if (error.message === 'Plan not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Gift voucher')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error purchasing gift voucher:', error);
+        res.status(500).json({ error: 'Failed to purchase gift voucher' });
+    }
+});
+
+// Redeem a gift code into the current user's credits
+router.post('/redeem', authorize('redeem', 'GiftVoucher'), async (req, res) => {
+    try {
+        const voucher = await giftVoucherService.redeemVoucher(req.body.code, req.user.id);
+
+        res.json({
+            message: 'Gift voucher redeemed successfully',
+            voucher: {
+                code: voucher.code,
+                plan_name: voucher.plan_name,
+                credits: voucher.credits,
+                lesson_duration_minutes: voucher.lesson_duration_minutes
+            }
+        });
+    } catch (error) {
+        if (error.message === 'Gift voucher not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Gift voucher')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error redeeming gift voucher:', error);
+        res.status(500).json({ error: 'Failed to redeem gift voucher' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const express = require('express');
+const router = express.Router();
+const { GroupSession } = require('../models/GroupSession');
+const { Calendar } = require('../models/Calendar');
+const { Instructor } = require('../models/Instructor');
+const { User } = require('../models/User');
+const { authorize, authorizeBooking } = require('../middleware/permissions');
+const { can } = require('../utils/abilities');
+const groupSessionService = require('../services/GroupSessionService');
+const { canUserUseInPersonPayment } = require('../utils/inPersonPaymentUtils');
+const { createDateHelper } = require('../utils/dateHelpers');
+
+// How far ahead class listings look when no range is given
+const DEFAULT_RANGE_DAYS = 56;
+
+// Students see a class's open seats; instructors and admins also see who's enrolled
+const sessionViewOptions = (user) => ({
+    userId: user.id,
+    includeRoster: user.role !== 'student'
+});
+
+// Load a class the requester runs: instructors manage their own classes, admins any class
+const loadManagedSession = async (req, res, next) => {
+    try {
+        const session = await GroupSession.findByPk(parseInt(req.params.id, 10));
+        if (!session) {
+            return res.status(404).json({ error: 'Group class not found' });
+        }
+
+        if (req.user.role !== 'admin') {
+            const instructor = req.user.role === 'instructor' ? await Instructor.findByUserId(req.user.id) : null;
+            if (!instructor || instructor.id !== session.instructor_id) {
+                return res.status(403).json({ error: 'You can only manage your own group classes' });
+            }
+        }
+
+        req.groupSession = session;
+        next();
+    } catch (error) {
+        console.error('Error loading group class:', error);
+        res.status(500).json({ error: 'Error loading group class' });
+    }
+};
+
+// List an instructor's upcoming classes with the seats left in each
+router.get('/instructor/:instructorId', authorize('read', 'GroupSession'), async (req, res) => {
+    try {
+        const today = createDateHelper();
+        const startDate = req.query.startDate || today.toDateString();
+        const endDate = req.query.endDate || today.addDays(DEFAULT_RANGE_DAYS).toDateString();
+
+        const sessions = await GroupSession.findInRange(parseInt(req.params.instructorId, 10), startDate, endDate);
+        const options = sessionViewOptions(req.user);
+
+        res.json({
+            sessions: sessions.map(session => groupSessionService.toSessionEvent(session, options))
+        });
+    } catch (error) {
+        console.error('Error fetching group classes:', error);
+        res.status(500).json({ error: 'Error fetching group classes' });
+    }
+});
+
+// Schedule a class (instructors for themselves, admins for any instructor)
+router.post('/', authorize('create', 'GroupSession'), async (req, res) => {
+    try {
+        const { title, date, startSlot, duration, capacity } = req.body;
+
+        if (!title || !date || startSlot === undefined || !duration || !capacity) {
+            return res.status(400).json({ error: 'Missing required fields: title, date, startSlot, duration, capacity' });
+        }
+
+        let instructorId;
+        if (req.user.role === 'admin') {
+            instructorId = parseInt(req.body.instructorId, 10);
+            if (!instructorId) {
+                return res.status(400).json({ error: 'Missing required field: instructorId' });
+            }
+        } else {
+            const instructor = await Instructor.findByUserId(req.user.id);
+            if (!instructor) {
+                return res.status(404).json({ error: 'Instructor profile not found' });
+            }
+            instructorId = instructor.id;
+        }
+
+        const session = await groupSessionService.createSession(instructorId, { title, date, startSlot, duration, capacity });
+
+        res.status(201).json({
+            message: 'Group class scheduled',
+            session: groupSessionService.toSessionEvent(session)
+        });
+    } catch (error) {
+        console.error('Error scheduling group class:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Rename a class or change its capacity
+router.put('/:id', authorize('update', 'GroupSession'), loadManagedSession, async (req, res) => {
+    try {
+        const { title, capacity } = req.body;
+        await groupSessionService.updateSession(req.groupSession, { title, capacity });
+
+        const session = await GroupSession.findWithEnrollments(req.groupSession.id);
+        res.json({
+            message: 'Group class updated',
+            session: groupSessionService.toSessionEvent(session, sessionViewOptions(req.user))
+        });
+    } catch (error) {
+        console.error('Error updating group class:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Cancel a class, cancelling every enrolled student's seat
+router.delete('/:id', authorize('update', 'GroupSession'), loadManagedSession, async (req, res) => {
+    try {
+        const cancelledSeats = await groupSessionService.cancelSession(req.groupSession);
+
+        res.json({
+            message: 'Group class cancelled',
+            cancelledSeats
+        });
+    } catch (error) {
+        console.error('Error cancelling group class:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// The students enrolled in a class, for taking attendance and payments
+router.get('/:id/roster', authorize('update', 'GroupSession'), loadManagedSession, async (req, res) => {
+    try {
+        const session = await GroupSession.findWithEnrollments(req.groupSession.id);
+        const roster = await groupSessionService.getRoster(session);
+
+        res.json({
+            session: groupSessionService.toSessionEvent(session, sessionViewOptions(req.user)),
+            roster
+        });
+    } catch (error) {
+        console.error('Error fetching group class roster:', error);
+        res.status(500).json({ error: 'Error fetching group class roster' });
+    }
+});
+
+// Take a seat in a class. Instructors and admins can enroll a student on their behalf,
+// and guardians can enroll their dependents.
+router.post('/:id/enroll', authorize('enroll', 'GroupSession'), async (req, res) => {
+    try {
+        const { paymentMethod = 'credits', studentId: requestedStudentId } = req.body;
+
+        const onBehalf = !!requestedStudentId && (req.user.role === 'admin' || req.user.role === 'instructor');
+        // Any other studentId from a student is ignored unless it is one of their dependents
+        const forDependent = !!requestedStudentId && !onBehalf &&
+            can(req.user, 'manage', 'Dependent', { id: parseInt(requestedStudentId, 10) });
+        const studentId = onBehalf || forDependent ? parseInt(requestedStudentId, 10) : req.user.id;
+
+        const session = await GroupSession.findByPk(parseInt(req.params.id, 10));
+        if (!session) {
+            return res.status(404).json({ error: 'Group class not found' });
+        }
+
+        // Booking confirmations go to the student's email, so it must be verified first
+        // (a dependent's go to their guardian)
+        const student = await User.findById(studentId);
+        if (!student) {
+            return res.status(404).json({ error: 'Student not found' });
+        }
+        const accountHolder = await User.getAccountHolder(student);
+        if (!User.isEmailVerified(accountHolder)) {
+            return res.status(403).json({
+                error: 'The student\'s email address must be verified before booking',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        if (paymentMethod === 'in-person' && !onBehalf && !(await canUserUseInPersonPayment(accountHolder))) {
+            return res.status(403).json({ error: 'In-person payment is not available for your account' });
+        }
+
+        const event = await groupSessionService.enroll(session, studentId, paymentMethod);
+        const booking = await Calendar.getEventById(event.id);
+
+        res.status(201).json({
+            message: 'Enrolled in group class',
+            bookingId: event.id,
+            booking
+        });
+    } catch (error) {
+        console.error('Error enrolling in group class:', error);
+        if (error.message === 'INSUFFICIENT_CREDITS') {
+            return res.status(400).json({ error: 'INSUFFICIENT_CREDITS' });
+        }
+        // The class was deleted while the seat was being booked
+        if (error.message === 'Group class not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Give up a seat. Students can leave their own seat; instructors and admins can
+// remove anyone from their classes.
+router.delete('/:id/enrollments/:eventId', authorizeBooking('cancel', async (req) => {
+    return await Calendar.getEventById(req.params.eventId);
+}), async (req, res) => {
+    try {
+        const event = await Calendar.findByPk(parseInt(req.params.eventId, 10));
+        if (!event || event.group_session_id !== parseInt(req.params.id, 10)) {
+            return res.status(404).json({ error: 'Enrollment not found' });
+        }
+
+        await groupSessionService.leave(event);
+
+        res.json({ message: 'Seat cancelled' });
+    } catch (error) {
+        console.error('Error leaving group class:', error);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { Instructor } = require('../models/Instructor');
+const { Instructor, PAYOUT_SETTINGS } = require('../models/Instructor');
+const { InstructorRate } = require('../models/InstructorRate');
 const { authorize, authorizeResource } = require('../middleware/permissions');
+const payoutService = require('../services/PayoutService');
 
 // Get all instructors - public route for active instructors, admin for all
 router.get('/', async (req, res) => {
@@ -37,6 +39,25 @@ router.get('/me', async (req, res) => {
     }
 });
 
+// Get the current instructor's earnings statement for a period
+router.get('/me/earnings', authorize('read', 'OwnEarnings'), async (req, res) => {
+    try {
+        const instructor = await Instructor.getInstructorByUserId(req.user.id);
+        if (!instructor) {
+            return res.status(404).json({ error: 'Instructor profile not found' });
+        }
+
+        const statement = await payoutService.getStatement(instructor.id, req.query.from, req.query.to);
+        res.json(statement);
+    } catch (error) {
+        if (error.message === 'Invalid period') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error fetching earnings statement:', error);
+        res.status(500).json({ error: 'Error fetching earnings statement' });
+    }
+});
+
 // Get instructor by user ID - admin or instructor themselves
 router.get('/user/:userId', authorizeResource('read', 'Instructor', async (req) => {
     return await Instructor.findByUserId(parseInt(req.params.userId));
@@ -60,6 +81,7 @@ router.get('/:id', async (req, res) => {
     try {
         const instructorId = parseInt(req.params.id, 10);
         const instructor = await Instructor.findByPk(instructorId, {
+            attributes: { exclude: PAYOUT_SETTINGS },
             include: [{
                 model: require('../models/User').User,
                 attributes: ['name', 'email']
@@ -104,9 +126,13 @@ router.put('/:id', authorizeResource('update', 'Instructor', async (req) => {
         // CASL middleware already verified permissions
 
         const instructorId = parseInt(req.params.id, 10);
+
+        // Commission and payout account are changed through the admin payout settings
+        const updates = { ...req.body };
+        PAYOUT_SETTINGS.forEach(field => delete updates[field]);
         
         // Update using instructor's database ID directly
-        await Instructor.updateInstructor(instructorId, req.body);
+        await Instructor.updateInstructor(instructorId, updates);
         res.json({ message: 'Instructor updated successfully' });
     } catch (error) {
         console.error('Error updating instructor:', error);
@@ -149,6 +175,41 @@ router.patch('/:id/toggle-active', authorizeResource('update', 'Instructor', asy
     }
 });
 
+// Get an instructor's lesson prices (public route for booking)
+router.get('/:id/rates', async (req, res) => {
+    try {
+        const rateCard = await InstructorRate.getRateCard(parseInt(req.params.id, 10));
+        res.json(rateCard);
+    } catch (error) {
+        if (error.message === 'Instructor not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error fetching instructor rates:', error);
+        res.status(500).json({ error: 'Error fetching instructor rates' });
+    }
+});
+
+// Replace an instructor's lesson prices (admin or instructor themselves)
+router.put('/:id/rates', authorizeResource('update', 'Instructor', async (req) => {
+    return await Instructor.findByPk(parseInt(req.params.id));
+}), async (req, res) => {
+    try {
+        // CASL middleware already verified permissions
+
+        const instructorId = parseInt(req.params.id, 10);
+        const rateCard = await InstructorRate.setRateCard(instructorId, req.body.rates);
+        res.json(rateCard);
+    } catch (error) {
+        if (error.message.startsWith('Rates') ||
+            error.message.startsWith('Prices') ||
+            error.message.startsWith('Each lesson length')) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error updating instructor rates:', error);
+        res.status(500).json({ error: 'Error updating instructor rates' });
+    }
+});
+
 // =============================================================================
 // FUTURE FUNCTIONALITY PLACEHOLDERS - Instructor Student Management
 // =============================================================================
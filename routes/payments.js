@@ -3,8 +3,11 @@ const router = express.Router();
 const { PaymentPlan } = require('../models/PaymentPlan');
 const { UserCredits } = require('../models/Credits');
 const { Transactions } = require('../models/Transactions');
+const { PromoCode, PROMO_CODE_UNUSABLE } = require('../models/PromoCode');
 const { createPaymentIntent, verifyWebhookSignature } = require('../config/stripe');
-const { authorize } = require('../middleware/permissions');
+const { authorize, authorizeResource } = require('../middleware/permissions');
+const stripePaymentService = require('../services/StripePaymentService');
+const invoiceService = require('../services/InvoiceService');
 
 // Public route - Get all payment plans
 router.get('/plans', async (req, res) => {
@@ -50,7 +53,7 @@ router.get('/credits', authorize('read', 'Credits'), async (req, res) => {
 
 // Purchase a plan - authenticated users only
 router.post('/purchase', authorize('create', 'Purchase'), async (req, res) => {
-    const { planId, paymentMethod = 'credits' } = req.body;
+    const { planId, paymentMethod = 'credits', promoCode } = req.body;
     
     if (!planId) {
         return res.status(400).json({ error: 'Plan ID is required' });
@@ -59,11 +62,19 @@ router.post('/purchase', authorize('create', 'Purchase'), async (req, res) => {
     if (!paymentMethod) {
         return res.status(400).json({ error: 'Payment method is required' });
     }
+
+    // Card purchases complete from their payment intent (see /complete-payment and the webhook)
+    if (paymentMethod === 'stripe') {
+        return res.status(400).json({ error: 'Card payments are completed through Stripe' });
+    }
     
     try {
-        const result = await PaymentPlan.purchase(req.user.id, planId, paymentMethod);
+        const result = await PaymentPlan.purchase(req.user.id, planId, paymentMethod, null, { promoCode });
         res.json(result);
     } catch (error) {
+        if (error.code === PROMO_CODE_UNUSABLE) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Error processing purchase:', error);
         res.status(500).json({ error: error.message });
     }
@@ -80,29 +91,103 @@ router.get('/transactions', authorize('read', 'Transaction'), async (req, res) =
     }
 });
 
+// Download the invoice (or receipt, once paid) for one of the user's transactions as a PDF
+router.get('/transactions/:id/invoice', authorizeResource('read', 'Invoice', async (req) => {
+    return await Transactions.findByPk(parseInt(req.params.id, 10));
+}), async (req, res) => {
+    try {
+        const { filename, content, contentType } = await invoiceService.generateInvoicePdf(req.resource.id);
+
+        res.set({
+            'Content-Type': contentType,
+            'Content-Disposition': `attachment; filename="${filename}"`
+        });
+        res.send(content);
+    } catch (error) {
+        if (error.message === 'Invoice not available for this transaction') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error generating invoice:', error);
+        res.status(500).json({ error: 'Failed to generate invoice' });
+    }
+});
+
+// Price a plan with a promo code before paying - authenticated users only
+router.post('/promo-codes/check', authorize('create', 'Purchase'), async (req, res) => {
+    const { code, planId } = req.body;
+
+    if (!code || !planId) {
+        return res.status(400).json({ error: 'Promo code and plan ID are required' });
+    }
+
+    try {
+        const plan = await PaymentPlan.findByPk(planId);
+        if (!plan) {
+            return res.status(404).json({ error: 'Plan not found' });
+        }
+
+        const { promoCode, discountAmount, finalPrice } = await PromoCode.quote(code, req.user.id, plan);
+        res.json({
+            code: promoCode.code,
+            description: promoCode.description,
+            discount_amount: discountAmount,
+            final_price: finalPrice
+        });
+    } catch (error) {
+        if (error.code === PROMO_CODE_UNUSABLE) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error checking promo code:', error);
+        res.status(500).json({ error: 'Failed to check promo code' });
+    }
+});
+
 // Create a payment intent for Stripe - authenticated users only
 router.post('/create-payment-intent', authorize('create', 'Purchase'), async (req, res) => {
     try {
-        const { amount, planId } = req.body
+        const { planId, promoCode, savePaymentMethod = false } = req.body
+        let { amount } = req.body
+
+        // Plans are priced here rather than trusting the amount sent; only payments
+        // without a plan (single lessons) charge the amount from the request
+        const pricing = planId
+            ? await stripePaymentService.pricePlan(req.user.id, planId, promoCode || null)
+            : null
+        if (pricing) {
+            amount = pricing.amount
+        }
         
         if (!amount) {
             return res.status(400).json({ error: 'Amount is required' })
         }
 
-        // Create a transaction record first
-        const transaction = await Transactions.create({
-            user_id: req.user.id,
-            payment_plan_id: planId,
-            amount: amount, // Convert from cents to dollars
-            payment_method: 'stripe',
-            status: 'pending'
-        })
+        // Saving the card needs the Stripe customer it will be attached to
+        const customerId = savePaymentMethod
+            ? await stripePaymentService.getOrCreateCustomer(req.user)
+            : null
 
-        const paymentIntent = await createPaymentIntent(amount, 'usd', {
-            userId: req.user.id,
-            planId,
-            transactionId: transaction.id
-        })
+        // Create a transaction record first (holding a use of the promo code, if any)
+        const transaction = pricing
+            ? await stripePaymentService.createPendingTransaction(req.user, pricing, customerId)
+            : await Transactions.create({
+                user_id: req.user.id,
+                amount,
+                payment_method: 'stripe',
+                status: 'pending',
+                stripe_customer_id: customerId
+            })
+
+        let paymentIntent
+        try {
+            paymentIntent = await createPaymentIntent(amount, 'usd', {
+                userId: req.user.id,
+                planId,
+                transactionId: transaction.id
+            }, customerId ? { customer: customerId, setup_future_usage: 'off_session' } : {})
+        } catch (error) {
+            await stripePaymentService.failTransaction(transaction)
+            throw error
+        }
 
         // Update transaction with payment intent ID
         await transaction.update({
@@ -113,13 +198,118 @@ router.post('/create-payment-intent', authorize('create', 'Purchase'), async (re
             clientSecret: paymentIntent.client_secret
         })
     } catch (error) {
+        if (error.code === PROMO_CODE_UNUSABLE) {
+            return res.status(400).json({ error: error.message })
+        }
+        if (error.message === 'Plan not found') {
+            return res.status(404).json({ error: error.message })
+        }
         console.error('Error creating payment intent:', error)
         res.status(500).json({ error: 'Failed to create payment intent' })
     }
 });
 
-// Handle Stripe webhooks
-router.post('/webhook', express.raw({type: 'application/json'}), async (req, res) => {
+// Record the outcome of a card payment the browser has confirmed or authenticated
+router.post('/complete-payment', authorize('create', 'Purchase'), async (req, res) => {
+    const { paymentIntentId } = req.body;
+
+    if (!paymentIntentId) {
+        return res.status(400).json({ error: 'Payment intent ID is required' });
+    }
+
+    try {
+        const { status, transaction } = await stripePaymentService.completePayment(req.user.id, paymentIntentId);
+        res.json({
+            status,
+            transactionId: transaction.id,
+            transactionStatus: transaction.status
+        });
+    } catch (error) {
+        if (error.message === 'Payment not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error completing payment:', error);
+        res.status(500).json({ error: 'Failed to complete payment' });
+    }
+});
+
+// Get the user's saved cards
+router.get('/payment-methods', authorize('manage', 'PaymentMethod'), async (req, res) => {
+    try {
+        const paymentMethods = await stripePaymentService.listPaymentMethods(req.user);
+        res.json(paymentMethods);
+    } catch (error) {
+        console.error('Error fetching payment methods:', error);
+        res.status(500).json({ error: 'Failed to fetch saved cards' });
+    }
+});
+
+// Start saving a new card
+router.post('/payment-methods/setup-intent', authorize('manage', 'PaymentMethod'), async (req, res) => {
+    try {
+        const setupIntent = await stripePaymentService.createSetupIntent(req.user);
+        res.json(setupIntent);
+    } catch (error) {
+        console.error('Error creating setup intent:', error);
+        res.status(500).json({ error: 'Failed to start saving card' });
+    }
+});
+
+// Make a saved card the default
+router.put('/payment-methods/:id/default', authorize('manage', 'PaymentMethod'), async (req, res) => {
+    try {
+        await stripePaymentService.setDefaultPaymentMethod(req.user, req.params.id);
+        res.json(await stripePaymentService.listPaymentMethods(req.user));
+    } catch (error) {
+        if (error.message === 'Payment method not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error setting default payment method:', error);
+        res.status(500).json({ error: 'Failed to update default card' });
+    }
+});
+
+// Remove a saved card
+router.delete('/payment-methods/:id', authorize('manage', 'PaymentMethod'), async (req, res) => {
+    try {
+        await stripePaymentService.detachPaymentMethod(req.user, req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        if (error.message === 'Payment method not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error removing payment method:', error);
+        res.status(500).json({ error: 'Failed to remove card' });
+    }
+});
+
+// Buy a lesson package with a saved card
+router.post('/purchase-with-saved-card', authorize('create', 'Purchase'), async (req, res) => {
+    const { planId, paymentMethodId, promoCode } = req.body;
+
+    if (!planId || !paymentMethodId) {
+        return res.status(400).json({ error: 'Plan ID and payment method ID are required' });
+    }
+
+    try {
+        const result = await stripePaymentService.purchasePlanWithSavedCard(req.user, planId, paymentMethodId, promoCode);
+        res.json(result);
+    } catch (error) {
+        if (error.message === 'Plan not found' || error.message === 'Payment method not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message === 'Only lesson packages can be bought with a saved card' || error.code === PROMO_CODE_UNUSABLE) {
+            return res.status(400).json({ error: error.message });
+        }
+        // Declined cards
+        console.error('Error purchasing with saved card:', error);
+        res.status(402).json({ error: error.message });
+    }
+});
+
+// Handle Stripe webhooks. Mounted without authentication in app.js; requests are
+// verified by their signature instead.
+const handleWebhook = async (req, res) => {
     const signature = req.headers['stripe-signature'];
     
     try {
@@ -127,52 +317,18 @@ router.post('/webhook', express.raw({type: 'application/json'}), async (req, res
         
         switch (event.type) {
             case 'payment_intent.succeeded':
+            case 'payment_intent.requires_action':
+            case 'payment_intent.processing':
+            case 'payment_intent.payment_failed':
+            case 'payment_intent.canceled': {
                 const paymentIntent = event.data.object;
-                
-                // Find the pending transaction
-                const pendingTransaction = await Transactions.findOne({
-                    where: { 
-                        payment_intent_id: paymentIntent.id,
-                        status: 'pending'
-                    }
-                });
-
-                if (pendingTransaction) {
-                    // Complete the purchase through PaymentPlan.purchase
-                    try {
-                        await PaymentPlan.purchase(
-                            pendingTransaction.user_id,
-                            pendingTransaction.payment_plan_id,
-                            'stripe',
-                            paymentIntent.id
-                        );
-                        
-                        // Update original transaction to completed
-                        await pendingTransaction.update({ status: 'completed' });
-                        
-                        // Stripe payment completed successfully
-                    } catch (error) {
-                        console.error('Error completing Stripe purchase:', error);
-                        await pendingTransaction.update({ status: 'failed' });
-                    }
-                } else {
-                    console.warn(`No pending transaction found for payment intent ${paymentIntent.id}`);
+                const transaction = await stripePaymentService.syncPaymentIntent(paymentIntent);
+
+                if (!transaction && event.type === 'payment_intent.succeeded') {
+                    console.warn(`No open transaction found for payment intent ${paymentIntent.id}`);
                 }
                 break;
-                
-            case 'payment_intent.payment_failed':
-                const failedPayment = event.data.object;
-                
-                // Update transaction status
-                await Transactions.update(
-                    { status: 'failed' },
-                    { 
-                        where: { 
-                            payment_intent_id: failedPayment.id 
-                        } 
-                    }
-                );
-                break;
+            }
         }
 
         res.json({ received: true });
@@ -180,6 +336,9 @@ router.post('/webhook', express.raw({type: 'application/json'}), async (req, res
         console.error('Webhook error:', error);
         res.status(400).json({ error: 'Webhook error' });
     }
-});
+};
+
+router.post('/webhook', express.raw({type: 'application/json'}), handleWebhook);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.handleWebhook = handleWebhook;
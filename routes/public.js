@@ -3,6 +3,9 @@ const router = express.Router();
 const { AppSettings } = require('../models/AppSettings');
 const { getThemeDefaults, getBusinessHoursDefaults } = require('../utils/constants');
 const { sequelize } = require('../db');
+const { User } = require('../models/User');
+const { CalendarFeedToken } = require('../models/CalendarFeedToken');
+const calendarFeedService = require('../services/CalendarFeedService');
 
 // Lightweight health check used by deploy/rollback smoke tests.
 // Returns 200 when the server is up and the DB connection is alive.
@@ -85,6 +88,7 @@ router.get('/config', async (req, res) => {
             default_duration_minutes: parseInt(lessonSettings.default_duration_minutes) || 30,
             in_person_payment_enabled: lessonSettings.in_person_payment_enabled === 'true',
             card_payment_on_behalf_enabled: lessonSettings.card_payment_on_behalf_enabled === 'true',
+            lesson_types: await AppSettings.getLessonTypes(),
             
             // Theme configuration for UI styling
             theme: {
@@ -115,4 +119,29 @@ router.get('/config', async (req, res) => {
     }
 });
 
+// A user's iCal subscription feed. Calendar apps can't send a login, so the secret
+// token in the URL is the credential; unknown tokens look like any missing page.
+router.get('/calendar-feed/:token.ics', async (req, res) => {
+    try {
+        const feed = await CalendarFeedToken.findByToken(req.params.token);
+        const user = feed && await User.findByPk(feed.user_id);
+        if (!user) {
+            return res.status(404).json({ error: 'Not found' });
+        }
+
+        const body = await calendarFeedService.buildFeed(user);
+        await feed.recordAccess();
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="lessons.ics"',
+            'Cache-Control': 'private, no-cache'
+        });
+        res.send(body);
+    } catch (error) {
+        console.error('Error building calendar feed:', error);
+        res.status(500).json({ error: 'Error building calendar feed' });
+    }
+});
+
 module.exports = router;
@@ -4,10 +4,24 @@ const { RecurringBooking } = require('../models/RecurringBooking');
 const { Subscription } = require('../models/Subscription');
 const { authMiddleware } = require('../middleware/auth');
 const { authorize, authorizeUserAccess, authorizeResource } = require('../middleware/permissions');
+const recurringBookingService = require('../services/RecurringBookingService');
+const { AppSettings } = require('../models/AppSettings');
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
 
+// Load a recurring booking for authorizeResource, shaped to match our permissions model
+// (check subscription ownership)
+const loadRecurringBookingPermissions = async (req) => {
+    const booking = await RecurringBooking.findByPk(req.params.id, {
+        include: [{ model: Subscription }]
+    });
+    if (booking && booking.Subscription) {
+        return { user_id: booking.Subscription.user_id, instructor_id: booking.instructor_id };
+    }
+    return booking;
+};
+
 // Create a new recurring booking
 router.post('/', authorize('create', 'RecurringBooking'), async (req, res) => {
     try {
@@ -20,6 +34,10 @@ router.post('/', authorize('create', 'RecurringBooking'), async (req, res) => {
             });
         }
         
+        if (!(await AppSettings.getLessonType(duration * 15))) {
+            return res.status(400).json({ error: 'Lesson length must match one of the lesson types' });
+        }
+        
         // Validate that the subscription belongs to the authenticated user
         const subscription = await Subscription.findByPk(subscriptionId);
         if (!subscription) {
@@ -40,6 +58,9 @@ router.post('/', authorize('create', 'RecurringBooking'), async (req, res) => {
             start_slot: startSlot,
             duration: duration
         });
+
+        // Book the lessons for the coming weeks straight away
+        const occurrences = await recurringBookingService.generateOccurrences(recurringBooking);
         
         // Return the created booking with related data
         const createdBooking = await RecurringBooking.findByPk(recurringBooking.id, {
@@ -57,7 +78,11 @@ router.post('/', authorize('create', 'RecurringBooking'), async (req, res) => {
         
         res.status(201).json({
             message: 'Recurring booking created successfully',
-            recurringBooking: createdBooking
+            recurringBooking: createdBooking,
+            lessons: {
+                created: occurrences.created.length,
+                skipped: occurrences.skipped
+            }
         });
         
     } catch (error) {
@@ -149,16 +174,7 @@ router.get('/instructor/:instructorId/day/:dayOfWeek', authorize('read', 'Recurr
 });
 
 // Update a recurring booking
-router.put('/:id', authorizeResource('update', 'RecurringBooking', async (req) => {
-    const booking = await RecurringBooking.findByPk(req.params.id, {
-        include: [{ model: Subscription }]
-    });
-    // Transform to match our permissions model (check subscription ownership)
-    if (booking && booking.Subscription) {
-        return { user_id: booking.Subscription.user_id, instructor_id: booking.instructor_id };
-    }
-    return booking;
-}), async (req, res) => {
+router.put('/:id', authorizeResource('update', 'RecurringBooking', loadRecurringBookingPermissions), async (req, res) => {
     try {
         const id = parseInt(req.params.id, 10);
         const { instructorId, dayOfWeek, startSlot, duration } = req.body;
@@ -174,6 +190,10 @@ router.put('/:id', authorizeResource('update', 'RecurringBooking', async (req) =
         
         // Recurring booking ownership already verified by authorizeResource middleware
         
+        if (duration !== undefined && !(await AppSettings.getLessonType(duration * 15))) {
+            return res.status(400).json({ error: 'Lesson length must match one of the lesson types' });
+        }
+        
         // Prepare updates object
         const updates = {};
         if (instructorId !== undefined) updates.instructor_id = instructorId;
@@ -183,6 +203,15 @@ router.put('/:id', authorizeResource('update', 'RecurringBooking', async (req) =
         
         // Update the booking
         const updatedBooking = await RecurringBooking.updateRecurringBooking(id, updates);
+
+        // Lessons already generated at the old time are replaced by ones at the new time
+        let occurrences = null;
+        if (Object.keys(updates).length > 0) {
+            await recurringBookingService.cancelFutureOccurrences(id, { release: true });
+            // Skipped and moved weeks belonged to the old weekly time
+            await recurringBookingService.clearUpcomingExceptions(id);
+            occurrences = await recurringBookingService.generateOccurrences(updatedBooking);
+        }
         
         // Return the updated booking with related data
         const result = await RecurringBooking.findByPk(id, {
@@ -200,7 +229,13 @@ router.put('/:id', authorizeResource('update', 'RecurringBooking', async (req) =
         
         res.json({
             message: 'Recurring booking updated successfully',
-            recurringBooking: result
+            recurringBooking: result,
+            ...(occurrences && {
+                lessons: {
+                    created: occurrences.created.length,
+                    skipped: occurrences.skipped
+                }
+            })
         });
         
     } catch (error) {
@@ -210,16 +245,7 @@ router.put('/:id', authorizeResource('update', 'RecurringBooking', async (req) =
 });
 
 // Delete a recurring booking
-router.delete('/:id', authorizeResource('delete', 'RecurringBooking', async (req) => {
-    const booking = await RecurringBooking.findByPk(req.params.id, {
-        include: [{ model: Subscription }]
-    });
-    // Transform to match our permissions model (check subscription ownership)
-    if (booking && booking.Subscription) {
-        return { user_id: booking.Subscription.user_id, instructor_id: booking.instructor_id };
-    }
-    return booking;
-}), async (req, res) => {
+router.delete('/:id', authorizeResource('delete', 'RecurringBooking', loadRecurringBookingPermissions), async (req, res) => {
     try {
         const id = parseInt(req.params.id, 10);
         
@@ -234,7 +260,8 @@ router.delete('/:id', authorizeResource('delete', 'RecurringBooking', async (req
         
         // Recurring booking ownership already verified by authorizeResource middleware
         
-        // Delete the booking
+        // Cancel its upcoming lessons, then delete the booking
+        await recurringBookingService.cancelFutureOccurrences(id);
         await existingBooking.destroy();
         
         res.json({ message: 'Recurring booking deleted successfully' });
@@ -245,4 +272,85 @@ router.delete('/:id', authorizeResource('delete', 'RecurringBooking', async (req
     }
 });
 
+// Get the coming weeks of a recurring booking, including skipped and moved weeks
+router.get('/:id/occurrences', authorizeResource('read', 'RecurringBooking', loadRecurringBookingPermissions), async (req, res) => {
+    try {
+        const recurringBooking = await RecurringBooking.findByPk(parseInt(req.params.id, 10));
+        if (!recurringBooking) {
+            return res.status(404).json({ error: 'Recurring booking not found' });
+        }
+
+        const weeks = await recurringBookingService.getUpcomingWeeks(recurringBooking);
+        res.json({ weeks });
+
+    } catch (error) {
+        console.error('Error fetching recurring booking weeks:', error);
+        res.status(500).json({ error: 'Failed to fetch recurring booking weeks' });
+    }
+});
+
+// Skip one week, or move it to another date and/or time
+router.put('/:id/occurrences/:date', authorizeResource('update', 'RecurringBooking', loadRecurringBookingPermissions), async (req, res) => {
+    try {
+        const { date } = req.params;
+        const { type, newDate, newStartSlot } = req.body;
+
+        if (type !== 'skip' && type !== 'move') {
+            return res.status(400).json({ error: 'type must be "skip" or "move"' });
+        }
+        if (type === 'move' && (!newDate || newStartSlot === undefined)) {
+            return res.status(400).json({ error: 'Missing required fields: newDate, newStartSlot' });
+        }
+
+        const recurringBooking = await RecurringBooking.findByPk(parseInt(req.params.id, 10));
+        if (!recurringBooking) {
+            return res.status(404).json({ error: 'Recurring booking not found' });
+        }
+
+        const exception = type === 'skip'
+            ? await recurringBookingService.skipOccurrence(recurringBooking, date, { createdBy: req.user.id })
+            : await recurringBookingService.moveOccurrence(recurringBooking, date, newDate, newStartSlot, { createdBy: req.user.id });
+
+        const weeks = await recurringBookingService.getUpcomingWeeks(recurringBooking);
+
+        res.json({
+            message: type === 'skip' ? 'Lesson skipped for this week' : 'Lesson moved for this week',
+            exception,
+            weeks
+        });
+
+    } catch (error) {
+        console.error('Error changing recurring booking week:', error);
+        if (error.message === 'Recurring booking is paused') {
+            return res.status(409).json({ error: error.message });
+        }
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Put a skipped or moved week back at the regular time
+router.delete('/:id/occurrences/:date', authorizeResource('update', 'RecurringBooking', loadRecurringBookingPermissions), async (req, res) => {
+    try {
+        const recurringBooking = await RecurringBooking.findByPk(parseInt(req.params.id, 10));
+        if (!recurringBooking) {
+            return res.status(404).json({ error: 'Recurring booking not found' });
+        }
+
+        await recurringBookingService.restoreOccurrence(recurringBooking, req.params.date);
+        const weeks = await recurringBookingService.getUpcomingWeeks(recurringBooking);
+
+        res.json({
+            message: 'Lesson restored to its regular time',
+            weeks
+        });
+
+    } catch (error) {
+        console.error('Error restoring recurring booking week:', error);
+        if (error.message === 'Recurring booking is paused') {
+            return res.status(409).json({ error: error.message });
+        }
+        res.status(400).json({ error: error.message });
+    }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -6,6 +6,9 @@ const { SubscriptionEvent } = require('../models/SubscriptionEvent');
 const { PaymentPlan } = require('../models/PaymentPlan');
 const { UserCredits } = require('../models/Credits');
 const { User } = require('../models/User');
+const { PromoCode, PROMO_CODE_UNUSABLE } = require('../models/PromoCode');
+const promoCodeService = require('../services/PromoCodeService');
+const dunningService = require('../services/DunningService');
 const { authMiddleware } = require('../middleware/auth');
 const { authorize, authorizeUserAccess, authorizeResource } = require('../middleware/permissions');
 
@@ -35,7 +38,7 @@ router.get('/user/:userId', authMiddleware, authorizeUserAccess(async (req) => p
 // Create a new subscription
 router.post('/create', authMiddleware, authorize('purchase', 'Subscription'), async (req, res) => {
     try {
-        const { planId, paymentMethodId } = req.body;
+        const { planId, paymentMethodId, promoCode } = req.body;
         
         if (!planId || !paymentMethodId) {
             return res.status(400).json({ error: 'Plan ID and payment method ID are required' });
@@ -47,6 +50,19 @@ router.post('/create', authMiddleware, authorize('purchase', 'Subscription'), as
             return res.status(400).json({ error: 'Invalid membership plan' });
         }
 
+        // Promo codes discount the first billing period through a Stripe coupon
+        let quote = null;
+        if (promoCode) {
+            try {
+                quote = await PromoCode.quote(promoCode, req.user.id, plan);
+            } catch (error) {
+                if (error.code === PROMO_CODE_UNUSABLE) {
+                    return res.status(400).json({ error: error.message });
+                }
+                throw error;
+            }
+        }
+
         // Get the user from database
         const user = await User.findByPk(req.user.id);
         if (!user) {
@@ -109,25 +125,69 @@ router.post('/create', authMiddleware, authorize('purchase', 'Subscription'), as
             );
         }
 
-        // Create subscription
-        const subscription = await createSubscription(customer.id, price.id, {
-            userId: user.id,
-            planId: plan.id
-        });
+        // Claim the promo code before subscribing, so a code used up in the meantime
+        // isn't applied. The claim is recorded on its own; it's given back if the
+        // subscription can't be set up.
+        let redemption = null;
+        if (quote) {
+            try {
+                redemption = await PromoCode.recordRedemption({
+                    promo_code_id: quote.promoCode.id,
+                    user_id: user.id,
+                    payment_plan_id: plan.id,
+                    discount_amount: quote.discountAmount
+                });
+            } catch (error) {
+                if (error.code === PROMO_CODE_UNUSABLE) {
+                    return res.status(400).json({ error: error.message });
+                }
+                throw error;
+            }
+        }
 
-        // Calculate period dates based on plan duration
-        const now = new Date();
-        const periodStart = now;
-        const periodEnd = new Date(now.getTime() + (plan.duration_days * 24 * 60 * 60 * 1000));
+        let subscription = null;
+        let dbSubscription;
+        try {
+            // Create subscription
+            const discountOptions = quote
+                ? { discounts: [{ coupon: await promoCodeService.ensureStripeCoupon(quote.promoCode) }] }
+                : {};
+            subscription = await createSubscription(customer.id, price.id, {
+                userId: user.id,
+                planId: plan.id
+            }, discountOptions);
+
+            // Calculate period dates based on plan duration
+            const now = new Date();
+            const periodStart = now;
+            const periodEnd = new Date(now.getTime() + (plan.duration_days * 24 * 60 * 60 * 1000));
+
+            // Create subscription record
+            dbSubscription = await Subscription.createSubscription(
+                user.id,
+                plan.id,
+                subscription.id,
+                periodStart,
+                periodEnd
+            );
 
-        // Create subscription record
-        const dbSubscription = await Subscription.createSubscription(
-            user.id,
-            plan.id,
-            subscription.id,
-            periodStart,
-            periodEnd
-        );
+            if (redemption) {
+                await redemption.update({ subscription_id: dbSubscription.id });
+            }
+        } catch (error) {
+            // Don't leave a Stripe subscription running that isn't recorded here
+            if (subscription && !dbSubscription) {
+                try {
+                    await cancelSubscription(subscription.id);
+                } catch (cancelError) {
+                    console.error(`Failed to cancel unrecorded Stripe subscription ${subscription.id}:`, cancelError);
+                }
+            }
+            if (redemption && !dbSubscription) {
+                await redemption.destroy();
+            }
+            throw error;
+        }
 
         // Record subscription event
         await SubscriptionEvent.recordEvent(dbSubscription.id, 'subscription.created', subscription);
@@ -210,8 +270,10 @@ router.get('/preview-cancellation/:subscriptionId', authMiddleware, authorizeRes
         if (creditCalculation.alreadyCancelled) {
             // Preview detected sync issue - subscription already cancelled in Stripe, syncing database
             
-            // Clean up recurring bookings
+            // Clean up recurring bookings and their upcoming lessons
             if (recurringBooking) {
+                const recurringBookingService = require('../services/RecurringBookingService');
+                await recurringBookingService.cancelFutureOccurrences(recurringBooking.id);
                 await recurringBooking.destroy();
                 // Cleaned up recurring booking during preview sync
             }
@@ -361,8 +423,9 @@ router.get('/cancellation-details/:subscriptionId', authMiddleware, authorizeRes
     }
 });
 
-// Handle Stripe webhook events
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+// Handle Stripe webhook events. Mounted in app.js ahead of JSON parsing and auth,
+// since Stripe signs the raw body and sends no token.
+const handleWebhook = async (req, res) => {
     const sig = req.headers['stripe-signature'];
 
     try {
@@ -404,9 +467,19 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
                         }
                     }
                     
-                    // Clean up recurring bookings if subscription is no longer active
-                    if (subscription.status !== 'active' || subscription.cancel_at_period_end) {
+                    // Clean up recurring bookings if subscription is no longer active. An overdue
+                    // subscription keeps its recurring booking through the dunning grace period.
+                    if (!['active', 'past_due'].includes(subscription.status) || subscription.cancel_at_period_end) {
                         const { RecurringBooking } = require('../models/RecurringBooking');
+                        const recurringBookingService = require('../services/RecurringBookingService');
+                        const recurringBooking = await RecurringBooking.findBySubscriptionId(dbSubscription.id);
+                        if (recurringBooking) {
+                            // Lessons up to the end of a paid period still go ahead
+                            const fromDate = subscription.status === 'active'
+                                ? new Date(subscription.current_period_end * 1000).toISOString().split('T')[0]
+                                : null;
+                            await recurringBookingService.cancelFutureOccurrences(recurringBooking.id, { fromDate });
+                        }
                         await RecurringBooking.deleteBySubscriptionId(dbSubscription.id);
                         // Cleaned up recurring booking for inactive subscription
                     }
@@ -414,6 +487,16 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
                 break;
             }
             
+            case 'invoice.payment_failed': {
+                await dunningService.handlePaymentFailed(event.data.object);
+                break;
+            }
+
+            case 'invoice.paid': {
+                await dunningService.handlePaymentSucceeded(event.data.object);
+                break;
+            }
+
             case 'customer.subscription.deleted': {
                 const subscription = event.data.object;
                 // Webhook received subscription deletion
@@ -425,8 +508,13 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
                 if (dbSubscription) {
                     // Cleaning up recurring booking for deleted subscription
                     
-                    // Clean up recurring booking
+                    // Clean up recurring booking and cancel its upcoming lessons
                     const { RecurringBooking } = require('../models/RecurringBooking');
+                    const recurringBookingService = require('../services/RecurringBookingService');
+                    const recurringBooking = await RecurringBooking.findBySubscriptionId(dbSubscription.id);
+                    if (recurringBooking) {
+                        await recurringBookingService.cancelFutureOccurrences(recurringBooking.id);
+                    }
                     await RecurringBooking.deleteBySubscriptionId(dbSubscription.id);
                     
                     // Update subscription status
@@ -446,7 +534,9 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
         console.error('Webhook error:', error);
         res.status(400).send(`Webhook Error: ${error.message}`);
     }
-});
+};
+
+router.post('/webhook', express.raw({ type: 'application/json' }), handleWebhook);
 
 // Add route to update subscription periods
 router.post('/update-periods', authMiddleware, async (req, res) => {
@@ -498,4 +588,5 @@ router.get('/:subscriptionId/recurring-eligibility', authMiddleware, authorizeRe
     }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
+module.exports.handleWebhook = handleWebhook;
@@ -4,6 +4,9 @@ const { User } = require('../models/User');
 const bcrypt = require('bcrypt');
 const { authorize, authorizeAny, authorizeUserAccess } = require('../middleware/permissions');
 const { canUserUseInPersonPayment } = require('../utils/inPersonPaymentUtils');
+const { InstructorRate } = require('../models/InstructorRate');
+const { CalendarFeedToken } = require('../models/CalendarFeedToken');
+const calendarFeedService = require('../services/CalendarFeedService');
 const { error: logError } = require('../utils/logger');
 
 // Get all students (for instructors/admins booking on behalf)
@@ -49,7 +52,8 @@ router.patch('/:id', authorizeUserAccess(async (req) => parseInt(req.params.id))
     }
 });
 
-// Get current user's payment options (requires authentication)
+// Get current user's payment options (requires authentication).
+// With ?instructorId, also lists that instructor's lesson prices.
 router.get('/me/payment-options', async (req, res) => {
     try {
         const userId = req.user.id;
@@ -63,10 +67,25 @@ router.get('/me/payment-options', async (req, res) => {
         // Check if user can use in-person payment
         const canUseInPersonPayment = await canUserUseInPersonPayment(user);
         
+        if (!req.query.instructorId) {
+            return res.json({
+                canUseInPersonPayment
+            });
+        }
+        
+        const rateCard = await InstructorRate.getRateCard(parseInt(req.query.instructorId, 10));
         res.json({
-            canUseInPersonPayment
+            canUseInPersonPayment,
+            lessonPrices: rateCard.rates.map(rate => ({
+                duration_minutes: rate.duration_minutes,
+                online_price: rate.online_price,
+                in_person_price: canUseInPersonPayment ? rate.in_person_price : null
+            }))
         });
     } catch (error) {
+        if (error.message === 'Instructor not found') {
+            return res.status(404).json({ error: error.message });
+        }
         console.error('Error fetching user payment options:', error);
         res.status(500).json({ error: 'Error fetching payment options' });
     }
@@ -118,7 +137,7 @@ router.put('/me/profile', async (req, res) => {
         
         // Fetch final user state and return with verification status
         const finalUser = await User.findById(userId);
-        const userData = User.getPlainObject(finalUser);
+        const userData = await User.getSessionObject(finalUser);
         
         res.json({
             message: 'Profile updated successfully',
@@ -171,7 +190,7 @@ router.put('/me/verification', async (req, res) => {
         
         // Fetch final user state and return with verification status
         const finalUser = await User.findById(userId);
-        const userData = User.getPlainObject(finalUser);
+        const userData = await User.getSessionObject(finalUser);
         
         res.json({
             message: 'Verification data updated successfully',
@@ -186,6 +205,55 @@ router.put('/me/verification', async (req, res) => {
     }
 });
 
+// Current user's iCal subscription feed. The link itself is only shown when it's
+// created; only whether there is one and when it was last read are kept.
+router.get('/me/calendar-feed', async (req, res) => {
+    try {
+        const feed = await CalendarFeedToken.findOne({ where: { user_id: req.user.id } });
+
+        res.json({
+            enabled: !!feed,
+            createdAt: feed?.created_at || null,
+            lastAccessedAt: feed?.last_accessed_at || null
+        });
+    } catch (error) {
+        logError('Error fetching calendar feed', { error: error.message, userId: req.user?.id });
+        res.status(500).json({ error: 'Error fetching calendar feed' });
+    }
+});
+
+// Create the current user's feed link, or replace it (the old link stops working)
+router.post('/me/calendar-feed', async (req, res) => {
+    try {
+        const { token, createdAt } = await CalendarFeedToken.createForUser(req.user.id);
+
+        res.status(201).json({
+            enabled: true,
+            url: await calendarFeedService.getFeedUrl(token),
+            createdAt,
+            lastAccessedAt: null
+        });
+    } catch (error) {
+        logError('Error creating calendar feed', { error: error.message, userId: req.user?.id });
+        res.status(500).json({ error: 'Error creating calendar feed' });
+    }
+});
+
+// Turn off the current user's feed
+router.delete('/me/calendar-feed', async (req, res) => {
+    try {
+        const revoked = await CalendarFeedToken.revokeForUser(req.user.id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'No calendar feed to turn off' });
+        }
+
+        res.json({ message: 'Calendar feed turned off' });
+    } catch (error) {
+        logError('Error revoking calendar feed', { error: error.message, userId: req.user?.id });
+        res.status(500).json({ error: 'Error revoking calendar feed' });
+    }
+});
+
 // Update user approval status (admin only)
 router.post('/:userId/approval', authorize('manage', 'User'), async (req, res) => {
     try {
@@ -201,6 +269,27 @@ router.post('/:userId/approval', authorize('manage', 'User'), async (req, res) =
     }
 });
 
+// Override user email verification status (admin only)
+router.post('/:userId/email-verification', authorize('manage', 'User'), async (req, res) => {
+    try {
+        const { isVerified } = req.body;
+        const userId = parseInt(req.params.userId, 10);
+
+        if (typeof isVerified !== 'boolean') {
+            return res.status(400).json({ error: 'isVerified must be a boolean' });
+        }
+
+        const user = await User.setEmailVerified(userId, isVerified);
+        res.json({
+            message: 'Email verification status updated successfully',
+            email_verified_at: user.email_verified_at
+        });
+    } catch (error) {
+        logError('Error updating email verification status', { error: error.message, adminId: req.user?.id });
+        res.status(500).json({ error: 'Error updating email verification status' });
+    }
+});
+
 // Update user profile data (admin only - for editing any user's profile)
 router.put('/:userId/profile', authorize('manage', 'User'), async (req, res) => {
     try {
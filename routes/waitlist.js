@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { WaitlistEntry } = require('../models/WaitlistEntry');
+const { Instructor } = require('../models/Instructor');
+const { authorize } = require('../middleware/permissions');
+const waitlistService = require('../services/WaitlistService');
+const {
+    timeToSlotUTC,
+    formatDateUTC,
+    calculateDurationInSlots,
+    isValidSlot
+} = require('../utils/timeUtils');
+
+// Get the current student's waitlist entries (waiting and on hold)
+router.get('/', authorize('read', 'WaitlistEntry'), async (req, res) => {
+    try {
+        const entries = await WaitlistEntry.listForStudent(req.user.id);
+        res.json({ entries });
+    } catch (error) {
+        console.error('Error fetching waitlist:', error);
+        res.status(500).json({ error: 'Error fetching waitlist' });
+    }
+});
+
+// Join the waitlist for a taken time
+router.post('/', authorize('create', 'WaitlistEntry'), async (req, res) => {
+    try {
+        const { instructorId, startTime, endTime } = req.body;
+
+        if (!instructorId || !startTime || !endTime) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const requestedDate = new Date(startTime);
+        const endDate = new Date(endTime);
+
+        if (isNaN(requestedDate.getTime()) || isNaN(endDate.getTime())) {
+            return res.status(400).json({ error: 'Invalid date format' });
+        }
+
+        if (requestedDate <= new Date()) {
+            return res.status(400).json({ error: 'Cannot join the waitlist for a past time' });
+        }
+
+        const formattedDate = formatDateUTC(requestedDate);
+        const startSlot = timeToSlotUTC(requestedDate);
+        const duration = calculateDurationInSlots(requestedDate, endDate);
+
+        if (!isValidSlot(startSlot) || duration <= 0) {
+            return res.status(400).json({ error: 'Invalid time slots' });
+        }
+
+        const instructor = await Instructor.findByPk(instructorId);
+        if (!instructor || !instructor.is_active) {
+            return res.status(404).json({ error: 'Instructor not found' });
+        }
+
+        // A free time should simply be booked
+        const isFree = await waitlistService.isRangeFree(instructor.id, formattedDate, startSlot, duration);
+        const hold = await waitlistService.findBlockingHold(instructor.id, formattedDate, startSlot, duration, req.user.id);
+        if (isFree && !hold) {
+            return res.status(409).json({ error: 'This time is available. Book it directly instead.' });
+        }
+
+        const entry = await WaitlistEntry.join(req.user.id, instructor.id, formattedDate, startSlot, duration);
+
+        res.status(201).json({
+            message: 'Added to the waitlist',
+            entry
+        });
+    } catch (error) {
+        if (error.message === 'ALREADY_WAITLISTED') {
+            return res.status(409).json({ error: 'You are already on the waitlist for this time' });
+        }
+        console.error('Error joining waitlist:', error);
+        res.status(500).json({ error: 'Error joining waitlist' });
+    }
+});
+
+// Leave the waitlist. Leaving while holding a time passes it to the next student.
+router.delete('/:entryId', authorize('delete', 'WaitlistEntry'), async (req, res) => {
+    try {
+        const entry = await WaitlistEntry.leave(parseInt(req.params.entryId, 10), req.user.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Waitlist entry not found' });
+        }
+
+        if (entry.status === 'offered') {
+            await waitlistService.notifyFreedSlot(entry);
+        }
+
+        res.json({ message: 'Removed from the waitlist' });
+    } catch (error) {
+        console.error('Error leaving waitlist:', error);
+        res.status(500).json({ error: 'Error leaving waitlist' });
+    }
+});
+
+module.exports = router;
@@ -22,7 +22,8 @@ const createAdminUser = async (models) => {
             email: process.env.ADMIN_EMAIL || 'admin@example.com',
             password: hashedPassword,
             role: 'admin',
-            is_approved: true
+            is_approved: true,
+            email_verified_at: new Date()
         });
 
     } catch (error) {
@@ -20,6 +20,15 @@ const createDefaultAppSettings = async (models) => {
                 value: '30',
                 description: 'Default lesson duration in minutes'
             },
+            {
+                category: 'lessons',
+                key: 'lesson_types',
+                value: JSON.stringify([
+                    { duration_minutes: 30, price_multiplier: 1 },
+                    { duration_minutes: 60, price_multiplier: 2 }
+                ]),
+                description: 'Lesson lengths offered, each priced as a multiple of the instructor rate'
+            },
             {
                 category: 'lessons',
                 key: 'in_person_payment_enabled',
@@ -165,6 +165,163 @@ const createEmailTemplates = async (models) => {
                         bookingId: { type: 'string', description: 'Unique booking identifier', example: '12345' }
                     }
                 }
+            },
+            {
+                template_key: 'lesson-reminder',
+                category: 'booking',
+                name: 'Lesson Reminder',
+                description: 'Sent to students ahead of a booked lesson, at each configured reminder time',
+                default_subject: 'Reminder: Upcoming Lesson',
+                available_variables: {
+                    user: {
+                        studentName: { type: 'string', description: 'Student\'s full name', example: 'John Smith' },
+                        studentEmail: { type: 'string', description: 'Student\'s email address', example: 'john@example.com' }
+                    },
+                    lesson: {
+                        lessonDate: { type: 'date', description: 'Lesson date', example: 'Monday, January 15, 2024' },
+                        startTime: { type: 'time', description: 'Lesson start time', example: '2:00 PM' },
+                        endTime: { type: 'time', description: 'Lesson end time', example: '3:00 PM' },
+                        instructorName: { type: 'string', description: 'Instructor\'s name', example: 'Sarah Johnson' },
+                        duration: { type: 'number', description: 'Lesson duration in minutes', example: '60' }
+                    },
+                    reminder: {
+                        timeUntil: { type: 'string', description: 'How far ahead the reminder is sent', example: '24 hours' }
+                    },
+                    booking: {
+                        bookingId: { type: 'string', description: 'Unique booking identifier', example: '12345' }
+                    }
+                }
+            },
+            {
+                template_key: 'waitlist-offer',
+                category: 'booking',
+                name: 'Waitlist Offer',
+                description: 'Sent to the next waitlisted student when a lesson time they wanted is freed and held for them',
+                default_subject: 'A Lesson Time You Wanted Is Available',
+                available_variables: {
+                    user: {
+                        studentName: { type: 'string', description: 'Student\'s full name', example: 'John Smith' },
+                        studentEmail: { type: 'string', description: 'Student\'s email address', example: 'john@example.com' }
+                    },
+                    lesson: {
+                        lessonDate: { type: 'date', description: 'Lesson date', example: 'Monday, January 15, 2024' },
+                        startTime: { type: 'time', description: 'Lesson start time', example: '2:00 PM' },
+                        endTime: { type: 'time', description: 'Lesson end time', example: '3:00 PM' },
+                        instructorName: { type: 'string', description: 'Instructor\'s name', example: 'Sarah Johnson' },
+                        duration: { type: 'number', description: 'Lesson duration in minutes', example: '30' }
+                    },
+                    hold: {
+                        timeLeft: { type: 'string', description: 'How long the time is held for the student', example: '60 minutes' }
+                    }
+                }
+            },
+            {
+                template_key: 'gift-voucher',
+                category: 'payment',
+                name: 'Gift Voucher',
+                description: 'Sent to the recipient of a gifted lesson package with the code to redeem it',
+                default_subject: 'You\'ve Received a Gift of Lessons',
+                available_variables: {
+                    recipient: {
+                        recipientName: { type: 'string', description: 'Recipient\'s name as entered by the buyer', example: 'Alex Rivera' }
+                    },
+                    purchaser: {
+                        purchaserName: { type: 'string', description: 'Name of the person who bought the gift', example: 'Jane Doe' }
+                    },
+                    voucher: {
+                        code: { type: 'string', description: 'Code to redeem', example: 'GIFT-7KQ2-MX9P' },
+                        planName: { type: 'string', description: 'Name of the gifted package', example: '10-Lesson Package' },
+                        credits: { type: 'number', description: 'Number of lesson credits', example: '10' },
+                        duration: { type: 'number', description: 'Lesson length in minutes', example: '30' },
+                        expiresAt: { type: 'date', description: 'Last day the code can be redeemed', example: 'January 15, 2025' },
+                        message: { type: 'string', description: 'Personal message from the buyer', example: 'Happy birthday!' }
+                    }
+                }
+            },
+            {
+                template_key: 'payment-failed',
+                category: 'payment',
+                name: 'Membership Payment Failed',
+                description: 'Sent when a membership renewal payment fails, with a link to update payment details',
+                default_subject: 'Your Membership Payment Failed',
+                available_variables: {
+                    user: {
+                        userName: { type: 'string', description: 'Member\'s full name', example: 'Jane Doe' }
+                    },
+                    subscription: {
+                        planName: { type: 'string', description: 'Name of the membership', example: 'Weekly Membership' },
+                        amountDue: { type: 'number', description: 'Amount of the unpaid invoice', example: '$100.00' },
+                        pausesAt: { type: 'date', description: 'Day weekly lessons are paused if still unpaid', example: 'Monday, January 22' }
+                    }
+                }
+            },
+            {
+                template_key: 'payment-failed-reminder',
+                category: 'payment',
+                name: 'Membership Payment Overdue',
+                description: 'Sent a few days after a failed membership payment if it still hasn\'t been paid',
+                default_subject: 'Reminder: Your Membership Payment Is Overdue',
+                available_variables: {
+                    user: {
+                        userName: { type: 'string', description: 'Member\'s full name', example: 'Jane Doe' }
+                    },
+                    subscription: {
+                        planName: { type: 'string', description: 'Name of the membership', example: 'Weekly Membership' },
+                        amountDue: { type: 'number', description: 'Amount of the unpaid invoice', example: '$100.00' },
+                        pausesAt: { type: 'date', description: 'Day weekly lessons are paused if still unpaid', example: 'Monday, January 22' }
+                    }
+                }
+            },
+            {
+                template_key: 'lessons-paused',
+                category: 'payment',
+                name: 'Weekly Lessons Paused',
+                description: 'Sent when a membership payment is overdue past the grace period and weekly lessons are paused',
+                default_subject: 'Your Weekly Lessons Are Paused',
+                available_variables: {
+                    user: {
+                        userName: { type: 'string', description: 'Member\'s full name', example: 'Jane Doe' }
+                    },
+                    subscription: {
+                        planName: { type: 'string', description: 'Name of the membership', example: 'Weekly Membership' },
+                        amountDue: { type: 'number', description: 'Amount of the unpaid invoice', example: '$100.00' },
+                        pausesAt: { type: 'date', description: 'Day weekly lessons are paused if still unpaid', example: 'Monday, January 22' }
+                    }
+                }
+            },
+            {
+                template_key: 'password-reset',
+                category: 'account',
+                name: 'Password Reset',
+                description: 'Sent when a user requests a link to reset their password',
+                default_subject: 'Reset Your Password',
+                available_variables: {
+                    user: {
+                        userName: { type: 'string', description: 'User\'s full name', example: 'Jane Doe' },
+                        userEmail: { type: 'string', description: 'User\'s email address', example: 'jane@example.com' }
+                    },
+                    reset: {
+                        resetUrl: { type: 'string', description: 'Single-use password reset link', example: 'https://example.com/reset-password?token=...' },
+                        expiresInMinutes: { type: 'number', description: 'Minutes until the link expires', example: '60' }
+                    }
+                }
+            },
+            {
+                template_key: 'email-verification',
+                category: 'account',
+                name: 'Email Verification',
+                description: 'Sent after signup so the user can confirm their email address',
+                default_subject: 'Please Verify Your Email Address',
+                available_variables: {
+                    user: {
+                        userName: { type: 'string', description: 'User\'s full name', example: 'Jane Doe' },
+                        userEmail: { type: 'string', description: 'Address being verified', example: 'jane@example.com' }
+                    },
+                    verification: {
+                        verifyUrl: { type: 'string', description: 'Single-use verification link', example: 'https://example.com/verify-email?token=...' },
+                        expiresInHours: { type: 'number', description: 'Hours until the link expires', example: '24' }
+                    }
+                }
             }
         ];
 
@@ -0,0 +1,224 @@
+const { sequelize } = require('../db/index');
+const { BusyBlock } = require('../models/BusyBlock');
+const { InstructorCalendarConfig } = require('../models/InstructorCalendarConfig');
+const createGoogleCalendarService = require('./GoogleCalendarService');
+const busyTimeProviders = require('./busyTime');
+
+const { BOOKING_EVENT_PROPERTY } = createGoogleCalendarService;
+
+/**
+ * BusyTimeService - Keeps a local copy of instructors' external calendar events
+ *
+ * The booking calendar reads busy time from busy_blocks instead of asking the
+ * instructor's calendar on every view. Where the events come from depends on the
+ * config's provider (see services/busyTime): Google Calendar, a CalDAV server or an
+ * ICS feed. Google syncs incrementally; CalDAV calendars and ICS feeds are copied in
+ * full each time, over a window from SYNC_PAST_DAYS ago to SYNC_FUTURE_DAYS ahead.
+ *
+ * An instructor can connect several calendars; each is synced on its own. Calendars
+ * they chose to leave out of busy time keep syncing, so including one again takes
+ * effect at once.
+ *
+ * syncStale() runs every few minutes: it polls calendars, re-syncs Google calendars
+ * with a watch channel now and then in case a notification was lost, and renews
+ * channels before they expire.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Past events only matter for the weeks the calendar still shows
+const SYNC_PAST_DAYS = 30;
+
+// How far ahead recurring events from CalDAV and ICS feeds are expanded
+const SYNC_FUTURE_DAYS = 365;
+
+// Unwatched calendars are polled this often; watched ones only as a safety net
+const POLL_INTERVAL_MS = 10 * 60 * 1000;
+const WATCHED_SYNC_INTERVAL_MS = 6 * HOUR_MS;
+
+// Syncs of the same calendar run one after another, so sync tokens are used in order
+const queues = new Map();
+
+/**
+ * Bring a calendar's busy blocks up to date
+ * @param {number} configId - InstructorCalendarConfig ID
+ * @param {Date} [now] - Reference time (injectable for tests)
+ * @returns {Promise<{ full: boolean, changed: number }|null>} Null if the calendar can't be reached
+ */
+const syncCalendar = async (configId, now = new Date()) => {
+    const calendarConfig = await InstructorCalendarConfig.findByPk(configId);
+    if (!calendarConfig || !calendarConfig.is_active) {
+        return null;
+    }
+
+    const provider = busyTimeProviders.getProvider(calendarConfig.provider);
+    const changes = await provider.fetchChanges(calendarConfig, {
+        now,
+        rangeStart: new Date(now.getTime() - SYNC_PAST_DAYS * DAY_MS),
+        rangeEnd: new Date(now.getTime() + SYNC_FUTURE_DAYS * DAY_MS)
+    });
+    if (!changes) {
+        return null;
+    }
+
+    await sequelize.transaction(async (transaction) => {
+        if (changes.full) {
+            await BusyBlock.destroy({ where: { instructor_calendar_config_id: configId }, transaction });
+        }
+
+        for (const event of changes.items) {
+            // Lessons pushed by GoogleCalendarSyncService are already on the booking calendar
+            if (event.status === 'cancelled' || event.extendedProperties?.private?.[BOOKING_EVENT_PROPERTY]) {
+                await BusyBlock.removeEvent(configId, event.id, transaction);
+            } else if (event.start && event.end) {
+                await BusyBlock.saveEvent(configId, event, transaction);
+            }
+        }
+
+        await calendarConfig.update({
+            sync_token: changes.syncToken || null,
+            last_synced_at: now
+        }, { transaction });
+    });
+
+    return { full: changes.full, changed: changes.items.length };
+};
+
+/**
+ * Queue a sync of a calendar after any already running for it. Failures are logged, not
+ * thrown; the busy blocks stay as they were until the next sync succeeds.
+ * @param {number} configId - InstructorCalendarConfig ID
+ * @returns {Promise<Object|null>} Result of syncCalendar(), or null
+ */
+const queueSync = (configId) => {
+    const run = (queues.get(configId) || Promise.resolve())
+        .then(() => syncCalendar(configId))
+        .catch(error => {
+            if (error.code === 400 || error.code === 401 || error.message?.includes('invalid_grant')) {
+                console.warn(`Calendar sync skipped for calendar ${configId}: ${error.message || 'Credentials expired or revoked'}`);
+            } else {
+                console.error(`Calendar sync failed for calendar ${configId}:`, error.message || error);
+            }
+            return null;
+        })
+        .finally(() => {
+            if (queues.get(configId) === run) {
+                queues.delete(configId);
+            }
+        });
+
+    queues.set(configId, run);
+    return run;
+};
+
+/**
+ * Wait for every queued sync to finish
+ * @returns {Promise<void>}
+ */
+const drain = async () => {
+    while (queues.size > 0) {
+        await Promise.all([...queues.values()]);
+    }
+};
+
+/**
+ * The instructor's external events overlapping a range, as the Google Calendar API returns them
+ * @param {Object} calendarConfig - Active InstructorCalendarConfig
+ * @param {Date} startDate - Range start
+ * @param {Date} endDate - Range end (exclusive)
+ * @returns {Promise<Array>} Event resources
+ */
+const getBusyEvents = async (calendarConfig, startDate, endDate) => {
+    // Copy the calendar the first time it's viewed instead of waiting for the sync job
+    if (!calendarConfig.last_synced_at) {
+        await queueSync(calendarConfig.id);
+    }
+
+    const blocks = await BusyBlock.findInRange(calendarConfig.id, startDate, endDate);
+    return blocks.map(block => block.toEvent());
+};
+
+/**
+ * Make sure a calendar gets change notifications, where its provider sends them
+ * @param {Object} calendarConfig - InstructorCalendarConfig
+ * @param {Date} [now] - Reference time (injectable for tests)
+ * @returns {Promise<boolean>} Whether the calendar is watched
+ */
+const ensureWatch = async (calendarConfig, now = new Date()) => {
+    const provider = busyTimeProviders.getProvider(calendarConfig.provider);
+    return provider.ensureWatch ? provider.ensureWatch(calendarConfig, now) : false;
+};
+
+/**
+ * Stop a calendar's change notifications, e.g. before its config is removed
+ * @param {Object} calendarConfig - InstructorCalendarConfig
+ */
+const stopWatch = async (calendarConfig) => {
+    const provider = busyTimeProviders.getProvider(calendarConfig.provider);
+    if (provider.stopWatch) {
+        await provider.stopWatch(calendarConfig);
+    }
+};
+
+/**
+ * Handle a change notification from a Google watch channel
+ * @param {Object} headers - Request headers (lower-case names, as Express gives them)
+ * @returns {Promise<boolean>} False if the channel or its token isn't ours
+ */
+const handleNotification = async (headers) => {
+    const calendarConfig = await busyTimeProviders.getProvider('google').findNotifiedCalendar(headers);
+    if (!calendarConfig) {
+        return false;
+    }
+
+    // 'sync' only confirms the channel was created; anything else means the calendar changed
+    if (headers['x-goog-resource-state'] !== 'sync') {
+        queueSync(calendarConfig.id);
+    }
+
+    return true;
+};
+
+/**
+ * Keep every active calendar current: renew watch channels, poll calendars without one
+ * and re-sync watched calendars that haven't synced for a while. Run every few minutes.
+ * @param {Date} [now] - Reference time (injectable for tests)
+ * @returns {Promise<{ synced: number, watched: number }>} Counts for logging
+ */
+const syncStale = async (now = new Date()) => {
+    const configs = await InstructorCalendarConfig.findAll({ where: { is_active: true } });
+
+    let synced = 0;
+    let watched = 0;
+
+    for (const calendarConfig of configs) {
+        try {
+            const isWatched = await ensureWatch(calendarConfig, now);
+            if (isWatched) {
+                watched++;
+            }
+
+            const interval = isWatched ? WATCHED_SYNC_INTERVAL_MS : POLL_INTERVAL_MS;
+            const lastSynced = calendarConfig.last_synced_at ? new Date(calendarConfig.last_synced_at).getTime() : 0;
+            if (now.getTime() - lastSynced >= interval && await queueSync(calendarConfig.id)) {
+                synced++;
+            }
+        } catch (error) {
+            console.error(`Error syncing calendar ${calendarConfig.id}:`, error);
+        }
+    }
+
+    return { synced, watched };
+};
+
+module.exports = {
+    syncCalendar,
+    queueSync,
+    drain,
+    getBusyEvents,
+    ensureWatch,
+    stopWatch,
+    handleNotification,
+    syncStale
+};
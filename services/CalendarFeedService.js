@@ -0,0 +1,199 @@
+// Polyfill crypto for ical-generator compatibility
+if (typeof global.crypto === 'undefined') {
+    global.crypto = require('crypto').webcrypto;
+}
+
+const { Op } = require('sequelize');
+const { default: ical, ICalEventStatus } = require('ical-generator');
+const { Calendar } = require('../models/Calendar');
+const { GroupSession } = require('../models/GroupSession');
+const { Instructor } = require('../models/Instructor');
+const { User } = require('../models/User');
+const { AppSettings } = require('../models/AppSettings');
+const config = require('../config');
+const { createUTCDateFromSlot, formatDateUTC } = require('../utils/timeUtils');
+const { DEFAULTS } = require('../utils/emailConstants');
+
+/**
+ * CalendarFeedService - Builds each user's iCal subscription feed
+ *
+ * Students and instructors can subscribe to a secret URL (see CalendarFeedToken) from
+ * their phone or desktop calendar app. The feed lists their lessons from
+ * FEED_PAST_DAYS ago onwards. Cancelled lessons stay in it as STATUS:CANCELLED, so
+ * calendar apps that already copied them mark them cancelled instead of keeping them.
+ *
+ * Students see their own lessons and those of dependents on their account. Instructors
+ * see the lessons they teach, with a group class appearing once rather than per seat.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SLOT_MS = 15 * 60 * 1000;
+
+// How far back lessons stay in the feed
+const FEED_PAST_DAYS = 30;
+
+// How often calendar apps are asked to refresh the feed
+const REFRESH_SECONDS = 15 * 60;
+
+const FEED_PATH = '/api/public/calendar-feed';
+
+/**
+ * The site's base URL, used for feed links and event UIDs
+ * @private
+ */
+const getBaseUrl = async () => {
+    const baseUrl = await AppSettings.getSetting('business', 'base_url');
+    return (typeof baseUrl === 'string' && baseUrl ? baseUrl : config.server.frontendUrl).replace(/\/$/, '');
+};
+
+/**
+ * The subscription URL for a feed token
+ * @param {string} token - Raw feed token
+ * @returns {Promise<string>} Feed URL
+ */
+const getFeedUrl = async (token) => `${await getBaseUrl()}${FEED_PATH}/${token}.ics`;
+
+/**
+ * Add a lesson to the feed
+ * @private
+ */
+const addLesson = (calendar, domain, { uid, date, startSlot, duration, summary, description, cancelled }) => {
+    const start = createUTCDateFromSlot(date, startSlot);
+
+    calendar.createEvent({
+        id: `${uid}@${domain}`,
+        start,
+        end: new Date(start.getTime() + duration * SLOT_MS),
+        summary,
+        description,
+        status: cancelled ? ICalEventStatus.CANCELLED : ICalEventStatus.CONFIRMED
+    });
+};
+
+/**
+ * Lessons booked by a student or their dependents
+ * @private
+ */
+const findStudentLessons = async (user, fromDate) => {
+    const studentIds = [user.id, ...await User.getDependentIds(user.id)];
+
+    return Calendar.findAll({
+        where: {
+            student_id: { [Op.in]: studentIds },
+            status: { [Op.in]: ['booked', 'cancelled'] },
+            date: { [Op.gte]: fromDate }
+        },
+        include: [
+            { model: User, as: 'student', attributes: ['id', 'name'] },
+            { model: Instructor, include: [{ model: User, attributes: ['name'] }] },
+            { model: GroupSession, attributes: ['title'], required: false }
+        ],
+        order: [['date', 'ASC'], ['start_slot', 'ASC']]
+    });
+};
+
+/**
+ * An instructor's one-to-one lessons and group classes
+ * @private
+ */
+const findInstructorLessons = async (instructor, fromDate) => {
+    const [lessons, groupSessions] = await Promise.all([
+        Calendar.findAll({
+            where: {
+                instructor_id: instructor.id,
+                student_id: { [Op.ne]: null },
+                group_session_id: null,
+                status: { [Op.in]: ['booked', 'cancelled'] },
+                date: { [Op.gte]: fromDate }
+            },
+            include: [{ model: User, as: 'student', attributes: ['name'] }],
+            order: [['date', 'ASC'], ['start_slot', 'ASC']]
+        }),
+        GroupSession.findAll({
+            where: {
+                instructor_id: instructor.id,
+                date: { [Op.gte]: fromDate }
+            },
+            order: [['date', 'ASC'], ['start_slot', 'ASC']]
+        })
+    ]);
+
+    return { lessons, groupSessions };
+};
+
+/**
+ * Build a user's feed
+ * @param {Object} user - User the feed belongs to
+ * @param {Date} [now] - Reference time (injectable for tests)
+ * @returns {Promise<string>} iCalendar document
+ */
+const buildFeed = async (user, now = new Date()) => {
+    const fromDate = formatDateUTC(new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS));
+    const companyName = await AppSettings.getSetting('business', 'company_name') || DEFAULTS.BUSINESS_NAME;
+    const domain = new URL(await getBaseUrl()).hostname;
+
+    const calendar = ical({
+        name: `${companyName} Lessons`,
+        prodId: {
+            company: companyName,
+            product: 'Booking System'
+        },
+        timezone: 'UTC',
+        ttl: REFRESH_SECONDS
+    });
+
+    for (const lesson of await findStudentLessons(user, fromDate)) {
+        const instructorName = lesson.Instructor?.User?.name || DEFAULTS.USER_LABEL_INSTRUCTOR;
+        const title = lesson.GroupSession ? lesson.GroupSession.title : 'Lesson';
+        const forDependent = lesson.student_id !== user.id;
+
+        addLesson(calendar, domain, {
+            uid: `lesson-${lesson.id}`,
+            date: lesson.date,
+            startSlot: lesson.start_slot,
+            duration: lesson.duration,
+            summary: forDependent
+                ? `${title} with ${instructorName} (${lesson.student?.name || DEFAULTS.USER_LABEL_STUDENT})`
+                : `${title} with ${instructorName}`,
+            description: `Booking ID: #${lesson.id}\nDuration: ${lesson.duration * 15} minutes`,
+            cancelled: lesson.status === 'cancelled'
+        });
+    }
+
+    const instructor = await Instructor.findOne({ where: { user_id: user.id } });
+    if (instructor) {
+        const { lessons, groupSessions } = await findInstructorLessons(instructor, fromDate);
+
+        for (const lesson of lessons) {
+            addLesson(calendar, domain, {
+                uid: `lesson-${lesson.id}`,
+                date: lesson.date,
+                startSlot: lesson.start_slot,
+                duration: lesson.duration,
+                summary: `Lesson with ${lesson.student?.name || DEFAULTS.USER_LABEL_STUDENT}`,
+                description: `Booking ID: #${lesson.id}\nDuration: ${lesson.duration * 15} minutes`,
+                cancelled: lesson.status === 'cancelled'
+            });
+        }
+
+        for (const session of groupSessions) {
+            addLesson(calendar, domain, {
+                uid: `group-session-${session.id}`,
+                date: session.date,
+                startSlot: session.start_slot,
+                duration: session.duration,
+                summary: `${session.title} (group class)`,
+                description: `Group class for up to ${session.capacity} students\nDuration: ${session.duration * 15} minutes`,
+                cancelled: session.status === 'cancelled'
+            });
+        }
+    }
+
+    return calendar.toString();
+};
+
+module.exports = {
+    FEED_PAST_DAYS,
+    getFeedUrl,
+    buildFeed
+};
@@ -1,10 +1,101 @@
 const cron = require('node-cron');
 const emailService = require('./EmailService');
+const lessonReminderService = require('./LessonReminderService');
+const waitlistService = require('./WaitlistService');
+const recurringBookingService = require('./RecurringBookingService');
+const dunningService = require('./DunningService');
+const googleCalendarSyncService = require('./GoogleCalendarSyncService');
+const busyTimeService = require('./BusyTimeService');
+const emailQueueService = require('./EmailQueueService');
+const { EmailOutbox } = require('../models/EmailOutbox');
+const logger = require('../utils/logger');
+
+// Lessons start on 15-minute slots, so checking at the same cadence keeps reminders on time
+const LESSON_REMINDER_SCHEDULE = '*/15 * * * *';
+// Retries are scheduled a minute apart at the shortest, so poll the outbox every minute
+const EMAIL_OUTBOX_SCHEDULE = '* * * * *';
+const EMAIL_OUTBOX_CLEANUP_SCHEDULE = '30 3 * * *';
+// Sent and cancelled emails are kept this long for troubleshooting
+const EMAIL_OUTBOX_RETENTION_DAYS = 30;
+// Lapsed waitlist holds are passed to the next student within five minutes
+const WAITLIST_HOLD_SCHEDULE = '*/5 * * * *';
+// Extend recurring lessons by a day each night so the window stays a full few weeks ahead
+const RECURRING_LESSONS_SCHEDULE = '0 2 * * *';
+// Grace periods are counted in days, so overdue subscriptions are checked once a day
+const DUNNING_SCHEDULE = '30 1 * * *';
+// Lessons are pushed to Google as they change; this repairs failed pushes and edits made in Google
+const GOOGLE_CALENDAR_SYNC_SCHEDULE = '45 * * * *';
+// Busy time from external calendars: polls calendars without a Google watch channel and renews channels
+const BUSY_TIME_SCHEDULE = '*/5 * * * *';
 
 // Module-level state
 const jobs = new Map();
 let isInitialized = false;
 
+// Register a named job; noOverlap skips a tick while the previous run is still going
+const scheduleJob = (jobName, expression, task) => {
+    const job = cron.schedule(expression, async () => {
+        try {
+            await task();
+        } catch (error) {
+            console.error(`Cron job ${jobName} failed:`, error);
+        }
+    }, { name: jobName, noOverlap: true });
+
+    jobs.set(jobName, job);
+    return job;
+};
+
+const runLessonReminders = async () => {
+    const { queued } = await lessonReminderService.sendDueReminders();
+    if (queued > 0) {
+        logger.info(`Queued ${queued} lesson reminder email(s)`);
+    }
+};
+
+const runWaitlistHolds = async () => {
+    const { expired, offered } = await waitlistService.processExpiredHolds();
+    if (expired > 0) {
+        logger.info(`Expired ${expired} waitlist hold(s), offered ${offered} to the next student(s)`);
+    }
+};
+
+const runRecurringLessons = async () => {
+    const { created, skipped } = await recurringBookingService.generateAll();
+    if (created > 0 || skipped > 0) {
+        logger.info(`Generated ${created} recurring lesson(s), skipped ${skipped} week(s) with a conflict or no credits`);
+    }
+};
+
+const runDunning = async () => {
+    const { reminded, paused } = await dunningService.processOverdue();
+    if (reminded > 0 || paused > 0) {
+        logger.info(`Sent ${reminded} overdue payment reminder(s), paused ${paused} recurring booking(s)`);
+    }
+};
+
+const runGoogleCalendarSync = async () => {
+    const { created, updated, removed } = await googleCalendarSyncService.reconcile();
+    if (created > 0 || updated > 0 || removed > 0) {
+        logger.info(`Repaired Google Calendar sync: created ${created}, updated ${updated}, removed ${removed} event(s)`);
+    }
+};
+
+const runBusyTimeSync = async () => {
+    const { synced } = await busyTimeService.syncStale();
+    if (synced > 0) {
+        logger.info(`Synced busy time from ${synced} calendar(s)`);
+    }
+};
+
+const cleanupEmailOutbox = async () => {
+    const cutoff = new Date(Date.now() - EMAIL_OUTBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const purged = await EmailOutbox.purgeCompleted(cutoff);
+    if (purged > 0) {
+        logger.info(`Purged ${purged} completed email job(s) from the outbox`);
+    }
+};
+
 const initialize = async () => {
     if (isInitialized) {
         return;
@@ -12,6 +103,22 @@ const initialize = async () => {
 
     try {
         // Initializing cron job service
+
+        // Booking jobs run even without email: holds still have to lapse and move down
+        // the waitlist, recurring lessons still have to be booked, overdue subscriptions
+        // still have to be paused and instructors' Google Calendars kept in step
+        if (!jobs.has('waitlist-holds')) {
+            scheduleJob('waitlist-holds', WAITLIST_HOLD_SCHEDULE, runWaitlistHolds);
+            scheduleJob('dunning', DUNNING_SCHEDULE, runDunning);
+            scheduleJob('google-calendar-sync', GOOGLE_CALENDAR_SYNC_SCHEDULE, runGoogleCalendarSync);
+            scheduleJob('busy-time', BUSY_TIME_SCHEDULE, runBusyTimeSync);
+            scheduleJob('recurring-lessons', RECURRING_LESSONS_SCHEDULE, runRecurringLessons);
+
+            // Catch up on weeks that came into the window while the server was down
+            runRecurringLessons().catch(error => {
+                console.error('Failed to generate recurring lessons on startup:', error);
+            });
+        }
         
         // Verify email service is working
         const emailConfigured = await emailService.verifyConnection();
@@ -20,7 +127,14 @@ const initialize = async () => {
             return;
         }
 
+        scheduleJob('email-outbox', EMAIL_OUTBOX_SCHEDULE, emailQueueService.runWorker);
+        scheduleJob('email-outbox-cleanup', EMAIL_OUTBOX_CLEANUP_SCHEDULE, cleanupEmailOutbox);
+        scheduleJob('lesson-reminders', LESSON_REMINDER_SCHEDULE, runLessonReminders);
 
+        // Send anything left in the outbox from before the restart
+        emailQueueService.runWorker().catch(error => {
+            console.error('Failed to drain email outbox on startup:', error);
+        });
         
         isInitialized = true;
         // Cron job service initialized successfully
@@ -53,6 +167,7 @@ const stopAll = () => {
         job.stop();
         // Stopped job
     });
+    jobs.clear();
     isInitialized = false;
 };
 
@@ -61,8 +176,8 @@ const getStatus = () => {
     const status = {};
     jobs.forEach((job, name) => {
         status[name] = {
-            running: job.running,
-            scheduled: job.scheduled
+            status: job.getStatus(),
+            next_run: job.getNextRun()
         };
     });
     return status;
@@ -0,0 +1,198 @@
+const { Op } = require('sequelize');
+const { Subscription } = require('../models/Subscription');
+const { SubscriptionEvent } = require('../models/SubscriptionEvent');
+const { PaymentPlan } = require('../models/PaymentPlan');
+const { RecurringBooking } = require('../models/RecurringBooking');
+const recurringBookingService = require('./RecurringBookingService');
+const emailQueueService = require('./EmailQueueService');
+
+/**
+ * DunningService - Chasing failed subscription renewal payments
+ *
+ * When Stripe can't take a renewal payment (invoice.payment_failed) the subscription
+ * is marked past_due and the student is emailed a link to pay. Stripe keeps retrying
+ * the card meanwhile. A reminder follows after REMINDER_AFTER_DAYS, and once the grace
+ * period is over the subscription's recurring booking is paused: its upcoming lessons
+ * are cancelled with their credits returned, and the weekly time is freed for others.
+ * A successful payment (invoice.paid) ends dunning and resumes the recurring booking.
+ *
+ * dunning_stage records the last email sent (see STAGES) so each is sent once, and
+ * every step is recorded as a SubscriptionEvent.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days after the first failed payment
+const REMINDER_AFTER_DAYS = 3;
+const GRACE_PERIOD_DAYS = 7;
+
+const STAGES = {
+    NONE: 0,
+    FAILED: 1,
+    REMINDED: 2,
+    PAUSED: 3
+};
+
+/**
+ * The local subscription an invoice belongs to
+ * @private
+ */
+const findInvoiceSubscription = async (invoice) => {
+    const stripeSubscriptionId = typeof invoice.subscription === 'string'
+        ? invoice.subscription
+        : invoice.subscription?.id;
+    if (!stripeSubscriptionId) {
+        return null;
+    }
+    return Subscription.findByStripeId(stripeSubscriptionId);
+};
+
+/**
+ * Queue the email for a dunning stage, with the latest failed invoice's amount and payment link
+ * @private
+ */
+const queueNotice = async (subscription, stage, now) => {
+    const [plan, failure] = await Promise.all([
+        PaymentPlan.findByPk(subscription.payment_plan_id),
+        SubscriptionEvent.findOne({
+            where: { subscription_id: subscription.id, event_type: 'invoice.payment_failed' },
+            order: [['created_at', 'DESC'], ['id', 'DESC']]
+        })
+    ]);
+    const invoice = failure?.event_data || {};
+    const failedAt = new Date(subscription.payment_failed_at || now);
+
+    return emailQueueService.queueDunningNotice({
+        userId: subscription.user_id,
+        stage,
+        planName: plan?.name || null,
+        amountDue: typeof invoice.amount_due === 'number' ? invoice.amount_due / 100 : null,
+        currency: invoice.currency || 'usd',
+        paymentUrl: invoice.hosted_invoice_url || null,
+        pausesAt: new Date(failedAt.getTime() + GRACE_PERIOD_DAYS * DAY_MS).toISOString()
+    });
+};
+
+/**
+ * A renewal payment failed: mark the subscription past due and, for the first failure
+ * in a run, email the student
+ * @param {Object} invoice - Stripe invoice from the invoice.payment_failed event
+ * @param {Date} [now] - Reference time (injectable for tests)
+ * @returns {Promise<Object|null>} The subscription, or null if it isn't one of ours
+ */
+const handlePaymentFailed = async (invoice, now = new Date()) => {
+    const subscription = await findInvoiceSubscription(invoice);
+    if (!subscription || subscription.status === 'canceled') {
+        return null;
+    }
+
+    await SubscriptionEvent.recordEvent(subscription.id, 'invoice.payment_failed', invoice);
+
+    // Stripe retries send another failure each time; the first one starts the clock
+    if (subscription.payment_failed_at) {
+        return subscription;
+    }
+
+    await subscription.update({
+        status: 'past_due',
+        payment_failed_at: now,
+        dunning_stage: STAGES.FAILED
+    });
+    await queueNotice(subscription, STAGES.FAILED, now);
+
+    return subscription;
+};
+
+/**
+ * A subscription invoice was paid: end dunning and resume a paused recurring booking
+ * @param {Object} invoice - Stripe invoice from the invoice.paid event
+ * @param {Date} [now] - Reference time (injectable for tests)
+ * @returns {Promise<Object|null>} The subscription, or null if it isn't one of ours
+ */
+const handlePaymentSucceeded = async (invoice, now = new Date()) => {
+    const subscription = await findInvoiceSubscription(invoice);
+    if (!subscription) {
+        return null;
+    }
+
+    await SubscriptionEvent.recordEvent(subscription.id, 'invoice.paid', invoice);
+
+    if (!subscription.payment_failed_at || subscription.status === 'canceled') {
+        return subscription;
+    }
+
+    await subscription.update({
+        status: 'active',
+        payment_failed_at: null,
+        dunning_stage: STAGES.NONE
+    });
+
+    const recurringBooking = await RecurringBooking.findOne({ where: { subscription_id: subscription.id } });
+    if (recurringBooking?.paused_at) {
+        const { created } = await recurringBookingService.resume(recurringBooking, { now });
+        await SubscriptionEvent.recordEvent(subscription.id, 'dunning.resumed', {
+            recurring_booking_id: recurringBooking.id,
+            lessons_booked: created.length
+        });
+    }
+
+    return subscription;
+};
+
+/**
+ * Send reminders and pause recurring bookings for subscriptions whose payment is still
+ * overdue. Run daily.
+ * @param {Date} [now] - Reference time (injectable for tests)
+ * @returns {Promise<{ reminded: number, paused: number }>} Counts for logging
+ */
+const processOverdue = async (now = new Date()) => {
+    const overdue = await Subscription.findAll({
+        where: {
+            status: 'past_due',
+            payment_failed_at: { [Op.ne]: null },
+            dunning_stage: { [Op.lt]: STAGES.PAUSED }
+        }
+    });
+
+    let reminded = 0;
+    let paused = 0;
+
+    for (const subscription of overdue) {
+        try {
+            const daysOverdue = (now.getTime() - new Date(subscription.payment_failed_at).getTime()) / DAY_MS;
+
+            if (daysOverdue >= GRACE_PERIOD_DAYS) {
+                const recurringBooking = await RecurringBooking.findOne({ where: { subscription_id: subscription.id } });
+                const lessonsCancelled = recurringBooking
+                    ? await recurringBookingService.pause(recurringBooking, { now })
+                    : 0;
+
+                await subscription.update({ dunning_stage: STAGES.PAUSED });
+                await SubscriptionEvent.recordEvent(subscription.id, 'dunning.paused', {
+                    recurring_booking_id: recurringBooking?.id || null,
+                    lessons_cancelled: lessonsCancelled
+                });
+                await queueNotice(subscription, STAGES.PAUSED, now);
+                paused++;
+            } else if (daysOverdue >= REMINDER_AFTER_DAYS && subscription.dunning_stage < STAGES.REMINDED) {
+                await subscription.update({ dunning_stage: STAGES.REMINDED });
+                await SubscriptionEvent.recordEvent(subscription.id, 'dunning.reminder', { days_overdue: Math.floor(daysOverdue) });
+                await queueNotice(subscription, STAGES.REMINDED, now);
+                reminded++;
+            }
+        } catch (error) {
+            console.error(`Error processing overdue subscription ${subscription.id}:`, error);
+        }
+    }
+
+    return { reminded, paused };
+};
+
+module.exports = {
+    REMINDER_AFTER_DAYS,
+    GRACE_PERIOD_DAYS,
+    STAGES,
+    handlePaymentFailed,
+    handlePaymentSucceeded,
+    processOverdue
+};
@@ -1,11 +1,8 @@
 const emailService = require('./EmailService');
+const { EmailOutbox, MAX_ATTEMPTS } = require('../models/EmailOutbox');
 
 // Module-level state
-let queue = [];
 let processing = false;
-const RETRY_ATTEMPTS = 3;
-const RETRY_DELAY = 5000; // 5 seconds
-const MAX_QUEUE_SIZE = 1000;
 const RATE_LIMIT_DELAY = 1000; // 1 second between emails
 
 /**
@@ -16,165 +13,142 @@ const delay = (ms) => {
 };
 
 /**
- * Add an email to the queue for asynchronous processing
- * This ensures emails don't block payment transactions
+ * Add an email to the outbox for asynchronous processing
+ * This ensures emails don't block payment transactions, and queued
+ * emails survive a restart
  */
 const queueEmail = async (emailType, data, priority = 'normal') => {
-    const emailJob = {
-        id: Date.now() + Math.random(),
-        type: emailType,
-        data: data,
-        priority: priority,
-        attempts: 0,
-        createdAt: new Date(),
-        status: 'queued'
-    };
-
-    // Prevent queue overflow
-    if (queue.length >= MAX_QUEUE_SIZE) {
-        console.warn('Email queue is full. Dropping oldest emails.');
-        queue.shift();
-    }
-
-    // Add to queue based on priority
-    if (priority === 'high') {
-        queue.unshift(emailJob);
-    } else {
-        queue.push(emailJob);
-    }
+    const job = await EmailOutbox.enqueue(emailType, data, priority);
 
     // Start processing if not already running
     if (!processing) {
         processQueue();
     }
 
-    return emailJob.id;
-};
-
-/**
- * Handle permanently failed emails
- */
-const handleFailedEmail = (job, error) => {
-    // For now, just log. In the future, could:
-    // - Store in database for admin review
-    // - Send to dead letter queue
-    // - Alert administrators
-    console.error('FAILED EMAIL JOB:', {
-        id: job.id,
-        type: job.type,
-        userId: job.data.userId,
-        error: error.message,
-        attempts: job.attempts,
-        createdAt: job.createdAt
-    });
+    return job.id;
 };
 
 /**
- * Process the email queue asynchronously
+ * Drain every due job from the outbox. Failed sends are rescheduled with
+ * backoff by the model, so the loop ends once nothing is due.
  */
 const processQueue = async () => {
-    if (processing || queue.length === 0) {
+    if (processing) {
         return;
     }
 
     processing = true;
 
-    while (queue.length > 0) {
-        const job = queue.shift();
-        
-        try {
+    try {
+        let job = await EmailOutbox.claimNext();
+
+        while (job) {
             await processEmailJob(job);
-            
+
+            job = await EmailOutbox.claimNext();
+
             // Rate limiting to respect Gmail limits
-            if (queue.length > 0) {
+            if (job) {
                 await delay(RATE_LIMIT_DELAY);
             }
-        } catch (error) {
-            console.error(`Failed to process email job ${job.id}:`, error);
         }
+    } catch (error) {
+        console.error('Failed to process email queue:', error);
+    } finally {
+        processing = false;
     }
+};
 
-    processing = false;
+/**
+ * Send the email for a job
+ * @returns {Promise<Object>} { success, error } from EmailService
+ */
+const sendJob = async (type, data) => {
+    switch (type) {
+        case 'purchase_confirmation':
+            return await emailService.sendPurchaseConfirmation(
+                data.userId,
+                data.planDetails,
+                data.transactionDetails
+            );
+
+        case 'low_balance_warning':
+            return await emailService.sendLowBalanceWarning(
+                data.userId,
+                data.creditsRemaining
+            );
+
+        case 'booking_confirmation':
+            return await emailService.sendBookingConfirmation(
+                data.bookingData,
+                data.paymentMethod
+            );
+
+        case 'rescheduling_confirmation':
+            return await emailService.sendReschedulingConfirmation(
+                data.oldBooking,
+                data.newBooking,
+                data.recipientType
+            );
+
+        case 'credits_exhausted':
+            return await emailService.sendCreditsExhausted(
+                data.userId,
+                data.totalLessonsCompleted
+            );
+
+        case 'lesson_reminder':
+            return await emailService.sendLessonReminder(
+                data.bookingData,
+                data.hoursBefore
+            );
+
+        case 'waitlist_offer':
+            return await emailService.sendWaitlistOffer(data.entryData);
+
+        case 'gift_voucher':
+            return await emailService.sendGiftVoucher(data.voucherData);
+
+        case 'dunning_notice':
+            return await emailService.sendDunningNotice(data.notice);
+
+        case 'password_reset':
+            return await emailService.sendPasswordReset(
+                data.userId,
+                data.resetToken,
+                data.expiresAt
+            );
+
+        case 'email_verification':
+            return await emailService.sendEmailVerification(
+                data.userId,
+                data.verificationToken,
+                data.expiresAt
+            );
+
+        default:
+            throw new Error(`Unknown email type: ${type}`);
+    }
 };
 
 /**
- * Process a single email job with retry logic
+ * Process a single claimed job, recording the outcome in the outbox
  */
 const processEmailJob = async (job) => {
-    job.attempts++;
-    job.status = 'processing';
-
     try {
-        let result;
-
-        switch (job.type) {
-            case 'purchase_confirmation':
-                result = await emailService.sendPurchaseConfirmation(
-                    job.data.userId,
-                    job.data.planDetails,
-                    job.data.transactionDetails
-                );
-                break;
-
-            case 'low_balance_warning':
-                result = await emailService.sendLowBalanceWarning(
-                    job.data.userId,
-                    job.data.creditsRemaining
-                );
-                break;
-
-            case 'booking_confirmation':
-                result = await emailService.sendBookingConfirmation(
-                    job.data.bookingData,
-                    job.data.paymentMethod
-                );
-                break;
-
-            case 'rescheduling_confirmation':
-                result = await emailService.sendReschedulingConfirmation(
-                    job.data.oldBooking,
-                    job.data.newBooking,
-                    job.data.recipientType
-                );
-                break;
-
-            case 'credits_exhausted':
-                result = await emailService.sendCreditsExhausted(
-                    job.data.userId,
-                    job.data.totalLessonsCompleted
-                );
-                break;
-
-            default:
-                throw new Error(`Unknown email type: ${job.type}`);
-        }
+        const result = await sendJob(job.type, job.payload);
 
-        if (result.success) {
-            job.status = 'completed';
-        } else {
+        if (!result.success) {
             throw new Error(result.error);
         }
 
+        await EmailOutbox.markSent(job.id);
     } catch (error) {
         console.error(`Email job ${job.id} failed (attempt ${job.attempts}):`, error.message);
-        
-        // Retry logic
-        if (job.attempts < RETRY_ATTEMPTS) {
-            job.status = 'retrying';
-            
-            // Add back to queue for retry after delay
-            setTimeout(() => {
-                queue.unshift(job);
-                if (!processing) {
-                    processQueue();
-                }
-            }, RETRY_DELAY);
-        } else {
-            job.status = 'failed';
+
+        const updated = await EmailOutbox.markFailed(job.id, error.message);
+        if (updated?.status === 'failed') {
             console.error(`Email job ${job.id} permanently failed after ${job.attempts} attempts`);
-            
-            // TODO: Could store failed jobs in database for manual review
-            handleFailedEmail(job, error);
         }
     }
 };
@@ -247,26 +221,124 @@ const queueReschedulingConfirmations = async (oldBooking, newBooking) => {
     return jobIds;
 };
 
+/**
+ * Queue an upcoming lesson reminder email
+ */
+const queueLessonReminder = async (bookingData, hoursBefore) => {
+    return queueEmail('lesson_reminder', {
+        bookingData,
+        hoursBefore
+    }, 'normal');
+};
+
+/**
+ * Queue a waitlist offer email
+ */
+const queueWaitlistOffer = async (entryData) => {
+    return queueEmail('waitlist_offer', {
+        entryData
+    }, 'high'); // High priority since the hold is time-limited
+};
+
+/**
+ * Queue a gift voucher email to its recipient
+ */
+const queueGiftVoucher = async (voucherData) => {
+    return queueEmail('gift_voucher', {
+        voucherData
+    }, 'normal');
+};
+
+/**
+ * Queue a failed subscription payment email
+ */
+const queueDunningNotice = async (notice) => {
+    return queueEmail('dunning_notice', {
+        notice
+    }, 'high'); // High priority since the lessons are paused at a deadline
+};
+
+/**
+ * Queue a password reset email
+ */
+const queuePasswordReset = async (userId, resetToken, expiresAt) => {
+    return queueEmail('password_reset', {
+        userId,
+        resetToken,
+        expiresAt
+    }, 'high'); // High priority since the link expires
+};
+
+/**
+ * Queue an email address verification email
+ */
+const queueEmailVerification = async (userId, verificationToken, expiresAt) => {
+    return queueEmail('email_verification', {
+        userId,
+        verificationToken,
+        expiresAt
+    }, 'high'); // High priority since the user can't log in until verified
+};
+
 /**
  * Get queue status for monitoring
  */
-const getStatus = () => {
+const getStatus = async () => {
+    const counts = await EmailOutbox.getStatusCounts();
     return {
-        queueSize: queue.length,
+        queueSize: counts.pending + counts.processing,
         processing: processing,
-        maxQueueSize: MAX_QUEUE_SIZE,
-        retryAttempts: RETRY_ATTEMPTS
+        retryAttempts: MAX_ATTEMPTS,
+        counts
     };
 };
 
 /**
- * Clear the queue (for shutdown or emergencies)
+ * Cancel all unsent emails (for emergencies)
+ */
+const clearQueue = async () => {
+    return await EmailOutbox.cancelPending();
+};
+
+/**
+ * List emails that exhausted their retries
  */
-const clearQueue = () => {
-    const clearedCount = queue.length;
-    queue = [];
-    processing = false;
-    return clearedCount;
+const getFailedJobs = async () => {
+    return await EmailOutbox.listFailed();
+};
+
+/**
+ * Requeue a failed email and kick the worker
+ * @returns {Promise<Object|null>} The requeued job, or null if it isn't a failed job
+ */
+const resendFailedJob = async (jobId) => {
+    const job = await EmailOutbox.resend(jobId);
+
+    if (job && !processing) {
+        processQueue();
+    }
+
+    return job;
+};
+
+/**
+ * Drop a failed email without resending it
+ */
+const discardFailedJob = async (jobId) => {
+    return await EmailOutbox.discard(jobId);
+};
+
+/**
+ * Recover jobs left mid-send by a previous process, then drain the outbox.
+ * Called on a schedule by CronJobService.
+ */
+const runWorker = async () => {
+    const released = await EmailOutbox.releaseStale();
+    if (released > 0) {
+        console.warn(`Released ${released} stale email job(s) back to the queue`);
+    }
+
+    await processQueue();
 };
 
 module.exports = {
@@ -276,6 +348,17 @@ module.exports = {
     queueCreditsExhausted,
     queueBookingConfirmation,
     queueReschedulingConfirmations,
+    queueLessonReminder,
+    queueWaitlistOffer,
+    queueGiftVoucher,
+    queueDunningNotice,
+    queuePasswordReset,
+    queueEmailVerification,
+    processQueue,
+    runWorker,
     getStatus,
-    clearQueue
+    clearQueue,
+    getFailedJobs,
+    resendFailedJob,
+    discardFailedJob
 };
@@ -16,8 +16,15 @@ const {
     generateBookingConfirmationHTML,
     generateReschedulingHTML,
     generateAbsenceNotificationHTML,
+    generateLessonReminderHTML,
+    generateWaitlistOfferHTML,
+    generateGiftVoucherHTML,
+    generateDunningNoticeHTML,
+    generatePasswordResetHTML,
+    generateEmailVerificationHTML,
     getTemplateSubject
 } = require('../utils/emailTemplates');
+const { URL_PATHS } = require('../utils/emailConstants');
 
 /**
  * Initialize providers and handle centralized logging
@@ -160,8 +167,20 @@ const getBusinessSettingsWithLogo = async () => {
         return businessSettings;
     }
 
+    /**
+     * Addresses for a student's emails: their own and their guardian's
+     * Dependents usually have no address, so their emails reach the guardian
+     * @private
+     */
+const getStudentRecipients = async (student) => {
+        if (!student) return null;
+        if (!student.id) return student.email || null;
+        return await User.getEmailRecipients(student.id);
+    }
+
     /**
      * Send purchase confirmation email (system email - always uses nodemailer)
+     * The receipt PDF is attached when transactionDetails has the transaction's id
      */
 const sendPurchaseConfirmation = async (userId, planDetails, transactionDetails) => {
         try {
@@ -176,7 +195,13 @@ const sendPurchaseConfirmation = async (userId, planDetails, transactionDetails)
             const subject = await getTemplateSubject('purchase-confirmation', 'Purchase Confirmation - Lesson Credits');
             const htmlContent = await generatePurchaseConfirmationHTML(user, planDetails, transactionDetails, businessSettings);
 
+            const { getInvoiceAttachment } = require('./InvoiceService');
+            const receipt = transactionDetails?.id ? await getInvoiceAttachment(transactionDetails.id) : null;
+
             // No instructorId = uses nodemailer provider (system email)
+            if (receipt) {
+                return await sendEmailWithAttachment(user.email, subject, htmlContent, receipt);
+            }
             return await sendEmail(user.email, subject, htmlContent);
         } catch (error) {
             console.error('Failed to send purchase confirmation:', error);
@@ -201,7 +226,7 @@ const sendLowBalanceWarning = async (userId, creditsRemaining) => {
             const htmlContent = await generateLowBalanceHTML(user, creditsRemaining, businessSettings);
 
             // No instructorId = uses nodemailer provider (system email)
-            return await sendEmail(user.email, subject, htmlContent);
+            return await sendEmail(await getStudentRecipients(user), subject, htmlContent);
         } catch (error) {
             console.error('Failed to send low balance warning:', error);
             return { success: false, error: error.message };
@@ -219,8 +244,9 @@ const sendReschedulingConfirmation = async (oldBooking, newBooking, recipientTyp
 
             const isForStudent = recipientType === 'student';
             const recipient = isForStudent ? newBooking.student : newBooking.Instructor?.User;
+            const to = isForStudent ? await getStudentRecipients(recipient) : recipient?.email;
             
-            if (!recipient || !recipient.email) {
+            if (!to) {
                 throw new Error(`${recipientType} email not found in booking data`);
             }
 
@@ -233,13 +259,13 @@ const sendReschedulingConfirmation = async (oldBooking, newBooking, recipientTyp
             const htmlContent = await generateReschedulingHTML(oldBooking, newBooking, recipientType, businessSettings);
             
             // Generate updated calendar attachment
-            const calendarAttachment = generateCalendarAttachment(newBooking);
+            const calendarAttachment = generateCalendarAttachment(newBooking, isForStudent ? to : null);
 
             // Get instructor ID for provider selection (Gmail API if available)
             const instructorId = newBooking.Instructor?.id || newBooking.instructor_id;
 
             return await sendEmailWithAttachment(
-                recipient.email,
+                to,
                 subject,
                 htmlContent,
                 calendarAttachment,
@@ -268,7 +294,7 @@ const sendCreditsExhausted = async (userId, totalLessonsCompleted = 0) => {
             const htmlContent = await generateCreditsExhaustedHTML(user, totalLessonsCompleted, businessSettings);
 
             // No instructorId = uses nodemailer provider (system email)
-            return await sendEmail(user.email, subject, htmlContent);
+            return await sendEmail(await getStudentRecipients(user), subject, htmlContent);
         } catch (error) {
             console.error('Failed to send credits exhausted email:', error);
             return { success: false, error: error.message };
@@ -280,7 +306,8 @@ const sendCreditsExhausted = async (userId, totalLessonsCompleted = 0) => {
      */
 const sendBookingConfirmation = async (bookingData, paymentMethod = 'credits') => {
         try {
-            if (!bookingData.student || !bookingData.student.email) {
+            const to = await getStudentRecipients(bookingData.student);
+            if (!to) {
                 throw new Error('Student email not found in booking data');
             }
 
@@ -291,13 +318,13 @@ const sendBookingConfirmation = async (bookingData, paymentMethod = 'credits') =
             const htmlContent = await generateBookingConfirmationHTML(bookingData, paymentMethod, businessSettings);
             
             // Generate calendar attachment
-            const calendarAttachment = generateCalendarAttachment(bookingData);
+            const calendarAttachment = generateCalendarAttachment(bookingData, to);
 
             // Get instructor ID for provider selection (Gmail API if available)
             const instructorId = bookingData.Instructor?.id || bookingData.instructor_id;
 
             return await sendEmailWithAttachment(
-                bookingData.student.email,
+                to,
                 subject,
                 htmlContent,
                 calendarAttachment,
@@ -314,7 +341,8 @@ const sendBookingConfirmation = async (bookingData, paymentMethod = 'credits') =
      */
 const sendAbsenceNotification = async (bookingData, attendanceNotes = '') => {
         try {
-            if (!bookingData.student || !bookingData.student.email) {
+            const to = await getStudentRecipients(bookingData.student);
+            if (!to) {
                 throw new Error('Student email not found in booking data');
             }
 
@@ -325,18 +353,204 @@ const sendAbsenceNotification = async (bookingData, attendanceNotes = '') => {
             const htmlContent = await generateAbsenceNotificationHTML(bookingData, attendanceNotes, businessSettings);
 
             // No instructorId = uses nodemailer provider (system email)
-            return await sendEmail(bookingData.student.email, subject, htmlContent);
+            return await sendEmail(to, subject, htmlContent);
         } catch (error) {
             console.error('Failed to send absence notification:', error);
             return { success: false, error: error.message };
         }
     }
 
+    /**
+     * Send an upcoming lesson reminder to the student
+     * @param {Object} bookingData - Calendar event with student and Instructor.User loaded
+     * @param {number} hoursBefore - Reminder window the lesson falls into
+     */
+const sendLessonReminder = async (bookingData, hoursBefore) => {
+        try {
+            const to = await getStudentRecipients(bookingData.student);
+            if (!to) {
+                throw new Error('Student email not found in booking data');
+            }
+
+            // Get business settings with logo
+            const businessSettings = await getBusinessSettingsWithLogo();
+            
+            const subject = await getTemplateSubject('lesson-reminder', 'Reminder: Upcoming Lesson');
+            const htmlContent = await generateLessonReminderHTML(bookingData, hoursBefore, businessSettings);
+
+            // Same provider selection as the booking confirmation (Gmail API if available)
+            const instructorId = bookingData.Instructor?.id || bookingData.instructor_id;
+
+            return await sendEmail(to, subject, htmlContent, { instructorId });
+        } catch (error) {
+            console.error('Failed to send lesson reminder:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Send waitlist offer email (a freed lesson time is on hold for the student)
+     */
+const sendWaitlistOffer = async (entryData) => {
+        try {
+            const to = await getStudentRecipients(entryData.student);
+            if (!to) {
+                throw new Error('Student email not found in waitlist data');
+            }
+
+            // Get business settings with logo
+            const businessSettings = await getBusinessSettingsWithLogo();
+
+            // Retries can delay delivery, so report the time actually left on the hold
+            const holdMinutesLeft = Math.max(1, Math.round((new Date(entryData.hold_expires_at).getTime() - Date.now()) / 60000));
+            
+            const subject = await getTemplateSubject('waitlist-offer', 'A Lesson Time You Wanted Is Available');
+            const htmlContent = await generateWaitlistOfferHTML(entryData, holdMinutesLeft, businessSettings);
+
+            const instructorId = entryData.Instructor?.id || entryData.instructor_id;
+
+            return await sendEmail(to, subject, htmlContent, { instructorId });
+        } catch (error) {
+            console.error('Failed to send waitlist offer:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Send a gift voucher code to its recipient (system email - always uses nodemailer)
+     */
+const sendGiftVoucher = async (voucherData) => {
+        try {
+            if (!voucherData.recipient_email) {
+                throw new Error('Recipient email not found in gift voucher data');
+            }
+
+            const purchaser = voucherData.purchaser_id ? await User.findById(voucherData.purchaser_id) : null;
+
+            // Get business settings with logo
+            const businessSettings = await getBusinessSettingsWithLogo();
+            
+            const subject = await getTemplateSubject('gift-voucher', 'You\'ve Received a Gift of Lessons');
+            const htmlContent = await generateGiftVoucherHTML(voucherData, purchaser, businessSettings);
+
+            // No instructorId = uses nodemailer provider (system email)
+            return await sendEmail(voucherData.recipient_email, subject, htmlContent);
+        } catch (error) {
+            console.error('Failed to send gift voucher:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Email templates for each dunning stage (see DunningService.STAGES)
+     * @private
+     */
+const DUNNING_TEMPLATES = {
+        1: { key: 'payment-failed', subject: 'Your Membership Payment Failed' },
+        2: { key: 'payment-failed-reminder', subject: 'Reminder: Your Membership Payment Is Overdue' },
+        3: { key: 'lessons-paused', subject: 'Your Weekly Lessons Are Paused' }
+    };
+
+    /**
+     * Send a failed subscription payment email for a dunning stage (system email - always uses nodemailer)
+     */
+const sendDunningNotice = async (notice) => {
+        try {
+            const template = DUNNING_TEMPLATES[notice.stage];
+            if (!template) {
+                throw new Error(`Unknown dunning stage: ${notice.stage}`);
+            }
+
+            const user = await User.findById(notice.userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            // Get business settings with logo
+            const businessSettings = await getBusinessSettingsWithLogo();
+
+            const subject = await getTemplateSubject(template.key, template.subject);
+            const htmlContent = await generateDunningNoticeHTML(template.key, user, notice, businessSettings);
+
+            // No instructorId = uses nodemailer provider (system email)
+            return await sendEmail(await getStudentRecipients(user), subject, htmlContent);
+        } catch (error) {
+            console.error('Failed to send dunning notice:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Build an absolute link carrying a single-use token
+     * Token links must always be usable, so fall back to the configured frontend URL
+     * @private
+     */
+const buildTokenLink = (businessSettings, path, token) => {
+        const baseUrl = (businessSettings.base_url || config.server.frontendUrl).replace(/\/$/, '');
+        return `${baseUrl}${path}?token=${encodeURIComponent(token)}`;
+    }
+
+    /**
+     * Send password reset link (system email - always uses nodemailer)
+     */
+const sendPasswordReset = async (userId, resetToken, expiresAt) => {
+        try {
+            const user = await User.findById(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            // Get business settings with logo
+            const businessSettings = await getBusinessSettingsWithLogo();
+
+            const resetUrl = buildTokenLink(businessSettings, URL_PATHS.RESET_PASSWORD, resetToken);
+            const expiresInMinutes = Math.max(1, Math.round((new Date(expiresAt).getTime() - Date.now()) / 60000));
+            
+            const subject = await getTemplateSubject('password-reset', 'Reset Your Password');
+            const htmlContent = await generatePasswordResetHTML(user, resetUrl, expiresInMinutes, businessSettings);
+
+            // No instructorId = uses nodemailer provider (system email)
+            return await sendEmail(user.email, subject, htmlContent);
+        } catch (error) {
+            console.error('Failed to send password reset email:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Send email address verification link (system email - always uses nodemailer)
+     */
+const sendEmailVerification = async (userId, verificationToken, expiresAt) => {
+        try {
+            const user = await User.findById(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            // Get business settings with logo
+            const businessSettings = await getBusinessSettingsWithLogo();
+
+            const verifyUrl = buildTokenLink(businessSettings, URL_PATHS.VERIFY_EMAIL, verificationToken);
+            const expiresInHours = Math.max(1, Math.round((new Date(expiresAt).getTime() - Date.now()) / 3600000));
+            
+            const subject = await getTemplateSubject('email-verification', 'Please Verify Your Email Address');
+            const htmlContent = await generateEmailVerificationHTML(user, verifyUrl, expiresInHours, businessSettings);
+
+            // No instructorId = uses nodemailer provider (system email)
+            return await sendEmail(user.email, subject, htmlContent);
+        } catch (error) {
+            console.error('Failed to send email verification:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
 /**
  * Generate calendar attachment for booking
  * Utility method kept from original EmailService
+ * @param {string} [recipients] - Addresses the email goes to; the first is the attendee
+ *   when the student has no address of their own (a guardian's dependent)
  */
-const generateCalendarAttachment = (booking) => {
+const generateCalendarAttachment = (booking, recipients) => {
     try {
         // Convert slot to actual datetime using date helpers
         const startHour = Math.floor(booking.start_slot / 4);
@@ -352,6 +566,7 @@ const generateCalendarAttachment = (booking) => {
         
         const instructorName = booking.Instructor?.User?.name || 'Your Instructor';
         const studentName = booking.student?.name || 'Student';
+        const attendeeEmail = booking.student?.email || recipients?.split(', ')[0];
         
         // Create calendar
         const calendar = ical({
@@ -372,14 +587,14 @@ const generateCalendarAttachment = (booking) => {
                 name: instructorName,
                 email: config.email.user
             },
-            attendees: [
+            attendees: attendeeEmail ? [
                 {
                     name: studentName,
-                    email: booking.student.email,
+                    email: attendeeEmail,
                     role: 'REQ-PARTICIPANT',
                     status: 'ACCEPTED'
                 }
-            ],
+            ] : [],
             uid: `booking-${booking.id}@${config.email.user?.split('@')[1] || 'lessonbooking.com'}`,
             sequence: 0,
             busyStatus: 'BUSY',
@@ -412,5 +627,11 @@ module.exports = {
     sendCreditsExhausted,
     sendBookingConfirmation,
     sendAbsenceNotification,
+    sendLessonReminder,
+    sendWaitlistOffer,
+    sendGiftVoucher,
+    sendDunningNotice,
+    sendPasswordReset,
+    sendEmailVerification,
     initializeProviders // Export for explicit initialization from server.js
 };
@@ -0,0 +1,167 @@
+const { GiftVoucher } = require('../models/GiftVoucher');
+const { PaymentPlan } = require('../models/PaymentPlan');
+const { Transactions } = require('../models/Transactions');
+const { createPaymentIntent } = require('../config/stripe');
+const emailQueueService = require('./EmailQueueService');
+
+/**
+ * GiftVoucherService - Buying lesson packages for someone else
+ *
+ * A gift is paid by card like any other package, but the pending transaction has a
+ * gift_vouchers row pointing at it. When the payment succeeds (reported through
+ * StripePaymentService.syncPaymentIntent) the voucher is issued and its code is
+ * emailed to the recipient instead of crediting the buyer. Any account can then
+ * redeem the code for the package's credits until the voucher expires.
+ */
+
+/**
+ * Start buying a gift. The browser confirms the returned payment intent with the
+ * card details, then reports it through /api/payments/complete-payment.
+ * @param {Object} user - Buyer
+ * @param {number} planId - One-time payment plan ID
+ * @param {Object} recipientData - { recipientName, recipientEmail, message }
+ * @returns {Promise<Object>} { clientSecret, voucherId }
+ */
+const purchaseGiftVoucher = async (user, planId, recipientData = {}) => {
+    const recipient = GiftVoucher.validateRecipient(recipientData);
+
+    const plan = await PaymentPlan.findByPk(planId);
+    if (!plan) {
+        throw new Error('Plan not found');
+    }
+    if (plan.type !== 'one-time') {
+        throw new Error('Gift vouchers are only available for lesson packages');
+    }
+
+    const transaction = await Transactions.create({
+        user_id: user.id,
+        payment_plan_id: plan.id,
+        amount: plan.price,
+        payment_method: 'stripe',
+        status: 'pending'
+    });
+
+    const voucher = await GiftVoucher.createPending(user.id, plan, recipient, transaction.id);
+
+    const paymentIntent = await createPaymentIntent(parseFloat(plan.price), 'usd', {
+        userId: user.id,
+        planId: plan.id,
+        transactionId: transaction.id,
+        giftVoucherId: voucher.id
+    });
+
+    await transaction.update({ payment_intent_id: paymentIntent.id });
+
+    return {
+        clientSecret: paymentIntent.client_secret,
+        voucherId: voucher.id
+    };
+};
+
+/**
+ * Queue the email carrying the code to the recipient
+ * @param {Object} voucher - Issued GiftVoucher record
+ */
+const queueVoucherEmail = async (voucher) => {
+    try {
+        await emailQueueService.queueGiftVoucher(voucher.toJSON());
+    } catch (emailError) {
+        // The voucher is issued either way; the email can be resent by an admin
+        console.error('Email queue error during gift voucher:', emailError);
+    }
+};
+
+/**
+ * Find the gift paid for by a transaction, if it was one
+ * @param {number} transactionId - Transaction ID
+ * @returns {Promise<Object|null>} GiftVoucher record
+ */
+const findForTransaction = async (transactionId) => {
+    return GiftVoucher.findOne({ where: { transaction_id: transactionId } });
+};
+
+/**
+ * Issue a paid gift and email its code. Does nothing for a voucher that was
+ * already issued, so repeated payment reports only send one email.
+ * @param {Object} voucher - GiftVoucher record
+ * @returns {Promise<Object>} The voucher
+ */
+const issueVoucher = async (voucher) => {
+    const issued = await GiftVoucher.issue(voucher);
+    await voucher.reload();
+
+    if (issued) {
+        await queueVoucherEmail(voucher);
+    }
+    return voucher;
+};
+
+/**
+ * Void the unpaid gift of a transaction whose payment failed
+ * @param {number} transactionId - Transaction ID
+ */
+const voidForTransaction = async (transactionId) => {
+    await GiftVoucher.update(
+        { status: 'void' },
+        { where: { transaction_id: transactionId, status: 'pending' } }
+    );
+};
+
+/**
+ * Redeem a gift code into the user's credits
+ * @param {string} code - Voucher code as entered
+ * @param {number} userId - Account redeeming it
+ * @returns {Promise<Object>} The redeemed voucher
+ */
+const redeemVoucher = async (code, userId) => {
+    if (!GiftVoucher.normalizeCode(code)) {
+        throw new Error('Gift voucher code is required');
+    }
+    return GiftVoucher.redeem(code, userId);
+};
+
+/**
+ * Cancel an unredeemed voucher (admin). Refunding the buyer is done in Stripe.
+ * @param {number} id - Voucher ID
+ * @returns {Promise<Object>} The voided voucher
+ */
+const voidVoucher = async (id) => {
+    const voucher = await GiftVoucher.findByPk(id);
+    if (!voucher) {
+        throw new Error('Gift voucher not found');
+    }
+    if (voucher.status === 'redeemed') {
+        throw new Error('Gift voucher has already been redeemed');
+    }
+
+    await voucher.update({ status: 'void' });
+    return voucher;
+};
+
+/**
+ * Send the code to the recipient again (admin)
+ * @param {number} id - Voucher ID
+ * @returns {Promise<Object>} The voucher
+ */
+const resendVoucher = async (id) => {
+    const voucher = await GiftVoucher.findByPk(id);
+    if (!voucher) {
+        throw new Error('Gift voucher not found');
+    }
+    if (voucher.status !== 'issued' || GiftVoucher.isExpired(voucher)) {
+        throw new Error('Gift voucher can only be resent while it can be redeemed');
+    }
+
+    await emailQueueService.queueGiftVoucher(voucher.toJSON());
+    return voucher;
+};
+
+module.exports = {
+    purchaseGiftVoucher,
+    findForTransaction,
+    issueVoucher,
+    voidForTransaction,
+    redeemVoucher,
+    voidVoucher,
+    resendVoucher
+};
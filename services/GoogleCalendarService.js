@@ -4,6 +4,9 @@ const { today } = require('../utils/dateHelpers');
 const { getCalendarMethod, getServiceAccountCredentials } = require('../config/calendarConfig');
 const config = require('../config');
 
+// Private extended property carrying the booking id on lessons pushed to Google (see GoogleCalendarSyncService)
+const BOOKING_EVENT_PROPERTY = 'lessonBookingEventId';
+
 /**
  * Create a new GoogleCalendarService instance
  * @param {Object} options - Configuration options
@@ -12,10 +15,6 @@ const config = require('../config');
 const createGoogleCalendarService = (options = {}) => {
     let auth = null;
     let calendar = null;
-    
-    // Cache for performance
-    const cache = new Map();
-    const cacheTimeout = options.cacheTimeout || (5 * 60 * 1000); // 5 minutes
 
     /**
      * Initialize service account auth client from DB-backed credentials
@@ -32,7 +31,8 @@ const createGoogleCalendarService = (options = {}) => {
         
         try {
             const authOptions = {
-                scopes: ['https://www.googleapis.com/auth/calendar.readonly']
+                // Lessons are written to instructors' calendars as well as read from them
+                scopes: ['https://www.googleapis.com/auth/calendar.events']
             };
             
             if (keyFile) {
@@ -90,90 +90,108 @@ const createGoogleCalendarService = (options = {}) => {
     };
     
     /**
-     * Get calendar events for instructor within date range
+     * Get a Calendar API client for one of the instructor's Google calendars
+     * @param {number} instructorId - Instructor ID
+     * @param {Object} [calendarConfig] - Calendar to reach; defaults to the instructor's first Google calendar, which lessons are pushed to
+     * @returns {Promise<{ calendarApi: Object, calendarId: string }|null>} Null if the instructor has no active Google calendar or authentication
+     */
+    const getCalendarClient = async (instructorId, calendarConfig = null) => {
+        if (!calendarConfig) {
+            const calendars = await InstructorCalendarConfig.findAllByInstructorId(instructorId);
+            calendarConfig = calendars.find(calendar => calendar.provider === 'google');
+        }
+        if (!calendarConfig || calendarConfig.provider !== 'google') {
+            return null;
+        }
+
+        const authClient = await getAuthClient(instructorId);
+        if (!authClient) {
+            return null;
+        }
+
+        const apiOptions = { version: 'v3', auth: authClient };
+        if (config.googleCalendar.apiUrl) {
+            apiOptions.rootUrl = config.googleCalendar.apiUrl;
+        }
+
+        return {
+            calendarApi: google.calendar(apiOptions),
+            calendarId: calendarConfig.calendar_id || 'primary'
+        };
+    };
+
+    /**
+     * Get calendar events for instructor within date range, from the local copy kept
+     * by BusyTimeService (synced first if the calendar never has been). Despite the
+     * service's name this covers every busy time provider: Google, CalDAV and ICS feeds.
+     * Events from all of the instructor's calendars are merged, leaving out calendars
+     * they chose to ignore; each calendar applies its own all-day event handling.
      * @param {number} instructorId - Instructor ID
      * @param {Date} startDate - Start date
      * @param {Date} endDate - End date
      * @returns {Array} Array of calendar events in internal format
      */
     const getEvents = async (instructorId, startDate, endDate) => {
-        const cacheKey = `${instructorId}-${startDate.toISOString()}-${endDate.toISOString()}`;
-        
-        // Check cache first
-        const cached = cache.get(cacheKey);
-        if (cached && (Date.now() - cached.timestamp) < cacheTimeout) {
-            return cached.data;
-        }
-        
         try {
-            // Get calendar configuration for instructor
-            const calendarConfig = await InstructorCalendarConfig.findByInstructorId(instructorId);
-            if (!calendarConfig) {
-                return [];
-            }
-            
-            // Get authenticated client (OAuth or service account)
-            const authClient = await getAuthClient(instructorId);
+            const calendars = await InstructorCalendarConfig.findAllByInstructorId(instructorId);
 
-            if (!authClient) {
-                // No authentication available for instructor
-                return [];
-            }
+            // Required here because BusyTimeService uses this service to reach Google
+            const busyTimeService = require('./BusyTimeService');
+            const events = [];
+            const seen = new Set();
 
-            // Create calendar API instance with authenticated client
-            const calendarApi = google.calendar({ version: 'v3', auth: authClient });
+            for (const calendarConfig of calendars.filter(calendar => calendar.include_in_busy_time)) {
+                try {
+                    const busyEvents = await busyTimeService.getBusyEvents(calendarConfig, startDate, endDate);
+                    const converted = await convertToSlots(busyEvents, calendarConfig.all_day_event_handling);
 
-            const response = await calendarApi.events.list({
-                calendarId: calendarConfig.calendar_id || 'primary', // Use 'primary' for OAuth user's main calendar
-                timeMin: startDate.toISOString(),
-                timeMax: endDate.toISOString(),
-                singleEvents: true,
-                orderBy: 'startTime',
-                maxResults: 250
-            });
-            const googleEvents = response.data.items || [];
-            
-            const convertedEvents = await convertToSlots(googleEvents, calendarConfig.all_day_event_handling);
-            
-            // Cache the results
-            cache.set(cacheKey, {
-                data: convertedEvents,
-                timestamp: Date.now()
-            });
-            
-            return convertedEvents;
-            
-        } catch (error) {
-            // Gracefully handle OAuth errors (expired tokens, invalid grants)
-            if (error.code === 400 || error.message?.includes('invalid_grant')) {
-                console.warn(`Google Calendar OAuth error for instructor ${instructorId}: ${error.message || 'Token expired or revoked'}`);
-            } else {
-                console.error(`Google Calendar error for instructor ${instructorId}:`, error);
-            }
-            
-            // Return cached data if available, otherwise empty array
-            if (cached) {
-                return cached.data;
+                    // The same event can be on several calendars, e.g. a meeting invite
+                    for (const event of converted) {
+                        const key = `${event.id}|${event.date}|${event.start_slot}|${event.duration}`;
+                        if (!seen.has(key)) {
+                            seen.add(key);
+                            events.push(event);
+                        }
+                    }
+                } catch (error) {
+                    console.error(`Calendar error for instructor ${instructorId}, calendar ${calendarConfig.id}:`, error);
+                }
             }
-            
+
+            return events;
+        } catch (error) {
+            console.error(`Google Calendar error for instructor ${instructorId}:`, error);
             return []; // Fail gracefully
         }
     };
     
+    /**
+     * Find one of the instructor's active calendars
+     * @private
+     */
+    const findCalendar = (instructorId, configId) => (configId
+        ? InstructorCalendarConfig.findOne({ where: { id: configId, instructor_id: instructorId, is_active: true } })
+        : InstructorCalendarConfig.findByInstructorId(instructorId));
+
     /**
      * Test calendar access for instructor
      * @param {number} instructorId - Instructor ID
+     * @param {number} [configId] - Calendar to test; defaults to the instructor's first calendar
      * @returns {Object} Test results
      */
-    const testCalendarAccess = async (instructorId) => {
+    const testCalendarAccess = async (instructorId, configId = null) => {
         try {
-            const calendarConfig = await InstructorCalendarConfig.findByInstructorId(instructorId);
+            const calendarConfig = await findCalendar(instructorId, configId);
             if (!calendarConfig) {
                 return {
                     success: false,
                     message: 'No calendar configuration found for this instructor'
                 };
             }
+
+            if (calendarConfig.provider !== 'google') {
+                return await testFeedAccess(calendarConfig);
+            }
             
             // Get authenticated client
             const authClient = await getAuthClient(instructorId);
@@ -216,7 +234,7 @@ const createGoogleCalendarService = (options = {}) => {
             console.error(`Calendar test failed for instructor ${instructorId}:`, error);
             
             // Update test status in config
-            const calendarConfig = await InstructorCalendarConfig.findByInstructorId(instructorId);
+            const calendarConfig = await findCalendar(instructorId, configId);
             if (calendarConfig) {
                 await calendarConfig.updateTestStatus('failed');
             }
@@ -238,6 +256,49 @@ const createGoogleCalendarService = (options = {}) => {
         }
     };
     
+    /**
+     * Test a CalDAV calendar or ICS feed by reading today's events from it
+     * @param {Object} calendarConfig - InstructorCalendarConfig with provider 'caldav' or 'ics'
+     * @returns {Object} Test results
+     */
+    const testFeedAccess = async (calendarConfig) => {
+        const { getProvider } = require('./busyTime');
+        const todayHelper = today();
+
+        try {
+            const events = await getProvider(calendarConfig.provider).listEvents(
+                calendarConfig,
+                todayHelper.toDate(),
+                todayHelper.addDays(1).toDate()
+            );
+            await calendarConfig.updateTestStatus('success');
+
+            return {
+                success: true,
+                message: 'Calendar connection working properly',
+                eventsFound: events.length,
+                calendarId: calendarConfig.source_url,
+                calendarName: calendarConfig.calendar_name || calendarConfig.source_url
+            };
+        } catch (error) {
+            console.error(`Calendar test failed for instructor ${calendarConfig.instructor_id}:`, error.message);
+            await calendarConfig.updateTestStatus('failed');
+
+            let errorMessage = error.message || 'Unknown error occurred';
+            if (error.code === 401 || error.code === 403) {
+                errorMessage = 'The calendar server rejected the username or password.';
+            } else if (error.code === 404) {
+                errorMessage = 'Calendar not found. Please check the URL.';
+            }
+
+            return {
+                success: false,
+                message: errorMessage,
+                error: error.code || 'UNKNOWN_ERROR'
+            };
+        }
+    };
+
     /**
      * Convert Google Calendar events to internal slot format
      * @param {Array} googleEvents - Google Calendar events
@@ -255,6 +316,11 @@ const createGoogleCalendarService = (options = {}) => {
             if (!event || !event.start || !event.end) {
                 continue;
             }
+
+            // Lessons pushed from here are already on the booking calendar
+            if (event.extendedProperties?.private?.[BOOKING_EVENT_PROPERTY]) {
+                continue;
+            }
             
             const isAllDayEvent = !event.start.dateTime; // All-day events only have 'date', not 'dateTime'
             
@@ -470,32 +536,15 @@ const createGoogleCalendarService = (options = {}) => {
         return creds.email || 'Service account email not configured';
     };
     
-    /**
-     * Clear cache for instructor
-     * @param {number} instructorId - Instructor ID (optional)
-     */
-    const clearCache = (instructorId = null) => {
-        if (instructorId) {
-            // Clear cache entries for specific instructor
-            for (const key of cache.keys()) {
-                if (key.startsWith(`${instructorId}-`)) {
-                    cache.delete(key);
-                }
-            }
-        } else {
-            // Clear all cache
-            cache.clear();
-        }
-    };
-    
     // Return service instance with all methods
     return {
+        getCalendarClient,
         getEvents,
         testCalendarAccess,
         isAvailableForInstructor,
-        getServiceAccountEmail,
-        clearCache
+        getServiceAccountEmail
     };
 };
 
-module.exports = createGoogleCalendarService; 
\ No newline at end of file
+module.exports = createGoogleCalendarService;
+module.exports.BOOKING_EVENT_PROPERTY = BOOKING_EVENT_PROPERTY; 
\ No newline at end of file
@@ -0,0 +1,322 @@
+const { Op } = require('sequelize');
+const { Calendar } = require('../models/Calendar');
+const { User } = require('../models/User');
+const { InstructorCalendarConfig } = require('../models/InstructorCalendarConfig');
+const createGoogleCalendarService = require('./GoogleCalendarService');
+const { createUTCDateFromSlot, formatDateUTC } = require('../utils/timeUtils');
+
+const { BOOKING_EVENT_PROPERTY } = createGoogleCalendarService;
+
+/**
+ * GoogleCalendarSyncService - Pushes lessons to instructors' Google Calendars
+ *
+ * GoogleCalendarService reads instructors' busy time in; this writes their lessons out to
+ * their first Google calendar (an instructor may connect several), through the same
+ * service account or OAuth connection.
+ * Calendar model hooks queue a sync whenever a lesson is booked, moved or cancelled:
+ * booked lessons are created or updated in Google and anything else is removed from it.
+ * The Google event id is stored on the booking so later changes update the same event.
+ *
+ * Pushed events carry the booking id as a private extended property. That is how
+ * reconcile() recognizes them and how GoogleCalendarService leaves them out of busy
+ * time. reconcile() runs hourly to repair drift: pushes that failed, lessons deleted or
+ * moved in Google, and events left behind by bookings that were deleted in bulk.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SLOT_MS = 15 * 60 * 1000;
+
+// How far ahead reconcile() checks lessons
+const RECONCILE_DAYS = 60;
+
+// Google answers 410 Gone for events deleted long ago
+const NOT_FOUND_CODES = [404, 410];
+
+// Shared so tests can swap getCalendarClient for a fake Calendar API
+const calendarService = createGoogleCalendarService();
+
+// Syncs for the same booking run one after another, so an event is never inserted twice
+const queues = new Map();
+
+/**
+ * Whether a booking belongs on the instructor's Google Calendar. Group class seats
+ * aren't pushed: the class would appear once per enrolled student.
+ * @private
+ */
+const isPushed = (event) => event.status === 'booked' && !event.group_session_id;
+
+/**
+ * The Google Calendar event for a booking
+ * @private
+ */
+const buildGoogleEvent = (event) => {
+    const start = createUTCDateFromSlot(event.date, event.start_slot);
+    const end = new Date(start.getTime() + event.duration * SLOT_MS);
+
+    return {
+        summary: event.student ? `Lesson with ${event.student.name}` : 'Lesson',
+        description: event.student?.email || '',
+        start: { dateTime: start.toISOString(), timeZone: 'UTC' },
+        end: { dateTime: end.toISOString(), timeZone: 'UTC' },
+        // Restores an event that was deleted in Google
+        status: 'confirmed',
+        extendedProperties: {
+            private: { [BOOKING_EVENT_PROPERTY]: String(event.id) }
+        }
+    };
+};
+
+/**
+ * Whether a Google event still shows the booking as it is
+ * @private
+ */
+const matchesBooking = (googleEvent, event) => {
+    const expected = buildGoogleEvent(event);
+    return googleEvent.summary === expected.summary
+        && new Date(googleEvent.start?.dateTime).getTime() === new Date(expected.start.dateTime).getTime()
+        && new Date(googleEvent.end?.dateTime).getTime() === new Date(expected.end.dateTime).getTime();
+};
+
+/**
+ * Delete a pushed event from Google, ignoring events that are already gone
+ * @private
+ */
+const deleteGoogleEvent = async ({ calendarApi }, calendarId, eventId) => {
+    try {
+        await calendarApi.events.delete({ calendarId, eventId });
+    } catch (error) {
+        if (!NOT_FOUND_CODES.includes(error.code)) {
+            throw error;
+        }
+    }
+};
+
+/**
+ * Record where a booking was pushed, without queueing another sync
+ * @private
+ */
+const recordPush = (event, googleEventId, googleCalendarId) => event.update({
+    google_event_id: googleEventId,
+    google_calendar_id: googleCalendarId,
+    google_synced_at: googleEventId ? new Date() : null
+});
+
+/**
+ * Bring a booking's Google Calendar event in line with the booking
+ * @param {number} eventId - Calendar event (booking) ID
+ * @returns {Promise<string>} 'created', 'updated', 'removed' or 'skipped'
+ */
+const syncEvent = async (eventId) => {
+    const event = await Calendar.findByPk(eventId, {
+        include: [{ model: User, as: 'student', attributes: ['id', 'name', 'email'] }]
+    });
+    if (!event || (!isPushed(event) && !event.google_event_id)) {
+        return 'skipped';
+    }
+
+    const client = await calendarService.getCalendarClient(event.instructor_id);
+    if (!client) {
+        // Kept until the instructor reconnects, so the event can still be removed then
+        return 'skipped';
+    }
+
+    if (!isPushed(event)) {
+        await deleteGoogleEvent(client, event.google_calendar_id || client.calendarId, event.google_event_id);
+        await recordPush(event, null, null);
+        return 'removed';
+    }
+
+    const { calendarApi, calendarId } = client;
+    const requestBody = buildGoogleEvent(event);
+
+    if (event.google_event_id && event.google_calendar_id === calendarId) {
+        try {
+            await calendarApi.events.update({ calendarId, eventId: event.google_event_id, requestBody });
+            await recordPush(event, event.google_event_id, calendarId);
+            return 'updated';
+        } catch (error) {
+            if (!NOT_FOUND_CODES.includes(error.code)) {
+                throw error;
+            }
+        }
+    } else if (event.google_event_id) {
+        // The instructor switched calendars since the lesson was pushed
+        await deleteGoogleEvent(client, event.google_calendar_id, event.google_event_id);
+    }
+
+    const { data } = await calendarApi.events.insert({ calendarId, requestBody });
+    await recordPush(event, data.id, calendarId);
+    return 'created';
+};
+
+/**
+ * Run a sync after any already queued for the same booking. Failures are logged, not
+ * thrown: bookings never fail because Google is unreachable, and reconcile() retries.
+ * @private
+ */
+const enqueue = (eventId, task) => {
+    const run = (queues.get(eventId) || Promise.resolve())
+        .then(task)
+        .catch(error => {
+            console.error(`Google Calendar sync failed for booking ${eventId}:`, error.message || error);
+            return 'failed';
+        })
+        .finally(() => {
+            if (queues.get(eventId) === run) {
+                queues.delete(eventId);
+            }
+        });
+
+    queues.set(eventId, run);
+    return run;
+};
+
+/**
+ * Queue a booking's Google Calendar event to be created, updated or removed
+ * @param {number} eventId - Calendar event (booking) ID
+ * @returns {Promise<string>} Result of syncEvent(), or 'failed'
+ */
+const queueSync = (eventId) => enqueue(eventId, () => syncEvent(eventId));
+
+/**
+ * Queue removal of the Google Calendar event of a deleted booking
+ * @param {Object} pushed - The deleted booking's instructor_id, google_event_id and google_calendar_id
+ * @returns {Promise<string>} 'removed', 'skipped' or 'failed'
+ */
+const queueRemoval = (pushed) => enqueue(pushed.id, async () => {
+    const client = await calendarService.getCalendarClient(pushed.instructor_id);
+    if (!client) {
+        return 'skipped';
+    }
+    await deleteGoogleEvent(client, pushed.google_calendar_id || client.calendarId, pushed.google_event_id);
+    return 'removed';
+});
+
+/**
+ * Wait for every queued sync to finish
+ * @returns {Promise<void>}
+ */
+const drain = async () => {
+    while (queues.size > 0) {
+        await Promise.all([...queues.values()]);
+    }
+};
+
+/**
+ * Every event pushed from here in the instructor's calendar between two dates
+ * @private
+ */
+const listPushedEvents = async ({ calendarApi, calendarId }, fromDate, toDate) => {
+    const events = [];
+    let pageToken;
+
+    do {
+        const { data } = await calendarApi.events.list({
+            calendarId,
+            timeMin: `${fromDate}T00:00:00.000Z`,
+            timeMax: new Date(new Date(`${toDate}T00:00:00.000Z`).getTime() + DAY_MS).toISOString(),
+            singleEvents: true,
+            maxResults: 250,
+            pageToken
+        });
+        events.push(...(data.items || []).filter(item => item.extendedProperties?.private?.[BOOKING_EVENT_PROPERTY]));
+        pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    return events;
+};
+
+/**
+ * Repair one instructor's calendar: push lessons that are missing or out of date and
+ * delete pushed events whose booking is gone
+ * @private
+ */
+const reconcileInstructor = async (instructorId, fromDate, toDate) => {
+    const counts = { created: 0, updated: 0, removed: 0 };
+
+    const client = await calendarService.getCalendarClient(instructorId);
+    if (!client) {
+        return counts;
+    }
+
+    const [bookings, googleEvents] = await Promise.all([
+        Calendar.findAll({
+            where: {
+                instructor_id: instructorId,
+                date: { [Op.between]: [fromDate, toDate] },
+                [Op.or]: [{ status: 'booked' }, { google_event_id: { [Op.ne]: null } }]
+            },
+            include: [{ model: User, as: 'student', attributes: ['id', 'name', 'email'] }]
+        }),
+        listPushedEvents(client, fromDate, toDate)
+    ]);
+
+    const googleEventsById = new Map(googleEvents.map(googleEvent => [googleEvent.id, googleEvent]));
+    const claimed = new Set();
+
+    for (const booking of bookings) {
+        const googleEvent = booking.google_event_id && booking.google_calendar_id === client.calendarId
+            ? googleEventsById.get(booking.google_event_id)
+            : null;
+        if (googleEvent) {
+            claimed.add(googleEvent.id);
+        }
+
+        const upToDate = isPushed(booking)
+            ? googleEvent && matchesBooking(googleEvent, booking)
+            : !booking.google_event_id;
+        if (!upToDate) {
+            const result = await queueSync(booking.id);
+            if (counts[result] !== undefined) {
+                counts[result]++;
+            }
+        }
+    }
+
+    for (const googleEvent of googleEvents) {
+        if (!claimed.has(googleEvent.id)) {
+            await deleteGoogleEvent(client, client.calendarId, googleEvent.id);
+            counts.removed++;
+        }
+    }
+
+    return counts;
+};
+
+/**
+ * Repair drift between upcoming lessons and instructors' Google Calendars. Run hourly.
+ * @param {Date} [now] - Reference time (injectable for tests)
+ * @returns {Promise<{ created: number, updated: number, removed: number }>} Counts for logging
+ */
+const reconcile = async (now = new Date()) => {
+    const fromDate = formatDateUTC(now);
+    const toDate = formatDateUTC(new Date(now.getTime() + RECONCILE_DAYS * DAY_MS));
+    const totals = { created: 0, updated: 0, removed: 0 };
+
+    // Lessons go to one calendar per instructor, however many they've connected
+    const configs = await InstructorCalendarConfig.findAll({ where: { is_active: true, provider: 'google' } });
+    const instructorIds = [...new Set(configs.map(config => config.instructor_id))];
+
+    for (const instructorId of instructorIds) {
+        try {
+            const counts = await reconcileInstructor(instructorId, fromDate, toDate);
+            totals.created += counts.created;
+            totals.updated += counts.updated;
+            totals.removed += counts.removed;
+        } catch (error) {
+            console.error(`Error reconciling Google Calendar for instructor ${instructorId}:`, error);
+        }
+    }
+
+    return totals;
+};
+
+module.exports = {
+    RECONCILE_DAYS,
+    calendarService,
+    syncEvent,
+    queueSync,
+    queueRemoval,
+    drain,
+    reconcile
+};
@@ -0,0 +1,369 @@
+const { sequelize } = require('../db/index');
+const { Calendar } = require('../models/Calendar');
+const { GroupSession } = require('../models/GroupSession');
+const { RecurringBooking } = require('../models/RecurringBooking');
+const { WaitlistEntry } = require('../models/WaitlistEntry');
+const { UserCredits, CreditUsage } = require('../models/Credits');
+const waitlistService = require('./WaitlistService');
+const { Attendance } = require('../models/Attendance');
+const { enrichEventsWithPaymentInfo } = require('../utils/paymentEnrichment');
+const {
+    createUTCDateFromSlot,
+    getDayOfWeekUTC,
+    isValidDateString,
+    isValidSlot
+} = require('../utils/timeUtils');
+
+/**
+ * GroupSessionService - Schedules group classes and manages their rosters
+ *
+ * A group class takes an instructor's time like a one-on-one lesson, but up to
+ * `capacity` students can enroll in it. Enrolling books the student their own
+ * calendar event in the class's time (linked by group_session_id) paid with credits
+ * or in person, so refunds, reminders and attendance work per student exactly as
+ * they do for one-on-one lessons.
+ */
+
+const MIN_CAPACITY = 2;
+const MAX_CAPACITY = 50;
+const PAYMENT_METHODS = ['credits', 'in-person'];
+
+const overlaps = (startA, durationA, startB, durationB) => {
+    return startA < startB + durationB && startA + durationA > startB;
+};
+
+const hasStarted = (session, now) => createUTCDateFromSlot(session.date, session.start_slot) <= now;
+
+const validateTitle = (title) => {
+    if (typeof title !== 'string' || title.trim().length === 0) {
+        throw new Error('Title is required');
+    }
+    if (title.trim().length > 100) {
+        throw new Error('Title must be 100 characters or fewer');
+    }
+    return title.trim();
+};
+
+const validateCapacity = (capacity) => {
+    const value = Number(capacity);
+    if (!Number.isInteger(value) || value < MIN_CAPACITY || value > MAX_CAPACITY) {
+        throw new Error(`Capacity must be a whole number between ${MIN_CAPACITY} and ${MAX_CAPACITY}`);
+    }
+    return value;
+};
+
+/**
+ * Find what would stop a class from taking a time: a booking or blocked time, a
+ * recurring reservation, a waitlist hold or another class
+ * @param {number} [sessionId] - The class being checked (its own students don't count)
+ * @returns {Promise<string|null>} Why the time can't be used, or null if it's free
+ */
+const findConflict = async (instructorId, date, startSlot, duration, sessionId = null, now = new Date()) => {
+    const events = await Calendar.getInstructorEvents(instructorId, date, date);
+    const hasEvent = events.some(event =>
+        !(sessionId && event.group_session_id === sessionId) &&
+        overlaps(startSlot, duration, event.start_slot, event.duration)
+    );
+    if (hasEvent) {
+        return 'Time slot is already booked';
+    }
+
+    const reservations = await RecurringBooking.findByInstructorAndDate(instructorId, date);
+    if (reservations.some(reservation => overlaps(startSlot, duration, reservation.start_slot, reservation.duration))) {
+        return 'Time slot is reserved for a recurring member';
+    }
+
+    const holds = await WaitlistEntry.findActiveHolds(instructorId, date, startSlot, duration, now);
+    if (holds.length > 0) {
+        return 'Time slot is being held for a waitlisted student';
+    }
+
+    const classes = await GroupSession.findOverlapping(instructorId, date, startSlot, duration, sessionId);
+    if (classes.length > 0) {
+        return 'Time slot already has a group class';
+    }
+
+    return null;
+};
+
+/**
+ * Schedule a group class
+ * @param {number} instructorId - Instructor ID
+ * @param {Object} details - { title, date, startSlot, duration, capacity }
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (injectable for tests)
+ * @returns {Promise<Object>} The new GroupSession
+ */
+const createSession = async (instructorId, { title, date, startSlot, duration, capacity }, { now = new Date() } = {}) => {
+    const cleanTitle = validateTitle(title);
+    const cleanCapacity = validateCapacity(capacity);
+
+    const start = Number(startSlot);
+    const length = Number(duration);
+    if (!isValidDateString(date) || !isValidSlot(start) || !Number.isInteger(length) || length < 1 || start + length > 96) {
+        throw new Error('Invalid date or time slot');
+    }
+    if (createUTCDateFromSlot(date, start) <= now) {
+        throw new Error('Cannot schedule a class in the past');
+    }
+
+    const dayOfWeek = getDayOfWeekUTC(date);
+    const isAvailable = await RecurringBooking.isWithinAvailability(instructorId, dayOfWeek, start, length);
+    if (!isAvailable) {
+        throw new Error('Selected time is outside instructor availability');
+    }
+
+    const conflict = await findConflict(instructorId, date, start, length, null, now);
+    if (conflict) {
+        throw new Error(conflict);
+    }
+
+    return GroupSession.create({
+        instructor_id: instructorId,
+        title: cleanTitle,
+        date,
+        start_slot: start,
+        duration: length,
+        capacity: cleanCapacity
+    });
+};
+
+/**
+ * Rename a class or change how many students it takes
+ * @param {Object} session - GroupSession instance
+ * @param {Object} updates - { title, capacity }
+ * @returns {Promise<Object>} The updated GroupSession
+ */
+const updateSession = async (session, { title, capacity }) => {
+    if (session.status === 'cancelled') {
+        throw new Error('This class has been cancelled');
+    }
+
+    const updates = {};
+    if (title !== undefined) {
+        updates.title = validateTitle(title);
+    }
+    if (capacity !== undefined) {
+        updates.capacity = validateCapacity(capacity);
+        const enrolled = await GroupSession.countEnrolled(session.id);
+        if (updates.capacity < enrolled) {
+            throw new Error(`Capacity cannot be lower than the ${enrolled} students already enrolled`);
+        }
+    }
+
+    return session.update(updates);
+};
+
+/**
+ * Give up a student's seat, returning the credit it was paid with
+ * @param {Object} event - The student's calendar event in the class
+ */
+const cancelSeat = async (event, transaction) => {
+    const creditUsage = await CreditUsage.findOne({
+        where: { calendar_event_id: event.id },
+        transaction
+    });
+    if (creditUsage) {
+        await UserCredits.addCredits(creditUsage.user_id, 1, null, creditUsage.duration_minutes || 30, transaction);
+    }
+
+    await event.update({ status: 'cancelled' }, { transaction });
+};
+
+/**
+ * Cancel a class that hasn't started, cancelling every student's seat and offering
+ * the freed time to the waitlist
+ * @param {Object} session - GroupSession instance
+ * @returns {Promise<number>} Number of students whose seat was cancelled
+ */
+const cancelSession = async (session, { now = new Date() } = {}) => {
+    if (session.status === 'cancelled') {
+        throw new Error('This class has already been cancelled');
+    }
+    if (hasStarted(session, now)) {
+        throw new Error('This class has already started');
+    }
+
+    const seats = await Calendar.findAll({
+        where: { group_session_id: session.id, status: 'booked' }
+    });
+
+    const transaction = await sequelize.transaction();
+    try {
+        for (const seat of seats) {
+            await cancelSeat(seat, transaction);
+        }
+        await session.update({ status: 'cancelled' }, { transaction });
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+
+    await waitlistService.notifyFreedSlot(session);
+
+    return seats.length;
+};
+
+/**
+ * Book a student a seat in a class
+ * @param {Object} session - GroupSession instance
+ * @param {number} studentId - Student user ID
+ * @param {string} paymentMethod - 'credits' or 'in-person'
+ * @returns {Promise<Object>} The student's calendar event for the class
+ */
+const enroll = async (session, studentId, paymentMethod = 'credits', { now = new Date() } = {}) => {
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+        throw new Error('Invalid payment method');
+    }
+    if (session.status === 'cancelled') {
+        throw new Error('This class has been cancelled');
+    }
+    if (hasStarted(session, now)) {
+        throw new Error('This class has already started');
+    }
+
+    const existing = await Calendar.findOne({
+        where: { group_session_id: session.id, student_id: studentId, status: 'booked' }
+    });
+    if (existing) {
+        throw new Error('Student is already enrolled in this class');
+    }
+
+    const enrolled = await GroupSession.countEnrolled(session.id);
+    if (enrolled >= session.capacity) {
+        throw new Error('This class is full');
+    }
+
+    return Calendar.addEvent(
+        session.instructor_id,
+        studentId,
+        session.date,
+        session.start_slot,
+        session.duration,
+        'booked',
+        paymentMethod,
+        session.id
+    );
+};
+
+/**
+ * Remove a student from a class, returning the credit their seat was paid with.
+ * The class keeps its time, so nothing is offered to the waitlist.
+ * @param {Object} event - The student's calendar event in the class
+ */
+const leave = async (event) => {
+    if (event.status !== 'booked') {
+        throw new Error('This seat has already been cancelled');
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+        await cancelSeat(event, transaction);
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+};
+
+/**
+ * The students enrolled in a class, with attendance and in-person payment status
+ * @param {Object} session - GroupSession instance
+ * @returns {Promise<Array>} One entry per seat, ordered by when the student enrolled
+ */
+const getRoster = async (session) => {
+    const seats = await Calendar.findAll({
+        where: { group_session_id: session.id, status: 'booked' },
+        include: [
+            {
+                model: sequelize.models.User,
+                as: 'student',
+                attributes: ['id', 'name', 'email']
+            },
+            {
+                model: Attendance,
+                required: false,
+                attributes: ['status', 'notes', 'updated_at']
+            }
+        ],
+        order: [['id', 'ASC']]
+    });
+
+    const enriched = await enrichEventsWithPaymentInfo(seats);
+    return enriched.map(seat => ({
+        calendar_event_id: seat.id,
+        student: seat.student,
+        attendance: seat.Attendance ? {
+            status: seat.Attendance.status,
+            notes: seat.Attendance.notes,
+            recorded_at: seat.Attendance.updated_at
+        } : null,
+        paymentMethod: seat.paymentMethod || 'credits',
+        paymentStatus: seat.paymentStatus || null
+    }));
+};
+
+/**
+ * Summarize a class for calendar views: the time it takes and the seats left.
+ * Class rosters are only listed for the people running the class.
+ * @param {Object} session - GroupSession loaded with its enrollments
+ * @param {Object} [options]
+ * @param {number} [options.userId] - The viewer, to flag their own seat
+ * @param {boolean} [options.includeRoster] - Include the enrolled students
+ * @returns {Object} Calendar event for the class
+ */
+const toSessionEvent = (session, { userId = null, includeRoster = false } = {}) => {
+    const enrollments = session.enrollments || [];
+    const ownSeat = userId ? enrollments.find(seat => seat.student_id === userId) : null;
+
+    return {
+        id: `group_session_${session.id}`,
+        group_session_id: session.id,
+        instructor_id: session.instructor_id,
+        date: session.date,
+        start_slot: session.start_slot,
+        duration: session.duration,
+        status: 'group_session',
+        title: session.title,
+        capacity: session.capacity,
+        enrolled_count: enrollments.length,
+        seats_remaining: Math.max(session.capacity - enrollments.length, 0),
+        is_enrolled: !!ownSeat,
+        enrollment_id: ownSeat ? ownSeat.id : null,
+        ...(includeRoster && {
+            students: enrollments.map(seat => ({
+                id: seat.student?.id ?? seat.student_id,
+                name: seat.student?.name || null,
+                calendar_event_id: seat.id
+            }))
+        })
+    };
+};
+
+/**
+ * Replace students' seats in a list of calendar events with one event per class
+ * @param {Array} events - Events from Calendar.getInstructorEvents
+ * @param {Array} sessions - Classes from GroupSession.findInRange
+ * @returns {Array} Events without the seats, followed by the classes
+ */
+const mergeSessionEvents = (events, sessions, options = {}) => {
+    return [
+        ...events.filter(event => !event.group_session_id),
+        ...sessions.map(session => toSessionEvent(session, options))
+    ];
+};
+
+module.exports = {
+    MIN_CAPACITY,
+    MAX_CAPACITY,
+    findConflict,
+    createSession,
+    updateSession,
+    cancelSession,
+    enroll,
+    leave,
+    getRoster,
+    toSessionEvent,
+    mergeSessionEvents
+};
@@ -0,0 +1,229 @@
+const { sequelize } = require('../db/index');
+const { Transactions } = require('../models/Transactions');
+const { InPersonPayment } = require('../models/InPersonPayment');
+const { Calendar } = require('../models/Calendar');
+const { Instructor } = require('../models/Instructor');
+const { User } = require('../models/User');
+const { Refund } = require('../models/Refund');
+
+/**
+ * InPersonPaymentService - Collecting payment for lessons paid in person
+ *
+ * Booking a lesson to pay in person records an outstanding transaction linked
+ * to the lesson (calendar_event_id). Instructors and admins record what the
+ * student hands over, in one go or in parts; the transaction is completed once
+ * its balance is paid. Instructors only see and collect payments for their own
+ * lessons. Admins also see in-person transactions from before they were linked
+ * to lessons.
+ */
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+const formatAmount = (amount) => `$${amount.toFixed(2)}`;
+
+/**
+ * An in-person transaction the caller may collect, with its lesson
+ * @private
+ * @param {Object} scope - { instructorId } for an instructor, empty for an admin
+ * @throws {Error} 'Payment not found' or 'Only in-person payments can be collected'
+ */
+const getCollectable = async (transactionId, { instructorId = null } = {}, transaction = null) => {
+    const record = await Transactions.findByPk(transactionId, {
+        include: [{ model: Calendar, as: 'booking', attributes: ['id', 'instructor_id', 'student_id'] }],
+        transaction
+    });
+    if (!record || (instructorId && record.booking?.instructor_id !== instructorId)) {
+        throw new Error('Payment not found');
+    }
+    if (record.payment_method !== 'in-person') {
+        throw new Error('Only in-person payments can be collected');
+    }
+    return record;
+};
+
+/**
+ * Record an amount collected on a transaction, completing it once fully paid
+ * @private
+ */
+const collect = async (record, amount, userId, notes, transaction) => {
+    await InPersonPayment.create({
+        transaction_id: record.id,
+        amount,
+        recorded_by: userId,
+        notes: notes || null
+    }, { transaction });
+
+    const amountPaid = roundCurrency((parseFloat(record.amount_paid) || 0) + amount);
+    return record.update({
+        amount_paid: amountPaid,
+        status: amountPaid >= roundCurrency(parseFloat(record.amount) || 0) ? 'completed' : 'outstanding'
+    }, { transaction });
+};
+
+/**
+ * Record a payment towards an in-person lesson
+ * @param {number} transactionId - The lesson's in-person transaction
+ * @param {Object} payment - { amount, userId, notes }; amount defaults to the whole balance
+ * @param {Object} [scope] - { instructorId } to limit an instructor to their own lessons
+ * @returns {Promise<Object>} The updated transaction
+ * @throws {Error} 'This lesson is already paid', 'Payment amount must be more than zero' or 'Payment is more than the balance...'
+ */
+const recordPayment = async (transactionId, { amount = null, userId, notes = null } = {}, scope = {}) => {
+    return sequelize.transaction(async (transaction) => {
+        const record = await getCollectable(transactionId, scope, transaction);
+        const balance = Transactions.balanceOf(record);
+
+        if (record.status === 'completed' || balance === 0) {
+            throw new Error('This lesson is already paid');
+        }
+
+        const paying = amount === null || amount === undefined || amount === '' ? balance : roundCurrency(parseFloat(amount));
+        if (!Number.isFinite(paying) || paying <= 0) {
+            throw new Error('Payment amount must be more than zero');
+        }
+        if (paying > balance) {
+            throw new Error(`Payment is more than the balance of ${formatAmount(balance)}`);
+        }
+
+        return collect(record, paying, userId, notes, transaction);
+    });
+};
+
+/**
+ * Mark an in-person lesson unpaid again, removing the payments recorded for it
+ * @param {number} transactionId - The lesson's in-person transaction
+ * @param {Object} [scope] - { instructorId } to limit an instructor to their own lessons
+ * @returns {Promise<Object>} The updated transaction
+ */
+const markUnpaid = async (transactionId, scope = {}) => {
+    return sequelize.transaction(async (transaction) => {
+        const record = await getCollectable(transactionId, scope, transaction);
+        await InPersonPayment.destroy({ where: { transaction_id: record.id }, transaction });
+        return record.update({ amount_paid: 0, status: 'outstanding' }, { transaction });
+    });
+};
+
+/**
+ * Mark several in-person lessons paid in full. Either all are updated or none are.
+ * @param {Array<number>} transactionIds - In-person transactions
+ * @param {number} userId - Who collected the payments
+ * @param {Object} [scope] - { instructorId } to limit an instructor to their own lessons
+ * @returns {Promise<Array>} The transactions that were outstanding and are now paid
+ * @throws {Error} 'Choose at least one payment' or 'Payment not found'
+ */
+const markPaid = async (transactionIds, userId, scope = {}) => {
+    const ids = [...new Set((Array.isArray(transactionIds) ? transactionIds : [])
+        .map(id => parseInt(id, 10))
+        .filter(Number.isInteger))];
+    if (ids.length === 0) {
+        throw new Error('Choose at least one payment');
+    }
+
+    return sequelize.transaction(async (transaction) => {
+        const paid = [];
+        for (const id of ids) {
+            const record = await getCollectable(id, scope, transaction);
+            const balance = Transactions.balanceOf(record);
+            if (record.status === 'completed' || balance === 0) continue;
+
+            paid.push(await collect(record, balance, userId, null, transaction));
+        }
+        return paid;
+    });
+};
+
+/**
+ * Unpaid in-person lessons, and what each paying account owes in total.
+ * Lessons that were cancelled or refunded are left out.
+ * @param {Object} [filters] - { instructorId } for an instructor's lessons, { studentId } for one student
+ * @returns {Promise<Object>} { payments, students, totals }
+ */
+const getOutstanding = async ({ instructorId = null, studentId = null } = {}) => {
+    const records = await Transactions.findAll({
+        where: {
+            payment_method: 'in-person',
+            status: 'outstanding'
+        },
+        include: [
+            {
+                model: User,
+                attributes: ['id', 'name', 'email']
+            },
+            {
+                model: Calendar,
+                as: 'booking',
+                required: !!instructorId,
+                where: instructorId ? { instructor_id: instructorId } : undefined,
+                attributes: ['id', 'date', 'start_slot', 'duration', 'status', 'student_id', 'instructor_id'],
+                include: [
+                    { model: User, as: 'student', attributes: ['id', 'name'] },
+                    { model: Instructor, attributes: ['id'], include: [{ model: User, attributes: ['name'] }] },
+                    { model: Refund, attributes: ['id'], required: false }
+                ]
+            }
+        ],
+        order: [['created_at', 'ASC']]
+    });
+
+    const payments = records
+        .filter(record => !record.booking || (record.booking.status !== 'cancelled' && record.booking.Refunds.length === 0))
+        .filter(record => !studentId || record.user_id === studentId || record.booking?.student_id === studentId)
+        .map(record => ({
+            transaction_id: record.id,
+            amount: roundCurrency(parseFloat(record.amount) || 0),
+            amount_paid: roundCurrency(parseFloat(record.amount_paid) || 0),
+            balance: Transactions.balanceOf(record),
+            created_at: record.created_at,
+            payer: record.User ? { id: record.User.id, name: record.User.name, email: record.User.email } : null,
+            booking: record.booking ? {
+                id: record.booking.id,
+                date: record.booking.date,
+                start_slot: record.booking.start_slot,
+                duration: record.booking.duration,
+                student: record.booking.student ? { id: record.booking.student.id, name: record.booking.student.name } : null,
+                instructor: { id: record.booking.instructor_id, name: record.booking.Instructor?.User?.name }
+            } : null
+        }))
+        // Oldest lessons first, then payments not linked to a lesson
+        .sort((a, b) => (a.booking?.date || '9999').localeCompare(b.booking?.date || '9999') ||
+            (a.booking?.start_slot || 0) - (b.booking?.start_slot || 0));
+
+    // Dependents' lessons are owed by their guardian, who made the payment
+    const students = new Map();
+    for (const payment of payments) {
+        const key = payment.payer?.id;
+        const row = students.get(key) || {
+            user_id: key,
+            name: payment.payer?.name,
+            email: payment.payer?.email,
+            lessons: 0,
+            amount: 0,
+            amount_paid: 0,
+            balance: 0,
+            oldest_lesson_date: null
+        };
+        row.lessons += 1;
+        row.amount = roundCurrency(row.amount + payment.amount);
+        row.amount_paid = roundCurrency(row.amount_paid + payment.amount_paid);
+        row.balance = roundCurrency(row.balance + payment.balance);
+        if (payment.booking && (!row.oldest_lesson_date || payment.booking.date < row.oldest_lesson_date)) {
+            row.oldest_lesson_date = payment.booking.date;
+        }
+        students.set(key, row);
+    }
+
+    return {
+        payments,
+        students: [...students.values()].sort((a, b) => b.balance - a.balance),
+        totals: {
+            lessons: payments.length,
+            balance: roundCurrency(payments.reduce((total, payment) => total + payment.balance, 0))
+        }
+    };
+};
+
+module.exports = {
+    recordPayment,
+    markUnpaid,
+    markPaid,
+    getOutstanding
+};
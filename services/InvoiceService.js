@@ -0,0 +1,250 @@
+const PDFDocument = require('pdfkit');
+const { sequelize } = require('../db/index');
+const { Transactions } = require('../models/Transactions');
+const { Invoice } = require('../models/Invoice');
+const { AppSettings } = require('../models/AppSettings');
+const { GiftVoucher } = require('../models/GiftVoucher');
+const { getStorage } = require('../storage/index');
+
+/**
+ * InvoiceService - PDF invoices and receipts for transactions
+ *
+ * Completed transactions get a receipt and outstanding in-person lessons get an
+ * invoice for the amount due. Both carry a sequential number from the invoices
+ * table, issued the first time the document is downloaded or emailed. The PDF
+ * itself is rendered on demand with the current business details and logo, so
+ * once an in-person lesson is paid the same number downloads as a receipt.
+ */
+
+// How each payment method is described on a receipt
+const PAID_BY = {
+    stripe: 'Paid by card',
+    'in-person': 'Paid in person',
+    credits: 'Paid with lesson credits'
+};
+
+const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD'
+    }).format(parseFloat(amount) || 0);
+};
+
+const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+};
+
+/**
+ * What the transaction paid for, as shown on the line item
+ * @private
+ */
+const describeTransaction = async (transactionRecord) => {
+    if (transactionRecord.payment_method === 'in-person' && !transactionRecord.PaymentPlan) {
+        return 'In-person lesson';
+    }
+
+    const planName = transactionRecord.PaymentPlan?.name || 'Payment';
+    const voucher = await GiftVoucher.findOne({ where: { transaction_id: transactionRecord.id } });
+    return voucher ? `Gift voucher: ${voucher.plan_name} for ${voucher.recipient_name}` : planName;
+};
+
+/**
+ * Load the company logo from storage, if one is configured
+ * @private
+ * @returns {Promise<Buffer|null>}
+ */
+const loadLogo = async () => {
+    try {
+        const logoFilename = await AppSettings.getSetting('branding', 'logo_url');
+        if (!logoFilename) return null;
+        return await getStorage().get(`logos/${logoFilename}`);
+    } catch (error) {
+        console.error('Invoice logo could not be loaded:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Gather everything printed on a transaction's invoice, issuing its number if needed
+ * @param {number} transactionId - Transactions record ID
+ * @returns {Promise<Object>} { invoice, number, isReceipt, transaction, billTo, description, business, logo }
+ * @throws {Error} 'Transaction not found' or 'Invoice not available for this transaction'
+ */
+const getInvoiceData = async (transactionId) => {
+    const transactionRecord = await Transactions.findByPk(transactionId, {
+        include: [
+            { model: sequelize.models.User, attributes: ['id', 'name', 'email'] },
+            { model: sequelize.models.PaymentPlan, attributes: ['name'] },
+            { model: sequelize.models.PromoCode, attributes: ['code'] }
+        ]
+    });
+    if (!transactionRecord) {
+        throw new Error('Transaction not found');
+    }
+
+    const invoice = await Invoice.issueForTransaction(transactionRecord);
+    const [business, logo, description] = await Promise.all([
+        AppSettings.getSettingsByCategory('business'),
+        loadLogo(),
+        describeTransaction(transactionRecord)
+    ]);
+
+    return {
+        invoice,
+        number: Invoice.formatNumber(invoice.invoice_number),
+        isReceipt: transactionRecord.status === 'completed',
+        transaction: transactionRecord,
+        billTo: transactionRecord.User,
+        description,
+        business,
+        logo
+    };
+};
+
+/**
+ * Render invoice data (see getInvoiceData) to a PDF
+ * @param {Object} data - Invoice data
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderInvoicePdf = (data) => {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 50,
+            info: { Title: `${data.isReceipt ? 'Receipt' : 'Invoice'} ${data.number}` }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const { transaction, business } = data;
+        const left = doc.page.margins.left;
+        const right = doc.page.width - doc.page.margins.right;
+        const width = right - left;
+
+        // Header: logo and business details on the left, document title on the right
+        let y = doc.page.margins.top;
+        if (data.logo) {
+            try {
+                doc.image(data.logo, left, y, { fit: [140, 60] });
+                y += 70;
+            } catch (error) {
+                // Unsupported image formats are left off rather than failing the invoice
+                console.error('Invoice logo could not be drawn:', error.message);
+            }
+        }
+
+        doc.font('Helvetica-Bold').fontSize(14).text(business.company_name || 'Lesson Booking', left, y);
+        doc.font('Helvetica').fontSize(10);
+        [business.address, business.contact_email, business.phone_number]
+            .filter(Boolean)
+            .forEach(line => doc.text(line, { width: width / 2 }));
+        const businessBottom = doc.y;
+
+        doc.font('Helvetica-Bold').fontSize(20)
+            .text(data.isReceipt ? 'RECEIPT' : 'INVOICE', left, doc.page.margins.top, { width, align: 'right' });
+        doc.font('Helvetica').fontSize(10)
+            .text(data.number, { width, align: 'right' })
+            .text(`Issued ${formatDate(data.invoice.issued_at)}`, { width, align: 'right' });
+
+        // Bill to
+        y = Math.max(doc.y, businessBottom) + 20;
+        doc.font('Helvetica-Bold').fontSize(10).text('Billed to', left, y);
+        doc.font('Helvetica')
+            .text(data.billTo?.name || 'Customer')
+            .text(data.billTo?.email || '');
+
+        // Line items
+        y = doc.y + 25;
+        const amountX = right - 120;
+        doc.font('Helvetica-Bold').text('Description', left, y).text('Amount', amountX, y, { width: 120, align: 'right' });
+        y = doc.y + 5;
+        doc.moveTo(left, y).lineTo(right, y).stroke();
+
+        const discount = parseFloat(transaction.discount_amount) || 0;
+        const total = parseFloat(transaction.amount) || 0;
+        const rows = [[`${data.description}\n${formatDate(transaction.created_at)}`, formatCurrency(total + discount)]];
+        if (discount > 0) {
+            rows.push([`Promo code ${transaction.PromoCode?.code || ''}`.trim(), `-${formatCurrency(discount)}`]);
+        }
+
+        doc.font('Helvetica');
+        for (const [label, amount] of rows) {
+            y += 10;
+            doc.text(label, left, y, { width: amountX - left - 10 });
+            const labelBottom = doc.y;
+            doc.text(amount, amountX, y, { width: 120, align: 'right' });
+            y = Math.max(labelBottom, doc.y);
+        }
+
+        y += 10;
+        doc.moveTo(left, y).lineTo(right, y).stroke();
+
+        // Part of an in-person lesson may already have been paid
+        const paidSoFar = data.isReceipt ? 0 : parseFloat(transaction.amount_paid) || 0;
+        if (paidSoFar > 0) {
+            y += 10;
+            doc.font('Helvetica')
+                .text('Paid so far', left, y)
+                .text(`-${formatCurrency(paidSoFar)}`, amountX, y, { width: 120, align: 'right' });
+            y = doc.y;
+        }
+
+        y += 10;
+        doc.font('Helvetica-Bold')
+            .text(data.isReceipt ? 'Total paid' : 'Amount due', left, y)
+            .text(formatCurrency(data.isReceipt ? total : Transactions.balanceOf(transaction)), amountX, y, { width: 120, align: 'right' });
+
+        // Payment status
+        doc.font('Helvetica').moveDown(2);
+        doc.text(data.isReceipt
+            ? `${PAID_BY[transaction.payment_method] || 'Paid'}. Thank you!`
+            : 'Payable in person at your lesson.', left, doc.y, { width });
+
+        doc.end();
+    });
+};
+
+/**
+ * Build the PDF for a transaction
+ * @param {number} transactionId - Transactions record ID
+ * @returns {Promise<Object>} { invoice, filename, content, contentType }
+ */
+const generateInvoicePdf = async (transactionId) => {
+    const data = await getInvoiceData(transactionId);
+    const content = await renderInvoicePdf(data);
+
+    return {
+        invoice: data.invoice,
+        filename: `${data.number}.pdf`,
+        content,
+        contentType: 'application/pdf'
+    };
+};
+
+/**
+ * The PDF as an email attachment. Emails still go out without it if it can't be made.
+ * @param {number} transactionId - Transactions record ID
+ * @returns {Promise<Object|null>} { filename, content, contentType } or null
+ */
+const getInvoiceAttachment = async (transactionId) => {
+    try {
+        const { filename, content, contentType } = await generateInvoicePdf(transactionId);
+        return { filename, content, contentType };
+    } catch (error) {
+        console.error('Error generating invoice attachment:', error);
+        return null;
+    }
+};
+
+module.exports = {
+    getInvoiceData,
+    renderInvoicePdf,
+    generateInvoicePdf,
+    getInvoiceAttachment
+};
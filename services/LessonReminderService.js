@@ -0,0 +1,99 @@
+const { Op } = require('sequelize');
+const { Calendar } = require('../models/Calendar');
+const { AppSettings } = require('../models/AppSettings');
+const { LessonReminder } = require('../models/LessonReminder');
+const emailQueueService = require('./EmailQueueService');
+const { createUTCDateFromSlot, formatDateUTC } = require('../utils/timeUtils');
+
+/**
+ * LessonReminderService - Emails students ahead of their booked lessons
+ *
+ * Reminder windows come from the 'lessons' AppSettings (reminder_hours, e.g. 24 and 2).
+ * Each run looks at booked lessons starting within the largest window and sends the
+ * reminder for the tightest window the lesson has entered. A lesson booked 1 hour
+ * ahead therefore gets only the 2h reminder, not a 24h one as well.
+ *
+ * Sent reminders are recorded in lesson_reminders so restarts and overlapping runs
+ * never send the same reminder twice. Moving a lesson clears its record (see the
+ * Calendar model), so the new time gets its own reminders.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Pick the reminder window a lesson is currently in
+ * @param {number} msUntilStart - Time until the lesson starts
+ * @param {number[]} reminderHours - Configured windows
+ * @returns {number|null} Smallest window containing the lesson, or null if none
+ */
+const getDueWindow = (msUntilStart, reminderHours) => {
+    const containing = reminderHours.filter(hours => msUntilStart <= hours * HOUR_MS);
+    return containing.length > 0 ? Math.min(...containing) : null;
+};
+
+/**
+ * Queue reminder emails for lessons that have entered a reminder window
+ * @param {Date} [now] - Reference time (injectable for tests)
+ * @returns {Promise<{ queued: number, skipped: number }>} Counts for logging
+ */
+const sendDueReminders = async (now = new Date()) => {
+    const reminderHours = await AppSettings.getLessonReminderHours();
+    if (reminderHours.length === 0) {
+        return { queued: 0, skipped: 0 };
+    }
+
+    const horizon = new Date(now.getTime() + Math.max(...reminderHours) * HOUR_MS);
+
+    const candidates = await Calendar.findAll({
+        where: {
+            status: 'booked',
+            student_id: { [Op.ne]: null },
+            date: { [Op.between]: [formatDateUTC(now), formatDateUTC(horizon)] }
+        },
+        include: [{ model: LessonReminder, attributes: ['hours_before'], required: false }]
+    });
+
+    let queued = 0;
+    let skipped = 0;
+
+    for (const event of candidates) {
+        const msUntilStart = createUTCDateFromSlot(event.date, event.start_slot).getTime() - now.getTime();
+        if (msUntilStart <= 0) {
+            continue;
+        }
+
+        const window = getDueWindow(msUntilStart, reminderHours);
+        if (window === null) {
+            continue;
+        }
+
+        // A tighter reminder already went out (e.g. after a settings change)
+        const sentWindows = (event.LessonReminders || []).map(reminder => reminder.hours_before);
+        if (sentWindows.some(hours => hours <= window)) {
+            skipped++;
+            continue;
+        }
+
+        if (!(await LessonReminder.claim(event.id, window))) {
+            skipped++;
+            continue;
+        }
+
+        try {
+            const bookingData = await Calendar.getEventById(event.id);
+            await emailQueueService.queueLessonReminder(bookingData, window);
+            queued++;
+        } catch (error) {
+            // Let the next run try again rather than silently dropping the reminder
+            console.error(`Failed to queue lesson reminder for event ${event.id}:`, error);
+            await LessonReminder.release(event.id, window);
+        }
+    }
+
+    return { queued, skipped };
+};
+
+module.exports = {
+    getDueWindow,
+    sendDueReminders
+};
@@ -0,0 +1,364 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../db/index');
+const { Instructor } = require('../models/Instructor');
+const { User } = require('../models/User');
+const { InstructorEarning } = require('../models/InstructorEarning');
+const { InstructorPayout } = require('../models/InstructorPayout');
+
+/**
+ * PayoutService - What instructors are owed and paying it out
+ *
+ * Each lesson a student attends is recorded in the earnings ledger (see
+ * InstructorEarning.recordForEvent) with the instructor's commission split.
+ * Admins create a payout for a period, which claims every unpaid entry in it,
+ * then either mark it paid after paying the instructor themselves or transfer
+ * it to the instructor's connected Stripe account. Cancelling a pending payout
+ * releases its entries for the next one.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Check a statement or payout period
+ * @private
+ * @throws {Error} 'Invalid period'
+ */
+const validatePeriod = (from, to) => {
+    if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || from > to) {
+        throw new Error('Invalid period');
+    }
+};
+
+/**
+ * Add up ledger entries
+ * @private
+ */
+const totalEntries = (entries) => {
+    const sum = (list, field) => roundCurrency(list.reduce((total, entry) => total + parseFloat(entry[field]), 0));
+    const unpaid = entries.filter(entry => !entry.payout_id);
+
+    return {
+        lessons: entries.length,
+        gross: sum(entries, 'gross_amount'),
+        commission: sum(entries, 'commission_amount'),
+        earnings: sum(entries, 'amount'),
+        unpaid: sum(unpaid, 'amount'),
+        paid: roundCurrency(sum(entries, 'amount') - sum(unpaid, 'amount'))
+    };
+};
+
+/**
+ * @private
+ * @throws {Error} 'Instructor not found'
+ */
+const getInstructor = async (instructorId) => {
+    const instructor = await Instructor.findByPk(instructorId, {
+        include: [{ model: User, attributes: ['name', 'email'] }]
+    });
+    if (!instructor) {
+        throw new Error('Instructor not found');
+    }
+    return instructor;
+};
+
+/**
+ * @private
+ * @throws {Error} 'Payout not found'
+ */
+const getPayoutRecord = async (payoutId) => {
+    const payout = await InstructorPayout.findByPk(payoutId);
+    if (!payout) {
+        throw new Error('Payout not found');
+    }
+    return payout;
+};
+
+/**
+ * An instructor's earnings statement for a period: each lesson earned, totals,
+ * and the payouts that cover it
+ * @param {number} instructorId - Instructor ID
+ * @param {string} from - First lesson date (YYYY-MM-DD)
+ * @param {string} to - Last lesson date (YYYY-MM-DD)
+ * @returns {Promise<Object>} { instructor, period, entries, totals, payouts }
+ */
+const getStatement = async (instructorId, from, to) => {
+    validatePeriod(from, to);
+    const instructor = await getInstructor(instructorId);
+
+    await InstructorEarning.syncInstructor(instructorId, from, to);
+
+    const [entries, payouts] = await Promise.all([
+        InstructorEarning.getEntries(instructorId, from, to),
+        InstructorPayout.findAll({
+            where: {
+                instructor_id: instructorId,
+                period_start: { [Op.lte]: to },
+                period_end: { [Op.gte]: from }
+            },
+            order: [['period_start', 'DESC']]
+        })
+    ]);
+
+    return {
+        instructor: {
+            id: instructor.id,
+            name: instructor.User?.name,
+            commission_percent: parseFloat(instructor.commission_percent)
+        },
+        period: { from, to },
+        entries,
+        totals: totalEntries(entries),
+        payouts
+    };
+};
+
+/**
+ * Unpaid earnings of every instructor, for choosing who to pay
+ * @returns {Promise<Array>} [{ id, name, is_active, commission_percent, stripe_account_id, unpaid_lessons, unpaid_amount }]
+ */
+const getInstructorBalances = async () => {
+    const [instructors, balances] = await Promise.all([
+        Instructor.findAll({
+            include: [{ model: User, attributes: ['name'] }],
+            order: [['id', 'ASC']]
+        }),
+        InstructorEarning.findAll({
+            where: { payout_id: null },
+            attributes: [
+                'instructor_id',
+                [sequelize.fn('COUNT', sequelize.col('id')), 'lessons'],
+                [sequelize.fn('SUM', sequelize.col('amount')), 'total']
+            ],
+            group: ['instructor_id'],
+            raw: true
+        })
+    ]);
+
+    const byInstructor = new Map(balances.map(row => [row.instructor_id, row]));
+
+    return instructors.map(instructor => {
+        const balance = byInstructor.get(instructor.id);
+        return {
+            id: instructor.id,
+            name: instructor.User?.name,
+            is_active: instructor.is_active,
+            commission_percent: parseFloat(instructor.commission_percent),
+            stripe_account_id: instructor.stripe_account_id,
+            unpaid_lessons: parseInt(balance?.lessons, 10) || 0,
+            unpaid_amount: roundCurrency(parseFloat(balance?.total) || 0)
+        };
+    });
+};
+
+/**
+ * Change an instructor's commission split or connected Stripe account. A new
+ * commission applies to lessons earned from now on.
+ * @param {number} instructorId - Instructor ID
+ * @param {Object} settings - { commission_percent, stripe_account_id }
+ * @returns {Promise<Object>} The instructor
+ */
+const updatePayoutSettings = async (instructorId, settings = {}) => {
+    const instructor = await getInstructor(instructorId);
+    const updates = {};
+
+    if (settings.commission_percent !== undefined) {
+        const percent = Number(settings.commission_percent);
+        if (settings.commission_percent === null || settings.commission_percent === '' ||
+            !Number.isFinite(percent) || percent < 0 || percent > 100) {
+            throw new Error('Commission must be between 0 and 100 percent');
+        }
+        updates.commission_percent = percent;
+    }
+
+    if (settings.stripe_account_id !== undefined) {
+        const accountId = (settings.stripe_account_id || '').trim();
+        if (accountId && !accountId.startsWith('acct_')) {
+            throw new Error('Stripe account ID must start with acct_');
+        }
+        updates.stripe_account_id = accountId || null;
+    }
+
+    await instructor.update(updates);
+    return instructor;
+};
+
+/**
+ * Create a pending payout for an instructor's unpaid earnings in a period
+ * @param {number} instructorId - Instructor ID
+ * @param {string} periodStart - First lesson date (YYYY-MM-DD)
+ * @param {string} periodEnd - Last lesson date (YYYY-MM-DD)
+ * @returns {Promise<Object>} The payout
+ */
+const createPayout = async (instructorId, periodStart, periodEnd) => {
+    validatePeriod(periodStart, periodEnd);
+    await getInstructor(instructorId);
+
+    await InstructorEarning.syncInstructor(instructorId, periodStart, periodEnd);
+    const entries = await InstructorEarning.getEntries(instructorId, periodStart, periodEnd, { unpaidOnly: true });
+    if (entries.length === 0) {
+        throw new Error('No unpaid earnings in this period');
+    }
+
+    const totals = totalEntries(entries);
+    const transaction = await sequelize.transaction();
+
+    try {
+        const payout = await InstructorPayout.create({
+            instructor_id: instructorId,
+            period_start: periodStart,
+            period_end: periodEnd,
+            lesson_count: totals.lessons,
+            gross_amount: totals.gross,
+            commission_amount: totals.commission,
+            amount: totals.earnings
+        }, { transaction });
+
+        const [claimed] = await InstructorEarning.update({ payout_id: payout.id }, {
+            where: { id: entries.map(entry => entry.id), payout_id: null },
+            transaction
+        });
+
+        // Another payout claimed some of these entries first
+        if (claimed !== entries.length) {
+            throw new Error('Earnings changed while creating the payout, please try again');
+        }
+
+        await transaction.commit();
+        return payout;
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+};
+
+/**
+ * Record that a pending payout was paid outside the app
+ * @param {number} payoutId - Payout ID
+ * @param {number} userId - Admin marking it paid
+ * @param {string} [reference] - Bank or cheque reference
+ * @returns {Promise<Object>} The payout
+ */
+const markPaid = async (payoutId, userId, reference = null) => {
+    const payout = await getPayoutRecord(payoutId);
+    if (payout.status === 'paid') {
+        throw new Error('Payout has already been paid');
+    }
+
+    await payout.update({
+        status: 'paid',
+        method: 'manual',
+        reference: reference ? String(reference).trim() || null : null,
+        paid_at: new Date(),
+        paid_by: userId
+    });
+    return payout;
+};
+
+/**
+ * Pay a pending payout with a Stripe Connect transfer to the instructor's account
+ * @param {number} payoutId - Payout ID
+ * @param {number} userId - Admin sending it
+ * @returns {Promise<Object>} The payout
+ */
+const transferPayout = async (payoutId, userId) => {
+    const payout = await getPayoutRecord(payoutId);
+    if (payout.status === 'paid') {
+        throw new Error('Payout has already been paid');
+    }
+
+    const instructor = await Instructor.findByPk(payout.instructor_id);
+    if (!instructor?.stripe_account_id) {
+        throw new Error('Instructor has no connected Stripe account');
+    }
+
+    // Required here so the instructor routes load without Stripe keys configured
+    const { stripe } = require('../config/stripe');
+
+    // Keyed on the payout so a retried request can't pay it twice
+    let transfer;
+    try {
+        transfer = await stripe.transfers.create({
+            amount: Math.round(parseFloat(payout.amount) * 100),
+            currency: 'usd',
+            destination: instructor.stripe_account_id,
+            transfer_group: `payout-${payout.id}`,
+            metadata: {
+                payoutId: payout.id,
+                instructorId: instructor.id
+            }
+        }, {
+            idempotencyKey: `payout-${payout.id}`
+        });
+    } catch (error) {
+        console.error('Stripe transfer error:', error);
+        throw new Error(`Stripe transfer failed: ${error.message}`);
+    }
+
+    await payout.update({
+        status: 'paid',
+        method: 'stripe',
+        reference: transfer.id,
+        paid_at: new Date(),
+        paid_by: userId
+    });
+    return payout;
+};
+
+/**
+ * Cancel a pending payout, releasing its earnings for a later one
+ * @param {number} payoutId - Payout ID
+ * @returns {Promise<void>}
+ */
+const cancelPayout = async (payoutId) => {
+    const payout = await getPayoutRecord(payoutId);
+    if (payout.status !== 'pending') {
+        throw new Error('Payout has already been paid');
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+        await InstructorEarning.update({ payout_id: null }, { where: { payout_id: payout.id }, transaction });
+        await payout.destroy({ transaction });
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+};
+
+/**
+ * Payouts for the admin list, newest first
+ * @param {Object} [filters] - { status, instructorId }
+ * @returns {Promise<Array>}
+ */
+const listPayouts = async ({ status = null, instructorId = null } = {}) => {
+    const where = {};
+    if (status) where.status = status;
+    if (instructorId) where.instructor_id = instructorId;
+
+    return InstructorPayout.findAll({
+        where,
+        include: [
+            {
+                model: Instructor,
+                attributes: ['id'],
+                include: [{ model: User, attributes: ['name'] }]
+            },
+            { model: User, as: 'paidBy', attributes: ['id', 'name'] }
+        ],
+        order: [['created_at', 'DESC'], ['id', 'DESC']]
+    });
+};
+
+module.exports = {
+    getStatement,
+    getInstructorBalances,
+    updatePayoutSettings,
+    createPayout,
+    markPaid,
+    transferPayout,
+    cancelPayout,
+    listPayouts
+};
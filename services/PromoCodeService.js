@@ -0,0 +1,165 @@
+const { UniqueConstraintError } = require('sequelize');
+const { PromoCode, PromoCodeRedemption } = require('../models/PromoCode');
+const { stripe } = require('../config/stripe');
+
+/**
+ * PromoCodeService - Admin management of promo codes and their Stripe coupons
+ *
+ * Lesson packages are charged with our own payment intents, so their discount is
+ * applied to the amount directly. Memberships are billed by Stripe from the plan's
+ * price, so a code that can apply to one is mirrored as a Stripe coupon
+ * (promo_codes.stripe_coupon_id) and attached to the subscription. Stripe coupons
+ * can't be edited, so the coupon is replaced whenever the code changes.
+ */
+
+/**
+ * Stripe coupon parameters for a promo code
+ */
+const couponParams = (promoCode) => {
+    const params = {
+        name: promoCode.code,
+        duration: 'once',
+        metadata: {
+            promoCodeId: promoCode.id
+        }
+    };
+
+    if (promoCode.discount_type === 'percent') {
+        params.percent_off = parseFloat(promoCode.discount_value);
+    } else {
+        params.amount_off = Math.round(parseFloat(promoCode.discount_value) * 100);
+        params.currency = 'usd';
+    }
+
+    if (promoCode.expires_at) {
+        params.redeem_by = Math.floor(new Date(promoCode.expires_at).getTime() / 1000);
+    }
+
+    return params;
+};
+
+/**
+ * Delete a promo code's Stripe coupon, if it has one
+ * @param {Object} promoCode - PromoCode record
+ */
+const removeStripeCoupon = async (promoCode) => {
+    if (!promoCode.stripe_coupon_id) {
+        return;
+    }
+
+    try {
+        await stripe.coupons.del(promoCode.stripe_coupon_id);
+    } catch (error) {
+        // Already deleted in Stripe
+        console.error('Error deleting Stripe coupon:', error.message);
+    }
+    await promoCode.update({ stripe_coupon_id: null });
+};
+
+/**
+ * Get the Stripe coupon for a promo code, creating it on first use
+ * @param {Object} promoCode - PromoCode record
+ * @returns {Promise<string>} Stripe coupon ID
+ */
+const ensureStripeCoupon = async (promoCode) => {
+    if (promoCode.stripe_coupon_id) {
+        return promoCode.stripe_coupon_id;
+    }
+
+    const coupon = await stripe.coupons.create(couponParams(promoCode));
+    await promoCode.update({ stripe_coupon_id: coupon.id });
+    return coupon.id;
+};
+
+/**
+ * Bring a promo code's Stripe coupon in line with the code. Failures are logged
+ * rather than thrown; the coupon is created again when a membership uses the code.
+ * @param {Object} promoCode - PromoCode record
+ */
+const syncStripeCoupon = async (promoCode) => {
+    try {
+        await removeStripeCoupon(promoCode);
+
+        const expired = promoCode.expires_at && new Date(promoCode.expires_at) <= new Date();
+        if (promoCode.is_active && !expired && await PromoCode.appliesToStripePrices(promoCode)) {
+            await ensureStripeCoupon(promoCode);
+        }
+    } catch (error) {
+        console.error('Error syncing Stripe coupon:', error.message);
+    }
+};
+
+/**
+ * Save a promo code, translating duplicate codes into a readable error
+ */
+const savePromoCode = async (save) => {
+    try {
+        return await save();
+    } catch (error) {
+        if (error instanceof UniqueConstraintError) {
+            throw new Error('Promo code already exists');
+        }
+        throw error;
+    }
+};
+
+/**
+ * Create a promo code
+ * @param {Object} data - Fields from the admin form (see PromoCode.validateData)
+ * @param {number} adminId - Admin creating the code
+ * @returns {Promise<Object>} The promo code
+ */
+const createPromoCode = async (data, adminId) => {
+    const attributes = PromoCode.validateData(data);
+    const promoCode = await savePromoCode(() => PromoCode.create({ ...attributes, created_by: adminId }));
+
+    await syncStripeCoupon(promoCode);
+    return promoCode.reload();
+};
+
+/**
+ * Update a promo code
+ * @param {number} id - Promo code ID
+ * @param {Object} data - Fields from the admin form (see PromoCode.validateData)
+ * @returns {Promise<Object>} The promo code
+ */
+const updatePromoCode = async (id, data) => {
+    const promoCode = await PromoCode.findByPk(id);
+    if (!promoCode) {
+        throw new Error('Promo code not found');
+    }
+
+    const attributes = PromoCode.validateData({ ...promoCode.toJSON(), ...data });
+    await savePromoCode(() => promoCode.update(attributes));
+
+    await syncStripeCoupon(promoCode);
+    return promoCode;
+};
+
+/**
+ * Delete a promo code. Codes that have been used keep their history and can
+ * only be deactivated.
+ * @param {number} id - Promo code ID
+ */
+const deletePromoCode = async (id) => {
+    const promoCode = await PromoCode.findByPk(id);
+    if (!promoCode) {
+        throw new Error('Promo code not found');
+    }
+
+    const redemptions = await PromoCodeRedemption.count({ where: { promo_code_id: id } });
+    if (redemptions > 0) {
+        throw new Error('Promo code has been used and can only be deactivated');
+    }
+
+    await removeStripeCoupon(promoCode);
+    await promoCode.destroy();
+};
+
+module.exports = {
+    ensureStripeCoupon,
+    syncStripeCoupon,
+    createPromoCode,
+    updatePromoCode,
+    deletePromoCode
+};
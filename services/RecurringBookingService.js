@@ -0,0 +1,663 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../db/index');
+const { Calendar } = require('../models/Calendar');
+const { RecurringBooking } = require('../models/RecurringBooking');
+const { RecurringBookingException } = require('../models/RecurringBookingException');
+const { GroupSession } = require('../models/GroupSession');
+const { Subscription } = require('../models/Subscription');
+const { User } = require('../models/User');
+const { UserCredits, CreditUsage } = require('../models/Credits');
+const waitlistService = require('./WaitlistService');
+const emailQueueService = require('./EmailQueueService');
+const { createUTCDateFromSlot, formatDateUTC, getDayOfWeekUTC, isValidDateString } = require('../utils/timeUtils');
+
+/**
+ * RecurringBookingService - Turns subscription recurring bookings into real lessons
+ *
+ * A recurring booking only stores a weekly day and time. This service generates the
+ * actual calendar_events rows for a rolling window of weeks, each paid with one of the
+ * student's credits like any other booking, so every lesson can be rescheduled,
+ * cancelled, refunded and marked for attendance on its own.
+ *
+ * A week is skipped when the time is already booked, blocked or taken by a group
+ * class, or the student is out of credits for the lesson length. Skipped weeks keep
+ * showing as reserved and are retried by the next run. Each recurring booking has at
+ * most one lesson per week (recurring_date, in any status), so a lesson the student
+ * cancelled or moved is never generated again.
+ *
+ * A recurring booking whose subscription payment is overdue past the grace period is
+ * paused (see DunningService): it books nothing until the subscription is paid.
+ *
+ * Single weeks can be skipped or moved to another date and time without touching the
+ * weekly pattern. Each change is stored as a RecurringBookingException for that week:
+ * it is applied to the week's lesson if one was generated already, and otherwise
+ * when the lesson is generated.
+ */
+
+// How far ahead lessons are generated
+const WEEKS_AHEAD = 4;
+
+// How many weeks students can see (and skip or move) ahead of time
+const WEEKS_LISTED = 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const overlaps = (startA, durationA, startB, durationB) => {
+    return startA < startB + durationB && startA + durationA > startB;
+};
+
+/**
+ * Upcoming dates in the generation window that fall on the booking's weekday
+ */
+const getOccurrenceDates = (recurringBooking, now, weeksAhead) => {
+    const dates = [];
+    for (let offset = 0; offset < weeksAhead * 7; offset++) {
+        const day = new Date(now.getTime() + offset * DAY_MS);
+        if (day.getUTCDay() !== recurringBooking.day_of_week) {
+            continue;
+        }
+
+        const date = formatDateUTC(day);
+        if (createUTCDateFromSlot(date, recurringBooking.start_slot) > now) {
+            dates.push(date);
+        }
+    }
+    return dates;
+};
+
+/**
+ * Create the lesson for one week, paying for it with a credit
+ * @param {string} occurrenceDate - The regular weekly date the lesson belongs to
+ * @param {string} date - The date it takes place (differs for a moved week)
+ * @param {number} startSlot - The slot it starts at
+ * @returns {Promise<Object|null>} The lesson, or null if another run created it first
+ */
+const createOccurrence = async (recurringBooking, studentId, occurrenceDate, date, startSlot) => {
+    const creditOwnerId = await User.getCreditOwnerId(studentId);
+    const transaction = await sequelize.transaction();
+    try {
+        const event = await Calendar.create({
+            instructor_id: recurringBooking.instructor_id,
+            student_id: studentId,
+            date,
+            start_slot: startSlot,
+            duration: recurringBooking.duration,
+            status: 'booked',
+            recurring_booking_id: recurringBooking.id,
+            recurring_date: occurrenceDate
+        }, { transaction });
+
+        await UserCredits.useCredit(creditOwnerId, event.id, recurringBooking.duration * 15, transaction);
+
+        await transaction.commit();
+        return event;
+    } catch (error) {
+        await transaction.rollback();
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Generate the lessons for a recurring booking over the coming weeks
+ * @param {Object} recurringBooking - RecurringBooking instance
+ * @param {Object} [options]
+ * @param {number} [options.weeksAhead] - Size of the generation window
+ * @param {Date} [options.now] - Reference time (injectable for tests)
+ * @returns {Promise<{ created: Array, skipped: Array<{ date: string, reason: string }> }>}
+ */
+const generateOccurrences = async (recurringBooking, { weeksAhead = WEEKS_AHEAD, now = new Date() } = {}) => {
+    const created = [];
+    const skipped = [];
+
+    if (recurringBooking.paused_at) {
+        return { created, skipped };
+    }
+
+    const subscription = await Subscription.findByPk(recurringBooking.subscription_id);
+    if (!subscription || subscription.status !== 'active') {
+        return { created, skipped };
+    }
+
+    const dates = getOccurrenceDates(recurringBooking, now, weeksAhead);
+    if (dates.length === 0) {
+        return { created, skipped };
+    }
+
+    const existing = await Calendar.findRecurringOccurrences([recurringBooking.id], dates[0], dates[dates.length - 1]);
+    const existingDates = new Set(existing.map(event => event.recurring_date));
+
+    // Skipped and moved weeks
+    const exceptions = await RecurringBookingException.findAll({
+        where: {
+            recurring_booking_id: recurringBooking.id,
+            occurrence_date: { [Op.in]: dates }
+        }
+    });
+    const exceptionFor = new Map(exceptions.map(exception => [exception.occurrence_date, exception]));
+
+    const weeks = [];
+    for (const date of dates) {
+        const exception = exceptionFor.get(date);
+        if (existingDates.has(date) || exception?.type === 'skip') {
+            continue;
+        }
+
+        const week = exception
+            ? { occurrenceDate: date, date: exception.new_date, startSlot: exception.new_start_slot }
+            : { occurrenceDate: date, date, startSlot: recurringBooking.start_slot };
+        if (createUTCDateFromSlot(week.date, week.startSlot) > now) {
+            weeks.push(week);
+        }
+    }
+    if (weeks.length === 0) {
+        return { created, skipped };
+    }
+
+    // Bookings and blocked times that would clash with a generated lesson
+    const otherEvents = await Calendar.findAll({
+        where: {
+            instructor_id: recurringBooking.instructor_id,
+            date: { [Op.in]: [...new Set(weeks.map(week => week.date))] },
+            status: { [Op.ne]: 'cancelled' }
+        }
+    });
+
+    // Group classes take the time even before anyone has enrolled
+    const groupSessions = await GroupSession.findAll({
+        where: {
+            instructor_id: recurringBooking.instructor_id,
+            date: { [Op.in]: [...new Set(weeks.map(week => week.date))] },
+            status: 'scheduled'
+        }
+    });
+
+    for (const week of weeks) {
+        const hasConflict = [...otherEvents, ...groupSessions].some(event =>
+            event.date === week.date &&
+            overlaps(week.startSlot, recurringBooking.duration, event.start_slot, event.duration)
+        );
+        if (hasConflict) {
+            skipped.push({ date: week.occurrenceDate, reason: 'conflict' });
+            continue;
+        }
+
+        try {
+            const event = await createOccurrence(recurringBooking, subscription.user_id, week.occurrenceDate, week.date, week.startSlot);
+            if (event) {
+                created.push(event);
+            }
+        } catch (error) {
+            if (error.message === 'INSUFFICIENT_CREDITS') {
+                skipped.push({ date: week.occurrenceDate, reason: 'insufficient_credits' });
+                continue;
+            }
+            throw error;
+        }
+    }
+
+    return { created, skipped };
+};
+
+/**
+ * Extend every active recurring booking's lessons to the end of the window
+ * @returns {Promise<{ created: number, skipped: number }>} Counts for logging
+ */
+const generateAll = async (now = new Date()) => {
+    const recurringBookings = await RecurringBooking.findAll({
+        where: { paused_at: null },
+        include: [{ model: Subscription, where: { status: 'active' }, attributes: [] }]
+    });
+
+    let created = 0;
+    let skipped = 0;
+
+    for (const recurringBooking of recurringBookings) {
+        try {
+            const result = await generateOccurrences(recurringBooking, { now });
+            created += result.created.length;
+            skipped += result.skipped.length;
+        } catch (error) {
+            console.error(`Error generating lessons for recurring booking ${recurringBooking.id}:`, error);
+        }
+    }
+
+    return { created, skipped };
+};
+
+/**
+ * Cancel one generated lesson and return its credit
+ * @param {Object} event - Calendar instance
+ * @param {Object} [options]
+ * @param {boolean} [options.release] - Free the lesson's week so it can be generated again
+ */
+const cancelOccurrence = async (event, { release = false } = {}) => {
+    const transaction = await sequelize.transaction();
+    try {
+        const creditUsage = await CreditUsage.findOne({
+            where: { calendar_event_id: event.id },
+            transaction
+        });
+        if (creditUsage) {
+            // Back to whoever paid, which is the guardian for dependents sharing their credits
+            await UserCredits.addCredits(creditUsage.user_id, 1, null, creditUsage.duration_minutes || 30, transaction);
+        }
+
+        await event.update({
+            status: 'cancelled',
+            ...(release && { recurring_date: null })
+        }, { transaction });
+        await transaction.commit();
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+};
+
+/**
+ * Cancel a recurring booking's lessons that haven't started yet, returning their
+ * credits and offering the freed times to the waitlist
+ * @param {number} recurringBookingId - RecurringBooking ID
+ * @param {Object} [options]
+ * @param {string} [options.fromDate] - Only cancel lessons on or after this date (YYYY-MM-DD)
+ * @param {boolean} [options.release] - Free the lessons' weeks so they can be generated
+ *   again, for when the recurring booking itself has moved
+ * @param {Date} [options.now] - Reference time (injectable for tests)
+ * @returns {Promise<number>} Number of lessons cancelled
+ */
+const cancelFutureOccurrences = async (recurringBookingId, { fromDate = null, release = false, now = new Date() } = {}) => {
+    const today = formatDateUTC(now);
+    const startDate = fromDate && fromDate > today ? fromDate : today;
+
+    const upcoming = await Calendar.findAll({
+        where: {
+            recurring_booking_id: recurringBookingId,
+            status: 'booked',
+            date: { [Op.gte]: startDate }
+        }
+    });
+
+    const cancelled = [];
+    for (const event of upcoming) {
+        if (createUTCDateFromSlot(event.date, event.start_slot) <= now) {
+            continue;
+        }
+
+        await cancelOccurrence(event, { release });
+        cancelled.push(event);
+    }
+
+    for (const event of cancelled) {
+        await waitlistService.notifyFreedSlot(event);
+    }
+
+    return cancelled.length;
+};
+
+/**
+ * Pause a recurring booking: its upcoming lessons are cancelled with their credits
+ * returned, and it holds no time and books no lessons until it is resumed
+ * @param {Object} recurringBooking - RecurringBooking instance
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (injectable for tests)
+ * @returns {Promise<number>} Number of lessons cancelled
+ */
+const pause = async (recurringBooking, { now = new Date() } = {}) => {
+    if (recurringBooking.paused_at) {
+        return 0;
+    }
+
+    await recurringBooking.update({ paused_at: now });
+
+    // Released weeks are booked again if the recurring booking is resumed in time
+    return cancelFutureOccurrences(recurringBooking.id, { release: true, now });
+};
+
+/**
+ * Resume a paused recurring booking and book its lessons for the coming weeks
+ * @param {Object} recurringBooking - RecurringBooking instance
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (injectable for tests)
+ * @returns {Promise<{ created: Array, skipped: Array }>} The generated weeks
+ */
+const resume = async (recurringBooking, { now = new Date() } = {}) => {
+    if (recurringBooking.paused_at) {
+        await recurringBooking.update({ paused_at: null });
+    }
+    return generateOccurrences(recurringBooking, { now });
+};
+
+/**
+ * Drop the skipped and moved weeks from today on, for when the weekly pattern itself changes
+ */
+const clearUpcomingExceptions = async (recurringBookingId, now = new Date()) => {
+    await RecurringBookingException.destroy({
+        where: {
+            recurring_booking_id: recurringBookingId,
+            occurrence_date: { [Op.gte]: formatDateUTC(now) }
+        }
+    });
+};
+
+/**
+ * Find what would stop a recurring lesson from taking a time: another booking or
+ * blocked time, another recurring reservation, a waitlist hold or a group class
+ * @param {Object} recurringBooking - RecurringBooking instance
+ * @param {string} occurrenceDate - The week being placed (its own lesson and reservation don't count)
+ * @returns {Promise<string|null>} Why the time can't be used, or null if it's free
+ */
+const findConflict = async (recurringBooking, occurrenceDate, date, startSlot, studentId) => {
+    const { duration, instructor_id: instructorId } = recurringBooking;
+
+    const events = await Calendar.getInstructorEvents(instructorId, date, date);
+    const hasEvent = events.some(event =>
+        !(event.recurring_booking_id === recurringBooking.id && event.recurring_date === occurrenceDate) &&
+        overlaps(startSlot, duration, event.start_slot, event.duration)
+    );
+    if (hasEvent) {
+        return 'Time slot is already booked';
+    }
+
+    const reservations = await RecurringBooking.findByInstructorAndDate(instructorId, date);
+    const hasReservation = reservations.some(reservation =>
+        !(reservation.id === recurringBooking.id && reservation.occurrence_date === occurrenceDate) &&
+        overlaps(startSlot, duration, reservation.start_slot, reservation.duration)
+    );
+    if (hasReservation) {
+        return 'Time slot is reserved for a recurring member';
+    }
+
+    const blockingHold = await waitlistService.findBlockingHold(instructorId, date, startSlot, duration, studentId);
+    if (blockingHold) {
+        return 'Time slot is being held for a waitlisted student';
+    }
+
+    const groupSessions = await GroupSession.findOverlapping(instructorId, date, startSlot, duration);
+    if (groupSessions.length > 0) {
+        return 'Time slot already has a group class';
+    }
+
+    return null;
+};
+
+/**
+ * Load what one week currently looks like, and check it can still be changed
+ * @returns {Promise<{ subscription: Object, exception: Object|null, lesson: Object|null }>}
+ */
+const getChangeableWeek = async (recurringBooking, occurrenceDate, now) => {
+    if (!isValidDateString(occurrenceDate) || getDayOfWeekUTC(occurrenceDate) !== recurringBooking.day_of_week) {
+        throw new Error('Date is not one of this recurring booking\'s weeks');
+    }
+
+    if (recurringBooking.paused_at) {
+        throw new Error('Recurring booking is paused');
+    }
+
+    const subscription = await Subscription.findByPk(recurringBooking.subscription_id);
+    if (!subscription || subscription.status !== 'active') {
+        throw new Error('Subscription is not active');
+    }
+
+    const exception = await RecurringBookingException.findForOccurrence(recurringBooking.id, occurrenceDate);
+    const lesson = await Calendar.findOne({
+        where: { recurring_booking_id: recurringBooking.id, recurring_date: occurrenceDate }
+    });
+
+    // The week's current time: its lesson, else where it was moved to, else the regular time
+    const current = lesson && lesson.status === 'booked'
+        ? { date: lesson.date, startSlot: lesson.start_slot }
+        : exception?.type === 'move'
+            ? { date: exception.new_date, startSlot: exception.new_start_slot }
+            : { date: occurrenceDate, startSlot: recurringBooking.start_slot };
+    if (createUTCDateFromSlot(current.date, current.startSlot) <= now) {
+        throw new Error('This week\'s lesson has already started');
+    }
+
+    return { subscription, exception, lesson };
+};
+
+/**
+ * Move a booked lesson and let everyone involved know
+ */
+const moveLesson = async (lesson, date, startSlot) => {
+    const oldBookingDetails = {
+        id: lesson.id,
+        instructor_id: lesson.instructor_id,
+        date: lesson.date,
+        start_slot: lesson.start_slot,
+        duration: lesson.duration
+    };
+
+    await lesson.update({ date, start_slot: startSlot });
+    await waitlistService.notifyFreedSlot(oldBookingDetails);
+
+    try {
+        const updatedLesson = await Calendar.getEventById(lesson.id);
+        if (updatedLesson) {
+            await emailQueueService.queueReschedulingConfirmations(oldBookingDetails, updatedLesson);
+        }
+    } catch (emailError) {
+        console.error('Email queue error during recurring lesson move:', emailError);
+    }
+};
+
+/**
+ * Skip one week of a recurring booking. A lesson already generated for it is
+ * cancelled and its credit returned.
+ * @param {Object} recurringBooking - RecurringBooking instance
+ * @param {string} occurrenceDate - The regular weekly date (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {number} [options.createdBy] - User making the change
+ * @param {Date} [options.now] - Reference time (injectable for tests)
+ * @returns {Promise<Object>} The exception
+ */
+const skipOccurrence = async (recurringBooking, occurrenceDate, { createdBy = null, now = new Date() } = {}) => {
+    const { exception, lesson } = await getChangeableWeek(recurringBooking, occurrenceDate, now);
+
+    const values = { type: 'skip', new_date: null, new_start_slot: null, created_by: createdBy };
+    const skip = exception
+        ? await exception.update(values)
+        : await RecurringBookingException.create({
+            recurring_booking_id: recurringBooking.id,
+            occurrence_date: occurrenceDate,
+            ...values
+        });
+
+    if (lesson && lesson.status === 'booked') {
+        await cancelOccurrence(lesson);
+        await waitlistService.notifyFreedSlot(lesson);
+    }
+
+    return skip;
+};
+
+/**
+ * Move one week of a recurring booking to another date and/or time. The new time
+ * must be within the instructor's availability and free.
+ * @param {Object} recurringBooking - RecurringBooking instance
+ * @param {string} occurrenceDate - The regular weekly date (YYYY-MM-DD)
+ * @param {string} newDate - Date to move the lesson to (YYYY-MM-DD)
+ * @param {number} newStartSlot - Slot to move the lesson to
+ * @param {Object} [options]
+ * @param {number} [options.createdBy] - User making the change
+ * @param {Date} [options.now] - Reference time (injectable for tests)
+ * @returns {Promise<Object>} The exception
+ */
+const moveOccurrence = async (recurringBooking, occurrenceDate, newDate, newStartSlot, { createdBy = null, now = new Date() } = {}) => {
+    const { subscription, exception, lesson } = await getChangeableWeek(recurringBooking, occurrenceDate, now);
+
+    const startSlot = parseInt(newStartSlot, 10);
+    if (!isValidDateString(newDate) || !Number.isInteger(startSlot) || startSlot < 0 || startSlot + recurringBooking.duration > 96) {
+        throw new Error('Invalid date or time slot');
+    }
+    if (createUTCDateFromSlot(newDate, startSlot) <= now) {
+        throw new Error('Cannot move a lesson into the past');
+    }
+
+    const isTimeAvailable = await RecurringBooking.isWithinAvailability(
+        recurringBooking.instructor_id,
+        getDayOfWeekUTC(newDate),
+        startSlot,
+        recurringBooking.duration
+    );
+    if (!isTimeAvailable) {
+        throw new Error('Selected time is outside instructor availability');
+    }
+
+    const conflict = await findConflict(recurringBooking, occurrenceDate, newDate, startSlot, subscription.user_id);
+    if (conflict) {
+        throw new Error(conflict);
+    }
+
+    const values = { type: 'move', new_date: newDate, new_start_slot: startSlot, created_by: createdBy };
+    const move = exception
+        ? await exception.update(values)
+        : await RecurringBookingException.create({
+            recurring_booking_id: recurringBooking.id,
+            occurrence_date: occurrenceDate,
+            ...values
+        });
+
+    if (lesson && lesson.status === 'booked') {
+        await moveLesson(lesson, newDate, startSlot);
+    } else {
+        // A cancelled (e.g. previously skipped) lesson makes way for one at the new time
+        if (lesson) {
+            await lesson.update({ recurring_date: null });
+        }
+        await generateOccurrences(recurringBooking, { now });
+    }
+
+    return move;
+};
+
+/**
+ * Undo a skip or move, putting the week back at its regular time
+ * @param {Object} recurringBooking - RecurringBooking instance
+ * @param {string} occurrenceDate - The regular weekly date (YYYY-MM-DD)
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (injectable for tests)
+ */
+const restoreOccurrence = async (recurringBooking, occurrenceDate, { now = new Date() } = {}) => {
+    const { subscription, exception, lesson } = await getChangeableWeek(recurringBooking, occurrenceDate, now);
+    if (!exception) {
+        throw new Error('This week has not been changed');
+    }
+
+    const regularStart = recurringBooking.start_slot;
+    if (createUTCDateFromSlot(occurrenceDate, regularStart) <= now) {
+        throw new Error('The regular time for this week has already passed');
+    }
+
+    const conflict = await findConflict(recurringBooking, occurrenceDate, occurrenceDate, regularStart, subscription.user_id);
+    if (conflict) {
+        throw new Error(conflict);
+    }
+
+    await exception.destroy();
+
+    if (lesson && lesson.status === 'booked') {
+        await moveLesson(lesson, occurrenceDate, regularStart);
+    } else {
+        if (lesson) {
+            await lesson.update({ recurring_date: null });
+        }
+        await generateOccurrences(recurringBooking, { now });
+    }
+};
+
+/**
+ * The coming weeks of a recurring booking as the student sees them
+ * @param {Object} recurringBooking - RecurringBooking instance
+ * @param {Object} [options]
+ * @param {number} [options.weeks] - How many weeks to list
+ * @param {Date} [options.now] - Reference time (injectable for tests)
+ * @returns {Promise<Array<{ occurrence_date: string, date: string, start_slot: number, duration: number,
+ *   status: string, calendar_event_id: number|null }>>} status is scheduled, moved, skipped or cancelled
+ */
+const getUpcomingWeeks = async (recurringBooking, { weeks = WEEKS_LISTED, now = new Date() } = {}) => {
+    const dates = getOccurrenceDates(recurringBooking, now, weeks);
+    if (dates.length === 0) {
+        return [];
+    }
+
+    const lessons = await Calendar.findRecurringOccurrences([recurringBooking.id], dates[0], dates[dates.length - 1]);
+    const exceptions = await RecurringBookingException.findAll({
+        where: {
+            recurring_booking_id: recurringBooking.id,
+            occurrence_date: { [Op.in]: dates }
+        }
+    });
+
+    return dates.map(occurrenceDate => {
+        const lesson = lessons.find(event => event.recurring_date === occurrenceDate);
+        const exception = exceptions.find(change => change.occurrence_date === occurrenceDate);
+
+        let status = 'scheduled';
+        if (exception?.type === 'skip') {
+            status = 'skipped';
+        } else if (lesson?.status === 'cancelled') {
+            status = 'cancelled';
+        } else if (exception?.type === 'move') {
+            status = 'moved';
+        }
+
+        const placed = lesson && lesson.status !== 'cancelled'
+            ? { date: lesson.date, start_slot: lesson.start_slot }
+            : exception?.type === 'move'
+                ? { date: exception.new_date, start_slot: exception.new_start_slot }
+                : { date: occurrenceDate, start_slot: recurringBooking.start_slot };
+
+        return {
+            occurrence_date: occurrenceDate,
+            ...placed,
+            duration: recurringBooking.duration,
+            status,
+            calendar_event_id: lesson ? lesson.id : null
+        };
+    });
+};
+
+/**
+ * Virtual "recurring_reserved" calendar events for reservations (see RecurringBooking.getReservations)
+ * @param {Array} reservations - Reservations with Subscription and User loaded
+ * @returns {Array} Calendar events
+ */
+const toReservedEvents = (reservations) => {
+    return reservations.map(reservation => ({
+        id: `recurring_${reservation.id}_${reservation.occurrence_date}`,
+        instructor_id: reservation.instructor_id,
+        student_id: reservation.Subscription.user_id,
+        date: reservation.date,
+        start_slot: reservation.start_slot,
+        duration: reservation.duration,
+        status: 'recurring_reserved',
+        // Normalize student data to nested structure
+        student: {
+            id: reservation.Subscription.user_id,
+            name: reservation.Subscription.User.name,
+            email: reservation.Subscription.User.email
+        },
+        recurring_booking_id: reservation.id,
+        subscription_id: reservation.subscription_id,
+        occurrence_date: reservation.occurrence_date,
+        moved: reservation.moved
+    }));
+};
+
+module.exports = {
+    WEEKS_AHEAD,
+    generateOccurrences,
+    generateAll,
+    cancelFutureOccurrences,
+    pause,
+    resume,
+    clearUpcomingExceptions,
+    skipOccurrence,
+    moveOccurrence,
+    restoreOccurrence,
+    getUpcomingWeeks,
+    toReservedEvents
+};
@@ -172,9 +172,9 @@ const processCreditRefund = async (booking, creditUsage, refundedByUserId, trans
     const creditsToRefund = durationMinutes === 60 ? 1 : 1; // 1 credit for both 30 and 60 minute lessons
 
 
-    // Add credits back to user's account
+    // Add credits back to the account that paid (a guardian's, for dependents sharing their credits)
     await UserCredits.addCredits(
-        booking.student_id,
+        creditUsage?.user_id || booking.student_id,
         creditsToRefund,
         null, // No expiry date for refunded credits
         durationMinutes,
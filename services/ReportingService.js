@@ -0,0 +1,492 @@
+const { Op } = require('sequelize');
+const { Transactions } = require('../models/Transactions');
+const { Refund } = require('../models/Refund');
+const { PaymentPlan } = require('../models/PaymentPlan');
+const { Calendar } = require('../models/Calendar');
+const { Attendance } = require('../models/Attendance');
+const { Instructor } = require('../models/Instructor');
+const { User } = require('../models/User');
+const { UserCredits } = require('../models/Credits');
+const { Subscription } = require('../models/Subscription');
+const { SubscriptionEvent } = require('../models/SubscriptionEvent');
+const { getWeeklyAvailability } = require('../models/InstructorAvailability');
+
+/**
+ * ReportingService - Revenue and utilization reports for the admin dashboard
+ *
+ * Every report except credit liability covers a date range (inclusive, UTC)
+ * and most are broken down into day, week or month periods so they can be
+ * charted. Periods are keyed by their first day, weeks starting on Monday, and
+ * every period in the range is listed even when nothing happened in it.
+ * Figures are worked out from the records themselves on each request.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GROUPINGS = ['day', 'week', 'month'];
+
+// Longest range, and longest range broken down by day
+const MAX_RANGE_DAYS = 3 * 366;
+const MAX_DAILY_RANGE_DAYS = 366;
+
+// Events that end a subscription, and the one that undoes it
+const CANCELLATION_EVENTS = [
+    'subscription.canceled',
+    'subscription.sync_canceled',
+    'admin.subscription.canceled',
+    'admin.subscription.sync_canceled',
+    'customer.subscription.deleted'
+];
+const REACTIVATION_EVENT = 'admin.subscription.reactivated';
+
+// Subscriptions whose first payment never went through
+const NEVER_STARTED_STATUSES = ['incomplete', 'incomplete_expired'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// A share as a percentage to one decimal place, or null when there's nothing to divide by
+const percentage = (part, whole) => whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+
+const parseDate = (dateString) => new Date(`${dateString}T00:00:00Z`);
+const toDateString = (date) => date.toISOString().slice(0, 10);
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Check a report's date range and grouping
+ * @private
+ * @throws {Error} 'Invalid date range', 'Invalid grouping' or 'Date range is too long...'
+ */
+const validateRange = (from, to, groupBy = 'day') => {
+    if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || from > to) {
+        throw new Error('Invalid date range');
+    }
+    if (!GROUPINGS.includes(groupBy)) {
+        throw new Error('Invalid grouping');
+    }
+
+    const days = Math.round((parseDate(to) - parseDate(from)) / DAY_MS) + 1;
+    if (days > MAX_RANGE_DAYS) {
+        throw new Error('Date range is too long, choose three years or less');
+    }
+    if (groupBy === 'day' && days > MAX_DAILY_RANGE_DAYS) {
+        throw new Error('Date range is too long to show by day, group by week or month');
+    }
+};
+
+/**
+ * First day of the period a date falls in
+ * @private
+ */
+const periodStart = (date, groupBy) => {
+    if (groupBy === 'month') {
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    }
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (groupBy === 'week') {
+        // Weeks start on Monday
+        return addDays(day, -((day.getUTCDay() + 6) % 7));
+    }
+    return day;
+};
+
+const nextPeriod = (start, groupBy) => {
+    if (groupBy === 'month') {
+        return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    }
+    return addDays(start, groupBy === 'week' ? 7 : 1);
+};
+
+const periodKey = (date, groupBy) => toDateString(periodStart(new Date(date), groupBy));
+
+/**
+ * Every period in a range, each with start and end (exclusive) clipped to the range
+ * @private
+ */
+const buildPeriods = (from, to, groupBy) => {
+    const rangeStart = parseDate(from);
+    const rangeEnd = addDays(parseDate(to), 1);
+    const periods = [];
+
+    for (let start = periodStart(rangeStart, groupBy); start < rangeEnd; start = nextPeriod(start, groupBy)) {
+        periods.push({
+            period: toDateString(start),
+            start: start < rangeStart ? rangeStart : start,
+            end: nextPeriod(start, groupBy) > rangeEnd ? rangeEnd : nextPeriod(start, groupBy)
+        });
+    }
+    return periods;
+};
+
+// Timestamp conditions for a date range
+const timestampRange = (from, to) => ({
+    [Op.gte]: parseDate(from),
+    [Op.lt]: addDays(parseDate(to), 1)
+});
+
+/**
+ * Completed payments less Stripe refunds, by period, plan and payment method
+ * @param {Object} range - { from, to, groupBy } with dates as 'YYYY-MM-DD'
+ * @returns {Promise<Object>} { periods, byPlan, byPaymentMethod, totals }
+ */
+const getRevenueReport = async ({ from, to, groupBy = 'month' }) => {
+    validateRange(from, to, groupBy);
+
+    const [transactions, refunds] = await Promise.all([
+        Transactions.findAll({
+            where: { status: 'completed', created_at: timestampRange(from, to) },
+            attributes: ['id', 'amount', 'discount_amount', 'payment_method', 'payment_plan_id', 'created_at'],
+            include: [{ model: PaymentPlan, attributes: ['name'] }]
+        }),
+        // Credit refunds give lessons back rather than money, so only Stripe refunds reduce revenue
+        Refund.findAll({
+            where: { type: 'stripe', created_at: timestampRange(from, to) },
+            attributes: ['amount', 'created_at']
+        })
+    ]);
+
+    const periods = new Map(buildPeriods(from, to, groupBy).map(({ period }) => [period, {
+        period,
+        transactions: 0,
+        gross: 0,
+        refunds: 0,
+        net: 0
+    }]));
+    const byPlan = new Map();
+    const byPaymentMethod = new Map();
+    const totals = { transactions: 0, gross: 0, discounts: 0, refunds: 0, net: 0 };
+
+    for (const transaction of transactions) {
+        const amount = parseFloat(transaction.amount) || 0;
+        const row = periods.get(periodKey(transaction.created_at, groupBy));
+        row.transactions += 1;
+        row.gross += amount;
+
+        const plan = transaction.PaymentPlan?.name ||
+            (transaction.payment_method === 'in-person' ? 'In-person lessons' : 'Other');
+        const planRow = byPlan.get(plan) || { plan, transactions: 0, amount: 0 };
+        planRow.transactions += 1;
+        planRow.amount += amount;
+        byPlan.set(plan, planRow);
+
+        const methodRow = byPaymentMethod.get(transaction.payment_method) ||
+            { payment_method: transaction.payment_method, transactions: 0, amount: 0 };
+        methodRow.transactions += 1;
+        methodRow.amount += amount;
+        byPaymentMethod.set(transaction.payment_method, methodRow);
+
+        totals.transactions += 1;
+        totals.gross += amount;
+        totals.discounts += parseFloat(transaction.discount_amount) || 0;
+    }
+
+    for (const refund of refunds) {
+        const amount = parseFloat(refund.amount) || 0;
+        periods.get(periodKey(refund.created_at, groupBy)).refunds += amount;
+        totals.refunds += amount;
+    }
+
+    const byAmount = (a, b) => b.amount - a.amount;
+    const roundAmount = (row) => ({ ...row, amount: roundCurrency(row.amount) });
+
+    return {
+        periods: [...periods.values()].map(row => ({
+            ...row,
+            gross: roundCurrency(row.gross),
+            refunds: roundCurrency(row.refunds),
+            net: roundCurrency(row.gross - row.refunds)
+        })),
+        byPlan: [...byPlan.values()].sort(byAmount).map(roundAmount),
+        byPaymentMethod: [...byPaymentMethod.values()].sort(byAmount).map(roundAmount),
+        totals: {
+            transactions: totals.transactions,
+            gross: roundCurrency(totals.gross),
+            discounts: roundCurrency(totals.discounts),
+            refunds: roundCurrency(totals.refunds),
+            net: roundCurrency(totals.gross - totals.refunds)
+        }
+    };
+};
+
+/**
+ * Booked hours against weekly availability for each instructor
+ * @param {Object} range - { from, to } as 'YYYY-MM-DD'
+ * @returns {Promise<Object>} { instructors, totals }
+ */
+const getUtilizationReport = async ({ from, to }) => {
+    validateRange(from, to, 'week');
+
+    // How many of each weekday the range has (0 = Sunday)
+    const weekdayCounts = new Array(7).fill(0);
+    for (let day = parseDate(from); day <= parseDate(to); day = addDays(day, 1)) {
+        weekdayCounts[day.getUTCDay()] += 1;
+    }
+
+    const [instructors, events] = await Promise.all([
+        Instructor.findAll({
+            include: [{ model: User, attributes: ['name'] }],
+            order: [['id', 'ASC']]
+        }),
+        Calendar.findAll({
+            where: {
+                date: { [Op.between]: [from, to] },
+                status: ['booked', 'blocked']
+            },
+            attributes: ['instructor_id', 'status', 'duration']
+        })
+    ]);
+
+    const rows = [];
+    for (const instructor of instructors) {
+        const availability = await getWeeklyAvailability(instructor.id);
+        const availableSlots = availability.reduce(
+            (total, slot) => total + slot.duration * weekdayCounts[slot.day_of_week], 0
+        );
+
+        const instructorEvents = events.filter(event => event.instructor_id === instructor.id);
+        const slotsWithStatus = (status) => instructorEvents
+            .filter(event => event.status === status)
+            .reduce((total, event) => total + event.duration, 0);
+        const bookedSlots = slotsWithStatus('booked');
+        const blockedSlots = slotsWithStatus('blocked');
+
+        // Slots are 15 minutes
+        rows.push({
+            instructor_id: instructor.id,
+            name: instructor.User?.name,
+            is_active: instructor.is_active,
+            available_hours: availableSlots / 4,
+            booked_hours: bookedSlots / 4,
+            blocked_hours: blockedSlots / 4,
+            open_hours: Math.max(availableSlots - bookedSlots - blockedSlots, 0) / 4,
+            utilization: percentage(bookedSlots, availableSlots)
+        });
+    }
+
+    const sum = (field) => rows.reduce((total, row) => total + row[field], 0);
+
+    return {
+        instructors: rows,
+        totals: {
+            available_hours: sum('available_hours'),
+            booked_hours: sum('booked_hours'),
+            blocked_hours: sum('blocked_hours'),
+            open_hours: sum('open_hours'),
+            utilization: percentage(sum('booked_hours'), sum('available_hours'))
+        }
+    };
+};
+
+/**
+ * Attendance of past booked lessons and the share students missed
+ * @param {Object} range - { from, to, groupBy } with dates as 'YYYY-MM-DD'
+ * @returns {Promise<Object>} { periods, instructors, totals }
+ */
+const getAttendanceReport = async ({ from, to, groupBy = 'month' }) => {
+    validateRange(from, to, groupBy);
+
+    // Lessons still to come have no attendance yet
+    const today = toDateString(new Date());
+    const lastDay = to < today ? to : today;
+
+    const lessons = from > lastDay ? [] : await Calendar.findAll({
+        where: {
+            date: { [Op.between]: [from, lastDay] },
+            status: 'booked'
+        },
+        attributes: ['id', 'date', 'instructor_id'],
+        include: [
+            { model: Attendance, attributes: ['status'], required: false },
+            { model: Instructor, attributes: ['id'], include: [{ model: User, attributes: ['name'] }] }
+        ]
+    });
+
+    const emptyCounts = () => ({ lessons: 0, present: 0, tardy: 0, absent: 0, unrecorded: 0 });
+    const addLesson = (counts, lesson) => {
+        counts.lessons += 1;
+        counts[lesson.Attendance?.status || 'unrecorded'] += 1;
+    };
+    // Missed lessons as a share of those with attendance taken
+    const withRate = (counts) => ({
+        ...counts,
+        no_show_rate: percentage(counts.absent, counts.present + counts.tardy + counts.absent)
+    });
+
+    const periods = new Map(buildPeriods(from, to, groupBy).map(({ period }) => [period, { period, ...emptyCounts() }]));
+    const instructors = new Map();
+    const totals = emptyCounts();
+
+    for (const lesson of lessons) {
+        addLesson(periods.get(periodKey(parseDate(lesson.date), groupBy)), lesson);
+
+        if (!instructors.has(lesson.instructor_id)) {
+            instructors.set(lesson.instructor_id, {
+                instructor_id: lesson.instructor_id,
+                name: lesson.Instructor?.User?.name,
+                ...emptyCounts()
+            });
+        }
+        addLesson(instructors.get(lesson.instructor_id), lesson);
+        addLesson(totals, lesson);
+    }
+
+    return {
+        periods: [...periods.values()].map(withRate),
+        instructors: [...instructors.values()].sort((a, b) => b.lessons - a.lessons).map(withRate),
+        totals: withRate(totals)
+    };
+};
+
+/**
+ * Lesson credits students have paid for but not used yet, valued at what
+ * lesson packages of the same length sell for on average
+ * @returns {Promise<Object>} { asOf, byDuration, totals }
+ */
+const getCreditLiability = async () => {
+    const today = toDateString(new Date());
+    const expiringBy = toDateString(addDays(parseDate(today), 30));
+
+    const [credits, plans] = await Promise.all([
+        UserCredits.findAll({
+            where: {
+                credits_remaining: { [Op.gt]: 0 },
+                [Op.or]: [
+                    { expiry_date: null },
+                    { expiry_date: { [Op.gte]: today } }
+                ]
+            },
+            attributes: ['user_id', 'credits_remaining', 'expiry_date', 'duration_minutes']
+        }),
+        PaymentPlan.findAll({
+            where: { type: 'one-time' },
+            attributes: ['price', 'credits', 'lesson_duration_minutes']
+        })
+    ]);
+
+    // Package price per credit, by lesson length
+    const creditPrices = new Map();
+    for (const plan of plans) {
+        if (!plan.credits) continue;
+        const entry = creditPrices.get(plan.lesson_duration_minutes) || { price: 0, credits: 0 };
+        entry.price += parseFloat(plan.price) || 0;
+        entry.credits += plan.credits;
+        creditPrices.set(plan.lesson_duration_minutes, entry);
+    }
+
+    const byDuration = new Map();
+    for (const credit of credits) {
+        const row = byDuration.get(credit.duration_minutes) ||
+            { duration_minutes: credit.duration_minutes, credits: 0, expiring_soon: 0, students: new Set() };
+        row.credits += credit.credits_remaining;
+        row.students.add(credit.user_id);
+        if (credit.expiry_date && credit.expiry_date <= expiringBy) {
+            row.expiring_soon += credit.credits_remaining;
+        }
+        byDuration.set(credit.duration_minutes, row);
+    }
+
+    const rows = [...byDuration.values()]
+        .sort((a, b) => a.duration_minutes - b.duration_minutes)
+        .map(row => {
+            const price = creditPrices.get(row.duration_minutes);
+            const valuePerCredit = price ? roundCurrency(price.price / price.credits) : null;
+            return {
+                duration_minutes: row.duration_minutes,
+                credits: row.credits,
+                students: row.students.size,
+                expiring_soon: row.expiring_soon,
+                value_per_credit: valuePerCredit,
+                value: valuePerCredit === null ? null : roundCurrency(valuePerCredit * row.credits)
+            };
+        });
+
+    return {
+        asOf: today,
+        byDuration: rows,
+        totals: {
+            credits: rows.reduce((total, row) => total + row.credits, 0),
+            students: new Set(credits.map(credit => credit.user_id)).size,
+            expiring_soon: rows.reduce((total, row) => total + row.expiring_soon, 0),
+            value: roundCurrency(rows.reduce((total, row) => total + (row.value || 0), 0))
+        }
+    };
+};
+
+/**
+ * New and cancelled memberships, and the share of members lost, by period.
+ * Cancellations come from the subscription event history.
+ * @param {Object} range - { from, to, groupBy } with dates as 'YYYY-MM-DD'
+ * @returns {Promise<Object>} { periods, totals }
+ */
+const getSubscriptionChurnReport = async ({ from, to, groupBy = 'month' }) => {
+    validateRange(from, to, groupBy);
+
+    const [subscriptions, events] = await Promise.all([
+        Subscription.findAll({
+            where: { status: { [Op.notIn]: NEVER_STARTED_STATUSES } },
+            attributes: ['id', 'created_at']
+        }),
+        SubscriptionEvent.findAll({
+            where: { event_type: [...CANCELLATION_EVENTS, REACTIVATION_EVENT] },
+            attributes: ['subscription_id', 'event_type', 'created_at'],
+            order: [['created_at', 'ASC'], ['id', 'ASC']]
+        })
+    ]);
+
+    // When each subscription was cancelled, unless it was reactivated since
+    const canceledAt = new Map();
+    for (const event of events) {
+        if (event.event_type === REACTIVATION_EVENT) {
+            canceledAt.delete(event.subscription_id);
+        } else if (!canceledAt.has(event.subscription_id)) {
+            canceledAt.set(event.subscription_id, new Date(event.created_at));
+        }
+    }
+
+    const members = subscriptions.map(subscription => ({
+        startedAt: new Date(subscription.created_at),
+        canceledAt: canceledAt.get(subscription.id) || null
+    }));
+
+    const activeAt = (moment) => members.filter(member =>
+        member.startedAt < moment && (!member.canceledAt || member.canceledAt >= moment)
+    ).length;
+    const countBetween = (field, start, end) => members.filter(member =>
+        member[field] && member[field] >= start && member[field] < end
+    ).length;
+
+    const periods = buildPeriods(from, to, groupBy).map(({ period, start, end }) => {
+        const activeAtStart = activeAt(start);
+        const canceled = countBetween('canceledAt', start, end);
+        return {
+            period,
+            active_at_start: activeAtStart,
+            started: countBetween('startedAt', start, end),
+            canceled,
+            churn_rate: percentage(canceled, activeAtStart)
+        };
+    });
+
+    const rangeStart = parseDate(from);
+    const rangeEnd = addDays(parseDate(to), 1);
+    const activeAtStart = activeAt(rangeStart);
+    const canceled = countBetween('canceledAt', rangeStart, rangeEnd);
+
+    return {
+        periods,
+        totals: {
+            active_at_start: activeAtStart,
+            started: countBetween('startedAt', rangeStart, rangeEnd),
+            canceled,
+            active_at_end: activeAt(rangeEnd),
+            churn_rate: percentage(canceled, activeAtStart)
+        }
+    };
+};
+
+module.exports = {
+    getRevenueReport,
+    getUtilizationReport,
+    getAttendanceReport,
+    getCreditLiability,
+    getSubscriptionChurnReport
+};
@@ -0,0 +1,441 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { PaymentPlan } = require('../models/PaymentPlan');
+const { Transactions } = require('../models/Transactions');
+const { PromoCode } = require('../models/PromoCode');
+const { stripe } = require('../config/stripe');
+const giftVoucherService = require('./GiftVoucherService');
+
+/**
+ * StripePaymentService - Saved cards and card payments that may need authentication
+ *
+ * Cards are saved on the student's Stripe customer (users.stripe_customer_id), either
+ * through a SetupIntent from the payments page or by saving the card used for a
+ * purchase. A saved card can buy a lesson package in one click; if the bank asks for
+ * 3D Secure, the transaction waits in 'requires_action' until the student completes
+ * it in the browser. Both the browser and the payments webhook report the final
+ * state of a payment intent through syncPaymentIntent, which only acts once.
+ * A promo code a card payment is priced with has one of its uses held from the moment
+ * the payment starts, so the code can't run out once the card has been charged.
+ */
+
+// Transactions that are still waiting on Stripe
+const OPEN_STATUSES = ['pending', 'requires_action'];
+
+// Smallest amount Stripe will charge a card, in dollars
+const MIN_CARD_AMOUNT = 0.5;
+
+/**
+ * Get the user's Stripe customer ID, creating the customer on first use
+ * Dependents are billed to their guardian's customer
+ * @param {Object} user - User record
+ * @returns {Promise<string>} Stripe customer ID
+ */
+const getOrCreateCustomer = async (user) => {
+    if (user.guardian_id) {
+        const guardian = await User.findByPk(user.guardian_id);
+        if (guardian) {
+            return getOrCreateCustomer(guardian);
+        }
+    }
+
+    if (user.stripe_customer_id) {
+        try {
+            const customer = await stripe.customers.retrieve(user.stripe_customer_id);
+            if (!customer.deleted) {
+                return customer.id;
+            }
+        } catch (error) {
+            // Customer no longer exists in Stripe, create a new one below
+        }
+    }
+
+    const customer = await stripe.customers.create({
+        email: user.email,
+        name: user.name,
+        metadata: {
+            userId: user.id
+        }
+    });
+
+    await User.update(
+        { stripe_customer_id: customer.id },
+        { where: { id: user.id } }
+    );
+    user.stripe_customer_id = customer.id;
+
+    return customer.id;
+};
+
+/**
+ * Load a saved card, making sure it belongs to the user
+ * @throws {Error} 'Payment method not found' for cards on another customer
+ */
+const findOwnPaymentMethod = async (user, paymentMethodId) => {
+    if (!user.stripe_customer_id || !paymentMethodId) {
+        throw new Error('Payment method not found');
+    }
+
+    let paymentMethod;
+    try {
+        paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+    } catch (error) {
+        throw new Error('Payment method not found');
+    }
+
+    if (paymentMethod.customer !== user.stripe_customer_id) {
+        throw new Error('Payment method not found');
+    }
+    return paymentMethod;
+};
+
+/**
+ * List the user's saved cards, default card first
+ * @param {Object} user - User record
+ * @returns {Promise<Array>} [{ id, brand, last4, exp_month, exp_year, is_default }]
+ */
+const listPaymentMethods = async (user) => {
+    if (!user.stripe_customer_id) {
+        return [];
+    }
+
+    const [customer, paymentMethods] = await Promise.all([
+        stripe.customers.retrieve(user.stripe_customer_id),
+        stripe.paymentMethods.list({ customer: user.stripe_customer_id, type: 'card' })
+    ]);
+    const defaultId = customer.deleted ? null : customer.invoice_settings?.default_payment_method;
+
+    return paymentMethods.data
+        .map(paymentMethod => ({
+            id: paymentMethod.id,
+            brand: paymentMethod.card.brand,
+            last4: paymentMethod.card.last4,
+            exp_month: paymentMethod.card.exp_month,
+            exp_year: paymentMethod.card.exp_year,
+            is_default: paymentMethod.id === defaultId
+        }))
+        .sort((a, b) => b.is_default - a.is_default);
+};
+
+/**
+ * Start saving a new card. The browser confirms the SetupIntent with the card details.
+ * @param {Object} user - User record
+ * @returns {Promise<Object>} { clientSecret }
+ */
+const createSetupIntent = async (user) => {
+    const customerId = await getOrCreateCustomer(user);
+
+    const setupIntent = await stripe.setupIntents.create({
+        customer: customerId,
+        payment_method_types: ['card'],
+        usage: 'off_session',
+        metadata: {
+            userId: user.id
+        }
+    });
+
+    return { clientSecret: setupIntent.client_secret };
+};
+
+/**
+ * Make a saved card the one used for one-click purchases and subscriptions
+ * @param {Object} user - User record
+ * @param {string} paymentMethodId - Stripe payment method ID
+ */
+const setDefaultPaymentMethod = async (user, paymentMethodId) => {
+    await findOwnPaymentMethod(user, paymentMethodId);
+
+    await stripe.customers.update(user.stripe_customer_id, {
+        invoice_settings: {
+            default_payment_method: paymentMethodId
+        }
+    });
+};
+
+/**
+ * Remove a saved card from the user's Stripe customer
+ * @param {Object} user - User record
+ * @param {string} paymentMethodId - Stripe payment method ID
+ */
+const detachPaymentMethod = async (user, paymentMethodId) => {
+    await findOwnPaymentMethod(user, paymentMethodId);
+    await stripe.paymentMethods.detach(paymentMethodId);
+};
+
+/**
+ * Cancel card payments the student started with a promo code and never finished (a
+ * card form they left), giving back the use of the code each one holds
+ */
+const cancelAbandonedPayments = async (userId, promoCode) => {
+    const abandoned = await Transactions.findAll({
+        where: {
+            user_id: userId,
+            payment_method: 'stripe',
+            status: 'pending',
+            payment_intent_id: { [Op.ne]: null }
+        },
+        include: [{
+            model: PromoCode,
+            where: { code: PromoCode.normalizeCode(promoCode) },
+            attributes: []
+        }]
+    });
+
+    for (const transaction of abandoned) {
+        try {
+            await syncPaymentIntent(await stripe.paymentIntents.cancel(transaction.payment_intent_id));
+        } catch (error) {
+            // Paid or processing in the meantime; it keeps its use of the code
+        }
+    }
+};
+
+/**
+ * Price a plan for a card payment, applying a promo code if one is given. Card
+ * payments the student left unfinished with the same code are cancelled first,
+ * so the uses they hold don't count against the new one.
+ * @param {number} userId - Buyer
+ * @param {number} planId - Payment plan ID
+ * @param {string} [promoCode] - Promo code as entered
+ * @returns {Promise<Object>} { plan, amount, discount: { promoCodeId, amount } | null }
+ */
+const pricePlan = async (userId, planId, promoCode = null) => {
+    const plan = await PaymentPlan.findByPk(planId);
+    if (!plan) {
+        throw new Error('Plan not found');
+    }
+
+    if (!promoCode) {
+        return { plan, amount: parseFloat(plan.price), discount: null };
+    }
+
+    await cancelAbandonedPayments(userId, promoCode);
+    const quote = await PromoCode.quote(promoCode, userId, plan);
+    if (quote.finalPrice < MIN_CARD_AMOUNT) {
+        throw PromoCode.unusableError('Promo code leaves less than the minimum card payment');
+    }
+
+    return {
+        plan,
+        amount: quote.finalPrice,
+        discount: { promoCodeId: quote.promoCode.id, amount: quote.discountAmount }
+    };
+};
+
+/**
+ * Record the pending transaction for a card payment of a plan, holding a use of
+ * the promo code it was priced with until the payment completes or fails
+ * @param {Object} user - Buyer
+ * @param {Object} pricing - { plan, amount, discount } from pricePlan
+ * @param {string} [stripeCustomerId] - Customer the card is charged to
+ * @returns {Promise<Object>} The pending transaction
+ * @throws {Error} PROMO_CODE_UNUSABLE if the code ran out since it was priced
+ */
+const createPendingTransaction = async (user, { plan, amount, discount }, stripeCustomerId = null) => {
+    return sequelize.transaction(async (t) => {
+        const transaction = await Transactions.create({
+            user_id: user.id,
+            payment_plan_id: plan.id,
+            amount,
+            payment_method: 'stripe',
+            status: 'pending',
+            stripe_customer_id: stripeCustomerId,
+            promo_code_id: discount?.promoCodeId ?? null,
+            discount_amount: discount?.amount ?? 0
+        }, { transaction: t });
+
+        if (discount) {
+            await PromoCode.recordRedemption({
+                promo_code_id: discount.promoCodeId,
+                user_id: user.id,
+                payment_plan_id: plan.id,
+                transaction_id: transaction.id,
+                discount_amount: discount.amount
+            }, t);
+        }
+
+        return transaction;
+    });
+};
+
+/**
+ * Mark a card transaction failed, giving back anything held for it
+ * @param {Object} transaction - Transaction record
+ * @param {Object} [updates] - Other fields to set, e.g. the payment intent ID
+ */
+const failTransaction = async (transaction, updates = {}) => {
+    await transaction.update({ ...updates, status: 'failed' });
+    await PromoCode.releaseRedemption(transaction.id);
+    await giftVoucherService.voidForTransaction(transaction.id);
+};
+
+/**
+ * Record the outcome of a payment intent on its transaction. Succeeded payments
+ * complete the purchase (adding the plan's credits, or issuing the gift voucher
+ * the payment was for); the transaction is claimed
+ * as it completes, so a webhook and the browser reporting the same payment only credit once.
+ * @param {Object} paymentIntent - Stripe payment intent
+ * @returns {Promise<Object|null>} The updated transaction, or null if it was already settled
+ */
+const syncPaymentIntent = async (paymentIntent) => {
+    const transaction = await Transactions.findOne({
+        where: {
+            payment_intent_id: paymentIntent.id,
+            status: { [Op.in]: OPEN_STATUSES }
+        }
+    });
+
+    if (!transaction) {
+        return null;
+    }
+
+    switch (paymentIntent.status) {
+        case 'succeeded': {
+            // Gifts are credited to whoever redeems the code, not the buyer
+            const giftVoucher = await giftVoucherService.findForTransaction(transaction.id);
+
+            if (!giftVoucher && transaction.payment_plan_id) {
+                // The purchase claims the transaction along with adding the credits
+                try {
+                    await PaymentPlan.purchase(
+                        transaction.user_id,
+                        transaction.payment_plan_id,
+                        'stripe',
+                        paymentIntent.id,
+                        { transactionId: transaction.id }
+                    );
+                } catch (error) {
+                    if (error.message === 'Transaction is not open') {
+                        return null;
+                    }
+                    console.error('Error completing Stripe purchase:', error);
+                    await transaction.update({ status: 'failed' });
+                    return transaction;
+                }
+                break;
+            }
+
+            const [claimed] = await Transactions.update(
+                { status: 'completed' },
+                { where: { id: transaction.id, status: { [Op.in]: OPEN_STATUSES } } }
+            );
+            if (claimed === 0) {
+                return null;
+            }
+
+            if (giftVoucher) {
+                await giftVoucherService.issueVoucher(giftVoucher);
+            }
+            // Single lesson payments have no plan to complete
+            break;
+        }
+
+        case 'requires_action':
+            await transaction.update({ status: 'requires_action' });
+            break;
+
+        case 'processing':
+            await transaction.update({ status: 'pending' });
+            break;
+
+        case 'canceled':
+        case 'requires_payment_method':
+            await failTransaction(transaction);
+            break;
+
+        default:
+            return transaction;
+    }
+
+    return transaction.reload();
+};
+
+/**
+ * Buy a lesson package with a saved card. The payment is confirmed immediately;
+ * if the bank asks for authentication the client secret is returned so the
+ * browser can complete it.
+ * @param {Object} user - User record
+ * @param {number} planId - One-time payment plan ID
+ * @param {string} paymentMethodId - Saved Stripe payment method ID
+ * @param {string} [promoCode] - Promo code as entered
+ * @returns {Promise<Object>} { status, transactionId, clientSecret? }
+ */
+const purchasePlanWithSavedCard = async (user, planId, paymentMethodId, promoCode = null) => {
+    const { plan, amount, discount } = await pricePlan(user.id, planId, promoCode);
+    if (plan.type !== 'one-time') {
+        throw new Error('Only lesson packages can be bought with a saved card');
+    }
+
+    await findOwnPaymentMethod(user, paymentMethodId);
+
+    const transaction = await createPendingTransaction(user, { plan, amount, discount }, user.stripe_customer_id);
+
+    let paymentIntent;
+    try {
+        paymentIntent = await stripe.paymentIntents.create({
+            amount: Math.round(amount * 100),
+            currency: 'usd',
+            customer: user.stripe_customer_id,
+            payment_method: paymentMethodId,
+            payment_method_types: ['card'],
+            confirm: true,
+            metadata: {
+                userId: user.id,
+                planId: plan.id,
+                transactionId: transaction.id
+            }
+        });
+    } catch (error) {
+        // Declined cards are reported as errors rather than a failed payment intent
+        await failTransaction(transaction, { payment_intent_id: error.payment_intent?.id || null });
+        throw new Error(error.type === 'StripeCardError' ? error.message : 'Payment failed');
+    }
+
+    await transaction.update({ payment_intent_id: paymentIntent.id });
+    await syncPaymentIntent(paymentIntent);
+
+    return {
+        status: paymentIntent.status,
+        transactionId: transaction.id,
+        ...(paymentIntent.status === 'requires_action' && { clientSecret: paymentIntent.client_secret })
+    };
+};
+
+/**
+ * Check a payment intent the browser has finished with (after confirming or
+ * authenticating it) and record its outcome
+ * @param {number} userId - User who made the payment
+ * @param {string} paymentIntentId - Stripe payment intent ID
+ * @returns {Promise<Object>} { status, transaction }
+ */
+const completePayment = async (userId, paymentIntentId) => {
+    const owned = await Transactions.findOne({
+        where: { payment_intent_id: paymentIntentId, user_id: userId }
+    });
+    if (!owned) {
+        throw new Error('Payment not found');
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    await syncPaymentIntent(paymentIntent);
+
+    return {
+        status: paymentIntent.status,
+        transaction: await owned.reload()
+    };
+};
+
+module.exports = {
+    getOrCreateCustomer,
+    listPaymentMethods,
+    createSetupIntent,
+    setDefaultPaymentMethod,
+    detachPaymentMethod,
+    pricePlan,
+    createPendingTransaction,
+    failTransaction,
+    syncPaymentIntent,
+    purchasePlanWithSavedCard,
+    completePayment
+};
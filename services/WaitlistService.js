@@ -0,0 +1,140 @@
+const { Calendar } = require('../models/Calendar');
+const { RecurringBooking } = require('../models/RecurringBooking');
+const { WaitlistEntry } = require('../models/WaitlistEntry');
+const { GroupSession } = require('../models/GroupSession');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const emailQueueService = require('./EmailQueueService');
+const { createUTCDateFromSlot, formatDateUTC } = require('../utils/timeUtils');
+
+/**
+ * WaitlistService - Offers freed lesson times to waitlisted students
+ *
+ * When a booking is cancelled (or moved), the waiting entries for that instructor and
+ * day that overlap the freed time are checked in the order they joined. An entry whose
+ * whole range is now free, and not already held for someone earlier in line, gets a
+ * hold: nobody else can book that range until the hold runs out, and the student is
+ * emailed. Lapsed holds are passed to the next student by the scheduled waitlist job.
+ */
+
+// How long a waitlisted student has to book an offered time
+const HOLD_MINUTES = 60;
+
+const overlaps = (startA, durationA, startB, durationB) => {
+    return startA < startB + durationB && startA + durationA > startB;
+};
+
+/**
+ * Check that no booking, block, recurring reservation or group class covers a time range
+ */
+const isRangeFree = async (instructorId, date, startSlot, duration) => {
+    const events = await Calendar.getInstructorEvents(instructorId, date, date);
+    const hasEvent = events.some(event =>
+        event.date === date && overlaps(startSlot, duration, event.start_slot, event.duration)
+    );
+    if (hasEvent) {
+        return false;
+    }
+
+    const recurringBookings = await RecurringBooking.findByInstructorAndDate(instructorId, date);
+    if (recurringBookings.some(rb => overlaps(startSlot, duration, rb.start_slot, rb.duration))) {
+        return false;
+    }
+
+    const groupSessions = await GroupSession.findOverlapping(instructorId, date, startSlot, duration);
+    return groupSessions.length === 0;
+};
+
+/**
+ * Find a hold on a time range that belongs to someone other than the given student
+ * @returns {Promise<Object|null>} The blocking hold, if any
+ */
+const findBlockingHold = async (instructorId, date, startSlot, duration, studentId, now = new Date()) => {
+    const holds = await WaitlistEntry.findActiveHolds(instructorId, date, startSlot, duration, now);
+    return holds.find(hold => hold.student_id !== parseInt(studentId, 10)) || null;
+};
+
+/**
+ * Offer freed time to the waitlist. Every waiting entry whose range is now completely
+ * free (and not already held) gets a hold, earliest joiner first.
+ * @returns {Promise<Array>} Entries that were offered a hold
+ */
+const offerFreedTime = async (instructorId, date, startSlot, duration, now = new Date()) => {
+    const waiting = await WaitlistEntry.findWaiting(instructorId, date, startSlot, duration);
+    const offered = [];
+
+    for (const entry of waiting) {
+        const lessonStart = createUTCDateFromSlot(entry.date, entry.start_slot);
+        if (lessonStart <= now) {
+            continue;
+        }
+
+        const holds = await WaitlistEntry.findActiveHolds(instructorId, entry.date, entry.start_slot, entry.duration, now);
+        if (holds.length > 0 || !(await isRangeFree(instructorId, entry.date, entry.start_slot, entry.duration))) {
+            continue;
+        }
+
+        // The hold can't outlast the lesson itself
+        const holdExpiresAt = new Date(Math.min(now.getTime() + HOLD_MINUTES * 60 * 1000, lessonStart.getTime()));
+        await entry.offer(holdExpiresAt, now);
+        offered.push(entry);
+
+        try {
+            const entryWithDetails = await WaitlistEntry.findByPk(entry.id, {
+                include: [
+                    { model: User, as: 'student', attributes: ['id', 'name', 'email'] },
+                    { model: Instructor, include: [{ model: User, attributes: ['id', 'name', 'email'] }] }
+                ]
+            });
+            await emailQueueService.queueWaitlistOffer(entryWithDetails);
+        } catch (emailError) {
+            // The hold still stands; the student can see it in their waitlist
+            console.error('Email queue error during waitlist offer:', emailError);
+        }
+    }
+
+    return offered;
+};
+
+/**
+ * Offer a cancelled or moved booking's old time to the waitlist.
+ * Never throws, so callers can use it after the cancellation has been committed.
+ * @param {Object} event - The booking as it was before it was freed
+ * @returns {Promise<number>} Number of holds offered
+ */
+const notifyFreedSlot = async (event, now = new Date()) => {
+    try {
+        const offered = await offerFreedTime(event.instructor_id, event.date, event.start_slot, event.duration, now);
+        return offered.length;
+    } catch (error) {
+        console.error('Error offering freed time to the waitlist:', error);
+        return 0;
+    }
+};
+
+/**
+ * Expire lapsed holds and pass their time on to the next student in line
+ * @returns {Promise<{ expired: number, offered: number }>} Counts for logging
+ */
+const processExpiredHolds = async (now = new Date()) => {
+    await WaitlistEntry.expirePast(formatDateUTC(now));
+
+    const expired = await WaitlistEntry.expireHolds(now);
+    let offered = 0;
+
+    for (const entry of expired) {
+        const next = await offerFreedTime(entry.instructor_id, entry.date, entry.start_slot, entry.duration, now);
+        offered += next.length;
+    }
+
+    return { expired: expired.length, offered };
+};
+
+module.exports = {
+    HOLD_MINUTES,
+    isRangeFree,
+    findBlockingHold,
+    offerFreedTime,
+    notifyFreedSlot,
+    processExpiredHolds
+};
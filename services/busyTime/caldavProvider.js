@@ -0,0 +1,201 @@
+const { XMLParser } = require('fast-xml-parser');
+const { fetchText } = require('./request');
+const { parseEvents } = require('./icalendar');
+const { getTimezone } = require('../../utils/businessTimezone');
+
+/**
+ * CalDAV busy time provider (iCloud, Fastmail, Nextcloud, Outlook via DavMail, ...)
+ *
+ * Reads one calendar collection with a calendar-query REPORT, asking the server to
+ * expand recurring events into occurrences. Servers that ignore the request for
+ * expansion are covered by icalendar.js expanding RRULEs itself.
+ */
+
+const xmlParser = new XMLParser({
+    removeNSPrefix: true,
+    attributeNamePrefix: '',
+    // Only the component names in supported-calendar-component-set are needed
+    ignoreAttributes: (attribute, jPath) => !(attribute === 'name' && jPath.endsWith('.comp')),
+    parseTagValue: false,
+    htmlEntities: true,
+    isArray: (name) => ['response', 'propstat', 'href', 'comp'].includes(name)
+});
+
+const XML_HEADERS = { 'Content-Type': 'application/xml; charset=utf-8' };
+
+const CALENDAR_PROPS = `
+        <d:resourcetype/>
+        <d:displayname/>
+        <d:current-user-principal/>
+        <c:calendar-home-set/>`;
+
+/**
+ * Format a date as an iCalendar UTC date-time (20300107T000000Z)
+ * @private
+ */
+const toICalUTC = (date) => date.toISOString().replace(/[-:]|\.\d{3}/g, '');
+
+/**
+ * The successful properties of each response in a multistatus document
+ * @private
+ */
+const parseMultistatus = (xml, baseUrl) => {
+    const multistatus = xmlParser.parse(xml)?.multistatus;
+    const responses = multistatus?.response || [];
+
+    return responses.map(response => {
+        const props = {};
+        for (const propstat of response.propstat || []) {
+            if (/\s200\s/.test(` ${propstat.status} `) && propstat.prop && typeof propstat.prop === 'object') {
+                Object.assign(props, propstat.prop);
+            }
+        }
+        return { url: new URL(response.href?.[0] || '', baseUrl).toString(), props };
+    });
+};
+
+/**
+ * The first href inside a property such as current-user-principal
+ * @private
+ */
+const hrefOf = (prop, baseUrl) => {
+    const href = prop && typeof prop === 'object' ? prop.href?.[0] : null;
+    return href ? new URL(href, baseUrl).toString() : null;
+};
+
+/**
+ * Whether a collection is a calendar that can hold events
+ * @private
+ */
+const isEventCalendar = (props) => {
+    if (!props.resourcetype || typeof props.resourcetype !== 'object' || !('calendar' in props.resourcetype)) {
+        return false;
+    }
+    // Servers that say which components a calendar holds: skip task-only lists
+    const components = props['supported-calendar-component-set']?.comp;
+    return !components || components.some(comp => comp.name === 'VEVENT');
+};
+
+/**
+ * PROPFIND a URL
+ * @private
+ */
+const propfind = async (url, credentials, depth, props = CALENDAR_PROPS) => {
+    const xml = await fetchText(url, {
+        method: 'PROPFIND',
+        headers: { ...XML_HEADERS, Depth: String(depth) },
+        body: `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+    <d:prop>${props}
+    </d:prop>
+</d:propfind>`,
+        ...credentials
+    });
+    return parseMultistatus(xml, url);
+};
+
+/**
+ * Find the event calendars of a CalDAV account. The URL can be the server (e.g.
+ * https://caldav.icloud.com), the account's principal, its calendar home or a
+ * calendar itself.
+ * @param {Object} account
+ * @param {string} account.url - CalDAV URL
+ * @param {string} account.username - Username
+ * @param {string} account.password - Password (app-specific password for iCloud)
+ * @returns {Promise<Array<{ url: string, name: string }>>} Calendars
+ */
+const discoverCalendars = async ({ url, username, password }) => {
+    const credentials = { username, password };
+    const [self] = await propfind(url, credentials, 0);
+    if (!self) {
+        return [];
+    }
+
+    if (isEventCalendar(self.props)) {
+        return [{ url: self.url, name: self.props.displayname || self.url }];
+    }
+
+    let homeUrl = hrefOf(self.props['calendar-home-set'], url);
+    if (!homeUrl) {
+        const principalUrl = hrefOf(self.props['current-user-principal'], url);
+        if (!principalUrl) {
+            return [];
+        }
+        const [principal] = await propfind(principalUrl, credentials, 0);
+        homeUrl = hrefOf(principal?.props['calendar-home-set'], principalUrl);
+    }
+    if (!homeUrl) {
+        return [];
+    }
+
+    const collections = await propfind(homeUrl, credentials, 1, `
+        <d:resourcetype/>
+        <d:displayname/>
+        <c:supported-calendar-component-set/>`);
+
+    return collections
+        .filter(collection => isEventCalendar(collection.props))
+        .map(collection => ({ url: collection.url, name: collection.props.displayname || collection.url }));
+};
+
+/**
+ * Events on a CalDAV calendar overlapping a range
+ * @param {Object} calendarConfig - InstructorCalendarConfig with provider 'caldav'
+ * @param {Date} rangeStart - Range start
+ * @param {Date} rangeEnd - Range end (exclusive)
+ * @returns {Promise<Array>} Events shaped like the Google Calendar API's
+ */
+const listEvents = async (calendarConfig, rangeStart, rangeEnd) => {
+    const start = toICalUTC(rangeStart);
+    const end = toICalUTC(rangeEnd);
+
+    const xml = await fetchText(calendarConfig.source_url, {
+        method: 'REPORT',
+        headers: { ...XML_HEADERS, Depth: '1' },
+        body: `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+    <d:prop>
+        <c:calendar-data>
+            <c:expand start="${start}" end="${end}"/>
+        </c:calendar-data>
+    </d:prop>
+    <c:filter>
+        <c:comp-filter name="VCALENDAR">
+            <c:comp-filter name="VEVENT">
+                <c:time-range start="${start}" end="${end}"/>
+            </c:comp-filter>
+        </c:comp-filter>
+    </c:filter>
+</c:calendar-query>`,
+        username: calendarConfig.username,
+        password: calendarConfig.getPassword()
+    });
+
+    const defaultTimezone = await getTimezone();
+    const events = [];
+    for (const { props } of parseMultistatus(xml, calendarConfig.source_url)) {
+        if (typeof props['calendar-data'] === 'string') {
+            events.push(...parseEvents(props['calendar-data'], { rangeStart, rangeEnd, defaultTimezone }));
+        }
+    }
+    return events;
+};
+
+/**
+ * Everything on the calendar in the sync window; CalDAV calendars are copied in full
+ * @param {Object} calendarConfig - InstructorCalendarConfig with provider 'caldav'
+ * @param {{ rangeStart: Date, rangeEnd: Date }} window - Sync window
+ * @returns {Promise<{ full: boolean, items: Array, syncToken: null }>}
+ */
+const fetchChanges = async (calendarConfig, { rangeStart, rangeEnd }) => ({
+    full: true,
+    items: await listEvents(calendarConfig, rangeStart, rangeEnd),
+    syncToken: null
+});
+
+module.exports = {
+    name: 'caldav',
+    discoverCalendars,
+    listEvents,
+    fetchChanges
+};
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const { InstructorCalendarConfig } = require('../../models/InstructorCalendarConfig');
+const { AppSettings } = require('../../models/AppSettings');
+const createGoogleCalendarService = require('../GoogleCalendarService');
+
+/**
+ * Google Calendar busy time provider
+ *
+ * Each calendar is copied once in full, then kept current with incremental sync:
+ * Google returns only what changed since the sync token it gave last time. A 410 Gone
+ * means the token has expired and the calendar is copied in full again.
+ *
+ * Where the site has a public HTTPS base URL, each calendar also gets a Google watch
+ * channel that POSTs to /api/calendar/google-notifications when the calendar changes.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Google caps channels at a week; renew a day before they lapse
+const WATCH_TTL_SECONDS = 7 * 24 * 60 * 60;
+const WATCH_RENEW_BEFORE_MS = DAY_MS;
+
+const NOTIFICATION_PATH = '/api/calendar/google-notifications';
+
+// Reaches Google through the instructor's service account or OAuth connection
+const calendarService = createGoogleCalendarService();
+
+/**
+ * Where Google should send change notifications, or null without a public HTTPS
+ * base URL (Google only delivers to HTTPS addresses)
+ * @private
+ */
+const getNotificationUrl = async () => {
+    const baseUrl = await AppSettings.getSetting('business', 'base_url');
+    if (typeof baseUrl !== 'string' || !baseUrl.startsWith('https://')) {
+        return null;
+    }
+    return `${baseUrl.replace(/\/$/, '')}${NOTIFICATION_PATH}`;
+};
+
+/**
+ * Every event changed since the sync token (or every event from rangeStart, without one)
+ * @private
+ */
+const listChanges = async ({ calendarApi, calendarId }, syncToken, rangeStart) => {
+    const items = [];
+    let pageToken;
+    let nextSyncToken;
+
+    do {
+        const params = { calendarId, singleEvents: true, maxResults: 250, pageToken };
+        if (syncToken) {
+            params.syncToken = syncToken;
+        } else {
+            params.timeMin = rangeStart.toISOString();
+        }
+
+        const { data } = await calendarApi.events.list(params);
+        items.push(...(data.items || []));
+        pageToken = data.nextPageToken;
+        nextSyncToken = data.nextSyncToken;
+    } while (pageToken);
+
+    return { items, nextSyncToken };
+};
+
+/**
+ * What changed on the calendar since the last sync
+ * @param {Object} calendarConfig - InstructorCalendarConfig with provider 'google'
+ * @param {{ rangeStart: Date }} window - Sync window; only its start applies to Google
+ * @returns {Promise<{ full: boolean, items: Array, syncToken: string|null }|null>} Null if the calendar can't be reached
+ */
+const fetchChanges = async (calendarConfig, { rangeStart }) => {
+    const client = await calendarService.getCalendarClient(calendarConfig.instructor_id, calendarConfig);
+    if (!client) {
+        return null;
+    }
+
+    let full = !calendarConfig.sync_token;
+    let changes;
+    try {
+        changes = await listChanges(client, calendarConfig.sync_token, rangeStart);
+    } catch (error) {
+        if (error.code !== 410 || full) {
+            throw error;
+        }
+        // The sync token expired: start over
+        full = true;
+        changes = await listChanges(client, null, rangeStart);
+    }
+
+    return { full, items: changes.items, syncToken: changes.nextSyncToken || null };
+};
+
+/**
+ * Stop a calendar's watch channel, ignoring channels Google has already dropped
+ * @private
+ */
+const stopChannel = async (client, calendarConfig) => {
+    try {
+        await client.calendarApi.channels.stop({
+            requestBody: {
+                id: calendarConfig.watch_channel_id,
+                resourceId: calendarConfig.watch_resource_id
+            }
+        });
+    } catch (error) {
+        if (![404, 410].includes(error.code)) {
+            console.warn(`Failed to stop Google watch channel ${calendarConfig.watch_channel_id}:`, error.message || error);
+        }
+    }
+};
+
+/**
+ * Make sure a calendar has a watch channel that won't lapse soon, replacing an expiring one
+ * @param {Object} calendarConfig - InstructorCalendarConfig
+ * @param {Date} [now] - Reference time (injectable for tests)
+ * @returns {Promise<boolean>} Whether the calendar is watched
+ */
+const ensureWatch = async (calendarConfig, now = new Date()) => {
+    const expiresAt = calendarConfig.watch_expires_at ? new Date(calendarConfig.watch_expires_at).getTime() : 0;
+    if (calendarConfig.watch_channel_id && expiresAt - now.getTime() > WATCH_RENEW_BEFORE_MS) {
+        return true;
+    }
+
+    const address = await getNotificationUrl();
+    const client = address ? await calendarService.getCalendarClient(calendarConfig.instructor_id, calendarConfig) : null;
+    if (!client) {
+        return false;
+    }
+
+    if (calendarConfig.watch_channel_id) {
+        await stopChannel(client, calendarConfig);
+    }
+
+    const channelId = crypto.randomUUID();
+    const token = crypto.randomBytes(24).toString('hex');
+    const { data } = await client.calendarApi.events.watch({
+        calendarId: client.calendarId,
+        requestBody: {
+            id: channelId,
+            type: 'web_hook',
+            address,
+            token,
+            params: { ttl: String(WATCH_TTL_SECONDS) }
+        }
+    });
+
+    await calendarConfig.update({
+        watch_channel_id: channelId,
+        watch_resource_id: data.resourceId,
+        watch_token: token,
+        watch_expires_at: data.expiration
+            ? new Date(Number(data.expiration))
+            : new Date(now.getTime() + WATCH_TTL_SECONDS * 1000)
+    });
+
+    return true;
+};
+
+/**
+ * Stop watching a calendar, e.g. before its config is removed
+ * @param {Object} calendarConfig - InstructorCalendarConfig
+ */
+const stopWatch = async (calendarConfig) => {
+    if (!calendarConfig.watch_channel_id) {
+        return;
+    }
+
+    const client = await calendarService.getCalendarClient(calendarConfig.instructor_id, calendarConfig);
+    if (client) {
+        await stopChannel(client, calendarConfig);
+    }
+
+    await calendarConfig.update({
+        watch_channel_id: null,
+        watch_resource_id: null,
+        watch_token: null,
+        watch_expires_at: null
+    });
+};
+
+/**
+ * The calendar a watch channel notification is about
+ * @param {Object} headers - Request headers (lower-case names, as Express gives them)
+ * @returns {Promise<Object|null>} InstructorCalendarConfig, or null if the channel or its token isn't ours
+ */
+const findNotifiedCalendar = async (headers) => {
+    const channelId = headers['x-goog-channel-id'];
+    const token = headers['x-goog-channel-token'];
+    if (!channelId || !token) {
+        return null;
+    }
+
+    const calendarConfig = await InstructorCalendarConfig.findOne({ where: { watch_channel_id: channelId } });
+    if (!calendarConfig || !calendarConfig.watch_token) {
+        return null;
+    }
+
+    const expected = Buffer.from(calendarConfig.watch_token);
+    const received = Buffer.from(String(token));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    return calendarConfig;
+};
+
+module.exports = {
+    name: 'google',
+    NOTIFICATION_PATH,
+    calendarService,
+    fetchChanges,
+    ensureWatch,
+    stopWatch,
+    findNotifiedCalendar
+};
@@ -0,0 +1,643 @@
+/**
+ * iCalendar (RFC 5545) reading for the CalDAV and ICS feed providers
+ *
+ * Turns VEVENTs into events shaped like the Google Calendar API's, so every provider
+ * feeds the same BusyBlock storage and convertToSlots logic. Recurring events are
+ * expanded into one event per occurrence within the requested range, with EXDATEs
+ * and moved or cancelled occurrences (RECURRENCE-ID) applied. Free time
+ * (TRANSP:TRANSPARENT) and cancelled events don't count as busy and are left out.
+ *
+ * Supported RRULE parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL,
+ * BYDAY, BYMONTHDAY, BYMONTH, BYSETPOS and WKST. Rules using anything else (e.g.
+ * BYWEEKNO) are expanded as if that part were absent.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stop expanding a rule after this many periods, however far away the range is
+const MAX_PERIODS = 20000;
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Outlook publishes feeds with Windows time zone names
+const WINDOWS_TIMEZONES = {
+    'UTC': 'UTC',
+    'GMT Standard Time': 'Europe/London',
+    'Greenwich Standard Time': 'Atlantic/Reykjavik',
+    'W. Europe Standard Time': 'Europe/Berlin',
+    'Central Europe Standard Time': 'Europe/Budapest',
+    'Central European Standard Time': 'Europe/Warsaw',
+    'Romance Standard Time': 'Europe/Paris',
+    'E. Europe Standard Time': 'Europe/Chisinau',
+    'FLE Standard Time': 'Europe/Kiev',
+    'GTB Standard Time': 'Europe/Bucharest',
+    'Russian Standard Time': 'Europe/Moscow',
+    'Eastern Standard Time': 'America/New_York',
+    'Central Standard Time': 'America/Chicago',
+    'Mountain Standard Time': 'America/Denver',
+    'US Mountain Standard Time': 'America/Phoenix',
+    'Pacific Standard Time': 'America/Los_Angeles',
+    'Alaskan Standard Time': 'America/Anchorage',
+    'Hawaiian Standard Time': 'Pacific/Honolulu',
+    'Atlantic Standard Time': 'America/Halifax',
+    'Canada Central Standard Time': 'America/Regina',
+    'SA Pacific Standard Time': 'America/Bogota',
+    'E. South America Standard Time': 'America/Sao_Paulo',
+    'India Standard Time': 'Asia/Kolkata',
+    'China Standard Time': 'Asia/Shanghai',
+    'Singapore Standard Time': 'Asia/Singapore',
+    'Tokyo Standard Time': 'Asia/Tokyo',
+    'Korea Standard Time': 'Asia/Seoul',
+    'AUS Eastern Standard Time': 'Australia/Sydney',
+    'E. Australia Standard Time': 'Australia/Brisbane',
+    'W. Australia Standard Time': 'Australia/Perth',
+    'New Zealand Standard Time': 'Pacific/Auckland',
+    'South Africa Standard Time': 'Africa/Johannesburg'
+};
+
+const formatters = new Map();
+
+/**
+ * Whether Intl knows a time zone name
+ * @private
+ */
+const isKnownTimezone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * The IANA zone for a TZID, or the fallback if it can't be recognized. Some feeds
+ * prefix IANA names with a path (e.g. /citadel.org/20190101_1/Europe/London).
+ * @private
+ */
+const resolveTimezone = (tzid, fallback) => {
+    if (!tzid) {
+        return fallback;
+    }
+    const name = tzid.replace(/^"|"$/g, '');
+    if (WINDOWS_TIMEZONES[name]) {
+        return WINDOWS_TIMEZONES[name];
+    }
+    if (isKnownTimezone(name)) {
+        return name;
+    }
+    const ianaTail = name.match(/([A-Za-z_]+\/[A-Za-z_]+(?:\/[A-Za-z_]+)?)$/);
+    if (ianaTail && isKnownTimezone(ianaTail[1])) {
+        return ianaTail[1];
+    }
+    return fallback;
+};
+
+/**
+ * How far a zone is ahead of UTC at an instant, in milliseconds
+ * @private
+ */
+const getOffset = (instantMs, timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    const parts = {};
+    for (const { type, value } of formatters.get(timeZone).formatToParts(new Date(instantMs))) {
+        parts[type] = Number(value);
+    }
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(instantMs / 1000) * 1000;
+};
+
+/**
+ * The instant at which a zone's clocks show a wall time. Wall times are kept as
+ * milliseconds since the epoch as if the zone were UTC, which makes date arithmetic
+ * on them free of DST jumps.
+ * @private
+ */
+const wallToInstant = (wallMs, timeZone) => {
+    if (timeZone === 'UTC') {
+        return wallMs;
+    }
+    const firstGuess = wallMs - getOffset(wallMs, timeZone);
+    const offset = getOffset(firstGuess, timeZone);
+    return wallMs - offset;
+};
+
+/**
+ * YYYY-MM-DD for a wall time
+ * @private
+ */
+const toDateString = (wallMs) => new Date(wallMs).toISOString().slice(0, 10);
+
+/**
+ * Undo iCalendar TEXT escaping
+ * @private
+ */
+const unescapeText = (value) => value
+    .replace(/\\[nN]/g, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+
+/**
+ * Split unfolded content lines into { name, params, value }
+ * @private
+ */
+const parseLines = (text) => {
+    const unfolded = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '');
+    const lines = [];
+
+    for (const line of unfolded.split('\n')) {
+        if (!line.trim()) {
+            continue;
+        }
+
+        // The value starts at the first colon outside a quoted parameter value
+        let inQuotes = false;
+        let colon = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') {
+                inQuotes = !inQuotes;
+            } else if (line[i] === ':' && !inQuotes) {
+                colon = i;
+                break;
+            }
+        }
+        if (colon === -1) {
+            continue;
+        }
+
+        const [name, ...rawParams] = line.slice(0, colon).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+        const params = {};
+        for (const param of rawParams) {
+            const equals = param.indexOf('=');
+            if (equals > 0) {
+                params[param.slice(0, equals).toUpperCase()] = param.slice(equals + 1).replace(/^"|"$/g, '');
+            }
+        }
+        lines.push({ name: name.toUpperCase(), params, value: line.slice(colon + 1) });
+    }
+
+    return lines;
+};
+
+/**
+ * The VEVENTs in a calendar, each as a map of property name to its occurrences
+ * @private
+ */
+const readEvents = (text) => {
+    const events = [];
+    const stack = [];
+    let current = null;
+
+    for (const line of parseLines(text)) {
+        if (line.name === 'BEGIN') {
+            stack.push(line.value.toUpperCase());
+            if (line.value.toUpperCase() === 'VEVENT') {
+                current = {};
+            }
+        } else if (line.name === 'END') {
+            if (stack.pop() === 'VEVENT' && current) {
+                events.push(current);
+                current = null;
+            }
+        } else if (current && stack[stack.length - 1] === 'VEVENT') {
+            (current[line.name] = current[line.name] || []).push(line);
+        }
+    }
+
+    return events;
+};
+
+/**
+ * Parse a DATE or DATE-TIME value into { allDay, wallMs, timeZone }
+ * @private
+ */
+const parseDateValue = (value, params, defaultTimezone) => {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hour, minute, second, utc] = match;
+    const allDay = params.VALUE === 'DATE' || hour === undefined;
+    const wallMs = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour || 0), Number(minute || 0), Number(second || 0));
+
+    let timeZone = 'UTC';
+    if (!allDay && !utc) {
+        timeZone = resolveTimezone(params.TZID, defaultTimezone);
+    }
+    return { allDay, wallMs, timeZone };
+};
+
+/**
+ * Parse a DURATION value (e.g. PT1H30M, P1D, P2W) into milliseconds
+ * @private
+ */
+const parseDuration = (value) => {
+    const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) {
+        return null;
+    }
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const ms = ((Number(weeks || 0) * 7 + Number(days || 0)) * 24 * 60 * 60
+        + Number(hours || 0) * 60 * 60 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+    return sign === '-' ? -ms : ms;
+};
+
+/**
+ * Parse an RRULE value into its parts
+ * @private
+ */
+const parseRule = (value) => {
+    const rule = {};
+    for (const part of value.split(';')) {
+        const [key, val] = part.split('=');
+        if (key && val) {
+            rule[key.toUpperCase()] = val.toUpperCase();
+        }
+    }
+
+    const list = (key) => (rule[key] ? rule[key].split(',').map(Number).filter(n => !Number.isNaN(n)) : []);
+
+    return {
+        freq: rule.FREQ,
+        interval: Math.max(1, Number(rule.INTERVAL) || 1),
+        count: rule.COUNT ? Number(rule.COUNT) : null,
+        until: rule.UNTIL || null,
+        byDay: rule.BYDAY
+            ? rule.BYDAY.split(',').map(day => {
+                const match = day.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+                return match ? { ordinal: match[1] ? Number(match[1]) : null, weekday: WEEKDAYS.indexOf(match[2]) } : null;
+            }).filter(Boolean)
+            : [],
+        byMonthDay: list('BYMONTHDAY'),
+        byMonth: list('BYMONTH'),
+        bySetPos: list('BYSETPOS'),
+        weekStart: rule.WKST ? WEEKDAYS.indexOf(rule.WKST) : 1
+    };
+};
+
+/**
+ * Days in a month (month is 0-based)
+ * @private
+ */
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * The days of a month (as wall times at midnight) that a rule's BYMONTHDAY and
+ * BYDAY parts pick, or the fallback day when it has neither
+ * @private
+ */
+const monthDays = (year, month, rule, fallbackDay) => {
+    const length = daysInMonth(year, month);
+    const dayMs = (day) => Date.UTC(year, month, day);
+
+    let byMonthDay = null;
+    if (rule.byMonthDay.length > 0) {
+        byMonthDay = rule.byMonthDay
+            .map(day => (day < 0 ? length + day + 1 : day))
+            .filter(day => day >= 1 && day <= length);
+    }
+
+    let byDay = null;
+    if (rule.byDay.length > 0) {
+        byDay = [];
+        for (const { ordinal, weekday } of rule.byDay) {
+            const matching = [];
+            for (let day = 1; day <= length; day++) {
+                if (new Date(dayMs(day)).getUTCDay() === weekday) {
+                    matching.push(day);
+                }
+            }
+            if (ordinal === null) {
+                byDay.push(...matching);
+            } else {
+                const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+                if (picked) {
+                    byDay.push(picked);
+                }
+            }
+        }
+    }
+
+    let days;
+    if (byMonthDay && byDay) {
+        days = byMonthDay.filter(day => byDay.includes(day));
+    } else {
+        days = byMonthDay || byDay || (fallbackDay <= length ? [fallbackDay] : []);
+    }
+    return [...new Set(days)].map(dayMs);
+};
+
+/**
+ * The candidate start times (wall times) in the n-th period of a rule
+ * @private
+ */
+const periodCandidates = (rule, startWall, n) => {
+    const start = new Date(startWall);
+    const timeOfDay = startWall - Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+    let days = [];
+
+    switch (rule.freq) {
+        case 'DAILY': {
+            const day = startWall - timeOfDay + n * rule.interval * DAY_MS;
+            const date = new Date(day);
+            const weekdays = rule.byDay.map(({ weekday }) => weekday);
+            if ((weekdays.length === 0 || weekdays.includes(date.getUTCDay()))
+                && (rule.byMonthDay.length === 0 || rule.byMonthDay.includes(date.getUTCDate()))) {
+                days = [day];
+            }
+            break;
+        }
+        case 'WEEKLY': {
+            const startDay = startWall - timeOfDay;
+            const weekStart = startDay - ((start.getUTCDay() - rule.weekStart + 7) % 7) * DAY_MS + n * rule.interval * 7 * DAY_MS;
+            const weekdays = rule.byDay.length > 0 ? rule.byDay.map(({ weekday }) => weekday) : [start.getUTCDay()];
+            for (let i = 0; i < 7; i++) {
+                const day = weekStart + i * DAY_MS;
+                if (weekdays.includes(new Date(day).getUTCDay())) {
+                    days.push(day);
+                }
+            }
+            break;
+        }
+        case 'MONTHLY': {
+            const monthIndex = start.getUTCMonth() + n * rule.interval;
+            const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+            days = monthDays(year, ((monthIndex % 12) + 12) % 12, rule, start.getUTCDate());
+            break;
+        }
+        case 'YEARLY': {
+            const year = start.getUTCFullYear() + n * rule.interval;
+            const months = rule.byMonth.length > 0 ? rule.byMonth.map(month => month - 1) : [start.getUTCMonth()];
+            for (const month of months) {
+                days.push(...monthDays(year, month, rule, start.getUTCDate()));
+            }
+            break;
+        }
+        default:
+            return [];
+    }
+
+    if (rule.byMonth.length > 0) {
+        days = days.filter(day => rule.byMonth.includes(new Date(day).getUTCMonth() + 1));
+    }
+
+    let candidates = days.sort((a, b) => a - b).map(day => day + timeOfDay);
+    if (rule.bySetPos.length > 0) {
+        candidates = rule.bySetPos
+            .map(pos => (pos > 0 ? candidates[pos - 1] : candidates[candidates.length + pos]))
+            .filter(candidate => candidate !== undefined)
+            .sort((a, b) => a - b);
+    }
+    return candidates;
+};
+
+/**
+ * Start times (wall times) of a recurring event up to the end of the range
+ * @private
+ */
+const expandRule = (rule, start, rangeEndMs) => {
+    const occurrences = [];
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq)) {
+        return [start.wallMs];
+    }
+
+    let untilMs = null;
+    if (rule.until) {
+        const until = parseDateValue(rule.until, {}, start.timeZone);
+        if (until) {
+            // A date-only UNTIL includes that whole day
+            untilMs = until.allDay && !start.allDay
+                ? wallToInstant(until.wallMs + DAY_MS - 1, start.timeZone)
+                : wallToInstant(until.wallMs, until.allDay ? 'UTC' : until.timeZone);
+        }
+    }
+
+    let count = 0;
+    for (let n = 0; n < MAX_PERIODS; n++) {
+        for (const wallMs of periodCandidates(rule, start.wallMs, n)) {
+            if (wallMs < start.wallMs) {
+                continue;
+            }
+            const instant = start.allDay ? wallMs : wallToInstant(wallMs, start.timeZone);
+            if ((untilMs !== null && instant > untilMs) || instant >= rangeEndMs
+                || (rule.count !== null && count >= rule.count)) {
+                return occurrences;
+            }
+            occurrences.push(wallMs);
+            count++;
+        }
+    }
+    return occurrences;
+};
+
+/**
+ * The key an occurrence is known by in EXDATE and RECURRENCE-ID: the instant it
+ * starts, or its date for all-day events
+ * @private
+ */
+const occurrenceKey = (wallMs, timeZone, allDay) => (
+    allDay ? toDateString(wallMs) : String(wallToInstant(wallMs, timeZone))
+);
+
+/**
+ * The id of one occurrence of a recurring event, like Google's instance ids
+ * @private
+ */
+const occurrenceId = (uid, wallMs, timeZone, allDay) => {
+    const stamp = allDay
+        ? toDateString(wallMs).replace(/-/g, '')
+        : new Date(wallToInstant(wallMs, timeZone)).toISOString().replace(/[-:]|\.\d{3}/g, '');
+    return `${uid}_${stamp}`;
+};
+
+/**
+ * Build an event in the Google Calendar API shape
+ * @private
+ */
+const buildEvent = (id, summary, allDay, startWall, timeZone, durationMs) => {
+    if (allDay) {
+        const days = Math.max(1, Math.round(durationMs / DAY_MS));
+        return {
+            id,
+            summary,
+            status: 'confirmed',
+            start: { date: toDateString(startWall) },
+            end: { date: toDateString(startWall + days * DAY_MS) }
+        };
+    }
+
+    const startMs = wallToInstant(startWall, timeZone);
+    return {
+        id,
+        summary,
+        status: 'confirmed',
+        start: { dateTime: new Date(startMs).toISOString() },
+        end: { dateTime: new Date(startMs + Math.max(0, durationMs)).toISOString() }
+    };
+};
+
+/**
+ * Whether an event overlaps the range
+ * @private
+ */
+const overlaps = (event, rangeStart, rangeEnd) => {
+    if (event.start.date) {
+        return event.start.date < toDateString(rangeEnd.getTime() + DAY_MS - 1) && event.end.date > toDateString(rangeStart.getTime());
+    }
+    return new Date(event.start.dateTime) < rangeEnd && new Date(event.end.dateTime) > rangeStart;
+};
+
+/**
+ * Read the busy events in an iCalendar document that overlap a range
+ * @param {string} text - iCalendar data (one VCALENDAR, or several concatenated)
+ * @param {Object} options
+ * @param {Date} options.rangeStart - Range start
+ * @param {Date} options.rangeEnd - Range end (exclusive)
+ * @param {string} [options.defaultTimezone] - Zone for floating times and unknown TZIDs
+ * @returns {Array} Events shaped like the Google Calendar API's
+ */
+const parseEvents = (text, { rangeStart, rangeEnd, defaultTimezone = 'UTC' }) => {
+    const masters = [];
+    const overrides = new Map();
+    const results = [];
+
+    for (const props of readEvents(text)) {
+        const first = (name) => props[name]?.[0];
+        const dtstart = first('DTSTART') && parseDateValue(first('DTSTART').value, first('DTSTART').params, defaultTimezone);
+        if (!dtstart) {
+            continue;
+        }
+
+        let durationMs = dtstart.allDay ? DAY_MS : 0;
+        const dtend = first('DTEND') && parseDateValue(first('DTEND').value, first('DTEND').params, defaultTimezone);
+        if (dtend) {
+            durationMs = dtstart.allDay
+                ? dtend.wallMs - dtstart.wallMs
+                : wallToInstant(dtend.wallMs, dtend.timeZone) - wallToInstant(dtstart.wallMs, dtstart.timeZone);
+        } else if (first('DURATION')) {
+            durationMs = parseDuration(first('DURATION').value) ?? durationMs;
+        }
+
+        const event = {
+            uid: first('UID')?.value.trim() || `${first('DTSTART').value}-${first('SUMMARY')?.value || ''}`,
+            summary: first('SUMMARY') ? unescapeText(first('SUMMARY').value) : null,
+            busy: (first('STATUS')?.value || '').toUpperCase() !== 'CANCELLED'
+                && (first('TRANSP')?.value || '').toUpperCase() !== 'TRANSPARENT',
+            dtstart,
+            durationMs,
+            props
+        };
+
+        const recurrenceId = first('RECURRENCE-ID');
+        if (recurrenceId) {
+            const original = parseDateValue(recurrenceId.value, recurrenceId.params, defaultTimezone);
+            if (original) {
+                const key = occurrenceKey(original.wallMs, original.timeZone, original.allDay);
+                overrides.set(`${event.uid}|${key}`, { ...event, original });
+            }
+        } else {
+            masters.push(event);
+        }
+    }
+
+    const rangeEndMs = rangeEnd.getTime();
+
+    for (const master of masters) {
+        const { uid, summary, dtstart, durationMs, props } = master;
+
+        if (!props.RRULE && !props.RDATE) {
+            if (master.busy) {
+                const event = buildEvent(uid, summary, dtstart.allDay, dtstart.wallMs, dtstart.timeZone, durationMs);
+                if (overlaps(event, rangeStart, rangeEnd)) {
+                    results.push(event);
+                }
+            }
+            continue;
+        }
+
+        let starts = props.RRULE ? expandRule(parseRule(props.RRULE[0].value), dtstart, rangeEndMs) : [dtstart.wallMs];
+        for (const rdate of props.RDATE || []) {
+            for (const value of rdate.value.split(',')) {
+                const parsed = parseDateValue(value, rdate.params, dtstart.timeZone);
+                if (parsed) {
+                    // Carry the date over to the master's zone so all starts are comparable
+                    const instant = parsed.allDay ? parsed.wallMs : wallToInstant(parsed.wallMs, parsed.timeZone);
+                    starts.push(parsed.allDay ? parsed.wallMs : instant + getOffset(instant, dtstart.timeZone));
+                }
+            }
+        }
+
+        const excluded = new Set();
+        for (const exdate of props.EXDATE || []) {
+            for (const value of exdate.value.split(',')) {
+                const parsed = parseDateValue(value, exdate.params, dtstart.timeZone);
+                if (parsed) {
+                    excluded.add(occurrenceKey(parsed.wallMs, parsed.timeZone, dtstart.allDay));
+                }
+            }
+        }
+
+        starts = [...new Set(starts)].sort((a, b) => a - b);
+        for (const wallMs of starts) {
+            const key = occurrenceKey(wallMs, dtstart.timeZone, dtstart.allDay);
+            if (excluded.has(key) || !master.busy) {
+                continue;
+            }
+
+            const id = occurrenceId(uid, wallMs, dtstart.timeZone, dtstart.allDay);
+            const override = overrides.get(`${uid}|${key}`);
+            if (override) {
+                overrides.delete(`${uid}|${key}`);
+                if (override.busy) {
+                    const event = buildEvent(id, override.summary, override.dtstart.allDay,
+                        override.dtstart.wallMs, override.dtstart.timeZone, override.durationMs);
+                    if (overlaps(event, rangeStart, rangeEnd)) {
+                        results.push(event);
+                    }
+                }
+                continue;
+            }
+
+            const event = buildEvent(id, summary, dtstart.allDay, wallMs, dtstart.timeZone, durationMs);
+            if (overlaps(event, rangeStart, rangeEnd)) {
+                results.push(event);
+            }
+        }
+    }
+
+    // Occurrences moved in from outside the expanded range, and overrides sent
+    // without their master (CalDAV servers that expand recurrences do this)
+    for (const override of overrides.values()) {
+        if (!override.busy) {
+            continue;
+        }
+        const { original } = override;
+        const event = buildEvent(
+            occurrenceId(override.uid, original.wallMs, original.timeZone, original.allDay),
+            override.summary,
+            override.dtstart.allDay,
+            override.dtstart.wallMs,
+            override.dtstart.timeZone,
+            override.durationMs
+        );
+        if (overlaps(event, rangeStart, rangeEnd)) {
+            results.push(event);
+        }
+    }
+
+    return results;
+};
+
+module.exports = {
+    parseEvents
+};
@@ -0,0 +1,47 @@
+const { fetchText } = require('./request');
+const { parseEvents } = require('./icalendar');
+const { getTimezone } = require('../../utils/businessTimezone');
+
+/**
+ * ICS feed busy time provider
+ *
+ * Reads a calendar published as an iCalendar URL: an iCloud public calendar, an
+ * Outlook "publish calendar" link, a Fastmail or Proton share link, and so on. The
+ * whole feed is downloaded on every sync, so feeds are copied in full.
+ */
+
+/**
+ * Events in the feed overlapping a range
+ * @param {Object} calendarConfig - InstructorCalendarConfig with provider 'ics'
+ * @param {Date} rangeStart - Range start
+ * @param {Date} rangeEnd - Range end (exclusive)
+ * @returns {Promise<Array>} Events shaped like the Google Calendar API's
+ */
+const listEvents = async (calendarConfig, rangeStart, rangeEnd) => {
+    const text = await fetchText(calendarConfig.source_url, {
+        headers: { Accept: 'text/calendar, */*;q=0.5' }
+    });
+    if (!/BEGIN:VCALENDAR/i.test(text)) {
+        throw new Error('The URL did not return an iCalendar (.ics) feed');
+    }
+
+    return parseEvents(text, { rangeStart, rangeEnd, defaultTimezone: await getTimezone() });
+};
+
+/**
+ * Everything in the feed within the sync window
+ * @param {Object} calendarConfig - InstructorCalendarConfig with provider 'ics'
+ * @param {{ rangeStart: Date, rangeEnd: Date }} window - Sync window
+ * @returns {Promise<{ full: boolean, items: Array, syncToken: null }>}
+ */
+const fetchChanges = async (calendarConfig, { rangeStart, rangeEnd }) => ({
+    full: true,
+    items: await listEvents(calendarConfig, rangeStart, rangeEnd),
+    syncToken: null
+});
+
+module.exports = {
+    name: 'ics',
+    listEvents,
+    fetchChanges
+};
@@ -0,0 +1,42 @@
+/**
+ * Busy time providers
+ *
+ * Each provider reads events from one kind of external calendar and hands them over
+ * in the shape the Google Calendar API returns them. Every provider implements:
+ * - fetchChanges(calendarConfig, { now, rangeStart, rangeEnd }): what changed since the
+ *   last sync, as { full, items, syncToken } (full: items are the whole calendar;
+ *   items with status 'cancelled' were deleted), or null if the calendar can't be reached
+ *
+ * and may implement:
+ * - listEvents(calendarConfig, rangeStart, rangeEnd): events in a range, read live
+ * - ensureWatch(calendarConfig, now) / stopWatch(calendarConfig): push notifications
+ */
+
+const googleProvider = require('./googleProvider');
+const caldavProvider = require('./caldavProvider');
+const icsProvider = require('./icsProvider');
+
+const PROVIDERS = {
+    google: googleProvider,
+    caldav: caldavProvider,
+    ics: icsProvider
+};
+
+/**
+ * The provider for a calendar config's provider name
+ * @param {string} name - 'google', 'caldav' or 'ics'
+ * @returns {Object} Provider
+ * @throws {Error} For an unknown provider
+ */
+const getProvider = (name) => {
+    const provider = PROVIDERS[name || 'google'];
+    if (!provider) {
+        throw new Error(`Unknown busy time provider: ${name}`);
+    }
+    return provider;
+};
+
+module.exports = {
+    PROVIDER_NAMES: Object.keys(PROVIDERS),
+    getProvider
+};
@@ -0,0 +1,76 @@
+/**
+ * HTTP for the CalDAV and ICS feed providers
+ */
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+// Calendars are text; anything bigger than this isn't one worth reading
+const MAX_RESPONSE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Normalize a calendar URL entered by an instructor. webcal:// links (what calendar
+ * apps hand out for subscriptions) are fetched over HTTPS.
+ * @param {string} url - URL as entered
+ * @returns {string|null} The URL to fetch, or null if it isn't an http(s) URL
+ */
+const normalizeUrl = (url) => {
+    if (typeof url !== 'string') {
+        return null;
+    }
+
+    try {
+        const parsed = new URL(url.trim().replace(/^webcals?:\/\//i, 'https://'));
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return null;
+        }
+        return parsed.toString();
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Make a request and return the response body as text. Non-2xx responses throw an
+ * error whose code is the HTTP status, like the Google API client's errors.
+ * @param {string} url - URL to request
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method (default GET)
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {string} [options.body] - Request body
+ * @param {string} [options.username] - Basic auth username
+ * @param {string} [options.password] - Basic auth password
+ * @returns {Promise<string>} Response body
+ */
+const fetchText = async (url, { method = 'GET', headers = {}, body, username, password } = {}) => {
+    const requestHeaders = { ...headers };
+    if (username) {
+        requestHeaders.Authorization = `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}`;
+    }
+
+    const response = await fetch(url, {
+        method,
+        headers: requestHeaders,
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        const error = new Error(`${method} ${new URL(url).host} failed: ${response.status} ${response.statusText}`);
+        error.code = response.status;
+        throw error;
+    }
+
+    if (Number(response.headers.get('content-length')) > MAX_RESPONSE_BYTES) {
+        throw new Error('Calendar is too large to read');
+    }
+    const text = await response.text();
+    if (Buffer.byteLength(text) > MAX_RESPONSE_BYTES) {
+        throw new Error('Calendar is too large to read');
+    }
+    return text;
+};
+
+module.exports = {
+    normalizeUrl,
+    fetchText
+};
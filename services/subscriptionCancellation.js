@@ -3,6 +3,7 @@ const { User } = require('../models/User');
 const { SubscriptionEvent } = require('../models/SubscriptionEvent');
 const { UserCredits } = require('../models/Credits');
 const { RecurringBooking } = require('../models/RecurringBooking');
+const recurringBookingService = require('./RecurringBookingService');
 const { stripe, cancelSubscription } = require('../config/stripe');
 const { createDateHelper, fromTimestamp } = require('../utils/dateHelpers');
 
@@ -55,9 +56,11 @@ async function cancelSubscriptionService({ subscriptionId, requestingUser, isAdm
     if (stripeSubscription.status === 'canceled') {
         // Subscription already cancelled in Stripe, syncing database
         
-        // Clean up recurring bookings
+        // Clean up recurring bookings and the lessons generated from them
         const recurringBooking = await RecurringBooking.findBySubscriptionId(subscriptionId);
+        let lessonsCancelled = 0;
         if (recurringBooking) {
+            lessonsCancelled = await recurringBookingService.cancelFutureOccurrences(recurringBooking.id);
             await recurringBooking.destroy();
             // Cleaned up recurring booking for sync
         }
@@ -103,7 +106,8 @@ async function cancelSubscriptionService({ subscriptionId, requestingUser, isAdm
             },
             credits: {
                 awarded: 0,
-                recurringBookingCleaned: !!recurringBooking
+                recurringBookingCleaned: !!recurringBooking,
+                lessonsCancelled
             }
         };
     }
@@ -118,9 +122,12 @@ async function cancelSubscriptionService({ subscriptionId, requestingUser, isAdm
         creditsAwarded = creditCalculation.credits;
     }
     
-    // Clean up recurring bookings before canceling subscription
+    // Clean up recurring bookings before canceling subscription. Upcoming lessons
+    // generated from it are cancelled and their credits returned.
     const recurringBooking = await RecurringBooking.findBySubscriptionId(subscriptionId);
+    let lessonsCancelled = 0;
     if (recurringBooking) {
+        lessonsCancelled = await recurringBookingService.cancelFutureOccurrences(recurringBooking.id);
         await recurringBooking.destroy();
     }
     
@@ -138,7 +145,8 @@ async function cancelSubscriptionService({ subscriptionId, requestingUser, isAdm
     const eventData = {
         ...stripeSubscription,
         credits_awarded: creditsAwarded,
-        recurring_booking_cleaned: !!recurringBooking
+        recurring_booking_cleaned: !!recurringBooking,
+        lessons_cancelled: lessonsCancelled
     };
     
     if (isAdminAction) {
@@ -172,7 +180,8 @@ async function cancelSubscriptionService({ subscriptionId, requestingUser, isAdm
         credits: {
             awarded: creditsAwarded,
             calculation: creditCalculation,
-            recurringBookingCleaned: !!recurringBooking
+            recurringBookingCleaned: !!recurringBooking,
+            lessonsCancelled
         }
     };
 }
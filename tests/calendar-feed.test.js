@@ -0,0 +1,253 @@
+/**
+ * Calendar Feed Tests
+ *
+ * Tests for the per-user iCal subscription feed: creating, resetting and turning off
+ * the secret link, and which lessons students, guardians and instructors see in it.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { Calendar } = require('../models/Calendar');
+const { GroupSession } = require('../models/GroupSession');
+const { AppSettings } = require('../models/AppSettings');
+const { CalendarFeedToken } = require('../models/CalendarFeedToken');
+const { buildFeed } = require('../services/CalendarFeedService');
+const userRoutes = require('../routes/users');
+const publicRoutes = require('../routes/public');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const findHandler = (router, method, routePath) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[stack.length - 1].handle;
+};
+
+// Fixed reference time: 2030-01-07 12:00 UTC
+const NOW = new Date(Date.UTC(2030, 0, 7, 12, 0, 0));
+
+/**
+ * The events in a feed, keyed by UID
+ */
+const readFeed = (text) => {
+    const events = {};
+    const unfolded = text.replace(/\r\n[ \t]/g, '');
+    for (const block of unfolded.split('BEGIN:VEVENT').slice(1)) {
+        const field = (name) => block.match(new RegExp(`\\r\\n${name}[^:]*:(.*)\\r\\n`))?.[1];
+        events[field('UID').split('@')[0]] = {
+            summary: field('SUMMARY'),
+            status: field('STATUS'),
+            start: field('DTSTART'),
+            end: field('DTEND')
+        };
+    }
+    return events;
+};
+
+describe('Calendar Feed', () => {
+    const getFeed = findHandler(userRoutes, 'GET', '/me/calendar-feed');
+    const createFeed = findHandler(userRoutes, 'POST', '/me/calendar-feed');
+    const revokeFeed = findHandler(userRoutes, 'DELETE', '/me/calendar-feed');
+    const serveFeed = findHandler(publicRoutes, 'GET', '/calendar-feed/:token.ics');
+
+    let student;
+    let dependent;
+    let instructorUser;
+    let instructor;
+
+    const makeRes = () => ({
+        statusCode: 200,
+        _data: null,
+        headers: {},
+        status(code) { this.statusCode = code; return this; },
+        json(data) { this._data = data; return this; },
+        set(headers) { Object.assign(this.headers, headers); return this; },
+        send(body) { this._data = body; return this; }
+    });
+
+    const call = async (handler, user, params = {}) => {
+        const res = makeRes();
+        await handler({ user, params, body: {} }, res);
+        return res;
+    };
+
+    const tokenOf = (url) => url.match(/\/calendar-feed\/([^/]+)\.ics$/)[1];
+
+    const book = (overrides) => Calendar.create({
+        instructor_id: instructor.id,
+        student_id: student.id,
+        date: '2030-01-08',
+        start_slot: 40,
+        duration: 4,
+        status: 'booked',
+        ...overrides
+    });
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        student = await User.create({ name: 'Ana', email: 'ana@test.com', password: 'x', role: 'student' });
+        dependent = await User.create({ name: 'Sam', email: null, password: 'x', role: 'student', guardian_id: student.id });
+        instructorUser = await User.create({ name: 'Teacher', email: 'teacher@test.com', password: 'x', role: 'instructor' });
+        instructor = await Instructor.create({ user_id: instructorUser.id, hourly_rate: 50, is_active: true });
+    });
+
+    after(async () => {
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await CalendarFeedToken.destroy({ where: {} });
+        await Calendar.destroy({ where: {} });
+        await GroupSession.destroy({ where: {} });
+        await AppSettings.deleteSetting('business', 'base_url');
+    });
+
+    describe('Feed link', () => {
+        it('should create a link that serves the feed', async () => {
+            await AppSettings.setSetting('business', 'base_url', 'https://lessons.example.com/');
+
+            const created = await call(createFeed, student);
+
+            assert.strictEqual(created.statusCode, 201);
+            assert.match(created._data.url, /^https:\/\/lessons\.example\.com\/api\/public\/calendar-feed\/[0-9a-f]{64}\.ics$/);
+
+            const served = await call(serveFeed, null, { token: tokenOf(created._data.url) });
+            assert.strictEqual(served.statusCode, 200);
+            assert.match(served.headers['Content-Type'], /^text\/calendar/);
+            assert.match(served._data, /^BEGIN:VCALENDAR/);
+
+            const status = await call(getFeed, student);
+            assert.strictEqual(status._data.enabled, true);
+            assert.ok(status._data.lastAccessedAt);
+            assert.strictEqual(status._data.url, undefined);
+        });
+
+        it('should store only a digest of the token', async () => {
+            const created = await call(createFeed, student);
+            const token = tokenOf(created._data.url);
+
+            const record = await CalendarFeedToken.findOne({ where: { user_id: student.id } });
+            assert.notStrictEqual(record.token_hash, token);
+            assert.strictEqual(record.token_hash.length, 64);
+        });
+
+        it('should stop serving the old link once reset', async () => {
+            const first = await call(createFeed, student);
+            const second = await call(createFeed, student);
+
+            assert.strictEqual((await call(serveFeed, null, { token: tokenOf(first._data.url) })).statusCode, 404);
+            assert.strictEqual((await call(serveFeed, null, { token: tokenOf(second._data.url) })).statusCode, 200);
+            assert.strictEqual(await CalendarFeedToken.count({ where: { user_id: student.id } }), 1);
+        });
+
+        it('should stop serving the link once turned off', async () => {
+            const created = await call(createFeed, student);
+
+            const revoked = await call(revokeFeed, student);
+            assert.strictEqual(revoked.statusCode, 200);
+
+            assert.strictEqual((await call(serveFeed, null, { token: tokenOf(created._data.url) })).statusCode, 404);
+            assert.strictEqual((await call(getFeed, student))._data.enabled, false);
+            assert.strictEqual((await call(revokeFeed, student)).statusCode, 404);
+        });
+
+        it('should not serve unknown tokens', async () => {
+            const res = await call(serveFeed, null, { token: 'not-a-token' });
+
+            assert.strictEqual(res.statusCode, 404);
+        });
+    });
+
+    describe('Feed contents', () => {
+        it('should list a student\'s lessons, keeping cancelled ones as cancelled', async () => {
+            const lesson = await book();
+            const cancelled = await book({ date: '2030-01-09', status: 'cancelled' });
+
+            const events = readFeed(await buildFeed(student, NOW));
+
+            assert.deepStrictEqual(events[`lesson-${lesson.id}`], {
+                summary: 'Lesson with Teacher',
+                status: 'CONFIRMED',
+                start: '20300108T100000Z',
+                end: '20300108T110000Z'
+            });
+            assert.strictEqual(events[`lesson-${cancelled.id}`].status, 'CANCELLED');
+        });
+
+        it('should leave out lessons from before the feed window and blocked time', async () => {
+            const recent = await book({ date: '2029-12-20' });
+            const old = await book({ date: '2029-11-01' });
+            const blocked = await book({ student_id: null, status: 'blocked' });
+
+            const events = readFeed(await buildFeed(student, NOW));
+            const instructorEvents = readFeed(await buildFeed(instructorUser, NOW));
+
+            assert.ok(events[`lesson-${recent.id}`]);
+            assert.strictEqual(events[`lesson-${old.id}`], undefined);
+            assert.strictEqual(instructorEvents[`lesson-${blocked.id}`], undefined);
+        });
+
+        it('should include the lessons of a guardian\'s dependents', async () => {
+            const lesson = await book({ student_id: dependent.id });
+
+            const events = readFeed(await buildFeed(student, NOW));
+
+            assert.strictEqual(events[`lesson-${lesson.id}`].summary, 'Lesson with Teacher (Sam)');
+        });
+
+        it('should not show a student other students\' lessons', async () => {
+            const other = await User.create({ name: 'Other', email: 'other@test.com', password: 'x', role: 'student' });
+            const lesson = await book({ student_id: other.id });
+
+            const events = readFeed(await buildFeed(student, NOW));
+
+            assert.strictEqual(events[`lesson-${lesson.id}`], undefined);
+        });
+
+        it('should list an instructor\'s lessons with a group class shown once', async () => {
+            const lesson = await book();
+            const session = await GroupSession.create({
+                instructor_id: instructor.id,
+                title: 'Ensemble',
+                date: '2030-01-10',
+                start_slot: 64,
+                duration: 6,
+                capacity: 4
+            });
+            const seat = await book({ date: '2030-01-10', start_slot: 64, duration: 6, group_session_id: session.id });
+
+            const events = readFeed(await buildFeed(instructorUser, NOW));
+            const studentEvents = readFeed(await buildFeed(student, NOW));
+
+            assert.strictEqual(events[`lesson-${lesson.id}`].summary, 'Lesson with Ana');
+            assert.strictEqual(events[`lesson-${seat.id}`], undefined);
+            assert.deepStrictEqual(events[`group-session-${session.id}`], {
+                summary: 'Ensemble (group class)',
+                status: 'CONFIRMED',
+                start: '20300110T160000Z',
+                end: '20300110T173000Z'
+            });
+            assert.strictEqual(studentEvents[`lesson-${seat.id}`].summary, 'Ensemble with Teacher');
+
+            await session.update({ status: 'cancelled' });
+            assert.strictEqual(readFeed(await buildFeed(instructorUser, NOW))[`group-session-${session.id}`].status, 'CANCELLED');
+        });
+
+        it('should ask calendar apps to refresh regularly', async () => {
+            const feed = await buildFeed(student, NOW);
+
+            assert.match(feed, /REFRESH-INTERVAL;VALUE=DURATION:PT15M/);
+            assert.match(feed, /X-WR-CALNAME:Lesson Booking Lessons/);
+        });
+    });
+});
@@ -0,0 +1,619 @@
+/**
+ * Calendar Provider Tests
+ *
+ * Tests for busy time from calendars other than Google: the iCalendar parser, ICS
+ * feeds, CalDAV calendars, the routes instructors connect them with and merging busy
+ * time across several calendars. The feed and the CalDAV server are played by a fake
+ * server on localhost.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// CalDAV passwords are stored encrypted
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'calendar-providers-test-key';
+
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { AppSettings } = require('../models/AppSettings');
+const { InstructorCalendarConfig } = require('../models/InstructorCalendarConfig');
+const { BusyBlock } = require('../models/BusyBlock');
+const createGoogleCalendarService = require('../services/GoogleCalendarService');
+const busyTimeService = require('../services/BusyTimeService');
+const { parseEvents } = require('../services/busyTime/icalendar');
+const { normalizeUrl } = require('../services/busyTime/request');
+const authRoutes = require('../routes/auth');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const USERNAME = 'teacher@example.com';
+const PASSWORD = 'app-specific-password';
+
+const findHandler = (router, method, routePath) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[stack.length - 1].handle;
+};
+
+const calendar = (...events) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//Test//EN',
+    ...events.flatMap(event => ['BEGIN:VEVENT', ...event, 'END:VEVENT']),
+    'END:VCALENDAR',
+    ''
+].join('\r\n');
+
+const parse = (text, rangeStart = '2030-01-01T00:00:00Z', rangeEnd = '2030-03-01T00:00:00Z', defaultTimezone) => (
+    parseEvents(text, { rangeStart: new Date(rangeStart), rangeEnd: new Date(rangeEnd), defaultTimezone })
+);
+
+const times = (events) => events.map(event => [event.id, event.start.dateTime || event.start.date, event.end.dateTime || event.end.date]);
+
+/**
+ * A fake server with an ICS feed at /feed.ics and a CalDAV account: the server root
+ * points to the principal, the principal to the calendar home, and the home holds an
+ * event calendar and a task list.
+ */
+const createFakeServer = () => {
+    const fake = {};
+
+    fake.reset = () => {
+        Object.assign(fake, {
+            requests: [],
+            feed: calendar(),
+            calendarData: []
+        });
+    };
+    fake.reset();
+
+    const multistatus = (responses) => `<?xml version="1.0" encoding="utf-8"?>
+<d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">${responses.map(([href, props]) => `
+    <d:response>
+        <d:href>${href}</d:href>
+        <d:propstat>
+            <d:prop>${props}</d:prop>
+            <d:status>HTTP/1.1 200 OK</d:status>
+        </d:propstat>
+    </d:response>`).join('')}
+</d:multistatus>`;
+
+    const escapeXml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/\r/g, '&#13;');
+
+    const davResponse = (req) => {
+        const { method, url } = req;
+        if (method === 'PROPFIND' && url === '/') {
+            return multistatus([['/', '<d:resourcetype><d:collection/></d:resourcetype><d:current-user-principal><d:href>/principals/teacher/</d:href></d:current-user-principal>']]);
+        }
+        if (method === 'PROPFIND' && url === '/principals/teacher/') {
+            return multistatus([['/principals/teacher/', '<cal:calendar-home-set><d:href>/calendars/teacher/</d:href></cal:calendar-home-set>']]);
+        }
+        if (method === 'PROPFIND' && url === '/calendars/teacher/') {
+            return multistatus([
+                ['/calendars/teacher/', '<d:resourcetype><d:collection/></d:resourcetype>'],
+                ['/calendars/teacher/work/', '<d:resourcetype><d:collection/><cal:calendar/></d:resourcetype><d:displayname>Work &amp; Lessons</d:displayname><cal:supported-calendar-component-set><cal:comp name="VEVENT"/></cal:supported-calendar-component-set>'],
+                ['/calendars/teacher/tasks/', '<d:resourcetype><d:collection/><cal:calendar/></d:resourcetype><d:displayname>Tasks</d:displayname><cal:supported-calendar-component-set><cal:comp name="VTODO"/></cal:supported-calendar-component-set>']
+            ]);
+        }
+        if (method === 'REPORT' && url === '/calendars/teacher/work/') {
+            return multistatus(fake.calendarData.map((data, index) => [
+                `/calendars/teacher/work/event-${index}.ics`,
+                `<d:getetag>"${index}"</d:getetag><cal:calendar-data>${escapeXml(data)}</cal:calendar-data>`
+            ]));
+        }
+        return null;
+    };
+
+    fake.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            fake.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+            if (req.method === 'GET' && req.url === '/feed.ics') {
+                res.writeHead(200, { 'Content-Type': 'text/calendar' });
+                return res.end(fake.feed);
+            }
+            if (req.method === 'GET' && req.url === '/not-a-calendar') {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                return res.end('<html><body>Sign in</body></html>');
+            }
+
+            const expected = `Basic ${Buffer.from(`${USERNAME}:${PASSWORD}`).toString('base64')}`;
+            if (req.headers.authorization !== expected) {
+                res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="Test"' });
+                return res.end();
+            }
+
+            const xml = davResponse(req);
+            if (!xml) {
+                res.writeHead(404);
+                return res.end();
+            }
+            res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' });
+            res.end(xml);
+        });
+    });
+
+    return fake;
+};
+
+describe('Calendar Providers', () => {
+    describe('iCalendar parsing', () => {
+        it('should read timed and all-day events as the Google Calendar API returns them', () => {
+            const events = parse(calendar(
+                ['UID:meeting', 'SUMMARY:Dentist', 'DTSTART:20300108T100000Z', 'DTEND:20300108T110000Z'],
+                ['UID:holiday', 'SUMMARY:Holiday', 'DTSTART;VALUE=DATE:20300110', 'DTEND;VALUE=DATE:20300112'],
+                ['UID:call', 'SUMMARY:Call', 'DTSTART:20300109T090000Z', 'DURATION:PT45M']
+            ));
+
+            assert.deepStrictEqual(events[0], {
+                id: 'meeting',
+                summary: 'Dentist',
+                status: 'confirmed',
+                start: { dateTime: '2030-01-08T10:00:00.000Z' },
+                end: { dateTime: '2030-01-08T11:00:00.000Z' }
+            });
+            assert.deepStrictEqual(times(events.slice(1)), [
+                ['holiday', '2030-01-10', '2030-01-12'],
+                ['call', '2030-01-09T09:00:00.000Z', '2030-01-09T09:45:00.000Z']
+            ]);
+        });
+
+        it('should skip free, cancelled and out-of-range events', () => {
+            const events = parse(calendar(
+                ['UID:free', 'DTSTART:20300108T100000Z', 'DTEND:20300108T110000Z', 'TRANSP:TRANSPARENT'],
+                ['UID:cancelled', 'DTSTART:20300108T120000Z', 'DTEND:20300108T130000Z', 'STATUS:CANCELLED'],
+                ['UID:old', 'DTSTART:20290108T100000Z', 'DTEND:20290108T110000Z'],
+                ['UID:busy', 'DTSTART:20300108T140000Z', 'DTEND:20300108T150000Z', 'TRANSP:OPAQUE']
+            ));
+
+            assert.deepStrictEqual(events.map(event => event.id), ['busy']);
+        });
+
+        it('should unfold long lines and unescape text', () => {
+            const events = parse(calendar(
+                ['UID:folded', 'SUMMARY:Lunch with Ana\\, Ben and Ca', ' rlos', 'DTSTART:20300108T120000Z', 'DTEND:20300108T130000Z']
+            ));
+
+            assert.strictEqual(events[0].summary, 'Lunch with Ana, Ben and Carlos');
+        });
+
+        it('should convert zoned and floating times across daylight saving changes', () => {
+            const events = parse(calendar(
+                ['UID:winter', 'DTSTART;TZID=America/New_York:20300110T090000', 'DTEND;TZID=America/New_York:20300110T100000'],
+                ['UID:summer', 'DTSTART;TZID="America/New_York":20300710T090000', 'DTEND;TZID="America/New_York":20300710T100000'],
+                ['UID:windows', 'DTSTART;TZID=Eastern Standard Time:20300711T090000', 'DTEND;TZID=Eastern Standard Time:20300711T093000'],
+                ['UID:floating', 'DTSTART:20300712T090000', 'DTEND:20300712T100000']
+            ), '2030-01-01T00:00:00Z', '2031-01-01T00:00:00Z', 'Europe/Berlin');
+
+            assert.deepStrictEqual(times(events), [
+                ['winter', '2030-01-10T14:00:00.000Z', '2030-01-10T15:00:00.000Z'],
+                ['summer', '2030-07-10T13:00:00.000Z', '2030-07-10T14:00:00.000Z'],
+                ['windows', '2030-07-11T13:00:00.000Z', '2030-07-11T13:30:00.000Z'],
+                ['floating', '2030-07-12T07:00:00.000Z', '2030-07-12T08:00:00.000Z']
+            ]);
+        });
+
+        it('should expand recurring events, leaving out exceptions and applying overrides', () => {
+            const events = parse(calendar(
+                [
+                    'UID:weekly',
+                    'SUMMARY:Choir',
+                    'DTSTART;TZID=America/New_York:20300301T180000',
+                    'DTEND;TZID=America/New_York:20300301T190000',
+                    'RRULE:FREQ=WEEKLY;COUNT=4',
+                    'EXDATE;TZID=America/New_York:20300315T180000'
+                ],
+                [
+                    'UID:weekly',
+                    'SUMMARY:Choir (moved)',
+                    'RECURRENCE-ID;TZID=America/New_York:20300322T180000',
+                    'DTSTART;TZID=America/New_York:20300323T100000',
+                    'DTEND;TZID=America/New_York:20300323T110000'
+                ]
+            ), '2030-03-01T00:00:00Z', '2030-04-01T00:00:00Z');
+
+            // Clocks in New York go forward on March 10, 2030
+            assert.deepStrictEqual(times(events), [
+                ['weekly_20300301T230000Z', '2030-03-01T23:00:00.000Z', '2030-03-02T00:00:00.000Z'],
+                ['weekly_20300308T230000Z', '2030-03-08T23:00:00.000Z', '2030-03-09T00:00:00.000Z'],
+                ['weekly_20300322T220000Z', '2030-03-23T14:00:00.000Z', '2030-03-23T15:00:00.000Z']
+            ]);
+            assert.strictEqual(events[2].summary, 'Choir (moved)');
+        });
+
+        it('should expand monthly rules by weekday position', () => {
+            const events = parse(calendar(
+                ['UID:board', 'DTSTART:20300104T170000Z', 'DTEND:20300104T180000Z', 'RRULE:FREQ=MONTHLY;BYDAY=1FR;UNTIL=20300401T000000Z']
+            ), '2030-01-01T00:00:00Z', '2030-12-31T00:00:00Z');
+
+            assert.deepStrictEqual(events.map(event => event.start.dateTime.slice(0, 10)), ['2030-01-04', '2030-02-01', '2030-03-01']);
+        });
+
+        it('should expand recurring all-day events by date', () => {
+            const events = parse(calendar(
+                ['UID:gym', 'DTSTART;VALUE=DATE:20300107', 'RRULE:FREQ=WEEKLY;BYDAY=MO,WE', 'EXDATE;VALUE=DATE:20300109']
+            ), '2030-01-07T00:00:00Z', '2030-01-17T00:00:00Z');
+
+            assert.deepStrictEqual(times(events), [
+                ['gym_20300107', '2030-01-07', '2030-01-08'],
+                ['gym_20300114', '2030-01-14', '2030-01-15'],
+                ['gym_20300116', '2030-01-16', '2030-01-17']
+            ]);
+        });
+    });
+
+    describe('URLs', () => {
+        it('should accept web and webcal URLs only', () => {
+            assert.strictEqual(normalizeUrl('webcal://example.com/feed.ics'), 'https://example.com/feed.ics');
+            assert.strictEqual(normalizeUrl(' https://example.com/feed.ics '), 'https://example.com/feed.ics');
+            assert.strictEqual(normalizeUrl('file:///etc/passwd'), null);
+            assert.strictEqual(normalizeUrl('not a url'), null);
+            assert.strictEqual(normalizeUrl(null), null);
+        });
+    });
+
+    describe('Syncing', () => {
+        const calendarService = createGoogleCalendarService();
+        const saveConfig = findHandler(authRoutes, 'POST', '/calendar/config/:instructorId');
+        const discover = findHandler(authRoutes, 'POST', '/calendar/caldav/discover/:instructorId');
+        const testConnection = findHandler(authRoutes, 'GET', '/calendar/test/:instructorId');
+
+        let fake;
+        let baseUrl;
+        let instructor;
+
+        const makeRes = () => ({
+            statusCode: 200,
+            _data: null,
+            status(code) { this.statusCode = code; return this; },
+            json(data) { this._data = data; return this; },
+            end() { return this; }
+        });
+
+        const call = async (handler, body) => {
+            const res = makeRes();
+            await handler({ params: { instructorId: String(instructor.id) }, body, user: { id: instructor.user_id } }, res);
+            return res;
+        };
+
+        const week = () => [new Date('2030-01-07T00:00:00.000Z'), new Date('2030-01-14T00:00:00.000Z')];
+
+        const getEvents = () => calendarService.getEvents(instructor.id, ...week());
+
+        // Feeds are copied for a window around the time of the sync, so sync as of the test week
+        const syncNow = async () => {
+            const config = await InstructorCalendarConfig.findByInstructorId(instructor.id);
+            return busyTimeService.syncCalendar(config.id, new Date('2030-01-01T00:00:00.000Z'));
+        };
+
+        before(async () => {
+            await sequelize.sync({ force: true });
+            await AppSettings.setSetting('business', 'timezone', 'UTC');
+
+            fake = createFakeServer();
+            await new Promise(resolve => fake.server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${fake.server.address().port}`;
+
+            const user = await User.create({ name: 'Teacher', email: USERNAME, password: 'x', role: 'instructor' });
+            instructor = await Instructor.create({ user_id: user.id, hourly_rate: 50, is_active: true });
+        });
+
+        after(async () => {
+            await busyTimeService.drain();
+            await new Promise(resolve => fake.server.close(resolve));
+            await sequelize.close();
+        });
+
+        beforeEach(async () => {
+            await busyTimeService.drain();
+            await InstructorCalendarConfig.destroy({ where: {} });
+            await BusyBlock.destroy({ where: {} });
+            fake.reset();
+        });
+
+        describe('ICS feeds', () => {
+            beforeEach(() => {
+                fake.feed = calendar(
+                    ['UID:meeting', 'SUMMARY:Dentist', 'DTSTART:20300108T100000Z', 'DTEND:20300108T110000Z'],
+                    ['UID:holiday', 'SUMMARY:Holiday', 'DTSTART;VALUE=DATE:20300110', 'DTEND;VALUE=DATE:20300111']
+                );
+            });
+
+            it('should save a feed and copy it', async () => {
+                const res = await call(saveConfig, {
+                    provider: 'ics',
+                    source_url: `${baseUrl}/feed.ics`,
+                    all_day_event_handling: 'block'
+                });
+                assert.strictEqual(res.statusCode, 200);
+                assert.strictEqual(res._data.config.provider, 'ics');
+
+                await syncNow();
+                const events = await getEvents();
+
+                assert.deepStrictEqual(events.map(event => event.google_event_id).sort(), ['holiday', 'meeting']);
+                const meeting = events.find(event => event.google_event_id === 'meeting');
+                assert.strictEqual(meeting.date, '2030-01-08');
+                assert.strictEqual(meeting.start_slot, 40);
+                assert.strictEqual(meeting.duration, 4);
+                assert.ok(events.find(event => event.google_event_id === 'holiday').is_all_day);
+            });
+
+            it('should replace the copy with the feed on every sync', async () => {
+                await call(saveConfig, { provider: 'ics', source_url: `${baseUrl}/feed.ics` });
+                await syncNow();
+
+                fake.feed = calendar(
+                    ['UID:meeting', 'SUMMARY:Dentist', 'DTSTART:20300109T140000Z', 'DTEND:20300109T150000Z']
+                );
+                const result = await syncNow();
+                const events = await getEvents();
+
+                assert.deepStrictEqual(result, { full: true, changed: 1 });
+                assert.deepStrictEqual(events.map(event => [event.google_event_id, event.date]), [['meeting', '2030-01-09']]);
+            });
+
+            it('should keep the last copy when the feed cannot be read', async () => {
+                await call(saveConfig, { provider: 'ics', source_url: `${baseUrl}/feed.ics` });
+                await syncNow();
+
+                const config = await InstructorCalendarConfig.findByInstructorId(instructor.id);
+                await config.update({ source_url: `${baseUrl}/not-a-calendar` });
+                assert.strictEqual(await busyTimeService.queueSync(config.id), null);
+
+                assert.strictEqual(await BusyBlock.count(), 2);
+            });
+
+            it('should reject URLs that are not web addresses', async () => {
+                const res = await call(saveConfig, { provider: 'ics', source_url: 'ftp://example.com/feed.ics' });
+
+                assert.strictEqual(res.statusCode, 400);
+                assert.strictEqual(res._data.error, 'Invalid calendar URL');
+                assert.strictEqual(await InstructorCalendarConfig.count(), 0);
+            });
+
+            it('should report a URL that does not return a calendar when testing', async () => {
+                await call(saveConfig, { provider: 'ics', source_url: `${baseUrl}/not-a-calendar` });
+
+                const res = await call(testConnection, {});
+
+                assert.strictEqual(res._data.success, false);
+                assert.match(res._data.message, /iCalendar/);
+            });
+
+            it('should never push lessons to a feed', async () => {
+                await call(saveConfig, { provider: 'ics', source_url: `${baseUrl}/feed.ics` });
+
+                assert.strictEqual(await calendarService.getCalendarClient(instructor.id), null);
+            });
+
+            it('should drop the old copy when switching calendars', async () => {
+                const saved = await call(saveConfig, { provider: 'ics', source_url: `${baseUrl}/feed.ics` });
+                await syncNow();
+
+                await call(saveConfig, { id: saved._data.config.id, provider: 'ics', source_url: `${baseUrl}/other.ics` });
+
+                assert.strictEqual(await BusyBlock.count(), 0);
+                const config = await InstructorCalendarConfig.findByInstructorId(instructor.id);
+                assert.strictEqual(config.last_synced_at, null);
+            });
+        });
+
+        describe('CalDAV calendars', () => {
+            beforeEach(() => {
+                fake.calendarData = [
+                    calendar(['UID:meeting', 'SUMMARY:Dentist', 'DTSTART:20300108T100000Z', 'DTEND:20300108T110000Z']),
+                    calendar(
+                        ['UID:lesson', 'SUMMARY:Piano', 'RECURRENCE-ID:20300109T160000Z', 'DTSTART:20300109T160000Z', 'DTEND:20300109T170000Z'],
+                        ['UID:lesson', 'SUMMARY:Piano', 'RECURRENCE-ID:20300116T160000Z', 'DTSTART:20300116T160000Z', 'DTEND:20300116T170000Z']
+                    )
+                ];
+            });
+
+            const saveCalDav = (body = {}) => call(saveConfig, {
+                provider: 'caldav',
+                source_url: `${baseUrl}/calendars/teacher/work/`,
+                calendar_name: 'Work & Lessons',
+                username: USERNAME,
+                password: PASSWORD,
+                ...body
+            });
+
+            it('should find the event calendars of an account', async () => {
+                const res = await call(discover, { url: baseUrl, username: USERNAME, password: PASSWORD });
+
+                assert.strictEqual(res.statusCode, 200);
+                assert.deepStrictEqual(res._data.calendars, [
+                    { url: `${baseUrl}/calendars/teacher/work/`, name: 'Work & Lessons' }
+                ]);
+            });
+
+            it('should report a rejected password', async () => {
+                const res = await call(discover, { url: baseUrl, username: USERNAME, password: 'wrong' });
+
+                assert.strictEqual(res.statusCode, 400);
+                assert.strictEqual(res._data.error, 'Authentication failed');
+            });
+
+            it('should store the password encrypted and reuse it', async () => {
+                const res = await saveCalDav();
+                assert.strictEqual(res.statusCode, 200);
+
+                const config = await InstructorCalendarConfig.findByInstructorId(instructor.id);
+                assert.notStrictEqual(config.password, PASSWORD);
+                assert.strictEqual(config.getPassword(), PASSWORD);
+
+                const found = await call(discover, { url: baseUrl, username: USERNAME });
+                assert.strictEqual(found.statusCode, 200);
+                assert.strictEqual(found._data.calendars.length, 1);
+
+                await saveCalDav({ password: '', all_day_event_handling: 'block' });
+                await config.reload();
+                assert.strictEqual(config.getPassword(), PASSWORD);
+                assert.strictEqual(config.all_day_event_handling, 'block');
+            });
+
+            it('should require credentials', async () => {
+                const res = await saveCalDav({ password: '' });
+
+                assert.strictEqual(res.statusCode, 400);
+                assert.strictEqual(res._data.error, 'Credentials are required');
+            });
+
+            it('should copy the calendar with a time-range query', async () => {
+                await saveCalDav();
+
+                await syncNow();
+                const events = await getEvents();
+
+                assert.deepStrictEqual(events.map(event => [event.google_event_id, event.date]).sort(), [
+                    ['lesson_20300109T160000Z', '2030-01-09'],
+                    ['meeting', '2030-01-08']
+                ]);
+                const report = fake.requests.find(request => request.method === 'REPORT');
+                assert.match(report.body, /<c:time-range start="\d{8}T\d{6}Z" end="\d{8}T\d{6}Z"\/>/);
+                assert.strictEqual(report.headers.depth, '1');
+            });
+
+            it('should pass a connection test', async () => {
+                await saveCalDav();
+
+                const res = await call(testConnection, {});
+
+                assert.strictEqual(res._data.success, true);
+                assert.strictEqual(res._data.calendarName, 'Work & Lessons');
+            });
+        });
+
+        describe('Several calendars', () => {
+            const getConfig = findHandler(authRoutes, 'GET', '/calendar/config/:instructorId');
+            const updateCalendar = findHandler(authRoutes, 'PATCH', '/calendar/config/:instructorId/:configId');
+            const removeCalendar = findHandler(authRoutes, 'DELETE', '/calendar/config/:instructorId/:configId');
+            const testCalendar = findHandler(authRoutes, 'GET', '/calendar/test/:instructorId/:configId');
+
+            let feed;
+            let work;
+
+            const callFor = async (handler, configId, body = {}) => {
+                const res = makeRes();
+                await handler({
+                    params: { instructorId: String(instructor.id), configId: String(configId) },
+                    body,
+                    user: { id: instructor.user_id }
+                }, res);
+                return res;
+            };
+
+            const syncAll = async () => {
+                for (const config of await InstructorCalendarConfig.findAllByInstructorId(instructor.id)) {
+                    await busyTimeService.syncCalendar(config.id, new Date('2030-01-01T00:00:00.000Z'));
+                }
+            };
+
+            const busyIds = async () => (await getEvents()).map(event => event.google_event_id).sort();
+
+            beforeEach(async () => {
+                fake.feed = calendar(
+                    ['UID:meeting', 'SUMMARY:Dentist', 'DTSTART:20300108T100000Z', 'DTEND:20300108T110000Z'],
+                    ['UID:holiday', 'SUMMARY:Holiday', 'DTSTART;VALUE=DATE:20300110', 'DTEND;VALUE=DATE:20300111']
+                );
+                fake.calendarData = [
+                    calendar(['UID:meeting', 'SUMMARY:Dentist', 'DTSTART:20300108T100000Z', 'DTEND:20300108T110000Z']),
+                    calendar(['UID:standup', 'SUMMARY:Standup', 'DTSTART:20300109T090000Z', 'DTEND:20300109T093000Z']),
+                    calendar(['UID:offsite', 'SUMMARY:Offsite', 'DTSTART;VALUE=DATE:20300111', 'DTEND;VALUE=DATE:20300112'])
+                ];
+
+                feed = (await call(saveConfig, {
+                    provider: 'ics',
+                    source_url: `${baseUrl}/feed.ics`,
+                    all_day_event_handling: 'block'
+                }))._data.config;
+                work = (await call(saveConfig, {
+                    provider: 'caldav',
+                    source_url: `${baseUrl}/calendars/teacher/work/`,
+                    calendar_name: 'Work & Lessons',
+                    username: USERNAME,
+                    password: PASSWORD,
+                    all_day_event_handling: 'ignore'
+                }))._data.config;
+                await syncAll();
+            });
+
+            it('should merge busy time from every calendar, each with its own all-day handling', async () => {
+                const events = await getEvents();
+
+                // The meeting is on both calendars but blocks its time once
+                assert.deepStrictEqual(await busyIds(), ['holiday', 'meeting', 'standup']);
+                assert.ok(events.find(event => event.google_event_id === 'holiday').is_all_day);
+            });
+
+            it('should list each calendar and keep the others when saving one again', async () => {
+                await call(saveConfig, { provider: 'ics', source_url: `${baseUrl}/feed.ics`, all_day_event_handling: 'ignore' });
+
+                const res = await call(getConfig, {});
+
+                assert.deepStrictEqual(res._data.calendars.map(c => [c.id, c.provider, c.all_day_event_handling]), [
+                    [feed.id, 'ics', 'ignore'],
+                    [work.id, 'caldav', 'ignore']
+                ]);
+                assert.strictEqual(res._data.config.id, feed.id);
+            });
+
+            it('should leave out calendars the instructor ignores, and keep them connected', async () => {
+                const res = await callFor(updateCalendar, feed.id, { include_in_busy_time: false });
+                assert.strictEqual(res.statusCode, 200);
+
+                assert.deepStrictEqual(await busyIds(), ['meeting', 'standup']);
+                const listed = (await call(getConfig, {}))._data.calendars;
+                assert.strictEqual(listed.find(c => c.id === feed.id).include_in_busy_time, false);
+
+                await callFor(updateCalendar, feed.id, { include_in_busy_time: true });
+                assert.deepStrictEqual(await busyIds(), ['holiday', 'meeting', 'standup']);
+            });
+
+            it('should reject an invalid include setting', async () => {
+                const res = await callFor(updateCalendar, feed.id, { include_in_busy_time: 'no' });
+
+                assert.strictEqual(res.statusCode, 400);
+            });
+
+            it('should test and remove one calendar at a time', async () => {
+                const tested = await callFor(testCalendar, work.id);
+                assert.strictEqual(tested._data.success, true);
+                assert.strictEqual(tested._data.calendarName, 'Work & Lessons');
+
+                const removed = await callFor(removeCalendar, feed.id);
+                assert.strictEqual(removed.statusCode, 200);
+
+                assert.deepStrictEqual(await busyIds(), ['meeting', 'standup']);
+                assert.strictEqual(await BusyBlock.count({ where: { instructor_calendar_config_id: feed.id } }), 0);
+                assert.strictEqual((await callFor(removeCalendar, feed.id)).statusCode, 404);
+            });
+
+            it('should not touch another instructor\'s calendars', async () => {
+                const otherUser = await User.create({ name: 'Other', email: 'other@example.com', password: 'x', role: 'instructor' });
+                const other = await Instructor.create({ user_id: otherUser.id, hourly_rate: 50, is_active: true });
+                const { config: theirs } = await InstructorCalendarConfig.createOrUpdate(other.id, {
+                    provider: 'ics',
+                    source_url: `${baseUrl}/feed.ics`
+                });
+
+                assert.strictEqual((await callFor(removeCalendar, theirs.id)).statusCode, 404);
+                assert.strictEqual((await callFor(updateCalendar, theirs.id, { include_in_busy_time: false })).statusCode, 404);
+                assert.strictEqual((await call(saveConfig, { id: theirs.id, provider: 'ics', source_url: `${baseUrl}/other.ics` })).statusCode, 404);
+                await theirs.reload();
+                assert.strictEqual(theirs.include_in_busy_time, true);
+            });
+        });
+    });
+});
@@ -0,0 +1,320 @@
+/**
+ * Email Outbox Tests
+ *
+ * Tests for the persisted email queue: delivery, retry backoff, dead
+ * lettering and the admin queue endpoints
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// The admin routes load the Stripe client, which needs keys at require time
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_mock_key_for_testing';
+process.env.STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_mock_key_for_testing';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_mock_webhook_secret_for_testing';
+
+const { sequelize } = require('../db/index');
+const { EmailOutbox, MAX_ATTEMPTS, getRetryDelay } = require('../models/EmailOutbox');
+const emailService = require('../services/EmailService');
+const emailQueueService = require('../services/EmailQueueService');
+const adminRoutes = require('../routes/admin');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[stack.length - 1].handle;
+};
+
+// queueEmail starts the worker without awaiting it
+const waitForWorker = async () => {
+    while ((await emailQueueService.getStatus()).processing) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+describe('Email Outbox', () => {
+    const originalSendPasswordReset = emailService.sendPasswordReset;
+    const originalSendGiftVoucher = emailService.sendGiftVoucher;
+    const getStatus = findHandler(adminRoutes, 'GET', '/email/status');
+    const clearQueue = findHandler(adminRoutes, 'POST', '/email/clear-queue');
+    const listFailed = findHandler(adminRoutes, 'GET', '/email/failed');
+    const resendFailed = findHandler(adminRoutes, 'POST', '/email/failed/:id/resend');
+    const discardFailed = findHandler(adminRoutes, 'DELETE', '/email/failed/:id');
+
+    let sent;
+    let sendResult;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+    });
+
+    after(async () => {
+        emailService.sendPasswordReset = originalSendPasswordReset;
+        emailService.sendGiftVoucher = originalSendGiftVoucher;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await EmailOutbox.destroy({ where: {} });
+
+        sent = [];
+        sendResult = { success: true };
+        emailService.sendPasswordReset = async (userId, resetToken) => {
+            sent.push({ userId, resetToken });
+            return sendResult;
+        };
+        emailService.sendGiftVoucher = async (voucherData) => {
+            sent.push({ code: voucherData.code });
+            return sendResult;
+        };
+    });
+
+    // Put a job straight into the dead letter state
+    const createFailedJob = async () => {
+        const job = await EmailOutbox.enqueue('password_reset', { userId: 7, resetToken: 'dead' });
+        await job.update({ status: 'failed', attempts: MAX_ATTEMPTS, last_error: 'SMTP down' });
+        return job;
+    };
+
+    describe('Queueing', () => {
+        it('should persist the job and send it', async () => {
+            const expiresAt = new Date();
+            const jobId = await emailQueueService.queuePasswordReset(1, 'token-1', expiresAt);
+            await waitForWorker();
+
+            const job = await EmailOutbox.findByPk(jobId);
+            assert.strictEqual(job.type, 'password_reset');
+            assert.strictEqual(job.priority, 'high');
+            assert.strictEqual(job.payload.expiresAt, expiresAt.toISOString());
+            assert.strictEqual(job.status, 'sent');
+            assert.strictEqual(job.attempts, 1);
+            assert.ok(job.sent_at);
+            assert.deepStrictEqual(sent, [{ userId: 1, resetToken: 'token-1' }]);
+        });
+
+        it('should remove the token from the payload once the email is sent', async () => {
+            const jobId = await emailQueueService.queuePasswordReset(1, 'token-1', new Date());
+            await waitForWorker();
+
+            const job = await EmailOutbox.findByPk(jobId);
+            assert.strictEqual(job.status, 'sent');
+            assert.strictEqual(job.payload.userId, 1);
+            assert.strictEqual(job.payload.resetToken, undefined);
+        });
+
+        it('should remove the voucher code from the payload once the email is sent', async () => {
+            const jobId = await emailQueueService.queueGiftVoucher({ id: 3, code: 'GIFT-7KQ2-MX9P', recipient_email: 'friend@test.com' });
+            await waitForWorker();
+
+            const job = await EmailOutbox.findByPk(jobId);
+            assert.deepStrictEqual(sent, [{ code: 'GIFT-7KQ2-MX9P' }]);
+            assert.strictEqual(job.payload.voucherData.recipient_email, 'friend@test.com');
+            assert.strictEqual(job.payload.voucherData.code, undefined);
+        });
+
+        it('should keep the token for a retry when the send fails', async () => {
+            sendResult = { success: false, error: 'SMTP down' };
+            const jobId = await emailQueueService.queuePasswordReset(1, 'token-1', new Date());
+            await waitForWorker();
+
+            const job = await EmailOutbox.findByPk(jobId);
+            assert.strictEqual(job.status, 'pending');
+            assert.strictEqual(job.payload.resetToken, 'token-1');
+        });
+
+        it('should send high priority jobs first', async () => {
+            const normal = await EmailOutbox.enqueue('password_reset', { userId: 1 }, 'normal');
+            const high = await EmailOutbox.enqueue('password_reset', { userId: 2 }, 'high');
+
+            const claimed = await EmailOutbox.claimNext();
+            assert.strictEqual(claimed.id, high.id);
+            assert.strictEqual(claimed.status, 'processing');
+            assert.notStrictEqual(claimed.id, normal.id);
+        });
+
+        it('should not claim jobs whose retry is not due yet', async () => {
+            const job = await EmailOutbox.enqueue('password_reset', { userId: 1 });
+            await job.update({ next_attempt_at: new Date(Date.now() + 60000) });
+
+            assert.strictEqual(await EmailOutbox.claimNext(), null);
+        });
+    });
+
+    describe('Retries', () => {
+        it('should reschedule a failed send with backoff', async () => {
+            sendResult = { success: false, error: 'Connection refused' };
+
+            const before = Date.now();
+            const jobId = await emailQueueService.queuePasswordReset(1, 'token-1', new Date());
+            await waitForWorker();
+
+            const job = await EmailOutbox.findByPk(jobId);
+            assert.strictEqual(job.status, 'pending');
+            assert.strictEqual(job.attempts, 1);
+            assert.strictEqual(job.last_error, 'Connection refused');
+            assert.ok(job.next_attempt_at.getTime() >= before + getRetryDelay(1));
+        });
+
+        it('should double the delay each attempt up to the cap', () => {
+            assert.strictEqual(getRetryDelay(2), getRetryDelay(1) * 2);
+            assert.strictEqual(getRetryDelay(3), getRetryDelay(1) * 4);
+            assert.strictEqual(getRetryDelay(50), 60 * 60 * 1000);
+        });
+
+        it('should dead-letter the job after the last attempt', async () => {
+            sendResult = { success: false, error: 'Mailbox unavailable' };
+
+            const job = await EmailOutbox.enqueue('password_reset', { userId: 1, resetToken: 'token-1' });
+            await job.update({ attempts: MAX_ATTEMPTS - 1 });
+
+            await emailQueueService.processQueue();
+
+            await job.reload();
+            assert.strictEqual(job.status, 'failed');
+            assert.strictEqual(job.attempts, MAX_ATTEMPTS);
+            assert.strictEqual(job.last_error, 'Mailbox unavailable');
+            assert.strictEqual(job.payload.resetToken, undefined);
+        });
+
+        it('should dead-letter unknown email types instead of dropping them', async () => {
+            const job = await EmailOutbox.enqueue('no_such_email', {});
+            await job.update({ attempts: MAX_ATTEMPTS - 1 });
+
+            await emailQueueService.processQueue();
+
+            await job.reload();
+            assert.strictEqual(job.status, 'failed');
+            assert.match(job.last_error, /Unknown email type/);
+        });
+
+        it('should release jobs stuck in processing', async () => {
+            const job = await EmailOutbox.enqueue('password_reset', { userId: 1, resetToken: 'token-1' });
+            await job.update({ status: 'processing', attempts: 1, locked_at: new Date(Date.now() - 60 * 60 * 1000) });
+
+            await emailQueueService.runWorker();
+
+            await job.reload();
+            assert.strictEqual(job.status, 'sent');
+            assert.strictEqual(job.attempts, 2);
+        });
+    });
+
+    describe('Admin endpoints', () => {
+        it('should report counts from the outbox', async () => {
+            await createFailedJob();
+            const pending = await EmailOutbox.enqueue('password_reset', { userId: 1 });
+            await pending.update({ next_attempt_at: new Date(Date.now() + 60000) });
+
+            const res = makeRes();
+            await getStatus({}, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res._data.email_queue.queueSize, 1);
+            assert.strictEqual(res._data.email_queue.counts.failed, 1);
+            assert.strictEqual(res._data.email_queue.retryAttempts, MAX_ATTEMPTS);
+        });
+
+        it('should cancel unsent jobs on clear-queue', async () => {
+            const failed = await createFailedJob();
+            const pending = await EmailOutbox.enqueue('password_reset', { userId: 1 });
+
+            const res = makeRes();
+            await clearQueue({}, res);
+
+            assert.strictEqual(res._data.clearedCount, 1);
+            await pending.reload();
+            await failed.reload();
+            assert.strictEqual(pending.status, 'cancelled');
+            assert.strictEqual(failed.status, 'failed');
+        });
+
+        it('should remove the token from a job cancelled on clear-queue', async () => {
+            const pending = await EmailOutbox.enqueue('password_reset', { userId: 1, resetToken: 'token-1' });
+            await pending.update({ next_attempt_at: new Date(Date.now() + 60000) });
+
+            await clearQueue({}, makeRes());
+
+            await pending.reload();
+            assert.strictEqual(pending.payload.resetToken, undefined);
+        });
+
+        it('should list failed jobs without their payload', async () => {
+            const failed = await createFailedJob();
+
+            const res = makeRes();
+            await listFailed({}, res);
+
+            assert.strictEqual(res._data.jobs.length, 1);
+            const listed = res._data.jobs[0].toJSON();
+            assert.strictEqual(listed.id, failed.id);
+            assert.strictEqual(listed.last_error, 'SMTP down');
+            assert.strictEqual(listed.payload, undefined);
+        });
+
+        it('should resend a failed job with fresh attempts', async () => {
+            const failed = await createFailedJob();
+
+            const res = makeRes();
+            await resendFailed({ params: { id: String(failed.id) } }, res);
+            await waitForWorker();
+
+            assert.strictEqual(res.statusCode, 200);
+            await failed.reload();
+            assert.strictEqual(failed.status, 'sent');
+            assert.strictEqual(failed.attempts, 1);
+            assert.deepStrictEqual(sent, [{ userId: 7, resetToken: 'dead' }]);
+        });
+
+        it('should refuse to resend a job whose token was removed when it was dead-lettered', async () => {
+            sendResult = { success: false, error: 'Mailbox unavailable' };
+            const job = await EmailOutbox.enqueue('password_reset', { userId: 1, resetToken: 'token-1' });
+            await job.update({ attempts: MAX_ATTEMPTS - 1 });
+            await emailQueueService.processQueue();
+
+            const res = makeRes();
+            await resendFailed({ params: { id: String(job.id) } }, res);
+
+            assert.strictEqual(res.statusCode, 409);
+            await job.reload();
+            assert.strictEqual(job.status, 'failed');
+        });
+
+        it('should only resend jobs that are in the failed state', async () => {
+            const pending = await EmailOutbox.enqueue('password_reset', { userId: 1 });
+            await pending.update({ next_attempt_at: new Date(Date.now() + 60000) });
+
+            const res = makeRes();
+            await resendFailed({ params: { id: String(pending.id) } }, res);
+
+            assert.strictEqual(res.statusCode, 404);
+        });
+
+        it('should discard a failed job', async () => {
+            const failed = await createFailedJob();
+
+            const res = makeRes();
+            await discardFailed({ params: { id: String(failed.id) } }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            await failed.reload();
+            assert.strictEqual(failed.status, 'cancelled');
+            assert.deepStrictEqual(sent, []);
+        });
+    });
+});
@@ -0,0 +1,257 @@
+/**
+ * Email Verification Tests
+ *
+ * Tests for signup verification emails, login/booking gating and the admin override
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { EmailVerificationToken } = require('../models/EmailVerificationToken');
+const emailQueueService = require('../services/EmailQueueService');
+const { verifyAuthToken } = require('../utils/authTokens');
+const authRoutes = require('../routes/auth');
+const userRoutes = require('../routes/users');
+const calendarRoutes = require('../routes/calendar');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[stack.length - 1].handle;
+};
+
+describe('Email Verification', () => {
+    const signup = findHandler(authRoutes, 'POST', '/signup');
+    const login = findHandler(authRoutes, 'POST', '/login');
+    const verifyEmail = findHandler(authRoutes, 'POST', '/verify-email');
+    const resendVerification = findHandler(authRoutes, 'POST', '/resend-verification');
+    const setEmailVerification = findHandler(userRoutes, 'POST', '/:userId/email-verification');
+    const addEvent = findHandler(calendarRoutes, 'POST', '/addEvent');
+    const originalQueueEmailVerification = emailQueueService.queueEmailVerification;
+
+    let queuedEmails;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+    });
+
+    after(async () => {
+        emailQueueService.queueEmailVerification = originalQueueEmailVerification;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await EmailVerificationToken.destroy({ where: {} });
+        await User.destroy({ where: {} });
+
+        // Capture queued emails instead of sending them
+        queuedEmails = [];
+        emailQueueService.queueEmailVerification = async (userId, token, expiresAt) => {
+            queuedEmails.push({ userId, token, expiresAt });
+            return 'job-id';
+        };
+    });
+
+    const signupStudent = async (email = 'new@test.com') => {
+        const res = makeRes();
+        await signup({ body: { name: 'New Student', email, password: 'password123' } }, res);
+        return res;
+    };
+
+    describe('POST /signup', () => {
+        it('should create an unverified user and queue a verification email', async () => {
+            const res = await signupStudent();
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res._data.requiresEmailVerification, true);
+            assert.strictEqual(res._data.token, undefined);
+
+            const user = await User.findByEmail('new@test.com');
+            assert.strictEqual(user.email_verified_at, null);
+            assert.strictEqual(queuedEmails.length, 1);
+            assert.strictEqual(queuedEmails[0].userId, user.id);
+        });
+    });
+
+    describe('POST /login', () => {
+        it('should reject unverified users with EMAIL_NOT_VERIFIED', async () => {
+            await signupStudent();
+
+            const res = makeRes();
+            await login({ body: { email: 'new@test.com', password: 'password123' } }, res);
+
+            assert.strictEqual(res.statusCode, 403);
+            assert.strictEqual(res._data.code, 'EMAIL_NOT_VERIFIED');
+        });
+
+        it('should still report invalid credentials before verification status', async () => {
+            await signupStudent();
+
+            const res = makeRes();
+            await login({ body: { email: 'new@test.com', password: 'wrong-password' } }, res);
+
+            assert.strictEqual(res.statusCode, 401);
+        });
+
+        it('should allow verified users to log in', async () => {
+            await signupStudent();
+            await verifyEmail({ body: { token: queuedEmails[0].token } }, makeRes());
+
+            const res = makeRes();
+            await login({ body: { email: 'new@test.com', password: 'password123' } }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.ok(res._data.token);
+            assert.strictEqual(res._data.user.verification_status.emailVerified, true);
+        });
+    });
+
+    describe('POST /verify-email', () => {
+        it('should verify the address and return a session token', async () => {
+            await signupStudent();
+
+            const res = makeRes();
+            await verifyEmail({ body: { token: queuedEmails[0].token } }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            const user = await User.findByEmail('new@test.com');
+            assert.ok(user.email_verified_at);
+            assert.strictEqual(verifyAuthToken(res._data.token).id, user.id);
+            assert.strictEqual(res._data.user.password, undefined);
+        });
+
+        it('should only accept a token once', async () => {
+            await signupStudent();
+            const { token } = queuedEmails[0];
+
+            await verifyEmail({ body: { token } }, makeRes());
+            const res = makeRes();
+            await verifyEmail({ body: { token } }, res);
+
+            assert.strictEqual(res.statusCode, 400);
+        });
+
+        it('should reject an expired token', async () => {
+            await signupStudent();
+            await EmailVerificationToken.update(
+                { expires_at: new Date(Date.now() - 1000) },
+                { where: {} }
+            );
+
+            const res = makeRes();
+            await verifyEmail({ body: { token: queuedEmails[0].token } }, res);
+
+            assert.strictEqual(res.statusCode, 400);
+        });
+    });
+
+    describe('POST /resend-verification', () => {
+        it('should reject a missing email or one that is not a string', async () => {
+            for (const body of [{}, { email: 123 }, { email: {} }]) {
+                const res = makeRes();
+                await resendVerification({ body }, res);
+
+                assert.strictEqual(res.statusCode, 400);
+            }
+            assert.strictEqual(queuedEmails.length, 0);
+        });
+
+        it('should issue a new link and supersede the previous one', async () => {
+            await signupStudent();
+            const firstToken = queuedEmails[0].token;
+
+            const res = makeRes();
+            await resendVerification({ body: { email: 'new@test.com' } }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(queuedEmails.length, 2);
+
+            const stale = makeRes();
+            await verifyEmail({ body: { token: firstToken } }, stale);
+            assert.strictEqual(stale.statusCode, 400);
+
+            const fresh = makeRes();
+            await verifyEmail({ body: { token: queuedEmails[1].token } }, fresh);
+            assert.strictEqual(fresh.statusCode, 200);
+        });
+
+        it('should not send anything for verified or unknown addresses', async () => {
+            await User.create({
+                name: 'Verified',
+                email: 'verified@test.com',
+                password: await bcrypt.hash('password123', 10),
+                email_verified_at: new Date()
+            });
+
+            const verifiedRes = makeRes();
+            await resendVerification({ body: { email: 'verified@test.com' } }, verifiedRes);
+            const unknownRes = makeRes();
+            await resendVerification({ body: { email: 'nobody@test.com' } }, unknownRes);
+
+            assert.deepStrictEqual(verifiedRes._data, unknownRes._data);
+            assert.strictEqual(queuedEmails.length, 0);
+        });
+    });
+
+    describe('Admin override', () => {
+        it('should let an admin mark a user verified and unverified', async () => {
+            await signupStudent();
+            const user = await User.findByEmail('new@test.com');
+
+            const verifyRes = makeRes();
+            await setEmailVerification({ params: { userId: String(user.id) }, body: { isVerified: true }, user: { id: 99, role: 'admin' } }, verifyRes);
+            assert.strictEqual(verifyRes.statusCode, 200);
+            assert.ok((await User.findByPk(user.id)).email_verified_at);
+
+            const unverifyRes = makeRes();
+            await setEmailVerification({ params: { userId: String(user.id) }, body: { isVerified: false }, user: { id: 99, role: 'admin' } }, unverifyRes);
+            assert.strictEqual(unverifyRes.statusCode, 200);
+            assert.strictEqual((await User.findByPk(user.id)).email_verified_at, null);
+        });
+
+        it('should reject a non-boolean value', async () => {
+            const res = makeRes();
+            await setEmailVerification({ params: { userId: '1' }, body: { isVerified: 'yes' }, user: { id: 99, role: 'admin' } }, res);
+
+            assert.strictEqual(res.statusCode, 400);
+        });
+    });
+
+    describe('Booking', () => {
+        it('should refuse to book a lesson for an unverified student', async () => {
+            await signupStudent();
+            const user = await User.findByEmail('new@test.com');
+
+            const res = makeRes();
+            await addEvent({
+                user: { id: user.id, role: 'student' },
+                body: {
+                    instructorId: 1,
+                    startTime: '2030-01-07T10:00:00.000Z',
+                    endTime: '2030-01-07T10:30:00.000Z'
+                }
+            }, res);
+
+            assert.strictEqual(res.statusCode, 403);
+            assert.strictEqual(res._data.code, 'EMAIL_NOT_VERIFIED');
+        });
+    });
+});
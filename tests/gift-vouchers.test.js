@@ -0,0 +1,329 @@
+/**
+ * Gift Voucher Tests
+ *
+ * Tests for buying lesson packages as gifts: the card payment issues the voucher
+ * and emails its code instead of crediting the buyer, any account can redeem the
+ * code once before it expires, and admins can list, void and resend vouchers.
+ * Stripe API calls are stubbed on the shared client from config/stripe.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// The Stripe client needs keys at require time
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_mock_key_for_testing';
+process.env.STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_mock_key_for_testing';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_mock_for_testing';
+
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { PaymentPlan } = require('../models/PaymentPlan');
+const { Transactions } = require('../models/Transactions');
+const { UserCredits } = require('../models/Credits');
+const { GiftVoucher } = require('../models/GiftVoucher');
+const { stripe } = require('../config/stripe');
+const emailQueueService = require('../services/EmailQueueService');
+const stripePaymentService = require('../services/StripePaymentService');
+const giftVoucherRoutes = require('../routes/giftVouchers');
+const adminRoutes = require('../routes/admin');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[stack.length - 1].handle;
+};
+
+describe('Gift Vouchers', () => {
+    const originalCreatePaymentIntent = stripe.paymentIntents.create;
+    const originalQueueGiftVoucher = emailQueueService.queueGiftVoucher;
+    const originalQueuePurchaseConfirmation = emailQueueService.queuePurchaseConfirmation;
+    const listVouchers = findHandler(giftVoucherRoutes, 'GET', '/');
+    const purchase = findHandler(giftVoucherRoutes, 'POST', '/purchase');
+    const redeem = findHandler(giftVoucherRoutes, 'POST', '/redeem');
+    const adminList = findHandler(adminRoutes, 'GET', '/gift-vouchers');
+    const adminVoid = findHandler(adminRoutes, 'POST', '/gift-vouchers/:id/void');
+    const adminResend = findHandler(adminRoutes, 'POST', '/gift-vouchers/:id/resend');
+
+    let buyer;
+    let recipient;
+    let otherStudent;
+    let plan;
+    let membership;
+    let paymentIntentParams;
+    let giftEmails;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        buyer = await User.create({ name: 'Gift Buyer', email: 'gift-buyer@test.com', password: 'x', role: 'student' });
+        recipient = await User.create({ name: 'Gift Recipient', email: 'gift-recipient@test.com', password: 'x', role: 'student' });
+        otherStudent = await User.create({ name: 'Other Student', email: 'gift-other@test.com', password: 'x', role: 'student' });
+
+        plan = await PaymentPlan.create({ name: '4 Hour Lessons', price: 300, credits: 4, type: 'one-time', lesson_duration_minutes: 60 });
+        membership = await PaymentPlan.create({ name: 'Monthly', price: 200, credits: 4, type: 'membership', duration_days: 30 });
+
+        stripe.paymentIntents.create = async (params) => {
+            paymentIntentParams.push(params);
+            return { id: `pi_gift_${paymentIntentParams.length}`, client_secret: 'secret', status: 'requires_payment_method' };
+        };
+        emailQueueService.queueGiftVoucher = async (voucherData) => {
+            giftEmails.push(voucherData);
+            return 'job-id';
+        };
+        emailQueueService.queuePurchaseConfirmation = async () => 'job-id';
+    });
+
+    after(async () => {
+        stripe.paymentIntents.create = originalCreatePaymentIntent;
+        emailQueueService.queueGiftVoucher = originalQueueGiftVoucher;
+        emailQueueService.queuePurchaseConfirmation = originalQueuePurchaseConfirmation;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        paymentIntentParams = [];
+        giftEmails = [];
+        await GiftVoucher.destroy({ where: {} });
+        await Transactions.destroy({ where: {} });
+        await UserCredits.destroy({ where: {} });
+    });
+
+    const asUser = (user, extra = {}) => ({
+        user: { id: user.id, email: user.email, role: user.role },
+        params: {},
+        query: {},
+        body: {},
+        ...extra
+    });
+
+    const giftBody = (data = {}) => ({
+        planId: plan.id,
+        recipientName: 'Alex',
+        recipientEmail: 'Alex@Example.com',
+        message: 'Happy birthday!',
+        ...data
+    });
+
+    // Buy a gift and report the card payment as succeeded
+    const buyGift = async () => {
+        const res = makeRes();
+        await purchase(asUser(buyer, { body: giftBody() }), res);
+        assert.strictEqual(res.statusCode, 200);
+
+        const paymentIntentId = `pi_gift_${paymentIntentParams.length}`;
+        await stripePaymentService.syncPaymentIntent({ id: paymentIntentId, status: 'succeeded' });
+        return GiftVoucher.findByPk(res._data.voucherId);
+    };
+
+    const redeemCode = async (user, code) => {
+        const res = makeRes();
+        await redeem(asUser(user, { body: { code } }), res);
+        return res;
+    };
+
+    describe('purchase', () => {
+        it('charges the package price and waits for payment before issuing', async () => {
+            const res = makeRes();
+            await purchase(asUser(buyer, { body: giftBody() }), res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res._data.clientSecret, 'secret');
+            assert.strictEqual(paymentIntentParams[0].amount, 30000);
+            assert.strictEqual(paymentIntentParams[0].metadata.giftVoucherId, res._data.voucherId);
+
+            const voucher = await GiftVoucher.findByPk(res._data.voucherId);
+            assert.strictEqual(voucher.status, 'pending');
+            assert.strictEqual(voucher.recipient_email, 'alex@example.com');
+            assert.match(voucher.code, /^GIFT-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+            assert.strictEqual(giftEmails.length, 0);
+        });
+
+        it('issues the voucher and emails the code without crediting the buyer', async () => {
+            const voucher = await buyGift();
+
+            assert.strictEqual(voucher.status, 'issued');
+            assert.ok(voucher.expires_at > new Date());
+            assert.strictEqual(giftEmails.length, 1);
+            assert.strictEqual(giftEmails[0].code, voucher.code);
+            assert.strictEqual((await UserCredits.getUserCredits(buyer.id)).total_credits, 0);
+
+            const transaction = await Transactions.findByPk(voucher.transaction_id);
+            assert.strictEqual(transaction.status, 'completed');
+
+            // A repeated payment report doesn't send the code again
+            await stripePaymentService.syncPaymentIntent({ id: transaction.payment_intent_id, status: 'succeeded' });
+            assert.strictEqual(giftEmails.length, 1);
+        });
+
+        it('voids the voucher when the payment fails', async () => {
+            const res = makeRes();
+            await purchase(asUser(buyer, { body: giftBody() }), res);
+            await stripePaymentService.syncPaymentIntent({ id: 'pi_gift_1', status: 'requires_payment_method' });
+
+            const voucher = await GiftVoucher.findByPk(res._data.voucherId);
+            assert.strictEqual(voucher.status, 'void');
+            assert.strictEqual(giftEmails.length, 0);
+        });
+
+        it('validates the recipient and only sells lesson packages', async () => {
+            let res = makeRes();
+            await purchase(asUser(buyer, { body: giftBody({ recipientEmail: 'not-an-email' }) }), res);
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(res._data.error, 'Gift voucher recipient email is invalid');
+
+            res = makeRes();
+            await purchase(asUser(buyer, { body: giftBody({ planId: membership.id }) }), res);
+            assert.strictEqual(res.statusCode, 400);
+
+            res = makeRes();
+            await purchase(asUser(buyer, { body: giftBody({ planId: 9999 }) }), res);
+            assert.strictEqual(res.statusCode, 404);
+
+            assert.strictEqual(paymentIntentParams.length, 0);
+            assert.strictEqual(await GiftVoucher.count(), 0);
+        });
+
+        it('lists the paid gifts the buyer has sent', async () => {
+            await buyGift();
+            // An unpaid gift isn't listed
+            await purchase(asUser(buyer, { body: giftBody() }), makeRes());
+
+            const res = makeRes();
+            await listVouchers(asUser(buyer), res);
+
+            assert.strictEqual(res._data.vouchers.length, 1);
+            assert.strictEqual(res._data.vouchers[0].display_status, 'issued');
+        });
+    });
+
+    describe('redeem', () => {
+        it('adds the package credits with its lesson duration to any account', async () => {
+            const voucher = await buyGift();
+
+            const res = await redeemCode(recipient, voucher.code.toLowerCase());
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res._data.voucher.credits, 4);
+
+            const breakdown = await UserCredits.getUserCreditsBreakdown(recipient.id);
+            assert.strictEqual(breakdown[60].credits, 4);
+
+            await voucher.reload();
+            assert.strictEqual(voucher.status, 'redeemed');
+            assert.strictEqual(voucher.redeemed_by, recipient.id);
+        });
+
+        it('can only be redeemed once', async () => {
+            const voucher = await buyGift();
+            await redeemCode(recipient, voucher.code);
+
+            const res = await redeemCode(otherStudent, voucher.code);
+
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(res._data.error, 'Gift voucher has already been redeemed');
+            assert.strictEqual((await UserCredits.getUserCredits(otherStudent.id)).total_credits, 0);
+        });
+
+        it('rejects expired, unpaid and unknown codes', async () => {
+            const voucher = await buyGift();
+            await voucher.update({ expires_at: new Date(Date.now() - 1000) });
+
+            let res = await redeemCode(recipient, voucher.code);
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(res._data.error, 'Gift voucher has expired');
+
+            const pending = makeRes();
+            await purchase(asUser(buyer, { body: giftBody() }), pending);
+            const pendingVoucher = await GiftVoucher.findByPk(pending._data.voucherId);
+
+            res = await redeemCode(recipient, pendingVoucher.code);
+            assert.strictEqual(res.statusCode, 404);
+
+            res = await redeemCode(recipient, 'GIFT-NOPE-NOPE');
+            assert.strictEqual(res.statusCode, 404);
+
+            assert.strictEqual((await UserCredits.getUserCredits(recipient.id)).total_credits, 0);
+        });
+    });
+
+    describe('admin', () => {
+        it('lists vouchers by status, showing expired ones separately', async () => {
+            const expired = await buyGift();
+            await expired.update({ expires_at: new Date(Date.now() - 1000) });
+            const redeemed = await buyGift();
+            await redeemCode(recipient, redeemed.code);
+            const issued = await buyGift();
+
+            let res = makeRes();
+            await adminList({ query: {} }, res);
+            assert.strictEqual(res._data.length, 3);
+            assert.strictEqual(res._data.find(v => v.id === expired.id).display_status, 'expired');
+            assert.strictEqual(res._data.find(v => v.id === redeemed.id).redeemer.id, recipient.id);
+
+            res = makeRes();
+            await adminList({ query: { status: 'expired' } }, res);
+            assert.deepStrictEqual(res._data.map(v => v.id), [expired.id]);
+
+            res = makeRes();
+            await adminList({ query: { status: 'issued' } }, res);
+            assert.deepStrictEqual(res._data.map(v => v.id), [issued.id]);
+
+            res = makeRes();
+            await adminList({ query: { status: 'bogus' } }, res);
+            assert.strictEqual(res.statusCode, 400);
+        });
+
+        it('voids unredeemed vouchers so they can no longer be redeemed', async () => {
+            const voucher = await buyGift();
+
+            let res = makeRes();
+            await adminVoid({ params: { id: String(voucher.id) } }, res);
+            assert.strictEqual(res.statusCode, 200);
+
+            res = await redeemCode(recipient, voucher.code);
+            assert.strictEqual(res.statusCode, 404);
+
+            const redeemed = await buyGift();
+            await redeemCode(recipient, redeemed.code);
+
+            res = makeRes();
+            await adminVoid({ params: { id: String(redeemed.id) } }, res);
+            assert.strictEqual(res.statusCode, 400);
+        });
+
+        it('resends the code only while it can be redeemed', async () => {
+            const voucher = await buyGift();
+
+            let res = makeRes();
+            await adminResend({ params: { id: String(voucher.id) } }, res);
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(giftEmails.length, 2);
+
+            await redeemCode(recipient, voucher.code);
+
+            res = makeRes();
+            await adminResend({ params: { id: String(voucher.id) } }, res);
+            assert.strictEqual(res.statusCode, 400);
+
+            res = makeRes();
+            await adminResend({ params: { id: '9999' } }, res);
+            assert.strictEqual(res.statusCode, 404);
+        });
+    });
+});
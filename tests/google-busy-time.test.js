@@ -0,0 +1,420 @@
+/**
+ * Google Busy Time Tests
+ *
+ * Tests for the local copy of instructors' Google Calendar events: the first full sync,
+ * incremental sync with sync tokens, watch channel notifications and the fallback sync
+ * job. Google is played by a fake Calendar API server that the real googleapis client
+ * talks to over HTTP.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// OAuth credentials and the OAuth calendar method are read when config is first required
+process.env.GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || 'test-client-id';
+process.env.GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET || 'test-client-secret';
+process.env.GOOGLE_REDIRECT_URI = process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/api/auth/google/callback';
+process.env.USE_OAUTH_CALENDAR = 'true';
+
+const { sequelize } = require('../db/index');
+const config = require('../config');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { AppSettings } = require('../models/AppSettings');
+const { InstructorCalendarConfig } = require('../models/InstructorCalendarConfig');
+const { InstructorGoogleToken } = require('../models/InstructorGoogleToken');
+const { BusyBlock } = require('../models/BusyBlock');
+const createGoogleCalendarService = require('../services/GoogleCalendarService');
+const busyTimeService = require('../services/BusyTimeService');
+const calendarRoutes = require('../routes/calendar');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const CALENDAR_ID = 'teacher@test.com';
+const ACCESS_TOKEN = 'test-access-token';
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * A fake Google Calendar API: events.list with sync tokens and paging, events.watch
+ * and channels.stop. Every change bumps a sequence number; sync token `token-N`
+ * returns what changed after change N.
+ */
+const createFakeGoogle = () => {
+    const events = new Map();
+    const fake = {};
+
+    fake.reset = () => {
+        events.clear();
+        Object.assign(fake, {
+            requests: [],
+            channels: [],
+            stopped: [],
+            pageSize: 250,
+            expiredTokens: new Set(),
+            seq: 0
+        });
+    };
+    fake.reset();
+
+    fake.put = (event) => {
+        fake.seq++;
+        events.set(event.id, { status: 'confirmed', ...event, seq: fake.seq });
+    };
+    fake.remove = (id) => {
+        fake.seq++;
+        events.set(id, { id, status: 'cancelled', seq: fake.seq });
+    };
+    fake.listRequests = () => fake.requests.filter(request => request.path.endsWith('/events'));
+
+    const send = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(body === undefined ? '' : JSON.stringify(body));
+    };
+
+    const listEvents = (query, res) => {
+        const syncToken = query.get('syncToken');
+        let items;
+        if (syncToken) {
+            if (fake.expiredTokens.has(syncToken)) {
+                return send(res, 410, { error: { code: 410, message: 'Sync token is no longer valid, a full sync is required.' } });
+            }
+            const since = Number(syncToken.replace('token-', ''));
+            items = [...events.values()].filter(event => event.seq > since);
+        } else {
+            items = [...events.values()].filter(event => event.status !== 'cancelled');
+        }
+
+        const offset = Number(query.get('pageToken') || 0);
+        const page = items.slice(offset, offset + fake.pageSize).map(({ seq, ...event }) => event);
+        const body = { kind: 'calendar#events', items: page };
+        if (offset + fake.pageSize < items.length) {
+            body.nextPageToken = String(offset + fake.pageSize);
+        } else {
+            body.nextSyncToken = `token-${fake.seq}`;
+        }
+        send(res, 200, body);
+    };
+
+    fake.server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const body = raw ? JSON.parse(raw) : null;
+            fake.requests.push({
+                method: req.method,
+                path: decodeURIComponent(url.pathname),
+                query: url.searchParams,
+                authorization: req.headers.authorization,
+                body
+            });
+
+            const path = decodeURIComponent(url.pathname);
+            if (req.method === 'GET' && path === `/calendar/v3/calendars/${CALENDAR_ID}/events`) {
+                return listEvents(url.searchParams, res);
+            }
+            if (req.method === 'POST' && path === `/calendar/v3/calendars/${CALENDAR_ID}/events/watch`) {
+                fake.channels.push(body);
+                return send(res, 200, {
+                    kind: 'api#channel',
+                    id: body.id,
+                    resourceId: `resource-${fake.channels.length}`,
+                    expiration: String(Date.now() + Number(body.params.ttl) * 1000)
+                });
+            }
+            if (req.method === 'POST' && path === '/calendar/v3/channels/stop') {
+                fake.stopped.push(body);
+                return send(res, 204);
+            }
+            send(res, 404, { error: { code: 404, message: 'Not Found' } });
+        });
+    });
+
+    return fake;
+};
+
+describe('Google Busy Time', () => {
+    const originalApiUrl = config.googleCalendar.apiUrl;
+    const calendarService = createGoogleCalendarService();
+
+    let google;
+    let server;
+    let instructor;
+    let calendarConfig;
+
+    const makeRes = () => ({
+        statusCode: 200,
+        _data: null,
+        status(code) { this.statusCode = code; return this; },
+        json(data) { this._data = data; return this; },
+        end() { return this; }
+    });
+
+    const notify = async (headers) => {
+        const res = makeRes();
+        await calendarRoutes.handleGoogleNotification({ headers }, res);
+        await busyTimeService.drain();
+        return res;
+    };
+
+    const week = () => [new Date('2030-01-07T00:00:00.000Z'), new Date('2030-01-14T00:00:00.000Z')];
+
+    const getEvents = () => calendarService.getEvents(instructor.id, ...week());
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        google = createFakeGoogle();
+        server = google.server;
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        config.googleCalendar.apiUrl = `http://127.0.0.1:${server.address().port}/`;
+
+        const user = await User.create({ name: 'Teacher', email: CALENDAR_ID, password: 'x', role: 'instructor' });
+        instructor = await Instructor.create({ user_id: user.id, hourly_rate: 50, is_active: true });
+        await InstructorGoogleToken.create({
+            instructor_id: instructor.id,
+            access_token: ACCESS_TOKEN,
+            refresh_token: 'test-refresh-token',
+            token_expiry: new Date(Date.now() + 365 * 24 * HOUR_MS)
+        });
+    });
+
+    after(async () => {
+        config.googleCalendar.apiUrl = originalApiUrl;
+        await busyTimeService.drain();
+        await new Promise(resolve => server.close(resolve));
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await busyTimeService.drain();
+        await InstructorCalendarConfig.destroy({ where: {} });
+        await BusyBlock.destroy({ where: {} });
+        await AppSettings.deleteSetting('business', 'base_url');
+
+        google.reset();
+
+        ({ config: calendarConfig } = await InstructorCalendarConfig.createOrUpdate(instructor.id, {
+            calendar_id: CALENDAR_ID,
+            all_day_event_handling: 'block'
+        }));
+
+        google.put({
+            id: 'meeting',
+            summary: 'Dentist',
+            start: { dateTime: '2030-01-08T10:00:00Z' },
+            end: { dateTime: '2030-01-08T11:00:00Z' }
+        });
+        google.put({
+            id: 'holiday',
+            summary: 'Holiday',
+            start: { date: '2030-01-10' },
+            end: { date: '2030-01-11' }
+        });
+    });
+
+    describe('Syncing', () => {
+        it('should copy the calendar on first view and serve later views locally', async () => {
+            const events = await getEvents();
+
+            assert.deepStrictEqual(events.map(event => event.google_event_id).sort(), ['holiday', 'meeting']);
+            const meeting = events.find(event => event.google_event_id === 'meeting');
+            assert.strictEqual(meeting.date, '2030-01-08');
+            assert.strictEqual(meeting.start_slot, 40);
+            assert.strictEqual(meeting.duration, 4);
+            assert.ok(events.find(event => event.google_event_id === 'holiday').is_all_day);
+
+            const [firstList] = google.listRequests();
+            assert.strictEqual(firstList.authorization, `Bearer ${ACCESS_TOKEN}`);
+            assert.ok(firstList.query.get('timeMin'));
+            await calendarConfig.reload();
+            assert.strictEqual(calendarConfig.sync_token, `token-${google.seq}`);
+
+            await getEvents();
+            assert.strictEqual(google.listRequests().length, 1);
+        });
+
+        it('should apply only what changed since the last sync', async () => {
+            await getEvents();
+            google.put({
+                id: 'meeting',
+                summary: 'Dentist (moved)',
+                start: { dateTime: '2030-01-09T14:00:00Z' },
+                end: { dateTime: '2030-01-09T15:00:00Z' }
+            });
+            google.remove('holiday');
+
+            const result = await busyTimeService.syncCalendar(calendarConfig.id);
+            const events = await getEvents();
+
+            assert.deepStrictEqual(result, { full: false, changed: 2 });
+            assert.strictEqual(google.listRequests()[1].query.get('syncToken'), 'token-2');
+            assert.deepStrictEqual(events.map(event => [event.google_event_id, event.date]), [['meeting', '2030-01-09']]);
+        });
+
+        it('should follow pages of results', async () => {
+            google.pageSize = 1;
+            google.put({
+                id: 'lunch',
+                start: { dateTime: '2030-01-11T12:00:00Z' },
+                end: { dateTime: '2030-01-11T13:00:00Z' }
+            });
+
+            await busyTimeService.syncCalendar(calendarConfig.id);
+
+            assert.strictEqual(google.listRequests().length, 3);
+            assert.strictEqual(await BusyBlock.count(), 3);
+        });
+
+        it('should not copy lessons pushed from the booking calendar', async () => {
+            google.put({
+                id: 'pushed-lesson',
+                summary: 'Lesson with Sam',
+                start: { dateTime: '2030-01-08T15:00:00Z' },
+                end: { dateTime: '2030-01-08T15:30:00Z' },
+                extendedProperties: { private: { [createGoogleCalendarService.BOOKING_EVENT_PROPERTY]: '12' } }
+            });
+
+            const events = await getEvents();
+
+            assert.ok(!events.some(event => event.google_event_id === 'pushed-lesson'));
+        });
+
+        it('should copy the calendar again when the sync token expires', async () => {
+            await getEvents();
+            google.expiredTokens.add(`token-${google.seq}`);
+            google.remove('meeting');
+
+            const result = await busyTimeService.syncCalendar(calendarConfig.id);
+
+            assert.strictEqual(result.full, true);
+            assert.deepStrictEqual((await BusyBlock.findAll()).map(block => block.external_event_id), ['holiday']);
+        });
+
+        it('should start over when the instructor picks a different calendar', async () => {
+            await getEvents();
+
+            const { config: updated } = await InstructorCalendarConfig.createOrUpdate(instructor.id, {
+                id: calendarConfig.id,
+                calendar_id: 'other@test.com'
+            });
+
+            assert.strictEqual(updated.sync_token, null);
+            assert.strictEqual(updated.last_synced_at, null);
+        });
+    });
+
+    describe('Watch channels', () => {
+        beforeEach(async () => {
+            await AppSettings.setSetting('business', 'base_url', 'https://lessons.example.com/');
+        });
+
+        it('should watch the calendar for changes', async () => {
+            assert.strictEqual(await busyTimeService.ensureWatch(calendarConfig), true);
+            await calendarConfig.reload();
+
+            const [channel] = google.channels;
+            assert.strictEqual(channel.type, 'web_hook');
+            assert.strictEqual(channel.address, 'https://lessons.example.com/api/calendar/google-notifications');
+            assert.strictEqual(channel.id, calendarConfig.watch_channel_id);
+            assert.strictEqual(channel.token, calendarConfig.watch_token);
+            assert.strictEqual(calendarConfig.watch_resource_id, 'resource-1');
+            assert.ok(calendarConfig.watch_expires_at > new Date());
+        });
+
+        it('should sync when Google reports a change', async () => {
+            await getEvents();
+            await busyTimeService.ensureWatch(calendarConfig);
+            await calendarConfig.reload();
+            google.remove('meeting');
+
+            const handshake = await notify({
+                'x-goog-channel-id': calendarConfig.watch_channel_id,
+                'x-goog-channel-token': calendarConfig.watch_token,
+                'x-goog-resource-state': 'sync'
+            });
+            assert.strictEqual(handshake.statusCode, 200);
+            assert.strictEqual(google.listRequests().length, 1);
+
+            const change = await notify({
+                'x-goog-channel-id': calendarConfig.watch_channel_id,
+                'x-goog-channel-token': calendarConfig.watch_token,
+                'x-goog-resource-state': 'exists'
+            });
+
+            assert.strictEqual(change.statusCode, 200);
+            assert.strictEqual(google.listRequests().length, 2);
+            assert.deepStrictEqual((await getEvents()).map(event => event.google_event_id), ['holiday']);
+        });
+
+        it('should ignore notifications with the wrong token or an unknown channel', async () => {
+            await busyTimeService.ensureWatch(calendarConfig);
+            await calendarConfig.reload();
+
+            const wrongToken = await notify({
+                'x-goog-channel-id': calendarConfig.watch_channel_id,
+                'x-goog-channel-token': 'not-the-token',
+                'x-goog-resource-state': 'exists'
+            });
+            const unknown = await notify({
+                'x-goog-channel-id': 'some-other-channel',
+                'x-goog-channel-token': calendarConfig.watch_token,
+                'x-goog-resource-state': 'exists'
+            });
+
+            assert.strictEqual(wrongToken.statusCode, 404);
+            assert.strictEqual(unknown.statusCode, 404);
+            assert.strictEqual(google.listRequests().length, 0);
+        });
+
+        it('should not watch without a public HTTPS address', async () => {
+            await AppSettings.setSetting('business', 'base_url', 'http://localhost:3000');
+
+            assert.strictEqual(await busyTimeService.ensureWatch(calendarConfig), false);
+            assert.strictEqual(google.channels.length, 0);
+        });
+
+        it('should stop the channel when asked', async () => {
+            await busyTimeService.ensureWatch(calendarConfig);
+            await calendarConfig.reload();
+            const channelId = calendarConfig.watch_channel_id;
+
+            await busyTimeService.stopWatch(calendarConfig);
+
+            assert.deepStrictEqual(google.stopped, [{ id: channelId, resourceId: 'resource-1' }]);
+            assert.strictEqual(calendarConfig.watch_channel_id, null);
+        });
+    });
+
+    describe('Fallback sync', () => {
+        it('should poll calendars without a watch channel', async () => {
+            const now = new Date();
+            const first = await busyTimeService.syncStale(now);
+            const soon = await busyTimeService.syncStale(new Date(now.getTime() + 60 * 1000));
+            const later = await busyTimeService.syncStale(new Date(now.getTime() + 15 * 60 * 1000));
+
+            assert.deepStrictEqual([first.synced, soon.synced, later.synced], [1, 0, 1]);
+            assert.strictEqual(first.watched, 0);
+        });
+
+        it('should rarely re-sync watched calendars and renew their channels before they expire', async () => {
+            await AppSettings.setSetting('business', 'base_url', 'https://lessons.example.com');
+            const now = new Date();
+
+            const first = await busyTimeService.syncStale(now);
+            const later = await busyTimeService.syncStale(new Date(now.getTime() + HOUR_MS));
+            assert.deepStrictEqual([first, later], [{ synced: 1, watched: 1 }, { synced: 0, watched: 1 }]);
+            assert.strictEqual(google.channels.length, 1);
+
+            // Six and a half days on, the week-long channel is about to lapse
+            await busyTimeService.syncStale(new Date(now.getTime() + 156 * HOUR_MS));
+            await calendarConfig.reload();
+
+            assert.strictEqual(google.channels.length, 2);
+            assert.deepStrictEqual(google.stopped.map(channel => channel.id), [google.channels[0].id]);
+            assert.strictEqual(calendarConfig.watch_channel_id, google.channels[1].id);
+        });
+    });
+});
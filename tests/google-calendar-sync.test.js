@@ -0,0 +1,289 @@
+/**
+ * Google Calendar Sync Tests
+ *
+ * Tests for pushing lessons to instructors' Google Calendars: creating, moving,
+ * cancelling and deleting bookings, and reconciling drift. Google is replaced by an
+ * in-memory fake of the Calendar API's events resource.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { Calendar } = require('../models/Calendar');
+const { GroupSession } = require('../models/GroupSession');
+const { InstructorCalendarConfig } = require('../models/InstructorCalendarConfig');
+const syncService = require('../services/GoogleCalendarSyncService');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const CALENDAR_ID = 'instructor@test.com';
+const NOW = new Date('2030-01-01T00:00:00.000Z');
+
+/**
+ * In-memory stand-in for calendar.events, failing the next call when asked to
+ */
+const createFakeCalendarApi = () => {
+    const stored = new Map();
+    let nextId = 1;
+    const fake = { stored, calls: [], failNext: null };
+
+    const notFound = () => Object.assign(new Error('Not Found'), { code: 404 });
+    const record = (method, params) => {
+        fake.calls.push(method);
+        if (fake.failNext) {
+            const error = fake.failNext;
+            fake.failNext = null;
+            throw error;
+        }
+        assert.strictEqual(params.calendarId, CALENDAR_ID);
+    };
+
+    fake.events = {
+        insert: async (params) => {
+            record('insert', params);
+            const id = `gcal_${nextId++}`;
+            stored.set(id, { ...params.requestBody, id });
+            return { data: stored.get(id) };
+        },
+        update: async (params) => {
+            record('update', params);
+            if (!stored.has(params.eventId)) {
+                throw notFound();
+            }
+            stored.set(params.eventId, { ...params.requestBody, id: params.eventId });
+            return { data: stored.get(params.eventId) };
+        },
+        delete: async (params) => {
+            record('delete', params);
+            if (!stored.delete(params.eventId)) {
+                throw notFound();
+            }
+            return { data: '' };
+        },
+        list: async (params) => {
+            record('list', params);
+            return { data: { items: [...stored.values()] } };
+        }
+    };
+
+    return fake;
+};
+
+describe('Google Calendar Sync', () => {
+    const originalGetCalendarClient = syncService.calendarService.getCalendarClient;
+
+    let instructor;
+    let otherInstructor;
+    let student;
+    let google;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        const instructorUser = await User.create({
+            name: 'Synced Instructor',
+            email: CALENDAR_ID,
+            password: 'x',
+            role: 'instructor'
+        });
+        instructor = await Instructor.create({ user_id: instructorUser.id, hourly_rate: 50, is_active: true });
+        await InstructorCalendarConfig.create({ instructor_id: instructor.id, calendar_id: CALENDAR_ID });
+
+        const otherUser = await User.create({
+            name: 'Unsynced Instructor',
+            email: 'other@test.com',
+            password: 'x',
+            role: 'instructor'
+        });
+        otherInstructor = await Instructor.create({ user_id: otherUser.id, hourly_rate: 50, is_active: true });
+
+        student = await User.create({
+            name: 'Sam Student',
+            email: 'sam@test.com',
+            password: 'x',
+            role: 'student'
+        });
+    });
+
+    after(async () => {
+        syncService.calendarService.getCalendarClient = originalGetCalendarClient;
+        await syncService.drain();
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await syncService.drain();
+        await Calendar.destroy({ where: {} });
+
+        google = createFakeCalendarApi();
+        // Only the first instructor has a calendar connected
+        syncService.calendarService.getCalendarClient = async (instructorId) => (
+            instructorId === instructor.id ? { calendarApi: google, calendarId: CALENDAR_ID } : null
+        );
+    });
+
+    const book = async (overrides = {}) => {
+        const event = await Calendar.create({
+            instructor_id: instructor.id,
+            student_id: student.id,
+            date: '2030-01-07',
+            start_slot: 40,
+            duration: 2,
+            status: 'booked',
+            ...overrides
+        });
+        await syncService.drain();
+        return event.reload();
+    };
+
+    describe('Pushing bookings', () => {
+        it('should add a booked lesson to the instructor\'s calendar', async () => {
+            const lesson = await book();
+
+            assert.ok(lesson.google_event_id);
+            assert.strictEqual(lesson.google_calendar_id, CALENDAR_ID);
+            assert.ok(lesson.google_synced_at);
+
+            const googleEvent = google.stored.get(lesson.google_event_id);
+            assert.strictEqual(googleEvent.summary, 'Lesson with Sam Student');
+            assert.strictEqual(googleEvent.start.dateTime, '2030-01-07T10:00:00.000Z');
+            assert.strictEqual(googleEvent.end.dateTime, '2030-01-07T10:30:00.000Z');
+            assert.strictEqual(googleEvent.extendedProperties.private.lessonBookingEventId, String(lesson.id));
+        });
+
+        it('should move the same event when the lesson is rescheduled', async () => {
+            const lesson = await book();
+            const googleEventId = lesson.google_event_id;
+
+            await lesson.update({ date: '2030-01-09', start_slot: 48, duration: 4 });
+            await syncService.drain();
+            await lesson.reload();
+
+            assert.strictEqual(lesson.google_event_id, googleEventId);
+            assert.strictEqual(google.stored.size, 1);
+            assert.strictEqual(google.stored.get(googleEventId).start.dateTime, '2030-01-09T12:00:00.000Z');
+            assert.strictEqual(google.stored.get(googleEventId).end.dateTime, '2030-01-09T13:00:00.000Z');
+        });
+
+        it('should remove the event when the lesson is cancelled', async () => {
+            const lesson = await book();
+
+            await lesson.update({ status: 'cancelled' });
+            await syncService.drain();
+            await lesson.reload();
+
+            assert.strictEqual(google.stored.size, 0);
+            assert.strictEqual(lesson.google_event_id, null);
+            assert.strictEqual(lesson.google_calendar_id, null);
+        });
+
+        it('should remove the event when the booking is deleted', async () => {
+            const lesson = await book();
+
+            await Calendar.deleteEvent(lesson.id);
+            await syncService.drain();
+
+            assert.strictEqual(google.stored.size, 0);
+        });
+
+        it('should only push once a booking transaction commits', async () => {
+            const transaction = await sequelize.transaction();
+            await Calendar.create({
+                instructor_id: instructor.id,
+                student_id: student.id,
+                date: '2030-01-07',
+                start_slot: 40,
+                duration: 2
+            }, { transaction });
+            await transaction.rollback();
+            await syncService.drain();
+
+            assert.deepStrictEqual(google.calls, []);
+        });
+
+        it('should not push for instructors without a connected calendar', async () => {
+            const lesson = await book({ instructor_id: otherInstructor.id });
+
+            assert.strictEqual(lesson.google_event_id, null);
+            assert.deepStrictEqual(google.calls, []);
+        });
+
+        it('should not push blocked time or group class seats', async () => {
+            const session = await GroupSession.create({
+                instructor_id: instructor.id,
+                title: 'Ensemble',
+                date: '2030-01-08',
+                start_slot: 40,
+                duration: 4,
+                capacity: 4
+            });
+
+            await book({ status: 'blocked', student_id: null });
+            await book({ date: '2030-01-08', group_session_id: session.id });
+
+            assert.deepStrictEqual(google.calls, []);
+        });
+
+        it('should keep the booking when Google fails', async () => {
+            google.failNext = Object.assign(new Error('Backend Error'), { code: 500 });
+
+            const lesson = await book();
+
+            assert.strictEqual(lesson.status, 'booked');
+            assert.strictEqual(lesson.google_event_id, null);
+        });
+    });
+
+    describe('Reconciliation', () => {
+        it('should push lessons whose push failed', async () => {
+            google.failNext = Object.assign(new Error('Backend Error'), { code: 500 });
+            const lesson = await book();
+
+            const result = await syncService.reconcile(NOW);
+            await lesson.reload();
+
+            assert.strictEqual(result.created, 1);
+            assert.ok(google.stored.has(lesson.google_event_id));
+        });
+
+        it('should restore lessons deleted or changed in Google', async () => {
+            const deleted = await book();
+            const changed = await book({ date: '2030-01-14' });
+            google.stored.delete(deleted.google_event_id);
+            google.stored.get(changed.google_event_id).start = { dateTime: '2030-01-14T08:00:00.000Z' };
+
+            const result = await syncService.reconcile(NOW);
+            await deleted.reload();
+
+            assert.deepStrictEqual(result, { created: 1, updated: 1, removed: 0 });
+            assert.ok(google.stored.has(deleted.google_event_id));
+            assert.strictEqual(google.stored.get(changed.google_event_id).start.dateTime, '2030-01-14T10:00:00.000Z');
+        });
+
+        it('should delete events whose booking is gone', async () => {
+            const kept = await book();
+            const removed = await book({ date: '2030-01-14' });
+            // Bulk deletes skip model hooks, so nothing removed the event at the time
+            await Calendar.destroy({ where: { id: removed.id } });
+            await syncService.drain();
+
+            const result = await syncService.reconcile(NOW);
+
+            assert.strictEqual(result.removed, 1);
+            assert.deepStrictEqual([...google.stored.keys()], [kept.google_event_id]);
+        });
+
+        it('should leave calendars that are in step alone', async () => {
+            await book();
+            google.calls.length = 0;
+
+            const result = await syncService.reconcile(NOW);
+
+            assert.deepStrictEqual(result, { created: 0, updated: 0, removed: 0 });
+            assert.deepStrictEqual(google.calls, ['list']);
+        });
+    });
+});
@@ -0,0 +1,375 @@
+/**
+ * Group Session Tests
+ *
+ * Tests for group classes: scheduling a class into an instructor's time, students
+ * enrolling and leaving with credits or in-person payment, per-student attendance,
+ * and one-on-one bookings treating a class as taken time
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { InstructorAvailability } = require('../models/InstructorAvailability');
+const { Calendar } = require('../models/Calendar');
+const { Attendance } = require('../models/Attendance');
+const { GroupSession } = require('../models/GroupSession');
+const { RecurringBooking } = require('../models/RecurringBooking');
+const { Transactions } = require('../models/Transactions');
+const { UserCredits, CreditUsage } = require('../models/Credits');
+const { ensureConstantsLoaded } = require('../utils/constants');
+const emailQueueService = require('../services/EmailQueueService');
+const groupSessionService = require('../services/GroupSessionService');
+const waitlistService = require('../services/WaitlistService');
+const groupSessionRoutes = require('../routes/groupSessions');
+const calendarRoutes = require('../routes/calendar');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath, index = null) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[index === null ? stack.length - 1 : index].handle;
+};
+
+// A Wednesday, 10:00 UTC for an hour
+const CLASS_DATE = '2030-01-09';
+const START_SLOT = 40;
+const DURATION = 4;
+
+describe('Group Sessions', () => {
+    const originalQueueBookingConfirmation = emailQueueService.queueBookingConfirmation;
+    const enroll = findHandler(groupSessionRoutes, 'POST', '/:id/enroll');
+    const addEvent = findHandler(calendarRoutes, 'POST', '/addEvent');
+    const getEvents = findHandler(calendarRoutes, 'GET', '/events/:instructorId/:startDate/:endDate');
+
+    let instructor;
+    let instructorUser;
+    let students;
+    let userCount = 0;
+
+    before(async () => {
+        await ensureConstantsLoaded();
+        await sequelize.sync({ force: true });
+
+        instructorUser = await User.create({
+            name: 'Group Instructor',
+            email: 'group-instructor@test.com',
+            password: 'x',
+            role: 'instructor'
+        });
+        instructor = await Instructor.create({
+            user_id: instructorUser.id,
+            hourly_rate: 50,
+            is_active: true
+        });
+
+        // 09:00-16:00 UTC on Wednesdays
+        await InstructorAvailability.create({
+            instructor_id: instructor.id,
+            day_of_week: 3,
+            start_slot: 36,
+            duration: 28,
+            instructor_timezone: 'UTC',
+            local_start_time: '09:00',
+            local_end_time: '16:00'
+        });
+
+        emailQueueService.queueBookingConfirmation = async () => 'job-id';
+    });
+
+    after(async () => {
+        emailQueueService.queueBookingConfirmation = originalQueueBookingConfirmation;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await Attendance.destroy({ where: {} });
+        await CreditUsage.destroy({ where: {} });
+        await Calendar.destroy({ where: {} });
+        await GroupSession.destroy({ where: {} });
+        await RecurringBooking.destroy({ where: {} });
+
+        students = [];
+        for (let i = 0; i < 3; i++) {
+            userCount++;
+            const student = await User.create({
+                name: `Group Student ${userCount}`,
+                email: `group-student${userCount}@test.com`,
+                password: 'x',
+                role: 'student',
+                email_verified_at: new Date()
+            });
+            await UserCredits.addCredits(student.id, 5, null, 60);
+            students.push(student);
+        }
+    });
+
+    const scheduleClass = (overrides = {}) => groupSessionService.createSession(instructor.id, {
+        title: 'Beginner Group',
+        date: CLASS_DATE,
+        startSlot: START_SLOT,
+        duration: DURATION,
+        capacity: 2,
+        ...overrides
+    });
+
+    const getCredits = async (student) => (await UserCredits.getUserCredits(student.id)).total_credits;
+
+    describe('Scheduling a class', () => {
+        it('should schedule a class within the instructor\'s availability', async () => {
+            const session = await scheduleClass({ title: '  Beginner Group  ' });
+
+            assert.strictEqual(session.title, 'Beginner Group');
+            assert.strictEqual(session.capacity, 2);
+            assert.strictEqual(session.status, 'scheduled');
+        });
+
+        it('should reject a capacity below two students', async () => {
+            await assert.rejects(scheduleClass({ capacity: 1 }), /Capacity must be a whole number/);
+        });
+
+        it('should reject a time outside the instructor\'s availability', async () => {
+            await assert.rejects(scheduleClass({ startSlot: 70 }), /outside instructor availability/);
+        });
+
+        it('should reject a time that overlaps a booking or another class', async () => {
+            await Calendar.create({
+                instructor_id: instructor.id,
+                student_id: students[0].id,
+                date: CLASS_DATE,
+                start_slot: START_SLOT + 2,
+                duration: 2,
+                status: 'booked'
+            });
+            await assert.rejects(scheduleClass(), /already booked/);
+
+            await scheduleClass({ startSlot: 48 });
+            await assert.rejects(scheduleClass({ startSlot: 50 }), /already has a group class/);
+        });
+    });
+
+    describe('Enrolling', () => {
+        it('should book each student their own seat, paid with their credits', async () => {
+            const session = await scheduleClass();
+
+            const seat = await groupSessionService.enroll(session, students[0].id, 'credits');
+
+            assert.strictEqual(seat.group_session_id, session.id);
+            assert.strictEqual(seat.student_id, students[0].id);
+            assert.strictEqual(seat.start_slot, START_SLOT);
+            assert.strictEqual(await getCredits(students[0]), 4);
+            assert.strictEqual(await GroupSession.countEnrolled(session.id), 1);
+        });
+
+        it('should record an outstanding transaction for an in-person seat', async () => {
+            const session = await scheduleClass();
+
+            await groupSessionService.enroll(session, students[1].id, 'in-person');
+
+            const transaction = await Transactions.findOne({ where: { user_id: students[1].id } });
+            assert.strictEqual(transaction.payment_method, 'in-person');
+            assert.strictEqual(transaction.status, 'outstanding');
+            assert.strictEqual(await getCredits(students[1]), 5);
+        });
+
+        it('should reject a second seat for the same student and a full class', async () => {
+            const session = await scheduleClass();
+            await groupSessionService.enroll(session, students[0].id);
+
+            await assert.rejects(groupSessionService.enroll(session, students[0].id), /already enrolled/);
+
+            await groupSessionService.enroll(session, students[1].id);
+            await assert.rejects(groupSessionService.enroll(session, students[2].id), /This class is full/);
+        });
+
+        it('should not overbook a class that filled up after the enrollment was checked', async () => {
+            const session = await scheduleClass();
+            await groupSessionService.enroll(session, students[0].id);
+            await groupSessionService.enroll(session, students[1].id);
+
+            // Booking the seat directly skips enroll's early capacity check
+            await assert.rejects(
+                Calendar.addEvent(instructor.id, students[2].id, CLASS_DATE, START_SLOT, DURATION, 'booked', 'credits', session.id),
+                /This class is full/
+            );
+
+            assert.strictEqual(await GroupSession.countEnrolled(session.id), 2);
+            assert.strictEqual(await getCredits(students[2]), 5);
+        });
+
+        it('should reject a seat in a class deleted or cancelled after it was loaded', async () => {
+            const deleted = await scheduleClass();
+            await GroupSession.destroy({ where: { id: deleted.id } });
+            await assert.rejects(groupSessionService.enroll(deleted, students[0].id), /Group class not found/);
+
+            const cancelled = await scheduleClass();
+            await GroupSession.update({ status: 'cancelled' }, { where: { id: cancelled.id } });
+            await assert.rejects(groupSessionService.enroll(cancelled, students[0].id), /This class has been cancelled/);
+
+            assert.strictEqual(await getCredits(students[0]), 5);
+        });
+
+        it('should return the credit and free the seat when a student leaves', async () => {
+            const session = await scheduleClass();
+            const seat = await groupSessionService.enroll(session, students[0].id);
+            await groupSessionService.enroll(session, students[1].id);
+
+            await groupSessionService.leave(seat);
+
+            assert.strictEqual((await Calendar.findByPk(seat.id)).status, 'cancelled');
+            assert.strictEqual(await getCredits(students[0]), 5);
+            await groupSessionService.enroll(session, students[2].id);
+            assert.strictEqual(await GroupSession.countEnrolled(session.id), 2);
+        });
+
+        it('should enroll the requesting student through the route', async () => {
+            const session = await scheduleClass();
+            const res = makeRes();
+
+            await enroll({
+                params: { id: String(session.id) },
+                body: { paymentMethod: 'credits', studentId: students[1].id },
+                user: { id: students[0].id, role: 'student' }
+            }, res);
+
+            // A student's studentId is ignored; they can only enroll themselves
+            assert.strictEqual(res.statusCode, 201);
+            assert.strictEqual(res._data.booking.student_id, students[0].id);
+        });
+    });
+
+    describe('Managing a class', () => {
+        it('should not lower the capacity below the students already enrolled', async () => {
+            const session = await scheduleClass({ capacity: 3 });
+            for (const student of students) {
+                await groupSessionService.enroll(session, student.id);
+            }
+
+            await assert.rejects(
+                groupSessionService.updateSession(session, { capacity: 2 }),
+                /Capacity cannot be lower than the 3 students already enrolled/
+            );
+
+            await groupSessionService.updateSession(session, { capacity: 4, title: 'Intermediate Group' });
+            assert.strictEqual((await GroupSession.findByPk(session.id)).capacity, 4);
+        });
+
+        it('should cancel every seat and return credits when the class is cancelled', async () => {
+            const session = await scheduleClass();
+            const seats = [
+                await groupSessionService.enroll(session, students[0].id),
+                await groupSessionService.enroll(session, students[1].id)
+            ];
+
+            const cancelled = await groupSessionService.cancelSession(session);
+
+            assert.strictEqual(cancelled, 2);
+            assert.strictEqual((await GroupSession.findByPk(session.id)).status, 'cancelled');
+            for (const seat of seats) {
+                assert.strictEqual((await Calendar.findByPk(seat.id)).status, 'cancelled');
+            }
+            assert.strictEqual(await getCredits(students[0]), 5);
+            assert.strictEqual(await waitlistService.isRangeFree(instructor.id, CLASS_DATE, START_SLOT, DURATION), true);
+        });
+
+        it('should keep attendance per student and list it on the roster', async () => {
+            const session = await scheduleClass();
+            const first = await groupSessionService.enroll(session, students[0].id);
+            const second = await groupSessionService.enroll(session, students[1].id);
+
+            await Attendance.markAttendance(first.id, 'present');
+            await Attendance.markAttendance(second.id, 'absent', 'Unwell');
+
+            const roster = await groupSessionService.getRoster(session);
+
+            assert.deepStrictEqual(roster.map(seat => seat.student.id), [students[0].id, students[1].id]);
+            assert.strictEqual(roster[0].attendance.status, 'present');
+            assert.strictEqual(roster[1].attendance.status, 'absent');
+            assert.strictEqual(roster[1].attendance.notes, 'Unwell');
+        });
+
+        it('should only let the class\'s own instructor manage it', async () => {
+            const session = await scheduleClass();
+            const otherUser = await User.create({
+                name: 'Other Instructor',
+                email: `other-instructor${userCount}@test.com`,
+                password: 'x',
+                role: 'instructor'
+            });
+            await Instructor.create({ user_id: otherUser.id, hourly_rate: 50, is_active: true });
+
+            // The class loader runs after the CASL check
+            const loadManagedSession = findHandler(groupSessionRoutes, 'GET', '/:id/roster', 1);
+            const forbidden = makeRes();
+            let nextCalled = false;
+            await loadManagedSession({ params: { id: String(session.id) }, user: { id: otherUser.id, role: 'instructor' } }, forbidden, () => { nextCalled = true; });
+            assert.strictEqual(forbidden.statusCode, 403);
+            assert.strictEqual(nextCalled, false);
+
+            const allowed = makeRes();
+            await loadManagedSession({ params: { id: String(session.id) }, user: { id: instructorUser.id, role: 'instructor' } }, allowed, () => { nextCalled = true; });
+            assert.strictEqual(nextCalled, true);
+        });
+    });
+
+    describe('Calendar and one-on-one bookings', () => {
+        it('should show a class once with its seats remaining', async () => {
+            const session = await scheduleClass({ capacity: 3 });
+            const seat = await groupSessionService.enroll(session, students[0].id);
+
+            const res = makeRes();
+            await getEvents({
+                params: { instructorId: String(instructor.id), startDate: CLASS_DATE, endDate: CLASS_DATE },
+                user: { id: students[0].id, role: 'student' }
+            }, res);
+
+            assert.strictEqual(res._data.length, 1);
+            const [event] = res._data;
+            assert.strictEqual(event.status, 'group_session');
+            assert.strictEqual(event.seats_remaining, 2);
+            assert.strictEqual(event.is_enrolled, true);
+            assert.strictEqual(event.enrollment_id, seat.id);
+            assert.strictEqual(event.students, undefined);
+        });
+
+        it('should treat a class with no students as taken time', async () => {
+            await scheduleClass();
+
+            assert.strictEqual(await waitlistService.isRangeFree(instructor.id, CLASS_DATE, START_SLOT, 2), false);
+            await assert.rejects(
+                RecurringBooking.checkCalendarConflicts(instructor.id, 3, START_SLOT, 2),
+                /conflicts with existing bookings on: 2030-01-09/
+            );
+
+            const res = makeRes();
+            await addEvent({
+                body: {
+                    instructorId: instructor.id,
+                    startTime: `${CLASS_DATE}T10:00:00.000Z`,
+                    endTime: `${CLASS_DATE}T10:30:00.000Z`
+                },
+                user: { id: students[0].id, role: 'student' }
+            }, res);
+
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(res._data.error, 'Time slot already has a group class');
+        });
+    });
+});
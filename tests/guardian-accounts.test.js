@@ -0,0 +1,373 @@
+/**
+ * Guardian Account Tests
+ *
+ * Tests for guardians managing their dependents' student profiles: dependents have
+ * no login of their own, their lessons are paid from the guardian's credits or a
+ * balance split off for them, their emails reach the guardian, and the guardian's
+ * CASL rules cover their bookings.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// The Stripe client needs keys at require time
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_mock_key_for_testing';
+process.env.STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_mock_key_for_testing';
+
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { Calendar } = require('../models/Calendar');
+const { GroupSession } = require('../models/GroupSession');
+const { UserCredits, CreditUsage } = require('../models/Credits');
+const { subject } = require('@casl/ability');
+const { defineAbilitiesFor, canBookingAction } = require('../utils/abilities');
+const { stripe } = require('../config/stripe');
+const emailQueueService = require('../services/EmailQueueService');
+const stripePaymentService = require('../services/StripePaymentService');
+const dependentRoutes = require('../routes/dependents');
+const groupSessionRoutes = require('../routes/groupSessions');
+const calendarRoutes = require('../routes/calendar');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[stack.length - 1].handle;
+};
+
+// A Wednesday, 10:00 UTC for an hour
+const LESSON_DATE = '2030-01-09';
+const START_SLOT = 40;
+const DURATION = 4;
+
+describe('Guardian Accounts', () => {
+    const originalQueueBookingConfirmation = emailQueueService.queueBookingConfirmation;
+    const originalQueueLowBalanceWarning = emailQueueService.queueLowBalanceWarning;
+    const originalQueueCreditsExhausted = emailQueueService.queueCreditsExhausted;
+    const originalRetrieveCustomer = stripe.customers.retrieve;
+    const listDependents = findHandler(dependentRoutes, 'GET', '/');
+    const addDependent = findHandler(dependentRoutes, 'POST', '/');
+    const updateDependent = findHandler(dependentRoutes, 'PATCH', '/:id');
+    const removeDependent = findHandler(dependentRoutes, 'DELETE', '/:id');
+    const transferCredits = findHandler(dependentRoutes, 'POST', '/:id/credits');
+    const enroll = findHandler(groupSessionRoutes, 'POST', '/:id/enroll');
+    const leave = findHandler(groupSessionRoutes, 'DELETE', '/:id/enrollments/:eventId');
+    const addEvent = findHandler(calendarRoutes, 'POST', '/addEvent');
+
+    let instructor;
+    let guardian;
+    let otherGuardian;
+    let userCount = 0;
+
+    // req.user as the auth middleware builds it
+    const asUser = async (user) => ({
+        ...user.get({ plain: true }),
+        dependent_ids: await User.getDependentIds(user.id)
+    });
+
+    const createStudent = async (name) => {
+        userCount++;
+        return User.create({
+            name,
+            email: `guardian${userCount}@test.com`,
+            password: 'x',
+            role: 'student',
+            is_approved: true,
+            email_verified_at: new Date()
+        });
+    };
+
+    const getCredits = async (userId) => (await UserCredits.getUserCreditsBreakdown(userId))[60].credits;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        const instructorUser = await User.create({
+            name: 'Family Instructor',
+            email: 'family-instructor@test.com',
+            password: 'x',
+            role: 'instructor'
+        });
+        instructor = await Instructor.create({
+            user_id: instructorUser.id,
+            hourly_rate: 50,
+            is_active: true
+        });
+
+        emailQueueService.queueBookingConfirmation = async () => 'job-id';
+        emailQueueService.queueLowBalanceWarning = async () => 'job-id';
+        emailQueueService.queueCreditsExhausted = async () => 'job-id';
+    });
+
+    after(async () => {
+        emailQueueService.queueBookingConfirmation = originalQueueBookingConfirmation;
+        emailQueueService.queueLowBalanceWarning = originalQueueLowBalanceWarning;
+        emailQueueService.queueCreditsExhausted = originalQueueCreditsExhausted;
+        stripe.customers.retrieve = originalRetrieveCustomer;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await CreditUsage.destroy({ where: {} });
+        await Calendar.destroy({ where: {} });
+        await GroupSession.destroy({ where: {} });
+        await UserCredits.destroy({ where: {} });
+        await User.update({ guardian_id: null }, { where: {} });
+        await User.destroy({ where: { email: null } });
+
+        guardian = await createStudent('Pat Parent');
+        otherGuardian = await createStudent('Other Parent');
+        await UserCredits.addCredits(guardian.id, 5, null, 60);
+    });
+
+    describe('Managing dependents', () => {
+        it('should add a dependent without an email or usable password', async () => {
+            const res = makeRes();
+            await addDependent({ user: await asUser(guardian), body: { name: '  Sam  ' } }, res);
+
+            assert.strictEqual(res.statusCode, 201);
+            const dependent = await User.findByPk(res._data.id);
+            assert.strictEqual(dependent.name, 'Sam');
+            assert.strictEqual(dependent.email, null);
+            assert.strictEqual(dependent.guardian_id, guardian.id);
+            assert.strictEqual(dependent.role, 'student');
+            assert.strictEqual(dependent.is_student_minor, true);
+            assert.strictEqual(dependent.shares_guardian_credits, true);
+            assert.ok(!dependent.password.startsWith('$2'));
+        });
+
+        it('should only let student accounts add dependents', async () => {
+            const sam = await User.createDependent(guardian.id, { name: 'Sam' });
+
+            await assert.rejects(
+                User.createDependent(sam.id, { name: 'Grandchild' }),
+                { message: 'Only student accounts can add dependents' }
+            );
+
+            const res = makeRes();
+            await addDependent({ user: await asUser(guardian), body: { name: ' ' } }, res);
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(res._data.error, 'Dependent name is required');
+        });
+
+        it('should list dependents with the credits of those on their own balance', async () => {
+            const sam = await User.createDependent(guardian.id, { name: 'Sam' });
+            const alex = await User.createDependent(guardian.id, { name: 'Alex', shares_guardian_credits: false });
+            await User.createDependent(otherGuardian.id, { name: 'Not Mine' });
+            await UserCredits.addCredits(alex.id, 2, null, 60);
+
+            const res = makeRes();
+            await listDependents({ user: await asUser(guardian) }, res);
+
+            assert.deepStrictEqual(res._data.dependents.map(d => d.name), ['Alex', 'Sam']);
+            assert.strictEqual(res._data.dependents[0].credits[60].credits, 2);
+            assert.strictEqual(res._data.dependents[1].id, sam.id);
+            assert.strictEqual(res._data.dependents[1].credits, null);
+            assert.strictEqual(res._data.dependents[1].password, undefined);
+        });
+
+        it('should not let a guardian change another guardian\'s dependent', async () => {
+            const notMine = await User.createDependent(otherGuardian.id, { name: 'Not Mine' });
+
+            const res = makeRes();
+            await updateDependent({
+                user: await asUser(guardian),
+                params: { id: String(notMine.id) },
+                body: { name: 'Taken' }
+            }, res);
+
+            assert.strictEqual(res.statusCode, 404);
+            assert.strictEqual((await User.findByPk(notMine.id)).name, 'Not Mine');
+        });
+
+        it('should refuse to remove a dependent with upcoming lessons, and return their credits otherwise', async () => {
+            const alex = await User.createDependent(guardian.id, { name: 'Alex', shares_guardian_credits: false });
+            await UserCredits.addCredits(alex.id, 2, null, 60);
+            const lesson = await Calendar.addEvent(instructor.id, alex.id, LESSON_DATE, START_SLOT, DURATION);
+
+            const req = { user: await asUser(guardian), params: { id: String(alex.id) } };
+            let res = makeRes();
+            await removeDependent(req, res);
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(res._data.error, 'Dependent has upcoming lessons');
+
+            await lesson.update({ status: 'cancelled' });
+            res = makeRes();
+            await removeDependent(req, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(await User.findByPk(alex.id), null);
+            assert.strictEqual(await getCredits(guardian.id), 6);
+        });
+
+        it('should remove dependents along with the guardian\'s account', async () => {
+            const sam = await User.createDependent(guardian.id, { name: 'Sam' });
+
+            await guardian.destroy();
+
+            assert.strictEqual(await User.findByPk(sam.id), null);
+        });
+    });
+
+    describe('Credits', () => {
+        it('should pay for a dependent\'s lessons from the guardian\'s credits', async () => {
+            const sam = await User.createDependent(guardian.id, { name: 'Sam' });
+
+            const lesson = await Calendar.addEvent(instructor.id, sam.id, LESSON_DATE, START_SLOT, DURATION);
+
+            assert.strictEqual(lesson.student_id, sam.id);
+            assert.strictEqual(await getCredits(guardian.id), 4);
+            const usage = await CreditUsage.findOne({ where: { calendar_event_id: lesson.id } });
+            assert.strictEqual(usage.user_id, guardian.id);
+        });
+
+        it('should split credits off to a dependent, who then books from their own balance', async () => {
+            const sam = await User.createDependent(guardian.id, { name: 'Sam' });
+
+            const res = makeRes();
+            await transferCredits({
+                user: await asUser(guardian),
+                params: { id: String(sam.id) },
+                body: { credits: 2, durationMinutes: 60 }
+            }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res._data.credits[60].credits, 2);
+            assert.strictEqual(res._data.dependent.shares_guardian_credits, false);
+            assert.strictEqual(await getCredits(guardian.id), 3);
+
+            await Calendar.addEvent(instructor.id, sam.id, LESSON_DATE, START_SLOT, DURATION);
+            assert.strictEqual(await getCredits(sam.id), 1);
+            assert.strictEqual(await getCredits(guardian.id), 3);
+        });
+
+        it('should take split credits back and reject transfers larger than the balance', async () => {
+            const sam = await User.createDependent(guardian.id, { name: 'Sam' });
+            await User.transferDependentCredits(guardian.id, sam.id, 2, 60);
+
+            let res = makeRes();
+            await transferCredits({
+                user: await asUser(guardian),
+                params: { id: String(sam.id) },
+                body: { credits: 3, durationMinutes: 60, direction: 'return' }
+            }, res);
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(res._data.error, 'Not enough credits of that lesson length to transfer');
+
+            res = makeRes();
+            await transferCredits({
+                user: await asUser(guardian),
+                params: { id: String(sam.id) },
+                body: { credits: 2, durationMinutes: 60, direction: 'return' }
+            }, res);
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(await getCredits(sam.id), 0);
+            assert.strictEqual(await getCredits(guardian.id), 5);
+        });
+
+        it('should return a cancelled seat\'s credit to the guardian who paid', async () => {
+            const sam = await User.createDependent(guardian.id, { name: 'Sam' });
+            const session = await GroupSession.create({
+                instructor_id: instructor.id,
+                title: 'Family Class',
+                date: LESSON_DATE,
+                start_slot: START_SLOT,
+                duration: DURATION,
+                capacity: 4
+            });
+
+            const enrollRes = makeRes();
+            await enroll({
+                user: await asUser(guardian),
+                params: { id: String(session.id) },
+                body: { studentId: sam.id }
+            }, enrollRes);
+            assert.strictEqual(enrollRes.statusCode, 201);
+            assert.strictEqual(enrollRes._data.booking.student_id, sam.id);
+            assert.strictEqual(await getCredits(guardian.id), 4);
+
+            const leaveRes = makeRes();
+            await leave({
+                user: await asUser(guardian),
+                params: { id: String(session.id), eventId: String(enrollRes._data.bookingId) }
+            }, leaveRes);
+            assert.strictEqual(leaveRes.statusCode, 200);
+            assert.strictEqual(await getCredits(guardian.id), 5);
+        });
+    });
+
+    describe('Acting for dependents', () => {
+        it('should let guardians read and cancel their dependents\' bookings only', async () => {
+            const sam = await User.createDependent(guardian.id, { name: 'Sam' });
+            const booking = { student_id: sam.id, status: 'booked', date: '2030-01-09', start_slot: START_SLOT };
+
+            const guardianAbility = defineAbilitiesFor(await asUser(guardian));
+            const otherAbility = defineAbilitiesFor(await asUser(otherGuardian));
+
+            assert.strictEqual(canBookingAction(await asUser(guardian), booking, 'cancel'), true);
+            assert.strictEqual(canBookingAction(await asUser(otherGuardian), booking, 'cancel'), false);
+            assert.strictEqual(guardianAbility.can('manage', subject('Dependent', { id: sam.id })), true);
+            assert.strictEqual(otherAbility.can('manage', subject('Dependent', { id: sam.id })), false);
+        });
+
+        it('should not let a student book for someone who isn\'t their dependent', async () => {
+            const notMine = await User.createDependent(otherGuardian.id, { name: 'Not Mine' });
+
+            const res = makeRes();
+            await addEvent({
+                user: await asUser(guardian),
+                body: {
+                    instructorId: instructor.id,
+                    startTime: '2030-01-09T10:00:00.000Z',
+                    endTime: '2030-01-09T11:00:00.000Z',
+                    studentId: notMine.id
+                }
+            }, res);
+
+            assert.strictEqual(res.statusCode, 403);
+            assert.strictEqual(await Calendar.count(), 0);
+        });
+
+        it('should send a dependent\'s emails to their guardian', async () => {
+            const sam = await User.createDependent(guardian.id, { name: 'Sam' });
+
+            assert.strictEqual(await User.getEmailRecipients(sam.id), guardian.email);
+            assert.strictEqual(await User.getEmailRecipients(guardian.id), guardian.email);
+        });
+
+        it('should include dependent ids in the signed-in user', async () => {
+            const sam = await User.createDependent(guardian.id, { name: 'Sam' });
+
+            const sessionUser = await User.getSessionObject(await User.findById(guardian.id));
+
+            assert.deepStrictEqual(sessionUser.dependent_ids, [sam.id]);
+        });
+
+        it('should bill dependents to their guardian\'s Stripe customer', async () => {
+            await guardian.update({ stripe_customer_id: 'cus_guardian' });
+            const sam = await User.createDependent(guardian.id, { name: 'Sam' });
+            stripe.customers.retrieve = async (id) => ({ id, deleted: false });
+
+            const customerId = await stripePaymentService.getOrCreateCustomer(await User.findByPk(sam.id));
+
+            assert.strictEqual(customerId, 'cus_guardian');
+            assert.strictEqual((await User.findByPk(sam.id)).stripe_customer_id, null);
+        });
+    });
+});
@@ -0,0 +1,290 @@
+/**
+ * In-Person Payment Tests
+ *
+ * Tests for collecting in-person lesson payments: each booking's transaction is
+ * linked to its lesson, so marking one lesson paid never touches another; lessons
+ * can be paid in parts; instructors and admins see what's outstanding with each
+ * student's balance and mark several lessons paid at once.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// The Stripe client needs keys at require time
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_mock_key_for_testing';
+process.env.STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_mock_key_for_testing';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_mock_for_testing';
+
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { InstructorRate } = require('../models/InstructorRate');
+const { Calendar } = require('../models/Calendar');
+const { Transactions } = require('../models/Transactions');
+const { InPersonPayment } = require('../models/InPersonPayment');
+const { Refund } = require('../models/Refund');
+const { can } = require('../utils/abilities');
+const emailQueueService = require('../services/EmailQueueService');
+const inPersonPaymentService = require('../services/InPersonPaymentService');
+const { enrichEventsWithPaymentInfo } = require('../utils/paymentEnrichment');
+const calendarRoutes = require('../routes/calendar');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath, index = null) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[index === null ? stack.length - 1 : index].handle;
+};
+
+describe('In-Person Payments', () => {
+    const originalQueueBookingConfirmation = emailQueueService.queueBookingConfirmation;
+    const updatePaymentStatus = findHandler(calendarRoutes, 'PUT', '/bookings/:id/payment-status');
+    const recordBookingPayment = findHandler(calendarRoutes, 'POST', '/bookings/:id/payments');
+    const getOutstandingPayments = findHandler(calendarRoutes, 'GET', '/outstanding-payments');
+    const markPaidRoute = findHandler(calendarRoutes, 'POST', '/outstanding-payments/mark-paid');
+
+    let admin;
+    let student;
+    let otherStudent;
+    let instructorUser;
+    let instructor;
+    let otherInstructor;
+    let nextSlot;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        admin = await User.create({ name: 'Payments Admin', email: 'payments-admin@test.com', password: 'x', role: 'admin' });
+        student = await User.create({ name: 'Cash Student', email: 'cash-student@test.com', password: 'x', role: 'student' });
+        otherStudent = await User.create({ name: 'Other Student', email: 'other-student@test.com', password: 'x', role: 'student' });
+        instructorUser = await User.create({ name: 'Cash Instructor', email: 'cash-instructor@test.com', password: 'x', role: 'instructor' });
+        const otherInstructorUser = await User.create({ name: 'Other Instructor', email: 'other-instructor@test.com', password: 'x', role: 'instructor' });
+        instructor = await Instructor.create({ user_id: instructorUser.id, hourly_rate: 60 });
+        otherInstructor = await Instructor.create({ user_id: otherInstructorUser.id, hourly_rate: 60 });
+
+        for (const { id } of [instructor, otherInstructor]) {
+            await InstructorRate.create({ instructor_id: id, duration_minutes: 60, online_price: 55, in_person_price: 50 });
+        }
+
+        emailQueueService.queueBookingConfirmation = async () => 'job-id';
+    });
+
+    after(async () => {
+        emailQueueService.queueBookingConfirmation = originalQueueBookingConfirmation;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        nextSlot = 36;
+        await InPersonPayment.destroy({ where: {} });
+        await Refund.destroy({ where: {} });
+        await Transactions.destroy({ where: {} });
+        await Calendar.destroy({ where: {} });
+    });
+
+    // A one-hour lesson booked to pay in person
+    const bookInPerson = async ({ studentUser = student, instructorRecord = instructor, date = '2026-11-02' } = {}) => {
+        const lesson = await Calendar.addEvent(instructorRecord.id, studentUser.id, date, nextSlot, 4, 'booked', 'in-person');
+        nextSlot += 4;
+        const transaction = await Transactions.findInPersonForBooking(lesson);
+        return { lesson, transaction };
+    };
+
+    const asInstructor = () => ({ id: instructorUser.id, role: 'instructor', instructor_id: instructor.id });
+    const asAdmin = () => ({ id: admin.id, role: 'admin' });
+
+    describe('Linking', () => {
+        it('links the in-person transaction to the booked lesson', async () => {
+            const { lesson, transaction } = await bookInPerson();
+
+            assert.strictEqual(transaction.calendar_event_id, lesson.id);
+            assert.strictEqual(transaction.status, 'outstanding');
+            assert.strictEqual(parseFloat(transaction.amount), 50);
+            assert.strictEqual(parseFloat(transaction.amount_paid), 0);
+        });
+
+        it('marks only the lesson it was asked to', async () => {
+            const first = await bookInPerson({ date: '2026-11-02' });
+            const second = await bookInPerson({ date: '2026-11-09' });
+            const res = makeRes();
+
+            await updatePaymentStatus({
+                params: { id: String(first.lesson.id) },
+                body: { status: 'completed' },
+                user: asInstructor()
+            }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res._data.transaction.id, first.transaction.id);
+            assert.strictEqual((await first.transaction.reload()).status, 'completed');
+            assert.strictEqual((await second.transaction.reload()).status, 'outstanding');
+        });
+
+        it('shows each booking its own payment', async () => {
+            const paid = await bookInPerson();
+            const unpaid = await bookInPerson();
+            await inPersonPaymentService.recordPayment(paid.transaction.id, { userId: admin.id });
+            const creditLesson = await Calendar.create({
+                instructor_id: instructor.id, student_id: student.id, date: '2026-11-03', start_slot: 40, duration: 4, status: 'booked'
+            });
+
+            const [paidEvent, unpaidEvent, creditEvent] = await enrichEventsWithPaymentInfo([paid.lesson, unpaid.lesson, creditLesson]);
+
+            assert.strictEqual(paidEvent.paymentStatus, 'completed');
+            assert.strictEqual(paidEvent.balanceDue, 0);
+            assert.strictEqual(unpaidEvent.paymentStatus, 'outstanding');
+            assert.strictEqual(unpaidEvent.balanceDue, 50);
+            assert.strictEqual(creditEvent.paymentMethod, undefined);
+        });
+    });
+
+    describe('Partial payments', () => {
+        it('completes the payment once the balance is paid', async () => {
+            const { lesson, transaction } = await bookInPerson();
+
+            const res = makeRes();
+            await recordBookingPayment({
+                params: { id: String(lesson.id) },
+                body: { amount: 20, notes: 'Cash' },
+                user: asInstructor()
+            }, res);
+
+            assert.strictEqual(res.statusCode, 201);
+            assert.strictEqual(res._data.transaction.status, 'outstanding');
+            assert.strictEqual(res._data.transaction.balance, 30);
+
+            const overpaid = makeRes();
+            await recordBookingPayment({ params: { id: String(lesson.id) }, body: { amount: 35 }, user: asInstructor() }, overpaid);
+            assert.strictEqual(overpaid.statusCode, 400);
+            assert.strictEqual(overpaid._data.error, 'Payment is more than the balance of $30.00');
+
+            const rest = makeRes();
+            await recordBookingPayment({ params: { id: String(lesson.id) }, body: {}, user: asInstructor() }, rest);
+            assert.strictEqual(rest._data.transaction.status, 'completed');
+            assert.strictEqual(rest._data.transaction.balance, 0);
+
+            const payments = await InPersonPayment.findAll({ where: { transaction_id: transaction.id }, order: [['id', 'ASC']] });
+            assert.deepStrictEqual(payments.map(payment => parseFloat(payment.amount)), [20, 30]);
+            assert.strictEqual(payments[0].notes, 'Cash');
+            assert.strictEqual(payments[0].recorded_by, instructorUser.id);
+        });
+
+        it('rejects payments of nothing and payments on paid lessons', async () => {
+            const { transaction } = await bookInPerson();
+
+            await assert.rejects(
+                inPersonPaymentService.recordPayment(transaction.id, { amount: 0, userId: admin.id }),
+                /Payment amount must be more than zero/
+            );
+            await inPersonPaymentService.recordPayment(transaction.id, { userId: admin.id });
+            await assert.rejects(
+                inPersonPaymentService.recordPayment(transaction.id, { amount: 5, userId: admin.id }),
+                /This lesson is already paid/
+            );
+        });
+
+        it('clears recorded payments when marked outstanding again', async () => {
+            const { lesson, transaction } = await bookInPerson();
+            await inPersonPaymentService.recordPayment(transaction.id, { amount: 20, userId: admin.id });
+
+            const res = makeRes();
+            await updatePaymentStatus({ params: { id: String(lesson.id) }, body: { status: 'outstanding' }, user: asAdmin() }, res);
+
+            assert.strictEqual(res._data.transaction.balance, 50);
+            assert.strictEqual(parseFloat((await transaction.reload()).amount_paid), 0);
+            assert.strictEqual(await InPersonPayment.count({ where: { transaction_id: transaction.id } }), 0);
+        });
+    });
+
+    describe('Outstanding payments', () => {
+        it('lists an instructor\'s unpaid lessons with each student\'s balance', async () => {
+            const partlyPaid = await bookInPerson({ date: '2026-11-02' });
+            await bookInPerson({ date: '2026-11-09' });
+            await bookInPerson({ studentUser: otherStudent, date: '2026-11-04' });
+            await bookInPerson({ instructorRecord: otherInstructor });
+            const paid = await bookInPerson();
+            const cancelled = await bookInPerson();
+            await inPersonPaymentService.recordPayment(partlyPaid.transaction.id, { amount: 15, userId: admin.id });
+            await inPersonPaymentService.recordPayment(paid.transaction.id, { userId: admin.id });
+            await cancelled.lesson.update({ status: 'cancelled' });
+
+            const res = makeRes();
+            await getOutstandingPayments({ query: {}, user: asInstructor() }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.deepStrictEqual(res._data.payments.map(payment => payment.booking.date), ['2026-11-02', '2026-11-04', '2026-11-09']);
+            assert.ok(res._data.payments.every(payment => payment.booking.instructor.id === instructor.id));
+            assert.deepStrictEqual(res._data.students.map(row => [row.name, row.lessons, row.amount_paid, row.balance]), [
+                ['Cash Student', 2, 15, 85],
+                ['Other Student', 1, 0, 50]
+            ]);
+            assert.deepStrictEqual(res._data.totals, { lessons: 3, balance: 135 });
+        });
+
+        it('filters to one student and shows admins every instructor\'s lessons', async () => {
+            await bookInPerson();
+            await bookInPerson({ instructorRecord: otherInstructor });
+            await bookInPerson({ studentUser: otherStudent });
+
+            const res = makeRes();
+            await getOutstandingPayments({ query: { studentId: String(student.id) }, user: asAdmin() }, res);
+
+            assert.strictEqual(res._data.payments.length, 2);
+            assert.ok(res._data.payments.every(payment => payment.payer.id === student.id));
+        });
+
+        it('marks several lessons paid at once', async () => {
+            const first = await bookInPerson();
+            const second = await bookInPerson();
+            await inPersonPaymentService.recordPayment(second.transaction.id, { amount: 10, userId: admin.id });
+
+            const res = makeRes();
+            await markPaidRoute({
+                body: { transactionIds: [first.transaction.id, second.transaction.id] },
+                user: asInstructor()
+            }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res._data.message, '2 payments marked as paid');
+            assert.strictEqual((await first.transaction.reload()).status, 'completed');
+            assert.strictEqual(parseFloat((await second.transaction.reload()).amount_paid), 50);
+        });
+
+        it('changes nothing when a lesson belongs to another instructor', async () => {
+            const own = await bookInPerson();
+            const theirs = await bookInPerson({ instructorRecord: otherInstructor });
+
+            const res = makeRes();
+            await markPaidRoute({
+                body: { transactionIds: [own.transaction.id, theirs.transaction.id] },
+                user: asInstructor()
+            }, res);
+
+            assert.strictEqual(res.statusCode, 404);
+            assert.strictEqual(res._data.error, 'Payment not found');
+            assert.strictEqual((await own.transaction.reload()).status, 'outstanding');
+            assert.strictEqual((await theirs.transaction.reload()).status, 'outstanding');
+        });
+
+        it('lets instructors and admins collect payments but not students', () => {
+            assert.strictEqual(can({ id: instructorUser.id, role: 'instructor', instructor_id: instructor.id }, 'collect', 'InPersonPayment'), true);
+            assert.strictEqual(can({ id: admin.id, role: 'admin' }, 'collect', 'InPersonPayment'), true);
+            assert.strictEqual(can({ id: student.id, role: 'student' }, 'collect', 'InPersonPayment'), false);
+        });
+    });
+});
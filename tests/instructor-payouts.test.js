@@ -0,0 +1,345 @@
+/**
+ * Instructor Payout Tests
+ *
+ * Tests for the instructor earnings ledger and payouts: attended lessons are
+ * earned at the instructor's rate less their commission, refunds and cancelled
+ * lessons drop out of unpaid earnings, admins pay earnings out by period (by hand
+ * or by Stripe Connect transfer) and instructors see their own statement.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// The Stripe client needs keys at require time
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_mock_key_for_testing';
+process.env.STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_mock_key_for_testing';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_mock_for_testing';
+
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { InstructorRate } = require('../models/InstructorRate');
+const { Calendar } = require('../models/Calendar');
+const { Attendance } = require('../models/Attendance');
+const { CreditUsage } = require('../models/Credits');
+const { Refund } = require('../models/Refund');
+const { InstructorEarning } = require('../models/InstructorEarning');
+const { InstructorPayout } = require('../models/InstructorPayout');
+const { stripe } = require('../config/stripe');
+const payoutService = require('../services/PayoutService');
+const calendarRoutes = require('../routes/calendar');
+const instructorRoutes = require('../routes/instructors');
+const adminRoutes = require('../routes/admin');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath, index = null) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[index === null ? stack.length - 1 : index].handle;
+};
+
+describe('Instructor Payouts', () => {
+    const originalCreateTransfer = stripe.transfers.create;
+    const markAttendance = findHandler(calendarRoutes, 'POST', '/attendance');
+    const authorizeOwnEarnings = findHandler(instructorRoutes, 'GET', '/me/earnings', 0);
+    const getOwnEarnings = findHandler(instructorRoutes, 'GET', '/me/earnings');
+    const updateInstructor = findHandler(instructorRoutes, 'PUT', '/:id');
+    const updatePayoutSettings = findHandler(adminRoutes, 'PUT', '/instructors/:id/payout-settings');
+    const transferPayoutRoute = findHandler(adminRoutes, 'POST', '/payouts/:id/transfer');
+
+    let admin;
+    let student;
+    let instructorUser;
+    let instructor;
+    let transfers;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        admin = await User.create({ name: 'Payout Admin', email: 'payout-admin@test.com', password: 'x', role: 'admin' });
+        student = await User.create({ name: 'Payout Student', email: 'payout-student@test.com', password: 'x', role: 'student' });
+        instructorUser = await User.create({ name: 'Payout Instructor', email: 'payout-instructor@test.com', password: 'x', role: 'instructor' });
+        instructor = await Instructor.create({ user_id: instructorUser.id, hourly_rate: 60, commission_percent: 20 });
+
+        await InstructorRate.create({
+            instructor_id: instructor.id,
+            duration_minutes: 60,
+            online_price: 80,
+            in_person_price: 90
+        });
+
+        stripe.transfers.create = async (params, options) => {
+            transfers.push({ params, options });
+            return { id: `tr_test_${transfers.length}` };
+        };
+    });
+
+    after(async () => {
+        stripe.transfers.create = originalCreateTransfer;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        transfers = [];
+        await InstructorEarning.destroy({ where: {} });
+        await InstructorPayout.destroy({ where: {} });
+        await Refund.destroy({ where: {} });
+        await Attendance.destroy({ where: {} });
+        await CreditUsage.destroy({ where: {} });
+        await Calendar.destroy({ where: {} });
+        await instructor.update({ commission_percent: 20, stripe_account_id: null });
+    });
+
+    // A past one-hour lesson, paid with credits unless in person
+    const createLesson = async (date, { inPerson = false, status = 'booked' } = {}) => {
+        const lesson = await Calendar.create({
+            instructor_id: instructor.id,
+            student_id: student.id,
+            date,
+            start_slot: 40,
+            duration: 4,
+            status
+        });
+        if (!inPerson) {
+            await CreditUsage.create({ user_id: student.id, calendar_event_id: lesson.id, duration_minutes: 60 });
+        }
+        return lesson;
+    };
+
+    const attend = async (lesson, status = 'present') => {
+        const res = makeRes();
+        await markAttendance({ body: { eventId: lesson.id, status }, user: { id: instructorUser.id, role: 'instructor' } }, res);
+        assert.strictEqual(res.statusCode, 200);
+    };
+
+    describe('Earnings ledger', () => {
+        it('should earn attended lessons at the instructor\'s rate less commission', async () => {
+            const creditLesson = await createLesson('2026-09-01');
+            const inPersonLesson = await createLesson('2026-09-02', { inPerson: true });
+
+            await attend(creditLesson);
+            await attend(inPersonLesson, 'tardy');
+
+            const credit = await InstructorEarning.findOne({ where: { calendar_event_id: creditLesson.id } });
+            assert.strictEqual(credit.payment_method, 'credits');
+            assert.strictEqual(parseFloat(credit.gross_amount), 80);
+            assert.strictEqual(parseFloat(credit.commission_amount), 16);
+            assert.strictEqual(parseFloat(credit.amount), 64);
+
+            const inPerson = await InstructorEarning.findOne({ where: { calendar_event_id: inPersonLesson.id } });
+            assert.strictEqual(inPerson.payment_method, 'in-person');
+            assert.strictEqual(parseFloat(inPerson.amount), 72);
+        });
+
+        it('should take a lesson off when the student is marked absent after all', async () => {
+            const lesson = await createLesson('2026-09-01');
+
+            await attend(lesson);
+            await attend(lesson, 'absent');
+
+            assert.strictEqual(await InstructorEarning.count(), 0);
+        });
+
+        it('should keep the commission a lesson was earned at', async () => {
+            const lesson = await createLesson('2026-09-01');
+            await attend(lesson);
+
+            await instructor.update({ commission_percent: 50 });
+            await InstructorEarning.recordForEvent(lesson.id);
+
+            const entry = await InstructorEarning.findOne({ where: { calendar_event_id: lesson.id } });
+            assert.strictEqual(parseFloat(entry.commission_percent), 20);
+            assert.strictEqual(parseFloat(entry.amount), 64);
+        });
+    });
+
+    describe('Statements', () => {
+        it('should total a period and drop refunded and cancelled lessons', async () => {
+            const kept = await createLesson('2026-09-01');
+            const refunded = await createLesson('2026-09-08');
+            const cancelled = await createLesson('2026-09-15');
+            const outside = await createLesson('2026-10-01');
+            for (const lesson of [kept, refunded, cancelled, outside]) {
+                await attend(lesson);
+            }
+
+            await Refund.create({ booking_id: refunded.id, amount: 80, type: 'credit', refunded_by: admin.id });
+            await cancelled.update({ status: 'cancelled' });
+
+            const statement = await payoutService.getStatement(instructor.id, '2026-09-01', '2026-09-30');
+
+            assert.deepStrictEqual(statement.entries.map(entry => entry.calendar_event_id), [kept.id]);
+            assert.deepStrictEqual(statement.totals, {
+                lessons: 1,
+                gross: 80,
+                commission: 16,
+                earnings: 64,
+                unpaid: 64,
+                paid: 0
+            });
+            assert.strictEqual(statement.instructor.commission_percent, 20);
+        });
+
+        it('should reject a period that ends before it starts', async () => {
+            await assert.rejects(
+                payoutService.getStatement(instructor.id, '2026-09-30', '2026-09-01'),
+                /Invalid period/
+            );
+        });
+
+        it('should let instructors read only their own statement', async () => {
+            const lesson = await createLesson('2026-09-01');
+            await attend(lesson);
+
+            let calledNext = false;
+            const forbidden = makeRes();
+            await authorizeOwnEarnings({ user: { id: student.id, role: 'student' } }, forbidden, () => { calledNext = true; });
+            assert.strictEqual(forbidden.statusCode, 403);
+            assert.strictEqual(calledNext, false);
+
+            const req = {
+                user: { id: instructorUser.id, role: 'instructor' },
+                query: { from: '2026-09-01', to: '2026-09-30' }
+            };
+            await authorizeOwnEarnings(req, makeRes(), () => { calledNext = true; });
+            assert.strictEqual(calledNext, true);
+
+            const res = makeRes();
+            await getOwnEarnings(req, res);
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res._data.instructor.id, instructor.id);
+            assert.strictEqual(res._data.totals.earnings, 64);
+        });
+    });
+
+    describe('Payouts', () => {
+        it('should pay out a period\'s unpaid earnings once', async () => {
+            await attend(await createLesson('2026-09-01'));
+            await attend(await createLesson('2026-09-08', { inPerson: true }));
+
+            const payout = await payoutService.createPayout(instructor.id, '2026-09-01', '2026-09-30');
+
+            assert.strictEqual(payout.status, 'pending');
+            assert.strictEqual(payout.lesson_count, 2);
+            assert.strictEqual(parseFloat(payout.gross_amount), 170);
+            assert.strictEqual(parseFloat(payout.amount), 136);
+            assert.strictEqual(await InstructorEarning.count({ where: { payout_id: payout.id } }), 2);
+
+            await assert.rejects(
+                payoutService.createPayout(instructor.id, '2026-09-01', '2026-09-30'),
+                /No unpaid earnings in this period/
+            );
+
+            const paid = await payoutService.markPaid(payout.id, admin.id, 'BACS 1234');
+            assert.strictEqual(paid.status, 'paid');
+            assert.strictEqual(paid.method, 'manual');
+            assert.strictEqual(paid.reference, 'BACS 1234');
+            assert.strictEqual(paid.paid_by, admin.id);
+
+            await assert.rejects(payoutService.markPaid(payout.id, admin.id), /Payout has already been paid/);
+
+            const statement = await payoutService.getStatement(instructor.id, '2026-09-01', '2026-09-30');
+            assert.strictEqual(statement.totals.paid, 136);
+            assert.strictEqual(statement.totals.unpaid, 0);
+            assert.strictEqual(statement.payouts.length, 1);
+        });
+
+        it('should not change lessons that have been paid out', async () => {
+            const lesson = await createLesson('2026-09-01');
+            await attend(lesson);
+            const payout = await payoutService.createPayout(instructor.id, '2026-09-01', '2026-09-30');
+
+            await attend(lesson, 'absent');
+
+            const entry = await InstructorEarning.findOne({ where: { calendar_event_id: lesson.id } });
+            assert.strictEqual(entry.payout_id, payout.id);
+        });
+
+        it('should release earnings when a pending payout is cancelled', async () => {
+            await attend(await createLesson('2026-09-01'));
+            const payout = await payoutService.createPayout(instructor.id, '2026-09-01', '2026-09-30');
+
+            await payoutService.cancelPayout(payout.id);
+
+            assert.strictEqual(await InstructorPayout.count(), 0);
+            assert.strictEqual(await InstructorEarning.count({ where: { payout_id: null } }), 1);
+        });
+
+        it('should transfer a payout to the instructor\'s connected Stripe account', async () => {
+            await attend(await createLesson('2026-09-01'));
+            const payout = await payoutService.createPayout(instructor.id, '2026-09-01', '2026-09-30');
+
+            const missingAccount = makeRes();
+            await transferPayoutRoute({ params: { id: String(payout.id) }, user: { id: admin.id, role: 'admin' } }, missingAccount);
+            assert.strictEqual(missingAccount.statusCode, 400);
+            assert.strictEqual(missingAccount._data.error, 'Instructor has no connected Stripe account');
+            assert.strictEqual(transfers.length, 0);
+
+            await payoutService.updatePayoutSettings(instructor.id, { stripe_account_id: 'acct_123' });
+            const res = makeRes();
+            await transferPayoutRoute({ params: { id: String(payout.id) }, user: { id: admin.id, role: 'admin' } }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res._data.status, 'paid');
+            assert.strictEqual(res._data.method, 'stripe');
+            assert.strictEqual(res._data.reference, 'tr_test_1');
+            assert.strictEqual(transfers[0].params.amount, 6400);
+            assert.strictEqual(transfers[0].params.destination, 'acct_123');
+            assert.strictEqual(transfers[0].options.idempotencyKey, `payout-${payout.id}`);
+        });
+    });
+
+    describe('Payout settings', () => {
+        it('should only let admins change commission', async () => {
+            const res = makeRes();
+            await updateInstructor({
+                params: { id: String(instructor.id) },
+                body: { bio: 'Teaches piano', commission_percent: 0 },
+                user: { id: instructorUser.id, role: 'instructor' }
+            }, res);
+
+            await instructor.reload();
+            assert.strictEqual(instructor.bio, 'Teaches piano');
+            assert.strictEqual(parseFloat(instructor.commission_percent), 20);
+
+            const adminRes = makeRes();
+            await updatePayoutSettings({
+                params: { id: String(instructor.id) },
+                body: { commission_percent: '35' },
+                user: { id: admin.id, role: 'admin' }
+            }, adminRes);
+            assert.strictEqual(adminRes.statusCode, 200);
+            assert.strictEqual(adminRes._data.commission_percent, 35);
+        });
+
+        it('should validate commission and Stripe account', async () => {
+            const res = makeRes();
+            await updatePayoutSettings({
+                params: { id: String(instructor.id) },
+                body: { commission_percent: 120 },
+                user: { id: admin.id, role: 'admin' }
+            }, res);
+            assert.strictEqual(res.statusCode, 400);
+
+            await assert.rejects(
+                payoutService.updatePayoutSettings(instructor.id, { stripe_account_id: 'not-an-account' }),
+                /Stripe account ID must start with acct_/
+            );
+        });
+    });
+});
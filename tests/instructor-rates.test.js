@@ -0,0 +1,236 @@
+/**
+ * Instructor Rate Card Tests
+ *
+ * Tests for each instructor's prices per lesson type: the fallback to the base
+ * rate, separate online and in-person prices, in-person transactions, the
+ * payment options endpoint and the rate card routes
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { InstructorRate } = require('../models/InstructorRate');
+const { AppSettings } = require('../models/AppSettings');
+const { Calendar } = require('../models/Calendar');
+const { Transactions } = require('../models/Transactions');
+const emailQueueService = require('../services/EmailQueueService');
+const instructorRoutes = require('../routes/instructors');
+const userRoutes = require('../routes/users');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath, index = null) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[index === null ? stack.length - 1 : index].handle;
+};
+
+describe('Instructor Rate Cards', () => {
+    const originalQueueBookingConfirmation = emailQueueService.queueBookingConfirmation;
+    const getPaymentOptions = findHandler(userRoutes, 'GET', '/me/payment-options');
+    const getRates = findHandler(instructorRoutes, 'GET', '/:id/rates');
+    const updateRates = findHandler(instructorRoutes, 'PUT', '/:id/rates');
+    const authorizeUpdateRates = findHandler(instructorRoutes, 'PUT', '/:id/rates', 0);
+
+    let instructor;
+    let instructorUser;
+    let otherInstructor;
+    let student;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        // An extra user first, so instructor IDs and user IDs differ
+        await User.create({ name: 'Offset', email: 'rates-offset@test.com', password: 'x', role: 'student' });
+
+        instructorUser = await User.create({
+            name: 'Rate Instructor',
+            email: 'rate-instructor@test.com',
+            password: 'x',
+            role: 'instructor'
+        });
+        instructor = await Instructor.create({ user_id: instructorUser.id, hourly_rate: 40, is_active: true });
+
+        const otherUser = await User.create({
+            name: 'Other Instructor',
+            email: 'rate-other@test.com',
+            password: 'x',
+            role: 'instructor'
+        });
+        otherInstructor = await Instructor.create({ user_id: otherUser.id, hourly_rate: null, is_active: true });
+
+        student = await User.create({
+            name: 'Rate Student',
+            email: 'rate-student@test.com',
+            password: 'x',
+            role: 'student',
+            in_person_payment_override: 'enabled'
+        });
+
+        emailQueueService.queueBookingConfirmation = async () => 'job-id';
+    });
+
+    after(async () => {
+        emailQueueService.queueBookingConfirmation = originalQueueBookingConfirmation;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await InstructorRate.destroy({ where: {} });
+        await Transactions.destroy({ where: {} });
+        await Calendar.destroy({ where: {} });
+        await AppSettings.destroy({ where: { category: 'lessons' } });
+    });
+
+    describe('rate card', () => {
+        it('prices every lesson type from the base rate by default', async () => {
+            const rateCard = await InstructorRate.getRateCard(instructor.id);
+
+            assert.strictEqual(rateCard.base_rate, 40);
+            assert.deepStrictEqual(rateCard.rates.map(rate => [rate.duration_minutes, rate.online_price, rate.in_person_price]), [
+                [30, 40, 40],
+                [60, 80, 80]
+            ]);
+            assert.strictEqual(rateCard.rates[0].custom_online_price, null);
+        });
+
+        it('uses a $50 base rate for instructors without one', async () => {
+            assert.strictEqual(await InstructorRate.getLessonPrice(otherInstructor.id, 60), 100);
+        });
+
+        it('charges separate online and in-person prices', async () => {
+            await InstructorRate.setRateCard(instructor.id, [
+                { duration_minutes: 30, online_price: 45, in_person_price: 42.5 },
+                { duration_minutes: 60, online_price: 85 }
+            ]);
+
+            assert.strictEqual(await InstructorRate.getLessonPrice(instructor.id, 30), 45);
+            assert.strictEqual(await InstructorRate.getLessonPrice(instructor.id, 30, 'in-person'), 42.5);
+            // Without an in-person price, lessons paid in person cost the online price
+            assert.strictEqual(await InstructorRate.getLessonPrice(instructor.id, 60, 'in-person'), 85);
+        });
+
+        it('follows the base rate again once prices are cleared', async () => {
+            await InstructorRate.setRateCard(instructor.id, [{ duration_minutes: 30, online_price: 45 }]);
+            await InstructorRate.setRateCard(instructor.id, [{ duration_minutes: 30, online_price: '', in_person_price: null }]);
+
+            assert.strictEqual(await InstructorRate.count({ where: { instructor_id: instructor.id } }), 0);
+            assert.strictEqual(await InstructorRate.getLessonPrice(instructor.id, 30), 40);
+        });
+
+        it('only accepts prices for lesson types', async () => {
+            await assert.rejects(
+                InstructorRate.setRateCard(instructor.id, [{ duration_minutes: 45, online_price: 60 }]),
+                /only be set for lesson types/
+            );
+            await assert.rejects(
+                InstructorRate.setRateCard(instructor.id, [{ duration_minutes: 30, online_price: -1 }]),
+                /Prices must be between/
+            );
+        });
+    });
+
+    describe('in-person lessons', () => {
+        it('records the in-person price for the booked instructor', async () => {
+            await InstructorRate.setRateCard(instructor.id, [
+                { duration_minutes: 60, online_price: 90, in_person_price: 75 }
+            ]);
+
+            await Calendar.addEvent(instructor.id, student.id, '2030-01-09', 40, 4, 'booked', 'in-person');
+
+            const transaction = await Transactions.findOne({ where: { user_id: student.id } });
+            assert.strictEqual(parseFloat(transaction.amount), 75);
+        });
+    });
+
+    describe('routes', () => {
+        it('lists lesson prices in the payment options for an instructor', async () => {
+            await InstructorRate.setRateCard(instructor.id, [
+                { duration_minutes: 30, online_price: 45, in_person_price: 42.5 }
+            ]);
+
+            const res = makeRes();
+            await getPaymentOptions({ user: { id: student.id }, query: { instructorId: String(instructor.id) } }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res._data.canUseInPersonPayment, true);
+            assert.deepStrictEqual(res._data.lessonPrices[0], {
+                duration_minutes: 30,
+                online_price: 45,
+                in_person_price: 42.5
+            });
+        });
+
+        it('leaves out in-person prices for students who must pay online', async () => {
+            const onlineStudent = await User.create({
+                name: 'Online Student',
+                email: `rate-online-${Date.now()}@test.com`,
+                password: 'x',
+                role: 'student',
+                in_person_payment_override: 'disabled'
+            });
+
+            const res = makeRes();
+            await getPaymentOptions({ user: { id: onlineStudent.id }, query: { instructorId: String(instructor.id) } }, res);
+
+            assert.strictEqual(res._data.lessonPrices[1].online_price, 80);
+            assert.strictEqual(res._data.lessonPrices[1].in_person_price, null);
+        });
+
+        it('returns the rate card and rejects invalid prices', async () => {
+            const rates = makeRes();
+            await getRates({ params: { id: String(instructor.id) } }, rates);
+            assert.strictEqual(rates._data.rates.length, 2);
+
+            const rejected = makeRes();
+            await updateRates({
+                params: { id: String(instructor.id) },
+                body: { rates: [{ duration_minutes: 30, online_price: 'abc' }] }
+            }, rejected);
+            assert.strictEqual(rejected.statusCode, 400);
+
+            const saved = makeRes();
+            await updateRates({
+                params: { id: String(instructor.id) },
+                body: { rates: [{ duration_minutes: 60, online_price: 70 }] }
+            }, saved);
+            assert.strictEqual(saved.statusCode, 200);
+            assert.strictEqual(saved._data.rates[1].online_price, 70);
+        });
+
+        it('lets instructors edit only their own rate card', async () => {
+            const forbidden = makeRes();
+            let calledNext = false;
+            await authorizeUpdateRates({
+                user: { id: instructorUser.id, role: 'instructor' },
+                params: { id: String(otherInstructor.id) }
+            }, forbidden, () => { calledNext = true; });
+
+            assert.strictEqual(forbidden.statusCode, 403);
+            assert.strictEqual(calledNext, false);
+
+            await authorizeUpdateRates({
+                user: { id: instructorUser.id, role: 'instructor' },
+                params: { id: String(instructor.id) }
+            }, makeRes(), () => { calledNext = true; });
+            assert.strictEqual(calledNext, true);
+        });
+    });
+});
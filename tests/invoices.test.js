@@ -0,0 +1,277 @@
+/**
+ * Invoice Tests
+ *
+ * Tests for sequentially numbered PDF invoices: completed transactions get a
+ * receipt and outstanding in-person lessons an invoice, students download their
+ * own from the payments API, instructors download them for in-person bookings,
+ * and purchase confirmation emails carry the receipt as an attachment.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// The Stripe client needs keys at require time
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_mock_key_for_testing';
+process.env.STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_mock_key_for_testing';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_mock_for_testing';
+
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { Calendar } = require('../models/Calendar');
+const { PaymentPlan } = require('../models/PaymentPlan');
+const { Transactions } = require('../models/Transactions');
+const { Invoice } = require('../models/Invoice');
+const { GiftVoucher } = require('../models/GiftVoucher');
+const invoiceService = require('../services/InvoiceService');
+const emailService = require('../services/EmailService');
+const nodemailerProvider = require('../services/email/nodemailerProvider');
+const paymentRoutes = require('../routes/payments');
+const calendarRoutes = require('../routes/calendar');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; },
+    set(headers) { Object.assign(this.headers, headers); return this; },
+    send(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath, index = null) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[index === null ? stack.length - 1 : index].handle;
+};
+
+describe('Invoices', () => {
+    const originalSend = nodemailerProvider.send;
+    const originalSendWithAttachment = nodemailerProvider.sendWithAttachment;
+    const authorizeDownload = findHandler(paymentRoutes, 'GET', '/transactions/:id/invoice', 0);
+    const downloadInvoice = findHandler(paymentRoutes, 'GET', '/transactions/:id/invoice');
+    const downloadBookingInvoice = findHandler(calendarRoutes, 'GET', '/bookings/:id/invoice');
+
+    let student;
+    let otherStudent;
+    let instructor;
+    let plan;
+    let sentEmails;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        student = await User.create({ name: 'Invoice Student', email: 'invoice-student@test.com', password: 'x', role: 'student' });
+        otherStudent = await User.create({ name: 'Other Student', email: 'invoice-other@test.com', password: 'x', role: 'student' });
+        const instructorUser = await User.create({ name: 'Invoice Instructor', email: 'invoice-instructor@test.com', password: 'x', role: 'instructor' });
+        instructor = await Instructor.create({ user_id: instructorUser.id, hourly_rate: 60 });
+
+        plan = await PaymentPlan.create({ name: '4 Lesson Pack', price: 200, credits: 4, type: 'one-time', lesson_duration_minutes: 30 });
+
+        nodemailerProvider.send = async (to, subject) => {
+            sentEmails.push({ to, subject, attachment: null });
+            return { success: true, provider: 'nodemailer' };
+        };
+        nodemailerProvider.sendWithAttachment = async (to, subject, html, attachment) => {
+            sentEmails.push({ to, subject, attachment });
+            return { success: true, provider: 'nodemailer' };
+        };
+    });
+
+    after(async () => {
+        nodemailerProvider.send = originalSend;
+        nodemailerProvider.sendWithAttachment = originalSendWithAttachment;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        sentEmails = [];
+        await Invoice.destroy({ where: {} });
+        await GiftVoucher.destroy({ where: {} });
+        await Calendar.destroy({ where: {} });
+        await Transactions.destroy({ where: {} });
+    });
+
+    const recordPurchase = (user = student, status = 'completed') => {
+        return Transactions.recordTransaction(user.id, 200, 'stripe', {
+            status,
+            paymentIntentId: 'pi_invoice',
+            planId: plan.id
+        });
+    };
+
+    const recordInPersonLesson = async (status = 'outstanding') => {
+        const booking = await Calendar.create({
+            instructor_id: instructor.id,
+            student_id: student.id,
+            date: '2026-11-02',
+            start_slot: 40,
+            duration: 2,
+            status: 'booked'
+        });
+        const transaction = await Transactions.recordTransaction(
+            student.id, 45, 'in-person', { status, calendarEventId: booking.id }
+        );
+        return { transaction, booking };
+    };
+
+    describe('Numbering', () => {
+        it('should number invoices sequentially and keep a transaction\'s number', async () => {
+            const first = await recordPurchase();
+            const second = await recordPurchase();
+
+            const firstInvoice = await Invoice.issueForTransaction(first);
+            const secondInvoice = await Invoice.issueForTransaction(second);
+            const again = await Invoice.issueForTransaction(first);
+
+            assert.strictEqual(secondInvoice.invoice_number, firstInvoice.invoice_number + 1);
+            assert.strictEqual(again.id, firstInvoice.id);
+            assert.strictEqual(await Invoice.count(), 2);
+            assert.strictEqual(Invoice.formatNumber(42), 'INV-000042');
+        });
+
+        it('should not invoice payments that have not gone through', async () => {
+            const pending = await recordPurchase(student, 'pending');
+            const failed = await recordPurchase(student, 'failed');
+
+            await assert.rejects(Invoice.issueForTransaction(pending), /Invoice not available/);
+            await assert.rejects(Invoice.issueForTransaction(failed), /Invoice not available/);
+            assert.strictEqual(await Invoice.count(), 0);
+        });
+    });
+
+    describe('PDF', () => {
+        it('should invoice an outstanding in-person lesson and give a receipt once it is paid', async () => {
+            const { transaction } = await recordInPersonLesson();
+
+            const due = await invoiceService.getInvoiceData(transaction.id);
+            assert.strictEqual(due.isReceipt, false);
+            assert.strictEqual(due.description, 'In-person lesson');
+
+            await transaction.update({ status: 'completed' });
+            const paid = await invoiceService.getInvoiceData(transaction.id);
+            assert.strictEqual(paid.isReceipt, true);
+            assert.strictEqual(paid.number, due.number);
+
+            const pdf = await invoiceService.renderInvoicePdf(paid);
+            assert.strictEqual(pdf.subarray(0, 4).toString(), '%PDF');
+        });
+
+        it('should describe gift purchases by the voucher they paid for', async () => {
+            const transaction = await recordPurchase();
+            await GiftVoucher.createPending(student.id, plan, {
+                recipient_name: 'Alex',
+                recipient_email: 'alex@test.com',
+                message: null
+            }, transaction.id);
+
+            const data = await invoiceService.getInvoiceData(transaction.id);
+            assert.strictEqual(data.description, 'Gift voucher: 4 Lesson Pack for Alex');
+            assert.strictEqual(data.billTo.email, student.email);
+        });
+    });
+
+    describe('Downloading', () => {
+        it('should let students download only their own invoices', async () => {
+            const transaction = await recordPurchase();
+
+            const forbidden = makeRes();
+            let calledNext = false;
+            await authorizeDownload({
+                user: { id: otherStudent.id, role: 'student' },
+                params: { id: String(transaction.id) }
+            }, forbidden, () => { calledNext = true; });
+            assert.strictEqual(forbidden.statusCode, 403);
+            assert.strictEqual(calledNext, false);
+
+            const req = {
+                user: { id: student.id, role: 'student' },
+                params: { id: String(transaction.id) }
+            };
+            await authorizeDownload(req, makeRes(), () => { calledNext = true; });
+            assert.strictEqual(calledNext, true);
+
+            const res = makeRes();
+            await downloadInvoice(req, res);
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res.headers['Content-Type'], 'application/pdf');
+            assert.match(res.headers['Content-Disposition'], /filename="INV-\d{6}\.pdf"/);
+            assert.strictEqual(res._data.subarray(0, 4).toString(), '%PDF');
+        });
+
+        it('should refuse an invoice for an unpaid card payment', async () => {
+            const transaction = await recordPurchase(student, 'pending');
+            const res = makeRes();
+
+            await downloadInvoice({ user: { id: student.id, role: 'student' }, resource: transaction }, res);
+
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(res._data.error, 'Invoice not available for this transaction');
+        });
+
+        it('should let instructors download the invoice for an in-person booking', async () => {
+            const { transaction, booking } = await recordInPersonLesson();
+            const res = makeRes();
+
+            await downloadBookingInvoice({ params: { id: String(booking.id) }, booking }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res.headers['Content-Type'], 'application/pdf');
+            assert.ok(await Invoice.findOne({ where: { transaction_id: transaction.id } }));
+        });
+
+        it('should 404 for a booking without an in-person payment', async () => {
+            const booking = await Calendar.create({
+                instructor_id: instructor.id,
+                student_id: otherStudent.id,
+                date: '2026-11-03',
+                start_slot: 40,
+                duration: 2,
+                status: 'booked'
+            });
+            const res = makeRes();
+
+            await downloadBookingInvoice({ params: { id: String(booking.id) }, booking }, res);
+
+            assert.strictEqual(res.statusCode, 404);
+        });
+    });
+
+    describe('Purchase confirmation', () => {
+        it('should attach the receipt to the purchase confirmation email', async () => {
+            const transaction = await recordPurchase();
+
+            const result = await emailService.sendPurchaseConfirmation(
+                student.id,
+                { name: plan.name, credits: plan.credits, type: plan.type },
+                { id: transaction.id, amount: transaction.amount, payment_method: 'stripe' }
+            );
+
+            assert.strictEqual(result.success, true);
+            assert.strictEqual(sentEmails.length, 1);
+            const invoice = await Invoice.findOne({ where: { transaction_id: transaction.id } });
+            assert.strictEqual(sentEmails[0].attachment.filename, `${Invoice.formatNumber(invoice.invoice_number)}.pdf`);
+            assert.strictEqual(sentEmails[0].attachment.contentType, 'application/pdf');
+        });
+
+        it('should still send the email when there is no transaction to invoice', async () => {
+            const result = await emailService.sendPurchaseConfirmation(
+                student.id,
+                { name: plan.name, credits: plan.credits, type: plan.type },
+                { amount: 200, payment_method: 'stripe' }
+            );
+
+            assert.strictEqual(result.success, true);
+            assert.strictEqual(sentEmails[0].attachment, null);
+        });
+    });
+});
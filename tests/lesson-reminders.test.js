@@ -0,0 +1,213 @@
+/**
+ * Lesson Reminder Tests
+ *
+ * Tests for the reminder windows, deduplication and the reminder_hours setting
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { Calendar } = require('../models/Calendar');
+const { AppSettings } = require('../models/AppSettings');
+const { LessonReminder } = require('../models/LessonReminder');
+const emailQueueService = require('../services/EmailQueueService');
+const { getDueWindow, sendDueReminders } = require('../services/LessonReminderService');
+const { formatDateUTC } = require('../utils/timeUtils');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Fixed reference time on a slot boundary: 2030-01-07 12:00 UTC
+const NOW = new Date(Date.UTC(2030, 0, 7, 12, 0, 0));
+
+describe('Lesson Reminders', () => {
+    const originalQueueLessonReminder = emailQueueService.queueLessonReminder;
+
+    let student;
+    let instructor;
+    let queuedReminders;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        student = await User.create({
+            name: 'Reminder Student',
+            email: 'student@test.com',
+            password: 'x',
+            role: 'student',
+            email_verified_at: new Date()
+        });
+        const instructorUser = await User.create({
+            name: 'Reminder Instructor',
+            email: 'instructor@test.com',
+            password: 'x',
+            role: 'instructor'
+        });
+        instructor = await Instructor.create({
+            user_id: instructorUser.id,
+            hourly_rate: 50,
+            is_active: true
+        });
+    });
+
+    after(async () => {
+        emailQueueService.queueLessonReminder = originalQueueLessonReminder;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await LessonReminder.destroy({ where: {} });
+        await Calendar.destroy({ where: {} });
+        await AppSettings.destroy({ where: {} });
+
+        queuedReminders = [];
+        emailQueueService.queueLessonReminder = async (bookingData, hoursBefore) => {
+            queuedReminders.push({ eventId: bookingData.id, email: bookingData.student.email, hoursBefore });
+            return 'job-id';
+        };
+    });
+
+    // Create a lesson starting the given number of hours after NOW
+    const bookLessonIn = (hours, overrides = {}) => {
+        const start = new Date(NOW.getTime() + hours * HOUR_MS);
+        return Calendar.create({
+            instructor_id: instructor.id,
+            student_id: student.id,
+            date: formatDateUTC(start),
+            start_slot: start.getUTCHours() * 4 + Math.floor(start.getUTCMinutes() / 15),
+            duration: 2,
+            status: 'booked',
+            ...overrides
+        });
+    };
+
+    describe('getDueWindow', () => {
+        it('should pick the tightest window containing the lesson', () => {
+            assert.strictEqual(getDueWindow(20 * HOUR_MS, [24, 2]), 24);
+            assert.strictEqual(getDueWindow(90 * 60 * 1000, [24, 2]), 2);
+            assert.strictEqual(getDueWindow(30 * HOUR_MS, [24, 2]), null);
+        });
+    });
+
+    describe('sendDueReminders', () => {
+        it('should queue a 24h reminder with the student and lesson details', async () => {
+            const lesson = await bookLessonIn(20);
+
+            const result = await sendDueReminders(NOW);
+
+            assert.strictEqual(result.queued, 1);
+            assert.deepStrictEqual(queuedReminders, [
+                { eventId: lesson.id, email: 'student@test.com', hoursBefore: 24 }
+            ]);
+        });
+
+        it('should not send the same reminder twice across runs', async () => {
+            await bookLessonIn(20);
+
+            await sendDueReminders(NOW);
+            const second = await sendDueReminders(new Date(NOW.getTime() + 15 * 60 * 1000));
+
+            assert.strictEqual(queuedReminders.length, 1);
+            assert.strictEqual(second.queued, 0);
+            assert.strictEqual(await LessonReminder.count(), 1);
+        });
+
+        it('should send the 2h reminder once the lesson enters that window', async () => {
+            await bookLessonIn(20);
+            await sendDueReminders(NOW);
+
+            await sendDueReminders(new Date(NOW.getTime() + 18.5 * HOUR_MS));
+
+            assert.deepStrictEqual(queuedReminders.map(r => r.hoursBefore), [24, 2]);
+        });
+
+        it('should send reminders again for a lesson moved to a new time', async () => {
+            const lesson = await bookLessonIn(20);
+            await sendDueReminders(NOW);
+
+            // Moved to the next day: the 24h reminder is due again for the new time
+            const moved = new Date(NOW.getTime() + 44 * HOUR_MS);
+            await Calendar.updateEvent(lesson.id, { date: formatDateUTC(moved), start_slot: moved.getUTCHours() * 4 });
+            assert.strictEqual(await LessonReminder.count(), 0);
+
+            const result = await sendDueReminders(new Date(NOW.getTime() + 24 * HOUR_MS));
+
+            assert.strictEqual(result.queued, 1);
+            assert.deepStrictEqual(queuedReminders.map(reminder => reminder.hoursBefore), [24, 24]);
+        });
+
+        it('should keep sent reminders when other lesson details change', async () => {
+            const lesson = await bookLessonIn(20);
+            await sendDueReminders(NOW);
+
+            await lesson.update({ duration: 4 });
+
+            assert.strictEqual(await LessonReminder.count(), 1);
+        });
+
+        it('should only send the tightest reminder for a lesson booked at short notice', async () => {
+            await bookLessonIn(1);
+
+            await sendDueReminders(NOW);
+            await sendDueReminders(new Date(NOW.getTime() + 15 * 60 * 1000));
+
+            assert.deepStrictEqual(queuedReminders.map(r => r.hoursBefore), [2]);
+        });
+
+        it('should ignore cancelled, past and far-off lessons', async () => {
+            await bookLessonIn(3, { status: 'cancelled' });
+            await bookLessonIn(-1);
+            await bookLessonIn(30);
+
+            const result = await sendDueReminders(NOW);
+
+            assert.strictEqual(result.queued, 0);
+            assert.strictEqual(queuedReminders.length, 0);
+        });
+
+        it('should release the claim when queuing fails so the next run retries', async () => {
+            await bookLessonIn(20);
+            emailQueueService.queueLessonReminder = async () => {
+                throw new Error('Queue is full');
+            };
+
+            await sendDueReminders(NOW);
+            assert.strictEqual(await LessonReminder.count(), 0);
+        });
+
+        it('should use the configured windows and send nothing when reminders are off', async () => {
+            await bookLessonIn(5);
+
+            await AppSettings.setSetting('lessons', 'reminder_hours', '6', null);
+            await sendDueReminders(NOW);
+            assert.deepStrictEqual(queuedReminders.map(r => r.hoursBefore), [6]);
+
+            await LessonReminder.destroy({ where: {} });
+            await AppSettings.setSetting('lessons', 'reminder_hours', '', null);
+            await sendDueReminders(NOW);
+            assert.strictEqual(queuedReminders.length, 1);
+        });
+    });
+
+    describe('reminder_hours setting', () => {
+        it('should normalize a valid list', () => {
+            assert.strictEqual(AppSettings.validateLessonSetting('reminder_hours', ' 2, 24 ,24'), '24,2');
+            assert.strictEqual(AppSettings.validateLessonSetting('reminder_hours', ''), '');
+        });
+
+        it('should reject invalid values', () => {
+            assert.throws(() => AppSettings.validateLessonSetting('reminder_hours', '0'));
+            assert.throws(() => AppSettings.validateLessonSetting('reminder_hours', '1.5'));
+            assert.throws(() => AppSettings.validateLessonSetting('reminder_hours', '200'));
+            assert.throws(() => AppSettings.validateLessonSetting('reminder_hours', '48,24,12,2'));
+        });
+
+        it('should default to 24h and 2h when not configured', async () => {
+            assert.deepStrictEqual(await AppSettings.getLessonReminderHours(), [24, 2]);
+        });
+    });
+});
@@ -0,0 +1,283 @@
+/**
+ * Lesson Type Tests
+ *
+ * Tests for the admin-managed lesson types in the 'lessons' settings: validation,
+ * pricing from the instructor's rate, credits for each lesson length, and booking
+ * and packages only accepting configured lengths
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// The admin routes load the Stripe client, which needs keys at require time
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_mock_key_for_testing';
+process.env.STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_mock_key_for_testing';
+
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { InstructorAvailability } = require('../models/InstructorAvailability');
+const { Calendar } = require('../models/Calendar');
+const { AppSettings } = require('../models/AppSettings');
+const { Transactions } = require('../models/Transactions');
+const { UserCredits, CreditUsage } = require('../models/Credits');
+const { ensureConstantsLoaded } = require('../utils/constants');
+const emailQueueService = require('../services/EmailQueueService');
+const calendarRoutes = require('../routes/calendar');
+const adminRoutes = require('../routes/admin');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[stack.length - 1].handle;
+};
+
+const LESSON_TYPES = [
+    { duration_minutes: 45, price_multiplier: 1.5 },
+    { duration_minutes: 30, price_multiplier: 1 },
+    { duration_minutes: 90, price_multiplier: 2.75 }
+];
+
+describe('Lesson Types', () => {
+    const originalQueueBookingConfirmation = emailQueueService.queueBookingConfirmation;
+    const addEvent = findHandler(calendarRoutes, 'POST', '/addEvent');
+    const updateSettings = findHandler(adminRoutes, 'PUT', '/settings/:category');
+    const createPackage = findHandler(adminRoutes, 'POST', '/packages');
+
+    let admin;
+    let instructor;
+    let student;
+
+    before(async () => {
+        await ensureConstantsLoaded();
+        await sequelize.sync({ force: true });
+
+        admin = await User.create({
+            name: 'Lesson Admin',
+            email: 'lesson-admin@test.com',
+            password: 'x',
+            role: 'admin'
+        });
+        const instructorUser = await User.create({
+            name: 'Lesson Instructor',
+            email: 'lesson-instructor@test.com',
+            password: 'x',
+            role: 'instructor'
+        });
+        instructor = await Instructor.create({
+            user_id: instructorUser.id,
+            hourly_rate: 50,
+            is_active: true
+        });
+        student = await User.create({
+            name: 'Lesson Student',
+            email: 'lesson-student@test.com',
+            password: 'x',
+            role: 'student',
+            email_verified_at: new Date()
+        });
+
+        // 09:00-16:00 UTC on Wednesdays
+        await InstructorAvailability.create({
+            instructor_id: instructor.id,
+            day_of_week: 3,
+            start_slot: 36,
+            duration: 28,
+            instructor_timezone: 'UTC',
+            local_start_time: '09:00',
+            local_end_time: '16:00'
+        });
+
+        emailQueueService.queueBookingConfirmation = async () => 'job-id';
+    });
+
+    after(async () => {
+        emailQueueService.queueBookingConfirmation = originalQueueBookingConfirmation;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await AppSettings.destroy({ where: { category: 'lessons' } });
+        await CreditUsage.destroy({ where: {} });
+        await Calendar.destroy({ where: {} });
+        await Transactions.destroy({ where: {} });
+        await UserCredits.destroy({ where: {} });
+    });
+
+    const saveLessonTypes = (types) => {
+        return AppSettings.setSetting('lessons', 'lesson_types', JSON.stringify(types), admin.id);
+    };
+
+    const bookingRequest = (durationMinutes, paymentMethod = 'credits') => ({
+        user: { id: student.id, role: 'student' },
+        body: {
+            instructorId: instructor.id,
+            startTime: '2030-01-09T10:00:00.000Z',
+            endTime: new Date(Date.UTC(2030, 0, 9, 10, durationMinutes)).toISOString(),
+            paymentMethod
+        }
+    });
+
+    describe('settings', () => {
+        it('defaults to 30- and 60-minute lessons', async () => {
+            const types = await AppSettings.getLessonTypes();
+            assert.deepStrictEqual(types, [
+                { duration_minutes: 30, price_multiplier: 1 },
+                { duration_minutes: 60, price_multiplier: 2 }
+            ]);
+        });
+
+        it('validates and sorts lesson types by duration', () => {
+            const stored = AppSettings.validateLessonSetting('lesson_types', LESSON_TYPES);
+            assert.deepStrictEqual(JSON.parse(stored).map(type => type.duration_minutes), [30, 45, 90]);
+
+            assert.throws(() => AppSettings.validateLessonSetting('lesson_types', []), /At least one lesson type/);
+            assert.throws(
+                () => AppSettings.validateLessonSetting('lesson_types', [{ duration_minutes: 50, price_multiplier: 1 }]),
+                /multiples of 15 minutes/
+            );
+            assert.throws(
+                () => AppSettings.validateLessonSetting('lesson_types', [{ duration_minutes: 30, price_multiplier: 0 }]),
+                /Price multipliers/
+            );
+            assert.throws(
+                () => AppSettings.validateLessonSetting('lesson_types', [
+                    { duration_minutes: 30, price_multiplier: 1 },
+                    { duration_minutes: 30, price_multiplier: 2 }
+                ]),
+                /only be listed once/
+            );
+        });
+
+        it('requires the default duration to be one of the lesson types', async () => {
+            const res = makeRes();
+            await updateSettings({
+                user: admin,
+                params: { category: 'lessons' },
+                body: { lesson_types: [{ duration_minutes: 45, price_multiplier: 1.5 }] }
+            }, res);
+
+            assert.strictEqual(res.statusCode, 400);
+            assert.ok(res._data.details.default_duration_minutes);
+
+            const saved = makeRes();
+            await updateSettings({
+                user: admin,
+                params: { category: 'lessons' },
+                body: { lesson_types: [{ duration_minutes: 45, price_multiplier: 1.5 }], default_duration_minutes: 45 }
+            }, saved);
+
+            assert.strictEqual(saved.statusCode, 200);
+            assert.deepStrictEqual(await AppSettings.getLessonTypes(), [{ duration_minutes: 45, price_multiplier: 1.5 }]);
+            assert.strictEqual(await AppSettings.getDefaultLessonDuration(), 45);
+        });
+    });
+
+    describe('pricing', () => {
+        it('prices a lesson as the rate times its multiplier', async () => {
+            await saveLessonTypes(LESSON_TYPES);
+
+            assert.strictEqual(await AppSettings.getLessonPrice(50, 45), 75);
+            assert.strictEqual(await AppSettings.getLessonPrice(50, 90), 137.5);
+        });
+
+        it('prices unlisted lengths in proportion to a 30-minute lesson', async () => {
+            await saveLessonTypes(LESSON_TYPES);
+
+            assert.strictEqual(await AppSettings.getLessonPrice(50, 120), 200);
+        });
+
+        it('records an in-person lesson at its lesson type price', async () => {
+            await saveLessonTypes(LESSON_TYPES);
+
+            await Calendar.addEvent(instructor.id, student.id, '2030-01-09', 40, 3, 'booked', 'in-person');
+
+            const transaction = await Transactions.findOne({ where: { user_id: student.id } });
+            assert.strictEqual(parseFloat(transaction.amount), 75);
+            assert.strictEqual(transaction.status, 'outstanding');
+        });
+    });
+
+    describe('credits', () => {
+        it('uses a credit of the same lesson length', async () => {
+            await saveLessonTypes(LESSON_TYPES);
+            await UserCredits.addCredits(student.id, 2, null, 45);
+
+            assert.strictEqual(await UserCredits.hasSufficientCredits(student.id, 45), true);
+            assert.strictEqual(await UserCredits.hasSufficientCredits(student.id, 30), false);
+
+            const event = await Calendar.addEvent(instructor.id, student.id, '2030-01-09', 40, 3);
+            const usage = await CreditUsage.findOne({ where: { calendar_event_id: event.id } });
+            assert.strictEqual(usage.duration_minutes, 45);
+        });
+
+        it('lists a balance for every lesson type, keeping credits for removed types', async () => {
+            await UserCredits.addCredits(student.id, 3, null, 60);
+            await saveLessonTypes(LESSON_TYPES);
+
+            const breakdown = await UserCredits.getUserCreditsBreakdown(student.id);
+
+            assert.deepStrictEqual(Object.keys(breakdown).map(Number).sort((a, b) => a - b), [30, 45, 60, 90]);
+            assert.strictEqual(breakdown[45].credits, 0);
+            assert.strictEqual(breakdown[60].credits, 3);
+        });
+    });
+
+    describe('booking', () => {
+        it('books a configured lesson length', async () => {
+            await saveLessonTypes(LESSON_TYPES);
+            await UserCredits.addCredits(student.id, 1, null, 45);
+
+            const res = makeRes();
+            await addEvent(bookingRequest(45), res);
+
+            assert.strictEqual(res.statusCode, 201, JSON.stringify(res._data));
+        });
+
+        it('rejects a lesson length that is not a lesson type', async () => {
+            await saveLessonTypes(LESSON_TYPES);
+            await UserCredits.addCredits(student.id, 1, null, 60);
+
+            const res = makeRes();
+            await addEvent(bookingRequest(60), res);
+
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(res._data.error, 'Lessons can be 30, 45, 90 minutes long');
+        });
+
+        it('only sells packages for configured lesson lengths', async () => {
+            await saveLessonTypes(LESSON_TYPES);
+
+            const rejected = makeRes();
+            await createPackage({
+                user: admin,
+                body: { name: '60s', price: 100, credits: 2, type: 'one-time', lesson_duration_minutes: 60 }
+            }, rejected);
+            assert.strictEqual(rejected.statusCode, 400);
+
+            const created = makeRes();
+            await createPackage({
+                user: admin,
+                body: { name: '90s', price: 250, credits: 2, type: 'one-time', lesson_duration_minutes: 90 }
+            }, created);
+            assert.strictEqual(created.statusCode, 201);
+            assert.strictEqual(created._data.lesson_duration_minutes, 90);
+        });
+    });
+});
@@ -0,0 +1,225 @@
+/**
+ * Password Reset Tests
+ *
+ * Tests for the forgot/reset password endpoints, token lifecycle and JWT revocation
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcrypt');
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { PasswordResetToken } = require('../models/PasswordResetToken');
+const emailQueueService = require('../services/EmailQueueService');
+const { authMiddleware } = require('../middleware/auth');
+const { signAuthToken } = require('../utils/authTokens');
+const authRoutes = require('../routes/auth');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[stack.length - 1].handle;
+};
+
+describe('Password Reset', () => {
+    const forgotPassword = findHandler(authRoutes, 'POST', '/forgot-password');
+    const resetPassword = findHandler(authRoutes, 'POST', '/reset-password');
+    const originalQueuePasswordReset = emailQueueService.queuePasswordReset;
+
+    let testUser;
+    let queuedEmails;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+    });
+
+    after(async () => {
+        emailQueueService.queuePasswordReset = originalQueuePasswordReset;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await PasswordResetToken.destroy({ where: {} });
+        await User.destroy({ where: {} });
+
+        testUser = await User.create({
+            name: 'Reset Student',
+            email: 'reset@test.com',
+            password: await bcrypt.hash('oldpassword', 10),
+            role: 'student'
+        });
+
+        // Capture queued emails instead of sending them
+        queuedEmails = [];
+        emailQueueService.queuePasswordReset = async (userId, token, expiresAt) => {
+            queuedEmails.push({ userId, token, expiresAt });
+            return 'job-id';
+        };
+    });
+
+    const requestToken = async () => {
+        await forgotPassword({ body: { email: testUser.email } }, makeRes());
+        return queuedEmails[queuedEmails.length - 1].token;
+    };
+
+    describe('POST /forgot-password', () => {
+        it('should queue a reset email for a known address', async () => {
+            const res = makeRes();
+            await forgotPassword({ body: { email: testUser.email } }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(queuedEmails.length, 1);
+            assert.strictEqual(queuedEmails[0].userId, testUser.id);
+            assert.ok(queuedEmails[0].expiresAt > new Date());
+        });
+
+        it('should give the same response for an unknown address without queuing', async () => {
+            const known = makeRes();
+            await forgotPassword({ body: { email: testUser.email } }, known);
+
+            const unknown = makeRes();
+            await forgotPassword({ body: { email: 'nobody@test.com' } }, unknown);
+
+            assert.strictEqual(unknown.statusCode, 200);
+            assert.deepStrictEqual(unknown._data, known._data);
+            assert.strictEqual(queuedEmails.length, 1);
+        });
+
+        it('should require an email', async () => {
+            const res = makeRes();
+            await forgotPassword({ body: {} }, res);
+
+            assert.strictEqual(res.statusCode, 400);
+        });
+
+        it('should reject an email that is not a string', async () => {
+            for (const email of [123, {}, ['a@test.com']]) {
+                const res = makeRes();
+                await forgotPassword({ body: { email } }, res);
+
+                assert.strictEqual(res.statusCode, 400);
+            }
+            assert.strictEqual(queuedEmails.length, 0);
+        });
+
+        it('should store only a hash of the token', async () => {
+            const token = await requestToken();
+            const records = await PasswordResetToken.findAll({ where: { user_id: testUser.id } });
+
+            assert.strictEqual(records.length, 1);
+            assert.notStrictEqual(records[0].token_hash, token);
+        });
+
+        it('should supersede earlier unused tokens', async () => {
+            const firstToken = await requestToken();
+            await requestToken();
+
+            const res = makeRes();
+            await resetPassword({ body: { token: firstToken, password: 'newpassword1' } }, res);
+
+            assert.strictEqual(res.statusCode, 400);
+        });
+    });
+
+    describe('POST /reset-password', () => {
+        it('should set a new bcrypt password', async () => {
+            const token = await requestToken();
+
+            const res = makeRes();
+            await resetPassword({ body: { token, password: 'newpassword1' } }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            const updated = await User.findByPk(testUser.id);
+            assert.ok(await bcrypt.compare('newpassword1', updated.password));
+            assert.ok(!(await bcrypt.compare('oldpassword', updated.password)));
+        });
+
+        it('should only allow a token to be used once', async () => {
+            const token = await requestToken();
+
+            await resetPassword({ body: { token, password: 'newpassword1' } }, makeRes());
+
+            const res = makeRes();
+            await resetPassword({ body: { token, password: 'newpassword2' } }, res);
+
+            assert.strictEqual(res.statusCode, 400);
+            const updated = await User.findByPk(testUser.id);
+            assert.ok(await bcrypt.compare('newpassword1', updated.password));
+        });
+
+        it('should reject an expired token', async () => {
+            const token = await requestToken();
+            await PasswordResetToken.update(
+                { expires_at: new Date(Date.now() - 1000) },
+                { where: { user_id: testUser.id } }
+            );
+
+            const res = makeRes();
+            await resetPassword({ body: { token, password: 'newpassword1' } }, res);
+
+            assert.strictEqual(res.statusCode, 400);
+        });
+
+        it('should reject an unknown token', async () => {
+            const res = makeRes();
+            await resetPassword({ body: { token: 'not-a-real-token', password: 'newpassword1' } }, res);
+
+            assert.strictEqual(res.statusCode, 400);
+        });
+
+        it('should reject a short password without consuming the token', async () => {
+            const token = await requestToken();
+
+            const res = makeRes();
+            await resetPassword({ body: { token, password: 'short' } }, res);
+            assert.strictEqual(res.statusCode, 400);
+
+            const retry = makeRes();
+            await resetPassword({ body: { token, password: 'longenough1' } }, retry);
+            assert.strictEqual(retry.statusCode, 200);
+        });
+
+        it('should invalidate JWTs issued before the reset', async () => {
+            const oldJwt = signAuthToken(testUser);
+            const token = await requestToken();
+
+            await resetPassword({ body: { token, password: 'newpassword1' } }, makeRes());
+
+            const res = makeRes();
+            let nextCalled = false;
+            await authMiddleware(
+                { headers: { authorization: `Bearer ${oldJwt}` } },
+                res,
+                () => { nextCalled = true; }
+            );
+
+            assert.strictEqual(nextCalled, false);
+            assert.strictEqual(res.statusCode, 401);
+
+            // A token signed after the reset is accepted
+            const freshUser = await User.findByPk(testUser.id);
+            const freshJwt = signAuthToken(freshUser);
+            const req = { headers: { authorization: `Bearer ${freshJwt}` } };
+            await authMiddleware(req, makeRes(), () => { nextCalled = true; });
+
+            assert.strictEqual(nextCalled, true);
+            assert.strictEqual(req.user.id, testUser.id);
+        });
+    });
+});
@@ -176,7 +176,7 @@ describe('Payment Validation', () => {
         });
 
         it('should export valid transaction statuses', () => {
-            assert.deepStrictEqual(VALID_TRANSACTION_STATUSES, ['pending', 'completed', 'failed', 'outstanding']);
+            assert.deepStrictEqual(VALID_TRANSACTION_STATUSES, ['pending', 'completed', 'failed', 'outstanding', 'requires_action']);
         });
     });
 });
@@ -0,0 +1,515 @@
+/**
+ * Promo Code Tests
+ *
+ * Tests for admin-managed promo codes: validation and limits, discounted package
+ * purchases (recorded on the transaction and as a redemption), and membership
+ * discounts through a mirrored Stripe coupon. Stripe API calls are stubbed on
+ * the shared client from config/stripe.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// The Stripe client needs keys at require time
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_mock_key_for_testing';
+process.env.STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_mock_key_for_testing';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_mock_for_testing';
+
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { PaymentPlan } = require('../models/PaymentPlan');
+const { Transactions } = require('../models/Transactions');
+const { UserCredits } = require('../models/Credits');
+const { Subscription } = require('../models/Subscription');
+const { SubscriptionEvent } = require('../models/SubscriptionEvent');
+const { PromoCode, PromoCodeRedemption } = require('../models/PromoCode');
+const { stripe } = require('../config/stripe');
+const emailQueueService = require('../services/EmailQueueService');
+const stripePaymentService = require('../services/StripePaymentService');
+const paymentRoutes = require('../routes/payments');
+const subscriptionRoutes = require('../routes/subscriptions');
+const adminRoutes = require('../routes/admin');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[stack.length - 1].handle;
+};
+
+// Replace methods on the shared Stripe client, restoring them after the suite
+const stubbed = [];
+const stub = (resource, method, fn) => {
+    stubbed.push([resource, method, resource[method]]);
+    resource[method] = fn;
+};
+
+describe('Promo Codes', () => {
+    const originalQueuePurchaseConfirmation = emailQueueService.queuePurchaseConfirmation;
+    const purchase = findHandler(paymentRoutes, 'POST', '/purchase');
+    const checkPromoCode = findHandler(paymentRoutes, 'POST', '/promo-codes/check');
+    const createPaymentIntent = findHandler(paymentRoutes, 'POST', '/create-payment-intent');
+    const createSubscription = findHandler(subscriptionRoutes, 'POST', '/create');
+    const listPromoCodes = findHandler(adminRoutes, 'GET', '/promo-codes');
+    const createPromoCode = findHandler(adminRoutes, 'POST', '/promo-codes');
+    const updatePromoCode = findHandler(adminRoutes, 'PUT', '/promo-codes/:id');
+    const deletePromoCode = findHandler(adminRoutes, 'DELETE', '/promo-codes/:id');
+
+    let admin;
+    let student;
+    let otherStudent;
+    let plan;
+    let otherPlan;
+    let membership;
+    let coupons;
+    let deletedCoupons;
+    let paymentIntentParams;
+    let cancelledIntents;
+    let subscriptionParams;
+    let cancelledSubscriptions;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        admin = await User.create({ name: 'Admin', email: 'promo-admin@test.com', password: 'x', role: 'admin' });
+        student = await User.create({
+            name: 'Promo Student',
+            email: 'promo-student@test.com',
+            password: 'x',
+            role: 'student',
+            stripe_customer_id: 'cus_student'
+        });
+        otherStudent = await User.create({ name: 'Other Student', email: 'promo-other@test.com', password: 'x', role: 'student' });
+
+        plan = await PaymentPlan.create({ name: '4 Lessons', price: 180, credits: 4, type: 'one-time', lesson_duration_minutes: 30 });
+        otherPlan = await PaymentPlan.create({ name: '8 Lessons', price: 340, credits: 8, type: 'one-time', lesson_duration_minutes: 30 });
+        membership = await PaymentPlan.create({
+            name: 'Monthly',
+            price: 200,
+            credits: 4,
+            type: 'membership',
+            duration_days: 30,
+            stripe_price_id: 'price_monthly'
+        });
+
+        emailQueueService.queuePurchaseConfirmation = async () => 'job-id';
+
+        stub(stripe.coupons, 'create', async (params) => {
+            const coupon = { id: `coupon_${coupons.length + 1}`, ...params };
+            coupons.push(coupon);
+            return coupon;
+        });
+        stub(stripe.coupons, 'del', async (id) => {
+            deletedCoupons.push(id);
+            return { id, deleted: true };
+        });
+        stub(stripe.paymentIntents, 'create', async (params) => {
+            paymentIntentParams.push(params);
+            return { id: `pi_${paymentIntentParams.length}`, client_secret: 'secret', status: 'requires_payment_method' };
+        });
+        stub(stripe.paymentIntents, 'cancel', async (id) => {
+            cancelledIntents.push(id);
+            return { id, status: 'canceled' };
+        });
+        stub(stripe.customers, 'retrieve', async (id) => ({ id }));
+        stub(stripe.customers, 'update', async (id) => ({ id }));
+        stub(stripe.paymentMethods, 'attach', async (id) => ({ id }));
+        stub(stripe.prices, 'retrieve', async (id) => ({ id }));
+        stub(stripe.subscriptions, 'create', async (params) => {
+            subscriptionParams.push(params);
+            return { id: `sub_${subscriptionParams.length}`, status: 'active' };
+        });
+        stub(stripe.subscriptions, 'retrieve', async (id) => ({ id, status: 'active' }));
+        stub(stripe.subscriptions, 'cancel', async (id) => {
+            cancelledSubscriptions.push(id);
+            return { id, status: 'canceled' };
+        });
+    });
+
+    after(async () => {
+        for (const [resource, method, original] of stubbed) {
+            resource[method] = original;
+        }
+        emailQueueService.queuePurchaseConfirmation = originalQueuePurchaseConfirmation;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        coupons = [];
+        deletedCoupons = [];
+        paymentIntentParams = [];
+        cancelledIntents = [];
+        subscriptionParams = [];
+        cancelledSubscriptions = [];
+        await PromoCodeRedemption.destroy({ where: {} });
+        await SubscriptionEvent.destroy({ where: {} });
+        await Subscription.destroy({ where: {} });
+        await Transactions.destroy({ where: {} });
+        await UserCredits.destroy({ where: {} });
+        await PromoCode.destroy({ where: {} });
+    });
+
+    const asUser = (user, extra = {}) => ({
+        user: { id: user.id, email: user.email, role: user.role, stripe_customer_id: user.stripe_customer_id },
+        params: {},
+        body: {},
+        ...extra
+    });
+
+    const addPromoCode = (data = {}) => PromoCode.create({
+        code: 'SPRING20',
+        discount_type: 'percent',
+        discount_value: 20,
+        ...data
+    });
+
+    const buyInPerson = async (user, code, planId = plan.id) => {
+        const res = makeRes();
+        await purchase(asUser(user, { body: { planId, paymentMethod: 'in-person', promoCode: code } }), res);
+        return res;
+    };
+
+    describe('quote', () => {
+        it('applies percent and fixed discounts, never below zero', async () => {
+            const percent = await addPromoCode();
+            const fixed = await addPromoCode({ code: 'TENOFF', discount_type: 'fixed', discount_value: 10 });
+            const everything = await addPromoCode({ code: 'BIGOFF', discount_type: 'fixed', discount_value: 500 });
+
+            assert.strictEqual(PromoCode.calculateDiscount(percent, 180), 36);
+            assert.strictEqual(PromoCode.calculateDiscount(fixed, 180), 10);
+            assert.strictEqual(PromoCode.calculateDiscount(everything, 180), 180);
+        });
+
+        it('matches codes regardless of case and spacing', async () => {
+            await addPromoCode();
+
+            const res = makeRes();
+            await checkPromoCode(asUser(student, { body: { code: ' spring20 ', planId: plan.id } }), res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.deepStrictEqual(res._data, {
+                code: 'SPRING20',
+                description: null,
+                discount_amount: 36,
+                final_price: 144
+            });
+        });
+
+        it('rejects unknown, inactive and expired codes', async () => {
+            await addPromoCode({ code: 'OFF', is_active: false });
+            await addPromoCode({ code: 'OLD', expires_at: new Date(Date.now() - 60 * 1000) });
+
+            await assert.rejects(PromoCode.quote('NOPE', student.id, plan), { message: 'Promo code not found' });
+            await assert.rejects(PromoCode.quote('OFF', student.id, plan), { message: 'Promo code not found' });
+            await assert.rejects(PromoCode.quote('OLD', student.id, plan), { message: 'Promo code has expired' });
+        });
+
+        it('only applies to the plans it is restricted to', async () => {
+            await addPromoCode({ plan_ids: [otherPlan.id] });
+
+            const res = makeRes();
+            await checkPromoCode(asUser(student, { body: { code: 'SPRING20', planId: plan.id } }), res);
+
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(res._data.error, 'Promo code does not apply to this plan');
+            assert.strictEqual((await PromoCode.quote('SPRING20', student.id, otherPlan)).finalPrice, 272);
+        });
+    });
+
+    describe('purchases', () => {
+        it('records the discount on the transaction and as a redemption', async () => {
+            const promoCode = await addPromoCode();
+
+            const res = await buyInPerson(student, 'spring20');
+
+            assert.strictEqual(res.statusCode, 200);
+            const transaction = await Transactions.findByPk(res._data.transactionId);
+            assert.strictEqual(Number(transaction.amount), 144);
+            assert.strictEqual(Number(transaction.discount_amount), 36);
+            assert.strictEqual(transaction.promo_code_id, promoCode.id);
+
+            const redemptions = await PromoCodeRedemption.findAll();
+            assert.strictEqual(redemptions.length, 1);
+            assert.strictEqual(redemptions[0].transaction_id, transaction.id);
+            assert.strictEqual((await UserCredits.getUserCredits(student.id)).total_credits, 4);
+
+            const [history] = await Transactions.getTransactions(student.id);
+            assert.strictEqual(history.PromoCode.code, 'SPRING20');
+        });
+
+        it('enforces the per-student limit', async () => {
+            await addPromoCode({ per_user_limit: 1 });
+
+            assert.strictEqual((await buyInPerson(student, 'SPRING20')).statusCode, 200);
+
+            const again = await buyInPerson(student, 'SPRING20');
+            assert.strictEqual(again.statusCode, 400);
+            assert.strictEqual(again._data.error, 'Promo code has already been used on your account');
+            assert.strictEqual((await buyInPerson(otherStudent, 'SPRING20')).statusCode, 200);
+        });
+
+        it('enforces the overall redemption limit', async () => {
+            await addPromoCode({ max_redemptions: 1 });
+
+            assert.strictEqual((await buyInPerson(student, 'SPRING20')).statusCode, 200);
+
+            const res = await buyInPerson(otherStudent, 'SPRING20');
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(res._data.error, 'Promo code has been fully redeemed');
+            assert.strictEqual(await Transactions.count(), 1);
+        });
+
+        it('charges the discounted price for card payments and redeems once paid', async () => {
+            const promoCode = await addPromoCode();
+
+            const res = makeRes();
+            // The amount sent by the browser is ignored for discounted plans
+            await createPaymentIntent(asUser(student, { body: { amount: 1, planId: plan.id, promoCode: 'SPRING20' } }), res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(paymentIntentParams[0].amount, 14400);
+
+            const transaction = await Transactions.findOne({ where: { payment_intent_id: 'pi_1' } });
+            assert.strictEqual(transaction.status, 'pending');
+            assert.strictEqual(transaction.promo_code_id, promoCode.id);
+            // The use is held from the start of the payment
+            assert.strictEqual((await PromoCodeRedemption.findOne()).transaction_id, transaction.id);
+
+            await stripePaymentService.syncPaymentIntent({ id: 'pi_1', status: 'succeeded' });
+
+            await transaction.reload();
+            assert.strictEqual(transaction.status, 'completed');
+            assert.strictEqual(await Transactions.count(), 1);
+            assert.strictEqual(await PromoCodeRedemption.count(), 1);
+            assert.strictEqual((await UserCredits.getUserCredits(student.id)).total_credits, 4);
+        });
+
+        it('holds a use of the code for a card payment until it completes', async () => {
+            await addPromoCode({ max_redemptions: 1 });
+
+            const first = makeRes();
+            await createPaymentIntent(asUser(student, { body: { planId: plan.id, promoCode: 'SPRING20' } }), first);
+            assert.strictEqual(first.statusCode, 200);
+
+            // The code's only use is held by the first payment, so no card is charged for the second
+            const second = makeRes();
+            await createPaymentIntent(asUser(otherStudent, { body: { planId: plan.id, promoCode: 'SPRING20' } }), second);
+            assert.strictEqual(second.statusCode, 400);
+            assert.strictEqual(second._data.error, 'Promo code has been fully redeemed');
+            assert.strictEqual(paymentIntentParams.length, 1);
+
+            const completed = await stripePaymentService.syncPaymentIntent({ id: 'pi_1', status: 'succeeded' });
+            assert.strictEqual(completed.status, 'completed');
+            assert.strictEqual(await PromoCodeRedemption.count(), 1);
+            assert.strictEqual((await UserCredits.getUserCredits(student.id)).total_credits, 4);
+        });
+
+        it('gives the use back when a card payment fails', async () => {
+            await addPromoCode({ max_redemptions: 1 });
+
+            await createPaymentIntent(asUser(student, { body: { planId: plan.id, promoCode: 'SPRING20' } }), makeRes());
+            const failed = await stripePaymentService.syncPaymentIntent({ id: 'pi_1', status: 'canceled' });
+
+            assert.strictEqual(failed.status, 'failed');
+            assert.strictEqual(await PromoCodeRedemption.count(), 0);
+
+            const res = makeRes();
+            await createPaymentIntent(asUser(otherStudent, { body: { planId: plan.id, promoCode: 'SPRING20' } }), res);
+            assert.strictEqual(res.statusCode, 200);
+        });
+
+        it('cancels a card payment the student left unfinished when they start another', async () => {
+            await addPromoCode({ per_user_limit: 1 });
+
+            await createPaymentIntent(asUser(student, { body: { planId: plan.id, promoCode: 'SPRING20' } }), makeRes());
+            const res = makeRes();
+            await createPaymentIntent(asUser(student, { body: { planId: plan.id, promoCode: 'SPRING20' } }), res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.deepStrictEqual(cancelledIntents, ['pi_1']);
+            assert.strictEqual((await Transactions.findOne({ where: { payment_intent_id: 'pi_1' } })).status, 'failed');
+
+            const held = await PromoCodeRedemption.findAll();
+            assert.strictEqual(held.length, 1);
+            const second = await Transactions.findOne({ where: { payment_intent_id: 'pi_2' } });
+            assert.strictEqual(held[0].transaction_id, second.id);
+        });
+
+        it('completes a paid card payment even if the code has since run out', async () => {
+            const promoCode = await addPromoCode({ max_redemptions: 1 });
+            // A payment started before uses were held has none reserved
+            await Transactions.create({
+                user_id: otherStudent.id,
+                payment_plan_id: plan.id,
+                amount: 144,
+                payment_method: 'stripe',
+                status: 'pending',
+                payment_intent_id: 'pi_earlier',
+                promo_code_id: promoCode.id,
+                discount_amount: 36
+            });
+            assert.strictEqual((await buyInPerson(student, 'SPRING20')).statusCode, 200);
+
+            const completed = await stripePaymentService.syncPaymentIntent({ id: 'pi_earlier', status: 'succeeded' });
+
+            assert.strictEqual(completed.status, 'completed');
+            assert.strictEqual(await PromoCodeRedemption.count(), 2);
+            assert.strictEqual((await UserCredits.getUserCredits(otherStudent.id)).total_credits, 4);
+        });
+
+        it('refuses card payments below the Stripe minimum', async () => {
+            await addPromoCode({ code: 'FREE', discount_type: 'percent', discount_value: 100 });
+
+            const res = makeRes();
+            await createPaymentIntent(asUser(student, { body: { planId: plan.id, promoCode: 'FREE' } }), res);
+
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(paymentIntentParams.length, 0);
+        });
+    });
+
+    describe('memberships', () => {
+        it('discounts the subscription with a Stripe coupon', async () => {
+            const promoCode = await addPromoCode({ code: 'FIRSTMONTH', discount_type: 'fixed', discount_value: 50 });
+
+            const res = makeRes();
+            await createSubscription(asUser(student, {
+                body: { planId: membership.id, paymentMethodId: 'pm_card', promoCode: 'firstmonth' }
+            }), res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(coupons.length, 1);
+            assert.strictEqual(coupons[0].amount_off, 5000);
+            assert.strictEqual(coupons[0].duration, 'once');
+            assert.deepStrictEqual(subscriptionParams[0].discounts, [{ coupon: 'coupon_1' }]);
+
+            await promoCode.reload();
+            assert.strictEqual(promoCode.stripe_coupon_id, 'coupon_1');
+
+            const redemption = await PromoCodeRedemption.findOne();
+            assert.strictEqual(Number(redemption.discount_amount), 50);
+            assert.ok(redemption.subscription_id);
+        });
+
+        it('cancels the Stripe subscription and gives the use back if it cannot be recorded', async () => {
+            await addPromoCode({ code: 'FIRSTMONTH', max_redemptions: 1 });
+            const originalCreateSubscription = Subscription.createSubscription;
+            Subscription.createSubscription = async () => {
+                throw new Error('Database unavailable');
+            };
+
+            const res = makeRes();
+            try {
+                await createSubscription(asUser(student, {
+                    body: { planId: membership.id, paymentMethodId: 'pm_card', promoCode: 'FIRSTMONTH' }
+                }), res);
+            } finally {
+                Subscription.createSubscription = originalCreateSubscription;
+            }
+
+            assert.strictEqual(res.statusCode, 500);
+            assert.deepStrictEqual(cancelledSubscriptions, ['sub_1']);
+            assert.strictEqual(await PromoCodeRedemption.count(), 0);
+        });
+
+        it('creates subscriptions without a promo code as before', async () => {
+            const res = makeRes();
+            await createSubscription(asUser(student, { body: { planId: membership.id, paymentMethodId: 'pm_card' } }), res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(subscriptionParams[0].discounts, undefined);
+        });
+    });
+
+    describe('admin', () => {
+        it('creates codes and mirrors a Stripe coupon when they can apply to a membership', async () => {
+            const res = makeRes();
+            await createPromoCode(asUser(admin, {
+                body: { code: 'welcome', discount_type: 'percent', discount_value: 15, per_user_limit: 1 }
+            }), res);
+
+            assert.strictEqual(res.statusCode, 201);
+            assert.strictEqual(res._data.code, 'WELCOME');
+            assert.strictEqual(res._data.created_by, admin.id);
+            assert.strictEqual(coupons[0].percent_off, 15);
+            assert.strictEqual(res._data.stripe_coupon_id, 'coupon_1');
+
+            const packageOnly = makeRes();
+            await createPromoCode(asUser(admin, {
+                body: { code: 'PACKS', discount_type: 'fixed', discount_value: 20, plan_ids: [plan.id] }
+            }), packageOnly);
+            assert.strictEqual(packageOnly._data.stripe_coupon_id, null);
+            assert.strictEqual(coupons.length, 1);
+        });
+
+        it('validates codes and rejects duplicates', async () => {
+            await addPromoCode();
+
+            const invalid = makeRes();
+            await createPromoCode(asUser(admin, { body: { code: 'BAD CODE', discount_type: 'percent', discount_value: 10 } }), invalid);
+            assert.strictEqual(invalid.statusCode, 400);
+
+            const tooMuch = makeRes();
+            await createPromoCode(asUser(admin, { body: { code: 'HALF', discount_type: 'percent', discount_value: 150 } }), tooMuch);
+            assert.strictEqual(tooMuch.statusCode, 400);
+
+            const duplicate = makeRes();
+            await createPromoCode(asUser(admin, { body: { code: 'spring20', discount_type: 'fixed', discount_value: 5 } }), duplicate);
+            assert.strictEqual(duplicate.statusCode, 400);
+            assert.strictEqual(duplicate._data.error, 'Promo code already exists');
+        });
+
+        it('replaces the Stripe coupon when a code changes and removes it when deactivated', async () => {
+            const promoCode = await addPromoCode({ stripe_coupon_id: 'coupon_old' });
+
+            const res = makeRes();
+            await updatePromoCode(asUser(admin, { params: { id: String(promoCode.id) }, body: { discount_value: 25 } }), res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.deepStrictEqual(deletedCoupons, ['coupon_old']);
+            assert.strictEqual(coupons[0].percent_off, 25);
+
+            const deactivated = makeRes();
+            await updatePromoCode(asUser(admin, { params: { id: String(promoCode.id) }, body: { is_active: false } }), deactivated);
+
+            assert.deepStrictEqual(deletedCoupons, ['coupon_old', 'coupon_1']);
+            assert.strictEqual(deactivated._data.stripe_coupon_id, null);
+            assert.strictEqual(deactivated._data.is_active, false);
+        });
+
+        it('lists usage and only deletes unused codes', async () => {
+            const used = await addPromoCode();
+            const unused = await addPromoCode({ code: 'UNUSED' });
+            await buyInPerson(student, 'SPRING20');
+
+            const list = makeRes();
+            await listPromoCodes(asUser(admin), list);
+            const counts = Object.fromEntries(list._data.map(promoCode => [promoCode.code, promoCode.redemption_count]));
+            assert.deepStrictEqual(counts, { SPRING20: 1, UNUSED: 0 });
+
+            const blocked = makeRes();
+            await deletePromoCode(asUser(admin, { params: { id: String(used.id) } }), blocked);
+            assert.strictEqual(blocked.statusCode, 400);
+
+            const deleted = makeRes();
+            await deletePromoCode(asUser(admin, { params: { id: String(unused.id) } }), deleted);
+            assert.strictEqual(deleted.statusCode, 200);
+            assert.strictEqual(await PromoCode.count(), 1);
+        });
+    });
+});
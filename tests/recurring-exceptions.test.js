@@ -0,0 +1,392 @@
+/**
+ * Recurring Booking Exception Tests
+ *
+ * Tests for skipping or moving a single week of a recurring booking, and for the
+ * calendar and conflict lookups picking those changes up
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { InstructorAvailability } = require('../models/InstructorAvailability');
+const { Calendar } = require('../models/Calendar');
+const { RecurringBooking } = require('../models/RecurringBooking');
+const { RecurringBookingException } = require('../models/RecurringBookingException');
+const { Subscription } = require('../models/Subscription');
+const { PaymentPlan } = require('../models/PaymentPlan');
+const { UserCredits, CreditUsage } = require('../models/Credits');
+const { ensureConstantsLoaded } = require('../utils/constants');
+const emailQueueService = require('../services/EmailQueueService');
+const recurringBookingService = require('../services/RecurringBookingService');
+const recurringBookingRoutes = require('../routes/recurringBookings');
+const calendarRoutes = require('../routes/calendar');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[stack.length - 1].handle;
+};
+
+// A Tuesday; lessons are generated for the Mondays 7, 14, 21 and 28 January
+const NOW = new Date('2030-01-01T00:00:00.000Z');
+const MONDAYS = ['2030-01-07', '2030-01-14', '2030-01-21', '2030-01-28'];
+// The first Monday past the generation window
+const LATER_MONDAY = '2030-02-04';
+const WEDNESDAY = '2030-01-09';
+// 10:00 UTC, 30 minutes
+const START_SLOT = 40;
+const DURATION = 2;
+
+describe('Recurring Booking Exceptions', () => {
+    const originalQueueRescheduling = emailQueueService.queueReschedulingConfirmations;
+    const changeWeek = findHandler(recurringBookingRoutes, 'PUT', '/:id/occurrences/:date');
+    const getEvents = findHandler(calendarRoutes, 'GET', '/events/:instructorId/:startDate/:endDate');
+
+    let instructor;
+    let plan;
+    let student;
+    let subscription;
+    let recurringBooking;
+    let studentCount = 0;
+    let reschedulingEmails;
+
+    before(async () => {
+        await ensureConstantsLoaded();
+        await sequelize.sync({ force: true });
+
+        const instructorUser = await User.create({
+            name: 'Recurring Instructor',
+            email: 'instructor@test.com',
+            password: 'x',
+            role: 'instructor'
+        });
+        instructor = await Instructor.create({
+            user_id: instructorUser.id,
+            hourly_rate: 50,
+            is_active: true
+        });
+
+        // 08:00-16:00 UTC on Mondays and Wednesdays
+        await InstructorAvailability.bulkCreate([1, 3].map(day => ({
+            instructor_id: instructor.id,
+            day_of_week: day,
+            start_slot: 32,
+            duration: 32
+        })));
+
+        plan = await PaymentPlan.create({
+            name: 'Weekly Membership',
+            price: 100,
+            type: 'membership',
+            duration_days: 30,
+            credits: 4,
+            lesson_duration_minutes: 30
+        });
+
+        emailQueueService.queueReschedulingConfirmations = async (oldBooking, newBooking) => {
+            reschedulingEmails.push({ oldBooking, newBooking });
+            return [];
+        };
+    });
+
+    after(async () => {
+        emailQueueService.queueReschedulingConfirmations = originalQueueRescheduling;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await RecurringBookingException.destroy({ where: {} });
+        await CreditUsage.destroy({ where: {} });
+        await Calendar.destroy({ where: {} });
+        await RecurringBooking.destroy({ where: {} });
+        reschedulingEmails = [];
+
+        studentCount++;
+        student = await User.create({
+            name: `Member ${studentCount}`,
+            email: `member${studentCount}@test.com`,
+            password: 'x',
+            role: 'student'
+        });
+        subscription = await Subscription.create({
+            user_id: student.id,
+            payment_plan_id: plan.id,
+            stripe_subscription_id: `sub_exceptions_${studentCount}`,
+            status: 'active'
+        });
+        recurringBooking = await RecurringBooking.create({
+            subscription_id: subscription.id,
+            instructor_id: instructor.id,
+            day_of_week: 1,
+            start_slot: START_SLOT,
+            duration: DURATION
+        });
+        await UserCredits.addCredits(student.id, 10, null, 30);
+    });
+
+    const getCredits = async () => (await UserCredits.getUserCredits(student.id)).total_credits;
+
+    const lessonFor = (occurrenceDate) => Calendar.findOne({
+        where: { recurring_booking_id: recurringBooking.id, recurring_date: occurrenceDate }
+    });
+
+    const reservationsOn = async (date) => {
+        const reservations = await RecurringBooking.findByInstructorAndDate(instructor.id, date);
+        return reservations.filter(reservation => reservation.id === recurringBooking.id);
+    };
+
+    describe('Skipping a week', () => {
+        it('should cancel the week\'s lesson and return its credit', async () => {
+            await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+
+            await recurringBookingService.skipOccurrence(recurringBooking, MONDAYS[1], { createdBy: student.id, now: NOW });
+
+            assert.strictEqual((await lessonFor(MONDAYS[1])).status, 'cancelled');
+            assert.strictEqual((await lessonFor(MONDAYS[0])).status, 'booked');
+            assert.strictEqual(await getCredits(), 7);
+
+            const weeks = await recurringBookingService.getUpcomingWeeks(recurringBooking, { now: NOW });
+            assert.deepStrictEqual(weeks.slice(0, 3).map(week => week.status), ['scheduled', 'skipped', 'scheduled']);
+        });
+
+        it('should keep a week skipped ahead of time from being reserved or generated', async () => {
+            await recurringBookingService.skipOccurrence(recurringBooking, MONDAYS[2], { now: NOW });
+
+            assert.strictEqual((await reservationsOn(MONDAYS[2])).length, 0);
+            assert.strictEqual((await reservationsOn(MONDAYS[1])).length, 1);
+
+            const result = await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+
+            assert.strictEqual(result.created.length, 3);
+            assert.deepStrictEqual(result.skipped, []);
+            assert.strictEqual(await lessonFor(MONDAYS[2]), null);
+        });
+
+        it('should reject a date that is not one of the booking\'s weeks', async () => {
+            await assert.rejects(
+                recurringBookingService.skipOccurrence(recurringBooking, WEDNESDAY, { now: NOW }),
+                /not one of this recurring booking's weeks/
+            );
+        });
+
+        it('should reject a week whose lesson has already started', async () => {
+            await assert.rejects(
+                recurringBookingService.skipOccurrence(recurringBooking, MONDAYS[0], { now: new Date('2030-01-07T10:05:00.000Z') }),
+                /already started/
+            );
+        });
+
+        it('should reject a week of a paused booking', async () => {
+            await recurringBooking.update({ paused_at: NOW });
+
+            await assert.rejects(
+                recurringBookingService.skipOccurrence(recurringBooking, MONDAYS[1], { now: NOW }),
+                /Recurring booking is paused/
+            );
+            assert.strictEqual(await RecurringBookingException.count(), 0);
+        });
+    });
+
+    describe('Moving a week', () => {
+        it('should move the week\'s lesson and free its regular time', async () => {
+            await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+
+            await recurringBookingService.moveOccurrence(recurringBooking, MONDAYS[0], WEDNESDAY, 48, { now: NOW });
+
+            const lesson = await lessonFor(MONDAYS[0]);
+            assert.strictEqual(lesson.status, 'booked');
+            assert.strictEqual(lesson.date, WEDNESDAY);
+            assert.strictEqual(lesson.start_slot, 48);
+            assert.strictEqual(await getCredits(), 6);
+            assert.strictEqual(reschedulingEmails.length, 1);
+            assert.strictEqual(reschedulingEmails[0].oldBooking.date, MONDAYS[0]);
+
+            // The lesson now holds Wednesday; Monday has neither a lesson nor a reservation
+            const mondayEvents = await Calendar.getInstructorEvents(instructor.id, MONDAYS[0], MONDAYS[0]);
+            assert.strictEqual(mondayEvents.length, 0);
+            assert.strictEqual((await reservationsOn(MONDAYS[0])).length, 0);
+
+            const [week] = await recurringBookingService.getUpcomingWeeks(recurringBooking, { now: NOW });
+            assert.strictEqual(week.status, 'moved');
+            assert.strictEqual(week.date, WEDNESDAY);
+            assert.strictEqual(week.start_slot, 48);
+        });
+
+        it('should reserve the new time for a week that has no lesson yet', async () => {
+            await recurringBookingService.moveOccurrence(recurringBooking, LATER_MONDAY, '2030-02-06', 36, { now: NOW });
+
+            assert.strictEqual((await reservationsOn(LATER_MONDAY)).length, 0);
+
+            const [reservation] = await reservationsOn('2030-02-06');
+            assert.strictEqual(reservation.start_slot, 36);
+            assert.strictEqual(reservation.occurrence_date, LATER_MONDAY);
+            assert.strictEqual(reservation.moved, true);
+        });
+
+        it('should generate the lesson at the new time once the week comes into the window', async () => {
+            await recurringBookingService.moveOccurrence(recurringBooking, LATER_MONDAY, '2030-02-06', 36, { now: NOW });
+
+            await recurringBookingService.generateOccurrences(recurringBooking, { now: new Date('2030-01-08T00:00:00.000Z') });
+
+            const lesson = await lessonFor(LATER_MONDAY);
+            assert.strictEqual(lesson.date, '2030-02-06');
+            assert.strictEqual(lesson.start_slot, 36);
+            assert.strictEqual((await reservationsOn('2030-02-06')).length, 0);
+        });
+
+        it('should show the moved week in the calendar events', async () => {
+            await recurringBookingService.moveOccurrence(recurringBooking, LATER_MONDAY, '2030-02-06', 36, { now: NOW });
+
+            const res = makeRes();
+            await getEvents({ params: { instructorId: instructor.id, startDate: '2030-02-03', endDate: '2030-02-09' } }, res);
+
+            const reserved = res._data.filter(event => event.recurring_booking_id === recurringBooking.id);
+            assert.strictEqual(reserved.length, 1);
+            assert.strictEqual(reserved[0].date, '2030-02-06');
+            assert.strictEqual(reserved[0].start_slot, 36);
+            assert.strictEqual(reserved[0].status, 'recurring_reserved');
+            assert.strictEqual(reserved[0].moved, true);
+        });
+
+        it('should reject a time that is already booked', async () => {
+            await Calendar.create({
+                instructor_id: instructor.id,
+                date: WEDNESDAY,
+                start_slot: 47,
+                duration: 2,
+                status: 'blocked'
+            });
+
+            await assert.rejects(
+                recurringBookingService.moveOccurrence(recurringBooking, MONDAYS[0], WEDNESDAY, 48, { now: NOW }),
+                /already booked/
+            );
+            assert.strictEqual(await RecurringBookingException.count(), 0);
+        });
+
+        it('should reject a time outside the instructor\'s availability', async () => {
+            await assert.rejects(
+                recurringBookingService.moveOccurrence(recurringBooking, MONDAYS[0], '2030-01-08', 40, { now: NOW }),
+                /outside instructor availability/
+            );
+        });
+
+        it('should reject a time another recurring member holds', async () => {
+            const otherStudent = await User.create({ name: 'Other Member', email: `other${studentCount}@test.com`, password: 'x', role: 'student' });
+            const otherSubscription = await Subscription.create({
+                user_id: otherStudent.id,
+                payment_plan_id: plan.id,
+                stripe_subscription_id: `sub_exceptions_other_${studentCount}`,
+                status: 'active'
+            });
+            const otherBooking = await RecurringBooking.create({
+                subscription_id: otherSubscription.id,
+                instructor_id: instructor.id,
+                day_of_week: 3,
+                start_slot: 48,
+                duration: DURATION
+            });
+
+            try {
+                await assert.rejects(
+                    recurringBookingService.moveOccurrence(recurringBooking, MONDAYS[0], WEDNESDAY, 48, { now: NOW }),
+                    /reserved for a recurring member/
+                );
+            } finally {
+                await otherBooking.destroy();
+            }
+        });
+    });
+
+    describe('Restoring a week', () => {
+        it('should put a moved lesson back at its regular time', async () => {
+            await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+            await recurringBookingService.moveOccurrence(recurringBooking, MONDAYS[0], WEDNESDAY, 48, { now: NOW });
+
+            await recurringBookingService.restoreOccurrence(recurringBooking, MONDAYS[0], { now: NOW });
+
+            const lesson = await lessonFor(MONDAYS[0]);
+            assert.strictEqual(lesson.date, MONDAYS[0]);
+            assert.strictEqual(lesson.start_slot, START_SLOT);
+            assert.strictEqual(await RecurringBookingException.count(), 0);
+        });
+
+        it('should book a skipped week again', async () => {
+            await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+            await recurringBookingService.skipOccurrence(recurringBooking, MONDAYS[1], { now: NOW });
+
+            await recurringBookingService.restoreOccurrence(recurringBooking, MONDAYS[1], { now: NOW });
+
+            const lesson = await lessonFor(MONDAYS[1]);
+            assert.strictEqual(lesson.status, 'booked');
+            assert.strictEqual(await getCredits(), 6);
+        });
+
+        it('should reject a week that was never changed', async () => {
+            await assert.rejects(
+                recurringBookingService.restoreOccurrence(recurringBooking, MONDAYS[1], { now: NOW }),
+                /has not been changed/
+            );
+        });
+    });
+
+    describe('Route', () => {
+        it('should require a skip or move type', async () => {
+            const res = makeRes();
+            await changeWeek({
+                user: { id: student.id, role: 'student' },
+                params: { id: String(recurringBooking.id), date: LATER_MONDAY },
+                body: { type: 'cancel' }
+            }, res);
+
+            assert.strictEqual(res.statusCode, 400);
+        });
+
+        it('should refuse to change a week of a paused booking', async () => {
+            await recurringBooking.update({ paused_at: NOW });
+
+            const res = makeRes();
+            await changeWeek({
+                user: { id: student.id, role: 'student' },
+                params: { id: String(recurringBooking.id), date: LATER_MONDAY },
+                body: { type: 'skip' }
+            }, res);
+
+            assert.strictEqual(res.statusCode, 409);
+            assert.strictEqual(res._data.error, 'Recurring booking is paused');
+        });
+
+        it('should skip a week and return the updated weeks', async () => {
+            const res = makeRes();
+            await changeWeek({
+                user: { id: student.id, role: 'student' },
+                params: { id: String(recurringBooking.id), date: LATER_MONDAY },
+                body: { type: 'skip' }
+            }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res._data.exception.type, 'skip');
+            assert.strictEqual(res._data.exception.created_by, student.id);
+            assert.ok(Array.isArray(res._data.weeks));
+        });
+    });
+});
@@ -0,0 +1,266 @@
+/**
+ * Recurring Lesson Tests
+ *
+ * Tests for generating real calendar lessons from subscription recurring
+ * bookings, skipping conflicts, and cancelling them with the subscription
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// The subscription cancellation service loads the Stripe client, which needs keys at require time
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_mock_key_for_testing';
+process.env.STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_mock_key_for_testing';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_mock_webhook_secret_for_testing';
+
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { Calendar } = require('../models/Calendar');
+const { RecurringBooking } = require('../models/RecurringBooking');
+const { Subscription } = require('../models/Subscription');
+const { PaymentPlan } = require('../models/PaymentPlan');
+const { UserCredits, CreditUsage } = require('../models/Credits');
+const { stripe } = require('../config/stripe');
+const recurringBookingService = require('../services/RecurringBookingService');
+const { cancelSubscriptionService } = require('../services/subscriptionCancellation');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+// A Tuesday; the 4-week window then holds the Mondays 7, 14, 21 and 28 January
+const NOW = new Date('2030-01-01T00:00:00.000Z');
+const MONDAYS = ['2030-01-07', '2030-01-14', '2030-01-21', '2030-01-28'];
+// 10:00 UTC, 30 minutes
+const START_SLOT = 40;
+const DURATION = 2;
+
+describe('Recurring Lessons', () => {
+    const originalRetrieve = stripe.subscriptions.retrieve;
+
+    let instructor;
+    let plan;
+    let student;
+    let subscription;
+    let recurringBooking;
+    let studentCount = 0;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        const instructorUser = await User.create({
+            name: 'Recurring Instructor',
+            email: 'instructor@test.com',
+            password: 'x',
+            role: 'instructor'
+        });
+        instructor = await Instructor.create({
+            user_id: instructorUser.id,
+            hourly_rate: 50,
+            is_active: true
+        });
+
+        plan = await PaymentPlan.create({
+            name: 'Weekly Membership',
+            price: 100,
+            type: 'membership',
+            duration_days: 30,
+            credits: 4,
+            lesson_duration_minutes: 30
+        });
+    });
+
+    after(async () => {
+        stripe.subscriptions.retrieve = originalRetrieve;
+        await sequelize.close();
+    });
+
+    // Every test gets a clear calendar and its own student and subscription so cached lookups never overlap
+    beforeEach(async () => {
+        await CreditUsage.destroy({ where: {} });
+        await Calendar.destroy({ where: {} });
+        studentCount++;
+        student = await User.create({
+            name: `Member ${studentCount}`,
+            email: `member${studentCount}@test.com`,
+            password: 'x',
+            role: 'student'
+        });
+        subscription = await Subscription.create({
+            user_id: student.id,
+            payment_plan_id: plan.id,
+            stripe_subscription_id: `sub_recurring_${studentCount}`,
+            status: 'active'
+        });
+        recurringBooking = await RecurringBooking.create({
+            subscription_id: subscription.id,
+            instructor_id: instructor.id,
+            day_of_week: 1,
+            start_slot: START_SLOT,
+            duration: DURATION
+        });
+        await UserCredits.addCredits(student.id, 10, null, 30);
+    });
+
+    const getCredits = async () => (await UserCredits.getUserCredits(student.id)).total_credits;
+
+    const lessonsFor = (rb = recurringBooking) => Calendar.findAll({
+        where: { recurring_booking_id: rb.id },
+        order: [['date', 'ASC']]
+    });
+
+    describe('Generating lessons', () => {
+        it('should book a lesson for each week in the window and use a credit for each', async () => {
+            const result = await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+
+            assert.strictEqual(result.created.length, 4);
+            assert.deepStrictEqual(result.skipped, []);
+
+            const lessons = await lessonsFor();
+            assert.deepStrictEqual(lessons.map(lesson => lesson.date), MONDAYS);
+            assert.ok(lessons.every(lesson =>
+                lesson.student_id === student.id &&
+                lesson.status === 'booked' &&
+                lesson.start_slot === START_SLOT &&
+                lesson.recurring_date === lesson.date
+            ));
+
+            assert.strictEqual(await getCredits(), 6);
+            assert.strictEqual(await CreditUsage.count({ where: { user_id: student.id } }), 4);
+        });
+
+        it('should not book the same week twice', async () => {
+            await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+            const second = await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+
+            assert.strictEqual(second.created.length, 0);
+            assert.strictEqual((await lessonsFor()).length, 4);
+            assert.strictEqual(await getCredits(), 6);
+        });
+
+        it('should skip weeks where the time is booked or blocked', async () => {
+            await Calendar.create({
+                instructor_id: instructor.id,
+                date: MONDAYS[1],
+                start_slot: START_SLOT - 2,
+                duration: 4,
+                status: 'blocked'
+            });
+
+            const result = await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+
+            assert.strictEqual(result.created.length, 3);
+            assert.deepStrictEqual(result.skipped, [{ date: MONDAYS[1], reason: 'conflict' }]);
+            assert.strictEqual(await getCredits(), 7);
+        });
+
+        it('should skip weeks the student has no credits for', async () => {
+            await UserCredits.update({ credits_remaining: 2 }, { where: { user_id: student.id } });
+
+            const result = await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+
+            assert.strictEqual(result.created.length, 2);
+            assert.deepStrictEqual(result.skipped.map(week => week.reason), ['insufficient_credits', 'insufficient_credits']);
+            assert.deepStrictEqual((await lessonsFor()).map(lesson => lesson.date), MONDAYS.slice(0, 2));
+        });
+
+        it('should not book lessons for an inactive subscription', async () => {
+            await subscription.update({ status: 'past_due' });
+
+            const result = await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+
+            assert.strictEqual(result.created.length, 0);
+            assert.strictEqual(await getCredits(), 10);
+        });
+
+        it('should not regenerate a lesson the student cancelled or moved', async () => {
+            await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+            const [first, second] = await lessonsFor();
+            await first.update({ status: 'cancelled' });
+            await second.update({ date: '2030-01-15' });
+
+            const result = await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+
+            assert.strictEqual(result.created.length, 0);
+            assert.strictEqual((await lessonsFor()).length, 4);
+        });
+    });
+
+    describe('Reservations', () => {
+        it('should stop reserving the time in weeks that have a lesson', async () => {
+            await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW, weeksAhead: 1 });
+
+            const bookedWeek = await RecurringBooking.findByInstructorAndDate(instructor.id, MONDAYS[0]);
+            const laterWeek = await RecurringBooking.findByInstructorAndDate(instructor.id, MONDAYS[1]);
+
+            assert.ok(!bookedWeek.some(rb => rb.id === recurringBooking.id));
+            assert.ok(laterWeek.some(rb => rb.id === recurringBooking.id));
+        });
+
+        it('should only show reserved events for weeks without a lesson', async () => {
+            await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW, weeksAhead: 1 });
+
+            const reservations = await RecurringBooking.getReservations(instructor.id, MONDAYS[0], MONDAYS[1]);
+            const events = recurringBookingService.toReservedEvents(reservations)
+                .filter(event => event.recurring_booking_id === recurringBooking.id);
+
+            assert.deepStrictEqual(events.map(event => event.date), [MONDAYS[1]]);
+            assert.strictEqual(events[0].id, `recurring_${recurringBooking.id}_${MONDAYS[1]}`);
+            assert.strictEqual(events[0].status, 'recurring_reserved');
+            assert.strictEqual(events[0].student.id, student.id);
+        });
+    });
+
+    describe('Cancelling lessons', () => {
+        it('should cancel upcoming lessons and return their credits', async () => {
+            await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+            // Halfway through the window; the first two lessons have already happened
+            const later = new Date('2030-01-15T00:00:00.000Z');
+
+            const cancelled = await recurringBookingService.cancelFutureOccurrences(recurringBooking.id, { now: later });
+
+            assert.strictEqual(cancelled, 2);
+            const lessons = await lessonsFor();
+            assert.deepStrictEqual(lessons.map(lesson => lesson.status), ['booked', 'booked', 'cancelled', 'cancelled']);
+            assert.strictEqual(await getCredits(), 8);
+        });
+
+        it('should only cancel lessons from the given date', async () => {
+            await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+
+            const cancelled = await recurringBookingService.cancelFutureOccurrences(recurringBooking.id, { now: NOW, fromDate: MONDAYS[3] });
+
+            assert.strictEqual(cancelled, 1);
+            assert.strictEqual((await lessonsFor())[3].status, 'cancelled');
+        });
+
+        it('should free the weeks for regeneration when the booking moves', async () => {
+            await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+            await recurringBookingService.cancelFutureOccurrences(recurringBooking.id, { now: NOW, release: true });
+            await recurringBooking.update({ start_slot: START_SLOT + 4 });
+
+            const result = await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+
+            assert.strictEqual(result.created.length, 4);
+            assert.ok(result.created.every(lesson => lesson.start_slot === START_SLOT + 4));
+            assert.strictEqual(await getCredits(), 6);
+        });
+
+        it('should cancel upcoming lessons when the subscription is cancelled', async () => {
+            await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+            stripe.subscriptions.retrieve = async () => ({ status: 'canceled', canceled_at: null });
+
+            const result = await cancelSubscriptionService({
+                subscriptionId: subscription.id,
+                requestingUser: { id: student.id, name: student.name }
+            });
+
+            assert.strictEqual(result.credits.recurringBookingCleaned, true);
+            assert.strictEqual(result.credits.lessonsCancelled, 4);
+            const lessons = await lessonsFor();
+            assert.ok(lessons.every(lesson => lesson.status === 'cancelled'));
+            assert.strictEqual(await RecurringBooking.findByPk(recurringBooking.id), null);
+            assert.strictEqual(await getCredits(), 10);
+        });
+    });
+});
@@ -0,0 +1,325 @@
+/**
+ * Reporting Tests
+ *
+ * Tests for the admin reports: revenue by period, plan and payment method,
+ * instructor utilization against weekly availability, no-show rates, the value
+ * of unused credits and subscription churn, plus date range validation.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+// The Stripe client needs keys at require time
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_mock_key_for_testing';
+process.env.STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_mock_key_for_testing';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_mock_for_testing';
+
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { InstructorAvailability } = require('../models/InstructorAvailability');
+const { PaymentPlan } = require('../models/PaymentPlan');
+const { Transactions } = require('../models/Transactions');
+const { Refund } = require('../models/Refund');
+const { Calendar } = require('../models/Calendar');
+const { Attendance } = require('../models/Attendance');
+const { UserCredits } = require('../models/Credits');
+const { Subscription } = require('../models/Subscription');
+const { SubscriptionEvent } = require('../models/SubscriptionEvent');
+const { ensureConstantsLoaded } = require('../utils/constants');
+const reportingService = require('../services/ReportingService');
+const adminRoutes = require('../routes/admin');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath, index = null) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[index === null ? stack.length - 1 : index].handle;
+};
+
+// Creation timestamps are set by Sequelize, so move them afterwards
+const backdate = (model, id, timestamp) => sequelize.query(
+    `UPDATE ${model.getTableName()} SET created_at = :timestamp WHERE id = :id`,
+    { replacements: { id, timestamp: new Date(timestamp).toISOString().replace('T', ' ').replace('Z', ' +00:00') } }
+);
+
+const dateFromToday = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+describe('Reporting', () => {
+    let student;
+    let otherStudent;
+    let instructor;
+    let otherInstructor;
+    let lessonPlan;
+    let membership;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        await ensureConstantsLoaded();
+
+        student = await User.create({ name: 'Report Student', email: 'report-student@test.com', password: 'x', role: 'student' });
+        otherStudent = await User.create({ name: 'Report Student Two', email: 'report-student-2@test.com', password: 'x', role: 'student' });
+        const instructorUser = await User.create({ name: 'Report Instructor', email: 'report-instructor@test.com', password: 'x', role: 'instructor' });
+        const otherInstructorUser = await User.create({ name: 'Idle Instructor', email: 'idle-instructor@test.com', password: 'x', role: 'instructor' });
+        instructor = await Instructor.create({ user_id: instructorUser.id, hourly_rate: 60 });
+        otherInstructor = await Instructor.create({ user_id: otherInstructorUser.id, hourly_rate: 60 });
+
+        lessonPlan = await PaymentPlan.create({ name: '4 Hour Lessons', price: 300, credits: 4, type: 'one-time', lesson_duration_minutes: 60 });
+        membership = await PaymentPlan.create({ name: 'Monthly', price: 200, credits: 4, type: 'membership', duration_days: 30 });
+    });
+
+    after(async () => {
+        await sequelize.close();
+    });
+
+    describe('Revenue', () => {
+        before(async () => {
+            const payments = [
+                { amount: 300, payment_method: 'stripe', payment_plan_id: lessonPlan.id, discount_amount: 30, at: '2026-08-03T10:00:00Z' },
+                { amount: 200, payment_method: 'stripe', payment_plan_id: membership.id, at: '2026-08-20T10:00:00Z' },
+                { amount: 90, payment_method: 'in-person', payment_plan_id: null, at: '2026-09-02T10:00:00Z' },
+                { amount: 300, payment_method: 'credits', payment_plan_id: lessonPlan.id, at: '2026-09-15T10:00:00Z' },
+                { amount: 200, payment_method: 'stripe', payment_plan_id: membership.id, status: 'failed', at: '2026-09-16T10:00:00Z' },
+                { amount: 500, payment_method: 'stripe', payment_plan_id: lessonPlan.id, at: '2026-10-01T10:00:00Z' }
+            ];
+            for (const { at, status = 'completed', ...payment } of payments) {
+                const transaction = await Transactions.create({ user_id: student.id, status, ...payment });
+                await backdate(Transactions, transaction.id, at);
+            }
+
+            const lesson = await Calendar.create({
+                instructor_id: instructor.id, student_id: student.id, date: '2026-09-01', start_slot: 40, duration: 4, status: 'cancelled'
+            });
+            const stripeRefund = await Refund.create({ booking_id: lesson.id, amount: 75, type: 'stripe' });
+            const creditRefund = await Refund.create({ booking_id: lesson.id, amount: 75, type: 'credit' });
+            await backdate(Refund, stripeRefund.id, '2026-09-05T10:00:00Z');
+            await backdate(Refund, creditRefund.id, '2026-09-05T10:00:00Z');
+        });
+
+        it('totals completed payments less Stripe refunds by month', async () => {
+            const report = await reportingService.getRevenueReport({ from: '2026-08-01', to: '2026-09-30', groupBy: 'month' });
+
+            assert.deepStrictEqual(report.periods, [
+                { period: '2026-08-01', transactions: 2, gross: 500, refunds: 0, net: 500 },
+                { period: '2026-09-01', transactions: 2, gross: 390, refunds: 75, net: 315 }
+            ]);
+            assert.deepStrictEqual(report.totals, { transactions: 4, gross: 890, discounts: 30, refunds: 75, net: 815 });
+        });
+
+        it('breaks revenue down by plan and payment method', async () => {
+            const report = await reportingService.getRevenueReport({ from: '2026-08-01', to: '2026-09-30', groupBy: 'month' });
+
+            assert.deepStrictEqual(report.byPlan, [
+                { plan: '4 Hour Lessons', transactions: 2, amount: 600 },
+                { plan: 'Monthly', transactions: 1, amount: 200 },
+                { plan: 'In-person lessons', transactions: 1, amount: 90 }
+            ]);
+            assert.deepStrictEqual(report.byPaymentMethod, [
+                { payment_method: 'stripe', transactions: 2, amount: 500 },
+                { payment_method: 'credits', transactions: 1, amount: 300 },
+                { payment_method: 'in-person', transactions: 1, amount: 90 }
+            ]);
+        });
+
+        it('lists every week in the range, starting on Monday', async () => {
+            const report = await reportingService.getRevenueReport({ from: '2026-08-30', to: '2026-09-16', groupBy: 'week' });
+
+            assert.deepStrictEqual(report.periods.map(row => row.period), ['2026-08-24', '2026-08-31', '2026-09-07', '2026-09-14']);
+            assert.deepStrictEqual(report.periods.map(row => row.gross), [0, 90, 0, 300]);
+        });
+    });
+
+    describe('Date ranges', () => {
+        const getRevenue = findHandler(adminRoutes, 'GET', '/reports/revenue');
+
+        it('rejects missing, reversed and overlong ranges', async () => {
+            const cases = [
+                [{ to: '2026-09-30' }, 'Invalid date range'],
+                [{ from: '2026-09-30', to: '2026-09-01' }, 'Invalid date range'],
+                [{ from: '2026-09-01', to: '2026-09-30', groupBy: 'year' }, 'Invalid grouping'],
+                [{ from: '2025-01-01', to: '2026-09-30', groupBy: 'day' }, 'Date range is too long to show by day, group by week or month'],
+                [{ from: '2020-01-01', to: '2026-09-30', groupBy: 'month' }, 'Date range is too long, choose three years or less']
+            ];
+
+            for (const [query, message] of cases) {
+                const res = makeRes();
+                await getRevenue({ query }, res);
+                assert.strictEqual(res.statusCode, 400);
+                assert.strictEqual(res._data.error, message);
+            }
+        });
+
+        it('is admin-only', () => {
+            const paths = ['/reports/revenue', '/reports/utilization', '/reports/attendance', '/reports/credit-liability', '/reports/subscriptions'];
+            for (const routePath of paths) {
+                const layer = adminRoutes.stack.find(l => l.route && l.route.path === routePath);
+                assert.strictEqual(layer.route.stack.length, 2, `${routePath} should be behind authorize`);
+            }
+        });
+    });
+
+    describe('Utilization', () => {
+        before(async () => {
+            // Mondays and Wednesdays, 9:00-11:00 UTC
+            await InstructorAvailability.bulkCreate([
+                { instructor_id: instructor.id, day_of_week: 1, start_slot: 36, duration: 8 },
+                { instructor_id: instructor.id, day_of_week: 3, start_slot: 36, duration: 8 }
+            ]);
+
+            await Calendar.bulkCreate([
+                { instructor_id: instructor.id, student_id: student.id, date: '2026-06-01', start_slot: 36, duration: 4, status: 'booked' },
+                { instructor_id: instructor.id, student_id: student.id, date: '2026-06-03', start_slot: 36, duration: 2, status: 'booked' },
+                { instructor_id: instructor.id, student_id: null, date: '2026-06-08', start_slot: 36, duration: 4, status: 'blocked' },
+                { instructor_id: instructor.id, student_id: student.id, date: '2026-06-10', start_slot: 36, duration: 8, status: 'cancelled' },
+                { instructor_id: instructor.id, student_id: student.id, date: '2026-06-15', start_slot: 36, duration: 4, status: 'booked' }
+            ]);
+        });
+
+        it('compares booked hours with weekly availability', async () => {
+            const report = await reportingService.getUtilizationReport({ from: '2026-06-01', to: '2026-06-14' });
+            const row = report.instructors.find(instructorRow => instructorRow.instructor_id === instructor.id);
+
+            // Two Mondays and two Wednesdays of two hours each
+            assert.strictEqual(row.name, 'Report Instructor');
+            assert.strictEqual(row.available_hours, 8);
+            assert.strictEqual(row.booked_hours, 1.5);
+            assert.strictEqual(row.blocked_hours, 1);
+            assert.strictEqual(row.open_hours, 5.5);
+            assert.strictEqual(row.utilization, 18.8);
+        });
+
+        it('has no utilization for instructors without availability', async () => {
+            const report = await reportingService.getUtilizationReport({ from: '2026-06-01', to: '2026-06-14' });
+            const row = report.instructors.find(instructorRow => instructorRow.instructor_id === otherInstructor.id);
+
+            assert.strictEqual(row.available_hours, 0);
+            assert.strictEqual(row.utilization, null);
+            assert.strictEqual(report.totals.available_hours, 8);
+            assert.strictEqual(report.totals.utilization, 18.8);
+        });
+    });
+
+    describe('Attendance', () => {
+        const from = dateFromToday(-20);
+        const to = dateFromToday(20);
+
+        before(async () => {
+            const lessons = [
+                { date: dateFromToday(-10), attendance: 'present' },
+                { date: dateFromToday(-9), attendance: 'tardy' },
+                { date: dateFromToday(-8), attendance: 'absent' },
+                { date: dateFromToday(-7), attendance: null },
+                { date: dateFromToday(-6), attendance: 'absent', status: 'cancelled' },
+                { date: dateFromToday(5), attendance: null }
+            ];
+            for (const { date, attendance, status = 'booked' } of lessons) {
+                const lesson = await Calendar.create({
+                    instructor_id: otherInstructor.id, student_id: otherStudent.id, date, start_slot: 60, duration: 4, status
+                });
+                if (attendance) {
+                    await Attendance.create({ calendar_event_id: lesson.id, status: attendance });
+                }
+            }
+        });
+
+        it('counts missed lessons among those with attendance taken', async () => {
+            const report = await reportingService.getAttendanceReport({ from, to, groupBy: 'week' });
+
+            assert.deepStrictEqual(report.totals, {
+                lessons: 4, present: 1, tardy: 1, absent: 1, unrecorded: 1, no_show_rate: 33.3
+            });
+            assert.deepStrictEqual(report.instructors, [{
+                instructor_id: otherInstructor.id,
+                name: 'Idle Instructor',
+                lessons: 4, present: 1, tardy: 1, absent: 1, unrecorded: 1, no_show_rate: 33.3
+            }]);
+            assert.strictEqual(report.periods.reduce((total, row) => total + row.lessons, 0), 4);
+        });
+    });
+
+    describe('Credit liability', () => {
+        before(async () => {
+            await UserCredits.bulkCreate([
+                { user_id: student.id, credits_remaining: 3, duration_minutes: 60, expiry_date: null },
+                { user_id: otherStudent.id, credits_remaining: 2, duration_minutes: 60, expiry_date: dateFromToday(10) },
+                { user_id: otherStudent.id, credits_remaining: 5, duration_minutes: 60, expiry_date: dateFromToday(-1) },
+                { user_id: student.id, credits_remaining: 0, duration_minutes: 60, expiry_date: null },
+                { user_id: student.id, credits_remaining: 1, duration_minutes: 45, expiry_date: null }
+            ]);
+        });
+
+        it('values unused credits at the package price per credit', async () => {
+            const report = await reportingService.getCreditLiability();
+
+            assert.deepStrictEqual(report.byDuration, [
+                { duration_minutes: 45, credits: 1, students: 1, expiring_soon: 0, value_per_credit: null, value: null },
+                { duration_minutes: 60, credits: 5, students: 2, expiring_soon: 2, value_per_credit: 75, value: 375 }
+            ]);
+            assert.deepStrictEqual(report.totals, { credits: 6, students: 2, expiring_soon: 2, value: 375 });
+        });
+    });
+
+    describe('Subscription churn', () => {
+        before(async () => {
+            const subscribe = async (user, suffix, createdAt, status = 'active') => {
+                const subscription = await Subscription.create({
+                    user_id: user.id,
+                    payment_plan_id: membership.id,
+                    stripe_subscription_id: `sub_report_${suffix}`,
+                    status
+                });
+                await backdate(Subscription, subscription.id, createdAt);
+                return subscription;
+            };
+            const recordEvent = async (subscription, eventType, createdAt) => {
+                const event = await SubscriptionEvent.recordEvent(subscription.id, eventType, {});
+                await backdate(SubscriptionEvent, event.id, createdAt);
+            };
+
+            const kept = await subscribe(student, 'kept', '2026-01-10T00:00:00Z');
+            const canceled = await subscribe(otherStudent, 'canceled', '2026-01-15T00:00:00Z', 'canceled');
+            const returned = await subscribe(student, 'returned', '2026-01-20T00:00:00Z');
+            await subscribe(otherStudent, 'new', '2026-03-05T00:00:00Z');
+            await subscribe(student, 'incomplete', '2026-03-06T00:00:00Z', 'incomplete');
+
+            await recordEvent(kept, 'subscription.created', '2026-01-10T00:00:00Z');
+            await recordEvent(canceled, 'customer.subscription.deleted', '2026-02-10T00:00:00Z');
+            await recordEvent(returned, 'admin.subscription.canceled', '2026-02-12T00:00:00Z');
+            await recordEvent(returned, 'admin.subscription.reactivated', '2026-02-20T00:00:00Z');
+        });
+
+        it('counts new and cancelled subscriptions by month', async () => {
+            const report = await reportingService.getSubscriptionChurnReport({ from: '2026-02-01', to: '2026-03-31', groupBy: 'month' });
+
+            assert.deepStrictEqual(report.periods, [
+                { period: '2026-02-01', active_at_start: 3, started: 0, canceled: 1, churn_rate: 33.3 },
+                { period: '2026-03-01', active_at_start: 2, started: 1, canceled: 0, churn_rate: 0 }
+            ]);
+            assert.deepStrictEqual(report.totals, {
+                active_at_start: 3, started: 1, canceled: 1, active_at_end: 3, churn_rate: 33.3
+            });
+        });
+
+        it('has no churn rate before anyone subscribed', async () => {
+            const report = await reportingService.getSubscriptionChurnReport({ from: '2025-11-01', to: '2025-12-31', groupBy: 'month' });
+
+            assert.deepStrictEqual(report.periods.map(row => row.churn_rate), [null, null]);
+        });
+    });
+});
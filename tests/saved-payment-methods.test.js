@@ -0,0 +1,396 @@
+/**
+ * Saved Payment Method Tests
+ *
+ * Tests for saved cards on the student's Stripe customer, one-click package
+ * purchases, 3D Secure (requires_action) payments and the payments webhook.
+ * Stripe API calls are stubbed on the shared client from config/stripe.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// The Stripe client needs keys at require time; the webhook secret signs test events
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_mock_key_for_testing';
+process.env.STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_mock_key_for_testing';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_mock_for_testing';
+
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { PaymentPlan } = require('../models/PaymentPlan');
+const { Transactions } = require('../models/Transactions');
+const { UserCredits } = require('../models/Credits');
+const { stripe } = require('../config/stripe');
+const config = require('../config');
+const emailQueueService = require('../services/EmailQueueService');
+const paymentRoutes = require('../routes/payments');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[stack.length - 1].handle;
+};
+
+const card = (id, customer, last4 = '4242') => ({
+    id,
+    customer,
+    card: { brand: 'visa', last4, exp_month: 12, exp_year: 2030 }
+});
+
+// Replace methods on the shared Stripe client, restoring them after the suite
+const stubbed = [];
+const stub = (resource, method, fn) => {
+    stubbed.push([resource, method, resource[method]]);
+    resource[method] = fn;
+};
+
+describe('Saved Payment Methods', () => {
+    const originalQueuePurchaseConfirmation = emailQueueService.queuePurchaseConfirmation;
+    const listPaymentMethods = findHandler(paymentRoutes, 'GET', '/payment-methods');
+    const setDefault = findHandler(paymentRoutes, 'PUT', '/payment-methods/:id/default');
+    const removePaymentMethod = findHandler(paymentRoutes, 'DELETE', '/payment-methods/:id');
+    const purchaseWithSavedCard = findHandler(paymentRoutes, 'POST', '/purchase-with-saved-card');
+    const completePayment = findHandler(paymentRoutes, 'POST', '/complete-payment');
+    const createPaymentIntent = findHandler(paymentRoutes, 'POST', '/create-payment-intent');
+    const purchase = findHandler(paymentRoutes, 'POST', '/purchase');
+
+    let student;
+    let plan;
+    let membership;
+    let paymentIntents;
+    let customerUpdates;
+    let detached;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        student = await User.create({
+            name: 'Card Student',
+            email: 'card-student@test.com',
+            password: 'x',
+            role: 'student',
+            stripe_customer_id: 'cus_student'
+        });
+        plan = await PaymentPlan.create({
+            name: '4 Lessons',
+            price: 180,
+            credits: 4,
+            type: 'one-time',
+            lesson_duration_minutes: 30
+        });
+        membership = await PaymentPlan.create({
+            name: 'Monthly',
+            price: 200,
+            credits: 4,
+            type: 'membership',
+            duration_days: 30
+        });
+
+        emailQueueService.queuePurchaseConfirmation = async () => 'job-id';
+
+        stub(stripe.customers, 'retrieve', async (id) => ({
+            id,
+            invoice_settings: { default_payment_method: 'pm_second' }
+        }));
+        stub(stripe.customers, 'update', async (id, params) => {
+            customerUpdates.push([id, params]);
+            return { id };
+        });
+        stub(stripe.paymentMethods, 'list', async ({ customer }) => ({
+            data: [card('pm_first', customer, '4242'), card('pm_second', customer, '0005')]
+        }));
+        stub(stripe.paymentMethods, 'retrieve', async (id) => {
+            return card(id, id === 'pm_other' ? 'cus_other' : 'cus_student');
+        });
+        stub(stripe.paymentMethods, 'detach', async (id) => {
+            detached.push(id);
+            return card(id, null);
+        });
+        stub(stripe.paymentIntents, 'create', async (params) => {
+            const intent = {
+                id: `pi_${paymentIntents.size + 1}`,
+                client_secret: `pi_${paymentIntents.size + 1}_secret`,
+                // pm_3ds stands in for a card whose bank asks for 3D Secure
+                status: params.payment_method === 'pm_3ds' ? 'requires_action' : 'succeeded',
+                amount: params.amount,
+                metadata: params.metadata
+            };
+            paymentIntents.set(intent.id, intent);
+            return intent;
+        });
+        stub(stripe.paymentIntents, 'retrieve', async (id) => paymentIntents.get(id));
+    });
+
+    after(async () => {
+        for (const [resource, method, original] of stubbed) {
+            resource[method] = original;
+        }
+        emailQueueService.queuePurchaseConfirmation = originalQueuePurchaseConfirmation;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        paymentIntents = new Map();
+        customerUpdates = [];
+        detached = [];
+        await Transactions.destroy({ where: {} });
+        await UserCredits.destroy({ where: {} });
+    });
+
+    const asStudent = (extra = {}) => ({
+        user: { id: student.id, email: student.email, role: 'student', stripe_customer_id: 'cus_student' },
+        params: {},
+        body: {},
+        ...extra
+    });
+
+    const sendWebhook = async (type, paymentIntent) => {
+        const payload = JSON.stringify({ id: 'evt_test', type, data: { object: paymentIntent } });
+        const res = makeRes();
+        await paymentRoutes.handleWebhook({
+            headers: {
+                'stripe-signature': stripe.webhooks.generateTestHeaderString({
+                    payload,
+                    secret: config.stripe.webhookSecret
+                })
+            },
+            body: Buffer.from(payload)
+        }, res);
+        return res;
+    };
+
+    describe('saved cards', () => {
+        it('lists saved cards with the default card first', async () => {
+            const res = makeRes();
+            await listPaymentMethods(asStudent(), res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.deepStrictEqual(res._data.map(pm => [pm.id, pm.last4, pm.is_default]), [
+                ['pm_second', '0005', true],
+                ['pm_first', '4242', false]
+            ]);
+        });
+
+        it('has no saved cards without a Stripe customer', async () => {
+            const res = makeRes();
+            await listPaymentMethods(asStudent({ user: { id: student.id, role: 'student', stripe_customer_id: null } }), res);
+
+            assert.deepStrictEqual(res._data, []);
+        });
+
+        it('sets the default card', async () => {
+            const res = makeRes();
+            await setDefault(asStudent({ params: { id: 'pm_first' } }), res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.deepStrictEqual(customerUpdates, [
+                ['cus_student', { invoice_settings: { default_payment_method: 'pm_first' } }]
+            ]);
+        });
+
+        it('only manages cards on the student\'s own customer', async () => {
+            const res = makeRes();
+            await removePaymentMethod(asStudent({ params: { id: 'pm_other' } }), res);
+
+            assert.strictEqual(res.statusCode, 404);
+            assert.deepStrictEqual(detached, []);
+
+            const removed = makeRes();
+            await removePaymentMethod(asStudent({ params: { id: 'pm_first' } }), removed);
+            assert.strictEqual(removed.statusCode, 200);
+            assert.deepStrictEqual(detached, ['pm_first']);
+        });
+    });
+
+    describe('one-click purchase', () => {
+        it('buys a package with a saved card and adds its credits', async () => {
+            const res = makeRes();
+            await purchaseWithSavedCard(asStudent({ body: { planId: plan.id, paymentMethodId: 'pm_first' } }), res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res._data.status, 'succeeded');
+            assert.strictEqual(res._data.clientSecret, undefined);
+
+            const transaction = await Transactions.findByPk(res._data.transactionId);
+            assert.strictEqual(transaction.status, 'completed');
+            assert.strictEqual((await UserCredits.getUserCredits(student.id)).total_credits, 4);
+        });
+
+        it('waits for 3D Secure before adding credits', async () => {
+            const res = makeRes();
+            await purchaseWithSavedCard(asStudent({ body: { planId: plan.id, paymentMethodId: 'pm_3ds' } }), res);
+
+            assert.strictEqual(res._data.status, 'requires_action');
+            assert.strictEqual(res._data.clientSecret, 'pi_1_secret');
+
+            const transaction = await Transactions.findByPk(res._data.transactionId);
+            assert.strictEqual(transaction.status, 'requires_action');
+            assert.strictEqual((await UserCredits.getUserCredits(student.id)).total_credits, 0);
+
+            // The student authenticates in the browser
+            paymentIntents.get('pi_1').status = 'succeeded';
+            const completed = makeRes();
+            await completePayment(asStudent({ body: { paymentIntentId: 'pi_1' } }), completed);
+
+            assert.strictEqual(completed._data.transactionStatus, 'completed');
+            assert.strictEqual((await UserCredits.getUserCredits(student.id)).total_credits, 4);
+        });
+
+        it('marks the transaction failed when the card is declined', async () => {
+            const createIntent = stripe.paymentIntents.create;
+            stripe.paymentIntents.create = async () => {
+                const error = new Error('Your card was declined.');
+                error.type = 'StripeCardError';
+                error.payment_intent = { id: 'pi_declined' };
+                throw error;
+            };
+
+            try {
+                const res = makeRes();
+                await purchaseWithSavedCard(asStudent({ body: { planId: plan.id, paymentMethodId: 'pm_first' } }), res);
+
+                assert.strictEqual(res.statusCode, 402);
+                assert.strictEqual(res._data.error, 'Your card was declined.');
+
+                const transaction = await Transactions.findOne({ where: { user_id: student.id } });
+                assert.strictEqual(transaction.status, 'failed');
+                assert.strictEqual(transaction.payment_intent_id, 'pi_declined');
+            } finally {
+                stripe.paymentIntents.create = createIntent;
+            }
+        });
+
+        it('rejects memberships and cards on other customers', async () => {
+            const membershipRes = makeRes();
+            await purchaseWithSavedCard(asStudent({ body: { planId: membership.id, paymentMethodId: 'pm_first' } }), membershipRes);
+            assert.strictEqual(membershipRes.statusCode, 400);
+
+            const otherCard = makeRes();
+            await purchaseWithSavedCard(asStudent({ body: { planId: plan.id, paymentMethodId: 'pm_other' } }), otherCard);
+            assert.strictEqual(otherCard.statusCode, 404);
+
+            assert.strictEqual(await Transactions.count(), 0);
+        });
+
+        it('does not complete card purchases without a payment intent', async () => {
+            const res = makeRes();
+            await purchase(asStudent({ body: { planId: plan.id, paymentMethod: 'stripe' } }), res);
+
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual((await UserCredits.getUserCredits(student.id)).total_credits, 0);
+        });
+    });
+
+    describe('webhook', () => {
+        const createOpenTransaction = (paymentIntentId, planId = plan.id, status = 'pending') => Transactions.create({
+            user_id: student.id,
+            payment_plan_id: planId,
+            amount: 180,
+            payment_method: 'stripe',
+            status,
+            payment_intent_id: paymentIntentId
+        });
+
+        it('records payments waiting for authentication', async () => {
+            const transaction = await createOpenTransaction('pi_webhook');
+
+            const res = await sendWebhook('payment_intent.requires_action', { id: 'pi_webhook', status: 'requires_action' });
+
+            assert.strictEqual(res.statusCode, 200);
+            await transaction.reload();
+            assert.strictEqual(transaction.status, 'requires_action');
+        });
+
+        it('credits a purchase once when both the webhook and the browser report it', async () => {
+            const transaction = await createOpenTransaction('pi_webhook', plan.id, 'requires_action');
+            paymentIntents.set('pi_webhook', { id: 'pi_webhook', status: 'succeeded' });
+
+            await sendWebhook('payment_intent.succeeded', { id: 'pi_webhook', status: 'succeeded' });
+            const res = makeRes();
+            await completePayment(asStudent({ body: { paymentIntentId: 'pi_webhook' } }), res);
+
+            await transaction.reload();
+            assert.strictEqual(transaction.status, 'completed');
+            assert.strictEqual(res._data.transactionStatus, 'completed');
+            assert.strictEqual((await UserCredits.getUserCredits(student.id)).total_credits, 4);
+        });
+
+        it('completes single lesson payments without a plan', async () => {
+            const transaction = await createOpenTransaction('pi_lesson', null);
+
+            await sendWebhook('payment_intent.succeeded', { id: 'pi_lesson', status: 'succeeded' });
+
+            await transaction.reload();
+            assert.strictEqual(transaction.status, 'completed');
+        });
+
+        it('charges the plan price for a card form payment, whatever amount is sent', async () => {
+            const res = makeRes();
+            await createPaymentIntent(asStudent({ body: { planId: plan.id, amount: 1 } }), res);
+
+            assert.strictEqual(res.statusCode, 200);
+            const transaction = await Transactions.findOne({ where: { user_id: student.id } });
+            assert.strictEqual(parseFloat(transaction.amount), 180);
+            assert.strictEqual(paymentIntents.get(transaction.payment_intent_id).amount, 18000);
+        });
+
+        it('does not complete another student\'s or an already completed transaction', async () => {
+            const transaction = await createOpenTransaction('pi_webhook');
+            const other = await User.create({ name: 'Other', email: 'card-other@test.com', password: 'x', role: 'student' });
+
+            await assert.rejects(
+                PaymentPlan.purchase(other.id, plan.id, 'stripe', 'pi_webhook', { transactionId: transaction.id }),
+                /Transaction is not open/
+            );
+            await assert.rejects(
+                PaymentPlan.purchase(student.id, membership.id, 'stripe', 'pi_webhook', { transactionId: transaction.id }),
+                /Transaction is not open/
+            );
+
+            await sendWebhook('payment_intent.succeeded', { id: 'pi_webhook', status: 'succeeded' });
+            await assert.rejects(
+                PaymentPlan.purchase(student.id, plan.id, 'stripe', 'pi_webhook', { transactionId: transaction.id }),
+                /Transaction is not open/
+            );
+
+            await transaction.reload();
+            assert.strictEqual(transaction.status, 'completed');
+            assert.strictEqual((await UserCredits.getUserCredits(student.id)).total_credits, 4);
+            assert.strictEqual((await UserCredits.getUserCredits(other.id)).total_credits, 0);
+        });
+
+        it('marks failed authentication as failed', async () => {
+            const transaction = await createOpenTransaction('pi_failed', plan.id, 'requires_action');
+
+            await sendWebhook('payment_intent.payment_failed', { id: 'pi_failed', status: 'requires_payment_method' });
+
+            await transaction.reload();
+            assert.strictEqual(transaction.status, 'failed');
+        });
+
+        it('rejects unsigned events', async () => {
+            const res = makeRes();
+            await paymentRoutes.handleWebhook({
+                headers: { 'stripe-signature': 't=1,v1=bad' },
+                body: Buffer.from('{}')
+            }, res);
+
+            assert.strictEqual(res.statusCode, 400);
+        });
+    });
+});
@@ -0,0 +1,334 @@
+/**
+ * Subscription Dunning Tests
+ *
+ * Tests for failed membership renewal payments: the invoice webhooks, the
+ * escalating emails, pausing the recurring booking after the grace period
+ * and resuming it once the subscription is paid.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// The Stripe client needs keys at require time; the webhook secret signs test events
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_mock_key_for_testing';
+process.env.STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_mock_key_for_testing';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_mock_for_testing';
+
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { Calendar } = require('../models/Calendar');
+const { RecurringBooking } = require('../models/RecurringBooking');
+const { Subscription } = require('../models/Subscription');
+const { SubscriptionEvent } = require('../models/SubscriptionEvent');
+const { PaymentPlan } = require('../models/PaymentPlan');
+const { UserCredits, CreditUsage } = require('../models/Credits');
+const { stripe } = require('../config/stripe');
+const config = require('../config');
+const emailQueueService = require('../services/EmailQueueService');
+const recurringBookingService = require('../services/RecurringBookingService');
+const dunningService = require('../services/DunningService');
+const subscriptionRoutes = require('../routes/subscriptions');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A Tuesday; the 4-week window then holds the Mondays 7, 14, 21 and 28 January
+const NOW = new Date('2030-01-01T00:00:00.000Z');
+const MONDAYS = ['2030-01-07', '2030-01-14', '2030-01-21', '2030-01-28'];
+const START_SLOT = 40;
+const DURATION = 2;
+
+const daysLater = (days) => new Date(NOW.getTime() + days * DAY_MS);
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; },
+    send(data) { this._data = data; return this; }
+});
+
+describe('Subscription Dunning', () => {
+    const originalQueueDunningNotice = emailQueueService.queueDunningNotice;
+
+    let instructor;
+    let plan;
+    let student;
+    let subscription;
+    let recurringBooking;
+    let notices;
+    let studentCount = 0;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        const instructorUser = await User.create({
+            name: 'Dunning Instructor',
+            email: 'instructor@test.com',
+            password: 'x',
+            role: 'instructor'
+        });
+        instructor = await Instructor.create({
+            user_id: instructorUser.id,
+            hourly_rate: 50,
+            is_active: true
+        });
+
+        plan = await PaymentPlan.create({
+            name: 'Weekly Membership',
+            price: 100,
+            type: 'membership',
+            duration_days: 30,
+            credits: 4,
+            lesson_duration_minutes: 30
+        });
+    });
+
+    after(async () => {
+        emailQueueService.queueDunningNotice = originalQueueDunningNotice;
+        await sequelize.close();
+    });
+
+    // Every test gets its own student and subscription so cached lookups never overlap
+    beforeEach(async () => {
+        await CreditUsage.destroy({ where: {} });
+        await Calendar.destroy({ where: {} });
+        // processOverdue looks at every subscription, so end the ones earlier tests left overdue
+        await Subscription.update({ status: 'canceled' }, { where: { status: 'past_due' } });
+
+        notices = [];
+        emailQueueService.queueDunningNotice = async (notice) => {
+            notices.push(notice);
+        };
+
+        studentCount++;
+        student = await User.create({
+            name: `Member ${studentCount}`,
+            email: `member${studentCount}@test.com`,
+            password: 'x',
+            role: 'student'
+        });
+        subscription = await Subscription.create({
+            user_id: student.id,
+            payment_plan_id: plan.id,
+            stripe_subscription_id: `sub_dunning_${studentCount}`,
+            status: 'active'
+        });
+        recurringBooking = await RecurringBooking.create({
+            subscription_id: subscription.id,
+            instructor_id: instructor.id,
+            day_of_week: 1,
+            start_slot: START_SLOT,
+            duration: DURATION
+        });
+        await UserCredits.addCredits(student.id, 10, null, 30);
+    });
+
+    const failedInvoice = (overrides = {}) => ({
+        id: `in_failed_${studentCount}`,
+        subscription: subscription.stripe_subscription_id,
+        amount_due: 10000,
+        currency: 'usd',
+        hosted_invoice_url: `https://invoice.stripe.com/i/${studentCount}`,
+        attempt_count: 1,
+        ...overrides
+    });
+
+    const sendWebhook = async (type, object) => {
+        const payload = JSON.stringify({ id: 'evt_test', type, data: { object } });
+        const res = makeRes();
+        await subscriptionRoutes.handleWebhook({
+            headers: {
+                'stripe-signature': stripe.webhooks.generateTestHeaderString({
+                    payload,
+                    secret: config.stripe.webhookSecret
+                })
+            },
+            body: Buffer.from(payload)
+        }, res);
+        return res;
+    };
+
+    const eventTypes = async () => (await SubscriptionEvent.findAll({
+        where: { subscription_id: subscription.id },
+        order: [['id', 'ASC']]
+    })).map(event => event.event_type);
+
+    const bookedLessons = () => Calendar.findAll({
+        where: { recurring_booking_id: recurringBooking.id, status: 'booked' },
+        order: [['date', 'ASC']]
+    });
+
+    const getCredits = async () => (await UserCredits.getUserCredits(student.id)).total_credits;
+
+    // The webhook marks the subscription past due at the real time, so move the clock back
+    const failAt = async (when) => {
+        await dunningService.handlePaymentFailed(failedInvoice(), when);
+        await subscription.reload();
+    };
+
+    describe('Failed payments', () => {
+        it('should mark the subscription past due and email a payment link', async () => {
+            const res = await sendWebhook('invoice.payment_failed', failedInvoice());
+
+            assert.strictEqual(res.statusCode, 200);
+            await subscription.reload();
+            assert.strictEqual(subscription.status, 'past_due');
+            assert.ok(subscription.payment_failed_at);
+            assert.strictEqual(subscription.dunning_stage, dunningService.STAGES.FAILED);
+            assert.deepStrictEqual(await eventTypes(), ['invoice.payment_failed']);
+
+            assert.strictEqual(notices.length, 1);
+            assert.strictEqual(notices[0].userId, student.id);
+            assert.strictEqual(notices[0].stage, dunningService.STAGES.FAILED);
+            assert.strictEqual(notices[0].planName, 'Weekly Membership');
+            assert.strictEqual(notices[0].amountDue, 100);
+            assert.strictEqual(notices[0].paymentUrl, `https://invoice.stripe.com/i/${studentCount}`);
+        });
+
+        it('should not restart the grace period or email again when Stripe retries', async () => {
+            await failAt(NOW);
+            await dunningService.handlePaymentFailed(failedInvoice({ attempt_count: 2 }), daysLater(2));
+            await subscription.reload();
+
+            assert.strictEqual(subscription.payment_failed_at.getTime(), NOW.getTime());
+            assert.strictEqual(notices.length, 1);
+            assert.deepStrictEqual(await eventTypes(), ['invoice.payment_failed', 'invoice.payment_failed']);
+        });
+
+        it('should ignore invoices for subscriptions it does not know', async () => {
+            const res = await sendWebhook('invoice.payment_failed', failedInvoice({ subscription: 'sub_unknown' }));
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(notices.length, 0);
+        });
+
+        it('should reject events without a valid signature', async () => {
+            const res = makeRes();
+            await subscriptionRoutes.handleWebhook({
+                headers: { 'stripe-signature': 't=1,v1=invalid' },
+                body: Buffer.from(JSON.stringify({ type: 'invoice.payment_failed', data: { object: failedInvoice() } }))
+            }, res);
+
+            assert.strictEqual(res.statusCode, 400);
+            await subscription.reload();
+            assert.strictEqual(subscription.status, 'active');
+        });
+
+        it('should keep the recurring booking when Stripe marks the subscription past due', async () => {
+            await sendWebhook('customer.subscription.updated', {
+                id: subscription.stripe_subscription_id,
+                status: 'past_due',
+                current_period_start: Math.floor(NOW.getTime() / 1000),
+                current_period_end: Math.floor(daysLater(30).getTime() / 1000),
+                cancel_at_period_end: false
+            });
+
+            assert.ok(await RecurringBooking.findByPk(recurringBooking.id));
+            await subscription.reload();
+            assert.strictEqual(subscription.status, 'past_due');
+        });
+
+        it('should keep reserving the weekly time during the grace period', async () => {
+            await failAt(NOW);
+
+            const reservations = await RecurringBooking.getReservations(instructor.id, MONDAYS[0], MONDAYS[0]);
+            assert.ok(reservations.some(reservation => reservation.id === recurringBooking.id));
+        });
+    });
+
+    describe('Escalation', () => {
+        it('should send one reminder after a few days', async () => {
+            await failAt(NOW);
+
+            const early = await dunningService.processOverdue(daysLater(1));
+            const due = await dunningService.processOverdue(daysLater(dunningService.REMINDER_AFTER_DAYS));
+            const again = await dunningService.processOverdue(daysLater(dunningService.REMINDER_AFTER_DAYS + 1));
+
+            assert.deepStrictEqual([early.reminded, due.reminded, again.reminded], [0, 1, 0]);
+            assert.deepStrictEqual(notices.map(notice => notice.stage), [
+                dunningService.STAGES.FAILED,
+                dunningService.STAGES.REMINDED
+            ]);
+            await subscription.reload();
+            assert.strictEqual(subscription.dunning_stage, dunningService.STAGES.REMINDED);
+            assert.ok((await eventTypes()).includes('dunning.reminder'));
+        });
+
+        it('should pause the recurring booking after the grace period', async () => {
+            await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+            assert.strictEqual(await getCredits(), 6);
+            await failAt(NOW);
+
+            const result = await dunningService.processOverdue(daysLater(dunningService.GRACE_PERIOD_DAYS));
+
+            assert.strictEqual(result.paused, 1);
+            await recurringBooking.reload();
+            assert.ok(recurringBooking.paused_at);
+
+            // The lesson on the 7th has already happened; later ones are cancelled and refunded
+            assert.deepStrictEqual((await bookedLessons()).map(lesson => lesson.date), [MONDAYS[0]]);
+            assert.strictEqual(await getCredits(), 9);
+
+            const reservations = await RecurringBooking.getReservations(instructor.id, MONDAYS[1], MONDAYS[3]);
+            assert.ok(!reservations.some(reservation => reservation.id === recurringBooking.id));
+
+            assert.strictEqual(notices[notices.length - 1].stage, dunningService.STAGES.PAUSED);
+            assert.ok((await eventTypes()).includes('dunning.paused'));
+
+            const again = await dunningService.processOverdue(daysLater(dunningService.GRACE_PERIOD_DAYS + 1));
+            assert.strictEqual(again.paused, 0);
+        });
+
+        it('should not book lessons for a paused recurring booking', async () => {
+            await failAt(NOW);
+            await dunningService.processOverdue(daysLater(dunningService.GRACE_PERIOD_DAYS));
+            await subscription.update({ status: 'active' });
+            await recurringBooking.reload();
+
+            const result = await recurringBookingService.generateOccurrences(recurringBooking, { now: NOW });
+
+            assert.strictEqual(result.created.length, 0);
+        });
+    });
+
+    describe('Recovery', () => {
+        it('should end dunning and resume the recurring booking once paid', async () => {
+            await failAt(NOW);
+            await dunningService.processOverdue(daysLater(dunningService.GRACE_PERIOD_DAYS));
+
+            await dunningService.handlePaymentSucceeded({
+                id: `in_paid_${studentCount}`,
+                subscription: subscription.stripe_subscription_id,
+                amount_paid: 10000
+            }, daysLater(dunningService.GRACE_PERIOD_DAYS));
+
+            await subscription.reload();
+            await recurringBooking.reload();
+            assert.strictEqual(subscription.status, 'active');
+            assert.strictEqual(subscription.payment_failed_at, null);
+            assert.strictEqual(subscription.dunning_stage, dunningService.STAGES.NONE);
+            assert.strictEqual(recurringBooking.paused_at, null);
+
+            // Lessons are booked again for the four weeks from the time it was paid
+            assert.deepStrictEqual((await bookedLessons()).map(lesson => lesson.date), [...MONDAYS.slice(1), '2030-02-04']);
+            assert.deepStrictEqual((await eventTypes()).slice(-2), ['invoice.paid', 'dunning.resumed']);
+        });
+
+        it('should record routine renewal payments without changing anything', async () => {
+            const res = await sendWebhook('invoice.paid', {
+                id: `in_paid_${studentCount}`,
+                subscription: subscription.stripe_subscription_id,
+                amount_paid: 10000
+            });
+
+            assert.strictEqual(res.statusCode, 200);
+            await subscription.reload();
+            assert.strictEqual(subscription.status, 'active');
+            assert.deepStrictEqual(await eventTypes(), ['invoice.paid']);
+            assert.strictEqual(notices.length, 0);
+        });
+    });
+});
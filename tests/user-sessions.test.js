@@ -0,0 +1,270 @@
+/**
+ * User Session Tests
+ *
+ * Tests for refresh token rotation, per-device session revocation and
+ * automatic sign-out on role change or account deletion
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+// The admin routes load the Stripe client, which needs keys at require time
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_mock_key_for_testing';
+process.env.STRIPE_PUBLISHABLE_KEY = process.env.STRIPE_PUBLISHABLE_KEY || 'pk_test_mock_key_for_testing';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_mock_webhook_secret_for_testing';
+
+const bcrypt = require('bcrypt');
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { UserSession } = require('../models/UserSession');
+const { authMiddleware } = require('../middleware/auth');
+const { verifyAuthToken } = require('../utils/authTokens');
+const authRoutes = require('../routes/auth');
+const adminRoutes = require('../routes/admin');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[stack.length - 1].handle;
+};
+
+// Run authMiddleware for an access token and report whether it let the request through
+const authenticate = async (accessToken) => {
+    const req = { headers: { authorization: `Bearer ${accessToken}` } };
+    const res = makeRes();
+    let passed = false;
+    await authMiddleware(req, res, () => { passed = true; });
+    return { passed, req, res };
+};
+
+describe('User Sessions', () => {
+    const login = findHandler(authRoutes, 'POST', '/login');
+    const refresh = findHandler(authRoutes, 'POST', '/refresh');
+    const logout = findHandler(authRoutes, 'POST', '/logout');
+    const listSessions = findHandler(authRoutes, 'GET', '/sessions');
+    const revokeOtherSessions = findHandler(authRoutes, 'DELETE', '/sessions');
+    const revokeSession = findHandler(authRoutes, 'DELETE', '/sessions/:sessionId');
+    const updateUserRole = findHandler(adminRoutes, 'PATCH', '/users/:id');
+
+    let testUser;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+    });
+
+    after(async () => {
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await UserSession.destroy({ where: {} });
+        await User.destroy({ where: {} });
+
+        testUser = await User.create({
+            name: 'Session User',
+            email: 'session@test.com',
+            password: await bcrypt.hash('password123', 10),
+            role: 'instructor',
+            email_verified_at: new Date()
+        });
+    });
+
+    const loginAs = async (userAgent = 'Test Browser') => {
+        const res = makeRes();
+        await login({
+            body: { email: 'session@test.com', password: 'password123' },
+            headers: { 'user-agent': userAgent },
+            ip: '127.0.0.1'
+        }, res);
+        return res._data;
+    };
+
+    describe('POST /login', () => {
+        it('should return an access token bound to a new session and a refresh token', async () => {
+            const { token, refreshToken } = await loginAs();
+
+            assert.ok(refreshToken);
+            const { sid } = verifyAuthToken(token);
+            const session = await UserSession.findByPk(sid);
+            assert.strictEqual(session.user_id, testUser.id);
+            assert.strictEqual(session.user_agent, 'Test Browser');
+
+            const { passed, req } = await authenticate(token);
+            assert.strictEqual(passed, true);
+            assert.strictEqual(req.sessionId, sid);
+        });
+    });
+
+    describe('POST /refresh', () => {
+        it('should rotate the refresh token on the same session', async () => {
+            const first = await loginAs();
+
+            const res = makeRes();
+            await refresh({ body: { refreshToken: first.refreshToken } }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.notStrictEqual(res._data.refreshToken, first.refreshToken);
+            assert.strictEqual(verifyAuthToken(res._data.token).sid, verifyAuthToken(first.token).sid);
+
+            const reused = makeRes();
+            await refresh({ body: { refreshToken: first.refreshToken } }, reused);
+            assert.strictEqual(reused.statusCode, 401);
+        });
+
+        it('should revoke the session when a rotated-out token is replayed', async () => {
+            const first = await loginAs();
+            const rotated = makeRes();
+            await refresh({ body: { refreshToken: first.refreshToken } }, rotated);
+
+            // Replaying the old token signals theft, so the legitimate token dies too
+            await refresh({ body: { refreshToken: first.refreshToken } }, makeRes());
+
+            const res = makeRes();
+            await refresh({ body: { refreshToken: rotated._data.refreshToken } }, res);
+            assert.strictEqual(res.statusCode, 401);
+            assert.strictEqual((await authenticate(rotated._data.token)).passed, false);
+        });
+
+        it('should reject an expired session', async () => {
+            const { refreshToken } = await loginAs();
+            await UserSession.update({ expires_at: new Date(Date.now() - 1000) }, { where: {} });
+
+            const res = makeRes();
+            await refresh({ body: { refreshToken } }, res);
+
+            assert.strictEqual(res.statusCode, 401);
+        });
+    });
+
+    describe('POST /logout', () => {
+        it('should revoke the session and its access tokens', async () => {
+            const { token, refreshToken } = await loginAs();
+
+            const res = makeRes();
+            await logout({ body: { refreshToken } }, res);
+            assert.strictEqual(res.statusCode, 200);
+
+            const { passed, res: authRes } = await authenticate(token);
+            assert.strictEqual(passed, false);
+            assert.strictEqual(authRes._data.error, 'Session revoked');
+        });
+    });
+
+    describe('Session management', () => {
+        it('should list active sessions and flag the current one', async () => {
+            const laptop = await loginAs('Laptop');
+            await loginAs('Phone');
+            const { req } = await authenticate(laptop.token);
+
+            const res = makeRes();
+            await listSessions(req, res);
+
+            assert.strictEqual(res._data.sessions.length, 2);
+            const current = res._data.sessions.filter(s => s.current);
+            assert.strictEqual(current.length, 1);
+            assert.strictEqual(current[0].user_agent, 'Laptop');
+            assert.strictEqual(current[0].refresh_token_hash, undefined);
+        });
+
+        it('should revoke a single device', async () => {
+            const laptop = await loginAs('Laptop');
+            const phone = await loginAs('Phone');
+            const { req } = await authenticate(laptop.token);
+
+            const res = makeRes();
+            await revokeSession({ ...req, params: { sessionId: String(verifyAuthToken(phone.token).sid) } }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual((await authenticate(phone.token)).passed, false);
+            assert.strictEqual((await authenticate(laptop.token)).passed, true);
+        });
+
+        it("should not revoke another user's session", async () => {
+            const { token } = await loginAs();
+            const other = await User.create({
+                name: 'Other',
+                email: 'other@test.com',
+                password: 'x',
+                email_verified_at: new Date()
+            });
+
+            const res = makeRes();
+            await revokeSession({
+                user: { id: other.id },
+                params: { sessionId: String(verifyAuthToken(token).sid) }
+            }, res);
+
+            assert.strictEqual(res.statusCode, 404);
+            assert.strictEqual((await authenticate(token)).passed, true);
+        });
+
+        it('should sign out all other devices but keep the current one', async () => {
+            const laptop = await loginAs('Laptop');
+            const phone = await loginAs('Phone');
+            const tablet = await loginAs('Tablet');
+            const { req } = await authenticate(laptop.token);
+
+            const res = makeRes();
+            await revokeOtherSessions(req, res);
+
+            assert.strictEqual(res._data.revokedCount, 2);
+            assert.strictEqual((await authenticate(laptop.token)).passed, true);
+            assert.strictEqual((await authenticate(phone.token)).passed, false);
+            assert.strictEqual((await authenticate(tablet.token)).passed, false);
+        });
+    });
+
+    describe('Automatic revocation', () => {
+        it('should revoke all sessions when an admin changes the user role', async () => {
+            const { token, refreshToken } = await loginAs();
+
+            const res = makeRes();
+            await updateUserRole({
+                params: { id: String(testUser.id) },
+                body: { role: 'student' },
+                user: { id: 999, role: 'admin' }
+            }, res);
+            assert.strictEqual(res.statusCode, 200);
+
+            assert.strictEqual((await authenticate(token)).passed, false);
+            const refreshRes = makeRes();
+            await refresh({ body: { refreshToken } }, refreshRes);
+            assert.strictEqual(refreshRes.statusCode, 401);
+        });
+
+        it('should keep sessions when the role is unchanged', async () => {
+            const { token } = await loginAs();
+
+            await User.updateUser(testUser.id, { name: 'Renamed', role: 'instructor' });
+
+            assert.strictEqual((await authenticate(token)).passed, true);
+        });
+
+        it('should delete sessions along with the user', async () => {
+            const { refreshToken } = await loginAs();
+
+            await User.deleteUser(testUser.id);
+
+            assert.strictEqual(await UserSession.count({ where: { user_id: testUser.id } }), 0);
+            const res = makeRes();
+            await refresh({ body: { refreshToken } }, res);
+            assert.strictEqual(res.statusCode, 401);
+        });
+    });
+});
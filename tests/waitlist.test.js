@@ -0,0 +1,269 @@
+/**
+ * Waitlist Tests
+ *
+ * Tests for joining the waitlist, offering freed time as a hold, hold expiry
+ * and the booking checks that respect holds
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { sequelize } = require('../db/index');
+const { User } = require('../models/User');
+const { Instructor } = require('../models/Instructor');
+const { Calendar } = require('../models/Calendar');
+const { WaitlistEntry } = require('../models/WaitlistEntry');
+const emailQueueService = require('../services/EmailQueueService');
+const waitlistService = require('../services/WaitlistService');
+const waitlistRoutes = require('../routes/waitlist');
+const calendarRoutes = require('../routes/calendar');
+
+// Import models to ensure associations are loaded
+require('../models/index');
+
+const makeRes = () => ({
+    statusCode: 200,
+    _data: null,
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this._data = data; return this; }
+});
+
+// Find a route handler on the express Router by method + path
+const findHandler = (router, method, routePath) => {
+    const layer = router.stack.find(l =>
+        l.route &&
+        l.route.path === routePath &&
+        l.route.methods[method.toLowerCase()]
+    );
+    if (!layer) throw new Error(`Route ${method} ${routePath} not found`);
+    const stack = layer.route.stack;
+    return stack[stack.length - 1].handle;
+};
+
+// A Monday far enough ahead that every lesson is in the future
+const LESSON_DATE = '2030-01-07';
+// 10:00 UTC, 30 minutes
+const START_SLOT = 40;
+const DURATION = 2;
+
+describe('Waitlist', () => {
+    const originalQueueWaitlistOffer = emailQueueService.queueWaitlistOffer;
+    const joinWaitlist = findHandler(waitlistRoutes, 'POST', '/');
+    const leaveWaitlist = findHandler(waitlistRoutes, 'DELETE', '/:entryId');
+    const updateEvent = findHandler(calendarRoutes, 'PATCH', '/:eventId');
+
+    let instructor;
+    let booker;
+    let firstStudent;
+    let secondStudent;
+    let offers;
+
+    before(async () => {
+        await sequelize.sync({ force: true });
+
+        const createStudent = (name, email) => User.create({
+            name,
+            email,
+            password: 'x',
+            role: 'student',
+            email_verified_at: new Date()
+        });
+
+        booker = await createStudent('Booker', 'booker@test.com');
+        firstStudent = await createStudent('First Waiter', 'first@test.com');
+        secondStudent = await createStudent('Second Waiter', 'second@test.com');
+
+        const instructorUser = await User.create({
+            name: 'Waitlist Instructor',
+            email: 'instructor@test.com',
+            password: 'x',
+            role: 'instructor'
+        });
+        instructor = await Instructor.create({
+            user_id: instructorUser.id,
+            hourly_rate: 50,
+            is_active: true
+        });
+    });
+
+    after(async () => {
+        emailQueueService.queueWaitlistOffer = originalQueueWaitlistOffer;
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await WaitlistEntry.destroy({ where: {} });
+        await Calendar.destroy({ where: {} });
+
+        offers = [];
+        emailQueueService.queueWaitlistOffer = async (entryData) => {
+            offers.push({ entryId: entryData.id, email: entryData.student.email });
+            return 1;
+        };
+    });
+
+    const bookSlot = (studentId = booker.id, startSlot = START_SLOT, duration = DURATION) => Calendar.create({
+        instructor_id: instructor.id,
+        student_id: studentId,
+        date: LESSON_DATE,
+        start_slot: startSlot,
+        duration,
+        status: 'booked'
+    });
+
+    const join = (student, startSlot = START_SLOT, duration = DURATION) =>
+        WaitlistEntry.join(student.id, instructor.id, LESSON_DATE, startSlot, duration);
+
+    describe('Joining', () => {
+        it('should add a student to the waitlist for a taken time', async () => {
+            await bookSlot();
+
+            const res = makeRes();
+            await joinWaitlist({
+                user: { id: firstStudent.id, role: 'student' },
+                body: {
+                    instructorId: instructor.id,
+                    startTime: '2030-01-07T10:00:00.000Z',
+                    endTime: '2030-01-07T10:30:00.000Z'
+                }
+            }, res);
+
+            assert.strictEqual(res.statusCode, 201);
+            assert.strictEqual(res._data.entry.status, 'waiting');
+            assert.strictEqual(res._data.entry.start_slot, START_SLOT);
+            assert.strictEqual(res._data.entry.duration, DURATION);
+        });
+
+        it('should send students to booking when the time is free', async () => {
+            const res = makeRes();
+            await joinWaitlist({
+                user: { id: firstStudent.id, role: 'student' },
+                body: {
+                    instructorId: instructor.id,
+                    startTime: '2030-01-07T10:00:00.000Z',
+                    endTime: '2030-01-07T10:30:00.000Z'
+                }
+            }, res);
+
+            assert.strictEqual(res.statusCode, 409);
+            assert.strictEqual(await WaitlistEntry.count(), 0);
+        });
+
+        it('should reject joining twice for the same time', async () => {
+            await join(firstStudent);
+            await assert.rejects(() => join(firstStudent), /ALREADY_WAITLISTED/);
+        });
+    });
+
+    describe('Offering freed time', () => {
+        it('should hold the time for the first student in line and email them', async () => {
+            const booking = await bookSlot();
+            const first = await join(firstStudent);
+            const second = await join(secondStudent);
+
+            await booking.update({ status: 'cancelled' });
+            const offered = await waitlistService.notifyFreedSlot(booking);
+
+            assert.strictEqual(offered, 1);
+            await first.reload();
+            await second.reload();
+            assert.strictEqual(first.status, 'offered');
+            assert.ok(first.hold_expires_at > new Date());
+            assert.strictEqual(second.status, 'waiting');
+            assert.deepStrictEqual(offers, [{ entryId: first.id, email: 'first@test.com' }]);
+        });
+
+        it('should not offer a range that is still partly booked', async () => {
+            const booking = await bookSlot();
+            await bookSlot(booker.id, START_SLOT + DURATION, DURATION);
+            // Wants the full hour, only the first half frees up
+            const entry = await join(firstStudent, START_SLOT, DURATION * 2);
+
+            await booking.update({ status: 'cancelled' });
+            await waitlistService.notifyFreedSlot(booking);
+
+            await entry.reload();
+            assert.strictEqual(entry.status, 'waiting');
+            assert.strictEqual(offers.length, 0);
+        });
+
+        it('should not let the hold outlast the lesson', async () => {
+            const entry = await join(firstStudent);
+            const now = new Date(Date.UTC(2030, 0, 7, 9, 30));
+
+            await waitlistService.offerFreedTime(instructor.id, LESSON_DATE, START_SLOT, DURATION, now);
+
+            await entry.reload();
+            assert.strictEqual(entry.hold_expires_at.toISOString(), '2030-01-07T10:00:00.000Z');
+        });
+
+        it('should offer freed time when an instructor cancels the event', async () => {
+            const booking = await bookSlot();
+            const entry = await join(firstStudent);
+
+            const res = makeRes();
+            await updateEvent({ params: { eventId: String(booking.id) }, body: { status: 'cancelled' } }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            await entry.reload();
+            assert.strictEqual(entry.status, 'offered');
+        });
+    });
+
+    describe('Holds', () => {
+        it('should block other students but not the holder', async () => {
+            const entry = await join(firstStudent);
+            await waitlistService.offerFreedTime(instructor.id, LESSON_DATE, START_SLOT, DURATION);
+            await entry.reload();
+
+            const blockedForOthers = await waitlistService.findBlockingHold(instructor.id, LESSON_DATE, START_SLOT, DURATION, secondStudent.id);
+            const blockedForHolder = await waitlistService.findBlockingHold(instructor.id, LESSON_DATE, START_SLOT, DURATION, firstStudent.id);
+
+            assert.strictEqual(blockedForOthers.id, entry.id);
+            assert.strictEqual(blockedForHolder, null);
+        });
+
+        it('should pass an expired hold to the next student', async () => {
+            const first = await join(firstStudent);
+            const second = await join(secondStudent);
+            await waitlistService.offerFreedTime(instructor.id, LESSON_DATE, START_SLOT, DURATION);
+            await first.reload();
+
+            const afterHold = new Date(first.hold_expires_at.getTime() + 1000);
+            const result = await waitlistService.processExpiredHolds(afterHold);
+
+            assert.deepStrictEqual(result, { expired: 1, offered: 1 });
+            await first.reload();
+            await second.reload();
+            assert.strictEqual(first.status, 'expired');
+            assert.strictEqual(second.status, 'offered');
+        });
+
+        it('should pass the hold on when the holder leaves the waitlist', async () => {
+            const first = await join(firstStudent);
+            const second = await join(secondStudent);
+            await waitlistService.offerFreedTime(instructor.id, LESSON_DATE, START_SLOT, DURATION);
+
+            const res = makeRes();
+            await leaveWaitlist({ user: { id: firstStudent.id, role: 'student' }, params: { entryId: String(first.id) } }, res);
+
+            assert.strictEqual(res.statusCode, 200);
+            await first.reload();
+            await second.reload();
+            assert.strictEqual(first.status, 'cancelled');
+            assert.strictEqual(second.status, 'offered');
+        });
+
+        it('should resolve the entry once the holder books the time', async () => {
+            const entry = await join(firstStudent);
+            await waitlistService.offerFreedTime(instructor.id, LESSON_DATE, START_SLOT, DURATION);
+            const booking = await bookSlot(firstStudent.id);
+
+            await WaitlistEntry.markBooked(firstStudent.id, instructor.id, LESSON_DATE, START_SLOT, DURATION, booking.id);
+
+            await entry.reload();
+            assert.strictEqual(entry.status, 'booked');
+            assert.strictEqual(entry.calendar_event_id, booking.id);
+            assert.strictEqual(entry.hold_expires_at, null);
+        });
+    });
+});
@@ -40,6 +40,7 @@ const defineAbilitiesFor = (user) => {
     // Base permissions for all authenticated users
     can('read', 'User', { id: user.id }); // Own profile
     can('update', 'User', { id: user.id }); // Own profile
+    can('redeem', 'GiftVoucher'); // Any account can redeem a gift code
 
     // Student permissions
     if (user.role === 'student') {
@@ -64,7 +65,9 @@ const defineAbilitiesFor = (user) => {
       can('read', 'Credits');
       can('create', 'Purchase');
       can('read', 'Transaction');
+      can('read', 'Invoice', { user_id: user.id }); // PDF invoices and receipts for own transactions
       can('access', 'StudentPayments');
+      can('manage', 'PaymentMethod'); // Own saved cards
       
       // Package and subscription permissions
       can('purchase', 'Package');
@@ -77,6 +80,32 @@ const defineAbilitiesFor = (user) => {
       can('read', 'RecurringBooking', { user_id: user.id });  // Via subscription ownership
       can('update', 'RecurringBooking', { user_id: user.id }); // Via subscription ownership  
       can('delete', 'RecurringBooking', { user_id: user.id }); // Via subscription ownership
+
+      // Waitlist permissions (join for a taken time, see and leave own entries)
+      can('create', 'WaitlistEntry');
+      can('read', 'WaitlistEntry', { student_id: user.id });
+      can('delete', 'WaitlistEntry', { student_id: user.id });
+      
+      // Group class permissions (see classes and take a seat)
+      can('read', 'GroupSession');
+      can('enroll', 'GroupSession');
+
+      // Gift voucher permissions (buy packages for others, see gifts sent)
+      can('create', 'GiftVoucher');
+      can('read', 'GiftVoucher', { purchaser_id: user.id });
+      
+      // Guardian permissions (book for, and manage, the dependents on their account)
+      const dependentIds = user.dependent_ids || [];
+      if (dependentIds.length > 0) {
+        can('manage', 'Dependent', { id: { $in: dependentIds } });
+        can('read', 'User', { id: { $in: dependentIds } });
+        can('update', 'User', { id: { $in: dependentIds } });
+        can('read', 'Booking', { student_id: { $in: dependentIds } });
+        can('update', 'Booking', { student_id: { $in: dependentIds }, status: 'booked' });
+        can('cancel', 'Booking', { student_id: { $in: dependentIds } });
+      }
+      can('create', 'Dependent'); // Add a child to their account
+      can('read', 'Dependent', { guardian_id: user.id });
       
       // Students cannot edit past bookings or bookings within 24 hours
       // (Time-based restrictions handled in middleware/components)
@@ -125,12 +154,24 @@ const defineAbilitiesFor = (user) => {
       can('update', 'RecurringBooking', { instructor_id: user.instructor_id });
       can('delete', 'RecurringBooking', { instructor_id: user.instructor_id });
       
+      // Group classes (own classes only; ownership is checked in routes)
+      can('create', 'GroupSession');
+      can('read', 'GroupSession');
+      can('update', 'GroupSession', { instructor_id: user.instructor_id });
+      can('enroll', 'GroupSession');
+      
       // Read students who have bookings with them
       can('read', 'Student'); // Will be filtered by booking relationship in routes
       
       // Refund permissions - instructors can refund bookings for their students
       can('refund', 'Booking', { instructor_id: user.instructor_id });
       
+      // Earnings statement and payouts for the lessons they've taught
+      can('read', 'OwnEarnings');
+
+      // Collecting in-person payments for their own lessons
+      can('collect', 'InPersonPayment');
+      
       // Calendar and schedule management (instructor-specific)
       can('manage', 'Calendar', { instructor_id: user.instructor_id });
       can('manage', 'OwnInstructorCalendar');
@@ -158,6 +199,7 @@ const defineAbilitiesFor = (user) => {
       cannot('access', 'StudentPayments');
       cannot('manage', 'OwnInstructorCalendar');
       cannot('manage', 'OwnInstructorAvailability');
+      cannot('read', 'OwnEarnings');
     }
 
     // Global restrictions that apply regardless of role
@@ -0,0 +1,52 @@
+/**
+ * JWT helpers shared by the auth routes and middleware
+ */
+
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+// Access tokens are short-lived; clients renew them with a refresh token (see UserSession)
+const TOKEN_EXPIRY = '15m';
+
+/**
+ * Sign an access token for a user.
+ * The user's token_version is embedded so bumping it revokes every earlier token,
+ * and the session ID ties the token to the device session that issued it.
+ * @param {Object} user - User instance or plain object
+ * @param {number} sessionId - UserSession the token belongs to
+ * @returns {string} Signed JWT
+ */
+const signAuthToken = (user, sessionId) => {
+    return jwt.sign(
+        { id: user.id, tv: user.token_version || 0, sid: sessionId },
+        config.auth.jwtSecret,
+        { expiresIn: TOKEN_EXPIRY }
+    );
+};
+
+/**
+ * Verify a token's signature and expiry (throws JsonWebTokenError / TokenExpiredError)
+ * @param {string} token - Raw JWT
+ * @returns {Object} Decoded payload
+ */
+const verifyAuthToken = (token) => {
+    return jwt.verify(token, config.auth.jwtSecret);
+};
+
+/**
+ * Check a decoded token against the user's current token_version.
+ * Tokens issued before this field existed carry no version and count as 0.
+ * @param {Object} decoded - Decoded JWT payload
+ * @param {Object} user - User the token belongs to
+ * @returns {boolean} True if the token has not been revoked
+ */
+const isTokenCurrent = (decoded, user) => {
+    return (decoded.tv || 0) === (user.token_version || 0);
+};
+
+module.exports = {
+    TOKEN_EXPIRY,
+    signAuthToken,
+    verifyAuthToken,
+    isTokenCurrent
+};
@@ -21,6 +21,11 @@ const BUTTON_TEXT = {
     CONTACT_SUPPORT: 'Contact Support',
     BOOK_NEW_LESSON: 'Book New Lesson',
     MANAGE_LESSONS: 'Manage Lessons',
+    RESET_PASSWORD: 'Reset Password',
+    VERIFY_EMAIL: 'Verify Email Address',
+    BOOK_THIS_LESSON: 'Book This Lesson',
+    REDEEM_GIFT: 'Redeem Your Gift',
+    UPDATE_PAYMENT: 'Update Payment',
     CALL_PREFIX: 'Call '
 };
 
@@ -28,7 +33,11 @@ const BUTTON_TEXT = {
 const URL_PATHS = {
     BOOKINGS: '/bookings',
     BOOKING: '/booking',
-    CREDITS: '/credits'
+    CREDITS: '/credits',
+    CALENDAR: '/calendar',
+    PAYMENTS: '/payments',
+    RESET_PASSWORD: '/reset-password',
+    VERIFY_EMAIL: '/verify-email'
 };
 
 module.exports = {
@@ -440,6 +440,264 @@ async function generateAbsenceNotificationHTML(booking, attendanceNotes, busines
     return await loadBaseTemplate(contentTemplate, templateData);
 }
 
+/**
+ * Generate lesson reminder HTML
+ */
+async function generateLessonReminderHTML(booking, hoursBefore, businessSettings) {
+    // Load the content template
+    const contentTemplate = await loadContentTemplate('lesson-reminder');
+    
+    const business = buildBusinessContext(businessSettings);
+    
+    const templateData = {
+        student: {
+            name: booking.student?.name || booking.Student?.name || DEFAULTS.USER_LABEL_STUDENT,
+            email: booking.student?.email || booking.Student?.email
+        },
+        instructor: {
+            name: booking.Instructor?.User?.name || booking.instructor?.name || DEFAULTS.USER_LABEL_INSTRUCTOR,
+            email: booking.Instructor?.User?.email || booking.instructor?.email
+        },
+        booking: {
+            id: booking.id,
+            date: booking.date,
+            startTime: formatTimeFromSlot(booking.start_slot),
+            endTime: formatTimeFromSlot(booking.start_slot + booking.duration),
+            duration: booking.duration * 15
+        },
+        reminder: {
+            hoursBefore,
+            timeUntil: hoursBefore === 1 ? '1 hour' : `${hoursBefore} hours`
+        },
+        business,
+        buttons: {
+            primary: {
+                url: businessSettings.base_url ? `${businessSettings.base_url}${URL_PATHS.BOOKINGS}` : DEFAULTS.PLACEHOLDER_URL,
+                text: BUTTON_TEXT.VIEW_BOOKINGS,
+                style: 'primary'
+            },
+            secondary: {
+                url: business.contact_email ? `mailto:${business.contact_email}` : DEFAULTS.PLACEHOLDER_URL,
+                text: BUTTON_TEXT.CONTACT_SUPPORT,
+                style: 'secondary'
+            }
+        },
+        headerTitle: 'Lesson Reminder',
+        headerSubtitle: 'Your upcoming lesson is almost here'
+    };
+    
+    return await loadBaseTemplate(contentTemplate, templateData);
+}
+
+/**
+ * Generate waitlist offer HTML
+ */
+async function generateWaitlistOfferHTML(entry, holdMinutesLeft, businessSettings) {
+    // Load the content template
+    const contentTemplate = await loadContentTemplate('waitlist-offer');
+    
+    const business = buildBusinessContext(businessSettings);
+    
+    const templateData = {
+        student: {
+            name: entry.student?.name || DEFAULTS.USER_LABEL_STUDENT,
+            email: entry.student?.email
+        },
+        instructor: {
+            name: entry.Instructor?.User?.name || DEFAULTS.USER_LABEL_INSTRUCTOR
+        },
+        lesson: {
+            date: entry.date,
+            startTime: formatTimeFromSlot(entry.start_slot),
+            endTime: formatTimeFromSlot(entry.start_slot + entry.duration),
+            duration: entry.duration * 15
+        },
+        hold: {
+            minutesLeft: holdMinutesLeft,
+            timeLeft: holdMinutesLeft >= 120 && holdMinutesLeft % 60 === 0
+                ? `${holdMinutesLeft / 60} hours`
+                : `${holdMinutesLeft} minutes`
+        },
+        business,
+        buttons: {
+            primary: {
+                url: businessSettings.base_url ? `${businessSettings.base_url}${URL_PATHS.CALENDAR}` : DEFAULTS.PLACEHOLDER_URL,
+                text: BUTTON_TEXT.BOOK_THIS_LESSON,
+                style: 'primary'
+            },
+            secondary: {
+                url: business.contact_email ? `mailto:${business.contact_email}` : DEFAULTS.PLACEHOLDER_URL,
+                text: BUTTON_TEXT.CONTACT_SUPPORT,
+                style: 'secondary'
+            }
+        },
+        headerTitle: 'A Lesson Time Opened Up',
+        headerSubtitle: 'It is on hold for you'
+    };
+    
+    return await loadBaseTemplate(contentTemplate, templateData);
+}
+
+/**
+ * Generate gift voucher HTML
+ */
+async function generateGiftVoucherHTML(voucher, purchaser, businessSettings) {
+    // Load the content template
+    const contentTemplate = await loadContentTemplate('gift-voucher');
+    
+    const business = buildBusinessContext(businessSettings);
+    
+    const templateData = {
+        recipient: {
+            name: voucher.recipient_name
+        },
+        purchaser: {
+            name: purchaser?.name || business.name
+        },
+        voucher: {
+            code: voucher.code,
+            planName: voucher.plan_name,
+            credits: voucher.credits,
+            duration: voucher.lesson_duration_minutes,
+            expiresAt: voucher.expires_at
+                ? new Date(voucher.expires_at).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+                : DEFAULTS.DATE_NOT_SPECIFIED,
+            message: voucher.message
+        },
+        business,
+        buttons: {
+            primary: {
+                url: businessSettings.base_url
+                    ? `${businessSettings.base_url}${URL_PATHS.PAYMENTS}?voucher=${encodeURIComponent(voucher.code)}`
+                    : DEFAULTS.PLACEHOLDER_URL,
+                text: BUTTON_TEXT.REDEEM_GIFT,
+                style: 'primary'
+            },
+            secondary: {
+                url: business.contact_email ? `mailto:${business.contact_email}` : DEFAULTS.PLACEHOLDER_URL,
+                text: BUTTON_TEXT.CONTACT_SUPPORT,
+                style: 'secondary'
+            }
+        },
+        headerTitle: 'You\'ve Received a Gift',
+        headerSubtitle: `${voucher.credits} lessons are waiting for you`
+    };
+    
+    return await loadBaseTemplate(contentTemplate, templateData);
+}
+
+/**
+ * Generate a failed subscription payment email: the first notice, the reminder or the
+ * notice that weekly lessons are paused
+ */
+async function generateDunningNoticeHTML(templateKey, user, notice, businessSettings) {
+    // Load the content template
+    const contentTemplate = await loadContentTemplate(templateKey);
+    
+    const business = buildBusinessContext(businessSettings);
+
+    const headers = {
+        'payment-failed': { title: 'Payment Failed', subtitle: 'Please update your payment details' },
+        'payment-failed-reminder': { title: 'Payment Overdue', subtitle: 'Your weekly lessons will be paused soon' },
+        'lessons-paused': { title: 'Weekly Lessons Paused', subtitle: 'Pay to start your lessons again' }
+    };
+    
+    const templateData = {
+        user: {
+            name: user.name,
+            email: user.email
+        },
+        subscription: {
+            planName: notice.planName || 'Membership',
+            amountDue: notice.amountDue,
+            pausesAt: notice.pausesAt
+                ? new Date(notice.pausesAt).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })
+                : DEFAULTS.DATE_NOT_SPECIFIED
+        },
+        business,
+        buttons: {
+            primary: {
+                // Stripe's hosted invoice page takes a new card and pays straight away
+                url: notice.paymentUrl ||
+                    (businessSettings.base_url ? `${businessSettings.base_url}${URL_PATHS.PAYMENTS}` : DEFAULTS.PLACEHOLDER_URL),
+                text: BUTTON_TEXT.UPDATE_PAYMENT,
+                style: 'primary'
+            },
+            secondary: {
+                url: business.contact_email ? `mailto:${business.contact_email}` : DEFAULTS.PLACEHOLDER_URL,
+                text: BUTTON_TEXT.CONTACT_SUPPORT,
+                style: 'secondary'
+            }
+        },
+        headerTitle: headers[templateKey].title,
+        headerSubtitle: headers[templateKey].subtitle
+    };
+    
+    return await loadBaseTemplate(contentTemplate, templateData);
+}
+
+/**
+ * Generate password reset HTML
+ */
+async function generatePasswordResetHTML(user, resetUrl, expiresInMinutes, businessSettings) {
+    // Load the content template
+    const contentTemplate = await loadContentTemplate('password-reset');
+    
+    const templateData = {
+        user: {
+            name: user.name,
+            email: user.email
+        },
+        reset: {
+            url: resetUrl,
+            expiresInMinutes
+        },
+        business: buildBusinessContext(businessSettings),
+        buttons: {
+            primary: {
+                url: resetUrl,
+                text: BUTTON_TEXT.RESET_PASSWORD,
+                style: 'primary'
+            }
+        },
+        headerTitle: 'Reset Your Password',
+        headerSubtitle: 'Use the link below to choose a new password'
+    };
+    
+    return await loadBaseTemplate(contentTemplate, templateData);
+}
+
+/**
+ * Generate email verification HTML
+ */
+async function generateEmailVerificationHTML(user, verifyUrl, expiresInHours, businessSettings) {
+    // Load the content template
+    const contentTemplate = await loadContentTemplate('email-verification');
+    
+    const templateData = {
+        user: {
+            name: user.name,
+            email: user.email
+        },
+        verification: {
+            url: verifyUrl,
+            expiresInHours
+        },
+        business: buildBusinessContext(businessSettings),
+        buttons: {
+            primary: {
+                url: verifyUrl,
+                text: BUTTON_TEXT.VERIFY_EMAIL,
+                style: 'primary'
+            }
+        },
+        headerTitle: 'Verify Your Email',
+        headerSubtitle: 'One quick step to activate your account'
+    };
+    
+    return await loadBaseTemplate(contentTemplate, templateData);
+}
+
 /**
  * Clear template cache (useful for when templates are updated)
  */
@@ -480,6 +738,12 @@ module.exports = {
     generateBookingConfirmationHTML,
     generateReschedulingHTML,
     generateAbsenceNotificationHTML,
+    generateLessonReminderHTML,
+    generateWaitlistOfferHTML,
+    generateGiftVoucherHTML,
+    generateDunningNoticeHTML,
+    generatePasswordResetHTML,
+    generateEmailVerificationHTML,
     
     // Cache management
     clearTemplateCache,
@@ -5,58 +5,58 @@
 const { Transactions } = require('../models/Transactions');
 
 /**
- * Enriches a single booking event with in-person payment information
+ * Copy a booking's in-person payment onto its event data
  * @param {Object} eventData - The booking event data (plain object)
- * @param {number} studentId - The student ID to look up transactions for
- * @returns {Promise<Object>} The enriched event data
+ * @param {Object|null} transaction - The booking's in-person transaction
+ * @returns {Object} The event data
  */
-async function enrichEventWithPaymentInfo(eventData, studentId) {
-    // Look for in-person payment transaction for this booking
-    // We use a date range to match transactions that were created around the same time as the booking
-    const bookingDate = new Date(eventData.date);
-    const dayBefore = new Date(bookingDate);
-    dayBefore.setDate(dayBefore.getDate() - 1);
-    const dayAfter = new Date(bookingDate);
-    dayAfter.setDate(dayAfter.getDate() + 1);
-    
-    const inPersonTransaction = await Transactions.findOne({
-        where: {
-            user_id: studentId,
-            payment_method: 'in-person',
-            created_at: {
-                [require('sequelize').Op.between]: [dayBefore, dayAfter]
-            }
-        },
-        order: [['created_at', 'DESC']]
-    });
-    
-    if (inPersonTransaction) {
+function applyPaymentInfo(eventData, transaction) {
+    if (transaction) {
         eventData.paymentMethod = 'in-person';
-        eventData.paymentStatus = inPersonTransaction.status;
+        eventData.paymentStatus = transaction.status;
+        eventData.paymentAmount = parseFloat(transaction.amount) || 0;
+        eventData.amountPaid = parseFloat(transaction.amount_paid) || 0;
+        eventData.balanceDue = Transactions.balanceOf(transaction);
     }
-    
     return eventData;
 }
 
+/**
+ * Enriches a single booking event with in-person payment information
+ * @param {Object} eventData - The booking event data (plain object)
+ * @returns {Promise<Object>} The enriched event data
+ */
+async function enrichEventWithPaymentInfo(eventData) {
+    const inPersonTransaction = await Transactions.findInPersonForBooking(eventData);
+    return applyPaymentInfo(eventData, inPersonTransaction);
+}
+
 /**
  * Enriches multiple booking events with in-person payment information
  * @param {Array} events - Array of booking events (Sequelize instances or plain objects)
  * @returns {Promise<Array>} Array of enriched event data
  */
 async function enrichEventsWithPaymentInfo(events) {
-    return Promise.all(events.map(async (event) => {
-        // Handle both Sequelize model instances and plain objects
-        const eventData = event.toJSON ? event.toJSON() : event;
-        
-        // Use student_id from the event data
-        const studentId = eventData.student_id;
-        if (!studentId) {
-            // If no student_id, return the event as-is
-            return eventData;
+    // Handle both Sequelize model instances and plain objects
+    const eventData = events.map(event => event.toJSON ? event.toJSON() : event);
+
+    // Only bookings of a student can have a payment
+    const bookingIds = eventData
+        .filter(event => event.student_id && Number.isInteger(event.id))
+        .map(event => event.id);
+    if (bookingIds.length === 0) {
+        return eventData;
+    }
+
+    const transactions = await Transactions.findAll({
+        where: {
+            calendar_event_id: bookingIds,
+            payment_method: 'in-person'
         }
-        
-        return enrichEventWithPaymentInfo(eventData, studentId);
-    }));
+    });
+    const byBooking = new Map(transactions.map(transaction => [transaction.calendar_event_id, transaction]));
+
+    return eventData.map(event => applyPaymentInfo(event, byBooking.get(event.id) || null));
 }
 
 module.exports = {
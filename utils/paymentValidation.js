@@ -7,7 +7,7 @@
 const VALID_PAYMENT_METHODS = ['stripe', 'credits', 'in-person'];
 
 // Valid transaction statuses (must match the database enum)
-const VALID_TRANSACTION_STATUSES = ['pending', 'completed', 'failed', 'outstanding'];
+const VALID_TRANSACTION_STATUSES = ['pending', 'completed', 'failed', 'outstanding', 'requires_action'];
 
 /**
  * Validates a payment method value
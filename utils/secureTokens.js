@@ -0,0 +1,15 @@
+/**
+ * Helpers for single-use tokens that are emailed to users (password reset, email verification).
+ * Only the SHA-256 digest is persisted; the raw token lives in the emailed link.
+ */
+
+const crypto = require('crypto');
+
+const generateSecureToken = () => crypto.randomBytes(32).toString('hex');
+
+const hashSecureToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+    generateSecureToken,
+    hashSecureToken
+};
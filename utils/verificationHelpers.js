@@ -105,8 +105,12 @@ const buildProfileData = (verificationData) => {
  *   True for students whose profile is complete but account is not yet approved.
  *   Drives the "Account Pending Approval" CTA.
  *
+ * emailVerified:
+ *   Whether the user has confirmed their email address. Enforced separately at
+ *   login and booking time rather than through canAccess.
+ *
  * @param {Object} user
- * @returns {{ complete, approved, needsVerification, needsApproval, canAccess }}
+ * @returns {{ complete, approved, needsVerification, needsApproval, canAccess, emailVerified }}
  */
 const getVerificationStatus = (user) => {
     if (!user) {
@@ -115,7 +119,8 @@ const getVerificationStatus = (user) => {
             approved: false,
             needsVerification: false,
             needsApproval: false,
-            canAccess: false
+            canAccess: false,
+            emailVerified: false
         };
     }
 
@@ -128,7 +133,8 @@ const getVerificationStatus = (user) => {
         needsVerification: !complete && user.role === 'student',
         needsApproval: complete && !approved && user.role === 'student',
         // Approved students can access the system regardless of profile completeness
-        canAccess: (user.role !== 'student') || approved
+        canAccess: (user.role !== 'student') || approved,
+        emailVerified: !!user.email_verified_at
     };
 };
 